@@ -0,0 +1,34 @@
+/**
+ * Coarse hand-drawn coastlines for the globe view, as [longitude, latitude] points
+ * in degrees. Closed outlines end where they start. Kept as a script rather than
+ * JSON so the page draws them without fetching anything, even opened from disk
+ */
+export const WORLD_OUTLINES = [
+    { name: "North America", points: [[-168,66],[-162,70],[-156,71.3],[-141,69.6],[-128,70],[-115,68.5],[-95,71.5],[-82,69],[-80,63],[-94,59],[-92,57],[-82,55],[-79,51.5],[-77,60],[-70,61],[-64,60],[-61,56],[-56,52],[-60,47],[-66,44.5],[-70,42],[-74,40.5],[-76,35],[-81,31.5],[-80,25.5],[-82,27.5],[-84,30],[-90,29],[-95,29],[-97.5,26],[-97.5,21.5],[-95,18.5],[-91,18.5],[-87,21.5],[-88,16],[-83.5,15],[-83.5,10.5],[-79.5,9.3],[-77.5,8.5],[-80,7.5],[-83,8.5],[-86,11],[-88,13.3],[-92,14.5],[-96,15.7],[-101,17.5],[-105.5,20.5],[-105.5,23],[-109,25.5],[-112.5,29.5],[-114.5,31.5],[-114,28],[-112,24.5],[-110,23],[-112,26],[-115,29.5],[-117,32.5],[-120.5,34.5],[-122.5,37.8],[-124,40.5],[-124.5,43],[-124,46.5],[-124.7,48.4],[-123,49],[-127.5,50.5],[-130.5,54.5],[-133,57.5],[-137,58.5],[-141,60],[-147,61],[-152,59],[-157,58.5],[-162,55],[-158,58],[-162,60],[-165,62.5],[-164.5,64.5],[-168,66]] },
+    { name: "South America", points: [[-77.5,8.5],[-75.5,10.5],[-72,12],[-68,10.6],[-62,10.5],[-60,8.5],[-57,6],[-52,5],[-50,1.5],[-48,-1],[-44,-2.5],[-39,-3.5],[-35,-5.5],[-35,-9],[-38.5,-13],[-39,-17.5],[-41,-22],[-44.5,-23.2],[-48.5,-26],[-48.7,-28.5],[-51,-31],[-53,-34],[-57,-35],[-57.5,-38],[-62,-39],[-65,-41],[-64,-42.5],[-65.5,-45],[-67.5,-46.5],[-65.7,-47.8],[-69,-51],[-68.5,-52.5],[-71,-54],[-74.5,-52],[-75.5,-48],[-74,-44],[-73.5,-40],[-73.5,-37],[-71.5,-32],[-71.3,-28],[-70.5,-23.5],[-70.2,-18.3],[-75.5,-15],[-77.5,-12],[-79.5,-8],[-81.2,-5.5],[-80.5,-2.5],[-80,0],[-78.8,1.5],[-77.5,3.8],[-77.3,6.5],[-77.5,8.5]] },
+    { name: "Eurasia", points: [[-9.5,37],[-9,43],[-1.5,43.5],[-1.5,46.5],[-4.5,48],[-1.5,49.7],[2,51],[4.5,52.5],[8.5,53.5],[8.5,57],[10.5,57.7],[10.5,54.5],[12.5,54.5],[14,54],[19.5,54.5],[21,56.5],[24,57.3],[23.5,59.2],[29.5,60],[22.5,60.3],[21.5,61.5],[25,65],[21.5,65.8],[17.5,62.5],[18.5,60],[16.5,57],[14.2,55.4],[12.5,56.2],[11,59],[8,58],[5.5,58.8],[5,62],[10,64],[14,67.5],[17,69],[24,71],[29,70.8],[33,69.5],[41,67.5],[38,64.5],[44,66.2],[44,68.5],[54,68.5],[60,69.8],[68,68.3],[69,72.5],[73,72.8],[80,72.3],[82,73.8],[87,75],[100,76.5],[105,77.6],[113,73.5],[120,73],[128,72.7],[131,71],[140,72.5],[150,71.5],[160,69.5],[170,70],[180,69],[180,65],[178,64.5],[179,62.3],[173,61],[170,60],[163,59.8],[162,57.8],[163,56],[156.7,51],[156,57.5],[161.8,60.3],[156,61.5],[152,59.2],[143,59.3],[137,54],[141,53],[140.5,48],[135,43.5],[131,42.6],[129.5,41],[128,38.5],[129.4,35.5],[126.5,34.5],[126,37.5],[124.5,39.8],[121.5,39],[122,40.5],[118,39],[119.5,37.2],[122.5,37],[119,35],[121,32],[122,30],[120,26.5],[116.5,23],[113,22.2],[108.5,21.7],[106,20],[106.5,17.5],[109,12],[106.5,10.3],[104.8,8.6],[103,11],[100,13.4],[100,9],[103.5,4],[104,1.3],[101,3],[98.3,8],[98.5,13],[97.5,16.5],[94.5,16],[94,19.5],[92,21.5],[90,21.8],[87,21.5],[86.5,20],[82,16.5],[80.2,13],[80,9.5],[77.5,8],[76,10.5],[73,17],[72.7,21],[70,22.5],[68,23.8],[66.5,25.5],[61.5,25.2],[57,25.8],[56.3,27],[51.5,27.8],[50,30.2],[48,29.9],[50.5,26],[51.5,24.5],[54,24],[56.4,26.3],[58.8,22.8],[57.6,19],[52,16],[45,12.7],[43.3,12.7],[42.6,15.5],[40,20],[36.7,25],[35,28],[32.6,30],[34.5,31.5],[35.5,34],[36,36.2],[32.5,36.1],[29.5,36.7],[26.3,38.8],[26.3,40.2],[29,41.1],[31.3,41.2],[36,41.7],[41.5,41.5],[39.5,44],[37.5,44.7],[33.5,44.5],[32.5,45.5],[30,45.8],[28.7,44.2],[28,41.8],[26,40.8],[23.5,40],[22.6,37],[21,38.3],[19.5,40.4],[19.4,42],[16,43.5],[13.6,45.6],[12.3,45.3],[14,42.5],[16,41.5],[18.5,40.2],[16,38.5],[15.6,38],[15.7,40],[12.5,41.5],[10.5,43],[8.8,44.4],[6.5,43.1],[3.2,43.3],[3.2,41.9],[0.7,40.8],[-0.5,38.5],[-2.2,36.7],[-5.6,36],[-7.5,37.2],[-9.5,37]] },
+    { name: "Africa", points: [[-17,14.7],[-16.5,19],[-17,21],[-15,24.5],[-13,27.7],[-10,29.5],[-9.7,32.5],[-6.5,34],[-5.9,35.8],[-2,35.1],[3,36.8],[10,37.3],[11,35.5],[10,34],[11.5,33.1],[15.3,32.3],[19.5,30.5],[20,32],[23,32.7],[25,31.7],[29,30.9],[32.3,31.3],[34.2,27.8],[35.8,23.8],[37.2,21],[38.5,18],[39.7,15.2],[42.8,12.5],[43.3,11.8],[44.5,10.4],[47,11.1],[51.2,11.9],[50.9,10.3],[49,6],[46,2.2],[43,-0.5],[40.5,-2.5],[39.3,-5],[39.5,-8],[40.5,-11],[40.6,-15],[37,-18],[35.3,-22.2],[35.5,-24],[32.9,-25.8],[32.6,-28.5],[30.5,-31],[27.5,-33.5],[25,-34],[22.5,-34],[20,-34.8],[18.4,-34],[17.9,-32],[16.5,-28.6],[15,-26.5],[14.5,-22.5],[11.8,-17.5],[12,-13.5],[13.8,-10.5],[12.5,-6],[11.8,-3],[9.3,-0.5],[9.5,3],[8.5,4.5],[6,4.3],[4.5,6.4],[1.5,6.2],[-2,4.7],[-4.5,5.2],[-7.5,4.4],[-9,5],[-12.5,7.5],[-13.3,9.5],[-15,11],[-16.7,12.4],[-17,14.7]] },
+    { name: "Madagascar", points: [[43.2,-22],[43.7,-17],[46.5,-15.7],[49.3,-12],[50.4,-15.5],[49.8,-17],[48,-22.5],[47.1,-25],[45.2,-25.6],[43.6,-23.5],[43.2,-22]] },
+    { name: "Australia", points: [[113.5,-22],[114,-26],[115,-30],[115,-33.5],[116.5,-35],[118,-35],[123.5,-33.9],[126,-32.3],[131,-31.5],[135,-34.5],[137.7,-32.8],[138,-35.6],[140.5,-38],[144,-38.3],[146.3,-39.1],[150,-37.5],[150.5,-35],[153,-31],[153.5,-28],[153,-25],[150.8,-22.5],[149,-20.5],[146.3,-18.7],[145.3,-15],[143.5,-14],[142.5,-10.7],[141.5,-13],[141.5,-17],[140,-17.7],[136,-15.8],[135.5,-14.5],[136.8,-12.2],[132.6,-11.5],[130,-13],[129.5,-15],[127,-14],[125,-15],[122.2,-17.5],[121.5,-19.5],[118.7,-20.3],[114.5,-21.8],[113.5,-22]] },
+    { name: "Greenland", points: [[-73,78],[-66,81],[-54,82.3],[-35,83.5],[-22,82.5],[-18,80],[-20,76],[-20,72],[-22,70],[-27,68.2],[-33,68],[-40,65],[-43,60],[-48,61],[-51,64],[-53.5,66.5],[-54,70],[-58,75.5],[-66,76.5],[-73,78]] },
+    { name: "Baffin Island", points: [[-80,63.5],[-73,62],[-65,62],[-61.5,66.5],[-68,70],[-77,72.5],[-90,73.5],[-85,70],[-81.5,69],[-80,63.5]] },
+    { name: "Iceland", points: [[-22.5,64],[-24,65.5],[-22,66.4],[-16,66.5],[-13.6,65.2],[-14.8,64.3],[-18.7,63.4],[-22.5,64]] },
+    { name: "Great Britain", points: [[-5.7,50],[1.3,51.2],[1.7,52.7],[0,53.5],[-1.5,55],[-2,57.7],[-3,58.6],[-5,58.6],[-6.2,56.5],[-5,55],[-3,54],[-3.2,53.3],[-4.6,53.3],[-4.2,52.3],[-5.2,51.7],[-3.5,51.3],[-5.7,50]] },
+    { name: "Ireland", points: [[-6,52.2],[-6,54],[-7.5,55.3],[-9.9,54.2],[-9.5,53],[-10.3,51.8],[-8,51.6],[-6,52.2]] },
+    { name: "Honshu", points: [[130.2,31.3],[131.5,31.5],[132,33.8],[135,33.5],[136.9,34.3],[139,34.7],[140.8,35.7],[141,38.3],[142,39.5],[141.5,41.4],[140,40.8],[139.8,39],[138.5,37.8],[136.8,37.2],[136,35.7],[133,35.5],[131,34.4],[129.7,33.2],[130.2,31.3]] },
+    { name: "Hokkaido", points: [[140,41.5],[141.5,42.5],[143.3,42],[145.5,43.3],[144.2,44.1],[141.9,45.5],[141.4,43.3],[140,42.5],[140,41.5]] },
+    { name: "Sakhalin", points: [[142,46],[143.5,49.3],[142.8,54.3],[142.3,51],[142,46]] },
+    { name: "Taiwan", points: [[120.1,23],[121,25.3],[122,25],[120.7,22],[120.1,23]] },
+    { name: "Sri Lanka", points: [[79.8,7],[80,9.8],[81.8,7.5],[81.2,6.2],[80,6],[79.8,7]] },
+    { name: "Sumatra", points: [[95.3,5.6],[98,4],[100.5,1],[103.7,-1],[106,-3.2],[105.8,-5.8],[104.5,-5.6],[102,-4],[100.3,-1],[98.7,1.8],[95.3,5.6]] },
+    { name: "Borneo", points: [[109,1.5],[109.6,-1.2],[110.2,-3],[114.5,-4],[116.5,-3.5],[116,-1],[117.6,1],[119,1],[117.9,4],[119.2,5.3],[117,7],[115.4,5],[113,3.2],[111,1.5],[109,1.5]] },
+    { name: "Java", points: [[105.3,-6.8],[108,-6.3],[111,-6.5],[114.5,-7.7],[112,-8.3],[108,-7.8],[105.3,-6.8]] },
+    { name: "New Guinea", points: [[131,-1.5],[134,-0.9],[138,-1.6],[141,-2.6],[145,-4.8],[147.5,-6.2],[150,-10.3],[147,-10],[144,-7.7],[141,-9],[138.5,-8.3],[137.7,-5.2],[134,-3.9],[132,-2.9],[131,-1.5]] },
+    { name: "Luzon", points: [[120.6,18.5],[122.2,18.5],[122,16.2],[124,13],[122,13.8],[120.6,14.4],[120,16.2],[120.6,18.5]] },
+    { name: "Mindanao", points: [[122,6.9],[125.5,9.8],[126.6,7.2],[125.4,5.6],[123.5,7.8],[122,6.9]] },
+    { name: "New Zealand, North Island", points: [[172.7,-34.4],[174.5,-36.5],[176,-37.6],[178.5,-37.7],[177,-39.3],[176,-41.3],[174.7,-41.3],[175,-39.9],[173.8,-39.2],[174.6,-37],[172.7,-34.4]] },
+    { name: "New Zealand, South Island", points: [[172.7,-40.5],[174.3,-41.7],[173,-43.8],[171,-44.5],[169.3,-46.6],[166.5,-46],[166.7,-45],[170.5,-42.5],[172.7,-40.5]] },
+    { name: "Cuba", points: [[-84.9,21.9],[-82,23.2],[-77,22],[-74.2,20.2],[-77.7,19.9],[-81,21.6],[-84.9,21.9]] },
+    { name: "Hispaniola", points: [[-74.5,18.4],[-71,19.9],[-68.3,18.6],[-71.5,17.6],[-74.5,18.4]] },
+    { name: "Antarctica", points: [[-180,-84],[-150,-77],[-120,-73],[-90,-72.5],[-60,-64],[-57,-63],[-60,-70],[-40,-77],[-20,-72],[0,-70],[30,-69],[60,-67],[90,-66],[120,-66.5],[150,-68.5],[165,-72],[170,-77],[180,-84]] }
+];
@@ -0,0 +1,11830 @@
+// Generated by scripts/bundle.js from script.js and the modules it imports: edit those, then run `npm run bundle`
+var DDNS = (() => {
+"use strict";
+// sim/emitter.js
+const module_sim_emitter = (() => {
+/**
+ * Minimal event emitter shared by the simulation model.
+ * Works the same in the browser and in Node.js.
+ */
+class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        const set = this.listeners.get(event);
+        if (set) {
+            set.delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Data passed to every listener
+     */
+    emit(event, payload) {
+        const set = this.listeners.get(event);
+        if (!set) {
+            return;
+        }
+        set.forEach(listener => listener(payload));
+    }
+}
+return { Emitter };
+})();
+// sim/phases.js
+const module_sim_phases = (() => {
+/**
+ * Phases the network cycles through
+ */
+const PHASES = {
+    DISCOVERY: "discovery",
+    SYNCING: "syncing",
+    PROCESSING: "processing",
+    NETWORK_CHANGES: "network_changes"
+};
+
+/**
+ * How long each phase runs by default, in simulation milliseconds
+ */
+const PHASE_DURATIONS = {
+    [PHASES.DISCOVERY]: 5000,
+    [PHASES.SYNCING]: 8000,
+    [PHASES.PROCESSING]: 6000,
+    [PHASES.NETWORK_CHANGES]: 7000
+};
+
+/**
+ * What a node is currently busy with; views map these to colors
+ */
+const ACTIVITIES = {
+    IDLE: "idle",
+    DISCOVERING: "discovering",
+    SYNCING: "syncing",
+    PROCESSING: "processing",
+    MINING: "mining"
+};
+return { PHASES, PHASE_DURATIONS, ACTIVITIES };
+})();
+// sim/blockchain.js
+const module_sim_blockchain = (() => {
+/**
+ * The block every chain starts from, shared by all nodes
+ */
+const GENESIS_BLOCK = Object.freeze({
+    hash: "00000000",
+    parent: null,
+    height: 0,
+    work: 0,
+    chainWork: 0,
+    miner: null,
+    createdAt: 0,
+    txids: Object.freeze([])
+});
+
+/**
+ * Most blocks a peer sends in answer to one getblocks request
+ */
+const SYNC_BATCH_SIZE = 16;
+
+/**
+ * Depth under a chain's tip at which blocks are treated as final: stats and
+ * mempools stop keeping what only a deeper reorg would need
+ */
+const SETTLED_DEPTH = 100;
+
+/**
+ * Create a block on top of a parent
+ * @param {Object} parent - Block being extended
+ * @param {{hash: string, miner: string, createdAt: number, work?: number, txids?: string[]}} fields - New block's own fields
+ * @returns {Object} The block
+ */
+function createBlock(parent, { hash, miner, createdAt, work = 1, txids = [] }) {
+    return {
+        hash,
+        parent: parent.hash,
+        height: parent.height + 1,
+        work,
+        chainWork: parent.chainWork + work,
+        miner,
+        createdAt,
+        txids
+    };
+}
+
+/**
+ * One node's view of the blockchain: every block it has seen, linked by
+ * parent hash, with the tip of the most-work chain selected.
+ *
+ * Blocks whose parent hasn't arrived yet wait as orphans and are connected
+ * as soon as the parent shows up. Equal-work tips keep the one seen first.
+ */
+class BlockTree {
+    constructor() {
+        this.blocks = new Map([[GENESIS_BLOCK.hash, GENESIS_BLOCK]]);
+        this.orphans = new Map();
+        this.tip = GENESIS_BLOCK;
+    }
+
+    /**
+     * Height of the selected chain
+     * @returns {number}
+     */
+    get height() {
+        return this.tip.height;
+    }
+
+    /**
+     * Whether a block is known, connected or not
+     * @param {string} hash - Block hash
+     * @returns {boolean}
+     */
+    has(hash) {
+        return this.blocks.has(hash) || this.orphans.has(hash);
+    }
+
+    /**
+     * Add a block, connecting any orphans that were waiting for it,
+     * and switch to the most-work chain
+     * @param {Object} block - The block
+     * @returns {{isOrphan: boolean, tipChanged: boolean, reorg: {depth: number, oldTip: Object, newTip: Object, forkPoint: Object}|null}}
+     */
+    add(block) {
+        const result = { isOrphan: false, tipChanged: false, reorg: null };
+        if (this.has(block.hash)) {
+            return result;
+        }
+        if (!this.blocks.has(block.parent)) {
+            this.orphans.set(block.hash, block);
+            result.isOrphan = true;
+            return result;
+        }
+
+        // Connect the block and, breadth first, every orphan that descends from it
+        let best = this.tip;
+        const pending = [block];
+        while (pending.length > 0) {
+            const next = pending.shift();
+            this.blocks.set(next.hash, next);
+            this.orphans.delete(next.hash);
+            if (next.chainWork > best.chainWork) {
+                best = next;
+            }
+            this.orphans.forEach(orphan => {
+                if (orphan.parent === next.hash) {
+                    pending.push(orphan);
+                }
+            });
+        }
+
+        if (best !== this.tip) {
+            const oldTip = this.tip;
+            const forkPoint = this.commonAncestor(oldTip, best);
+            this.tip = best;
+            result.tipChanged = true;
+            if (forkPoint !== oldTip) {
+                result.reorg = { depth: oldTip.height - forkPoint.height, oldTip, newTip: best, forkPoint };
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Ancestor of a block at a given height
+     * @param {Object} block - Starting block
+     * @param {number} height - Height to walk back to
+     * @returns {Object}
+     */
+    ancestor(block, height) {
+        let current = block;
+        while (current.height > height) {
+            current = this.blocks.get(current.parent);
+        }
+        return current;
+    }
+
+    /**
+     * Last block two chains have in common
+     * @param {Object} a - Tip of one chain
+     * @param {Object} b - Tip of the other
+     * @returns {Object}
+     */
+    commonAncestor(a, b) {
+        let left = this.ancestor(a, Math.min(a.height, b.height));
+        let right = this.ancestor(b, Math.min(a.height, b.height));
+        while (left !== right) {
+            left = this.blocks.get(left.parent);
+            right = this.blocks.get(right.parent);
+        }
+        return left;
+    }
+
+    /**
+     * Blocks on the way from an ancestor up to one of its descendants
+     * @param {Object} ancestor - Starting block, not included
+     * @param {Object} descendant - Last block, included
+     * @returns {Object[]} Blocks in height order
+     */
+    blocksBetween(ancestor, descendant) {
+        const blocks = [];
+        let block = descendant;
+        while (block.height > ancestor.height) {
+            blocks.unshift(block);
+            block = this.blocks.get(block.parent);
+        }
+        return blocks;
+    }
+
+    /**
+     * Whether a block is part of the selected chain
+     * @param {string} hash - Block hash
+     * @returns {boolean}
+     */
+    isInMainChain(hash) {
+        const block = this.blocks.get(hash);
+        return Boolean(block) && this.ancestor(this.tip, block.height) === block;
+    }
+
+    /**
+     * Hashes of the selected chain's blocks from a height up, in one walk down from the tip
+     * @param {number} height - Lowest height to include
+     * @returns {Set<string>}
+     */
+    mainChainFrom(height) {
+        const hashes = new Set();
+        for (let block = this.tip; block && block.height >= height; block = this.blocks.get(block.parent)) {
+            hashes.add(block.hash);
+        }
+        return hashes;
+    }
+
+    /**
+     * Hashes describing the selected chain, dense near the tip and
+     * exponentially sparser towards genesis, as in Bitcoin's block locator
+     * @returns {string[]}
+     */
+    locator() {
+        const hashes = [];
+        let step = 1;
+        let block = this.tip;
+        while (block.height > 0) {
+            hashes.push(block.hash);
+            if (hashes.length >= 10) {
+                step *= 2;
+            }
+            block = this.ancestor(block, Math.max(block.height - step, 0));
+        }
+        hashes.push(GENESIS_BLOCK.hash);
+        return hashes;
+    }
+
+    /**
+     * Blocks of the selected chain that follow the first locator hash we share
+     * @param {string[]} locator - Requesting peer's locator()
+     * @param {number} [limit] - Most blocks to return
+     * @returns {Object[]} Blocks in height order
+     */
+    blocksAfter(locator, limit = SYNC_BATCH_SIZE) {
+        const forkHash = locator.find(hash => this.isInMainChain(hash)) ?? GENESIS_BLOCK.hash;
+        const forkHeight = this.blocks.get(forkHash).height;
+
+        const last = this.ancestor(this.tip, Math.min(this.tip.height, forkHeight + limit));
+        return this.blocksBetween(this.blocks.get(forkHash), last);
+    }
+}
+return { GENESIS_BLOCK, SYNC_BATCH_SIZE, SETTLED_DEPTH, createBlock, BlockTree };
+})();
+// sim/mempool.js
+const module_sim_mempool = (() => {
+/**
+ * Why a mempool turned a transaction away
+ */
+const MEMPOOL_REJECTIONS = {
+    DUPLICATE: "duplicate",     // Already in the mempool
+    CONFLICT: "conflict",       // Spends an input another mempool or mined transaction already spends
+    CONFIRMED: "confirmed"      // Already in a block on this node's chain
+};
+
+/**
+ * Fee rate of a transaction in satoshis per byte
+ * @param {{fee: number, size: number}} tx - The transaction
+ * @returns {number}
+ */
+function feeRate(tx) {
+    return tx.fee / tx.size;
+}
+
+/**
+ * A node's pool of valid, unconfirmed transactions.
+ *
+ * Transactions are plain objects { id, fee, size, inputs, outputs }, where
+ * inputs and outputs are outpoint strings such as "tx-4:0". The first
+ * transaction seen for an input wins; later spends of it are conflicts.
+ */
+class Mempool {
+    constructor() {
+        this.transactions = new Map();
+        this.spentBy = new Map();      // Outpoint to the ID of the mempool transaction spending it
+        this.confirmed = new Map();    // IDs of transactions in this node's best chain to the height they were confirmed at
+        this.spentInChain = new Map(); // Outpoints those transactions spend, to the same height
+        this.forgottenCount = 0;       // Confirmed transactions since forgotten, see forgetConfirmed()
+        this.bytes = 0;
+    }
+
+    /**
+     * Number of transactions ever confirmed in this node's best chain, forgotten ones included
+     * @returns {number}
+     */
+    get confirmedCount() {
+        return this.confirmed.size + this.forgottenCount;
+    }
+
+    /**
+     * Number of transactions waiting
+     * @returns {number}
+     */
+    get count() {
+        return this.transactions.size;
+    }
+
+    /**
+     * Whether a transaction is waiting in the pool
+     * @param {string} txId - Transaction ID
+     * @returns {boolean}
+     */
+    has(txId) {
+        return this.transactions.has(txId);
+    }
+
+    /**
+     * Admit a transaction unless it is a duplicate, a conflict, or already mined
+     * @param {Object} tx - The transaction
+     * @returns {{accepted: boolean, reason: string|null}} reason is one of MEMPOOL_REJECTIONS
+     */
+    add(tx) {
+        let reason = null;
+        if (this.transactions.has(tx.id)) {
+            reason = MEMPOOL_REJECTIONS.DUPLICATE;
+        } else if (this.confirmed.has(tx.id)) {
+            reason = MEMPOOL_REJECTIONS.CONFIRMED;
+        } else if (tx.inputs.some(outpoint => this.spentBy.has(outpoint) || this.spentInChain.has(outpoint))) {
+            reason = MEMPOOL_REJECTIONS.CONFLICT;
+        }
+        if (reason) {
+            return { accepted: false, reason };
+        }
+
+        this.transactions.set(tx.id, tx);
+        tx.inputs.forEach(outpoint => this.spentBy.set(outpoint, tx.id));
+        this.bytes += tx.size;
+        return { accepted: true, reason: null };
+    }
+
+    /**
+     * Drop a transaction from the pool
+     * @param {string} txId - Transaction ID
+     * @returns {boolean} Whether it was there
+     */
+    remove(txId) {
+        const tx = this.transactions.get(txId);
+        if (!tx) {
+            return false;
+        }
+
+        this.transactions.delete(txId);
+        tx.inputs.forEach(outpoint => {
+            if (this.spentBy.get(outpoint) === txId) {
+                this.spentBy.delete(outpoint);
+            }
+        });
+        this.bytes -= tx.size;
+        return true;
+    }
+
+    /**
+     * A block joined the best chain: evict its transactions and anything
+     * that now conflicts with them
+     * @param {Object[]} txs - Transactions in the block
+     * @param {number} [height] - Height of the chain's tip once they are in it
+     * @returns {string[]} IDs of the evicted transactions
+     */
+    confirm(txs, height = 0) {
+        const evicted = [];
+        txs.forEach(tx => {
+            this.confirmed.set(tx.id, height);
+            tx.inputs.forEach(outpoint => this.spentInChain.set(outpoint, height));
+            if (this.remove(tx.id)) {
+                evicted.push(tx.id);
+            }
+            tx.inputs.forEach(outpoint => {
+                const conflictId = this.spentBy.get(outpoint);
+                if (conflictId && this.remove(conflictId)) {
+                    evicted.push(conflictId);
+                }
+            });
+        });
+        return evicted;
+    }
+
+    /**
+     * A block left the best chain in a reorg: its transactions are unconfirmed again
+     * @param {Object[]} txs - Transactions in the block
+     * @returns {string[]} IDs of the transactions returned to the pool
+     */
+    unconfirm(txs) {
+        txs.forEach(tx => {
+            this.confirmed.delete(tx.id);
+            tx.inputs.forEach(outpoint => this.spentInChain.delete(outpoint));
+        });
+        return txs.filter(tx => this.add(tx).accepted).map(tx => tx.id);
+    }
+
+    /**
+     * Forget the transactions confirmed at or below a height. Only a reorg deeper than that
+     * would bring them back, and a node that holds an item never takes it in again anyway.
+     * Entries are kept in the order they were confirmed, so this stops at the first newer one
+     * @param {number} height - Settled height
+     */
+    forgetConfirmed(height) {
+        for (const [txId, confirmedAt] of this.confirmed) {
+            if (confirmedAt > height) break;
+            this.confirmed.delete(txId);
+            this.forgottenCount++;
+        }
+        for (const [outpoint, confirmedAt] of this.spentInChain) {
+            if (confirmedAt > height) break;
+            this.spentInChain.delete(outpoint);
+        }
+    }
+
+    /**
+     * Highest fee rate transactions that fit in a block, as a miner would pick them
+     * @param {number} maxBytes - Space available in the block
+     * @returns {Object[]}
+     */
+    select(maxBytes) {
+        const selected = [];
+        let bytes = 0;
+        this.sorted().forEach(tx => {
+            if (bytes + tx.size <= maxBytes) {
+                selected.push(tx);
+                bytes += tx.size;
+            }
+        });
+        return selected;
+    }
+
+    /**
+     * Waiting transactions, best fee rate first
+     * @returns {Object[]}
+     */
+    sorted() {
+        return Array.from(this.transactions.values()).sort((a, b) => feeRate(b) - feeRate(a));
+    }
+}
+return { MEMPOOL_REJECTIONS, feeRate, Mempool };
+})();
+// sim/adversary.js
+const module_sim_adversary = (() => {
+/**
+ * How a node behaves towards its peers
+ */
+const BEHAVIORS = {
+    HONEST: "honest",
+    DROP_RELAY: "drop_relay",     // Takes blocks and transactions in but never passes them on
+    INVALID: "invalid",           // Sends blocks and transactions that break the rules
+    DOUBLE_SPEND: "double_spend", // Pays one peer, then spends the same coins again to everyone else
+    SYBIL: "sybil",               // One of many identities run by one attacker, all withholding
+    ECLIPSE: "eclipse"            // Occupies every peer slot of a victim and feeds it nothing
+};
+
+/**
+ * Size and pace of attacks when a scenario or the caller doesn't say
+ */
+const ATTACK_DEFAULTS = {
+    sybilIdentities: 6,         // Nodes a Sybil attack spins up
+    sybilPeers: 3,              // Honest nodes each Sybil identity connects to
+    eclipseAttackers: 4,        // Nodes that surround an eclipse victim
+    invalidInterval: 2000,      // ms, average time between an invalid sender's messages
+    doubleSpendInterval: 5000   // ms, average time between double-spend attempts, while processing
+};
+
+// Behaviors that swallow relays and ignore block requests
+const WITHHOLDING = new Set([BEHAVIORS.DROP_RELAY, BEHAVIORS.SYBIL, BEHAVIORS.ECLIPSE]);
+
+/**
+ * Whether a node misbehaves at all
+ * @param {SimNode} node - The node
+ * @returns {boolean}
+ */
+function isAttacker(node) {
+    return node.behavior !== BEHAVIORS.HONEST;
+}
+
+/**
+ * Whether a node keeps what it receives to itself
+ * @param {SimNode} node - The node
+ * @returns {boolean}
+ */
+function withholds(node) {
+    return WITHHOLDING.has(node.behavior);
+}
+
+/**
+ * Running tally of the damage attackers do and how honest nodes fight back
+ */
+class AttackStats {
+    constructor() {
+        this.droppedRelays = 0;   // Items an attacker received and didn't pass on
+        this.withheldSyncs = 0;   // Block requests an attacker left unanswered
+        this.invalidSent = 0;
+        this.invalidRejected = 0;
+        this.bans = 0;
+        this.doubleSpends = [];   // { payment, doubleSpend } transaction IDs of attempts not settled yet
+        this.settledDoubleSpends = 0;
+        this.settledReversals = 0; // Settled attempts whose conflicting transaction was the one mined
+    }
+
+    /**
+     * Record a double-spend attempt
+     * @param {string} payment - Transaction paying the victim
+     * @param {string} doubleSpend - Conflicting transaction sent to everyone else
+     */
+    recordDoubleSpend(payment, doubleSpend) {
+        this.doubleSpends.push({ payment, doubleSpend });
+    }
+
+    /**
+     * Decide the double-spends that settled blocks mined either transaction of
+     * @param {string[]} txIds - Transactions in the blocks
+     */
+    settle(txIds) {
+        const mined = new Set(txIds);
+        this.doubleSpends = this.doubleSpends.filter(({ payment, doubleSpend }) => {
+            if (!mined.has(payment) && !mined.has(doubleSpend)) return true;
+            this.settledDoubleSpends++;
+            if (mined.has(doubleSpend)) this.settledReversals++;
+            return false;
+        });
+    }
+
+    /**
+     * Summarize the attacks against the node with the best chain
+     * @param {SimNode[]} nodes - Nodes in the network
+     * @param {SimNode|undefined} best - Node whose chain has the most work
+     * @returns {{attackers: number, droppedRelays: number, withheldSyncs: number, invalidSent: number,
+     *     invalidRejected: number, bans: number, doubleSpends: number, reversedPayments: number,
+     *     attackerPeerShare: number, honestBehind: number, eclipsed: {nodeId: string, lag: number}[]}}
+     *     attackerPeerShare is the fraction of honest nodes' connections that lead to attackers;
+     *     a reversed payment is a double-spend whose conflicting transaction made it into the best chain
+     */
+    summary(nodes, best) {
+        const honest = nodes.filter(node => !isAttacker(node));
+        const attackerIds = new Set(nodes.filter(isAttacker).map(node => node.nodeId));
+        const bestHeight = best ? best.chain.height : 0;
+
+        let honestLinks = 0;
+        let attackerLinks = 0;
+        honest.forEach(node => {
+            node.connections.forEach(peerId => {
+                honestLinks++;
+                if (attackerIds.has(peerId)) attackerLinks++;
+            });
+        });
+
+        return {
+            attackers: attackerIds.size,
+            droppedRelays: this.droppedRelays,
+            withheldSyncs: this.withheldSyncs,
+            invalidSent: this.invalidSent,
+            invalidRejected: this.invalidRejected,
+            bans: this.bans,
+            doubleSpends: this.settledDoubleSpends + this.doubleSpends.length,
+            reversedPayments: this.settledReversals +
+                (best ? this.doubleSpends.filter(({ doubleSpend }) => best.mempool.confirmed.has(doubleSpend)).length : 0),
+            attackerPeerShare: honestLinks > 0 ? attackerLinks / honestLinks : 0,
+            honestBehind: honest.filter(node => node.chain.height < bestHeight).length,
+            eclipsed: honest.filter(node => node.isEclipsed).map(node => ({
+                nodeId: node.nodeId,
+                lag: bestHeight - node.chain.height
+            }))
+        };
+    }
+}
+return { BEHAVIORS, ATTACK_DEFAULTS, isAttacker, withholds, AttackStats };
+})();
+// sim/node.js
+const module_sim_node = (() => {
+const { ACTIVITIES } = module_sim_phases;
+const { BlockTree } = module_sim_blockchain;
+const { Mempool } = module_sim_mempool;
+const { BEHAVIORS } = module_sim_adversary;
+
+/**
+ * Graph-level state of a single network participant.
+ * Holds no rendering objects; views look nodes up by nodeId.
+ */
+class SimNode {
+    /**
+     * @param {string} nodeId - Unique identifier for the node
+     * @param {{x: number, y: number, z: number}} position - Suggested layout position
+     */
+    constructor(nodeId, position) {
+        this.nodeId = nodeId;
+        this.position = position;
+        this.connections = new Set();
+        this.activity = ACTIVITIES.IDLE;
+        this.activityUntil = 0;
+        this.syncProgress = 0;
+
+        // IDs of the gossiped items (blocks, transactions) this node holds
+        this.inventory = new Set();
+
+        // Every block this node has seen, and the highest chain it has heard of from peers
+        this.chain = new BlockTree();
+        this.bestKnownHeight = 0;
+        this.lastSyncActivityAt = -Infinity;
+
+        // Valid transactions waiting to be mined
+        this.mempool = new Mempool();
+
+        // Share of the network's mining effort; 0 for nodes that don't mine
+        this.hashpower = 0;
+
+        // Side of a network partition the node is on, null while the network is whole
+        this.group = null;
+
+        // Role the consensus protocol gave the node, and how much of its log or chain is final
+        this.role = null;
+        this.committedHeight = 0;
+
+        // One of BEHAVIORS; peers this node banned for breaking the rules; whether attackers hold all its peer slots
+        this.behavior = BEHAVIORS.HONEST;
+        this.banned = new Set();
+        this.isEclipsed = false;
+
+        // Addresses of other nodes learned from addr messages, and data asked for by getdata: ID to request time
+        this.knownAddresses = new Set();
+        this.requested = new Map();
+
+        // Transactions received since the node last announced to its peers
+        this.pendingAnnouncements = [];
+
+        // What is known about the real node this one stands for, e.g. its network type or client
+        this.attributes = {};
+
+        // Latitude and longitude in degrees in a geographic run, null otherwise
+        this.location = null;
+
+        // Simulation time the node joined, and the messages it sent and received, by type
+        this.joinedAt = 0;
+        this.messagesSent = {};
+        this.messagesReceived = {};
+    }
+
+    /**
+     * Check whether this node has a link to another node
+     * @param {string} otherNodeId - The ID of the other node
+     * @returns {boolean}
+     */
+    isConnectedTo(otherNodeId) {
+        return this.connections.has(otherNodeId);
+    }
+}
+return { SimNode };
+})();
+// sim/random.js
+const module_sim_random = (() => {
+/**
+ * Small seedable pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, in any JavaScript engine.
+ */
+class SeededRandom {
+    /**
+     * @param {number|string} seed - Integer seed, or any string (hashed to an integer)
+     */
+    constructor(seed) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1), the drop-in replacement for Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random float in [min, max)
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * True with the given probability
+     * @param {number} probability - Value from 0 to 1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array
+     * @param {Array} items - Items to pick from
+     * @returns {*} undefined if the array is empty
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+}
+
+/**
+ * Scramble a 32-bit integer (MurmurHash3's finalizer). The mix can be undone,
+ * so different inputs always give different outputs: a counter run through it
+ * gives IDs that look random but never collide
+ * @param {number} value - Integer, taken modulo 2^32
+ * @returns {number} 32-bit unsigned integer
+ */
+function scramble(value) {
+    let h = value >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a fresh seed for runs that don't specify one
+ * @returns {number}
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turn a user-supplied seed into a 32-bit unsigned integer
+ * @param {number|string} seed - Integer seed or arbitrary string
+ * @returns {number}
+ */
+function normalizeSeed(seed) {
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for non-numeric seeds
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+return { SeededRandom, scramble, randomSeed };
+})();
+// sim/geo.js
+const module_sim_geo = (() => {
+/**
+ * Places on Earth that nodes are drawn from when a scenario doesn't locate
+ * them, weighted roughly like the reachable Bitcoin nodes seen by crawlers.
+ * Latitude and longitude ranges are in degrees and stay mostly over land.
+ */
+const GEO_REGIONS = {
+    north_america: { title: "North America", weight: 30, lat: [30, 48], lon: [-122, -75] },
+    south_america: { title: "South America", weight: 4, lat: [-33, -5], lon: [-68, -40] },
+    europe: { title: "Europe", weight: 45, lat: [40, 58], lon: [-5, 30] },
+    africa: { title: "Africa", weight: 2, lat: [-30, 10], lon: [15, 35] },
+    south_asia: { title: "South Asia", weight: 3, lat: [10, 28], lon: [72, 88] },
+    east_asia: { title: "East Asia", weight: 12, lat: [22, 40], lon: [103, 122] },
+    oceania: { title: "Oceania", weight: 4, lat: [-36, -22], lon: [117, 150] }
+};
+
+/**
+ * How link latency grows with distance in geographic runs. Slowed down like
+ * the rest of the simulation's latencies, so packets stay visible: real fibre
+ * adds about 7 ms per 1000 km.
+ */
+const GEO_DEFAULTS = {
+    baseLatency: 150,       // ms of every link, however short
+    msPerThousandKm: 40     // ms added per 1000 km of great-circle distance
+};
+
+// Mean radius of the Earth, in km
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Draw a location from weighted regions
+ * @param {SeededRandom} random - Random source
+ * @param {Object<string, number>} [weights] - Region name to weight; GEO_REGIONS' weights if omitted
+ * @returns {{lat: number, lon: number}} Degrees
+ */
+function drawLocation(random, weights = regionWeights()) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    let roll = random.range(0, entries.reduce((sum, [, weight]) => sum + weight, 0));
+    const [name] = entries.find(([, weight]) => (roll -= weight) < 0) ?? entries[entries.length - 1];
+    const { lat, lon } = GEO_REGIONS[name];
+    return { lat: random.range(lat[0], lat[1]), lon: random.range(lon[0], lon[1]) };
+}
+
+/**
+ * Every region's default weight
+ * @returns {Object<string, number>}
+ */
+function regionWeights() {
+    return Object.fromEntries(Object.entries(GEO_REGIONS).map(([name, region]) => [name, region.weight]));
+}
+
+/**
+ * Great-circle distance between two locations
+ * @param {{lat: number, lon: number}} a - One location, in degrees
+ * @param {{lat: number, lon: number}} b - The other
+ * @returns {number} km
+ */
+function distanceKm(a, b) {
+    const toRadians = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * toRadians;
+    const dLon = (b.lon - a.lon) * toRadians;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * toRadians) * Math.cos(b.lat * toRadians) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * One-way latency of a link between two locations
+ * @param {{lat: number, lon: number}} a - One end
+ * @param {{lat: number, lon: number}} b - The other end
+ * @param {Partial<typeof GEO_DEFAULTS>} [options] - Latency model to override
+ * @returns {number} ms, rounded
+ */
+function geoLatency(a, b, options = {}) {
+    const { baseLatency, msPerThousandKm } = { ...GEO_DEFAULTS, ...options };
+    return Math.round(baseLatency + distanceKm(a, b) / 1000 * msPerThousandKm);
+}
+
+/**
+ * Point on a sphere for a location: latitude 0, longitude 0 faces -z, east is +x and north is +y
+ * @param {{lat: number, lon: number}} location - Degrees
+ * @param {number} radius - Radius of the sphere
+ * @returns {{x: number, y: number, z: number}}
+ */
+function locationToPosition({ lat, lon }, radius) {
+    const toRadians = Math.PI / 180;
+    const ring = radius * Math.cos(lat * toRadians);
+    return {
+        x: ring * Math.sin(lon * toRadians),
+        y: radius * Math.sin(lat * toRadians),
+        z: -ring * Math.cos(lon * toRadians)
+    };
+}
+
+/**
+ * Location a position points at from the sphere's centre, the inverse of locationToPosition
+ * @param {{x: number, y: number, z: number}} position - Any point but the centre
+ * @returns {{lat: number, lon: number}} Degrees
+ */
+function positionToLocation({ x, y, z }) {
+    const toDegrees = 180 / Math.PI;
+    return {
+        lat: Math.atan2(y, Math.hypot(x, z)) * toDegrees,
+        lon: Math.atan2(x, -z) * toDegrees
+    };
+}
+
+/**
+ * Point along the great-circle arc between two points around the same centre,
+ * rising above them towards the middle of the arc
+ * @param {{x: number, y: number, z: number}} a - Start
+ * @param {{x: number, y: number, z: number}} b - End
+ * @param {number} t - 0 at the start, 1 at the end
+ * @param {number} [lift] - Height above the ends at the middle, for an arc spanning half the sphere;
+ *     shorter arcs rise less
+ * @returns {{x: number, y: number, z: number}}
+ */
+function greatCirclePoint(a, b, t, lift = 0) {
+    const radiusA = Math.hypot(a.x, a.y, a.z);
+    const radiusB = Math.hypot(b.x, b.y, b.z);
+    const ua = scale(a, 1 / radiusA);
+    const ub = scale(b, 1 / radiusB);
+    const angle = Math.acos(Math.min(1, Math.max(-1, ua.x * ub.x + ua.y * ub.y + ua.z * ub.z)));
+
+    // Spherical interpolation; nearly equal or opposite directions fall back to a straight blend
+    let direction;
+    if (angle < 1e-6 || Math.PI - angle < 1e-6) {
+        direction = normalize(add(scale(ua, 1 - t), scale(ub, t)));
+    } else {
+        const sine = Math.sin(angle);
+        direction = add(scale(ua, Math.sin((1 - t) * angle) / sine), scale(ub, Math.sin(t * angle) / sine));
+    }
+    const radius = radiusA + (radiusB - radiusA) * t + lift * (angle / Math.PI) * Math.sin(Math.PI * t);
+    return scale(direction, radius);
+}
+
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function scale(v, factor) {
+    return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+function normalize(v) {
+    const length = Math.hypot(v.x, v.y, v.z) || 1;
+    return scale(v, 1 / length);
+}
+return { GEO_REGIONS, GEO_DEFAULTS, EARTH_RADIUS_KM, drawLocation, regionWeights, distanceKm, geoLatency, locationToPosition, positionToLocation, greatCirclePoint };
+})();
+// sim/scheduler.js
+const module_sim_scheduler = (() => {
+/**
+ * Discrete-event scheduler driving the simulation clock.
+ *
+ * Events run in time order; events scheduled for the same time run in the
+ * order they were scheduled, so runs are fully reproducible. Nothing here
+ * depends on wall-clock time: the clock only moves when runUntil() is called.
+ */
+class EventScheduler {
+    constructor() {
+        this.now = 0;
+        this.queue = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Run a callback after a delay of simulation time
+     * @param {number} delay - Delay in simulation milliseconds
+     * @param {Function} callback - Called with the scheduler when the event fires
+     * @returns {Object} Handle that can be passed to cancel()
+     */
+    schedule(delay, callback) {
+        return this.scheduleAt(this.now + Math.max(0, delay), callback);
+    }
+
+    /**
+     * Run a callback at an absolute simulation time
+     * @param {number} time - Simulation time in milliseconds
+     * @param {Function} callback - Called with the scheduler when the event fires
+     * @returns {Object} Handle that can be passed to cancel()
+     */
+    scheduleAt(time, callback) {
+        const event = {
+            time: Math.max(time, this.now),
+            sequence: this.sequence++,
+            callback,
+            cancelled: false
+        };
+        this.push(event);
+        return event;
+    }
+
+    /**
+     * Prevent a scheduled event from running
+     * @param {Object} event - Handle returned by schedule()
+     */
+    cancel(event) {
+        if (event) {
+            event.cancelled = true;
+        }
+    }
+
+    /**
+     * Time of the next pending event
+     * @returns {number} Infinity if nothing is scheduled
+     */
+    peekTime() {
+        this.dropCancelled();
+        return this.queue.length > 0 ? this.queue[0].time : Infinity;
+    }
+
+    /**
+     * Run every event up to and including the given time, then move the clock there
+     * @param {number} time - Simulation time in milliseconds
+     */
+    runUntil(time) {
+        while (this.peekTime() <= time) {
+            const event = this.pop();
+            this.now = event.time;
+            event.callback(this);
+        }
+        this.now = Math.max(this.now, time);
+    }
+
+    /**
+     * Drop every pending event and reset the clock
+     */
+    clear() {
+        this.queue = [];
+        this.now = 0;
+    }
+
+    dropCancelled() {
+        while (this.queue.length > 0 && this.queue[0].cancelled) {
+            this.pop();
+        }
+    }
+
+    push(event) {
+        const queue = this.queue;
+        queue.push(event);
+        let index = queue.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!before(queue[index], queue[parent])) break;
+            [queue[index], queue[parent]] = [queue[parent], queue[index]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const queue = this.queue;
+        const top = queue[0];
+        const last = queue.pop();
+        if (queue.length > 0) {
+            queue[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < queue.length && before(queue[left], queue[smallest])) smallest = left;
+                if (right < queue.length && before(queue[right], queue[smallest])) smallest = right;
+                if (smallest === index) break;
+                [queue[index], queue[smallest]] = [queue[smallest], queue[index]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Heap ordering: earlier time first, then scheduling order
+ */
+function before(a, b) {
+    return a.time < b.time || (a.time === b.time && a.sequence < b.sequence);
+}
+return { EventScheduler };
+})();
+// sim/partition.js
+const module_sim_partition = (() => {
+/**
+ * Split nodes into contiguous groups by their angle around the layout's centre,
+ * so each side of a netsplit is a visible slice of the network.
+ * @param {SimNode[]} nodes - Nodes to split
+ * @param {number} groupCount - Number of groups, at least 2
+ * @returns {string[][]} Node IDs per group
+ */
+function splitByPosition(nodes, groupCount) {
+    const sorted = nodes.slice().sort((a, b) =>
+        Math.atan2(a.position.z, a.position.x) - Math.atan2(b.position.z, b.position.x)
+    );
+
+    const groups = Array.from({ length: groupCount }, () => []);
+    sorted.forEach((node, index) => {
+        groups[Math.floor(index * groupCount / sorted.length)].push(node.nodeId);
+    });
+    return groups;
+}
+
+/**
+ * Node ID to group index for the current partition
+ * @param {SimNode[]} nodes - Nodes in the network
+ * @returns {Object<string, number>}
+ */
+function groupAssignments(nodes) {
+    const groups = {};
+    nodes.forEach(node => {
+        groups[node.nodeId] = node.group;
+    });
+    return groups;
+}
+return { splitByPosition, groupAssignments };
+})();
+// sim/link.js
+const module_sim_link = (() => {
+/**
+ * Size of each message type on the wire, in bytes. addr, inv, getdata and
+ * headers are sized per entry; transactions travel at their own size, so
+ * "tx" is only a fallback.
+ */
+const MESSAGE_SIZES = {
+    version: 126,
+    verack: 24,
+    ping: 32,
+    pong: 32,
+    getaddr: 24,
+    addr: 30,
+    inv: 36,
+    getdata: 36,
+    getheaders: 1000,
+    headers: 81,
+    cmpctblock: 15000,
+    tx: 400,
+    block: 1000000
+};
+
+/**
+ * Defaults for new links: latency is drawn uniformly from [minLatency, maxLatency]
+ */
+const LINK_DEFAULTS = {
+    minLatency: 200,      // ms
+    maxLatency: 800,      // ms
+    bandwidth: 2000000    // bytes per second
+};
+
+/**
+ * Lifecycle of a link
+ */
+const LINK_STATES = {
+    CONNECTING: "connecting",   // TCP connection being opened: one round trip
+    HANDSHAKE: "handshake",     // Exchanging version and verack: another round trip
+    ESTABLISHED: "established", // Carrying traffic
+    CLOSING: "closing"          // Shutting down; takes no new messages
+};
+
+/**
+ * Which way a link was opened, as seen from one of its ends
+ */
+const LINK_DIRECTIONS = {
+    OUTBOUND: "outbound", // This end opened it
+    INBOUND: "inbound"    // The other end did
+};
+
+/**
+ * A bidirectional network link with its own latency and bandwidth.
+ *
+ * Each direction is a FIFO: a message can't start transmitting until the
+ * previous one in the same direction has left, so a saturated link queues.
+ * Delivery time = queueing delay + size / bandwidth + latency.
+ * Messages sent before the handshake completes wait for it.
+ */
+class Link {
+    /**
+     * @param {string} sourceId - Node that opened the link
+     * @param {string} targetId - Node that accepted it
+     * @param {{latency: number, bandwidth: number}} properties - Latency in ms, bandwidth in bytes per second
+     * @param {number} [openedAt] - Simulation time the source started connecting
+     */
+    constructor(sourceId, targetId, { latency, bandwidth }, openedAt = 0) {
+        this.sourceId = sourceId;
+        this.targetId = targetId;
+        this.latency = latency;
+        this.bandwidth = bandwidth;
+
+        this.state = LINK_STATES.CONNECTING;
+        this.openedAt = openedAt;
+        this.handshakeAt = openedAt + latency * 2;
+        this.establishedAt = this.handshakeAt + latency * 2;
+
+        // Time each direction's transmitter is busy until, keyed by sending node ID
+        this.busyUntil = new Map([[sourceId, 0], [targetId, 0]]);
+
+        // Traffic counters, in total and per sending node ID
+        this.messageCount = 0;
+        this.byteCount = 0;
+        this.sent = new Map([[sourceId, { messages: 0, bytes: 0 }], [targetId, { messages: 0, bytes: 0 }]]);
+
+        // Round trip of the last ping answered, in ms
+        this.pingTime = null;
+    }
+
+    /**
+     * Direction-independent key for the link between two nodes
+     * @param {string} a - One node ID
+     * @param {string} b - The other node ID
+     * @returns {string}
+     */
+    static key(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+
+    /**
+     * Node at the other end of the link
+     * @param {string} nodeId - One end
+     * @returns {string}
+     */
+    otherEnd(nodeId) {
+        return nodeId === this.sourceId ? this.targetId : this.sourceId;
+    }
+
+    /**
+     * Whether one end opened the link or accepted it
+     * @param {string} nodeId - One end
+     * @returns {string} One of LINK_DIRECTIONS
+     */
+    direction(nodeId) {
+        return nodeId === this.sourceId ? LINK_DIRECTIONS.OUTBOUND : LINK_DIRECTIONS.INBOUND;
+    }
+
+    /**
+     * Reserve the transmitter for a message and work out when it arrives
+     * @param {string} fromId - Sending node
+     * @param {number} size - Message size in bytes
+     * @param {number} now - Current simulation time
+     * @param {boolean} [isHandshake] - Whether the message is part of the handshake, which doesn't wait for itself
+     * @returns {{sentAt: number, deliverAt: number}} When it leaves the queue and when it arrives
+     */
+    transmit(fromId, size, now, isHandshake = false) {
+        const sentAt = Math.max(now, isHandshake ? 0 : this.establishedAt, this.busyUntil.get(fromId) ?? 0);
+        const transmissionTime = size / this.bandwidth * 1000;
+        this.busyUntil.set(fromId, sentAt + transmissionTime);
+
+        this.messageCount++;
+        this.byteCount += size;
+        const sent = this.sent.get(fromId);
+        if (sent) {
+            sent.messages++;
+            sent.bytes += size;
+        }
+
+        return {
+            sentAt,
+            deliverAt: sentAt + transmissionTime + this.latency
+        };
+    }
+
+    /**
+     * How long a new message from this node would wait before transmitting
+     * @param {string} fromId - Sending node
+     * @param {number} now - Current simulation time
+     * @returns {number} Milliseconds
+     */
+    queueDelay(fromId, now) {
+        return Math.max(0, this.establishedAt - now, (this.busyUntil.get(fromId) ?? 0) - now);
+    }
+}
+return { MESSAGE_SIZES, LINK_DEFAULTS, LINK_STATES, LINK_DIRECTIONS, Link };
+})();
+// sim/event-log.js
+const module_sim_event_log = (() => {
+const { groupAssignments } = module_sim_partition;
+const { BEHAVIORS } = module_sim_adversary;
+const { LINK_STATES } = module_sim_link;
+
+/**
+ * Format version written to exported logs. Version 2 added the state the log
+ * starts from; version 1 logs always start from an empty network.
+ */
+const LOG_VERSION = 2;
+
+/**
+ * How much of a run a log keeps, and how often it saves the network state so
+ * a replay can start from the nearest save instead of the first record
+ */
+const LOG_DEFAULTS = {
+    maxRecords: 100000,       // Past this many, the oldest records are dropped, a checkpoint's worth at a time
+    checkpointInterval: 2000  // Records between saved states
+};
+
+/**
+ * Kinds of records in an event log
+ */
+const LOG_EVENTS = {
+    NODE_JOINED: "nodeJoined",
+    NODE_LEFT: "nodeLeft",
+    NODE_MOVED: "nodeMoved",
+    LINK_ADDED: "linkAdded",
+    LINK_REMOVED: "linkRemoved",
+    LINK_STATE_CHANGED: "linkStateChanged",
+    MESSAGE_SENT: "messageSent",
+    MESSAGE_DELIVERED: "messageDelivered",
+    PHASE_CHANGED: "phaseChanged",
+    PARTITION_CHANGED: "partitionChanged",
+    CHAIN_CHANGED: "chainChanged",
+    MEMPOOL_CHANGED: "mempoolChanged",
+    ROLE_CHANGED: "roleChanged",
+    COMMITTED: "committed",
+    BEHAVIOR_CHANGED: "behaviorChanged",
+    ECLIPSE_CHANGED: "eclipseChanged"
+};
+
+/**
+ * Structured, serializable record of everything that happened in a run.
+ *
+ * Records are plain objects ordered by simulation time, e.g.
+ * { time: 100, type: "linkAdded", source: "node-0", target: "node-1" },
+ * so a log can be exported as JSON and replayed without the simulation.
+ *
+ * The state the records lead to is saved every checkpointInterval records.
+ * Once there are more than maxRecords, the oldest are dropped up to a saved
+ * state, which becomes the state the log starts from.
+ */
+class EventLog {
+    /**
+     * @param {Object} [meta]
+     * @param {number} [meta.seed] - Seed of the run being recorded
+     * @param {Object} [meta.start] - State the first record applies to, shaped like stateAt()'s result;
+     *     an empty network at time 0 if omitted
+     * @param {Object[]} [records] - Existing records, in time order
+     * @param {Partial<typeof LOG_DEFAULTS>} [options] - Settings to override
+     */
+    constructor(meta = {}, records = [], options = {}) {
+        this.seed = meta.seed;
+        this.options = { ...LOG_DEFAULTS, ...options };
+        this.records = [];
+
+        // State after the last record, and saved states: the one at records[index], before applying it
+        this.state = meta.start ? restoreState(meta.start) : emptyState();
+        this.checkpoints = [{ index: 0, time: meta.start?.time ?? 0, state: cloneState(this.state) }];
+        records.forEach(record => this.add(record));
+    }
+
+    /**
+     * Start recording a simulation's events
+     * @param {NetworkSimulation} simulation - The simulation to record
+     * @returns {Function} Call to stop recording
+     */
+    attach(simulation) {
+        const add = (type, data) => this.add({ time: simulation.now, type, ...data });
+        const unsubscribers = [
+            simulation.on("nodeAdded", ({ node }) => add(LOG_EVENTS.NODE_JOINED, {
+                nodeId: node.nodeId,
+                position: { ...node.position },
+                group: node.group,
+                height: node.chain.height,
+                hashpower: node.hashpower,
+                attributes: { ...node.attributes },
+                location: node.location && { ...node.location }
+            })),
+            simulation.on("nodeRemoved", ({ node }) => add(LOG_EVENTS.NODE_LEFT, {
+                nodeId: node.nodeId
+            })),
+            simulation.on("nodeMoved", ({ node }) => add(LOG_EVENTS.NODE_MOVED, {
+                nodeId: node.nodeId,
+                position: { ...node.position },
+                location: node.location && { ...node.location }
+            })),
+            simulation.on("linkAdded", ({ source, target, link }) => add(LOG_EVENTS.LINK_ADDED, {
+                source: source.nodeId,
+                target: target.nodeId,
+                latency: link.latency,
+                bandwidth: link.bandwidth,
+                state: link.state
+            })),
+            simulation.on("linkRemoved", ({ source, target }) => add(LOG_EVENTS.LINK_REMOVED, {
+                source: source.nodeId,
+                target: target.nodeId
+            })),
+            simulation.on("linkStateChanged", ({ link }) => add(LOG_EVENTS.LINK_STATE_CHANGED, {
+                source: link.sourceId,
+                target: link.targetId,
+                state: link.state
+            })),
+            simulation.on("messageSent", (message) => add(LOG_EVENTS.MESSAGE_SENT, {
+                messageId: message.id,
+                source: message.source.nodeId,
+                target: message.target.nodeId,
+                messageType: message.type,
+                // Replays only tell invalid payloads apart; the rest would keep whole blocks and address lists alive
+                ...(message.payload?.isInvalid ? { isInvalid: true } : {}),
+                size: message.size,
+                sentAt: message.sentAt,
+                deliverAt: message.deliverAt
+            })),
+            simulation.on("messageDelivered", (message) => add(LOG_EVENTS.MESSAGE_DELIVERED, {
+                messageId: message.id
+            })),
+            simulation.on("phaseChanged", ({ phase }) => add(LOG_EVENTS.PHASE_CHANGED, {
+                phase
+            })),
+            simulation.on("partitionChanged", ({ partition }) => add(LOG_EVENTS.PARTITION_CHANGED, {
+                groups: partition ? groupAssignments(simulation.nodes) : null,
+                severed: partition ? partition.severed.map(({ source, target }) => ({ source, target })) : []
+            })),
+            simulation.on("chainChanged", ({ node, tip, reorg }) => add(LOG_EVENTS.CHAIN_CHANGED, {
+                nodeId: node.nodeId,
+                hash: tip.hash,
+                height: tip.height,
+                reorgDepth: reorg ? reorg.depth : 0
+            })),
+            simulation.on("mempoolChanged", ({ node }) => add(LOG_EVENTS.MEMPOOL_CHANGED, {
+                nodeId: node.nodeId,
+                count: node.mempool.count,
+                bytes: node.mempool.bytes
+            })),
+            simulation.on("roleChanged", ({ node, role }) => add(LOG_EVENTS.ROLE_CHANGED, {
+                nodeId: node.nodeId,
+                role
+            })),
+            simulation.on("committed", ({ node, height }) => add(LOG_EVENTS.COMMITTED, {
+                nodeId: node.nodeId,
+                height
+            })),
+            simulation.on("behaviorChanged", ({ node }) => add(LOG_EVENTS.BEHAVIOR_CHANGED, {
+                nodeId: node.nodeId,
+                behavior: node.behavior
+            })),
+            simulation.on("eclipseChanged", ({ node }) => add(LOG_EVENTS.ECLIPSE_CHANGED, {
+                nodeId: node.nodeId,
+                isEclipsed: node.isEclipsed
+            }))
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Append a record
+     * @param {Object} record - Record with at least time and type
+     */
+    add(record) {
+        this.records.push(record);
+        applyRecord(this.state, record);
+
+        const { maxRecords, checkpointInterval } = this.options;
+        if (this.records.length - this.checkpoints[this.checkpoints.length - 1].index < checkpointInterval) return;
+        this.checkpoints.push({ index: this.records.length, time: record.time, state: cloneState(this.state) });
+
+        if (this.records.length > maxRecords) {
+            const first = this.checkpoints.findIndex(checkpoint => checkpoint.index >= this.records.length - maxRecords);
+            const dropped = this.checkpoints[first].index;
+            this.records.splice(0, dropped);
+            this.checkpoints = this.checkpoints.slice(first);
+            this.checkpoints.forEach(checkpoint => checkpoint.index -= dropped);
+        }
+    }
+
+    /**
+     * Time of the state the log starts from: 0 unless older records were dropped
+     * @returns {number}
+     */
+    get startTime() {
+        return this.checkpoints[0].time;
+    }
+
+    /**
+     * Time of the last record
+     * @returns {number}
+     */
+    get endTime() {
+        return this.records.length > 0 ? this.records[this.records.length - 1].time : this.startTime;
+    }
+
+    /**
+     * Rebuild the network state at a point in time by replaying the log from the last checkpoint before it
+     * @param {number} time - Simulation time in milliseconds; times before startTime get the state at startTime
+     * @returns {{time: number, phase: string|null, nodes: Object[], links: Object[], messages: Object[], severed: Object[]}}
+     */
+    stateAt(time) {
+        let i = this.checkpoints.length - 1;
+        while (i > 0 && this.checkpoints[i].time > time) i--;
+        const { index, state: saved } = this.checkpoints[i];
+
+        const state = cloneState(saved);
+        for (let j = index; j < this.records.length && this.records[j].time <= time; j++) {
+            applyRecord(state, this.records[j]);
+        }
+        return snapshotOf(state, time);
+    }
+
+    /**
+     * Serializable form of the log
+     * @returns {{version: number, seed: number, start: Object, records: Object[]}} start is the state the
+     *     first record applies to, shaped like stateAt()'s result
+     */
+    toJSON() {
+        const [{ time, state }] = this.checkpoints;
+        return {
+            version: LOG_VERSION,
+            seed: this.seed,
+            start: snapshotOf(state, time),
+            records: this.records
+        };
+    }
+
+    /**
+     * Load a log previously written by toJSON(), of this version or version 1.
+     * It keeps every record it was saved with.
+     * @param {string|Object} json - JSON text or parsed object
+     * @returns {EventLog}
+     * @throws {Error} If the data is not a valid event log
+     */
+    static fromJSON(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || (data.version !== 1 && data.version !== LOG_VERSION) || !Array.isArray(data.records)) {
+            throw new Error(`Not an event log (expected version ${LOG_VERSION} with a records array)`);
+        }
+        const start = data.start;
+        if (start !== undefined && (typeof start?.time !== "number" ||
+            !["nodes", "links", "messages", "severed"].every(key => Array.isArray(start[key])))) {
+            throw new Error("Invalid event log start state");
+        }
+        const startIds = new Set();
+        start?.nodes.forEach((node, index) => {
+            const position = node?.position;
+            if (typeof node?.nodeId !== "string" || startIds.has(node.nodeId) || typeof position !== "object" ||
+                ["x", "y", "z"].some(axis => typeof position?.[axis] !== "number")) {
+                throw new Error(`Invalid event log start node at index ${index}: it needs a unique nodeId and an x, y, z position`);
+            }
+            startIds.add(node.nodeId);
+        });
+        start?.links.forEach((link, index) => {
+            if (!startIds.has(link?.source) || !startIds.has(link?.target)) {
+                throw new Error(`Invalid event log start link at index ${index}: both ends must be start nodes`);
+            }
+        });
+
+        const knownTypes = new Set(Object.values(LOG_EVENTS));
+        let previousTime = start?.time ?? -Infinity;
+        data.records.forEach((record, index) => {
+            if (typeof record.time !== "number" || !knownTypes.has(record.type)) {
+                throw new Error(`Invalid event log record at index ${index}`);
+            }
+            if (record.time < previousTime) {
+                throw new Error(`Event log record at index ${index} is out of time order`);
+            }
+            previousTime = record.time;
+        });
+
+        return new EventLog({ seed: data.seed, start }, data.records, { maxRecords: Infinity });
+    }
+}
+
+/**
+ * Network with nothing in it, for replaying a log from its beginning
+ */
+function emptyState() {
+    return { nodes: new Map(), links: new Map(), messages: new Map(), phase: null, severed: [] };
+}
+
+/**
+ * Copy of a replay state that records can be applied to without changing the original.
+ * Messages are never changed once sent, so they are shared
+ */
+function cloneState(state) {
+    return {
+        nodes: new Map(Array.from(state.nodes, ([nodeId, node]) => [nodeId, { ...node }])),
+        links: new Map(Array.from(state.links, ([key, link]) => [key, { ...link }])),
+        messages: new Map(state.messages),
+        phase: state.phase,
+        severed: state.severed
+    };
+}
+
+/**
+ * Replay state from a snapshot shaped like stateAt()'s result
+ */
+function restoreState({ phase, nodes, links, messages, severed }) {
+    return {
+        nodes: new Map(nodes.map(node => [node.nodeId, { ...node }])),
+        links: new Map(links.map(link => [linkId(link.source, link.target), { ...link }])),
+        messages: new Map(messages.map(message => [message.id, message])),
+        phase,
+        severed
+    };
+}
+
+/**
+ * Replay state in the shape stateAt() returns
+ */
+function snapshotOf(state, time) {
+    return {
+        time,
+        phase: state.phase,
+        nodes: Array.from(state.nodes.values()),
+        links: Array.from(state.links.values()),
+        messages: Array.from(state.messages.values()),
+        severed: state.severed
+    };
+}
+
+/**
+ * Change a replay state by one record
+ */
+function applyRecord(state, record) {
+    const { nodes, links, messages } = state;
+    switch (record.type) {
+        case LOG_EVENTS.NODE_JOINED:
+            nodes.set(record.nodeId, {
+                nodeId: record.nodeId,
+                position: record.position,
+                group: record.group ?? null,
+                height: record.height ?? 0,
+                hashpower: record.hashpower ?? 0,
+                attributes: record.attributes ?? {},
+                location: record.location ?? null,
+                mempoolCount: 0,
+                mempoolBytes: 0,
+                role: null,
+                committedHeight: 0,
+                behavior: BEHAVIORS.HONEST,
+                isEclipsed: false
+            });
+            break;
+        case LOG_EVENTS.NODE_LEFT:
+            nodes.delete(record.nodeId);
+            break;
+        case LOG_EVENTS.NODE_MOVED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).position = record.position;
+                nodes.get(record.nodeId).location = record.location ?? null;
+            }
+            break;
+        case LOG_EVENTS.LINK_ADDED:
+            links.set(linkId(record.source, record.target), {
+                source: record.source,
+                target: record.target,
+                latency: record.latency,
+                bandwidth: record.bandwidth,
+                // Logs from before links had states only held working links
+                state: record.state ?? LINK_STATES.ESTABLISHED
+            });
+            break;
+        case LOG_EVENTS.LINK_REMOVED:
+            links.delete(linkId(record.source, record.target));
+            break;
+        case LOG_EVENTS.LINK_STATE_CHANGED:
+            if (links.has(linkId(record.source, record.target))) {
+                links.get(linkId(record.source, record.target)).state = record.state;
+            }
+            break;
+        case LOG_EVENTS.MESSAGE_SENT:
+            messages.set(record.messageId, {
+                id: record.messageId,
+                source: record.source,
+                target: record.target,
+                type: record.messageType,
+                size: record.size,
+                // Logs from before payloads were slimmed kept the whole payload
+                isInvalid: Boolean(record.isInvalid ?? record.payload?.isInvalid),
+                queuedAt: record.time,
+                sentAt: record.sentAt ?? record.time,
+                deliverAt: record.deliverAt
+            });
+            break;
+        case LOG_EVENTS.MESSAGE_DELIVERED:
+            messages.delete(record.messageId);
+            break;
+        case LOG_EVENTS.PHASE_CHANGED:
+            state.phase = record.phase;
+            break;
+        case LOG_EVENTS.PARTITION_CHANGED:
+            nodes.forEach(node => {
+                node.group = record.groups?.[node.nodeId] ?? null;
+            });
+            state.severed = record.severed;
+            break;
+        case LOG_EVENTS.CHAIN_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).height = record.height;
+            }
+            break;
+        case LOG_EVENTS.MEMPOOL_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                Object.assign(nodes.get(record.nodeId), { mempoolCount: record.count, mempoolBytes: record.bytes });
+            }
+            break;
+        case LOG_EVENTS.ROLE_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).role = record.role;
+            }
+            break;
+        case LOG_EVENTS.COMMITTED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).committedHeight = record.height;
+            }
+            break;
+        case LOG_EVENTS.BEHAVIOR_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).behavior = record.behavior;
+            }
+            break;
+        case LOG_EVENTS.ECLIPSE_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).isEclipsed = record.isEclipsed;
+            }
+            break;
+    }
+}
+
+
+/**
+ * Direction-independent key for a link
+ */
+function linkId(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+return { LOG_VERSION, LOG_DEFAULTS, LOG_EVENTS, EventLog };
+})();
+// sim/protocols/protocol.js
+const module_sim_protocols_protocol = (() => {
+const { PHASES } = module_sim_phases;
+
+/**
+ * Phases every protocol can use; the simulation runs them itself
+ * (peer discovery, and nodes joining and leaving)
+ */
+const NETWORK_PHASES = [PHASES.DISCOVERY, PHASES.NETWORK_CHANGES];
+
+/**
+ * Base class for consensus protocols.
+ *
+ * A protocol plugs into a NetworkSimulation and describes itself with static
+ * fields: `id`, `title`, `phaseNames` (phases it understands), `phases` (its
+ * default phase sequence), `messageSizes` (its message types, in bytes),
+ * `roles`, `initialNodeCount` and `usesMining` (whether nodes get hashpower).
+ * The simulation calls the hooks below; subclasses override the ones they need.
+ */
+class ConsensusProtocol {
+    static messageSizes = {};
+    static roles = {};
+    static initialNodeCount = 1;
+    static usesMining = false;
+
+    /**
+     * @param {NetworkSimulation} simulation - The simulation this protocol runs in
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.messageSizes = this.constructor.messageSizes;
+    }
+
+    /**
+     * Called once the initial nodes exist, before the first phase starts
+     */
+    start() {}
+
+    /**
+     * Called whenever a new phase begins, including the first one and any that run alongside another
+     * @param {string} phase - The new phase
+     */
+    onPhaseStart(phase) {}
+
+    /**
+     * Called every simulation step, whatever the phase
+     * @param {string[]} phases - Phases running now: the current one, then any running alongside it
+     */
+    handleStep(phases) {}
+
+    /**
+     * Handle a delivered message
+     * @param {Object} message - The message
+     * @returns {boolean} Whether the protocol consumed it
+     */
+    receive(message) {
+        return false;
+    }
+
+    /**
+     * Called when a node connects a block, and any orphans waiting on it, to its block tree, whether or not it became the tip
+     * @param {SimNode} node - The node
+     * @param {Object} block - The block
+     */
+    onBlockAccepted(node, block) {}
+
+    /**
+     * @param {SimNode} node - Node that just joined
+     */
+    onNodeAdded(node) {}
+
+    /**
+     * @param {SimNode} node - Node that just left
+     */
+    onNodeRemoved(node) {}
+
+    /**
+     * Protocol state a node holds, for views to show when it is inspected
+     * @param {SimNode} node - The node
+     * @returns {Object<string, string|number>} Label to value
+     */
+    describeNode(node) {
+        return node.role ? { "Role": node.role } : {};
+    }
+
+    /**
+     * Give a node a new role, telling views about it
+     * @param {SimNode} node - The node
+     * @param {string|null} role - One of the protocol's roles
+     */
+    setRole(node, role) {
+        if (node.role === role) return;
+        node.role = role;
+        this.simulation.emit("roleChanged", { node, role });
+    }
+
+    /**
+     * Record how far a node's replicated log or chain has been committed
+     * @param {SimNode} node - The node
+     * @param {number} height - Number of committed entries
+     */
+    setCommitted(node, height) {
+        if (node.committedHeight === height) return;
+        node.committedHeight = height;
+        this.simulation.emit("committed", { node, height });
+    }
+
+    /**
+     * Connect a node to every other node, for protocols that assume all replicas talk directly
+     * @param {SimNode} node - The node
+     */
+    connectToAll(node) {
+        this.simulation.nodes.forEach(other => this.simulation.connect(node, other));
+    }
+
+    /**
+     * Send the same message to every peer of a node
+     * @param {SimNode} source - Sending node
+     * @param {string} type - Message type
+     * @param {Object} payload - Message contents
+     */
+    multicast(source, type, payload) {
+        source.connections.forEach(peerId => {
+            const peer = this.simulation.getNode(peerId);
+            if (peer) {
+                this.simulation.sendMessage(source, peer, type, payload);
+            }
+        });
+    }
+}
+return { NETWORK_PHASES, ConsensusProtocol };
+})();
+// sim/protocols/bitcoin.js
+const module_sim_protocols_bitcoin = (() => {
+const { PHASES, PHASE_DURATIONS } = module_sim_phases;
+const { ConsensusProtocol } = module_sim_protocols_protocol;
+
+/**
+ * Nakamoto consensus: proof-of-work mining, longest-chain sync and
+ * transaction gossip. This is the simulation's original behaviour; the
+ * blockchain, mempool and mining code all lives in NetworkSimulation.
+ */
+class BitcoinProtocol extends ConsensusProtocol {
+    static id = "bitcoin";
+    static title = "Bitcoin";
+    static phaseNames = Object.values(PHASES);
+    static phases = [
+        { phase: PHASES.NETWORK_CHANGES, duration: PHASE_DURATIONS[PHASES.NETWORK_CHANGES] },
+        { phase: PHASES.DISCOVERY, duration: PHASE_DURATIONS[PHASES.DISCOVERY] },
+        { phase: PHASES.SYNCING, duration: PHASE_DURATIONS[PHASES.SYNCING] },
+        { phase: PHASES.PROCESSING, duration: PHASE_DURATIONS[PHASES.PROCESSING] }
+    ];
+    static usesMining = true;
+
+    start() {
+        this.simulation.scheduleNextBlock();
+    }
+
+    handleStep(phases) {
+        this.simulation.handleAttackers(phases);
+        if (phases.includes(PHASES.SYNCING)) {
+            this.simulation.handleSyncingPhase();
+        }
+        if (phases.includes(PHASES.PROCESSING)) {
+            this.simulation.handleProcessingPhase();
+        }
+    }
+
+    describeNode(node) {
+        return {
+            ...super.describeNode(node),
+            "Chain height": node.chain.height,
+            "Tip": node.chain.tip.hash,
+            "Best known height": node.bestKnownHeight,
+            "Mempool": `${node.mempool.count} txs`,
+            "Hashpower": node.hashpower,
+            "Known addresses": node.knownAddresses.size
+        };
+    }
+}
+return { BitcoinProtocol };
+})();
+// sim/protocols/raft.js
+const module_sim_protocols_raft = (() => {
+const { ConsensusProtocol } = module_sim_protocols_protocol;
+
+/**
+ * Phases of a Raft run
+ */
+const RAFT_PHASES = {
+    ELECTION: "raft_election",      // The leader crashes and the followers elect a new one
+    REPLICATION: "raft_replication" // The leader appends commands and replicates them
+};
+
+/**
+ * Roles a Raft server can have
+ */
+const RAFT_ROLES = {
+    FOLLOWER: "follower",
+    CANDIDATE: "candidate",
+    LEADER: "leader"
+};
+
+// Range of randomized election timeouts, in ms
+const ELECTION_TIMEOUT_MIN = 1500;
+const ELECTION_TIMEOUT_MAX = 3000;
+
+// How often the leader sends appendEntries, empty or not, in ms
+const HEARTBEAT_INTERVAL = 500;
+
+// How often the leader takes a new client command during replication, in ms
+const COMMAND_INTERVAL = 1000;
+
+/**
+ * Raft: a leader, elected by a majority for a numbered term, appends
+ * commands to its log and replicates them to the followers. An entry is
+ * committed once a majority of servers store it. Followers that stop
+ * hearing from the leader start an election for the next term.
+ *
+ * Log positions are counts of entries, so index 0 means an empty log.
+ */
+class RaftProtocol extends ConsensusProtocol {
+    static id = "raft";
+    static title = "Raft";
+    static phaseNames = Object.values(RAFT_PHASES);
+    static phases = [
+        { phase: RAFT_PHASES.ELECTION, duration: 6000 },
+        { phase: RAFT_PHASES.REPLICATION, duration: 10000 }
+    ];
+    static roles = RAFT_ROLES;
+    static messageSizes = {
+        requestVote: 100,
+        vote: 50,
+        appendEntries: 150,
+        appendResponse: 50
+    };
+    static initialNodeCount = 5;
+
+    constructor(simulation) {
+        super(simulation);
+        this.nextCommandAt = 0;
+        this.commandCount = 0;
+    }
+
+    onNodeAdded(node) {
+        node.raft = {
+            term: 0,
+            votedFor: null,
+            votes: new Set(),
+            log: [],            // { term, command }
+            commitIndex: 0,
+            electionDeadline: this.randomDeadline(),
+            nextHeartbeatAt: 0,
+            nextIndex: new Map(),  // Leader only: how much of its log each follower is believed to have
+            matchIndex: new Map(), // Leader only: how much of its log each follower is known to have
+            isDown: false
+        };
+        this.connectToAll(node);
+        this.setRole(node, RAFT_ROLES.FOLLOWER);
+    }
+
+    describeNode(node) {
+        const state = node.raft;
+        return {
+            ...super.describeNode(node),
+            "Committed": node.committedHeight,
+            "Term": state.term,
+            "Voted for": state.votedFor ?? "nobody",
+            "Log": `${state.log.length} entries`,
+            "Down": state.isDown ? "yes" : "no"
+        };
+    }
+
+    onPhaseStart(phase) {
+        const nodes = this.simulation.nodes;
+        if (phase === RAFT_PHASES.ELECTION) {
+            // The leader crashes; the followers time out and elect a new one
+            nodes.filter(node => node.role === RAFT_ROLES.LEADER).forEach(node => {
+                node.raft.isDown = true;
+                this.setRole(node, RAFT_ROLES.FOLLOWER);
+            });
+        } else if (phase === RAFT_PHASES.REPLICATION) {
+            // Crashed servers come back with a stale term and learn the new one
+            nodes.forEach(node => {
+                if (node.raft.isDown) {
+                    node.raft.isDown = false;
+                    node.raft.electionDeadline = this.randomDeadline();
+                }
+            });
+            this.nextCommandAt = this.simulation.now;
+        }
+    }
+
+    handleStep(phases) {
+        const now = this.simulation.now;
+        this.simulation.nodes.forEach(node => {
+            const state = node.raft;
+            if (state.isDown) return;
+
+            if (node.role === RAFT_ROLES.LEADER) {
+                if (phases.includes(RAFT_PHASES.REPLICATION) && now >= this.nextCommandAt) {
+                    state.log.push({ term: state.term, command: `cmd-${this.commandCount++}` });
+                    this.nextCommandAt = now + COMMAND_INTERVAL;
+                }
+                if (now >= state.nextHeartbeatAt) {
+                    this.sendHeartbeats(node);
+                }
+            } else if (now >= state.electionDeadline) {
+                this.startElection(node);
+            }
+        });
+    }
+
+    receive(message) {
+        const { source, target, type, payload } = message;
+        if (!(type in RaftProtocol.messageSizes)) {
+            return false;
+        }
+        const state = target.raft;
+        if (state.isDown) {
+            return true; // Crashed servers drop everything
+        }
+        if (payload.term > state.term) {
+            this.becomeFollower(target, payload.term);
+        }
+
+        switch (type) {
+            case "requestVote": {
+                const lastTerm = state.log[state.log.length - 1]?.term ?? 0;
+                const isUpToDate = payload.lastLogTerm > lastTerm ||
+                    (payload.lastLogTerm === lastTerm && payload.lastLogIndex >= state.log.length);
+                const granted = payload.term === state.term && isUpToDate &&
+                    (state.votedFor === null || state.votedFor === source.nodeId);
+                if (granted) {
+                    state.votedFor = source.nodeId;
+                    state.electionDeadline = this.randomDeadline();
+                }
+                this.simulation.sendMessage(target, source, "vote", { term: state.term, granted });
+                break;
+            }
+            case "vote":
+                if (target.role === RAFT_ROLES.CANDIDATE && payload.term === state.term && payload.granted) {
+                    state.votes.add(source.nodeId);
+                    if (state.votes.size > this.simulation.nodes.length / 2) {
+                        this.becomeLeader(target);
+                    }
+                }
+                break;
+            case "appendEntries":
+                this.handleAppendEntries(target, source, payload);
+                break;
+            case "appendResponse":
+                if (target.role === RAFT_ROLES.LEADER && payload.term === state.term) {
+                    if (payload.success) {
+                        state.matchIndex.set(source.nodeId, payload.matchIndex);
+                        state.nextIndex.set(source.nodeId, payload.matchIndex);
+                        this.advanceCommitIndex(target);
+                    } else {
+                        // Back off and retry with an earlier entry on the next heartbeat
+                        state.nextIndex.set(source.nodeId, Math.max(0, (state.nextIndex.get(source.nodeId) ?? 0) - 1));
+                    }
+                }
+                break;
+        }
+        return true;
+    }
+
+    onNodeRemoved(node) {
+        this.simulation.nodes.forEach(other => {
+            other.raft.nextIndex.delete(node.nodeId);
+            other.raft.matchIndex.delete(node.nodeId);
+        });
+    }
+
+    /**
+     * Vote for ourselves in a new term and ask everyone else for their vote
+     * @param {SimNode} node - Server whose election timeout ran out
+     */
+    startElection(node) {
+        const state = node.raft;
+        state.term++;
+        state.votedFor = node.nodeId;
+        state.votes = new Set([node.nodeId]);
+        state.electionDeadline = this.randomDeadline();
+        this.setRole(node, RAFT_ROLES.CANDIDATE);
+
+        this.multicast(node, "requestVote", {
+            term: state.term,
+            lastLogIndex: state.log.length,
+            lastLogTerm: state.log[state.log.length - 1]?.term ?? 0
+        });
+    }
+
+    becomeLeader(node) {
+        const state = node.raft;
+        state.nextIndex = new Map(Array.from(node.connections, peerId => [peerId, state.log.length]));
+        state.matchIndex = new Map(Array.from(node.connections, peerId => [peerId, 0]));
+        this.setRole(node, RAFT_ROLES.LEADER);
+        this.sendHeartbeats(node); // Announce ourselves before anyone else times out
+    }
+
+    becomeFollower(node, term) {
+        const state = node.raft;
+        state.term = term;
+        state.votedFor = null;
+        state.votes = new Set();
+        this.setRole(node, RAFT_ROLES.FOLLOWER);
+    }
+
+    /**
+     * Send every follower the entries it's missing, or an empty heartbeat
+     * @param {SimNode} leader - The leader
+     */
+    sendHeartbeats(leader) {
+        const state = leader.raft;
+        state.nextHeartbeatAt = this.simulation.now + HEARTBEAT_INTERVAL;
+        leader.connections.forEach(peerId => {
+            const peer = this.simulation.getNode(peerId);
+            if (!peer) return;
+            const prevIndex = Math.min(state.nextIndex.get(peerId) ?? state.log.length, state.log.length);
+            const entries = state.log.slice(prevIndex);
+            this.simulation.sendMessage(leader, peer, "appendEntries", {
+                term: state.term,
+                prevIndex,
+                prevTerm: state.log[prevIndex - 1]?.term ?? 0,
+                entries,
+                leaderCommit: state.commitIndex
+            }, RaftProtocol.messageSizes.appendEntries + entries.length * 50);
+        });
+    }
+
+    handleAppendEntries(node, leader, payload) {
+        const state = node.raft;
+        if (payload.term < state.term) {
+            this.simulation.sendMessage(node, leader, "appendResponse", { term: state.term, success: false });
+            return;
+        }
+
+        // A current leader exists: stop any election of our own
+        if (node.role !== RAFT_ROLES.FOLLOWER) {
+            this.becomeFollower(node, payload.term);
+        }
+        state.electionDeadline = this.randomDeadline();
+
+        const matches = payload.prevIndex === 0 ||
+            (state.log.length >= payload.prevIndex && state.log[payload.prevIndex - 1].term === payload.prevTerm);
+        if (!matches) {
+            this.simulation.sendMessage(node, leader, "appendResponse", { term: state.term, success: false });
+            return;
+        }
+
+        // Drop anything after the matching entry that the leader doesn't have, then append
+        state.log.splice(payload.prevIndex, Infinity, ...payload.entries);
+        const matchIndex = payload.prevIndex + payload.entries.length;
+        this.commitUpTo(node, Math.min(payload.leaderCommit, matchIndex));
+        this.simulation.sendMessage(node, leader, "appendResponse", { term: state.term, success: true, matchIndex });
+    }
+
+    /**
+     * Commit the highest entry of the leader's term that a majority stores
+     * @param {SimNode} leader - The leader
+     */
+    advanceCommitIndex(leader) {
+        const state = leader.raft;
+        const majority = this.simulation.nodes.length / 2;
+        for (let index = state.log.length; index > state.commitIndex; index--) {
+            const stored = 1 + Array.from(state.matchIndex.values()).filter(match => match >= index).length;
+            if (stored > majority && state.log[index - 1].term === state.term) {
+                this.commitUpTo(leader, index);
+                return;
+            }
+        }
+    }
+
+    commitUpTo(node, index) {
+        if (index > node.raft.commitIndex) {
+            node.raft.commitIndex = index;
+            this.setCommitted(node, index);
+        }
+    }
+
+    randomDeadline() {
+        return this.simulation.now + this.simulation.random.range(ELECTION_TIMEOUT_MIN, ELECTION_TIMEOUT_MAX);
+    }
+}
+return { RAFT_PHASES, RAFT_ROLES, RaftProtocol };
+})();
+// sim/protocols/pbft.js
+const module_sim_protocols_pbft = (() => {
+const { ConsensusProtocol } = module_sim_protocols_protocol;
+
+/**
+ * Phases of one PBFT round, which the replicas run in lockstep
+ */
+const PBFT_PHASES = {
+    PRE_PREPARE: "pbft_pre_prepare", // The primary assigns the request a sequence number
+    PREPARE: "pbft_prepare",         // Replicas agree on that order
+    COMMIT: "pbft_commit"            // Replicas agree that enough of them agree, and execute
+};
+
+/**
+ * Roles a PBFT replica can have
+ */
+const PBFT_ROLES = {
+    PRIMARY: "primary",
+    REPLICA: "replica"
+};
+
+// Chance that the primary of a round stays silent, forcing a view change
+const FAULTY_PRIMARY_PROBABILITY = 0.25;
+
+/**
+ * Practical Byzantine Fault Tolerance: n = 3f + 1 replicas tolerate f faulty
+ * ones. The primary of the current view pre-prepares a request; a replica is
+ * prepared once it holds the pre-prepare and 2f matching prepares, and
+ * commits once it sees 2f + 1 matching commits. A round that fails to commit
+ * on a quorum triggers a view change to the next primary.
+ */
+class PbftProtocol extends ConsensusProtocol {
+    static id = "pbft";
+    static title = "PBFT";
+    static phaseNames = Object.values(PBFT_PHASES);
+    static phases = [
+        { phase: PBFT_PHASES.PRE_PREPARE, duration: 4000 },
+        { phase: PBFT_PHASES.PREPARE, duration: 4000 },
+        { phase: PBFT_PHASES.COMMIT, duration: 4000 }
+    ];
+    static roles = PBFT_ROLES;
+    static messageSizes = {
+        preprepare: 250,
+        prepare: 100,
+        commit: 100
+    };
+    static initialNodeCount = 4;
+
+    constructor(simulation) {
+        super(simulation);
+        this.view = 0;
+        this.sequence = 0;
+        this.round = null; // { view, sequence, digest } of the round in progress
+    }
+
+    /**
+     * Faulty replicas the current cluster tolerates
+     * @returns {number}
+     */
+    get faultTolerance() {
+        return Math.floor((this.simulation.nodes.length - 1) / 3);
+    }
+
+    onNodeAdded(node) {
+        node.pbft = { prePrepared: null, prepares: new Set(), commits: new Set(), isPrepared: false, isCommitted: false };
+        this.connectToAll(node);
+        this.setRole(node, PBFT_ROLES.REPLICA);
+    }
+
+    describeNode(node) {
+        const state = node.pbft;
+        return {
+            ...super.describeNode(node),
+            "Committed": node.committedHeight,
+            "View": this.view,
+            "Pre-prepared": state.prePrepared ?? "nothing",
+            "Prepares": `${state.prepares.size} of ${2 * this.faultTolerance}${state.isPrepared ? " (prepared)" : ""}`,
+            "Commits": `${state.commits.size} of ${2 * this.faultTolerance + 1}${state.isCommitted ? " (committed)" : ""}`
+        };
+    }
+
+    onPhaseStart(phase) {
+        const nodes = this.simulation.nodes;
+        if (nodes.length === 0) return;
+
+        if (phase === PBFT_PHASES.PRE_PREPARE) {
+            if (this.round) {
+                // Without a quorum of commits the primary is suspected faulty: move to the next view
+                const committed = nodes.filter(node => node.pbft.isCommitted).length;
+                if (committed < 2 * this.faultTolerance + 1) {
+                    this.view++;
+                }
+            }
+
+            this.sequence++;
+            this.round = { view: this.view, sequence: this.sequence, digest: `req-${this.sequence}` };
+            const primary = nodes[this.view % nodes.length];
+            nodes.forEach(node => {
+                node.pbft = { prePrepared: null, prepares: new Set(), commits: new Set(), isPrepared: false, isCommitted: false };
+                this.setRole(node, node === primary ? PBFT_ROLES.PRIMARY : PBFT_ROLES.REPLICA);
+            });
+
+            if (!this.simulation.random.chance(FAULTY_PRIMARY_PROBABILITY)) {
+                primary.pbft.prePrepared = this.round.digest;
+                this.multicast(primary, "preprepare", this.round);
+            }
+        } else if (phase === PBFT_PHASES.PREPARE) {
+            // Backups that accepted the pre-prepare tell everyone
+            nodes.filter(node => node.role === PBFT_ROLES.REPLICA && node.pbft.prePrepared).forEach(node => {
+                node.pbft.prepares.add(node.nodeId);
+                this.multicast(node, "prepare", this.round);
+                this.checkPrepared(node);
+            });
+        } else if (phase === PBFT_PHASES.COMMIT) {
+            nodes.filter(node => node.pbft.isPrepared).forEach(node => {
+                node.pbft.commits.add(node.nodeId);
+                this.multicast(node, "commit", this.round);
+                this.checkCommitted(node);
+            });
+        }
+    }
+
+    receive(message) {
+        const { source, target, type, payload } = message;
+        if (!(type in PbftProtocol.messageSizes)) {
+            return false;
+        }
+        const round = this.round;
+        if (!round || payload.view !== round.view || payload.sequence !== round.sequence || payload.digest !== round.digest) {
+            return true; // From an earlier round or view
+        }
+
+        const state = target.pbft;
+        switch (type) {
+            case "preprepare":
+                if (source.role === PBFT_ROLES.PRIMARY) {
+                    state.prePrepared = payload.digest;
+                }
+                break;
+            case "prepare":
+                state.prepares.add(source.nodeId);
+                this.checkPrepared(target);
+                break;
+            case "commit":
+                state.commits.add(source.nodeId);
+                this.checkCommitted(target);
+                break;
+        }
+        return true;
+    }
+
+    checkPrepared(node) {
+        const state = node.pbft;
+        if (!state.isPrepared && state.prePrepared && state.prepares.size >= 2 * this.faultTolerance) {
+            state.isPrepared = true;
+        }
+    }
+
+    checkCommitted(node) {
+        const state = node.pbft;
+        if (!state.isCommitted && state.isPrepared && state.commits.size >= 2 * this.faultTolerance + 1) {
+            state.isCommitted = true;
+            this.setCommitted(node, node.committedHeight + 1);
+        }
+    }
+}
+return { PBFT_PHASES, PBFT_ROLES, PbftProtocol };
+})();
+// sim/protocols/pos.js
+const module_sim_protocols_pos = (() => {
+const { ConsensusProtocol } = module_sim_protocols_protocol;
+
+/**
+ * Phases of one proof-of-stake slot
+ */
+const POS_PHASES = {
+    PROPOSAL: "pos_proposal",      // A validator picked by stake proposes a block
+    ATTESTATION: "pos_attestation" // Validators vote for it; 2/3 of stake finalizes it
+};
+
+/**
+ * Roles a validator can have during a slot
+ */
+const POS_ROLES = {
+    PROPOSER: "proposer",
+    VALIDATOR: "validator"
+};
+
+// Range of stake given to validators that don't declare one
+const MIN_STAKE = 1;
+const MAX_STAKE = 32;
+
+// Attestations for proposals older than this many slots are dropped, finalized or not
+const ATTESTATION_SLOTS = 4;
+
+/**
+ * A simple proof-of-stake chain. Every slot one validator, chosen with odds
+ * proportional to its stake, proposes a block on its tip. Validators that
+ * adopted the block attest to it, and each validator finalizes the block
+ * once attestations from two thirds of all stake have reached it.
+ */
+class ProofOfStakeProtocol extends ConsensusProtocol {
+    static id = "pos";
+    static title = "Proof of Stake";
+    static phaseNames = Object.values(POS_PHASES);
+    static phases = [
+        { phase: POS_PHASES.PROPOSAL, duration: 3000 },
+        { phase: POS_PHASES.ATTESTATION, duration: 4000 }
+    ];
+    static roles = POS_ROLES;
+    static messageSizes = {
+        attestation: 120
+    };
+    static initialNodeCount = 6;
+
+    constructor(simulation) {
+        super(simulation);
+        this.proposal = null; // Hash of the block proposed this slot
+        this.recentProposals = []; // Hashes of the last ATTESTATION_SLOTS proposals, oldest first
+    }
+
+    /**
+     * Stake of every validator together
+     * @returns {number}
+     */
+    get totalStake() {
+        return this.simulation.nodes.reduce((sum, node) => sum + node.stake, 0);
+    }
+
+    onNodeAdded(node) {
+        const declared = this.simulation.scenario.nodes.find(entry => entry.id === node.nodeId);
+        node.stake = declared?.stake ?? MIN_STAKE + this.simulation.random.int(MAX_STAKE - MIN_STAKE + 1);
+        node.attestations = new Map(); // Block hash to the validators attesting to it
+        this.connectToAll(node);
+        this.setRole(node, POS_ROLES.VALIDATOR);
+    }
+
+    describeNode(node) {
+        const voters = this.proposal ? node.attestations.get(this.proposal) : undefined;
+        return {
+            ...super.describeNode(node),
+            "Committed": node.committedHeight,
+            "Chain height": node.chain.height,
+            "Stake": `${node.stake} of ${this.totalStake}`,
+            "Attestations": voters ? `${voters.size} for ${this.proposal}` : "none pending"
+        };
+    }
+
+    onPhaseStart(phase) {
+        const nodes = this.simulation.nodes;
+        if (nodes.length === 0) return;
+
+        if (phase === POS_PHASES.PROPOSAL) {
+            const proposer = this.pickProposer(nodes);
+            nodes.forEach(node => {
+                this.setRole(node, node === proposer ? POS_ROLES.PROPOSER : POS_ROLES.VALIDATOR);
+            });
+            this.proposal = this.simulation.broadcast(proposer, "block").id;
+            this.recentProposals = [...this.recentProposals, this.proposal].slice(-ATTESTATION_SLOTS);
+            nodes.forEach(node => this.pruneAttestations(node));
+        } else if (phase === POS_PHASES.ATTESTATION && this.proposal) {
+            nodes.filter(node => node.chain.tip.hash === this.proposal).forEach(node => {
+                this.addAttestation(node, node, this.proposal);
+                this.multicast(node, "attestation", { hash: this.proposal });
+            });
+        }
+    }
+
+    receive(message) {
+        if (message.type !== "attestation") {
+            return false;
+        }
+        this.addAttestation(message.target, message.source, message.payload.hash);
+        return true;
+    }
+
+    onBlockAccepted(node) {
+        // Attestations can arrive before the block they are for
+        Array.from(node.attestations.keys()).forEach(hash => this.checkFinality(node, hash));
+    }
+
+    /**
+     * Count a validator's vote at a node
+     * @param {SimNode} node - Node tallying the votes
+     * @param {SimNode} validator - Validator that attested
+     * @param {string} hash - Block it attested to
+     */
+    addAttestation(node, validator, hash) {
+        if (!this.recentProposals.includes(hash)) return;
+        const voters = node.attestations.get(hash) ?? new Set();
+        voters.add(validator);
+        node.attestations.set(hash, voters);
+        this.checkFinality(node, hash);
+    }
+
+    /**
+     * Finalize a block at a node once it holds the block and attestations from two thirds of stake
+     * @param {SimNode} node - Node tallying the votes
+     * @param {string} hash - Block attested to
+     */
+    checkFinality(node, hash) {
+        const block = node.chain.blocks.get(hash);
+        const voters = node.attestations.get(hash);
+        if (!block || !voters) return;
+
+        const attestedStake = Array.from(voters).reduce((sum, voter) => sum + voter.stake, 0);
+        if (attestedStake * 3 >= this.totalStake * 2 && block.height > node.committedHeight) {
+            this.setCommitted(node, block.height);
+        }
+        if (block.height <= node.committedHeight) {
+            node.attestations.delete(hash);
+        }
+    }
+
+    /**
+     * Drop a node's attestations for proposals that are too old, or at or below the height it has finalized
+     * @param {SimNode} node - Node tallying the votes
+     */
+    pruneAttestations(node) {
+        Array.from(node.attestations.keys()).forEach(hash => {
+            const block = node.chain.blocks.get(hash);
+            if (!this.recentProposals.includes(hash) || (block && block.height <= node.committedHeight)) {
+                node.attestations.delete(hash);
+            }
+        });
+    }
+
+    /**
+     * Pick the slot's proposer with odds proportional to stake
+     * @param {SimNode[]} nodes - Validators
+     * @returns {SimNode}
+     */
+    pickProposer(nodes) {
+        let roll = this.simulation.random.next() * this.totalStake;
+        return nodes.find(node => (roll -= node.stake) < 0) ?? nodes[nodes.length - 1];
+    }
+}
+return { POS_PHASES, POS_ROLES, ProofOfStakeProtocol };
+})();
+// sim/protocols/index.js
+const module_sim_protocols_index = (() => {
+const { BitcoinProtocol } = module_sim_protocols_bitcoin;
+const { RaftProtocol } = module_sim_protocols_raft;
+const { PbftProtocol } = module_sim_protocols_pbft;
+const { ProofOfStakeProtocol } = module_sim_protocols_pos;
+
+
+
+
+
+
+
+/**
+ * Consensus protocols a scenario can pick with its "protocol" field
+ */
+const PROTOCOLS = {
+    [BitcoinProtocol.id]: BitcoinProtocol,
+    [RaftProtocol.id]: RaftProtocol,
+    [PbftProtocol.id]: PbftProtocol,
+    [ProofOfStakeProtocol.id]: ProofOfStakeProtocol
+};
+
+/**
+ * Instantiate a protocol by name
+ * @param {string} name - Key of PROTOCOLS
+ * @param {NetworkSimulation} simulation - Simulation it runs in
+ * @returns {ConsensusProtocol}
+ */
+function createProtocol(name, simulation) {
+    const Protocol = PROTOCOLS[name];
+    if (!Protocol) {
+        throw new Error(`Unknown consensus protocol "${name}"`);
+    }
+    return new Protocol(simulation);
+}
+return { ConsensusProtocol: module_sim_protocols_protocol.ConsensusProtocol, NETWORK_PHASES: module_sim_protocols_protocol.NETWORK_PHASES, RAFT_PHASES: module_sim_protocols_raft.RAFT_PHASES, RAFT_ROLES: module_sim_protocols_raft.RAFT_ROLES, PBFT_PHASES: module_sim_protocols_pbft.PBFT_PHASES, PBFT_ROLES: module_sim_protocols_pbft.PBFT_ROLES, POS_PHASES: module_sim_protocols_pos.POS_PHASES, POS_ROLES: module_sim_protocols_pos.POS_ROLES, BitcoinProtocol, RaftProtocol, PbftProtocol, ProofOfStakeProtocol, PROTOCOLS, createProtocol };
+})();
+// sim/topology.js
+const module_sim_topology = (() => {
+/**
+ * Graph shapes the network can be built in.
+ *
+ * Each topology has a title, its tunable parameters (default value and range,
+ * which views turn into sliders), and two functions:
+ * - generate(nodes, params, random) returns [initiator, acceptor] pairs that
+ *   build the whole graph at once, for the initial network;
+ * - pickPeer(node, params, graph) picks the peer a node should link to next
+ *   during discovery, or returns undefined when the node has all it wants.
+ *   graph is { nodes, random, candidates(node), outboundCount(node) }, where
+ *   candidates are the nodes it could link to right now.
+ */
+const TOPOLOGIES = {
+    random: {
+        title: "Erdős–Rényi",
+        params: {
+            probability: { value: 0.3, min: 0.05, max: 1, step: 0.05, label: "Link chance" }
+        },
+        generate(nodes, { probability }, random) {
+            const edges = [];
+            nodes.forEach((a, i) => {
+                nodes.slice(i + 1).forEach(b => {
+                    if (random.chance(probability)) edges.push([a, b]);
+                });
+            });
+            return edges;
+        },
+        pickPeer(node, { probability }, graph) {
+            // Stop at the degree the same probability gives a freshly generated graph
+            if (node.connections.size >= probability * (graph.nodes.length - 1)) return undefined;
+            return pickFrom(graph.random, graph.candidates(node));
+        }
+    },
+
+    small_world: {
+        title: "Watts–Strogatz",
+        params: {
+            neighbors: { value: 4, min: 2, max: 10, step: 2, label: "Neighbors" },
+            rewireProbability: { value: 0.1, min: 0, max: 1, step: 0.05, label: "Rewire chance" }
+        },
+        generate(nodes, { neighbors, rewireProbability }, random) {
+            // A ring where everyone links to their nearest neighbors, with some links rewired to random nodes
+            const ring = angularOrder(nodes);
+            const edges = new EdgeSet();
+            ring.forEach((node, i) => {
+                for (let j = 1; j <= neighbors / 2 && j < ring.length; j++) {
+                    let other = ring[(i + j) % ring.length];
+                    if (random.chance(rewireProbability)) {
+                        other = random.pick(ring);
+                    }
+                    edges.add(node, other);
+                }
+            });
+            return edges.list;
+        },
+        pickPeer(node, { neighbors, rewireProbability }, graph) {
+            if (node.connections.size >= neighbors) return undefined;
+            const candidates = graph.candidates(node);
+            if (candidates.length === 0 || graph.random.chance(rewireProbability)) {
+                return pickFrom(graph.random, candidates);
+            }
+            return nearestByAngle(node, candidates);
+        }
+    },
+
+    scale_free: {
+        title: "Barabási–Albert",
+        params: {
+            edgesPerNode: { value: 2, min: 1, max: 6, step: 1, label: "Links per node" }
+        },
+        generate(nodes, { edgesPerNode }, random) {
+            // Nodes arrive one by one and link to existing ones with odds proportional to their degree
+            const edges = new EdgeSet();
+            nodes.forEach((node, i) => {
+                const existing = nodes.slice(0, i);
+                const wanted = Math.min(edgesPerNode, existing.length);
+                while (edges.degreeOf(node) < wanted) {
+                    const open = existing.filter(other => !edges.has(node, other));
+                    edges.add(node, pickByDegree(random, open, other => edges.degreeOf(other)));
+                }
+            });
+            return edges.list;
+        },
+        pickPeer(node, { edgesPerNode }, graph) {
+            if (node.connections.size >= edgesPerNode) return undefined;
+            return pickByDegree(graph.random, graph.candidates(node), other => other.connections.size);
+        }
+    },
+
+    ring: {
+        title: "Ring",
+        params: {},
+        generate(nodes) {
+            const ring = angularOrder(nodes);
+            const edges = new EdgeSet();
+            ring.forEach((node, i) => edges.add(node, ring[(i + 1) % ring.length]));
+            return edges.list;
+        },
+        pickPeer(node, params, graph) {
+            // The nodes either side of this one around the circle
+            const ring = angularOrder(graph.nodes);
+            const index = ring.indexOf(node);
+            const sides = [ring[(index + 1) % ring.length], ring[(index - 1 + ring.length) % ring.length]];
+            const candidates = graph.candidates(node);
+            return sides.find(other => candidates.includes(other));
+        }
+    },
+
+    grid: {
+        title: "Grid",
+        params: {
+            columns: { value: 0, min: 0, max: 10, step: 1, label: "Columns (0 = square)" }
+        },
+        generate(nodes, { columns }) {
+            const edges = new EdgeSet();
+            nodes.forEach((node, index) => {
+                gridNeighbors(index, nodes.length, columns).forEach(other => edges.add(node, nodes[other]));
+            });
+            return edges.list;
+        },
+        pickPeer(node, { columns }, graph) {
+            // Grid cells follow the order nodes joined in
+            const candidates = graph.candidates(node);
+            return gridNeighbors(graph.nodes.indexOf(node), graph.nodes.length, columns)
+                .map(index => graph.nodes[index])
+                .find(other => candidates.includes(other));
+        }
+    },
+
+    bitcoin: {
+        title: "Bitcoin-like",
+        params: {
+            outbound: { value: 8, min: 1, max: 16, step: 1, label: "Outbound peers" },
+            maxConnections: { value: 125, min: 8, max: 125, step: 1, label: "Max connections" }
+        },
+        generate(nodes, { outbound, maxConnections }, random) {
+            // Every node opens its outbound connections to random peers that still have free slots.
+            // Nodes with free slots stay listed in join order, and each pick counts past the node and
+            // its peers rather than filtering them out, so big networks aren't rescanned per link
+            const edges = new EdgeSet();
+            const open = nodes.slice();
+            let indexOf = new Map(open.map((node, i) => [node, i]));
+            nodes.forEach(node => {
+                for (let i = 0; i < outbound; i++) {
+                    const skipped = [node, ...edges.neighborsOf(node)]
+                        .map(other => indexOf.get(other))
+                        .filter(index => index !== undefined)
+                        .sort((a, b) => a - b);
+                    if (open.length === skipped.length || edges.degreeOf(node) >= maxConnections) break;
+
+                    let index = random.int(open.length - skipped.length);
+                    for (const skip of skipped) {
+                        if (skip > index) break;
+                        index++;
+                    }
+                    const peer = open[index];
+                    edges.add(node, peer);
+                    const full = [node, peer].filter(end => edges.degreeOf(end) >= maxConnections);
+                    if (full.length > 0) {
+                        full.forEach(end => open.splice(open.indexOf(end), 1));
+                        indexOf = new Map(open.map((other, j) => [other, j]));
+                    }
+                }
+            });
+            return edges.list;
+        },
+        pickPeer(node, { outbound, maxConnections }, graph) {
+            if (graph.outboundCount(node) >= outbound || node.connections.size >= maxConnections) return undefined;
+            return pickFrom(graph.random, graph.candidates(node).filter(other => other.connections.size < maxConnections));
+        }
+    }
+};
+
+/**
+ * Default parameters of a topology
+ * @param {string} type - Key of TOPOLOGIES
+ * @returns {Object<string, number>}
+ */
+function topologyDefaults(type) {
+    return Object.fromEntries(Object.entries(TOPOLOGIES[type].params).map(([name, param]) => [name, param.value]));
+}
+
+/**
+ * Undirected edges without duplicates or self-loops, in the order they were added
+ */
+class EdgeSet {
+    constructor() {
+        this.list = [];
+        this.keys = new Set();
+        this.degrees = new Map();
+        this.neighbors = new Map();
+    }
+
+    has(a, b) {
+        return this.keys.has(edgeKey(a, b));
+    }
+
+    degreeOf(node) {
+        return this.degrees.get(node) ?? 0;
+    }
+
+    neighborsOf(node) {
+        return this.neighbors.get(node) ?? [];
+    }
+
+    add(a, b) {
+        if (a === b || this.has(a, b)) return;
+        this.keys.add(edgeKey(a, b));
+        this.list.push([a, b]);
+        this.degrees.set(a, this.degreeOf(a) + 1);
+        this.degrees.set(b, this.degreeOf(b) + 1);
+        [[a, b], [b, a]].forEach(([from, to]) => {
+            if (!this.neighbors.has(from)) this.neighbors.set(from, []);
+            this.neighbors.get(from).push(to);
+        });
+    }
+}
+
+function edgeKey(a, b) {
+    return a.nodeId < b.nodeId ? `${a.nodeId}|${b.nodeId}` : `${b.nodeId}|${a.nodeId}`;
+}
+
+function pickFrom(random, candidates) {
+    return candidates.length > 0 ? random.pick(candidates) : undefined;
+}
+
+/**
+ * Pick a node with odds proportional to its degree, uniformly while nobody has links yet
+ */
+function pickByDegree(random, candidates, degreeOf) {
+    const total = candidates.reduce((sum, node) => sum + degreeOf(node), 0);
+    if (total === 0) {
+        return pickFrom(random, candidates);
+    }
+    let roll = random.next() * total;
+    return candidates.find(node => (roll -= degreeOf(node)) < 0) ?? candidates[candidates.length - 1];
+}
+
+function angleOf(node) {
+    return Math.atan2(node.position.z, node.position.x);
+}
+
+/**
+ * Nodes sorted by their angle around the layout's centre
+ */
+function angularOrder(nodes) {
+    return nodes.slice().sort((a, b) => angleOf(a) - angleOf(b));
+}
+
+function nearestByAngle(node, candidates) {
+    const gap = other => {
+        const difference = Math.abs(angleOf(other) - angleOf(node));
+        return Math.min(difference, Math.PI * 2 - difference);
+    };
+    return candidates.reduce((best, other) => (gap(other) < gap(best) ? other : best));
+}
+
+/**
+ * Indexes of the cells right of and below a cell, and left of and above it
+ * @param {number} index - The cell
+ * @param {number} count - Number of cells
+ * @param {number} columns - Row length, 0 for as square as possible
+ * @returns {number[]}
+ */
+function gridNeighbors(index, count, columns) {
+    const width = columns > 0 ? columns : Math.ceil(Math.sqrt(count));
+    const neighbors = [];
+    if ((index + 1) % width !== 0 && index + 1 < count) neighbors.push(index + 1);
+    if (index + width < count) neighbors.push(index + width);
+    if (index % width !== 0) neighbors.push(index - 1);
+    if (index - width >= 0) neighbors.push(index - width);
+    return neighbors;
+}
+return { TOPOLOGIES, topologyDefaults };
+})();
+// sim/scenario.js
+const module_sim_scenario = (() => {
+const { PHASES, PHASE_DURATIONS } = module_sim_phases;
+const { LINK_DEFAULTS, MESSAGE_SIZES } = module_sim_link;
+const { PROTOCOLS, NETWORK_PHASES } = module_sim_protocols_index;
+const { BEHAVIORS, ATTACK_DEFAULTS } = module_sim_adversary;
+const { TOPOLOGIES, topologyDefaults } = module_sim_topology;
+const { GEO_REGIONS, GEO_DEFAULTS, regionWeights } = module_sim_geo;
+
+
+
+/**
+ * The built-in demo: one Bitcoin node, the four phases in a loop, up to 20 nodes of churn
+ */
+const DEFAULT_SCENARIO = {
+    name: "Default",
+    seed: undefined,
+    protocol: "bitcoin",
+    radius: 5,
+    initialNodeCount: 1,
+    nodes: [],
+    links: [],
+    topology: { type: "bitcoin", ...topologyDefaults("bitcoin") },
+    geography: { enabled: false, regions: regionWeights(), ...GEO_DEFAULTS },
+    phases: [
+        { phase: PHASES.NETWORK_CHANGES, duration: PHASE_DURATIONS[PHASES.NETWORK_CHANGES] },
+        { phase: PHASES.DISCOVERY, duration: PHASE_DURATIONS[PHASES.DISCOVERY] },
+        { phase: PHASES.SYNCING, duration: PHASE_DURATIONS[PHASES.SYNCING] },
+        { phase: PHASES.PROCESSING, duration: PHASE_DURATIONS[PHASES.PROCESSING] }
+    ],
+    loopPhases: true,  // Start the sequence over after its last phase; false stays in the last phase
+    startOffset: 6900, // Start near the end of the first phase
+    churn: {
+        interval: 2000,
+        leaveProbability: 0.5,
+        minNodes: 2,
+        maxNodes: 20
+    },
+    packets: {
+        peerDiscoveriesPerSecond: 1000 / 150,
+        transactionsPerSecond: 1.5
+    },
+    mining: {
+        targetBlockInterval: 2000, // ms, average time between blocks network-wide
+        minerProbability: 0.5,     // Chance a node without declared hashpower mines
+        minHashpower: 1,           // Range miners' hashpower is drawn from
+        maxHashpower: 10
+    },
+    transactions: {
+        minFee: 500,              // satoshis
+        maxFee: 50000,
+        minSize: 150,             // bytes
+        maxSize: 600,
+        conflictProbability: 0.05 // Chance a new transaction double-spends a recent one's input
+    },
+    linkDefaults: { ...LINK_DEFAULTS },
+    messageSizes: { ...MESSAGE_SIZES },
+    partitions: [],
+    attacks: []
+};
+
+/**
+ * Raised when a scenario file doesn't match the format.
+ * `errors` lists every problem found, one readable sentence each.
+ */
+class ScenarioError extends Error {
+    /**
+     * @param {string[]} errors - Problems found in the scenario
+     */
+    constructor(errors) {
+        super(`Invalid scenario:\n- ${errors.join("\n- ")}`);
+        this.name = "ScenarioError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a scenario and fill in defaults for everything it leaves out.
+ *
+ * Format (every field optional):
+ * {
+ *   "name": "Netsplit demo",
+ *   "seed": 42,
+ *   "protocol": "bitcoin",                 // consensus protocol, a key of PROTOCOLS: "bitcoin", "raft", "pbft" or "pos"
+ *   "radius": 5,
+ *   "initialNodeCount": 6,                 // used when "nodes" is empty; defaults to the protocol's cluster size
+ *   "nodes": [{ "id": "a", "position": { "x": 0, "y": 0, "z": 5 }, "hashpower": 10, "stake": 32, "behavior": "honest",
+ *               "attributes": { "network": "onion", "client": "/Satoshi:27.0.0/" }, "location": { "lat": 52.4, "lon": 4.9 } }],
+ *                                          // ids can't contain "|"; hashpower 0 = not a miner; stake only matters
+ *                                          // under "pos"; behavior is one of BEHAVIORS: "honest", "drop_relay",
+ *                                          // "invalid", "double_spend", ...;
+ *                                          // attributes are strings, numbers or booleans describing a real node;
+ *                                          // location (degrees) only matters with geography enabled, and wins over position
+ *   "links": [{ "source": "a", "target": "b", "latency": 150, "bandwidth": 500000 }],
+ *   "topology": { "type": "small_world", "neighbors": 4, "rewireProbability": 0.1 }, // builds the initial graph
+ *                                          // when "links" is empty, and guides discovery; type is a key of
+ *                                          // TOPOLOGIES, the other fields its params (defaults for any left out)
+ *   "geography": { "enabled": true, "regions": { "europe": 45, "north_america": 30, ... },
+ *                  "baseLatency": 150, "msPerThousandKm": 40 }, // puts nodes on a globe: nodes without a location
+ *                                          // are drawn from the regions (keys of GEO_REGIONS, by weight; regions
+ *                                          // left out get none), and links without a latency get it from distance
+ *   "phases": [{ "phase": "discovery", "duration": 5000 }, ...], // the protocol's own phases plus "discovery"
+ *                                          // and "network_changes"; defaults to the protocol's sequence.
+ *                                          // "with": ["network_changes"] runs more phases alongside one
+ *   "loopPhases": true,                    // false runs the sequence once, then stays in its last phase
+ *   "startOffset": 0,                      // ms already elapsed in the first phase
+ *   "churn": { "interval": 2000, "leaveProbability": 0.5, "minNodes": 2, "maxNodes": 20 },
+ *   "packets": { "peerDiscoveriesPerSecond": 6, "transactionsPerSecond": 1.5 },
+ *   "mining": { "targetBlockInterval": 2000, "minerProbability": 0.5, "minHashpower": 1, "maxHashpower": 10 },
+ *   "transactions": { "minFee": 500, "maxFee": 50000, "minSize": 150, "maxSize": 600, "conflictProbability": 0.05 },
+ *   "linkDefaults": { "minLatency": 200, "maxLatency": 800, "bandwidth": 2000000 }, // ms, bytes per second
+ *   "messageSizes": { "inv": 36, "tx": 400, "block": 1000000, "getheaders": 1000, ... }, // bytes, for any of
+ *                                          // MESSAGE_SIZES' types; addr, inv, getdata and headers per entry;
+ *                                          // transactions travel at their own size, and blocks hold at most
+ *                                          // "block" bytes of them
+ *   "partitions": [                        // netsplits, "at" and "duration" in ms from the start
+ *     { "at": 10000, "groupCount": 2, "duration": 15000 },
+ *     { "at": 40000, "groups": [["a", "b"], ["c"]] }   // ids from "nodes", each in one group at most;
+ *                                                      // no duration: never heals
+ *   ],
+ *   "attacks": [                           // attackers joining at "at" ms; "bitcoin" only, as the others don't gossip
+ *     { "type": "sybil", "at": 10000, "count": 6 },
+ *     { "type": "eclipse", "at": 20000, "victim": "a", "count": 4 } // victim: one of "nodes", or a random honest
+ *                                                                   // node if omitted
+ *   ]
+ * }
+ *
+ * @param {string|Object} input - JSON text or parsed object
+ * @returns {Object} Complete scenario
+ * @throws {ScenarioError} Listing every problem found
+ */
+function parseScenario(input) {
+    let data = input;
+    if (typeof input === "string") {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new ScenarioError([`the file is not valid JSON (${error.message})`]);
+        }
+    }
+
+    const errors = [];
+    if (!isObject(data)) {
+        throw new ScenarioError(["a scenario must be a JSON object"]);
+    }
+
+    checkKeys(data, Object.keys(DEFAULT_SCENARIO), "scenario", errors);
+
+    const scenario = {
+        ...DEFAULT_SCENARIO,
+        ...data,
+        churn: { ...DEFAULT_SCENARIO.churn },
+        packets: { ...DEFAULT_SCENARIO.packets },
+        mining: { ...DEFAULT_SCENARIO.mining },
+        transactions: { ...DEFAULT_SCENARIO.transactions },
+        linkDefaults: { ...DEFAULT_SCENARIO.linkDefaults },
+        messageSizes: { ...DEFAULT_SCENARIO.messageSizes }
+    };
+
+    if (data.name !== undefined && typeof data.name !== "string") {
+        errors.push("\"name\" must be a string");
+    }
+    if (data.seed !== undefined && typeof data.seed !== "number" && typeof data.seed !== "string") {
+        errors.push("\"seed\" must be a number or a string");
+    }
+    checkNumber(data, "radius", "scenario", errors, { min: 0, exclusive: true });
+    checkNumber(data, "initialNodeCount", "scenario", errors, { min: 0, integer: true });
+    checkNumber(data, "startOffset", "scenario", errors, { min: 0 });
+
+    // Protocol; only the table's own keys, not ones like "toString" it inherits
+    const Protocol = isKeyOf(PROTOCOLS, scenario.protocol) ? PROTOCOLS[scenario.protocol] : null;
+    if (!Protocol) {
+        const known = Object.keys(PROTOCOLS).map(name => `"${name}"`).join(", ");
+        errors.push(`"protocol" must be one of ${known}`);
+    } else if (Protocol !== PROTOCOLS[DEFAULT_SCENARIO.protocol]) {
+        // Other protocols come with their own phase sequence and cluster size
+        if (data.phases === undefined) {
+            scenario.phases = Protocol.phases;
+            scenario.startOffset = data.startOffset ?? 0;
+        }
+        if (data.initialNodeCount === undefined) {
+            scenario.initialNodeCount = Protocol.initialNodeCount;
+        }
+    }
+
+    // Nodes
+    const nodeIds = new Set();
+    if (data.nodes !== undefined) {
+        if (!Array.isArray(data.nodes)) {
+            errors.push("\"nodes\" must be an array");
+            scenario.nodes = [];
+        } else {
+            data.nodes.forEach((node, index) => {
+                const path = `nodes[${index}]`;
+                if (!isObject(node)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                checkKeys(node, ["id", "position", "hashpower", "stake", "behavior", "attributes", "location"], path, errors);
+                checkNumber(node, "hashpower", path, errors, { min: 0 });
+                checkNumber(node, "stake", path, errors, { min: 0, exclusive: true });
+                if (node.behavior !== undefined && !Object.values(BEHAVIORS).includes(node.behavior)) {
+                    const known = Object.values(BEHAVIORS).map(behavior => `"${behavior}"`).join(", ");
+                    errors.push(`${path}.behavior must be one of ${known}`);
+                }
+                if (typeof node.id !== "string" || node.id === "") {
+                    errors.push(`${path}.id must be a non-empty string`);
+                } else if (node.id.includes("|")) {
+                    // Links are keyed by their ends' IDs joined with "|"
+                    errors.push(`${path}.id "${node.id}" must not contain "|"`);
+                } else if (nodeIds.has(node.id)) {
+                    errors.push(`${path}.id "${node.id}" is used by another node`);
+                } else {
+                    nodeIds.add(node.id);
+                }
+                if (node.position !== undefined) {
+                    const position = node.position;
+                    if (!isObject(position) || ["x", "y", "z"].some(axis => typeof position[axis] !== "number")) {
+                        errors.push(`${path}.position must be an object with numeric x, y and z`);
+                    }
+                }
+                if (node.attributes !== undefined && (!isObject(node.attributes) ||
+                    Object.values(node.attributes).some(value => !["string", "number", "boolean"].includes(typeof value)))) {
+                    errors.push(`${path}.attributes must be an object of strings, numbers and booleans`);
+                }
+                if (node.location !== undefined) {
+                    const location = node.location;
+                    const bounds = { lat: 90, lon: 180 };
+                    if (!isObject(location) || Object.entries(bounds).some(([axis, limit]) =>
+                        typeof location[axis] !== "number" || !(Math.abs(location[axis]) <= limit))) {
+                        errors.push(`${path}.location must be an object with lat from -90 to 90 and lon from -180 to 180`);
+                    }
+                }
+            });
+        }
+    }
+
+    // Links
+    if (data.links !== undefined) {
+        if (!Array.isArray(data.links)) {
+            errors.push("\"links\" must be an array");
+            scenario.links = [];
+        } else {
+            data.links.forEach((link, index) => {
+                const path = `links[${index}]`;
+                if (!isObject(link)) {
+                    errors.push(`${path} must be an object with "source" and "target"`);
+                    return;
+                }
+                checkKeys(link, ["source", "target", "latency", "bandwidth"], path, errors);
+                checkNumber(link, "latency", path, errors, { min: 0 });
+                checkNumber(link, "bandwidth", path, errors, { min: 0, exclusive: true });
+                ["source", "target"].forEach(end => {
+                    if (!nodeIds.has(link[end])) {
+                        errors.push(`${path}.${end} "${link[end]}" is not the id of a node in "nodes"`);
+                    }
+                });
+                if (link.source === link.target) {
+                    errors.push(`${path} connects "${link.source}" to itself`);
+                }
+            });
+        }
+    }
+
+    // Topology
+    if (data.topology !== undefined) {
+        if (!isObject(data.topology)) {
+            errors.push("\"topology\" must be an object with a \"type\"");
+            scenario.topology = DEFAULT_SCENARIO.topology;
+        } else if (!isKeyOf(TOPOLOGIES, data.topology.type)) {
+            const known = Object.keys(TOPOLOGIES).map(type => `"${type}"`).join(", ");
+            errors.push(`topology.type must be one of ${known}`);
+        } else {
+            const params = TOPOLOGIES[data.topology.type].params;
+            checkKeys(data.topology, ["type", ...Object.keys(params)], "topology", errors);
+            Object.entries(params).forEach(([name, { min, max, step }]) => {
+                checkNumber(data.topology, name, "topology", errors, { min, max, integer: Number.isInteger(step) });
+            });
+            scenario.topology = { ...topologyDefaults(data.topology.type), ...data.topology };
+        }
+    }
+
+    // Geography
+    if (data.geography !== undefined) {
+        if (!isObject(data.geography)) {
+            errors.push("\"geography\" must be an object");
+            scenario.geography = DEFAULT_SCENARIO.geography;
+        } else {
+            checkKeys(data.geography, Object.keys(DEFAULT_SCENARIO.geography), "geography", errors);
+            if (data.geography.enabled !== undefined && typeof data.geography.enabled !== "boolean") {
+                errors.push("geography.enabled must be true or false");
+            }
+            checkNumber(data.geography, "baseLatency", "geography", errors, { min: 0 });
+            checkNumber(data.geography, "msPerThousandKm", "geography", errors, { min: 0 });
+            const regions = data.geography.regions;
+            if (regions !== undefined) {
+                if (!isObject(regions)) {
+                    errors.push("geography.regions must be an object of region weights");
+                } else {
+                    checkKeys(regions, Object.keys(GEO_REGIONS), "geography.regions", errors);
+                    Object.keys(regions).forEach(name => {
+                        checkNumber(regions, name, "geography.regions", errors, { min: 0 });
+                    });
+                    if (!Object.values(regions).some(weight => weight > 0)) {
+                        errors.push("geography.regions must give at least one region a weight above 0");
+                    }
+                }
+            }
+            scenario.geography = {
+                ...DEFAULT_SCENARIO.geography,
+                ...data.geography,
+                regions: { ...(isObject(regions) ? regions : DEFAULT_SCENARIO.geography.regions) }
+            };
+        }
+    }
+
+    // Phases
+    if (data.phases !== undefined) {
+        const knownPhases = Protocol ? Array.from(new Set([...NETWORK_PHASES, ...Protocol.phaseNames])) : Object.values(PHASES);
+        if (!Array.isArray(data.phases) || data.phases.length === 0) {
+            errors.push("\"phases\" must be a non-empty array");
+            scenario.phases = DEFAULT_SCENARIO.phases;
+        } else {
+            data.phases.forEach((entry, index) => {
+                const path = `phases[${index}]`;
+                if (!isObject(entry)) {
+                    errors.push(`${path} must be an object with "phase" and "duration"`);
+                    return;
+                }
+                checkKeys(entry, ["phase", "duration", "with"], path, errors);
+                const known = knownPhases.map(phase => `"${phase}"`).join(", ");
+                if (!knownPhases.includes(entry.phase)) {
+                    errors.push(`${path}.phase must be one of ${known}`);
+                }
+                if (typeof entry.duration !== "number" || !(entry.duration > 0)) {
+                    errors.push(`${path}.duration must be a positive number of milliseconds`);
+                }
+                if (entry.with !== undefined) {
+                    if (!Array.isArray(entry.with)) {
+                        errors.push(`${path}.with must be an array of phases`);
+                    } else if (entry.with.some(phase => !knownPhases.includes(phase) || phase === entry.phase)) {
+                        errors.push(`${path}.with may only list other phases among ${known}`);
+                    } else if (new Set(entry.with).size !== entry.with.length) {
+                        errors.push(`${path}.with lists a phase twice`);
+                    }
+                }
+            });
+        }
+    }
+    if (data.loopPhases !== undefined && typeof data.loopPhases !== "boolean") {
+        errors.push("\"loopPhases\" must be true or false");
+    }
+    // Phases can be retimed while running: never share the defaults' entries
+    scenario.phases = scenario.phases.map(entry => entry.with ? { ...entry, with: [...entry.with] } : { ...entry });
+    if (data.startOffset === undefined && data.phases !== undefined) {
+        // A custom phase list starts at the beginning of its first phase
+        scenario.startOffset = 0;
+    }
+
+    // Churn
+    if (data.churn !== undefined) {
+        if (!isObject(data.churn)) {
+            errors.push("\"churn\" must be an object");
+        } else {
+            checkKeys(data.churn, Object.keys(DEFAULT_SCENARIO.churn), "churn", errors);
+            checkNumber(data.churn, "interval", "churn", errors, { min: 0, exclusive: true });
+            checkNumber(data.churn, "leaveProbability", "churn", errors, { min: 0, max: 1 });
+            checkNumber(data.churn, "minNodes", "churn", errors, { min: 0, integer: true });
+            checkNumber(data.churn, "maxNodes", "churn", errors, { min: 0, integer: true });
+            Object.assign(scenario.churn, data.churn);
+        }
+    }
+    if (data.churn?.maxNodes === undefined) {
+        const initialCount = nodeIds.size || scenario.initialNodeCount;
+        scenario.churn.maxNodes = Math.max(DEFAULT_SCENARIO.churn.maxNodes, Math.ceil(initialCount * 1.5));
+    }
+    if (scenario.churn.minNodes > scenario.churn.maxNodes) {
+        errors.push("churn.minNodes must not be larger than churn.maxNodes");
+    }
+
+    // Packet rates
+    if (data.packets !== undefined) {
+        if (!isObject(data.packets)) {
+            errors.push("\"packets\" must be an object");
+        } else {
+            // blocksPerSecond predates mining and is still read as the target block interval
+            const packetKeys = [...Object.keys(DEFAULT_SCENARIO.packets), "blocksPerSecond"];
+            checkKeys(data.packets, packetKeys, "packets", errors);
+            packetKeys.forEach(key => {
+                checkNumber(data.packets, key, "packets", errors, { min: 0 });
+            });
+            const { blocksPerSecond, ...packets } = data.packets;
+            Object.assign(scenario.packets, packets);
+            if (blocksPerSecond > 0) {
+                scenario.mining.targetBlockInterval = 1000 / blocksPerSecond;
+            }
+        }
+    }
+
+    // Mining
+    if (data.mining !== undefined) {
+        if (!isObject(data.mining)) {
+            errors.push("\"mining\" must be an object");
+        } else {
+            checkKeys(data.mining, Object.keys(DEFAULT_SCENARIO.mining), "mining", errors);
+            checkNumber(data.mining, "targetBlockInterval", "mining", errors, { min: 0, exclusive: true });
+            checkNumber(data.mining, "minerProbability", "mining", errors, { min: 0, max: 1 });
+            checkNumber(data.mining, "minHashpower", "mining", errors, { min: 0 });
+            checkNumber(data.mining, "maxHashpower", "mining", errors, { min: 0 });
+            Object.assign(scenario.mining, data.mining);
+        }
+    }
+    if (scenario.mining.minHashpower > scenario.mining.maxHashpower) {
+        errors.push("mining.minHashpower must not be larger than mining.maxHashpower");
+    }
+
+    // Transactions
+    if (data.transactions !== undefined) {
+        if (!isObject(data.transactions)) {
+            errors.push("\"transactions\" must be an object");
+        } else {
+            checkKeys(data.transactions, Object.keys(DEFAULT_SCENARIO.transactions), "transactions", errors);
+            checkNumber(data.transactions, "minFee", "transactions", errors, { min: 0 });
+            checkNumber(data.transactions, "maxFee", "transactions", errors, { min: 0 });
+            checkNumber(data.transactions, "minSize", "transactions", errors, { min: 0, exclusive: true });
+            checkNumber(data.transactions, "maxSize", "transactions", errors, { min: 0, exclusive: true });
+            checkNumber(data.transactions, "conflictProbability", "transactions", errors, { min: 0, max: 1 });
+            Object.assign(scenario.transactions, data.transactions);
+        }
+    }
+    if (scenario.transactions.minFee > scenario.transactions.maxFee) {
+        errors.push("transactions.minFee must not be larger than transactions.maxFee");
+    }
+    if (scenario.transactions.minSize > scenario.transactions.maxSize) {
+        errors.push("transactions.minSize must not be larger than transactions.maxSize");
+    }
+
+    // Link and message properties
+    if (data.linkDefaults !== undefined) {
+        if (!isObject(data.linkDefaults)) {
+            errors.push("\"linkDefaults\" must be an object");
+        } else {
+            checkKeys(data.linkDefaults, Object.keys(LINK_DEFAULTS), "linkDefaults", errors);
+            checkNumber(data.linkDefaults, "minLatency", "linkDefaults", errors, { min: 0 });
+            checkNumber(data.linkDefaults, "maxLatency", "linkDefaults", errors, { min: 0 });
+            checkNumber(data.linkDefaults, "bandwidth", "linkDefaults", errors, { min: 0, exclusive: true });
+            Object.assign(scenario.linkDefaults, data.linkDefaults);
+        }
+    }
+    if (scenario.linkDefaults.minLatency > scenario.linkDefaults.maxLatency) {
+        errors.push("linkDefaults.minLatency must not be larger than linkDefaults.maxLatency");
+    }
+    if (data.messageSizes !== undefined) {
+        if (!isObject(data.messageSizes)) {
+            errors.push("\"messageSizes\" must be an object");
+        } else {
+            checkKeys(data.messageSizes, Object.keys(MESSAGE_SIZES), "messageSizes", errors);
+            Object.keys(MESSAGE_SIZES).forEach(type => {
+                checkNumber(data.messageSizes, type, "messageSizes", errors, { min: 0 });
+            });
+            Object.assign(scenario.messageSizes, data.messageSizes);
+        }
+    }
+
+    // Partitions
+    if (data.partitions !== undefined) {
+        if (!Array.isArray(data.partitions)) {
+            errors.push("\"partitions\" must be an array");
+            scenario.partitions = [];
+        } else {
+            data.partitions.forEach((split, index) => {
+                const path = `partitions[${index}]`;
+                if (!isObject(split)) {
+                    errors.push(`${path} must be an object with "at" and either "groups" or "groupCount"`);
+                    return;
+                }
+                checkKeys(split, ["at", "groups", "groupCount", "duration"], path, errors);
+                if (split.at === undefined) {
+                    errors.push(`${path}.at is required`);
+                }
+                checkNumber(split, "at", path, errors, { min: 0 });
+                checkNumber(split, "duration", path, errors, { min: 0, exclusive: true });
+                checkNumber(split, "groupCount", path, errors, { min: 2, integer: true });
+                if ((split.groups === undefined) === (split.groupCount === undefined)) {
+                    errors.push(`${path} needs exactly one of "groups" or "groupCount"`);
+                }
+                if (split.groups !== undefined) {
+                    const isValid = Array.isArray(split.groups) && split.groups.length >= 2 && split.groups.every(group =>
+                        Array.isArray(group) && group.every(nodeId => typeof nodeId === "string")
+                    );
+                    if (!isValid) {
+                        errors.push(`${path}.groups must be an array of at least two arrays of node ids`);
+                    } else {
+                        const grouped = new Set();
+                        split.groups.flat().forEach(nodeId => {
+                            if (!nodeIds.has(nodeId)) {
+                                errors.push(`${path}.groups lists "${nodeId}", which is not the id of a node in "nodes"`);
+                            } else if (grouped.has(nodeId)) {
+                                errors.push(`${path}.groups lists "${nodeId}" more than once`);
+                            }
+                            grouped.add(nodeId);
+                        });
+                    }
+                }
+            });
+        }
+    }
+
+    // Attacks
+    if (data.attacks !== undefined) {
+        if (!Array.isArray(data.attacks)) {
+            errors.push("\"attacks\" must be an array");
+            scenario.attacks = [];
+        } else {
+            if (data.attacks.length > 0 && Protocol && Protocol !== PROTOCOLS[DEFAULT_SCENARIO.protocol]) {
+                errors.push(`"attacks" only apply to the "${DEFAULT_SCENARIO.protocol}" protocol`);
+            }
+            scenario.attacks = data.attacks.map((attack, index) => {
+                const path = `attacks[${index}]`;
+                if (!isObject(attack)) {
+                    errors.push(`${path} must be an object with "type" and "at"`);
+                    return attack;
+                }
+                checkKeys(attack, ["type", "at", "count", "victim"], path, errors);
+                if (attack.type !== "sybil" && attack.type !== "eclipse") {
+                    errors.push(`${path}.type must be "sybil" or "eclipse"`);
+                }
+                if (attack.at === undefined) {
+                    errors.push(`${path}.at is required`);
+                }
+                checkNumber(attack, "at", path, errors, { min: 0 });
+                checkNumber(attack, "count", path, errors, { min: 1, integer: true });
+                if (attack.victim !== undefined && (attack.type !== "eclipse" || typeof attack.victim !== "string")) {
+                    errors.push(`${path}.victim must be a node id, and only eclipse attacks have one`);
+                } else if (attack.victim !== undefined && !nodeIds.has(attack.victim)) {
+                    errors.push(`${path}.victim "${attack.victim}" is not the id of a node in "nodes"`);
+                }
+                const defaultCount = attack.type === "sybil" ? ATTACK_DEFAULTS.sybilIdentities : ATTACK_DEFAULTS.eclipseAttackers;
+                return { ...attack, count: attack.count ?? defaultCount };
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ScenarioError(errors);
+    }
+    return scenario;
+}
+
+/**
+ * Whether a value names one of an object's own entries
+ */
+function isKeyOf(object, key) {
+    return typeof key === "string" && Object.hasOwn(object, key);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Report fields that aren't part of the format, which are usually typos
+ */
+function checkKeys(object, allowed, path, errors) {
+    Object.keys(object)
+        .filter(key => !allowed.includes(key))
+        .forEach(key => errors.push(`${path} has unknown field "${key}" (allowed: ${allowed.join(", ")})`));
+}
+
+function checkNumber(object, key, path, errors, { min = -Infinity, max = Infinity, exclusive = false, integer = false } = {}) {
+    const value = object[key];
+    if (value === undefined) return;
+
+    const name = path === "scenario" ? `"${key}"` : `${path}.${key}`;
+    const tooSmall = exclusive ? value <= min : value < min;
+    if (typeof value !== "number" || Number.isNaN(value) || tooSmall || value > max || (integer && !Number.isInteger(value))) {
+        const kind = integer ? "an integer" : "a number";
+        const bounds = [
+            min > -Infinity ? `${exclusive ? "greater than" : "at least"} ${min}` : null,
+            max < Infinity ? `at most ${max}` : null
+        ].filter(Boolean).join(" and ");
+        errors.push(`${name} must be ${kind}${bounds ? ` ${bounds}` : ""}`);
+    }
+}
+return { PHASE_DURATIONS, DEFAULT_SCENARIO, ScenarioError, parseScenario };
+})();
+// sim/gossip.js
+const module_sim_gossip = (() => {
+/**
+ * Fractions of the network that propagation reports time
+ */
+const PROPAGATION_THRESHOLDS = [0.5, 0.9, 1];
+
+/**
+ * Tracks how far each gossiped item (block or transaction) has spread.
+ *
+ * An item's audience is the set of nodes online when it was created; the
+ * report records the simulation time at which 50%, 90% and 100% of that
+ * audience first held the item. Nodes that leave simply never count.
+ */
+class PropagationTracker {
+    constructor() {
+        this.items = new Map();
+        this.audiences = new Map(); // Item ID to the audience members it hasn't reached yet, for audiences given by ID
+    }
+
+    /**
+     * Start tracking a new item
+     * @param {{id: string, kind: string, origin: string, createdAt: number}} item - The item
+     * @param {string[]|number} audience - IDs of the nodes expected to receive it, or only how many there are;
+     *     with a number, the caller records each member once and nobody else
+     * @returns {Object} The item's report
+     */
+    track(item, audience) {
+        const report = {
+            itemId: item.id,
+            kind: item.kind,
+            origin: item.origin,
+            createdAt: item.createdAt,
+            audienceSize: typeof audience === "number" ? audience : audience.length,
+            reachedCount: 0,
+            delays: [], // ms from creation to each receipt besides the origin's
+            thresholds: {}
+        };
+        if (typeof audience !== "number") {
+            this.audiences.set(item.id, new Set(audience));
+        }
+        this.items.set(item.id, report);
+        return report;
+    }
+
+    /**
+     * Record that a node now holds an item
+     * @param {string} itemId - The item
+     * @param {string} nodeId - The node that received it
+     * @param {number} time - Simulation time of receipt
+     * @returns {number[]} Thresholds crossed by this receipt, if any
+     */
+    recordReach(itemId, nodeId, time) {
+        const report = this.items.get(itemId);
+        const waiting = this.audiences.get(itemId);
+        if (!report || (waiting && !waiting.delete(nodeId))) {
+            return [];
+        }
+        if (waiting?.size === 0) {
+            this.audiences.delete(itemId);
+        }
+
+        if (nodeId !== report.origin) {
+            report.delays.push(time - report.createdAt);
+        }
+        report.reachedCount++;
+
+        const crossed = PROPAGATION_THRESHOLDS.filter(threshold =>
+            report.thresholds[threshold] === undefined &&
+            report.reachedCount >= Math.ceil(threshold * report.audienceSize)
+        );
+        crossed.forEach(threshold => {
+            report.thresholds[threshold] = time - report.createdAt;
+        });
+        return crossed;
+    }
+
+    /**
+     * Report for one item
+     * @param {string} itemId - The item
+     * @returns {Object|undefined}
+     */
+    getReport(itemId) {
+        return this.items.get(itemId);
+    }
+
+    /**
+     * How long the most recent items took to reach each node that got them, besides their origin
+     * @param {number} count - Number of items, newest first
+     * @returns {number[]} Milliseconds from an item's creation to each receipt
+     */
+    recentDelays(count) {
+        return Array.from(this.items.values()).slice(-count).flatMap(report => report.delays);
+    }
+
+    /**
+     * Plain summaries of every tracked item, oldest first.
+     * Times are milliseconds after creation, or null if not reached yet.
+     * @returns {{itemId: string, kind: string, origin: string, createdAt: number, audienceSize: number, reachedCount: number, t50: number|null, t90: number|null, t100: number|null}[]}
+     */
+    reports() {
+        return Array.from(this.items.values()).map(report => ({
+            itemId: report.itemId,
+            kind: report.kind,
+            origin: report.origin,
+            createdAt: report.createdAt,
+            audienceSize: report.audienceSize,
+            reachedCount: report.reachedCount,
+            t50: report.thresholds[0.5] ?? null,
+            t90: report.thresholds[0.9] ?? null,
+            t100: report.thresholds[1] ?? null
+        }));
+    }
+}
+return { PROPAGATION_THRESHOLDS, PropagationTracker };
+})();
+// sim/mining.js
+const module_sim_mining = (() => {
+const { SETTLED_DEPTH } = module_sim_blockchain;
+
+/**
+ * Time until the network next finds a block. Block discovery is a Poisson
+ * process, so the wait is exponentially distributed around the target interval.
+ * @param {SeededRandom} random - Random source
+ * @param {number} targetInterval - Mean time between blocks, in ms
+ * @returns {number} Milliseconds
+ */
+function nextBlockDelay(random, targetInterval) {
+    return -Math.log(1 - random.next()) * targetInterval;
+}
+
+/**
+ * Pick the miner that finds the next block, with odds proportional to hashpower
+ * @param {SeededRandom} random - Random source
+ * @param {SimNode[]} miners - Nodes with hashpower above zero
+ * @returns {SimNode|undefined} undefined if nobody is mining
+ */
+function pickMiner(random, miners) {
+    const total = miners.reduce((sum, node) => sum + node.hashpower, 0);
+    let roll = random.next() * total;
+    return miners.find(node => (roll -= node.hashpower) < 0) ?? miners[miners.length - 1];
+}
+
+/**
+ * Running mining statistics: every block found, who found it, and how the
+ * blocks that made it into the best chain compare with each miner's hashpower.
+ * Blocks SETTLED_DEPTH under the tip are only kept as counts per miner.
+ */
+class MiningStats {
+    constructor() {
+        this.blocks = [];           // Blocks not settled yet, which a reorg could still make stale or not
+        this.hashpower = new Map(); // Miner ID to hashpower, kept after the miner leaves
+        this.settled = new Map();   // Miner ID to { blocks, stale } counts of its settled blocks
+    }
+
+    /**
+     * Register a miner's hashpower
+     * @param {string} nodeId - The miner
+     * @param {number} hashpower - Its hashpower
+     */
+    addMiner(nodeId, hashpower) {
+        this.hashpower.set(nodeId, hashpower);
+    }
+
+    /**
+     * Record a freshly mined block
+     * @param {Object} block - The block
+     */
+    record(block) {
+        this.blocks.push(block);
+    }
+
+    /**
+     * Fold the blocks SETTLED_DEPTH or more under a chain's tip into per-miner counts
+     * @param {BlockTree} chain - Chain deciding which blocks count as stale
+     */
+    settle(chain) {
+        const settledHeight = chain.height - SETTLED_DEPTH;
+        const settling = this.blocks.filter(block => block.height <= settledHeight);
+        if (settling.length === 0) return;
+
+        const mainChain = chain.mainChainFrom(Math.min(...settling.map(block => block.height)));
+        settling.forEach(block => {
+            const counts = this.settled.get(block.miner) ?? { blocks: 0, stale: 0 };
+            counts[mainChain.has(block.hash) ? "blocks" : "stale"]++;
+            this.settled.set(block.miner, counts);
+        });
+        this.blocks = this.blocks.filter(block => block.height > settledHeight);
+    }
+
+    /**
+     * Summarize mining against a reference chain, usually the best one on the network
+     * @param {BlockTree} chain - Chain deciding which blocks count as stale
+     * @returns {{found: number, stale: number, staleRate: number, miners: {nodeId: string, hashShare: number, blockShare: number, blocks: number, stale: number}[]}}
+     *     Shares are fractions of total hashpower and of the best chain's blocks
+     */
+    summary(chain) {
+        this.settle(chain);
+        const perMiner = new Map(Array.from(this.hashpower.keys(), nodeId =>
+            [nodeId, { blocks: 0, stale: 0, ...this.settled.get(nodeId) }]));
+        // One walk down the chain covers every unsettled block
+        const mainChain = chain.mainChainFrom(Math.min(...this.blocks.map(block => block.height)));
+        this.blocks.forEach(block => {
+            perMiner.get(block.miner)[mainChain.has(block.hash) ? "blocks" : "stale"]++;
+        });
+
+        const counts = Array.from(perMiner.values());
+        const found = counts.reduce((sum, { blocks, stale }) => sum + blocks + stale, 0);
+        const stale = counts.reduce((sum, counts) => sum + counts.stale, 0);
+        const totalHashpower = Array.from(this.hashpower.values()).reduce((sum, value) => sum + value, 0);
+        const accepted = found - stale;
+        return {
+            found,
+            stale,
+            staleRate: found > 0 ? stale / found : 0,
+            miners: Array.from(perMiner, ([nodeId, counts]) => ({
+                nodeId,
+                hashShare: totalHashpower > 0 ? this.hashpower.get(nodeId) / totalHashpower : 0,
+                blockShare: accepted > 0 ? counts.blocks / accepted : 0,
+                ...counts
+            })).sort((a, b) => b.hashShare - a.hashShare)
+        };
+    }
+}
+return { nextBlockDelay, pickMiner, MiningStats };
+})();
+// sim/wire.js
+const module_sim_wire = (() => {
+/**
+ * Messages of Bitcoin's peer-to-peer protocol that nodes exchange over their links
+ */
+const WIRE_MESSAGES = {
+    VERSION: "version",         // Opens the handshake: "this is who I am and how high my chain is"
+    VERACK: "verack",           // Accepts the peer's version; the link is up once both sides sent one
+    PING: "ping",               // Keepalive that also measures round-trip time
+    PONG: "pong",               // Echoes a ping's nonce
+    GETADDR: "getaddr",         // Asks a new outbound peer for addresses of other nodes
+    ADDR: "addr",               // Addresses of nodes the sender knows about
+    INV: "inv",                 // Announces transactions the sender has, by ID
+    GETDATA: "getdata",         // Requests announced transactions or blocks
+    GETHEADERS: "getheaders",   // Asks for the headers after a block locator, to sync
+    HEADERS: "headers",         // Block headers: a sync batch, or a single new block announced
+    CMPCTBLOCK: "cmpctblock",   // A new block as short transaction IDs, rebuilt from the receiver's mempool
+    TX: "tx",                   // A full transaction
+    BLOCK: "block"              // A full block
+};
+
+// Messages that make up the handshake, and so don't wait for it
+const HANDSHAKE_MESSAGES = new Set([WIRE_MESSAGES.VERSION, WIRE_MESSAGES.VERACK]);
+
+/**
+ * Pace and limits of the peer-to-peer protocol
+ */
+const WIRE_DEFAULTS = {
+    pingInterval: 20000,    // ms between the pings the end that opened a link sends, on average
+    invInterval: 2000,      // ms a node gathers new transactions before announcing them, on average
+    maxAddresses: 10,       // Addresses in one addr message
+    compactPeers: 3,        // Peers a node sends new blocks to as cmpctblock instead of announcing headers
+    requestTimeout: 5000    // ms before a node asks another peer for data it requested and never got
+};
+return { WIRE_MESSAGES, HANDSHAKE_MESSAGES, WIRE_DEFAULTS };
+})();
+// sim/metrics.js
+const module_sim_metrics = (() => {
+/**
+ * How often the simulation samples its metrics, and how much history it keeps
+ */
+const METRICS_DEFAULTS = {
+    sampleInterval: 1000,   // ms of simulation time between samples
+    historyLength: 60,      // Samples kept for time-series charts
+    rateWindow: 5000,       // ms that message rates are averaged over
+    latencyItems: 20,       // Most recent gossiped items whose delivery delays make up the latency percentiles
+    exactGraphNodes: 500,   // Largest network whose diameter and clustering are measured exactly; bigger ones get estimates
+    bigGraphInterval: 5000  // ms between measurements of a bigger network's shape; samples in between repeat the last
+};
+
+// Message rates are counted in slices of this many ms, so a busy network needn't keep every message
+const RATE_BUCKET_MS = 100;
+
+/**
+ * Percentiles of propagation latency each sample reports
+ */
+const LATENCY_PERCENTILES = [50, 90, 99];
+
+/**
+ * Shape of the network graph right now
+ * @param {SimNode[]} nodes - Every node in the network
+ * @param {{exactGraphNodes?: number}} [options] - Size above which the diameter and clustering are estimated
+ * @returns {{nodes: number, edges: number, averageDegree: number, maxDegree: number, diameter: number,
+ *     clustering: number, components: number}} diameter is the longest shortest path inside any
+ *     connected component; clustering is the local clustering coefficient averaged over all nodes
+ *     (over an even sample of them in big networks)
+ */
+function graphMetrics(nodes, { exactGraphNodes = METRICS_DEFAULTS.exactGraphNodes } = {}) {
+    const degrees = nodes.map(node => node.connections.size);
+    const degreeSum = degrees.reduce((sum, degree) => sum + degree, 0);
+    const byId = new Map(nodes.map(node => [node.nodeId, node]));
+
+    // Exactly, a search from every node; that grows with the square of the network, so big
+    // networks get a double sweep per component instead, which seldom comes out short.
+    // Their clustering is likewise averaged over an even sample of the nodes
+    const isExact = nodes.length <= exactGraphNodes;
+    let diameter = 0;
+    let components = 0;
+    const seen = new Set();
+    nodes.forEach(node => {
+        const isNewComponent = !seen.has(node.nodeId);
+        if (!isExact && !isNewComponent) return;
+
+        const distances = hopsFrom(node, byId);
+        if (isNewComponent) {
+            components++;
+            distances.forEach((hops, nodeId) => seen.add(nodeId));
+        }
+        if (isExact) {
+            diameter = Math.max(diameter, largest(distances));
+        } else {
+            const [farthest] = Array.from(distances).reduce((best, entry) => entry[1] > best[1] ? entry : best);
+            diameter = Math.max(diameter, largest(hopsFrom(byId.get(farthest), byId)));
+        }
+    });
+
+    return {
+        nodes: nodes.length,
+        edges: degreeSum / 2,
+        averageDegree: nodes.length > 0 ? degreeSum / nodes.length : 0,
+        maxDegree: Math.max(0, ...degrees),
+        diameter,
+        clustering: averageClustering(isExact ? nodes : evenSample(nodes, exactGraphNodes), byId),
+        components
+    };
+}
+
+/**
+ * Value below which a percentage of the values fall, by nearest rank
+ * @param {number[]} values - The values, in any order
+ * @param {number} percent - 0 to 100
+ * @returns {number|null} null if there are no values
+ */
+function percentile(values, percent) {
+    return nearestRank(Float64Array.from(values).sort(), percent);
+}
+
+function nearestRank(sorted, percent) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(percent / 100 * sorted.length) - 1))];
+}
+
+/**
+ * Periodic samples of the network's shape, traffic and propagation speed,
+ * kept as a short history for charts.
+ */
+class NetworkMetrics {
+    /**
+     * @param {Partial<typeof METRICS_DEFAULTS>} [options] - Settings to override
+     */
+    constructor(options = {}) {
+        this.options = { ...METRICS_DEFAULTS, ...options };
+        this.samples = [];
+        this.graph = null; // Last graphMetrics() result, and when it was measured
+        this.graphTime = -Infinity;
+        // Messages sent within the rate window, counted per RATE_BUCKET_MS: { start, total, byType }
+        this.recentMessages = [];
+    }
+
+    /**
+     * Count a message sent
+     * @param {string} type - Message type
+     * @param {number} time - Simulation time it was sent
+     */
+    recordMessage(type, time) {
+        const start = Math.floor(time / RATE_BUCKET_MS) * RATE_BUCKET_MS;
+        let bucket = this.recentMessages[this.recentMessages.length - 1];
+        if (bucket?.start !== start) {
+            bucket = { start, total: 0, byType: {} };
+            this.recentMessages.push(bucket);
+        }
+        bucket.total++;
+        bucket.byType[type] = (bucket.byType[type] ?? 0) + 1;
+    }
+
+    /**
+     * Take a sample and add it to the history
+     * @param {number} now - Current simulation time
+     * @param {SimNode[]} nodes - Every node in the network
+     * @param {number[]} delays - Recent times from an item's creation to a node receiving it, in ms
+     * @returns {Object} The sample: graphMetrics() (for big networks, as last measured) plus time,
+     *     messageRates (per second, by type), messagesPerSecond and latency (ms, keyed by percentile)
+     */
+    sample(now, nodes, delays) {
+        const { historyLength, rateWindow, exactGraphNodes, bigGraphInterval } = this.options;
+        const firstRecent = this.recentMessages.findIndex(bucket => bucket.start + RATE_BUCKET_MS > now - rateWindow);
+        this.recentMessages.splice(0, firstRecent === -1 ? this.recentMessages.length : firstRecent);
+
+        // Average over the window, or over the run so far if it is shorter
+        const seconds = Math.max(Math.min(rateWindow, now), 1) / 1000;
+        const messageRates = {};
+        let total = 0;
+        this.recentMessages.forEach(bucket => {
+            total += bucket.total;
+            Object.entries(bucket.byType).forEach(([type, count]) => {
+                messageRates[type] = (messageRates[type] ?? 0) + count / seconds;
+            });
+        });
+
+        if (nodes.length <= exactGraphNodes || now - this.graphTime >= bigGraphInterval) {
+            this.graph = graphMetrics(nodes, this.options);
+            this.graphTime = now;
+        }
+
+        const sorted = Float64Array.from(delays).sort();
+        const sample = {
+            time: now,
+            ...this.graph,
+            messageRates,
+            messagesPerSecond: total / seconds,
+            latency: Object.fromEntries(LATENCY_PERCENTILES.map(percent => [percent, nearestRank(sorted, percent)]))
+        };
+        this.samples.push(sample);
+        if (this.samples.length > historyLength) {
+            this.samples.shift();
+        }
+        return sample;
+    }
+
+    /**
+     * Most recent sample, or undefined before the first
+     * @returns {Object|undefined}
+     */
+    get latest() {
+        return this.samples[this.samples.length - 1];
+    }
+
+    /**
+     * One value from every sample in the history, oldest first
+     * @param {function(Object): number|null} pick - Reads the value from a sample
+     * @returns {(number|null)[]}
+     */
+    series(pick) {
+        return this.samples.map(pick);
+    }
+}
+
+/**
+ * Local clustering coefficient averaged over some nodes; 0 without any
+ */
+function averageClustering(nodes, byId) {
+    return nodes.length > 0 ? nodes.reduce((sum, node) => sum + clusteringOf(node, byId), 0) / nodes.length : 0;
+}
+
+/**
+ * About count nodes spread evenly through the list
+ */
+function evenSample(nodes, count) {
+    const stride = Math.ceil(nodes.length / count);
+    return nodes.filter((node, i) => i % stride === 0);
+}
+
+function largest(distances) {
+    let max = 0;
+    distances.forEach(hops => max = Math.max(max, hops));
+    return max;
+}
+
+/**
+ * Hops from a node to every node it can reach, itself included
+ */
+function hopsFrom(start, byId) {
+    const distances = new Map([[start.nodeId, 0]]);
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        node.connections.forEach(peerId => {
+            const peer = byId.get(peerId);
+            if (peer && !distances.has(peerId)) {
+                distances.set(peerId, distances.get(node.nodeId) + 1);
+                queue.push(peer);
+            }
+        });
+    }
+    return distances;
+}
+
+/**
+ * Share of a node's pairs of peers that are linked to each other; 0 with fewer than two peers
+ */
+function clusteringOf(node, byId) {
+    const peers = Array.from(node.connections);
+    if (peers.length < 2) return 0;
+    let linked = 0;
+    peers.forEach((a, i) => {
+        peers.slice(i + 1).forEach(b => {
+            if (byId.get(a)?.isConnectedTo(b)) linked++;
+        });
+    });
+    return linked / (peers.length * (peers.length - 1) / 2);
+}
+return { METRICS_DEFAULTS, LATENCY_PERCENTILES, graphMetrics, percentile, NetworkMetrics };
+})();
+// sim/simulation.js
+const module_sim_simulation = (() => {
+const { Emitter } = module_sim_emitter;
+const { PHASES, ACTIVITIES } = module_sim_phases;
+const { SimNode } = module_sim_node;
+const { SeededRandom, randomSeed, scramble } = module_sim_random;
+const { drawLocation, geoLatency, locationToPosition, positionToLocation } = module_sim_geo;
+const { EventScheduler } = module_sim_scheduler;
+const { EventLog } = module_sim_event_log;
+const { parseScenario } = module_sim_scenario;
+const { PropagationTracker } = module_sim_gossip;
+const { Link, LINK_STATES, LINK_DIRECTIONS } = module_sim_link;
+const { splitByPosition } = module_sim_partition;
+const { BlockTree, GENESIS_BLOCK, SETTLED_DEPTH, createBlock } = module_sim_blockchain;
+const { MEMPOOL_REJECTIONS, feeRate } = module_sim_mempool;
+const { MiningStats, nextBlockDelay, pickMiner } = module_sim_mining;
+const { createProtocol } = module_sim_protocols_index;
+const { BEHAVIORS, ATTACK_DEFAULTS, AttackStats, isAttacker, withholds } = module_sim_adversary;
+const { TOPOLOGIES } = module_sim_topology;
+const { WIRE_MESSAGES, HANDSHAKE_MESSAGES, WIRE_DEFAULTS } = module_sim_wire;
+const { NetworkMetrics } = module_sim_metrics;
+
+/**
+ * Length of one simulation step in simulation milliseconds.
+ * Phase handlers run once per step.
+ */
+const STEP_MS = 50;
+
+// How often a syncing node asks a peer for blocks it's missing, in ms
+const SYNC_INTERVAL = 2000;
+
+// Recently spent outpoints kept around for conflicting transactions to double-spend
+const RECENT_SPENDS = 50;
+
+// Requests a node remembers before it forgets the ones that timed out
+const REMEMBERED_REQUESTS = 256;
+
+/**
+ * Headless model of the distributed network.
+ *
+ * Owns nodes, links, messages and the phase state machine. It never touches
+ * Babylon or the DOM; front-ends subscribe to its events and call advance()
+ * with the elapsed time. Everything that happens later (phase ends, message
+ * delivery, follow-up effects) goes through the event scheduler, so pausing,
+ * speed changes and single-stepping apply to all of it. Every event is also
+ * recorded in `log` so a run can be scrubbed, exported and replayed.
+ *
+ * Events:
+ * - "nodeAdded" / "nodeRemoved" ({ node })
+ * - "linkAdded" / "linkRemoved" ({ source, target, link })
+ * - "linkStateChanged" ({ source, target, link }): a link finished a step of its handshake, or started closing
+ * - "messageSent" / "messageDelivered" ({ id, source, target, type, payload, size, queuedAt, sentAt, deliverAt })
+ * - "nodeUpdated" ({ node })
+ * - "phaseChanged" ({ phase })
+ * - "itemCreated" ({ item }) when a node mints a block or transaction to gossip
+ * - "itemReceived" ({ node, item, from }) the first time a node gets an item
+ * - "chainChanged" ({ node, tip, reorg }) when a node's best chain gets a new tip;
+ *   reorg is { depth, oldTip, newTip, forkPoint } when blocks were disconnected, else null
+ * - "blockMined" ({ node, block }) when a miner finds a block
+ * - "mempoolChanged" ({ node }) when transactions enter or leave a node's mempool
+ * - "transactionRejected" ({ node, tx, reason }) when a mempool turns a transaction away
+ * - "itemPropagated" ({ item, threshold, report }) when an item reaches 50%, 90% or 100% of nodes
+ * - "partitionChanged" ({ partition }) when the network splits, heals, or a split side changes;
+ *   partition is null when whole, else { groupCount, severed, startedAt } with node.group set
+ * - "roleChanged" ({ node, role }) when the consensus protocol gives a node a new role
+ * - "committed" ({ node, height }) when a node commits further entries of its protocol's log or chain
+ * - "behaviorChanged" ({ node }) when a node turns malicious (node.behavior is one of BEHAVIORS)
+ * - "peerBanned" ({ node, peer }) when a node bans a peer that sent it something invalid
+ * - "eclipseChanged" ({ node }) when attackers take over, or let go of, every peer slot of node (node.isEclipsed)
+ */
+class NetworkSimulation extends Emitter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.scenario] - Scenario describing the run (see parseScenario); the default demo if omitted
+     * @param {number|string} [options.seed] - Seed for every random decision; overrides the scenario's seed
+     * @param {boolean} [options.recordLog=true] - Whether to record events in `log`
+     * @param {Object} [options.logOptions] - Overrides for the log's LOG_DEFAULTS, e.g. sparser checkpoints for big networks
+     */
+    constructor(options = {}) {
+        super();
+        this.scenario = parseScenario(options.scenario ?? {});
+        this.radius = this.scenario.radius;
+        this.random = new SeededRandom(options.seed ?? this.scenario.seed ?? randomSeed());
+        this.seed = this.random.seed;
+        this.nextNodeNumber = 0;
+        this.nextMessageId = 0;
+        this.scheduler = new EventScheduler();
+        this.nodes = [];
+        this.nodesById = new Map(); // The same nodes, for lookups that stay fast in big networks
+        this.links = new Map();
+        this.peerLinks = new Map(); // Node ID to its links by peer ID: getLink() without building a key per message
+
+        // Nodes the scenario declares, by ID, for what they bring along when they join
+        this.declaredNodes = new Map(this.scenario.nodes.map(entry => [entry.id, entry]));
+
+        // Active netsplit, or null while the network is whole
+        this.partitionState = null;
+
+        const firstPhase = this.scenario.phases[0];
+        this.state = {
+            speed: 1,
+            isRunning: true,
+            initialNodeCount: this.scenario.nodes.length || this.scenario.initialNodeCount,
+            nodeCount: 0,
+            currentStep: 0,
+            phaseIndex: 0,
+            currentPhase: firstPhase.phase,
+            activePhases: phasesOf(firstPhase), // The current phase, then any running alongside it
+            phaseStartedAt: -this.scenario.startOffset,
+            phaseTimer: this.scenario.startOffset,
+            isPhaseHeld: false                  // Held phases run until released or left by hand
+        };
+
+        // Pending end of the current phase, cancelled when it is held, jumped away from or retimed
+        this.phaseEnd = null;
+
+        // Fractional packets owed by the per-second rates, carried between steps
+        this.packetBudget = {
+            discovery: 0,
+            transactions: 0
+        };
+
+        // Gossiped blocks and transactions
+        this.items = new Map();
+        this.itemCounts = { block: 0, transaction: 0 };
+        this.nextBlockNumber = 0;
+        this.settledHeight = 0; // Height up to which settled blocks' transactions have been let go of
+        this.propagation = new PropagationTracker();
+
+        // Outputs new transactions can spend, and recent spends a conflicting one can reuse
+        this.unspentOutputs = [];
+        this.recentSpends = [];
+        this.rejections = Object.fromEntries(Object.values(MEMPOOL_REJECTIONS).map(reason => [reason, 0]));
+
+        this.miningStats = new MiningStats();
+        this.attackStats = new AttackStats();
+        this.metrics = new NetworkMetrics();
+
+        // Consensus protocol driving the phases after discovery and churn
+        this.protocol = createProtocol(this.scenario.protocol, this);
+
+        this.log = new EventLog({ seed: this.seed }, [], options.logOptions);
+        if (options.recordLog ?? true) {
+            this.log.attach(this);
+        }
+    }
+
+    /**
+     * Current simulation time in milliseconds
+     * @returns {number}
+     */
+    get now() {
+        return this.scheduler.now;
+    }
+
+    /**
+     * Create the scenario's initial network, announce the starting phase and start the clock
+     */
+    start() {
+        const declared = this.scenario.nodes;
+        const count = declared.length || this.scenario.initialNodeCount;
+        const { enabled: isGeographic, regions } = this.scenario.geography;
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2; // Spread evenly around the circle
+            let position = declared[i]?.position ?? {
+                x: this.radius * Math.cos(angle),
+                y: 0,
+                z: this.radius * Math.sin(angle)
+            };
+            if (isGeographic && (declared[i]?.location || !declared[i]?.position)) {
+                position = locationToPosition(declared[i]?.location ?? drawLocation(this.random, regions), this.radius);
+            }
+            const node = this.addNode(declared[i]?.id ?? this.createNodeId(), { ...position }, declared[i]?.hashpower);
+            if (declared[i]?.behavior) {
+                this.setBehavior(node, declared[i].behavior);
+            }
+        }
+        if (this.scenario.links.length > 0) {
+            this.scenario.links.forEach(link => {
+                this.connect(this.getNode(link.source), this.getNode(link.target), link);
+            });
+        } else {
+            const { type, ...params } = this.scenario.topology;
+            TOPOLOGIES[type].generate(this.nodes, params, this.random).forEach(([source, target]) => {
+                this.connect(source, target);
+            });
+        }
+
+        this.protocol.start();
+        this.emit("phaseChanged", { phase: this.state.currentPhase, phases: this.state.activePhases });
+        this.state.activePhases.forEach(phase => this.protocol.onPhaseStart(phase));
+        this.schedulePhaseEnd();
+        this.scheduler.schedule(STEP_MS, () => this.runStep());
+        this.scheduleMetricsSample();
+
+        this.scenario.partitions.forEach(split => {
+            this.scheduler.scheduleAt(split.at, () => this.partition(split.groups ?? split.groupCount));
+            if (split.duration !== undefined) {
+                this.scheduler.scheduleAt(split.at + split.duration, () => this.healPartition());
+            }
+        });
+        this.scenario.attacks.forEach(attack => {
+            this.scheduler.scheduleAt(attack.at, () => {
+                if (attack.type === "sybil") {
+                    this.launchSybil(attack.count);
+                } else if (attack.victim === undefined) {
+                    this.eclipse(undefined, attack.count);
+                } else if (this.getNode(attack.victim)) {
+                    // A named victim that has since left is not swapped for another
+                    this.eclipse(this.getNode(attack.victim), attack.count);
+                }
+            });
+        });
+    }
+
+    /**
+     * Find a node by its ID
+     * @param {string} nodeId - The ID of the node
+     * @returns {SimNode|undefined}
+     */
+    getNode(nodeId) {
+        return this.nodesById.get(nodeId);
+    }
+
+    /**
+     * Allocate the next free node ID ("node-0", "node-1", ...)
+     * @returns {string}
+     */
+    createNodeId() {
+        let nodeId;
+        do {
+            nodeId = `node-${this.nextNodeNumber++}`;
+        } while (this.getNode(nodeId));
+        return nodeId;
+    }
+
+    /**
+     * Allocate the next block hash: the seeded block number scrambled, so no two blocks of a run share one
+     * @returns {string} 8 hex digits, never the genesis block's
+     */
+    createBlockHash() {
+        let hash;
+        do {
+            hash = scramble(this.random.seed + this.nextBlockNumber++).toString(16).padStart(8, "0");
+        } while (hash === GENESIS_BLOCK.hash);
+        return hash;
+    }
+
+    /**
+     * Add a node to the network. In a geographic run, its location is where its position points from the centre.
+     * @param {string} nodeId - Unique identifier for the node
+     * @param {{x: number, y: number, z: number}} position - Suggested layout position
+     * @param {number} [hashpower] - Mining power; drawn from the scenario's mining settings if omitted
+     * @returns {SimNode}
+     */
+    addNode(nodeId, position, hashpower) {
+        const node = new SimNode(nodeId, position);
+        node.joinedAt = this.now;
+        node.attributes = { ...this.declaredNodes.get(nodeId)?.attributes };
+        if (this.scenario.geography.enabled) {
+            node.location = positionToLocation(position);
+        }
+        const { minerProbability, minHashpower, maxHashpower } = this.scenario.mining;
+        if (hashpower === undefined && this.protocol.constructor.usesMining && this.random.chance(minerProbability)) {
+            hashpower = Math.round(this.random.range(minHashpower, maxHashpower) * 10) / 10;
+        }
+        node.hashpower = hashpower ?? 0;
+        if (node.hashpower > 0) {
+            this.miningStats.addMiner(nodeId, node.hashpower);
+        }
+        if (this.partitionState) {
+            // Nodes joining during a netsplit end up on a random side
+            node.group = this.random.int(this.partitionState.groupCount);
+        }
+        this.nodes.push(node);
+        this.nodesById.set(nodeId, node);
+        this.state.nodeCount = this.nodes.length;
+        this.emit("nodeAdded", { node });
+        this.protocol.onNodeAdded(node);
+        return node;
+    }
+
+    /**
+     * Remove a node and all of its links from the network
+     * @param {SimNode} node - The node to remove
+     */
+    removeNode(node) {
+        const index = this.nodes.indexOf(node);
+        if (index === -1) {
+            return;
+        }
+        this.nodes.splice(index, 1);
+        this.nodesById.delete(node.nodeId);
+
+        Array.from(node.connections).forEach(otherNodeId => {
+            const otherNode = this.getNode(otherNodeId);
+            if (otherNode) {
+                this.disconnect(node, otherNode);
+            }
+        });
+
+        this.state.nodeCount = this.nodes.length;
+        this.emit("nodeRemoved", { node });
+        this.protocol.onNodeRemoved(node);
+
+        // A victim whose last attacker left is free to find honest peers again
+        this.nodes.filter(other => other.isEclipsed && other.connections.size === 0).forEach(victim => {
+            victim.isEclipsed = false;
+            this.emit("eclipseChanged", { node: victim });
+        });
+
+        if (this.partitionState) {
+            // Links to a node that left can't be restored
+            this.partitionState.severed = this.partitionState.severed.filter(link =>
+                link.source !== node.nodeId && link.target !== node.nodeId
+            );
+            this.emit("partitionChanged", { partition: this.partitionState });
+        }
+    }
+
+    /**
+     * Move a node's suggested layout position, e.g. after it was dragged; in a
+     * geographic run that moves it elsewhere on Earth, for the links it opens from then on
+     * @param {SimNode} node - The node
+     * @param {{x: number, y: number, z: number}} position - New position
+     */
+    moveNode(node, position) {
+        node.position = { ...position };
+        if (node.location) {
+            node.location = positionToLocation(position);
+        }
+        this.emit("nodeMoved", { node });
+    }
+
+    /**
+     * Create a bidirectional link between two nodes
+     * @param {SimNode} source - Node initiating the link
+     * @param {SimNode} target - Node accepting the link
+     * @param {{latency?: number, bandwidth?: number}} [properties] - Overrides for the scenario's link defaults;
+     *     in a geographic run, latency defaults to what the distance between the nodes takes
+     * @returns {boolean} Whether a new link was created
+     */
+    connect(source, target, properties = {}) {
+        if (source === target || source.isConnectedTo(target.nodeId) || !this.canReach(source, target) || this.refuses(source, target)) {
+            return false;
+        }
+
+        const defaults = this.scenario.linkDefaults;
+        const latency = properties.latency ?? (source.location && target.location
+            ? geoLatency(source.location, target.location, this.scenario.geography)
+            : Math.round(this.random.range(defaults.minLatency, defaults.maxLatency)));
+        const link = new Link(source.nodeId, target.nodeId, {
+            latency,
+            bandwidth: properties.bandwidth ?? defaults.bandwidth
+        }, this.now);
+        this.links.set(Link.key(source.nodeId, target.nodeId), link);
+        [[source, target], [target, source]].forEach(([end, peer]) => {
+            if (!this.peerLinks.has(end.nodeId)) this.peerLinks.set(end.nodeId, new Map());
+            this.peerLinks.get(end.nodeId).set(peer.nodeId, link);
+        });
+
+        source.connections.add(target.nodeId);
+        target.connections.add(source.nodeId);
+        source.knownAddresses.add(target.nodeId);
+        target.knownAddresses.add(source.nodeId);
+        this.emit("linkAdded", { source, target, link });
+
+        // Once TCP is up, the side that connected opens the version handshake
+        this.scheduler.scheduleAt(link.handshakeAt, () => {
+            if (this.setLinkState(link, LINK_STATES.HANDSHAKE)) {
+                this.sendMessage(source, target, WIRE_MESSAGES.VERSION, { peerHeight: source.chain.height });
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Move a link along its lifecycle, unless it was closed or replaced meanwhile
+     * @param {Link} link - The link
+     * @param {string} state - One of LINK_STATES
+     * @returns {boolean} Whether the link is still open and now in that state
+     */
+    setLinkState(link, state) {
+        if (this.getLink(link.sourceId, link.targetId) !== link || link.state === LINK_STATES.CLOSING) {
+            return false;
+        }
+        link.state = state;
+        this.emit("linkStateChanged", { source: this.getNode(link.sourceId), target: this.getNode(link.targetId), link });
+        return true;
+    }
+
+    /**
+     * Close a link gracefully: it stops taking new messages at once, and is
+     * gone once the messages already on the wire have had time to arrive
+     * @param {SimNode} source - One end of the link
+     * @param {SimNode} target - The other end of the link
+     * @returns {boolean} Whether the link started closing
+     */
+    closeLink(source, target) {
+        const link = this.getLink(source.nodeId, target.nodeId);
+        if (!link || link.state === LINK_STATES.CLOSING) {
+            return false;
+        }
+
+        this.setLinkState(link, LINK_STATES.CLOSING);
+        const drainedAt = Math.max(...Array.from(link.busyUntil.values()), this.now) + link.latency;
+        this.scheduler.scheduleAt(drainedAt, () => {
+            if (this.getLink(source.nodeId, target.nodeId) === link) {
+                this.disconnect(source, target);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Remove the link between two nodes
+     * @param {SimNode} source - One end of the link
+     * @param {SimNode} target - The other end of the link
+     */
+    disconnect(source, target) {
+        if (!source.isConnectedTo(target.nodeId)) {
+            return;
+        }
+
+        const key = Link.key(source.nodeId, target.nodeId);
+        const link = this.links.get(key);
+        this.links.delete(key);
+        [[source, target], [target, source]].forEach(([end, peer]) => {
+            const peerLinks = this.peerLinks.get(end.nodeId);
+            peerLinks.delete(peer.nodeId);
+            if (peerLinks.size === 0) this.peerLinks.delete(end.nodeId);
+        });
+
+        source.connections.delete(target.nodeId);
+        target.connections.delete(source.nodeId);
+        this.emit("linkRemoved", { source, target, link });
+    }
+
+    /**
+     * Whether either node turns the other away: it was banned, or one is
+     * eclipsed and has no slot left for anyone but the eclipse attackers
+     * @param {SimNode} a - One node
+     * @param {SimNode} b - The other node
+     * @returns {boolean}
+     */
+    refuses(a, b) {
+        return a.banned.has(b.nodeId) || b.banned.has(a.nodeId) ||
+            (a.isEclipsed && b.behavior !== BEHAVIORS.ECLIPSE) || (b.isEclipsed && a.behavior !== BEHAVIORS.ECLIPSE);
+    }
+
+    /**
+     * Whether two nodes are on the same side of any active netsplit
+     * @param {SimNode} a - One node
+     * @param {SimNode} b - The other node
+     * @returns {boolean}
+     */
+    canReach(a, b) {
+        return a.group === b.group;
+    }
+
+    /**
+     * Split the network into isolated groups by cutting every link between them.
+     * Each side keeps running its own phases and gossip until healPartition().
+     * @param {string[][]|number} groups - Node IDs per group (unlisted nodes join the first),
+     *     or a number of groups to slice the layout into
+     */
+    partition(groups) {
+        if (this.partitionState) {
+            this.healPartition();
+        }
+
+        const groupList = typeof groups === "number" ? splitByPosition(this.nodes, groups) : groups;
+        const assignment = new Map();
+        groupList.forEach((nodeIds, index) => {
+            nodeIds.forEach(nodeId => assignment.set(nodeId, index));
+        });
+        this.nodes.forEach(node => {
+            node.group = assignment.get(node.nodeId) ?? 0;
+        });
+
+        const severed = [];
+        Array.from(this.links.values()).forEach(link => {
+            const source = this.getNode(link.sourceId);
+            const target = this.getNode(link.targetId);
+            if (source.group !== target.group) {
+                severed.push({
+                    source: link.sourceId,
+                    target: link.targetId,
+                    latency: link.latency,
+                    bandwidth: link.bandwidth
+                });
+                this.disconnect(source, target);
+            }
+        });
+
+        this.partitionState = {
+            groupCount: groupList.length,
+            severed,
+            startedAt: this.now
+        };
+        this.emit("partitionChanged", { partition: this.partitionState });
+    }
+
+    /**
+     * End the netsplit: restore the severed links and let both sides catch up
+     * on the blocks and transactions they missed
+     */
+    healPartition() {
+        if (!this.partitionState) {
+            return;
+        }
+
+        const { severed, startedAt } = this.partitionState;
+        this.partitionState = null;
+        this.nodes.forEach(node => {
+            node.group = null;
+        });
+        this.emit("partitionChanged", { partition: null });
+
+        severed.forEach(({ source, target, latency, bandwidth }) => {
+            const sourceNode = this.getNode(source);
+            const targetNode = this.getNode(target);
+            if (sourceNode && targetNode && this.connect(sourceNode, targetNode, { latency, bandwidth })) {
+                this.reconcile(sourceNode, targetNode, startedAt);
+            }
+        });
+    }
+
+    /**
+     * Send each of two peers the items the other is missing
+     * @param {SimNode} a - One peer
+     * @param {SimNode} b - The other peer
+     * @param {number} since - Only items created at or after this time
+     */
+    reconcile(a, b, since) {
+        [[a, b], [b, a]].forEach(([from, to]) => {
+            const missed = Array.from(from.inventory).filter(itemId => {
+                const item = this.items.get(itemId);
+                return item?.kind === "transaction" && item.createdAt >= since && !to.inventory.has(itemId);
+            });
+            if (missed.length > 0) {
+                this.sendEntries(from, to, WIRE_MESSAGES.INV, { itemIds: missed }, missed.length);
+            }
+
+            // Blocks are fetched like any sync, so the longer side's chain wins
+            this.requestBlocks(to, from);
+        });
+    }
+
+    /**
+     * Find the link between two nodes
+     * @param {string} a - One node ID
+     * @param {string} b - The other node ID
+     * @returns {Link|undefined}
+     */
+    getLink(a, b) {
+        return this.peerLinks.get(a)?.get(b);
+    }
+
+    /**
+     * Send a message from one node to another
+     * @param {SimNode} source - The sending node
+     * @param {SimNode} target - The receiving node
+     * @param {string} type - Type of message, one of WIRE_MESSAGES or the protocol's
+     * @param {Object} [payload] - Message contents, e.g. { itemId } for a tx or block
+     * @param {number} [size] - Size in bytes, if not the scenario's or the protocol's size for the type
+     * @returns {Object|null} The message in flight, or null if it couldn't be sent
+     */
+    sendMessage(source, target, type, payload = {}, size = this.scenario.messageSizes[type] ?? this.protocol.messageSizes[type] ?? 0) {
+        if (!this.canReach(source, target)) {
+            return null;
+        }
+
+        const link = this.getLink(source.nodeId, target.nodeId);
+        if (!link) {
+            console.warn(`Attempted to send ${type} packet without connection between ${source.nodeId} and ${target.nodeId}`);
+            return null;
+        }
+        if (link.state === LINK_STATES.CLOSING) {
+            return null;
+        }
+        const timing = link.transmit(source.nodeId, size, this.now, HANDSHAKE_MESSAGES.has(type));
+        source.messagesSent[type] = (source.messagesSent[type] ?? 0) + 1;
+        this.metrics.recordMessage(type, this.now);
+
+        const message = {
+            id: this.nextMessageId++,
+            source,
+            target,
+            type,
+            payload,
+            size,
+            queuedAt: this.now,
+            sentAt: timing.sentAt,
+            deliverAt: timing.deliverAt
+        };
+        this.emit("messageSent", message);
+        this.scheduler.scheduleAt(message.deliverAt, () => {
+            this.emit("messageDelivered", message);
+            this.receiveMessage(message);
+        });
+        return message;
+    }
+
+    /**
+     * Send a message sized by its number of entries (addresses, inventory items or headers)
+     * @param {SimNode} source - The sending node
+     * @param {SimNode} target - The receiving node
+     * @param {string} type - addr, inv, getdata or headers
+     * @param {Object} payload - Message contents
+     * @param {number} count - Number of entries
+     * @returns {Object|null} The message in flight, or null if it couldn't be sent
+     */
+    sendEntries(source, target, type, payload, count) {
+        return this.sendMessage(source, target, type, payload, this.scenario.messageSizes[type] * Math.max(count, 1));
+    }
+
+    /**
+     * Handle a delivered message at its target
+     * @param {Object} message - The delivered message
+     */
+    receiveMessage(message) {
+        const { source, target, payload } = message;
+        if (this.nodesById.get(target.nodeId) !== target) {
+            return; // Node went offline while the message was in flight
+        }
+        if (!this.canReach(source, target)) {
+            return; // Lost in a netsplit that happened while it was in flight
+        }
+        if (!target.isConnectedTo(source.nodeId)) {
+            return; // Connection closed while it was in flight
+        }
+        target.messagesReceived[message.type] = (target.messagesReceived[message.type] ?? 0) + 1;
+        if (this.protocol.receive(message)) {
+            return;
+        }
+
+        if (payload.peerHeight !== undefined) {
+            target.bestKnownHeight = Math.max(target.bestKnownHeight, payload.peerHeight);
+        }
+
+        if (payload.isInvalid) {
+            this.rejectInvalid(target, source);
+        } else {
+            this.receiveWireMessage(message);
+        }
+    }
+
+    /**
+     * Answer a peer-to-peer protocol message the way a Bitcoin node does
+     * @param {Object} message - The delivered message, of one of WIRE_MESSAGES
+     */
+    receiveWireMessage({ source, target, type, payload }) {
+        const link = this.getLink(source.nodeId, target.nodeId);
+        switch (type) {
+            case WIRE_MESSAGES.VERSION:
+                // The side that accepted the connection introduces itself in turn
+                if (link.direction(target.nodeId) === LINK_DIRECTIONS.INBOUND) {
+                    this.sendMessage(target, source, WIRE_MESSAGES.VERSION, { peerHeight: target.chain.height });
+                }
+                this.sendMessage(target, source, WIRE_MESSAGES.VERACK);
+                break;
+
+            case WIRE_MESSAGES.VERACK:
+                if (link.state === LINK_STATES.HANDSHAKE && this.setLinkState(link, LINK_STATES.ESTABLISHED)) {
+                    this.schedulePing(link);
+                }
+                // Nodes ask their outbound peers for more addresses
+                if (link.direction(target.nodeId) === LINK_DIRECTIONS.OUTBOUND) {
+                    this.sendMessage(target, source, WIRE_MESSAGES.GETADDR);
+                }
+                break;
+
+            case WIRE_MESSAGES.PING:
+                this.sendMessage(target, source, WIRE_MESSAGES.PONG, { sentAt: payload.sentAt });
+                break;
+
+            case WIRE_MESSAGES.PONG:
+                link.pingTime = this.now - payload.sentAt;
+                break;
+
+            case WIRE_MESSAGES.GETADDR: {
+                const addresses = Array.from(target.knownAddresses)
+                    .filter(nodeId => nodeId !== source.nodeId)
+                    .slice(-WIRE_DEFAULTS.maxAddresses); // The most recently learned
+                if (addresses.length > 0) {
+                    this.sendEntries(target, source, WIRE_MESSAGES.ADDR, { addresses }, addresses.length);
+                }
+                break;
+            }
+
+            case WIRE_MESSAGES.ADDR:
+                payload.addresses
+                    .filter(nodeId => nodeId !== target.nodeId)
+                    .forEach(nodeId => target.knownAddresses.add(nodeId));
+                break;
+
+            case WIRE_MESSAGES.INV:
+                this.requestData(target, source, payload.itemIds.filter(itemId => this.isWanted(target, itemId)));
+                break;
+
+            case WIRE_MESSAGES.GETDATA: {
+                const items = payload.itemIds.filter(itemId => target.inventory.has(itemId) && this.items.has(itemId))
+                    .map(itemId => this.items.get(itemId));
+                items.forEach((item, index) => {
+                    if (item.kind === "transaction") {
+                        this.sendMessage(target, source, WIRE_MESSAGES.TX, { itemId: item.id }, item.tx.size);
+                    } else {
+                        this.sendMessage(target, source, WIRE_MESSAGES.BLOCK, {
+                            itemId: item.id,
+                            peerHeight: target.chain.height,
+                            isSync: payload.isSync,
+                            isLast: payload.isSync && index === items.length - 1
+                        });
+                    }
+                });
+                break;
+            }
+
+            case WIRE_MESSAGES.GETHEADERS: {
+                if (withholds(target)) {
+                    this.attackStats.withheldSyncs++;
+                    return;
+                }
+                // Answer with the headers after the last block we have in common
+                const hashes = target.chain.blocksAfter(payload.locator).map(block => block.hash);
+                this.sendEntries(target, source, WIRE_MESSAGES.HEADERS, {
+                    hashes,
+                    peerHeight: target.chain.height,
+                    isSync: true
+                }, hashes.length);
+                break;
+            }
+
+            case WIRE_MESSAGES.HEADERS: {
+                if (payload.isSync) {
+                    target.lastSyncActivityAt = this.now; // Still downloading, don't ask again yet
+                }
+                // A sync batch is fetched whole; an announced block only if nobody is already sending it
+                const wanted = payload.hashes.filter(hash =>
+                    payload.isSync ? !target.inventory.has(hash) : this.isWanted(target, hash)
+                );
+                this.requestData(target, source, wanted, payload.isSync);
+                break;
+            }
+
+            case WIRE_MESSAGES.CMPCTBLOCK: {
+                const item = this.items.get(payload.itemId);
+                if (target.inventory.has(item.id)) {
+                    break;
+                }
+                // Rebuild the block from the mempool, or fetch it whole if any transaction is missing
+                const canRebuild = item.block.txids.every(txId => target.mempool.has(txId) || target.mempool.confirmed.has(txId));
+                if (canRebuild) {
+                    this.acceptItem(target, item, source);
+                } else {
+                    this.requestData(target, source, [item.id]);
+                }
+                break;
+            }
+
+            case WIRE_MESSAGES.TX:
+            case WIRE_MESSAGES.BLOCK: {
+                if (payload.isSync) {
+                    target.lastSyncActivityAt = this.now;
+                }
+
+                // Sync replies are only announced once the whole batch is in
+                const announce = !payload.isSync || payload.isLast;
+                if (this.items.has(payload.itemId)) {
+                    this.acceptItem(target, this.items.get(payload.itemId), source, announce);
+                }
+
+                if (payload.isLast && target.chain.height < payload.peerHeight) {
+                    this.requestBlocks(target, source); // Next batch
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Whether a node should ask for an announced item: it doesn't have it,
+     * and hasn't asked a peer for it recently enough to still expect it
+     * @param {SimNode} node - Node the item was announced to
+     * @param {string} itemId - The item
+     * @returns {boolean}
+     */
+    isWanted(node, itemId) {
+        const askedAt = node.requested.get(itemId);
+        return !node.inventory.has(itemId) && (askedAt === undefined || this.now - askedAt >= WIRE_DEFAULTS.requestTimeout);
+    }
+
+    /**
+     * Send a getdata for items a node is missing, remembering when it asked
+     * @param {SimNode} node - Node that wants the items
+     * @param {SimNode} peer - Peer that announced them
+     * @param {string[]} itemIds - Items to fetch
+     * @param {boolean} [isSync] - Whether they are blocks of a sync batch
+     */
+    requestData(node, peer, itemIds, isSync = false) {
+        if (itemIds.length === 0) {
+            return;
+        }
+        if (node.requested.size >= REMEMBERED_REQUESTS) {
+            // A request that timed out is as good as never made
+            node.requested.forEach((askedAt, itemId) => {
+                if (this.now - askedAt >= WIRE_DEFAULTS.requestTimeout) node.requested.delete(itemId);
+            });
+        }
+        itemIds.forEach(itemId => node.requested.set(itemId, this.now));
+        this.sendEntries(node, peer, WIRE_MESSAGES.GETDATA, { itemIds, isSync }, itemIds.length);
+    }
+
+    /**
+     * Keep pinging over a link for as long as it stays open. Only the end
+     * that opened it pings: the round trip it measures is the link's.
+     * @param {Link} link - The link
+     */
+    schedulePing(link) {
+        this.scheduler.schedule(WIRE_DEFAULTS.pingInterval * this.random.range(0.5, 1.5), () => {
+            if (this.getLink(link.sourceId, link.targetId) !== link) {
+                return;
+            }
+            this.sendMessage(this.getNode(link.sourceId), this.getNode(link.targetId), WIRE_MESSAGES.PING, { sentAt: this.now });
+            this.schedulePing(link);
+        });
+    }
+
+    /**
+     * Queue a transaction for a node's next round of announcements. As in
+     * Bitcoin, a node gathers what it receives for a random while, then sends
+     * each peer one inv of the queued items that peer doesn't hold yet.
+     * @param {SimNode} node - Node that has the transaction
+     * @param {string} itemId - The transaction
+     */
+    announce(node, itemId) {
+        node.pendingAnnouncements.push(itemId);
+        if (node.pendingAnnouncements.length > 1) {
+            return; // A round is already scheduled
+        }
+        this.scheduler.schedule(WIRE_DEFAULTS.invInterval * this.random.range(0.5, 1.5), () => {
+            const itemIds = node.pendingAnnouncements;
+            node.pendingAnnouncements = [];
+            if (this.nodesById.get(node.nodeId) !== node) {
+                return;
+            }
+            node.connections.forEach(peerId => {
+                const peer = this.getNode(peerId);
+                if (!peer) return;
+                // Stands in for the record real nodes keep of which peers announced or sent them what
+                const unknown = itemIds.filter(itemId => !peer.inventory.has(itemId));
+                if (unknown.length > 0) {
+                    this.sendEntries(node, peer, WIRE_MESSAGES.INV, { itemIds: unknown }, unknown.length);
+                }
+            });
+        });
+    }
+
+    /**
+     * Ask a peer for the headers of its chain that a node doesn't have yet;
+     * the blocks follow with getdata
+     * @param {SimNode} node - Node that is missing blocks
+     * @param {SimNode} peer - Peer to download from
+     */
+    requestBlocks(node, peer) {
+        node.lastSyncActivityAt = this.now;
+        this.sendMessage(node, peer, WIRE_MESSAGES.GETHEADERS, {
+            locator: node.chain.locator(),
+            peerHeight: node.chain.height
+        });
+    }
+
+    /**
+     * Create a new block or transaction at a node and start gossiping it
+     * @param {SimNode} origin - Node that creates the item
+     * @param {string} kind - "block" or "transaction"
+     * @returns {Object} The new item
+     */
+    broadcast(origin, kind) {
+        const item = this.createItem(origin, kind);
+        this.acceptItem(origin, item, null);
+        return item;
+    }
+
+    /**
+     * Create a block or transaction and register it for tracking, without sending it anywhere
+     * @param {SimNode} origin - Node that creates the item
+     * @param {string} kind - "block" or "transaction"
+     * @param {function(string): Object} [makeTransaction] - Builds the transaction for a given ID
+     * @returns {Object} The new item
+     */
+    createItem(origin, kind, makeTransaction = id => this.createTransaction(id)) {
+        const item = {
+            id: null,
+            kind,
+            origin: origin.nodeId,
+            createdAt: this.now
+        };
+        if (kind === "block") {
+            // A new block extends the tip of the chain its creator follows and packs
+            // the best-paying transactions from its mempool; blocks go by their hash
+            item.block = createBlock(origin.chain.tip, {
+                hash: this.createBlockHash(),
+                miner: origin.nodeId,
+                createdAt: this.now,
+                txids: origin.mempool.select(this.scenario.messageSizes.block).map(tx => tx.id)
+            });
+            item.id = item.block.hash;
+        } else {
+            item.tx = makeTransaction(`tx-${this.itemCounts[kind]}`);
+            item.id = item.tx.id;
+        }
+        this.itemCounts[kind]++;
+        this.items.set(item.id, item);
+        // The audience is counted rather than listed, so big networks don't keep every node's ID per item.
+        // Nodes that joined in this very millisecond aren't part of it
+        this.propagation.track(item, this.nodes.filter(node => node.joinedAt < this.now).length);
+        this.emit("itemCreated", { item });
+        return item;
+    }
+
+    /**
+     * Make up a transaction spending one or two unspent outputs. Now and then
+     * it reuses an input a recent transaction already spent, i.e. a double-spend.
+     * @param {string} id - Transaction ID
+     * @returns {{id: string, fee: number, size: number, inputs: string[], outputs: string[]}}
+     */
+    createTransaction(id) {
+        const { minFee, maxFee, minSize, maxSize, conflictProbability } = this.scenario.transactions;
+
+        let inputs;
+        if (this.recentSpends.length > 0 && this.random.chance(conflictProbability)) {
+            inputs = [this.random.pick(this.recentSpends)];
+        } else {
+            inputs = Array.from({ length: 1 + this.random.int(2) }, () => {
+                if (this.unspentOutputs.length === 0) {
+                    return `coin-${this.itemCounts.transaction}-${this.random.int(1000000)}`;
+                }
+                // Swap-remove a random output
+                const index = this.random.int(this.unspentOutputs.length);
+                const outpoint = this.unspentOutputs[index];
+                this.unspentOutputs[index] = this.unspentOutputs[this.unspentOutputs.length - 1];
+                this.unspentOutputs.pop();
+                return outpoint;
+            });
+            this.recentSpends.push(...inputs);
+            this.recentSpends.splice(0, Math.max(0, this.recentSpends.length - RECENT_SPENDS));
+        }
+
+        const outputs = [`${id}:0`, `${id}:1`];
+        this.unspentOutputs.push(...outputs);
+
+        return {
+            id,
+            fee: Math.round(this.random.range(minFee, maxFee)),
+            size: Math.round(this.random.range(minSize, maxSize)),
+            inputs,
+            outputs
+        };
+    }
+
+    /**
+     * Schedule the next block, found after an exponentially distributed wait.
+     * Difficulty is assumed to track the online hashpower, so blocks keep
+     * coming at the target interval however many miners are around.
+     */
+    scheduleNextBlock() {
+        this.scheduler.schedule(nextBlockDelay(this.random, this.scenario.mining.targetBlockInterval), () => {
+            this.mineBlock();
+            this.scheduleNextBlock();
+        });
+    }
+
+    /**
+     * Let a miner, chosen by hashpower, find a block on top of its best chain
+     * @returns {Object|undefined} The block, or undefined if nobody is mining
+     */
+    mineBlock() {
+        const miner = pickMiner(this.random, this.nodes.filter(node => node.hashpower > 0));
+        if (!miner) {
+            return undefined;
+        }
+
+        this.flashActivity(miner, ACTIVITIES.MINING, 1000);
+        const { block } = this.broadcast(miner, "block");
+        this.miningStats.record(block);
+        this.settleBlocks(miner.chain);
+        this.emit("blockMined", { node: miner, block });
+        return block;
+    }
+
+    /**
+     * Let go of what only a reorg deeper than SETTLED_DEPTH would need: the transactions
+     * of blocks that deep in a chain, and the mining stats' record of those blocks
+     * @param {BlockTree} chain - Chain to measure depth in, usually the latest miner's
+     */
+    settleBlocks(chain) {
+        this.miningStats.settle(chain);
+        const height = chain.height - SETTLED_DEPTH;
+        if (height <= this.settledHeight) {
+            return;
+        }
+        chain.blocksBetween(chain.ancestor(chain.tip, this.settledHeight), chain.ancestor(chain.tip, height)).forEach(block => {
+            this.attackStats.settle(block.txids);
+            block.txids.forEach(txId => this.items.delete(txId));
+        });
+        this.settledHeight = height;
+    }
+
+    /**
+     * Mining statistics measured against the chain with the most work on the network
+     * @returns {Object} See MiningStats.summary()
+     */
+    getMiningStats() {
+        const best = this.bestNode();
+        return this.miningStats.summary(best ? best.chain : new BlockTree());
+    }
+
+    /**
+     * Node whose chain has the most work
+     * @returns {SimNode|undefined}
+     */
+    bestNode() {
+        return this.nodes.reduce((best, node) =>
+            !best || node.chain.tip.chainWork > best.chain.tip.chainWork ? node : best, undefined);
+    }
+
+    /**
+     * Store an item at a node and relay it to the node's other peers.
+     * Items a node already holds are dropped, so nothing is relayed twice.
+     * Blocks are only relayed once they extend the node's best chain; a block
+     * whose parent is unknown makes the node fetch the gap from the sender.
+     * Transactions the node's mempool rejects go no further, and withholding
+     * attackers keep everything they get from peers to themselves.
+     * @param {SimNode} node - Node that received the item
+     * @param {Object} item - The item
+     * @param {SimNode|null} from - Peer it came from, null for the origin
+     * @param {boolean} [relay] - Whether to pass the item on
+     */
+    acceptItem(node, item, from, relay = true) {
+        if (node.inventory.has(item.id)) {
+            return;
+        }
+        node.inventory.add(item.id);
+        node.requested.delete(item.id);
+
+        if (item.kind === "block") {
+            relay = this.acceptBlock(node, item.block, from) && relay;
+        } else if (item.kind === "transaction" && !this.acceptTransaction(node, item.tx)) {
+            return;
+        }
+
+        const isAudience = node.joinedAt < item.createdAt;
+        const crossed = isAudience ? this.propagation.recordReach(item.id, node.nodeId, this.now) : [];
+        this.emit("itemReceived", { node, item, from });
+        crossed.forEach(threshold => {
+            this.emit("itemPropagated", { item, threshold, report: this.propagation.getReport(item.id) });
+        });
+
+        if (item.kind === "transaction") {
+            this.flashActivity(node, ACTIVITIES.PROCESSING, from ? 300 : 1000);
+        }
+
+        if (!relay) {
+            return;
+        }
+        if (from && withholds(node)) {
+            this.attackStats.droppedRelays++;
+            return;
+        }
+        if (item.kind === "transaction") {
+            this.announce(node, item.id);
+            return;
+        }
+        // Blocks go straight to a few peers as compact blocks; everyone else gets an announcement to request from.
+        // Peers that already hold the block are skipped, as in announce()
+        const compactPeers = new Set(Array.from(node.connections).slice(0, WIRE_DEFAULTS.compactPeers));
+        node.connections.forEach(peerId => {
+            if (from && peerId === from.nodeId) return;
+            const peer = this.getNode(peerId);
+            if (!peer || peer.inventory.has(item.id)) return;
+
+            if (compactPeers.has(peerId)) {
+                this.sendMessage(node, peer, WIRE_MESSAGES.CMPCTBLOCK, { itemId: item.id, peerHeight: node.chain.height });
+            } else {
+                this.sendEntries(node, peer, WIRE_MESSAGES.HEADERS, { hashes: [item.id], peerHeight: node.chain.height }, 1);
+            }
+        });
+    }
+
+    /**
+     * Add a block to a node's block tree
+     * @param {SimNode} node - Node that received the block
+     * @param {Object} block - The block
+     * @param {SimNode|null} from - Peer it came from
+     * @returns {boolean} Whether it became the node's new tip
+     */
+    acceptBlock(node, block, from) {
+        node.bestKnownHeight = Math.max(node.bestKnownHeight, block.height);
+
+        const oldTip = node.chain.tip;
+        const { isOrphan, tipChanged, reorg } = node.chain.add(block);
+        if (isOrphan && from) {
+            this.requestBlocks(node, from);
+        }
+        if (!isOrphan) {
+            this.protocol.onBlockAccepted(node, block);
+        }
+        if (tipChanged) {
+            // Transactions in blocks that left the chain are unconfirmed again, those in new blocks are mined
+            const forkPoint = reorg ? reorg.forkPoint : oldTip;
+            // Settled transactions are gone from items, but one still waiting in this mempool can be found there
+            const transactionsIn = blocks => blocks.flatMap(each => each.txids
+                .map(txId => this.items.get(txId)?.tx ?? node.mempool.transactions.get(txId))
+                .filter(Boolean));
+            node.mempool.unconfirm(transactionsIn(node.chain.blocksBetween(forkPoint, oldTip)));
+            node.mempool.confirm(transactionsIn(node.chain.blocksBetween(forkPoint, node.chain.tip)), node.chain.height);
+            node.mempool.forgetConfirmed(node.chain.height - SETTLED_DEPTH);
+
+            this.emit("chainChanged", { node, tip: node.chain.tip, reorg });
+            this.emit("mempoolChanged", { node });
+        }
+        return tipChanged;
+    }
+
+    /**
+     * Offer a transaction to a node's mempool
+     * @param {SimNode} node - Node that received the transaction
+     * @param {Object} tx - The transaction
+     * @returns {boolean} Whether the mempool admitted it
+     */
+    acceptTransaction(node, tx) {
+        const { accepted, reason } = node.mempool.add(tx);
+        if (!accepted) {
+            this.rejections[reason]++;
+            this.emit("transactionRejected", { node, tx, reason });
+            return false;
+        }
+
+        this.emit("mempoolChanged", { node });
+        return true;
+    }
+
+    /**
+     * Transactions waiting in any mempool, best fee rate first
+     * @returns {{tx: Object, holders: number}[]} Each transaction with the number of mempools holding it
+     */
+    unconfirmedTransactions() {
+        const entries = new Map();
+        this.nodes.forEach(node => {
+            node.mempool.transactions.forEach(tx => {
+                const entry = entries.get(tx.id) ?? { tx, holders: 0 };
+                entry.holders++;
+                entries.set(tx.id, entry);
+            });
+        });
+        return Array.from(entries.values()).sort((a, b) => feeRate(b.tx) - feeRate(a.tx));
+    }
+
+    /**
+     * Make a node behave in a new way
+     * @param {SimNode} node - The node
+     * @param {string} behavior - One of BEHAVIORS
+     */
+    setBehavior(node, behavior) {
+        node.behavior = behavior;
+        this.emit("behaviorChanged", { node });
+    }
+
+    /**
+     * Turn a random honest node into an attacker
+     * @param {string} behavior - One of BEHAVIORS
+     * @returns {SimNode|undefined} The node, or undefined if none are honest
+     */
+    corrupt(behavior) {
+        const honest = this.nodes.filter(node => !isAttacker(node));
+        if (honest.length === 0) {
+            return undefined;
+        }
+        const node = this.random.pick(honest);
+        this.setBehavior(node, behavior);
+        return node;
+    }
+
+    /**
+     * Spin up a cluster of attacker identities that connect to honest nodes
+     * and swallow whatever reaches them
+     * @param {number} [count] - Number of identities
+     * @returns {SimNode[]} The Sybil nodes
+     */
+    launchSybil(count = ATTACK_DEFAULTS.sybilIdentities) {
+        const honest = this.nodes.filter(node => !isAttacker(node));
+        const baseAngle = this.random.range(0, Math.PI * 2);
+        const radius = this.radius * 1.35; // Just outside the honest circle, side by side
+        // On a globe, the identities share one data centre instead
+        const site = this.scenario.geography.enabled ? drawLocation(this.random, this.scenario.geography.regions) : null;
+
+        const identities = Array.from({ length: count }, (_, i) => {
+            const angle = baseAngle + (i - (count - 1) / 2) * 0.15;
+            const node = this.addNode(this.createNodeId(), site
+                ? locationToPosition({ lat: site.lat, lon: site.lon + (i - (count - 1) / 2) * 2 }, this.radius)
+                : { x: radius * Math.cos(angle), y: 0, z: radius * Math.sin(angle) }, 0);
+            this.setBehavior(node, BEHAVIORS.SYBIL);
+            return node;
+        });
+        identities.forEach(node => {
+            for (let i = 0; i < ATTACK_DEFAULTS.sybilPeers && honest.length > 0; i++) {
+                this.connect(node, this.random.pick(honest));
+            }
+        });
+        return identities;
+    }
+
+    /**
+     * Surround a node with attackers: drop all its honest links and fill its
+     * peer slots with attackers that never relay anything to it
+     * @param {SimNode} [victim] - Node to eclipse; a random honest node if omitted
+     * @param {number} [count] - Number of attackers
+     * @returns {SimNode[]} The attackers
+     */
+    eclipse(victim, count = ATTACK_DEFAULTS.eclipseAttackers) {
+        victim = victim ?? this.random.pick(this.nodes.filter(node => !isAttacker(node) && !node.isEclipsed));
+        if (!victim) {
+            return [];
+        }
+
+        const attackers = Array.from({ length: count }, (_, i) => {
+            const angle = (i / count) * Math.PI * 2;
+            const node = this.addNode(this.createNodeId(), {
+                x: victim.position.x + 1.2 * Math.cos(angle),
+                y: victim.position.y + 1.2 * Math.sin(angle),
+                z: victim.position.z
+            }, 0);
+            node.group = victim.group;
+            this.setBehavior(node, BEHAVIORS.ECLIPSE);
+            return node;
+        });
+
+        Array.from(victim.connections).forEach(peerId => this.disconnect(victim, this.getNode(peerId)));
+        victim.isEclipsed = true;
+        this.emit("eclipseChanged", { node: victim });
+        attackers.forEach(attacker => this.connect(victim, attacker));
+        return attackers;
+    }
+
+    /**
+     * An honest node got an invalid block or transaction: it drops it and bans the sender
+     * @param {SimNode} node - Receiving node
+     * @param {SimNode} peer - Sender
+     */
+    rejectInvalid(node, peer) {
+        if (isAttacker(node)) {
+            return;
+        }
+        this.attackStats.invalidRejected++;
+        this.attackStats.bans++;
+        node.banned.add(peer.nodeId);
+        this.disconnect(node, peer);
+        this.emit("peerBanned", { node, peer });
+    }
+
+    /**
+     * Let the attackers that act on their own send invalid data and attempt double-spends
+     * @param {string[]} phases - Active phases; double-spends only happen while processing
+     */
+    handleAttackers(phases) {
+        const { invalidInterval, doubleSpendInterval } = ATTACK_DEFAULTS;
+        this.nodes.forEach(node => {
+            if (node.connections.size === 0) return;
+
+            if (node.behavior === BEHAVIORS.INVALID && this.random.chance(STEP_MS / invalidInterval)) {
+                // Only honest peers are worth fooling
+                const targets = Array.from(node.connections, peerId => this.getNode(peerId)).filter(peer => !isAttacker(peer));
+                if (targets.length === 0) return;
+                const type = this.random.chance(0.5) ? WIRE_MESSAGES.BLOCK : WIRE_MESSAGES.TX;
+                this.attackStats.invalidSent++;
+                this.sendMessage(node, this.random.pick(targets), type, { isInvalid: true });
+            } else if (node.behavior === BEHAVIORS.DOUBLE_SPEND && phases.includes(PHASES.PROCESSING) &&
+                this.random.chance(STEP_MS / doubleSpendInterval)) {
+                this.attemptDoubleSpend(node);
+            }
+        });
+    }
+
+    /**
+     * Race attack: pay one peer, and at the same time send every other peer a
+     * transaction that spends the same coins back to the attacker with a higher fee
+     * @param {SimNode} attacker - Node attempting the double-spend
+     */
+    attemptDoubleSpend(attacker) {
+        const peers = Array.from(attacker.connections, peerId => this.getNode(peerId));
+        if (peers.length < 2) {
+            return;
+        }
+
+        const merchant = this.random.pick(peers);
+        const payment = this.createItem(attacker, "transaction");
+        const doubleSpend = this.createItem(attacker, "transaction", id => ({
+            ...payment.tx,
+            id,
+            fee: payment.tx.fee * 2,
+            outputs: [`${id}:0`]
+        }));
+        attacker.inventory.add(payment.id);
+        attacker.inventory.add(doubleSpend.id);
+        this.attackStats.recordDoubleSpend(payment.id, doubleSpend.id);
+
+        peers.forEach(peer => {
+            const item = peer === merchant ? payment : doubleSpend;
+            this.sendMessage(attacker, peer, WIRE_MESSAGES.TX, { itemId: item.id }, item.tx.size);
+        });
+    }
+
+    /**
+     * Damage done by attackers so far, measured against the chain with the most work
+     * @returns {Object} See AttackStats.summary()
+     */
+    getAttackStats() {
+        return this.attackStats.summary(this.nodes, this.bestNode());
+    }
+
+    /**
+     * Change what a node is busy with
+     * @param {SimNode} node - The node to update
+     * @param {string} activity - One of ACTIVITIES
+     * @param {number} [syncProgress] - Sync progress from 0 to 1
+     */
+    setActivity(node, activity, syncProgress) {
+        node.activity = activity;
+        if (syncProgress !== undefined) {
+            node.syncProgress = syncProgress;
+        }
+        this.emit("nodeUpdated", { node });
+    }
+
+    /**
+     * Show an activity for a while, then return the node to idle
+     * @param {SimNode} node - The node to update
+     * @param {string} activity - One of ACTIVITIES
+     * @param {number} duration - How long to show it, in simulation milliseconds
+     */
+    flashActivity(node, activity, duration) {
+        node.activityUntil = Math.max(node.activityUntil, this.now + duration);
+        this.setActivity(node, activity);
+        this.scheduler.schedule(duration, () => {
+            if (node.activity === activity && this.now >= node.activityUntil) {
+                this.setActivity(node, ACTIVITIES.IDLE);
+            }
+        });
+    }
+
+    /**
+     * Pause or resume the simulation
+     * @param {boolean} isRunning - Whether the simulation should advance
+     */
+    setRunning(isRunning) {
+        this.state.isRunning = isRunning;
+    }
+
+    /**
+     * Change how fast simulation time passes relative to wall-clock time
+     * @param {number} speed - Multiplier, 1 is real time
+     */
+    setSpeed(speed) {
+        this.state.speed = speed;
+    }
+
+    /**
+     * Advance the simulation clock, running every event that falls due
+     * @param {number} deltaMs - Elapsed wall-clock time in milliseconds
+     */
+    advance(deltaMs) {
+        if (!this.state.isRunning) return;
+
+        this.scheduler.runUntil(this.now + deltaMs * this.state.speed);
+    }
+
+    /**
+     * Advance exactly one simulation step, even while paused
+     */
+    step() {
+        this.scheduler.runUntil(this.now + STEP_MS);
+    }
+
+    /**
+     * Run the active phases' handlers and schedule the next step.
+     * Discovery and churn are the same under every protocol; the protocol
+     * handles everything else.
+     */
+    runStep() {
+        this.state.currentStep++;
+        this.state.phaseTimer = this.now - this.state.phaseStartedAt;
+
+        const phases = this.state.activePhases;
+        if (phases.includes(PHASES.DISCOVERY)) {
+            this.handleDiscoveryPhase();
+        }
+        if (phases.includes(PHASES.NETWORK_CHANGES)) {
+            this.handleNetworkChanges();
+        }
+        this.protocol.handleStep(phases);
+
+        this.scheduler.schedule(STEP_MS, () => this.runStep());
+    }
+
+    /**
+     * Sample the network metrics every sampleInterval, telling views about each sample
+     */
+    scheduleMetricsSample() {
+        const { sampleInterval, latencyItems } = this.metrics.options;
+        this.scheduler.schedule(sampleInterval, () => {
+            const sample = this.metrics.sample(this.now, this.nodes, this.propagation.recentDelays(latencyItems));
+            this.emit("metricsSampled", { sample });
+            this.scheduleMetricsSample();
+        });
+    }
+
+    /**
+     * When the current phase ends, or null if it runs until someone moves on by
+     * hand: it is held, or it is the last phase of a sequence that doesn't loop
+     * @returns {number|null} Simulation time
+     */
+    get phaseEndsAt() {
+        const { phaseIndex, phaseStartedAt, isPhaseHeld } = this.state;
+        const isLast = phaseIndex === this.scenario.phases.length - 1;
+        if (isPhaseHeld || (isLast && !this.scenario.loopPhases)) {
+            return null;
+        }
+        return phaseStartedAt + this.scenario.phases[phaseIndex].duration;
+    }
+
+    schedulePhaseEnd() {
+        this.scheduler.cancel(this.phaseEnd);
+        const endsAt = this.phaseEndsAt;
+        this.phaseEnd = endsAt === null ? null : this.scheduler.scheduleAt(endsAt, () => this.endPhase());
+    }
+
+    /**
+     * Move on to the next phase of the scenario, looping back to the first
+     */
+    endPhase() {
+        this.enterPhase((this.state.phaseIndex + 1) % this.scenario.phases.length);
+    }
+
+    /**
+     * Leave the current phase and start one of the sequence's phases from its beginning
+     * @param {number} index - Index into the scenario's phases
+     */
+    enterPhase(index) {
+        if (this.state.activePhases.includes(PHASES.NETWORK_CHANGES)) {
+            // Ensure we have the minimum number of nodes before moving on
+            while (this.nodes.length < this.scenario.churn.minNodes) {
+                this.addNode(this.createNodeId(), this.findFreePosition());
+            }
+        }
+
+        const entry = this.scenario.phases[index];
+        this.state.phaseIndex = index;
+        this.state.currentPhase = entry.phase;
+        this.state.activePhases = phasesOf(entry);
+        this.state.phaseStartedAt = this.now;
+        this.state.phaseTimer = 0;
+        this.emit("phaseChanged", { phase: this.state.currentPhase, phases: this.state.activePhases });
+        this.state.activePhases.forEach(phase => this.protocol.onPhaseStart(phase));
+        this.schedulePhaseEnd();
+    }
+
+    /**
+     * Jump straight to a phase of the sequence, whatever is running now
+     * @param {number} index - Index into the scenario's phases
+     */
+    goToPhase(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.scenario.phases.length) {
+            throw new RangeError(`No phase ${index} in a sequence of ${this.scenario.phases.length}`);
+        }
+        this.enterPhase(index);
+    }
+
+    /**
+     * Keep the current phase running until released; once released it ends
+     * when its duration is up, or at once if that has already passed
+     * @param {boolean} isHeld - Whether to hold it
+     */
+    holdPhase(isHeld) {
+        this.state.isPhaseHeld = isHeld;
+        this.schedulePhaseEnd();
+        this.emit("phaseScheduleChanged", {});
+    }
+
+    /**
+     * Change how long a phase of the sequence lasts, taking effect at once if it is running
+     * @param {number} index - Index into the scenario's phases
+     * @param {number} duration - New duration in ms
+     */
+    setPhaseDuration(index, duration) {
+        if (!(duration > 0)) {
+            throw new RangeError("A phase must last a positive number of milliseconds");
+        }
+        this.scenario.phases[index].duration = duration;
+        if (index === this.state.phaseIndex) {
+            this.schedulePhaseEnd();
+        }
+        this.emit("phaseScheduleChanged", {});
+    }
+
+    /**
+     * Choose whether the sequence starts over after its last phase, or stays in it
+     * @param {boolean} loopPhases - Whether to loop
+     */
+    setPhaseLooping(loopPhases) {
+        this.scenario.loopPhases = loopPhases;
+        this.schedulePhaseEnd();
+        this.emit("phaseScheduleChanged", {});
+    }
+
+    /**
+     * Replace the phase sequence and start its first phase
+     * @param {{phase: string, duration: number, with?: string[]}[]} phases - The new sequence, in scenario format
+     * @throws {ScenarioError} If the sequence isn't valid for the running protocol
+     */
+    setPhaseSequence(phases) {
+        this.scenario.phases = parseScenario({ protocol: this.scenario.protocol, phases }).phases;
+        this.enterPhase(0);
+        this.emit("phaseScheduleChanged", {});
+    }
+
+    /**
+     * Turn a per-second rate into a whole number of packets for this step
+     * @param {string} key - Budget to draw from
+     * @param {number} perSecond - Rate from the scenario
+     * @returns {number}
+     */
+    takePacketBudget(key, perSecond) {
+        this.packetBudget[key] += perSecond * STEP_MS / 1000;
+        const count = Math.floor(this.packetBudget[key] + 1e-9);
+        this.packetBudget[key] -= count;
+        return count;
+    }
+
+    /**
+     * The peer a node should link to next under the scenario's topology
+     * @param {SimNode} node - Node looking for a peer
+     * @returns {SimNode|undefined} undefined if the node has all the peers its topology wants
+     */
+    pickPeer(node) {
+        const { type, ...params } = this.scenario.topology;
+        return TOPOLOGIES[type].pickPeer(node, params, {
+            nodes: this.nodes,
+            random: this.random,
+            candidates: source => this.nodes.filter(other =>
+                other !== source && !source.isConnectedTo(other.nodeId) && this.canReach(source, other) && !this.refuses(source, other)
+            ),
+            outboundCount: source => Array.from(source.connections)
+                .filter(peerId => this.getLink(source.nodeId, peerId)?.direction(source.nodeId) === LINK_DIRECTIONS.OUTBOUND).length
+        });
+    }
+
+    handleDiscoveryPhase() {
+        const attempts = this.takePacketBudget("discovery", this.scenario.packets.peerDiscoveriesPerSecond);
+        for (let i = 0; i < attempts && this.nodes.length > 0; i++) {
+            const sourceNode = this.random.pick(this.nodes);
+            const targetNode = this.pickPeer(sourceNode);
+
+            if (targetNode) {
+                this.setActivity(sourceNode, ACTIVITIES.DISCOVERING);
+                this.setActivity(targetNode, ACTIVITIES.DISCOVERING);
+
+                // Open the connection; the version handshake follows once TCP is up
+                this.connect(sourceNode, targetNode);
+                this.scheduler.schedule(500, () => {
+                    this.setActivity(sourceNode, ACTIVITIES.IDLE);
+                    this.setActivity(targetNode, ACTIVITIES.IDLE);
+                });
+            }
+        }
+    }
+
+    handleSyncingPhase() {
+        this.nodes.forEach(node => {
+            // Every so often, ask a random peer for any blocks this node is missing
+            if (node.connections.size > 0 && this.now - node.lastSyncActivityAt >= SYNC_INTERVAL) {
+                this.requestBlocks(node, this.getNode(this.random.pick(Array.from(node.connections))));
+            }
+
+            const progress = Math.min(node.bestKnownHeight > 0 ? node.chain.height / node.bestKnownHeight : 1, 1);
+            if (node.activity === ACTIVITIES.MINING) {
+                node.syncProgress = progress; // Let the miner's light finish
+            } else {
+                this.setActivity(node, ACTIVITIES.SYNCING, progress);
+            }
+        });
+    }
+
+    handleProcessingPhase() {
+        const transactions = this.takePacketBudget("transactions", this.scenario.packets.transactionsPerSecond);
+        for (let i = 0; i < transactions && this.nodes.length > 0; i++) {
+            // Select random source node; the transaction floods from there
+            const sourceNode = this.random.pick(this.nodes);
+
+            if (sourceNode.connections.size > 0) {
+                this.broadcast(sourceNode, "transaction");
+            }
+        }
+    }
+
+    handleNetworkChanges() {
+        const { interval, leaveProbability, minNodes, maxNodes } = this.scenario.churn;
+
+        // Every churn interval, once we have the minimum nodes, add or remove a node
+        if (this.state.phaseTimer % interval < STEP_MS && this.nodes.length >= minNodes) {
+            if (this.random.chance(leaveProbability) && this.nodes.length > minNodes) {
+                // Remove random node
+                this.removeNode(this.random.pick(this.nodes));
+            } else if (this.nodes.length < maxNodes) {
+                this.addNode(this.createNodeId(), this.findFreePosition());
+            }
+        }
+    }
+
+    /**
+     * Find a position on the circle that's not too close to existing nodes;
+     * in a geographic run, a place on the globe drawn from the scenario's regions
+     * @returns {{x: number, y: number, z: number}}
+     */
+    findFreePosition() {
+        const radius = this.radius;
+        if (this.scenario.geography.enabled) {
+            return locationToPosition(drawLocation(this.random, this.scenario.geography.regions), radius);
+        }
+        const minDistance = radius * 0.8; // Minimum distance between nodes
+        let angle;
+        let position;
+        let attempts = 0;
+
+        do {
+            angle = this.random.range(0, Math.PI * 2);
+            position = {
+                x: radius * Math.cos(angle),
+                y: 0,
+                z: radius * Math.sin(angle)
+            };
+
+            // Check distance from all existing nodes
+            const isTooClose = this.nodes.some(node =>
+                distance(node.position, position) < minDistance
+            );
+
+            if (!isTooClose) {
+                return position;
+            }
+
+            attempts++;
+        } while (attempts < 10); // Limit attempts to prevent infinite loop
+
+        // If we couldn't find a good spot after 10 attempts,
+        // try a different radius
+        const alternateRadius = radius * this.random.range(1, 1.4); // 100-140% of original radius
+        return {
+            x: alternateRadius * Math.cos(angle),
+            y: 0,
+            z: alternateRadius * Math.sin(angle)
+        };
+    }
+}
+
+/**
+ * Euclidean distance between two positions
+ * @param {{x: number, y: number, z: number}} a
+ * @param {{x: number, y: number, z: number}} b
+ * @returns {number}
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Phases a sequence entry runs: its own, then any alongside it
+ * @param {{phase: string, with?: string[]}} entry - Entry of the scenario's phases
+ * @returns {string[]}
+ */
+function phasesOf(entry) {
+    return [entry.phase, ...(entry.with ?? [])];
+}
+return { STEP_MS, NetworkSimulation };
+})();
+// sim/editor.js
+const module_sim_editor = (() => {
+const { BEHAVIORS } = module_sim_adversary;
+
+/**
+ * Hand edits to a running network, with undo and redo.
+ *
+ * Every edit is recorded as a command that knows how to undo and redo
+ * itself. Commands refer to nodes by ID, so a node that is removed and
+ * brought back by an undo is still found by the commands around it.
+ * A removed node comes back as a fresh node with the same ID, position,
+ * mining power, behavior and links; what it had learned (its chain and
+ * mempool) is synced again from its peers.
+ */
+class NetworkEditor {
+    /**
+     * @param {NetworkSimulation} simulation - The network to edit
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Whether there is an edit to undo
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an undone edit to redo
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Add a node
+     * @param {{x: number, y: number, z: number}} position - Where to put it
+     * @returns {SimNode} The new node
+     */
+    addNode(position) {
+        const sim = this.simulation;
+        const node = sim.addNode(sim.createNodeId(), position);
+        // Redo brings back the same node, not a new draw of mining power
+        const { nodeId, hashpower } = node;
+        this.record({
+            label: `Add ${nodeId}`,
+            undo: () => sim.removeNode(sim.getNode(nodeId)),
+            redo: () => sim.addNode(nodeId, position, hashpower)
+        });
+        return node;
+    }
+
+    /**
+     * Take a node and its links out of the network
+     * @param {string} nodeId - The node
+     * @returns {boolean} Whether the node existed
+     */
+    removeNode(nodeId) {
+        const sim = this.simulation;
+        const node = sim.getNode(nodeId);
+        if (!node) {
+            return false;
+        }
+
+        const { position, hashpower, behavior } = node;
+        const links = Array.from(node.connections)
+            .map(peerId => sim.getLink(nodeId, peerId))
+            .filter(Boolean)
+            .map(({ sourceId, targetId, latency, bandwidth }) => ({ sourceId, targetId, latency, bandwidth }));
+
+        sim.removeNode(node);
+        this.record({
+            label: `Remove ${nodeId}`,
+            undo: () => {
+                const restored = sim.addNode(nodeId, position, hashpower);
+                if (behavior !== BEHAVIORS.HONEST) {
+                    sim.setBehavior(restored, behavior);
+                }
+                // Peers removed since can't be linked to
+                links.forEach(({ sourceId, targetId, latency, bandwidth }) => {
+                    linkNodes(sim, sourceId, targetId, { latency, bandwidth });
+                });
+            },
+            redo: () => sim.removeNode(sim.getNode(nodeId))
+        });
+        return true;
+    }
+
+    /**
+     * Move a node
+     * @param {string} nodeId - The node
+     * @param {{x: number, y: number, z: number}} position - Where to put it
+     * @param {{x: number, y: number, z: number}} [from] - Where undo puts it back; its suggested
+     *     position if omitted, but a view whose layout moved it elsewhere knows better
+     * @returns {boolean} Whether the node existed
+     */
+    moveNode(nodeId, position, from) {
+        const sim = this.simulation;
+        const node = sim.getNode(nodeId);
+        if (!node) {
+            return false;
+        }
+
+        from = { ...(from ?? node.position) };
+        const to = { ...position };
+        sim.moveNode(node, to);
+        this.record({
+            label: `Move ${nodeId}`,
+            undo: () => placeNode(sim, nodeId, from),
+            redo: () => placeNode(sim, nodeId, to)
+        });
+        return true;
+    }
+
+    /**
+     * Link two nodes
+     * @param {string} sourceId - Node that opens the link
+     * @param {string} targetId - Node that accepts it
+     * @returns {boolean} Whether a new link was made; nodes already linked, split by a
+     *     partition or refusing each other aren't
+     */
+    connect(sourceId, targetId) {
+        const sim = this.simulation;
+        const source = sim.getNode(sourceId);
+        const target = sim.getNode(targetId);
+        if (!source || !target || !sim.connect(source, target)) {
+            return false;
+        }
+
+        const { latency, bandwidth } = sim.getLink(sourceId, targetId);
+        this.record({
+            label: `Link ${sourceId} to ${targetId}`,
+            undo: () => unlinkNodes(sim, sourceId, targetId),
+            redo: () => linkNodes(sim, sourceId, targetId, { latency, bandwidth })
+        });
+        return true;
+    }
+
+    /**
+     * Cut the link between two nodes
+     * @param {string} a - One end
+     * @param {string} b - The other end
+     * @returns {boolean} Whether they were linked
+     */
+    disconnect(a, b) {
+        const sim = this.simulation;
+        const link = sim.getLink(a, b);
+        if (!link) {
+            return false;
+        }
+
+        // Cut at once rather than through a graceful close, so undo finds the link gone
+        const { sourceId, targetId, latency, bandwidth } = link;
+        sim.disconnect(sim.getNode(sourceId), sim.getNode(targetId));
+        this.record({
+            label: `Unlink ${sourceId} from ${targetId}`,
+            undo: () => linkNodes(sim, sourceId, targetId, { latency, bandwidth }),
+            redo: () => unlinkNodes(sim, sourceId, targetId)
+        });
+        return true;
+    }
+
+    /**
+     * Create a transaction or block at a node and gossip it. Not undoable:
+     * once peers have heard of it, there is no taking it back.
+     * @param {string} nodeId - The node
+     * @param {string} kind - "transaction" or "block"
+     * @returns {Object|undefined} The new item, or undefined if the node is gone
+     */
+    inject(nodeId, kind) {
+        const node = this.simulation.getNode(nodeId);
+        return node ? this.simulation.broadcast(node, kind) : undefined;
+    }
+
+    /**
+     * Undo the last edit
+     * @returns {string|undefined} What was undone, or undefined if nothing was
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return undefined;
+        command.undo();
+        this.redoStack.push(command);
+        return command.label;
+    }
+
+    /**
+     * Redo the last undone edit
+     * @returns {string|undefined} What was redone, or undefined if nothing was
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return undefined;
+        command.redo();
+        this.undoStack.push(command);
+        return command.label;
+    }
+
+    /**
+     * Add an edit that was just applied; it replaces anything undone
+     * @param {{label: string, undo: Function, redo: Function}} command - The edit
+     */
+    record(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+    }
+}
+
+// Commands replay against whatever the network looks like by then: churn may
+// have taken a node away, so each of these skips nodes that are gone
+
+function placeNode(sim, nodeId, position) {
+    const node = sim.getNode(nodeId);
+    if (node) {
+        sim.moveNode(node, position);
+    }
+}
+
+function linkNodes(sim, sourceId, targetId, properties) {
+    const source = sim.getNode(sourceId);
+    const target = sim.getNode(targetId);
+    if (source && target) {
+        sim.connect(source, target, properties);
+    }
+}
+
+function unlinkNodes(sim, a, b) {
+    const source = sim.getNode(a);
+    const target = sim.getNode(b);
+    if (source && target) {
+        sim.disconnect(source, target);
+    }
+}
+return { NetworkEditor };
+})();
+// sim/peer-import.js
+const module_sim_peer_import = (() => {
+const { PHASES, PHASE_DURATIONS } = module_sim_phases;
+const { DEFAULT_SCENARIO } = module_sim_scenario;
+
+/**
+ * Saved dumps of real Bitcoin nodes that can be imported
+ */
+const PEER_FORMATS = {
+    GETPEERINFO: "getpeerinfo",           // Bitcoin Core `getpeerinfo`: one node and the peers it is connected to
+    GETNODEADDRESSES: "getnodeaddresses", // Bitcoin Core `getnodeaddresses`: addresses a node knows, without links
+    CRAWLER_CSV: "crawler_csv"            // Crawler output: "ip,port,peers" rows, peers as space-separated ip:port
+};
+
+// ID of the node a getpeerinfo dump was taken on; its own address isn't in the dump
+const LOCAL_NODE_ID = "local";
+
+// Port assumed for crawled peers listed without one
+const DEFAULT_PORT = 8333;
+
+// Crawler column names for the attributes getpeerinfo calls otherwise
+const CRAWLER_COLUMNS = {
+    user_agent: "client",
+    useragent: "client",
+    subver: "client",
+    client: "client",
+    version: "version",
+    network: "network",
+    services: "services"
+};
+
+/**
+ * Readable names for the attributes imported nodes carry, in the order to show them
+ */
+const PEER_ATTRIBUTE_LABELS = {
+    address: "Address",
+    network: "Network",
+    direction: "Direction",     // "inbound" or "outbound" as seen from the dumping node; "local" is that node
+    connectionType: "Connection",
+    client: "Client",           // User agent, e.g. "/Satoshi:27.0.0/"
+    version: "Protocol version",
+    services: "Services",
+    pingMs: "Ping (ms)",
+    syncedBlocks: "Synced blocks",
+    lastSeen: "Last seen"
+};
+
+/**
+ * Raised when a file isn't one of the PEER_FORMATS
+ */
+class PeerImportError extends Error {
+    /**
+     * @param {string} message - What is wrong with the file, as a readable sentence
+     */
+    constructor(message) {
+        super(message);
+        this.name = "PeerImportError";
+    }
+}
+
+/**
+ * Read a saved RPC response or crawler CSV, telling the format from its content.
+ * JSON may be the bare result or the whole RPC reply ({ "result": [...], "error": null }).
+ * @param {string} text - File content
+ * @returns {{format: string, nodes: {id: string, attributes: Object}[],
+ *     links: {source: string, target: string, latency?: number}[]}} Node IDs are addresses as "host:port"
+ * @throws {PeerImportError} If the content matches no format
+ */
+function parsePeerSnapshot(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith("[") && !trimmed.startsWith("{")) {
+        return parseCrawlerCsv(trimmed);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(trimmed);
+    } catch (error) {
+        throw new PeerImportError(`The file is not valid JSON (${error.message})`);
+    }
+    const entries = Array.isArray(data) ? data : data?.result;
+    if (!Array.isArray(entries)) {
+        throw new PeerImportError("Expected the array returned by getpeerinfo or getnodeaddresses");
+    }
+    if (entries.length === 0) {
+        throw new PeerImportError("The dump lists no peers");
+    }
+    if (entries.every(entry => typeof entry?.addr === "string")) {
+        return parsePeerInfo(entries);
+    }
+    if (entries.every(entry => typeof entry?.address === "string")) {
+        return parseNodeAddresses(entries);
+    }
+    throw new PeerImportError("Every entry needs an \"addr\" (getpeerinfo) or an \"address\" (getnodeaddresses)");
+}
+
+/**
+ * Turn a snapshot into a Bitcoin scenario with its nodes and links. With links,
+ * the run leaves out discovery and churn so the graph stays as captured; a
+ * snapshot of bare addresses keeps discovery, which links them up the way a
+ * node picks peers from the addresses it knows.
+ * @param {Object} snapshot - Result of parsePeerSnapshot
+ * @param {string} [name] - Scenario name, e.g. the file name
+ * @returns {Object} Scenario, for parseScenario
+ */
+function peerScenario(snapshot, name = snapshot.format) {
+    const phases = snapshot.links.length > 0
+        ? [{ phase: PHASES.PROCESSING, duration: PHASE_DURATIONS[PHASES.PROCESSING] }]
+        : DEFAULT_SCENARIO.phases.filter(entry => entry.phase !== PHASES.NETWORK_CHANGES);
+    return {
+        name,
+        protocol: "bitcoin",
+        // Room for big snapshots on the initial circle
+        radius: Math.max(DEFAULT_SCENARIO.radius, Math.sqrt(snapshot.nodes.length)),
+        nodes: snapshot.nodes.map(({ id, attributes }) => ({ id, attributes })),
+        links: snapshot.links,
+        phases
+    };
+}
+
+/**
+ * Network an address belongs to, named like getpeerinfo's "network" field
+ * @param {string} host - IP address or hostname, without port or brackets
+ * @returns {string} "ipv4", "ipv6", "onion", "i2p" or "cjdns"
+ */
+function networkOf(host) {
+    if (host.endsWith(".onion")) return "onion";
+    if (host.endsWith(".i2p")) return "i2p";
+    if (host.includes(":")) return /^fc/i.test(host) ? "cjdns" : "ipv6";
+    return "ipv4";
+}
+
+/**
+ * One node, as seen by its peers: the local node plus a link to each of them
+ */
+function parsePeerInfo(entries) {
+    const nodes = [{ id: LOCAL_NODE_ID, attributes: { direction: "local" } }];
+    const links = [];
+    const seen = new Set([LOCAL_NODE_ID]);
+    entries.forEach((peer, index) => {
+        if (peer.subver !== undefined && typeof peer.subver !== "string") {
+            throw new PeerImportError(`Peer ${index + 1} has a "subver" that isn't a string`);
+        }
+        if (peer.version !== undefined && !Number.isInteger(peer.version)) {
+            throw new PeerImportError(`Peer ${index + 1} has a "version" that isn't a whole number`);
+        }
+        const { host, port } = splitAddress(peer.addr);
+        const id = joinAddress(host, port ?? DEFAULT_PORT);
+        if (seen.has(id)) return;
+        seen.add(id);
+
+        nodes.push({
+            id,
+            attributes: withoutMissing({
+                address: id,
+                network: peer.network ?? networkOf(host),
+                direction: peer.inbound ? "inbound" : "outbound",
+                connectionType: peer.connection_type,
+                client: peer.subver,
+                version: peer.version,
+                services: peer.servicesnames?.join(", ") ?? peer.services,
+                pingMs: typeof peer.pingtime === "number" ? Math.round(peer.pingtime * 1000) : undefined,
+                syncedBlocks: peer.synced_blocks
+            })
+        });
+        // The side that opened the connection is its source; one way takes half the round trip
+        links.push(withoutMissing({
+            source: peer.inbound ? id : LOCAL_NODE_ID,
+            target: peer.inbound ? LOCAL_NODE_ID : id,
+            latency: typeof peer.pingtime === "number" ? Math.max(1, Math.round(peer.pingtime * 500)) : undefined
+        }));
+    });
+    return { format: PEER_FORMATS.GETPEERINFO, nodes, links };
+}
+
+/**
+ * Addresses a node knows about, with no links between them
+ */
+function parseNodeAddresses(entries) {
+    const nodes = [];
+    const seen = new Set();
+    entries.forEach(entry => {
+        const id = joinAddress(entry.address, entry.port ?? DEFAULT_PORT);
+        if (seen.has(id)) return;
+        seen.add(id);
+
+        nodes.push({
+            id,
+            attributes: withoutMissing({
+                address: id,
+                network: entry.network ?? networkOf(entry.address),
+                services: entry.services,
+                lastSeen: typeof entry.time === "number" ? new Date(entry.time * 1000).toISOString() : undefined
+            })
+        });
+    });
+    return { format: PEER_FORMATS.GETNODEADDRESSES, nodes, links: [] };
+}
+
+/**
+ * Crawled nodes and their peers. A header row is optional; columns after
+ * ip, port and peers (e.g. "user_agent" or "version") become attributes.
+ */
+function parseCrawlerCsv(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim() !== "").map(parseCsvLine);
+    const hasHeader = rows[0]?.[0].trim().toLowerCase() === "ip";
+    const extraColumns = hasHeader ? rows[0].slice(3).map(column => column.trim()) : [];
+    const records = hasHeader ? rows.slice(1) : rows;
+    if (records.length === 0) {
+        throw new PeerImportError("The file has no rows: expected ip,port,peers");
+    }
+
+    const nodes = new Map();
+    const links = new Map();
+    const addNode = (host, port, attributes = {}) => {
+        const id = joinAddress(host, port);
+        const node = nodes.get(id) ?? { id, attributes: { address: id, network: networkOf(host) } };
+        Object.assign(node.attributes, attributes);
+        nodes.set(id, node);
+        return id;
+    };
+
+    records.forEach((cells, index) => {
+        const [ip, port, peers = ""] = cells.map(cell => cell.trim());
+        const portNumber = Number(port || DEFAULT_PORT);
+        if (!ip || !Number.isInteger(portNumber)) {
+            throw new PeerImportError(`Row ${index + 1 + (hasHeader ? 1 : 0)} needs an ip and a numeric port`);
+        }
+
+        const attributes = {};
+        extraColumns.forEach((column, i) => {
+            const value = cells[i + 3]?.trim();
+            if (column && value) {
+                attributes[CRAWLER_COLUMNS[column.toLowerCase()] ?? column] = value;
+            }
+        });
+        const id = addNode(ip, portNumber, attributes);
+
+        peers.split(/[\s;]+/).filter(Boolean).forEach(peer => {
+            const address = splitAddress(peer);
+            const peerId = addNode(address.host, address.port ?? DEFAULT_PORT);
+            // Both ends may list the link; keep it once
+            const key = [id, peerId].sort().join("|");
+            if (peerId !== id && !links.has(key)) {
+                links.set(key, { source: id, target: peerId });
+            }
+        });
+    });
+    return { format: PEER_FORMATS.CRAWLER_CSV, nodes: Array.from(nodes.values()), links: Array.from(links.values()) };
+}
+
+/**
+ * Cells of one CSV line; double quotes wrap cells with commas, "" is a quote inside them
+ * @param {string} line - One line, without its line break
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+    const cells = [""];
+    let isQuoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (isQuoted && char === "\"" && line[i + 1] === "\"") {
+            cells[cells.length - 1] += "\"";
+            i++;
+        } else if (char === "\"") {
+            isQuoted = !isQuoted;
+        } else if (char === "," && !isQuoted) {
+            cells.push("");
+        } else {
+            cells[cells.length - 1] += char;
+        }
+    }
+    return cells;
+}
+
+/**
+ * Host and port of "1.2.3.4:8333", "[2001:db8::1]:8333" or a bare host; port is undefined if missing
+ */
+function splitAddress(address) {
+    const bracketed = address.match(/^\[(.+)\](?::(\d+))?$/);
+    if (bracketed) {
+        return { host: bracketed[1], port: bracketed[2] === undefined ? undefined : Number(bracketed[2]) };
+    }
+    // More than one colon without brackets is a bare IPv6 address
+    const parts = address.split(":");
+    if (parts.length === 2 && /^\d+$/.test(parts[1])) {
+        return { host: parts[0], port: Number(parts[1]) };
+    }
+    return { host: address, port: undefined };
+}
+
+function joinAddress(host, port) {
+    return host.includes(":") ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+function withoutMissing(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+}
+return { PEER_FORMATS, LOCAL_NODE_ID, PEER_ATTRIBUTE_LABELS, PeerImportError, parsePeerSnapshot, peerScenario, networkOf, parseCsvLine };
+})();
+// sim/graph-formats.js
+const module_sim_graph_formats = (() => {
+const { PHASES, PHASE_DURATIONS } = module_sim_phases;
+const { DEFAULT_SCENARIO } = module_sim_scenario;
+const { PROTOCOLS } = module_sim_protocols_index;
+const { BEHAVIORS } = module_sim_adversary;
+const { Link } = module_sim_link;
+const { parseCsvLine } = module_sim_peer_import;
+
+/**
+ * File formats the network graph can be saved in and seeded from, for tools
+ * such as Gephi, networkx and Graphviz. The first extension is the one saved.
+ */
+const GRAPH_FORMATS = {
+    graphml: { title: "GraphML", extensions: ["graphml", "xml"], mimeType: "application/graphml+xml" },
+    gexf: { title: "GEXF", extensions: ["gexf"], mimeType: "application/gexf+xml" },
+    dot: { title: "DOT", extensions: ["dot", "gv"], mimeType: "text/vnd.graphviz" },
+    csv: { title: "CSV", extensions: ["csv"], mimeType: "text/csv" } // A node table and an edge list, laid out like Gephi's
+};
+
+// Node attributes the simulation works out for itself, left out when a graph seeds a run
+const DERIVED_NODE_ATTRIBUTES = ["degree", "role", "height", "committedHeight", "group"];
+
+// Columns that say which nodes a CSV row is about, rather than describing them
+const CSV_KEY_COLUMNS = ["id", "source", "target", "type"];
+
+/**
+ * Raised when a file isn't one of the GRAPH_FORMATS, or is broken
+ */
+class GraphImportError extends Error {
+    /**
+     * @param {string} message - What is wrong with the file, as a readable sentence
+     */
+    constructor(message) {
+        super(message);
+        this.name = "GraphImportError";
+    }
+}
+
+/**
+ * The network as a plain graph: every node with what the simulation knows
+ * about it, and every link with its traffic counters
+ * @param {NetworkSimulation} simulation - The simulation to take it from
+ * @param {Map<string, {x: number, y: number, z: number}>} [positions] - Where each node is drawn, if not at its
+ *     suggested position
+ * @returns {{attributes: Object, nodes: {id: string, attributes: Object}[],
+ *     edges: {source: string, target: string, attributes: Object}[]}} Attribute values are strings, numbers or
+ *     booleans; ones a node or edge doesn't have are left out. Edges run from the node that opened the link
+ */
+function graphSnapshot(simulation, positions = new Map()) {
+    const round = value => Math.round(value * 1000) / 1000;
+    const nodes = simulation.nodes.map(node => {
+        const { x, y, z } = positions.get(node.nodeId) ?? node.position;
+        const attributes = withoutMissing({
+            role: node.role,
+            behavior: node.behavior,
+            degree: node.connections.size,
+            height: node.chain.height,
+            // Only protocols that give out roles finalize anything
+            committedHeight: node.role === null ? undefined : node.committedHeight,
+            hashpower: node.hashpower,
+            stake: node.stake,
+            group: node.group,
+            x: round(x),
+            y: round(y),
+            z: round(z),
+            lat: node.location?.lat,
+            lon: node.location?.lon
+        });
+        // Imported attributes come after, and never hide the simulation's own
+        Object.entries(node.attributes).forEach(([name, value]) => {
+            attributes[name] = attributes[name] ?? value;
+        });
+        return { id: node.nodeId, attributes };
+    });
+
+    const edges = Array.from(simulation.links.values(), link => {
+        const fromSource = link.sent.get(link.sourceId);
+        const fromTarget = link.sent.get(link.targetId);
+        return {
+            source: link.sourceId,
+            target: link.targetId,
+            attributes: withoutMissing({
+                state: link.state,
+                latency: link.latency,
+                bandwidth: link.bandwidth,
+                messages: link.messageCount,
+                bytes: link.byteCount,
+                sourceMessages: fromSource.messages,
+                sourceBytes: fromSource.bytes,
+                targetMessages: fromTarget.messages,
+                targetBytes: fromTarget.bytes,
+                pingTime: link.pingTime
+            })
+        };
+    });
+
+    return {
+        attributes: withoutMissing({
+            name: simulation.scenario.name,
+            protocol: simulation.scenario.protocol,
+            seed: simulation.seed,
+            time: simulation.now,
+            radius: simulation.radius
+        }),
+        nodes,
+        edges
+    };
+}
+
+/**
+ * Write a graph in one of the GRAPH_FORMATS. GraphML and DOT keep the graph's
+ * own attributes, such as its protocol; GEXF stores positions as viz:position
+ * rather than attributes; CSV takes two files, a node table and an edge list.
+ * @param {Object} graph - Result of graphSnapshot
+ * @param {string} format - A key of GRAPH_FORMATS
+ * @returns {{suffix: string, text: string}[]} One entry per file; suffix goes between the file's name and extension
+ */
+function writeGraph(graph, format) {
+    switch (format) {
+        case "graphml":
+            return [{ suffix: "", text: writeGraphml(graph) }];
+        case "gexf":
+            return [{ suffix: "", text: writeGexf(graph) }];
+        case "dot":
+            return [{ suffix: "", text: writeDot(graph) }];
+        case "csv":
+            return [
+                { suffix: "-nodes", text: writeCsv(["Id"], graph.nodes.map(node => [[node.id], node.attributes])) },
+                {
+                    suffix: "-edges",
+                    text: writeCsv(["Source", "Target", "Type"],
+                        graph.edges.map(edge => [[edge.source, edge.target, "Undirected"], edge.attributes]))
+                }
+            ];
+        default:
+            throw new Error(`Unknown graph format "${format}"`);
+    }
+}
+
+/**
+ * Read a graph file, telling the format from its content. DOT and CSV values
+ * that look like numbers or booleans are read as such; a CSV with "Source" and
+ * "Target" columns is an edge list, one with an "Id" column a node table, and
+ * one without a header an edge list of its first two columns.
+ * @param {string} text - File content
+ * @returns {{format: string, attributes: Object, nodes: {id: string, attributes: Object}[],
+ *     edges: {source: string, target: string, attributes: Object}[]}} Nodes that edges mention are added if missing
+ * @throws {GraphImportError} If the content matches no format, or has no nodes
+ */
+function parseGraph(text) {
+    const trimmed = text.trim();
+    let format;
+    let draft;
+    if (trimmed.startsWith("<")) {
+        const root = parseXml(trimmed);
+        format = root.children.find(element => element.name === "graphml" || element.name === "gexf")?.name;
+        if (!format) {
+            throw new GraphImportError("Expected a <graphml> or <gexf> document");
+        }
+        draft = format === "graphml" ? readGraphml(root) : readGexf(root);
+    } else if (/^(?:strict\s+)?(?:di)?graph\b/i.test(trimmed.replace(/^(?:\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/)*/, ""))) {
+        format = "dot";
+        draft = readDot(trimmed);
+    } else {
+        format = "csv";
+        draft = readCsv(trimmed);
+    }
+
+    if (draft.nodes.size === 0) {
+        throw new GraphImportError("The file has no nodes");
+    }
+    return toGraph(draft, format);
+}
+
+/**
+ * One graph out of several files, e.g. a CSV node table and its edge list.
+ * A node in more than one keeps every attribute, later files winning.
+ * @param {Object[]} graphs - Results of parseGraph
+ * @returns {Object} Graph shaped like parseGraph's; format lists every file's format
+ */
+function mergeGraphs(graphs) {
+    const draft = emptyGraph();
+    graphs.forEach(graph => {
+        Object.assign(draft.attributes, graph.attributes);
+        graph.nodes.forEach(({ id, attributes }) => addNode(draft, id, attributes));
+        graph.edges.forEach(({ source, target, attributes }) => addEdge(draft, source, target, attributes));
+    });
+    return toGraph(draft, Array.from(new Set(graphs.map(graph => graph.format))).join("+"));
+}
+
+/**
+ * Turn a graph into a scenario seeded with its nodes and links. Nodes keep
+ * their position, location, hashpower, stake and behavior, and their other
+ * attributes become imported attributes; what the simulation works out itself,
+ * such as degree, role and traffic, is left out. Layouts drawn elsewhere are
+ * shrunk to fit the run. Like a peer snapshot, a Bitcoin graph with links
+ * runs without discovery and churn so it stays as loaded.
+ * @param {Object} graph - Result of parseGraph or mergeGraphs
+ * @param {string} [name] - Scenario name, if the graph doesn't carry one
+ * @returns {Object} Scenario, for parseScenario
+ */
+function graphScenario(graph, name = graph.format) {
+    const { attributes } = graph;
+    const protocol = typeof attributes.protocol === "string" && Object.hasOwn(PROTOCOLS, attributes.protocol)
+        ? attributes.protocol
+        : DEFAULT_SCENARIO.protocol;
+    const radius = attributes.radius > 0 ? attributes.radius : Math.max(DEFAULT_SCENARIO.radius, Math.sqrt(graph.nodes.length));
+
+    const nodes = graph.nodes.map(({ id, attributes: { x, y, z = 0, lat, lon, hashpower, stake, behavior, ...rest } }) => {
+        const node = { id };
+        if ([x, y, z].every(isNumber)) {
+            node.position = { x, y, z };
+        }
+        if (isNumber(lat) && isNumber(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+            node.location = { lat, lon };
+        }
+        if (isNumber(hashpower) && hashpower >= 0) {
+            node.hashpower = hashpower;
+        }
+        if (isNumber(stake) && stake > 0) {
+            node.stake = stake;
+        }
+        if (Object.values(BEHAVIORS).includes(behavior)) {
+            node.behavior = behavior;
+        }
+        const kept = Object.entries(rest).filter(([key, value]) => !DERIVED_NODE_ATTRIBUTES.includes(key) && value !== "");
+        if (kept.length > 0) {
+            node.attributes = Object.fromEntries(kept);
+        }
+        return node;
+    });
+
+    // Gephi and Graphviz lay graphs out hundreds of units across
+    const farthest = Math.max(0, ...nodes.filter(node => node.position).map(({ position: { x, y, z } }) => Math.hypot(x, y, z)));
+    if (farthest > radius * 3) {
+        const scale = radius * 2 / farthest;
+        nodes.filter(node => node.position).forEach(node => {
+            const { x, y, z } = node.position;
+            node.position = { x: x * scale, y: y * scale, z: z * scale };
+        });
+    }
+
+    // Links are undirected: keep one per pair of nodes, the first listed
+    const links = new Map();
+    graph.edges.forEach(({ source, target, attributes: { latency, bandwidth } }) => {
+        const key = Link.key(source, target);
+        if (source === target || links.has(key)) return;
+        links.set(key, withoutMissing({
+            source,
+            target,
+            latency: isNumber(latency) && latency >= 0 ? latency : undefined,
+            bandwidth: isNumber(bandwidth) && bandwidth > 0 ? bandwidth : undefined
+        }));
+    });
+
+    const scenario = {
+        name: typeof attributes.name === "string" ? attributes.name : name,
+        protocol,
+        radius,
+        nodes,
+        links: Array.from(links.values())
+    };
+    if (nodes.some(node => node.location)) {
+        scenario.geography = { enabled: true };
+    }
+    // Other protocols come with their own phases
+    if (protocol === DEFAULT_SCENARIO.protocol) {
+        scenario.phases = links.size > 0
+            ? [{ phase: PHASES.PROCESSING, duration: PHASE_DURATIONS[PHASES.PROCESSING] }]
+            : DEFAULT_SCENARIO.phases.filter(entry => entry.phase !== PHASES.NETWORK_CHANGES);
+    }
+    return scenario;
+}
+
+function writeGraphml(graph) {
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<graphml xmlns=\"http://graphml.graphdrawing.org/xmlns\" xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\"",
+        "    xsi:schemaLocation=\"http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd\">"
+    ];
+    const keys = {};
+    [["graph", [graph.attributes]], ["node", graph.nodes.map(node => node.attributes)], ["edge", graph.edges.map(edge => edge.attributes)]]
+        .forEach(([domain, items]) => {
+            keys[domain] = new Map(columnsOf(items).map(({ name, type }, i) => {
+                const id = `${domain[0]}${i}`;
+                lines.push(`  <key id="${id}" for="${domain}" attr.name="${escapeXml(name)}" attr.type="${type}"/>`);
+                return [name, id];
+            }));
+        });
+    const data = (domain, attributes, indent) => Object.entries(attributes).map(([name, value]) =>
+        `${indent}<data key="${keys[domain].get(name)}">${escapeXml(String(value))}</data>`);
+
+    lines.push("  <graph id=\"network\" edgedefault=\"undirected\">", ...data("graph", graph.attributes, "    "));
+    graph.nodes.forEach(({ id, attributes }) => {
+        lines.push(`    <node id="${escapeXml(id)}">`, ...data("node", attributes, "      "), "    </node>");
+    });
+    graph.edges.forEach(({ source, target, attributes }, i) => {
+        lines.push(`    <edge id="e${i}" source="${escapeXml(source)}" target="${escapeXml(target)}">`,
+            ...data("edge", attributes, "      "), "    </edge>");
+    });
+    lines.push("  </graph>", "</graphml>");
+    return `${lines.join("\n")}\n`;
+}
+
+function writeGexf(graph) {
+    const { name, protocol, time } = graph.attributes;
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<gexf xmlns=\"http://gexf.net/1.3\" xmlns:viz=\"http://gexf.net/1.3/viz\" version=\"1.3\">",
+        "  <meta>",
+        "    <creator>distributed_networks_3d</creator>",
+        `    <description>${escapeXml(`${name}: ${protocol} network at ${time} ms`)}</description>`,
+        "  </meta>",
+        "  <graph defaultedgetype=\"undirected\" mode=\"static\">"
+    ];
+    // Positions go in viz:position, which Gephi reads as the layout
+    const isPosition = name => ["x", "y", "z"].includes(name);
+    const ids = {};
+    [["node", graph.nodes], ["edge", graph.edges]].forEach(([domain, items]) => {
+        const columns = columnsOf(items.map(item => item.attributes)).filter(column => domain === "edge" || !isPosition(column.name));
+        ids[domain] = new Map(columns.map(({ name }, i) => [name, String(i)]));
+        lines.push(`    <attributes class="${domain}">`,
+            ...columns.map(({ name, type }, i) =>
+                `      <attribute id="${i}" title="${escapeXml(name)}" type="${type}"/>`),
+            "    </attributes>");
+    });
+    const attvalues = (domain, attributes) => {
+        const values = Object.entries(attributes).filter(([name]) => ids[domain].has(name));
+        return values.length === 0 ? [] : [
+            "        <attvalues>",
+            ...values.map(([name, value]) =>
+                `          <attvalue for="${ids[domain].get(name)}" value="${escapeXml(String(value))}"/>`),
+            "        </attvalues>"
+        ];
+    };
+
+    lines.push("    <nodes>");
+    graph.nodes.forEach(({ id, attributes }) => {
+        const { x, y, z } = attributes;
+        lines.push(`      <node id="${escapeXml(id)}" label="${escapeXml(id)}">`, ...attvalues("node", attributes));
+        if ([x, y, z].every(isNumber)) {
+            lines.push(`        <viz:position x="${x}" y="${y}" z="${z}"/>`);
+        }
+        lines.push("      </node>");
+    });
+    lines.push("    </nodes>", "    <edges>");
+    graph.edges.forEach(({ source, target, attributes }, i) => {
+        lines.push(`      <edge id="${i}" source="${escapeXml(source)}" target="${escapeXml(target)}">`,
+            ...attvalues("edge", attributes), "      </edge>");
+    });
+    lines.push("    </edges>", "  </graph>", "</gexf>");
+    return `${lines.join("\n")}\n`;
+}
+
+function writeDot(graph) {
+    const list = attributes => Object.entries(attributes).map(([name, value]) => `${dotId(name)}=${dotId(value)}`).join(", ");
+    const withList = attributes => Object.keys(attributes).length > 0 ? ` [${list(attributes)}]` : "";
+    return [
+        "graph network {",
+        `    graph${withList(graph.attributes)};`,
+        ...graph.nodes.map(({ id, attributes }) => `    ${dotId(id)}${withList(attributes)};`),
+        ...graph.edges.map(({ source, target, attributes }) => `    ${dotId(source)} -- ${dotId(target)}${withList(attributes)};`),
+        "}",
+        ""
+    ].join("\n");
+}
+
+/**
+ * A table with fixed leading cells, then one column per attribute any row has
+ */
+function writeCsv(keyColumns, rows) {
+    const columns = columnsOf(rows.map(([, attributes]) => attributes)).map(column => column.name);
+    const lines = [[...keyColumns, ...columns].map(csvCell).join(",")];
+    rows.forEach(([keys, attributes]) => {
+        lines.push([...keys, ...columns.map(name => attributes[name] ?? "")].map(csvCell).join(","));
+    });
+    return `${lines.join("\n")}\n`;
+}
+
+function readGraphml(root) {
+    const graphml = childOf(root, "graphml");
+    const graphElement = childOf(graphml, "graph");
+    if (!graphElement) {
+        throw new GraphImportError("The GraphML file has no <graph>");
+    }
+
+    // Key IDs to attribute names, types and defaults
+    const keys = new Map(childrenOf(graphml, "key").map(({ attributes, children }) => [attributes.id, {
+        name: attributes["attr.name"] ?? attributes.id,
+        type: attributes["attr.type"],
+        domain: attributes.for ?? "all",
+        fallback: children.find(child => child.name === "default")?.text
+    }]));
+    const dataOf = (element, domain) => {
+        const values = {};
+        keys.forEach(({ name, type, domain: keyDomain, fallback }) => {
+            if (fallback !== undefined && (keyDomain === domain || keyDomain === "all")) {
+                values[name] = typedValue(fallback.trim(), type);
+            }
+        });
+        childrenOf(element, "data").forEach(({ attributes, text }) => {
+            const key = keys.get(attributes.key);
+            values[key?.name ?? attributes.key] = typedValue(text.trim(), key?.type);
+        });
+        return values;
+    };
+
+    const draft = emptyGraph();
+    draft.attributes = dataOf(graphElement, "graph");
+    childrenOf(graphElement, "node").forEach(node => addNode(draft, requireAttribute(node, "id"), dataOf(node, "node")));
+    childrenOf(graphElement, "edge").forEach(edge => {
+        addEdge(draft, requireAttribute(edge, "source"), requireAttribute(edge, "target"), dataOf(edge, "edge"));
+    });
+    return draft;
+}
+
+function readGexf(root) {
+    const graphElement = childOf(childOf(root, "gexf"), "graph");
+    if (!graphElement) {
+        throw new GraphImportError("The GEXF file has no <graph>");
+    }
+
+    // Attribute IDs to names, types and defaults, for nodes and for edges
+    const columns = { node: new Map(), edge: new Map() };
+    childrenOf(graphElement, "attributes").forEach(({ attributes, children }) => {
+        const domain = columns[attributes.class] ?? columns.node;
+        children.filter(child => child.name === "attribute").forEach(({ attributes: column, children: details }) => {
+            domain.set(column.id, {
+                name: column.title ?? column.id,
+                type: column.type,
+                fallback: details.find(detail => detail.name === "default")?.text
+            });
+        });
+    });
+    const valuesOf = (element, domain) => {
+        const values = {};
+        columns[domain].forEach(({ name, type, fallback }) => {
+            if (fallback !== undefined) {
+                values[name] = typedValue(fallback.trim(), type);
+            }
+        });
+        childrenOf(childOf(element, "attvalues"), "attvalue").forEach(({ attributes }) => {
+            // GEXF 1.1 names the attribute with "id", later versions with "for"
+            const column = columns[domain].get(attributes.for ?? attributes.id);
+            values[column?.name ?? attributes.for ?? attributes.id] = typedValue(attributes.value ?? "", column?.type);
+        });
+        return values;
+    };
+
+    const draft = emptyGraph();
+    childrenOf(childOf(graphElement, "nodes"), "node").forEach(node => {
+        const id = requireAttribute(node, "id");
+        const values = valuesOf(node, "node");
+        if (node.attributes.label !== undefined && node.attributes.label !== id) {
+            values.label = node.attributes.label;
+        }
+        const position = childOf(node, "position");
+        ["x", "y", "z"].forEach(axis => {
+            const value = Number(position?.attributes[axis]);
+            if (position?.attributes[axis] !== undefined && Number.isFinite(value)) {
+                values[axis] = value;
+            }
+        });
+        addNode(draft, id, values);
+    });
+    childrenOf(childOf(graphElement, "edges"), "edge").forEach(edge => {
+        const values = valuesOf(edge, "edge");
+        if (edge.attributes.weight !== undefined) {
+            values.weight = typedValue(edge.attributes.weight, "double");
+        }
+        addEdge(draft, requireAttribute(edge, "source"), requireAttribute(edge, "target"), values);
+    });
+    return draft;
+}
+
+/**
+ * Nodes, edges and attributes of a Graphviz file. Subgraphs are flattened, an
+ * edge to a subgraph links every node in it, and ports are ignored.
+ */
+function readDot(text) {
+    const tokens = tokenizeDot(text);
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => {
+        if (index >= tokens.length) {
+            throw new GraphImportError("The DOT file ends before its closing }");
+        }
+        return tokens[index++];
+    };
+    const isKeyword = (token, word) => token?.type === "id" && !token.isQuoted && token.value.toLowerCase() === word;
+    const expect = (type) => {
+        const token = next();
+        if (token.type !== type) {
+            throw new GraphImportError(`Expected ${type === "id" ? "a name" : `"${type}"`} in the DOT file, found "${token.value}"`);
+        }
+        return token;
+    };
+
+    const draft = emptyGraph();
+    const defaults = { node: {}, edge: {} };
+
+    const attributeList = () => {
+        const attributes = {};
+        while (peek()?.type === "[") {
+            next();
+            while (peek()?.type !== "]") {
+                const name = expect("id").value;
+                if (peek()?.type === "=") {
+                    next();
+                    attributes[name] = typedValue(expect("id").value);
+                } else {
+                    attributes[name] = true;
+                }
+                if (peek()?.type === "," || peek()?.type === ";") next();
+            }
+            next();
+        }
+        return attributes;
+    };
+
+    // A node ID, skipping its port, or a subgraph; returns the node IDs it stands for
+    const endpoint = () => {
+        if (isKeyword(peek(), "subgraph") || peek()?.type === "{") {
+            return subgraph();
+        }
+        const id = expect("id").value;
+        while (peek()?.type === ":") {
+            next();
+            expect("id");
+        }
+        return [id];
+    };
+
+    const subgraph = () => {
+        if (isKeyword(peek(), "subgraph")) {
+            next();
+            if (peek()?.type === "id") next();
+        }
+        expect("{");
+        return statements();
+    };
+
+    // Statements up to the closing brace; returns every node ID they mention
+    const statements = () => {
+        const mentioned = new Set();
+        while (peek()?.type !== "}") {
+            const token = peek();
+            if (!token) {
+                throw new GraphImportError("The DOT file ends before its closing }");
+            }
+            if (["graph", "node", "edge"].some(word => isKeyword(token, word)) && tokens[index + 1]?.type === "[") {
+                next();
+                const attributes = attributeList();
+                Object.assign(token.value.toLowerCase() === "graph" ? draft.attributes : defaults[token.value.toLowerCase()], attributes);
+            } else if (token.type === "id" && tokens[index + 1]?.type === "=") {
+                next();
+                next();
+                draft.attributes[token.value] = typedValue(expect("id").value);
+            } else {
+                const chain = [endpoint()];
+                while (peek()?.type === "--" || peek()?.type === "->") {
+                    next();
+                    chain.push(endpoint());
+                }
+                const attributes = attributeList();
+                chain.forEach(ids => ids.forEach(id => mentioned.add(id)));
+                if (chain.length === 1) {
+                    chain[0].forEach(id => addNode(draft, id, { ...defaults.node, ...attributes }));
+                } else {
+                    chain.slice(1).forEach((targets, i) => chain[i].forEach(source => targets.forEach(target => {
+                        addEdge(draft, source, target, { ...defaults.edge, ...attributes });
+                    })));
+                }
+            }
+            if (peek()?.type === ";" || peek()?.type === ",") next();
+        }
+        next();
+        return Array.from(mentioned);
+    };
+
+    if (isKeyword(peek(), "strict")) next();
+    next(); // graph or digraph
+    if (peek()?.type === "id") next();
+    expect("{");
+    statements();
+    return draft;
+}
+
+/**
+ * Names, quoted strings and punctuation of a DOT file, without comments
+ */
+function tokenizeDot(text) {
+    const pattern = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\[\s\S])*)"|<((?:[^<>]|<[^<>]*>)*)>|(--|->|[{}[\];,=:])|([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))/y;
+    const tokens = [];
+    while (pattern.lastIndex < text.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new GraphImportError(`Unexpected "${text[start]}" in the DOT file`);
+        }
+        const [, quoted, html, punctuation, name] = match;
+        if (quoted !== undefined) {
+            tokens.push({ type: "id", value: quoted.replace(/\\\r?\n/g, "").replace(/\\"/g, "\""), isQuoted: true });
+        } else if (html !== undefined) {
+            tokens.push({ type: "id", value: html, isQuoted: true });
+        } else if (punctuation !== undefined) {
+            tokens.push({ type: punctuation, value: punctuation });
+        } else if (name !== undefined) {
+            tokens.push({ type: "id", value: name, isQuoted: false });
+        }
+    }
+    return tokens;
+}
+
+function readCsv(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim() !== "").map(line => parseCsvLine(line).map(cell => cell.trim()));
+    if (rows.length === 0) {
+        throw new GraphImportError("CSV has no header row");
+    }
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const draft = emptyGraph();
+
+    const isEdgeList = header.includes("source") && header.includes("target");
+    if (!isEdgeList && !header.includes("id")) {
+        rows.forEach(([source, target]) => {
+            if (source && target) {
+                addEdge(draft, source, target, {});
+            } else if (source) {
+                addNode(draft, source, {});
+            }
+        });
+        return draft;
+    }
+
+    const valuesOf = cells => {
+        const values = {};
+        rows[0].forEach((column, i) => {
+            if (!CSV_KEY_COLUMNS.includes(header[i]) && cells[i]) {
+                values[column] = typedValue(cells[i]);
+            }
+        });
+        return values;
+    };
+    rows.slice(1).forEach((cells, i) => {
+        const cell = column => cells[header.indexOf(column)];
+        if (isEdgeList) {
+            if (!cell("source") || !cell("target")) {
+                throw new GraphImportError(`Row ${i + 2} needs a source and a target`);
+            }
+            addEdge(draft, cell("source"), cell("target"), valuesOf(cells));
+        } else {
+            if (!cell("id")) {
+                throw new GraphImportError(`Row ${i + 2} needs an id`);
+            }
+            addNode(draft, cell("id"), valuesOf(cells));
+        }
+    });
+    return draft;
+}
+
+/**
+ * Elements of an XML document as { name, attributes, children, text }, names
+ * without their namespace prefix. Enough for GraphML and GEXF, not a full parser.
+ */
+function parseXml(text) {
+    const root = { name: "", attributes: {}, children: [], text: "" };
+    const open = [root];
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const [, cdata, isClosing, tag, rest, isEmpty, chars] = match;
+        const current = open[open.length - 1];
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (chars !== undefined) {
+            current.text += decodeXml(chars);
+        } else if (tag === undefined) {
+            continue; // Comment, declaration or doctype
+        } else if (isClosing) {
+            if (open.length === 1 || current.name !== localName(tag)) {
+                throw new GraphImportError(`The XML has a </${tag}> that doesn't close the element before it`);
+            }
+            open.pop();
+        } else {
+            const attributes = {};
+            rest.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, name, double, single) => {
+                attributes[name] = decodeXml(double ?? single);
+            });
+            const element = { name: localName(tag), attributes, children: [], text: "" };
+            current.children.push(element);
+            if (!isEmpty) open.push(element);
+        }
+    }
+    if (open.length > 1) {
+        throw new GraphImportError(`The XML ends before <${open[open.length - 1].name}> is closed`);
+    }
+    return root;
+}
+
+function childOf(element, name) {
+    return element?.children.find(child => child.name === name);
+}
+
+function childrenOf(element, name) {
+    return element?.children.filter(child => child.name === name) ?? [];
+}
+
+function requireAttribute(element, name) {
+    const value = element.attributes[name];
+    if (value === undefined || value === "") {
+        throw new GraphImportError(`Every <${element.name}> needs a "${name}"`);
+    }
+    return value;
+}
+
+function localName(tag) {
+    return tag.slice(tag.indexOf(":") + 1);
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+function decodeXml(text) {
+    const named = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === "#") {
+            const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+            if (point > 0x10FFFF) {
+                throw new GraphImportError(`"${entity}" is not a Unicode character`);
+            }
+            return String.fromCodePoint(point);
+        }
+        return named[code] ?? entity;
+    });
+}
+
+/**
+ * Names are quoted unless they are plain words or numbers
+ */
+function dotId(value) {
+    const isKeyword = /^(?:strict|graph|digraph|subgraph|node|edge)$/i.test(value);
+    if (isNumber(value) || typeof value === "boolean" || (/^[A-Za-z_]\w*$/.test(value) && !isKeyword)) return String(value);
+    return `"${String(value).replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n\r]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Every attribute name in some items, in the order first seen, with the
+ * narrowest type that holds all their values: boolean, long, double or string
+ */
+function columnsOf(items) {
+    const types = new Map();
+    const isNumeric = type => type === "long" || type === "double";
+    items.forEach(attributes => Object.entries(attributes).forEach(([name, value]) => {
+        const type = typeof value === "boolean" ? "boolean"
+            : Number.isInteger(value) ? "long"
+                : typeof value === "number" ? "double" : "string";
+        const seen = types.get(name) ?? type;
+        types.set(name, seen === type ? type : isNumeric(seen) && isNumeric(type) ? "double" : "string");
+    }));
+    return Array.from(types, ([name, type]) => ({ name, type }));
+}
+
+/**
+ * An attribute value read as its declared type; without one, numbers and
+ * booleans are recognised and everything else stays a string
+ */
+function typedValue(text, type) {
+    const lower = text.toLowerCase();
+    if (type === "boolean" || (type === undefined && (lower === "true" || lower === "false"))) {
+        return lower === "true" || lower === "1";
+    }
+    const isNumeric = ["int", "integer", "long", "float", "double", "short", "byte"].includes(type);
+    if (isNumeric || (type === undefined && /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i.test(text))) {
+        const number = Number(text);
+        if (Number.isFinite(number) && text !== "") return number;
+    }
+    return text;
+}
+
+function isNumber(value) {
+    return typeof value === "number" && Number.isFinite(value);
+}
+
+function emptyGraph() {
+    return { attributes: {}, nodes: new Map(), edges: [] };
+}
+
+function addNode(draft, id, attributes) {
+    const nodeId = String(id);
+    draft.nodes.set(nodeId, { ...draft.nodes.get(nodeId), ...attributes });
+}
+
+function addEdge(draft, source, target, attributes) {
+    [source, target].forEach(id => {
+        if (!draft.nodes.has(String(id))) addNode(draft, id, {});
+    });
+    draft.edges.push({ source: String(source), target: String(target), attributes });
+}
+
+function toGraph(draft, format) {
+    return {
+        format,
+        attributes: draft.attributes,
+        nodes: Array.from(draft.nodes, ([id, attributes]) => ({ id, attributes })),
+        edges: draft.edges
+    };
+}
+
+function withoutMissing(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+}
+return { GRAPH_FORMATS, GraphImportError, graphSnapshot, writeGraph, parseGraph, mergeGraphs, graphScenario };
+})();
+// sim/layout.js
+const module_sim_layout = (() => {
+const { SeededRandom } = module_sim_random;
+const { locationToPosition } = module_sim_geo;
+
+/**
+ * Ways to arrange the network in 3D. Positions are plain {x, y, z} objects
+ * keyed by node ID, so views can move their meshes to them however they like.
+ */
+const LAYOUTS = {
+    FORCE: "force",               // Linked nodes pull together, all nodes push apart; runs continuously
+    CIRCULAR: "circular",         // Evenly spaced around a flat circle
+    SPHERICAL: "spherical",       // Evenly spread over a sphere
+    HIERARCHICAL: "hierarchical", // One level per hop away from a root node, top to bottom
+    GLOBE: "globe"                // Where each node is on Earth; only for runs with geography
+};
+
+/**
+ * Strength of the forces in the force-directed layout
+ */
+const FORCE_DEFAULTS = {
+    springLength: 2.5,   // Length a link settles at
+    springStrength: 0.05,
+    repulsion: 4,        // Push between every pair of nodes, falling off with distance squared
+    gravity: 0.01,       // Pull towards the centre, so separate components don't drift off
+    damping: 0.85,       // Velocity kept from one step to the next
+    maxSpeed: 0.5,       // Distance a node may move in one step
+    exactRepulsionNodes: 1000, // Largest network every pair of nodes pushes apart in
+    repulsionSamples: 24       // Nodes each node is pushed by in bigger networks, standing in for the rest
+};
+
+/**
+ * Force-directed layout: springs along links, repulsion between all nodes
+ * and a little gravity, integrated one step at a time so the graph keeps
+ * settling as nodes and links come and go.
+ *
+ * Repulsion between every pair grows with the square of the network. Past
+ * exactRepulsionNodes, each node is pushed by a fixed sample of the others
+ * instead, scaled up to stand in for the rest; the sample only changes when
+ * nodes come or go, so the layout still settles.
+ */
+class ForceLayout {
+    /**
+     * @param {Partial<typeof FORCE_DEFAULTS>} [options] - Forces to override
+     */
+    constructor(options = {}) {
+        this.options = { ...FORCE_DEFAULTS, ...options };
+        this.velocities = new Map();
+        this.samples = new Map(); // Node ID to where its repulsion sample starts and how it steps, as fractions
+    }
+
+    /**
+     * Move every node one step along the forces acting on it
+     * @param {Map<string, {x: number, y: number, z: number}>} positions - Node ID to position; updated in place
+     * @param {[string, string][]} edges - Linked node ID pairs
+     * @returns {number} Largest distance a node moved, to tell when the layout has settled
+     */
+    step(positions, edges) {
+        const { springLength, springStrength, repulsion, gravity, damping, maxSpeed, exactRepulsionNodes } = this.options;
+        const ids = Array.from(positions.keys());
+        const points = Array.from(positions.values());
+        const indexOf = new Map(ids.map((id, i) => [id, i]));
+        const forces = ids.map(() => ({ x: 0, y: 0, z: 0 }));
+
+        // Nodes that start in a plane would never leave it: nudge each new one off it
+        ids.forEach(id => {
+            if (!this.velocities.has(id)) {
+                this.velocities.set(id, { x: 0, y: (new SeededRandom(id).next() - 0.5) * 0.2, z: 0 });
+            }
+        });
+        Array.from(this.velocities.keys())
+            .filter(id => !positions.has(id))
+            .forEach(id => {
+                this.velocities.delete(id);
+                this.samples.delete(id);
+            });
+
+        if (ids.length <= exactRepulsionNodes) {
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    const delta = subtract(points[i], points[j]);
+                    const distanceSquared = Math.max(lengthSquared(delta), 0.01);
+                    const push = repulsion / distanceSquared / Math.sqrt(distanceSquared);
+                    addScaled(forces[i], delta, push);
+                    addScaled(forces[j], delta, -push);
+                }
+            }
+        } else {
+            this.repelSampled(ids, points, forces);
+        }
+
+        edges.forEach(([sourceId, targetId]) => {
+            const i = indexOf.get(sourceId);
+            const j = indexOf.get(targetId);
+            if (i === undefined || j === undefined) return;
+            const delta = subtract(points[j], points[i]);
+            const distance = Math.max(Math.sqrt(lengthSquared(delta)), 0.01);
+            const pull = springStrength * (distance - springLength) / distance;
+            addScaled(forces[i], delta, pull);
+            addScaled(forces[j], delta, -pull);
+        });
+
+        let largestMove = 0;
+        ids.forEach((id, i) => {
+            const position = points[i];
+            const velocity = this.velocities.get(id);
+            addScaled(forces[i], position, -gravity);
+            addScaled(velocity, velocity, damping - 1);
+            addScaled(velocity, forces[i], 1);
+
+            const speed = Math.sqrt(lengthSquared(velocity));
+            if (speed > maxSpeed) {
+                addScaled(velocity, velocity, maxSpeed / speed - 1);
+            }
+            addScaled(position, velocity, 1);
+            largestMove = Math.max(largestMove, Math.min(speed, maxSpeed));
+        });
+        return largestMove;
+    }
+
+    /**
+     * Push each node away from its sample of the others, as hard as all of them would push together
+     */
+    repelSampled(ids, points, forces) {
+        const { repulsion, repulsionSamples } = this.options;
+        const count = ids.length;
+        const scale = (count - 1) / repulsionSamples * repulsion;
+        ids.forEach((id, i) => {
+            if (!this.samples.has(id)) {
+                const random = new SeededRandom(`${id}:repulsion`);
+                this.samples.set(id, { start: random.next(), stride: random.next() });
+            }
+            const { start, stride } = this.samples.get(id);
+            const { x, y, z } = points[i];
+            const force = forces[i];
+            for (let k = 0; k < repulsionSamples; k++) {
+                const j = Math.floor((start + k * stride) * count) % count;
+                if (j === i) continue;
+                const other = points[j];
+                const dx = x - other.x;
+                const dy = y - other.y;
+                const dz = z - other.z;
+                const distanceSquared = Math.max(dx * dx + dy * dy + dz * dz, 0.01);
+                const push = scale / distanceSquared / Math.sqrt(distanceSquared);
+                force.x += dx * push;
+                force.y += dy * push;
+                force.z += dz * push;
+            }
+        });
+    }
+}
+
+/**
+ * Where each node goes in one of the fixed layouts
+ * @param {string} layout - LAYOUTS.CIRCULAR, SPHERICAL, HIERARCHICAL or GLOBE
+ * @param {string[]} ids - Node IDs, in the order to place them
+ * @param {[string, string][]} edges - Linked node ID pairs
+ * @param {{radius: number, root?: string, locations?: Map<string, {lat: number, lon: number}>}} options - Size
+ *     of the layout, the hierarchy's root (the first node if missing or gone), and where nodes are on the globe
+ * @returns {Map<string, {x: number, y: number, z: number}>} The globe leaves out nodes without a location
+ */
+function arrangeNodes(layout, ids, edges, { radius, root, locations = new Map() }) {
+    switch (layout) {
+        case LAYOUTS.CIRCULAR:
+            return new Map(ids.map((id, i) => {
+                const angle = (i / ids.length) * Math.PI * 2;
+                return [id, { x: radius * Math.cos(angle), y: 0, z: radius * Math.sin(angle) }];
+            }));
+        case LAYOUTS.SPHERICAL:
+            return new Map(ids.map((id, i) => [id, fibonacciSpherePoint(i, ids.length, radius)]));
+        case LAYOUTS.HIERARCHICAL:
+            return arrangeByHops(ids, edges, ids.includes(root) ? root : ids[0], radius);
+        case LAYOUTS.GLOBE:
+            return new Map(ids.filter(id => locations.get(id)).map(id => [id, locationToPosition(locations.get(id), radius)]));
+        default:
+            throw new Error(`No fixed arrangement for layout "${layout}"`);
+    }
+}
+
+/**
+ * Hops from a node to every node it can reach
+ * @param {string} root - Node to start from
+ * @param {[string, string][]} edges - Linked node ID pairs
+ * @returns {Map<string, number>} Node ID to hop count; unreachable nodes are missing
+ */
+function hopDistances(root, edges) {
+    const neighbors = new Map();
+    edges.forEach(([a, b]) => {
+        if (!neighbors.has(a)) neighbors.set(a, []);
+        if (!neighbors.has(b)) neighbors.set(b, []);
+        neighbors.get(a).push(b);
+        neighbors.get(b).push(a);
+    });
+
+    const distances = new Map([[root, 0]]);
+    const queue = [root];
+    for (let i = 0; i < queue.length; i++) {
+        const id = queue[i];
+        (neighbors.get(id) ?? []).forEach(next => {
+            if (!distances.has(next)) {
+                distances.set(next, distances.get(id) + 1);
+                queue.push(next);
+            }
+        });
+    }
+    return distances;
+}
+
+/**
+ * The root on top, then a ring per hop below it; nodes it can't reach get the bottom ring
+ */
+function arrangeByHops(ids, edges, root, radius) {
+    const distances = hopDistances(root, edges);
+    let unreachable = 1;
+    distances.forEach(hops => unreachable = Math.max(unreachable, hops + 1));
+    const levels = new Map();
+    ids.forEach(id => {
+        const level = distances.get(id) ?? unreachable;
+        if (!levels.has(level)) levels.set(level, []);
+        levels.get(level).push(id);
+    });
+
+    const levelGap = radius * 2 / Math.max(levels.size - 1, 1);
+    const positions = new Map();
+    levels.forEach((members, level) => {
+        const y = radius - Array.from(levels.keys()).sort((a, b) => a - b).indexOf(level) * levelGap;
+        // Wider rings for busier levels, so nodes don't pile up
+        const ringRadius = members.length === 1 ? 0 : Math.max(1, radius * Math.min(members.length / 8, 1));
+        members.forEach((id, i) => {
+            const angle = (i / members.length) * Math.PI * 2;
+            positions.set(id, { x: ringRadius * Math.cos(angle), y, z: ringRadius * Math.sin(angle) });
+        });
+    });
+    return positions;
+}
+
+/**
+ * The i-th of count points spread evenly over a sphere
+ */
+function fibonacciSpherePoint(i, count, radius) {
+    const y = count === 1 ? 0 : 1 - (i / (count - 1)) * 2;
+    const ring = Math.sqrt(1 - y * y);
+    const angle = i * Math.PI * (3 - Math.sqrt(5)); // Golden angle
+    return { x: radius * ring * Math.cos(angle), y: radius * y, z: radius * ring * Math.sin(angle) };
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function lengthSquared(v) {
+    return v.x * v.x + v.y * v.y + v.z * v.z;
+}
+
+function addScaled(target, v, scale) {
+    target.x += v.x * scale;
+    target.y += v.y * scale;
+    target.z += v.z * scale;
+}
+return { LAYOUTS, FORCE_DEFAULTS, ForceLayout, arrangeNodes, hopDistances };
+})();
+// sim/index.js
+const module_sim_index = (() => {
+/**
+ * Headless network simulation. Import from here in the browser or Node.js.
+ */
+return { Emitter: module_sim_emitter.Emitter, PHASES: module_sim_phases.PHASES, ACTIVITIES: module_sim_phases.ACTIVITIES, SimNode: module_sim_node.SimNode, NetworkSimulation: module_sim_simulation.NetworkSimulation, STEP_MS: module_sim_simulation.STEP_MS, parseScenario: module_sim_scenario.parseScenario, ScenarioError: module_sim_scenario.ScenarioError, DEFAULT_SCENARIO: module_sim_scenario.DEFAULT_SCENARIO, PHASE_DURATIONS: module_sim_scenario.PHASE_DURATIONS, EventScheduler: module_sim_scheduler.EventScheduler, SeededRandom: module_sim_random.SeededRandom, randomSeed: module_sim_random.randomSeed, scramble: module_sim_random.scramble, EventLog: module_sim_event_log.EventLog, LOG_EVENTS: module_sim_event_log.LOG_EVENTS, LOG_VERSION: module_sim_event_log.LOG_VERSION, LOG_DEFAULTS: module_sim_event_log.LOG_DEFAULTS, PropagationTracker: module_sim_gossip.PropagationTracker, PROPAGATION_THRESHOLDS: module_sim_gossip.PROPAGATION_THRESHOLDS, Link: module_sim_link.Link, LINK_DEFAULTS: module_sim_link.LINK_DEFAULTS, LINK_STATES: module_sim_link.LINK_STATES, LINK_DIRECTIONS: module_sim_link.LINK_DIRECTIONS, MESSAGE_SIZES: module_sim_link.MESSAGE_SIZES, WIRE_MESSAGES: module_sim_wire.WIRE_MESSAGES, HANDSHAKE_MESSAGES: module_sim_wire.HANDSHAKE_MESSAGES, WIRE_DEFAULTS: module_sim_wire.WIRE_DEFAULTS, splitByPosition: module_sim_partition.splitByPosition, groupAssignments: module_sim_partition.groupAssignments, TOPOLOGIES: module_sim_topology.TOPOLOGIES, topologyDefaults: module_sim_topology.topologyDefaults, NetworkEditor: module_sim_editor.NetworkEditor, parsePeerSnapshot: module_sim_peer_import.parsePeerSnapshot, peerScenario: module_sim_peer_import.peerScenario, networkOf: module_sim_peer_import.networkOf, PeerImportError: module_sim_peer_import.PeerImportError, PEER_FORMATS: module_sim_peer_import.PEER_FORMATS, PEER_ATTRIBUTE_LABELS: module_sim_peer_import.PEER_ATTRIBUTE_LABELS, LOCAL_NODE_ID: module_sim_peer_import.LOCAL_NODE_ID, GRAPH_FORMATS: module_sim_graph_formats.GRAPH_FORMATS, GraphImportError: module_sim_graph_formats.GraphImportError, graphSnapshot: module_sim_graph_formats.graphSnapshot, writeGraph: module_sim_graph_formats.writeGraph, parseGraph: module_sim_graph_formats.parseGraph, mergeGraphs: module_sim_graph_formats.mergeGraphs, graphScenario: module_sim_graph_formats.graphScenario, GEO_REGIONS: module_sim_geo.GEO_REGIONS, GEO_DEFAULTS: module_sim_geo.GEO_DEFAULTS, EARTH_RADIUS_KM: module_sim_geo.EARTH_RADIUS_KM, drawLocation: module_sim_geo.drawLocation, regionWeights: module_sim_geo.regionWeights, distanceKm: module_sim_geo.distanceKm, geoLatency: module_sim_geo.geoLatency, locationToPosition: module_sim_geo.locationToPosition, positionToLocation: module_sim_geo.positionToLocation, greatCirclePoint: module_sim_geo.greatCirclePoint, LAYOUTS: module_sim_layout.LAYOUTS, FORCE_DEFAULTS: module_sim_layout.FORCE_DEFAULTS, ForceLayout: module_sim_layout.ForceLayout, arrangeNodes: module_sim_layout.arrangeNodes, hopDistances: module_sim_layout.hopDistances, NetworkMetrics: module_sim_metrics.NetworkMetrics, METRICS_DEFAULTS: module_sim_metrics.METRICS_DEFAULTS, LATENCY_PERCENTILES: module_sim_metrics.LATENCY_PERCENTILES, graphMetrics: module_sim_metrics.graphMetrics, percentile: module_sim_metrics.percentile, BlockTree: module_sim_blockchain.BlockTree, GENESIS_BLOCK: module_sim_blockchain.GENESIS_BLOCK, SYNC_BATCH_SIZE: module_sim_blockchain.SYNC_BATCH_SIZE, SETTLED_DEPTH: module_sim_blockchain.SETTLED_DEPTH, createBlock: module_sim_blockchain.createBlock, Mempool: module_sim_mempool.Mempool, MEMPOOL_REJECTIONS: module_sim_mempool.MEMPOOL_REJECTIONS, feeRate: module_sim_mempool.feeRate, MiningStats: module_sim_mining.MiningStats, nextBlockDelay: module_sim_mining.nextBlockDelay, pickMiner: module_sim_mining.pickMiner, BEHAVIORS: module_sim_adversary.BEHAVIORS, ATTACK_DEFAULTS: module_sim_adversary.ATTACK_DEFAULTS, AttackStats: module_sim_adversary.AttackStats, isAttacker: module_sim_adversary.isAttacker, withholds: module_sim_adversary.withholds, PROTOCOLS: module_sim_protocols_index.PROTOCOLS, createProtocol: module_sim_protocols_index.createProtocol, ConsensusProtocol: module_sim_protocols_index.ConsensusProtocol, NETWORK_PHASES: module_sim_protocols_index.NETWORK_PHASES, BitcoinProtocol: module_sim_protocols_index.BitcoinProtocol, RaftProtocol: module_sim_protocols_index.RaftProtocol, PbftProtocol: module_sim_protocols_index.PbftProtocol, ProofOfStakeProtocol: module_sim_protocols_index.ProofOfStakeProtocol, RAFT_PHASES: module_sim_protocols_index.RAFT_PHASES, RAFT_ROLES: module_sim_protocols_index.RAFT_ROLES, PBFT_PHASES: module_sim_protocols_index.PBFT_PHASES, PBFT_ROLES: module_sim_protocols_index.PBFT_ROLES, POS_PHASES: module_sim_protocols_index.POS_PHASES, POS_ROLES: module_sim_protocols_index.POS_ROLES };
+})();
+// assets/world-outline.js
+const module_assets_world_outline = (() => {
+/**
+ * Coarse hand-drawn coastlines for the globe view, as [longitude, latitude] points
+ * in degrees. Closed outlines end where they start. Kept as a script rather than
+ * JSON so the page draws them without fetching anything, even opened from disk
+ */
+const WORLD_OUTLINES = [
+    { name: "North America", points: [[-168,66],[-162,70],[-156,71.3],[-141,69.6],[-128,70],[-115,68.5],[-95,71.5],[-82,69],[-80,63],[-94,59],[-92,57],[-82,55],[-79,51.5],[-77,60],[-70,61],[-64,60],[-61,56],[-56,52],[-60,47],[-66,44.5],[-70,42],[-74,40.5],[-76,35],[-81,31.5],[-80,25.5],[-82,27.5],[-84,30],[-90,29],[-95,29],[-97.5,26],[-97.5,21.5],[-95,18.5],[-91,18.5],[-87,21.5],[-88,16],[-83.5,15],[-83.5,10.5],[-79.5,9.3],[-77.5,8.5],[-80,7.5],[-83,8.5],[-86,11],[-88,13.3],[-92,14.5],[-96,15.7],[-101,17.5],[-105.5,20.5],[-105.5,23],[-109,25.5],[-112.5,29.5],[-114.5,31.5],[-114,28],[-112,24.5],[-110,23],[-112,26],[-115,29.5],[-117,32.5],[-120.5,34.5],[-122.5,37.8],[-124,40.5],[-124.5,43],[-124,46.5],[-124.7,48.4],[-123,49],[-127.5,50.5],[-130.5,54.5],[-133,57.5],[-137,58.5],[-141,60],[-147,61],[-152,59],[-157,58.5],[-162,55],[-158,58],[-162,60],[-165,62.5],[-164.5,64.5],[-168,66]] },
+    { name: "South America", points: [[-77.5,8.5],[-75.5,10.5],[-72,12],[-68,10.6],[-62,10.5],[-60,8.5],[-57,6],[-52,5],[-50,1.5],[-48,-1],[-44,-2.5],[-39,-3.5],[-35,-5.5],[-35,-9],[-38.5,-13],[-39,-17.5],[-41,-22],[-44.5,-23.2],[-48.5,-26],[-48.7,-28.5],[-51,-31],[-53,-34],[-57,-35],[-57.5,-38],[-62,-39],[-65,-41],[-64,-42.5],[-65.5,-45],[-67.5,-46.5],[-65.7,-47.8],[-69,-51],[-68.5,-52.5],[-71,-54],[-74.5,-52],[-75.5,-48],[-74,-44],[-73.5,-40],[-73.5,-37],[-71.5,-32],[-71.3,-28],[-70.5,-23.5],[-70.2,-18.3],[-75.5,-15],[-77.5,-12],[-79.5,-8],[-81.2,-5.5],[-80.5,-2.5],[-80,0],[-78.8,1.5],[-77.5,3.8],[-77.3,6.5],[-77.5,8.5]] },
+    { name: "Eurasia", points: [[-9.5,37],[-9,43],[-1.5,43.5],[-1.5,46.5],[-4.5,48],[-1.5,49.7],[2,51],[4.5,52.5],[8.5,53.5],[8.5,57],[10.5,57.7],[10.5,54.5],[12.5,54.5],[14,54],[19.5,54.5],[21,56.5],[24,57.3],[23.5,59.2],[29.5,60],[22.5,60.3],[21.5,61.5],[25,65],[21.5,65.8],[17.5,62.5],[18.5,60],[16.5,57],[14.2,55.4],[12.5,56.2],[11,59],[8,58],[5.5,58.8],[5,62],[10,64],[14,67.5],[17,69],[24,71],[29,70.8],[33,69.5],[41,67.5],[38,64.5],[44,66.2],[44,68.5],[54,68.5],[60,69.8],[68,68.3],[69,72.5],[73,72.8],[80,72.3],[82,73.8],[87,75],[100,76.5],[105,77.6],[113,73.5],[120,73],[128,72.7],[131,71],[140,72.5],[150,71.5],[160,69.5],[170,70],[180,69],[180,65],[178,64.5],[179,62.3],[173,61],[170,60],[163,59.8],[162,57.8],[163,56],[156.7,51],[156,57.5],[161.8,60.3],[156,61.5],[152,59.2],[143,59.3],[137,54],[141,53],[140.5,48],[135,43.5],[131,42.6],[129.5,41],[128,38.5],[129.4,35.5],[126.5,34.5],[126,37.5],[124.5,39.8],[121.5,39],[122,40.5],[118,39],[119.5,37.2],[122.5,37],[119,35],[121,32],[122,30],[120,26.5],[116.5,23],[113,22.2],[108.5,21.7],[106,20],[106.5,17.5],[109,12],[106.5,10.3],[104.8,8.6],[103,11],[100,13.4],[100,9],[103.5,4],[104,1.3],[101,3],[98.3,8],[98.5,13],[97.5,16.5],[94.5,16],[94,19.5],[92,21.5],[90,21.8],[87,21.5],[86.5,20],[82,16.5],[80.2,13],[80,9.5],[77.5,8],[76,10.5],[73,17],[72.7,21],[70,22.5],[68,23.8],[66.5,25.5],[61.5,25.2],[57,25.8],[56.3,27],[51.5,27.8],[50,30.2],[48,29.9],[50.5,26],[51.5,24.5],[54,24],[56.4,26.3],[58.8,22.8],[57.6,19],[52,16],[45,12.7],[43.3,12.7],[42.6,15.5],[40,20],[36.7,25],[35,28],[32.6,30],[34.5,31.5],[35.5,34],[36,36.2],[32.5,36.1],[29.5,36.7],[26.3,38.8],[26.3,40.2],[29,41.1],[31.3,41.2],[36,41.7],[41.5,41.5],[39.5,44],[37.5,44.7],[33.5,44.5],[32.5,45.5],[30,45.8],[28.7,44.2],[28,41.8],[26,40.8],[23.5,40],[22.6,37],[21,38.3],[19.5,40.4],[19.4,42],[16,43.5],[13.6,45.6],[12.3,45.3],[14,42.5],[16,41.5],[18.5,40.2],[16,38.5],[15.6,38],[15.7,40],[12.5,41.5],[10.5,43],[8.8,44.4],[6.5,43.1],[3.2,43.3],[3.2,41.9],[0.7,40.8],[-0.5,38.5],[-2.2,36.7],[-5.6,36],[-7.5,37.2],[-9.5,37]] },
+    { name: "Africa", points: [[-17,14.7],[-16.5,19],[-17,21],[-15,24.5],[-13,27.7],[-10,29.5],[-9.7,32.5],[-6.5,34],[-5.9,35.8],[-2,35.1],[3,36.8],[10,37.3],[11,35.5],[10,34],[11.5,33.1],[15.3,32.3],[19.5,30.5],[20,32],[23,32.7],[25,31.7],[29,30.9],[32.3,31.3],[34.2,27.8],[35.8,23.8],[37.2,21],[38.5,18],[39.7,15.2],[42.8,12.5],[43.3,11.8],[44.5,10.4],[47,11.1],[51.2,11.9],[50.9,10.3],[49,6],[46,2.2],[43,-0.5],[40.5,-2.5],[39.3,-5],[39.5,-8],[40.5,-11],[40.6,-15],[37,-18],[35.3,-22.2],[35.5,-24],[32.9,-25.8],[32.6,-28.5],[30.5,-31],[27.5,-33.5],[25,-34],[22.5,-34],[20,-34.8],[18.4,-34],[17.9,-32],[16.5,-28.6],[15,-26.5],[14.5,-22.5],[11.8,-17.5],[12,-13.5],[13.8,-10.5],[12.5,-6],[11.8,-3],[9.3,-0.5],[9.5,3],[8.5,4.5],[6,4.3],[4.5,6.4],[1.5,6.2],[-2,4.7],[-4.5,5.2],[-7.5,4.4],[-9,5],[-12.5,7.5],[-13.3,9.5],[-15,11],[-16.7,12.4],[-17,14.7]] },
+    { name: "Madagascar", points: [[43.2,-22],[43.7,-17],[46.5,-15.7],[49.3,-12],[50.4,-15.5],[49.8,-17],[48,-22.5],[47.1,-25],[45.2,-25.6],[43.6,-23.5],[43.2,-22]] },
+    { name: "Australia", points: [[113.5,-22],[114,-26],[115,-30],[115,-33.5],[116.5,-35],[118,-35],[123.5,-33.9],[126,-32.3],[131,-31.5],[135,-34.5],[137.7,-32.8],[138,-35.6],[140.5,-38],[144,-38.3],[146.3,-39.1],[150,-37.5],[150.5,-35],[153,-31],[153.5,-28],[153,-25],[150.8,-22.5],[149,-20.5],[146.3,-18.7],[145.3,-15],[143.5,-14],[142.5,-10.7],[141.5,-13],[141.5,-17],[140,-17.7],[136,-15.8],[135.5,-14.5],[136.8,-12.2],[132.6,-11.5],[130,-13],[129.5,-15],[127,-14],[125,-15],[122.2,-17.5],[121.5,-19.5],[118.7,-20.3],[114.5,-21.8],[113.5,-22]] },
+    { name: "Greenland", points: [[-73,78],[-66,81],[-54,82.3],[-35,83.5],[-22,82.5],[-18,80],[-20,76],[-20,72],[-22,70],[-27,68.2],[-33,68],[-40,65],[-43,60],[-48,61],[-51,64],[-53.5,66.5],[-54,70],[-58,75.5],[-66,76.5],[-73,78]] },
+    { name: "Baffin Island", points: [[-80,63.5],[-73,62],[-65,62],[-61.5,66.5],[-68,70],[-77,72.5],[-90,73.5],[-85,70],[-81.5,69],[-80,63.5]] },
+    { name: "Iceland", points: [[-22.5,64],[-24,65.5],[-22,66.4],[-16,66.5],[-13.6,65.2],[-14.8,64.3],[-18.7,63.4],[-22.5,64]] },
+    { name: "Great Britain", points: [[-5.7,50],[1.3,51.2],[1.7,52.7],[0,53.5],[-1.5,55],[-2,57.7],[-3,58.6],[-5,58.6],[-6.2,56.5],[-5,55],[-3,54],[-3.2,53.3],[-4.6,53.3],[-4.2,52.3],[-5.2,51.7],[-3.5,51.3],[-5.7,50]] },
+    { name: "Ireland", points: [[-6,52.2],[-6,54],[-7.5,55.3],[-9.9,54.2],[-9.5,53],[-10.3,51.8],[-8,51.6],[-6,52.2]] },
+    { name: "Honshu", points: [[130.2,31.3],[131.5,31.5],[132,33.8],[135,33.5],[136.9,34.3],[139,34.7],[140.8,35.7],[141,38.3],[142,39.5],[141.5,41.4],[140,40.8],[139.8,39],[138.5,37.8],[136.8,37.2],[136,35.7],[133,35.5],[131,34.4],[129.7,33.2],[130.2,31.3]] },
+    { name: "Hokkaido", points: [[140,41.5],[141.5,42.5],[143.3,42],[145.5,43.3],[144.2,44.1],[141.9,45.5],[141.4,43.3],[140,42.5],[140,41.5]] },
+    { name: "Sakhalin", points: [[142,46],[143.5,49.3],[142.8,54.3],[142.3,51],[142,46]] },
+    { name: "Taiwan", points: [[120.1,23],[121,25.3],[122,25],[120.7,22],[120.1,23]] },
+    { name: "Sri Lanka", points: [[79.8,7],[80,9.8],[81.8,7.5],[81.2,6.2],[80,6],[79.8,7]] },
+    { name: "Sumatra", points: [[95.3,5.6],[98,4],[100.5,1],[103.7,-1],[106,-3.2],[105.8,-5.8],[104.5,-5.6],[102,-4],[100.3,-1],[98.7,1.8],[95.3,5.6]] },
+    { name: "Borneo", points: [[109,1.5],[109.6,-1.2],[110.2,-3],[114.5,-4],[116.5,-3.5],[116,-1],[117.6,1],[119,1],[117.9,4],[119.2,5.3],[117,7],[115.4,5],[113,3.2],[111,1.5],[109,1.5]] },
+    { name: "Java", points: [[105.3,-6.8],[108,-6.3],[111,-6.5],[114.5,-7.7],[112,-8.3],[108,-7.8],[105.3,-6.8]] },
+    { name: "New Guinea", points: [[131,-1.5],[134,-0.9],[138,-1.6],[141,-2.6],[145,-4.8],[147.5,-6.2],[150,-10.3],[147,-10],[144,-7.7],[141,-9],[138.5,-8.3],[137.7,-5.2],[134,-3.9],[132,-2.9],[131,-1.5]] },
+    { name: "Luzon", points: [[120.6,18.5],[122.2,18.5],[122,16.2],[124,13],[122,13.8],[120.6,14.4],[120,16.2],[120.6,18.5]] },
+    { name: "Mindanao", points: [[122,6.9],[125.5,9.8],[126.6,7.2],[125.4,5.6],[123.5,7.8],[122,6.9]] },
+    { name: "New Zealand, North Island", points: [[172.7,-34.4],[174.5,-36.5],[176,-37.6],[178.5,-37.7],[177,-39.3],[176,-41.3],[174.7,-41.3],[175,-39.9],[173.8,-39.2],[174.6,-37],[172.7,-34.4]] },
+    { name: "New Zealand, South Island", points: [[172.7,-40.5],[174.3,-41.7],[173,-43.8],[171,-44.5],[169.3,-46.6],[166.5,-46],[166.7,-45],[170.5,-42.5],[172.7,-40.5]] },
+    { name: "Cuba", points: [[-84.9,21.9],[-82,23.2],[-77,22],[-74.2,20.2],[-77.7,19.9],[-81,21.6],[-84.9,21.9]] },
+    { name: "Hispaniola", points: [[-74.5,18.4],[-71,19.9],[-68.3,18.6],[-71.5,17.6],[-74.5,18.4]] },
+    { name: "Antarctica", points: [[-180,-84],[-150,-77],[-120,-73],[-90,-72.5],[-60,-64],[-57,-63],[-60,-70],[-40,-77],[-20,-72],[0,-70],[30,-69],[60,-67],[90,-66],[120,-66.5],[150,-68.5],[165,-72],[170,-77],[180,-84]] }
+];
+return { WORLD_OUTLINES };
+})();
+// script.js
+const module_script = (() => {
+const { NetworkSimulation, EventLog, parseScenario, PHASES, PHASE_DURATIONS, ACTIVITIES, PROTOCOLS, NETWORK_PHASES, TOPOLOGIES, LAYOUTS, ForceLayout, arrangeNodes, NetworkEditor, parsePeerSnapshot, peerScenario, GRAPH_FORMATS, graphSnapshot, writeGraph, parseGraph, mergeGraphs, graphScenario, PEER_ATTRIBUTE_LABELS, greatCirclePoint, distanceKm, locationToPosition, LINK_STATES, LATENCY_PERCENTILES, RAFT_PHASES, RAFT_ROLES, PBFT_PHASES, PBFT_ROLES, POS_PHASES, POS_ROLES, BEHAVIORS } = module_sim_index;
+const { WORLD_OUTLINES } = module_assets_world_outline;
+
+/**
+ * Visual representation of a node in the distributed network.
+ * Graph state lives in the simulation; this class only owns meshes.
+ */
+class BitcoinNode {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     * @param {BABYLON.Vector3} position - Initial position of the node
+     * @param {string} nodeId - Unique identifier for the node
+     */
+    constructor(scene, position, nodeId) {
+        this.nodeId = nodeId;
+
+        // Create visual representation of the node
+        this.mesh = BABYLON.MeshBuilder.CreateSphere(`node-${nodeId}`, {
+            diameter: 0.5
+        }, scene);
+        this.mesh.position = position;
+
+        // Create material for the node
+        this.material = new BABYLON.StandardMaterial(`nodeMaterial-${nodeId}`, scene);
+        this.material.diffuseColor = new BABYLON.Color3(0.2, 0.5, 0.8);
+        this.mesh.material = this.material;
+
+        // Tints: a netsplit side wins over an imported attribute, which wins over the default
+        this.groupColor = null;
+        this.attributeColor = null;
+
+        // What an imported snapshot says about the real node, e.g. its network type
+        this.attributes = {};
+    }
+
+    /**
+     * Where the node is drawn; layouts move it in place
+     * @returns {BABYLON.Vector3}
+     */
+    get position() {
+        return this.mesh.position;
+    }
+
+    /**
+     * Add the small label above the node showing its chain height, and a pick for miners
+     * @param {BABYLON.GUI.AdvancedDynamicTexture} ui - Fullscreen GUI to draw the label on
+     */
+    showLabel(ui) {
+        this.heightLabel = new BABYLON.GUI.TextBlock(`height-${this.nodeId}`);
+        this.heightLabel.fontSize = "11px";
+        this.heightLabel.fontFamily = "monospace";
+        this.heightLabel.color = "#ffb300";
+        this.heightLabel.outlineWidth = 2;
+        this.heightLabel.outlineColor = "black";
+        ui.addControl(this.heightLabel);
+        this.heightLabel.linkWithMesh(this.mesh);
+        this.heightLabel.linkOffsetY = -22;
+
+        this.chainHeight = 0;
+        this.committedHeight = 0;
+        this.isMiner = false;
+        this.role = null;
+        this.behavior = BEHAVIORS.HONEST;
+        this.isEclipsed = false;
+        this.updateLabel();
+    }
+
+    updateLabel() {
+        const parts = [];
+        if (BEHAVIOR_INFO[this.behavior]) parts.push(BEHAVIOR_INFO[this.behavior].icon);
+        if (this.isEclipsed) parts.push("🎯");
+        if (ROLE_ICONS[this.role]) parts.push(ROLE_ICONS[this.role]);
+        if (this.isMiner) parts.push("⛏️");
+        // Protocols without a block chain only have a committed log to show
+        if (this.chainHeight > 0 || this.committedHeight === 0) parts.push(`#${this.chainHeight}`);
+        if (this.committedHeight > 0) parts.push(`✔${this.committedHeight}`);
+        this.heightLabel.text = parts.join(" ");
+    }
+
+    /**
+     * Show the height of the node's best chain
+     * @param {number} height - Chain height
+     */
+    setChainHeight(height) {
+        this.chainHeight = height;
+        this.updateLabel();
+    }
+
+    /**
+     * Show how much of the node's log or chain its consensus protocol has committed
+     * @param {number} height - Committed entries or finalized height
+     */
+    setCommittedHeight(height) {
+        this.committedHeight = height;
+        this.updateLabel();
+    }
+
+    /**
+     * Show the role the consensus protocol gave the node
+     * @param {string|null} role - Role, e.g. "leader"
+     */
+    setRole(role) {
+        this.role = role;
+        this.updateLabel();
+    }
+
+    /**
+     * Mark a misbehaving node with a red cage and its behavior's icon
+     * @param {string} behavior - One of BEHAVIORS
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    setBehavior(behavior, scene) {
+        this.behavior = behavior;
+        this.updateLabel();
+
+        const isAttacker = behavior !== BEHAVIORS.HONEST;
+        if (isAttacker && !this.attackerMark) {
+            this.attackerMark = BABYLON.MeshBuilder.CreatePolyhedron(`attacker-${this.nodeId}`, {
+                type: 1, // Octahedron
+                size: 0.45
+            }, scene);
+            const markMaterial = new BABYLON.StandardMaterial(`attackerMaterial-${this.nodeId}`, scene);
+            markMaterial.emissiveColor = new BABYLON.Color3(1, 0.1, 0.1);
+            markMaterial.wireframe = true;
+            this.attackerMark.material = markMaterial;
+            this.attackerMark.parent = this.mesh;
+        }
+        if (this.attackerMark) {
+            this.attackerMark.isVisible = isAttacker;
+        }
+    }
+
+    /**
+     * Flag the node as the victim of an eclipse attack
+     * @param {boolean} isEclipsed - Whether attackers hold all its peer slots
+     */
+    setEclipsed(isEclipsed) {
+        this.isEclipsed = isEclipsed;
+        this.updateLabel();
+    }
+
+    /**
+     * Mark the node as a miner
+     * @param {boolean} isMiner - Whether the node has hashpower
+     */
+    setMiner(isMiner) {
+        this.isMiner = isMiner;
+        this.updateLabel();
+    }
+
+    /**
+     * Light the node up when it finds a block
+     * @param {boolean} isMining - Whether to show the flash
+     */
+    setMining(isMining) {
+        if (isMining) {
+            this.material.emissiveColor = new BABYLON.Color3(1, 0.5, 0);
+            this.mesh.scaling.setAll(1.4);
+        } else {
+            this.material.emissiveColor = BABYLON.Color3.Black();
+            this.mesh.scaling.setAll(1);
+        }
+    }
+
+    /**
+     * Show how many transactions wait in the node's mempool as a bar beside it
+     * @param {number} count - Transactions in the mempool
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    setMempoolSize(count, scene) {
+        if (!this.mempoolBar) {
+            this.mempoolBar = BABYLON.MeshBuilder.CreateBox(`mempool-${this.nodeId}`, {
+                width: 0.08,
+                height: 1,
+                depth: 0.08
+            }, scene);
+            const barMaterial = new BABYLON.StandardMaterial(`mempoolMaterial-${this.nodeId}`, scene);
+            barMaterial.emissiveColor = new BABYLON.Color3(0, 1, 0.3);
+            this.mempoolBar.material = barMaterial;
+            this.mempoolBar.parent = this.mesh;
+        }
+
+        // 0.04 per transaction, capped so a backlog doesn't tower over the scene
+        const height = Math.min(count, 40) * 0.04;
+        this.mempoolBar.isVisible = count > 0;
+        this.mempoolBar.scaling.y = Math.max(height, 0.001);
+        this.mempoolBar.position.set(0.35, height / 2 - 0.25, 0);
+    }
+
+    /**
+     * Tint the node with the color of its side of a netsplit
+     * @param {BABYLON.Color3|null} color - Group color, or null to restore the default
+     */
+    setGroupColor(color) {
+        this.groupColor = color;
+        this.material.diffuseColor = this.groupColor ?? this.attributeColor ?? new BABYLON.Color3(0.2, 0.5, 0.8);
+    }
+
+    /**
+     * Tint the node by one of its imported attributes, e.g. its client version
+     * @param {BABYLON.Color3|null} color - Attribute color, or null to restore the default
+     */
+    setAttributeColor(color) {
+        this.attributeColor = color;
+        this.material.diffuseColor = this.groupColor ?? this.attributeColor ?? new BABYLON.Color3(0.2, 0.5, 0.8);
+    }
+
+    /**
+     * Simulate node syncing with a progress indicator
+     * @param {number} progress - Sync progress from 0 to 1
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    showSyncProgress(progress, scene) {
+        this.material.emissiveColor = new BABYLON.Color3(0.3, 0.8, 0.3);
+        // A ring around the node that closes as it syncs; the tube keeps its points, so it is reshaped in place
+        const path = syncArcPath(progress);
+        if (!this.syncRing) {
+            this.syncRing = BABYLON.MeshBuilder.CreateTube(`syncRing-${this.nodeId}`, {
+                path,
+                radius: 0.05,
+                updatable: true
+            }, scene);
+            const ringMaterial = new BABYLON.StandardMaterial(`syncRingMaterial-${this.nodeId}`, scene);
+            ringMaterial.emissiveColor = new BABYLON.Color3(0.2, 1, 0.4);
+            ringMaterial.disableLighting = true;
+            this.syncRing.material = ringMaterial;
+            this.syncRing.isPickable = false;
+            this.syncRing.parent = this.mesh;
+        } else {
+            BABYLON.MeshBuilder.CreateTube(this.syncRing.name, { path, radius: 0.05, instance: this.syncRing });
+        }
+        this.syncRing.isVisible = progress > 0;
+    }
+
+    /**
+     * Show processing state
+     * @param {boolean} isProcessing - Whether node is processing
+     */
+    setProcessing(isProcessing) {
+        if (isProcessing) {
+            this.material.emissiveColor = new BABYLON.Color3(0.8, 0.8, 0.2);
+        } else {
+            this.material.emissiveColor = BABYLON.Color3.Black();
+        }
+    }
+
+    /**
+     * Highlight the node while it is discovering peers
+     * @param {boolean} isDiscovering - Whether node is discovering
+     */
+    setDiscovering(isDiscovering) {
+        if (isDiscovering) {
+            this.material.emissiveColor = new BABYLON.Color3(0.3, 0.6, 1);
+        } else {
+            this.material.emissiveColor = BABYLON.Color3.Black();
+        }
+    }
+
+    /**
+     * Simulate node shutdown
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    shutdown(scene) {
+        const fadeOut = new BABYLON.Animation(
+            "fadeOut",
+            "visibility",
+            30,
+            BABYLON.Animation.ANIMATIONTYPE_FLOAT,
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
+        );
+
+        const keys = [];
+        keys.push({ frame: 0, value: 1 });
+        keys.push({ frame: 30, value: 0 });
+        fadeOut.setKeys(keys);
+
+        this.mesh.animations.push(fadeOut);
+        if (this.heightLabel) {
+            this.heightLabel.dispose();
+        }
+        scene.beginAnimation(this.mesh, 0, 30, false, 1, () => {
+            if (this.mempoolBar) {
+                this.mempoolBar.material.dispose();
+            }
+            if (this.attackerMark) {
+                this.attackerMark.material.dispose();
+            }
+            this.mesh.dispose();
+            this.material.dispose();
+        });
+    }
+
+    /**
+     * Create a packet travelling to another node.
+     * The caller moves it along its path with update() as simulation time passes.
+     * @param {BitcoinNode} targetNode - The receiving node
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     * @param {string} type - Type of packet: a Bitcoin wire message, a consensus message, or "invalid"
+     * @param {number} [bytes] - Message size; bigger messages get bigger packets
+     * @param {boolean} [isOnGlobe] - Whether both nodes sit on the globe; the packet then flies the great-circle arc
+     * @returns {{mesh: BABYLON.Mesh, update: function(number): void, dispose: function(): void}} Packet handle
+     */
+    sendPacket(targetNode, scene, type, bytes = 100, isOnGlobe = false) {
+        // Create packet mesh, from 0.2 for tiny messages to about 0.36 for a 1 MB block
+        const packet = createPacketMesh(type, 0.12 + 0.04 * Math.log10(Math.max(bytes, 10)), scene);
+
+        // Color and shape by type
+        const style = PACKET_STYLES[type] ?? PACKET_STYLES.default;
+        const packetMaterial = new BABYLON.StandardMaterial("packetMaterial", scene);
+        packetMaterial.emissiveColor = style.color;
+        packetMaterial.alpha = 0.9;
+        packet.material = packetMaterial;
+
+        addGlow(packet, scene);
+
+        // Path from source to target, redrawn as the layout moves either end
+        const update = (progress) => {
+            packet.position = packetPoint(this.position, targetNode.position, progress, isOnGlobe);
+        };
+        update(0);
+
+        return {
+            mesh: packet,
+            update,
+            dispose: () => {
+                packet.dispose();
+                packetMaterial.dispose();
+            }
+        };
+    }
+
+    /**
+     * Clean up node resources
+     */
+    dispose() {
+        if (this.syncRing) {
+            this.syncRing.material.dispose();
+            this.syncRing.dispose();
+        }
+        if (this.mempoolBar) {
+            this.mempoolBar.material.dispose();
+            this.mempoolBar.dispose();
+        }
+        if (this.attackerMark) {
+            this.attackerMark.material.dispose();
+            this.attackerMark.dispose();
+        }
+        if (this.heightLabel) {
+            this.heightLabel.dispose();
+        }
+        if (this.mesh) {
+            this.mesh.dispose();
+        }
+        if (this.material) {
+            this.material.dispose();
+        }
+    }
+}
+
+/**
+ * Visual representation of a link: a line between two nodes, colored by
+ * the link's state, that follows its nodes and fades out when it closes.
+ */
+class ConnectionView {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     * @param {BitcoinNode} sourceNode - Node that opened the link
+     * @param {BitcoinNode} targetNode - Node that accepted it
+     * @param {string} state - One of LINK_STATES
+     * @param {boolean} [isOnGlobe] - Whether to follow the globe's surface rather than run straight
+     */
+    constructor(scene, sourceNode, targetNode, state, isOnGlobe = false) {
+        this.sourceNode = sourceNode;
+        this.targetNode = targetNode;
+        this.isOnGlobe = isOnGlobe;
+        this.createLines(scene);
+        this.setState(state);
+    }
+
+    createLines(scene) {
+        this.lines = BABYLON.MeshBuilder.CreateLines(
+            `connection-${this.sourceNode.nodeId}-${this.targetNode.nodeId}`,
+            { points: this.points(), updatable: true },
+            scene
+        );
+        // Thin lines are hard to hit: accept clicks a little off them
+        this.lines.intersectionThreshold = 0.15;
+    }
+
+    points() {
+        const start = this.sourceNode.position;
+        const end = this.targetNode.position;
+        return this.isOnGlobe
+            ? Array.from({ length: GLOBE_ARC_POINTS + 1 }, (_, i) => arcPoint(start, end, i / GLOBE_ARC_POINTS))
+            : [start, end];
+    }
+
+    /**
+     * Switch between a straight line and an arc over the globe
+     * @param {boolean} isOnGlobe - Whether to follow the globe's surface
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    setGlobe(isOnGlobe, scene) {
+        if (isOnGlobe === this.isOnGlobe) return;
+        // The arc has more points than a line can be updated to
+        this.isOnGlobe = isOnGlobe;
+        this.lines.dispose();
+        this.createLines(scene);
+        this.setState(this.state);
+    }
+
+    /**
+     * Show the link's state
+     * @param {string} state - One of LINK_STATES
+     */
+    setState(state) {
+        this.state = state;
+        this.lines.color = LINK_STATE_COLORS[state];
+        this.lines.alpha = state === LINK_STATES.ESTABLISHED ? 1 : 0.6;
+    }
+
+    /**
+     * Move the line's ends back onto both nodes after either moved
+     */
+    update() {
+        BABYLON.MeshBuilder.CreateLines(this.lines.name, {
+            points: this.points(),
+            instance: this.lines
+        });
+    }
+
+    /**
+     * Fade the line out, then free it
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    close(scene) {
+        this.setState(LINK_STATES.CLOSING);
+        const fadeOut = new BABYLON.Animation(
+            "fadeOut",
+            "alpha",
+            30,
+            BABYLON.Animation.ANIMATIONTYPE_FLOAT,
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
+        );
+        fadeOut.setKeys([
+            { frame: 0, value: this.lines.alpha },
+            { frame: 20, value: 0 }
+        ]);
+        this.lines.animations.push(fadeOut);
+        scene.beginAnimation(this.lines, 0, 20, false, 1, () => this.dispose());
+    }
+
+    dispose() {
+        this.lines.dispose();
+    }
+}
+
+// Networks that may grow past this many nodes are drawn in bulk: every node an instance of one
+// mesh, every link a segment of one line mesh and every packet an instance of one pooled mesh
+const BULK_NODE_THRESHOLD = 300;
+
+// Bulk runs send tens of thousands of messages a second, so their log keeps the last few seconds of them,
+// and is checkpointed sparsely because each checkpoint copies every node and link
+const BULK_LOG_OPTIONS = { maxRecords: 200000, checkpointInterval: 50000 };
+
+// In bulk, packets on the same link merge into one once the camera is this many network radii away
+const PACKET_LOD_DISTANCE = 2.5;
+
+// Longest real time one frame advances the simulation by; slower frames let it fall behind instead
+const MAX_FRAME_MS = 100;
+
+// ms between rearranging a bulk network in a fixed layout as nodes and links come and go
+const BULK_ARRANGE_INTERVAL = 500;
+
+// Segments of a link's arc over the globe in bulk; GLOBE_ARC_POINTS per link would be too many
+const BULK_ARC_SEGMENTS = 6;
+
+// What a bulk node's color says, as it has no label, ring or cage to show it with
+const SWARM_COLORS = {
+    idle: new BABYLON.Color3(0.2, 0.5, 0.8),
+    mining: new BABYLON.Color3(1, 0.5, 0),
+    syncing: new BABYLON.Color3(0.3, 0.8, 0.3),
+    processing: new BABYLON.Color3(0.8, 0.8, 0.2),
+    discovering: new BABYLON.Color3(0.3, 0.6, 1),
+    attacker: new BABYLON.Color3(1, 0.1, 0.1)
+};
+
+/**
+ * Matrix and color buffers of a mesh's thin instances, grown as needed and
+ * handed to the GPU once a frame. Each instance is a position, a uniform
+ * scale and a color.
+ */
+class ThinInstanceBuffers {
+    /**
+     * @param {BABYLON.Mesh} mesh - Mesh to draw the instances of
+     */
+    constructor(mesh) {
+        this.mesh = mesh;
+        this.matrices = new Float32Array(0);
+        this.colors = new Float32Array(0);
+        this.isResized = false;
+        // A mesh without instances would be drawn once as itself
+        mesh.isVisible = false;
+        // Bounds aren't refreshed as instances move, so never cull the mesh
+        mesh.alwaysSelectAsActiveMesh = true;
+    }
+
+    /**
+     * Write one instance
+     * @param {number} index - Instance index
+     * @param {BABYLON.Vector3} position - Where to draw it
+     * @param {number} scale - Size relative to the mesh
+     * @param {BABYLON.Color3} color - Tint
+     */
+    set(index, position, scale, color) {
+        if (this.colors.length < (index + 1) * 4) {
+            const capacity = Math.max(64, this.colors.length / 2);
+            const matrices = new Float32Array(capacity * 16);
+            const colors = new Float32Array(capacity * 4);
+            matrices.set(this.matrices);
+            colors.set(this.colors);
+            this.matrices = matrices;
+            this.colors = colors;
+            this.isResized = true;
+        }
+
+        // Scaling and translation only; the rest of the matrix stays zero
+        const matrix = index * 16;
+        this.matrices[matrix] = this.matrices[matrix + 5] = this.matrices[matrix + 10] = scale;
+        this.matrices[matrix + 12] = position.x;
+        this.matrices[matrix + 13] = position.y;
+        this.matrices[matrix + 14] = position.z;
+        this.matrices[matrix + 15] = 1;
+        const offset = index * 4;
+        this.colors[offset] = color.r;
+        this.colors[offset + 1] = color.g;
+        this.colors[offset + 2] = color.b;
+        this.colors[offset + 3] = 1;
+    }
+
+    /**
+     * Draw the first instances as last written this frame
+     * @param {number} count - Instances to draw
+     */
+    commit(count) {
+        if (this.isResized) {
+            this.mesh.thinInstanceSetBuffer("matrix", this.matrices, 16, false);
+            this.mesh.thinInstanceSetBuffer("color", this.colors, 4, false);
+            this.isResized = false;
+        } else if (count > 0) {
+            this.mesh.thinInstanceBufferUpdated("matrix");
+            this.mesh.thinInstanceBufferUpdated("color");
+        }
+        this.mesh.thinInstanceCount = count;
+        this.mesh.isVisible = count > 0;
+    }
+}
+
+/**
+ * Every node of a bulk run as thin instances of one sphere: a single draw
+ * call however big the network grows. Instances are packed, so removing a
+ * node moves the last one into its slot.
+ */
+class NodeSwarm {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    constructor(scene) {
+        this.mesh = BABYLON.MeshBuilder.CreateSphere("nodeSwarm", { diameter: 0.5, segments: 4 }, scene);
+        this.mesh.material = new BABYLON.StandardMaterial("nodeSwarmMaterial", scene);
+        // Instance colors tint the whole sphere; a little glow keeps the side away from the light readable
+        this.mesh.material.emissiveColor = new BABYLON.Color3(0.35, 0.35, 0.35);
+        this.mesh.thinInstanceEnablePicking = true;
+        this.buffers = new ThinInstanceBuffers(this.mesh);
+        this.nodes = []; // SwarmNode drawn by each instance
+    }
+
+    add(node) {
+        node.index = this.nodes.length;
+        this.nodes.push(node);
+    }
+
+    remove(node) {
+        const last = this.nodes.pop();
+        if (last !== node) {
+            this.nodes[node.index] = last;
+            last.index = node.index;
+        }
+    }
+
+    /**
+     * Node drawn by the instance a pick hit
+     * @param {BABYLON.PickingInfo|null} pickInfo - Result of a pick
+     * @returns {SwarmNode|undefined}
+     */
+    viewAt(pickInfo) {
+        return pickInfo?.hit && pickInfo.pickedMesh === this.mesh ? this.nodes[pickInfo.thinInstanceIndex] : undefined;
+    }
+
+    /**
+     * Move every instance onto its node, sized and colored by what the node is doing
+     */
+    render() {
+        this.nodes.forEach((node, i) => this.buffers.set(i, node.position, node.scale, node.color));
+        this.buffers.commit(this.nodes.length);
+    }
+
+    dispose() {
+        this.mesh.material.dispose();
+        this.mesh.dispose();
+    }
+}
+
+/**
+ * One node of a NodeSwarm, standing in for a BitcoinNode in bulk runs. It
+ * shows what the node is doing by its color and size alone: labels, sync
+ * rings, mempool bars and attacker cages would cost a mesh each.
+ */
+class SwarmNode {
+    /**
+     * @param {NodeSwarm} swarm - Swarm to draw the node in
+     * @param {BABYLON.Vector3} position - Initial position of the node
+     * @param {string} nodeId - Unique identifier for the node
+     */
+    constructor(swarm, position, nodeId) {
+        this.swarm = swarm;
+        this.nodeId = nodeId;
+        this.position = position;
+        this.scale = 1;
+        this.attributes = {};
+        this.location = null;
+
+        // Activity wins over behavior, then the same tints as BitcoinNode
+        this.activityColor = null;
+        this.isAttacker = false;
+        this.groupColor = null;
+        this.attributeColor = null;
+        swarm.add(this);
+    }
+
+    /**
+     * Color to draw the node in right now
+     * @returns {BABYLON.Color3}
+     */
+    get color() {
+        return this.activityColor
+            ?? (this.isAttacker ? SWARM_COLORS.attacker : null)
+            ?? this.groupColor
+            ?? this.attributeColor
+            ?? SWARM_COLORS.idle;
+    }
+
+    // Heights, roles and mempools only show in the inspector and tooltips in bulk
+    showLabel() {}
+    setChainHeight() {}
+    setCommittedHeight() {}
+    setRole() {}
+    setEclipsed() {}
+    setMiner() {}
+    setMempoolSize() {}
+
+    setBehavior(behavior) {
+        this.isAttacker = behavior !== BEHAVIORS.HONEST;
+    }
+
+    setMining(isMining) {
+        this.activityColor = isMining ? SWARM_COLORS.mining : null;
+        this.scale = isMining ? 1.4 : 1;
+    }
+
+    setGroupColor(color) {
+        this.groupColor = color;
+    }
+
+    setAttributeColor(color) {
+        this.attributeColor = color;
+    }
+
+    showSyncProgress() {
+        this.activityColor = SWARM_COLORS.syncing;
+    }
+
+    setProcessing(isProcessing) {
+        this.activityColor = isProcessing ? SWARM_COLORS.processing : null;
+    }
+
+    setDiscovering(isDiscovering) {
+        this.activityColor = isDiscovering ? SWARM_COLORS.discovering : null;
+    }
+
+    // Thousands of nodes fading out at once would cost more than they show
+    shutdown() {
+        this.dispose();
+    }
+
+    dispose() {
+        this.swarm.remove(this);
+    }
+}
+
+/**
+ * Every link of a bulk run as segments of one line mesh, colored per vertex
+ * by the link's state and rebuilt at most once a frame however many links
+ * changed.
+ */
+class LinkWeb {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.mesh = null;
+        this.links = [];
+        this.isOnGlobe = false;
+        this.isStale = false; // Links came, went or changed state
+        this.isMoved = false; // Nodes moved under them
+        this.positions = new Float32Array(0);
+        this.colors = new Float32Array(0);
+        this.indices = new Uint32Array(0);
+    }
+
+    add(link) {
+        link.index = this.links.length;
+        this.links.push(link);
+        this.isStale = true;
+    }
+
+    remove(link) {
+        const last = this.links.pop();
+        if (last !== link) {
+            this.links[link.index] = last;
+            last.index = link.index;
+        }
+        this.isStale = true;
+    }
+
+    /**
+     * Switch between straight lines and arcs over the globe
+     * @param {boolean} isOnGlobe - Whether to follow the globe's surface
+     */
+    setGlobe(isOnGlobe) {
+        if (isOnGlobe === this.isOnGlobe) return;
+        this.isOnGlobe = isOnGlobe;
+        this.isStale = true;
+        // Nodes may have moved since the arcs were last worked out
+        this.isMoved = true;
+    }
+
+    /**
+     * Redraw the links if any changed or moved since the last frame
+     */
+    render() {
+        if (!this.isStale && !this.isMoved) return;
+        const segments = this.isOnGlobe ? BULK_ARC_SEGMENTS : 1;
+        const vertexCount = this.links.length * segments * 2;
+        const isResized = this.positions.length !== vertexCount * 3;
+        if (isResized) {
+            // Links that keep their place keep their arcs
+            const positions = new Float32Array(vertexCount * 3);
+            positions.set(this.positions.subarray(0, positions.length));
+            this.positions = positions;
+            this.colors = new Float32Array(vertexCount * 4);
+            this.indices = new Uint32Array(vertexCount);
+            this.indices.forEach((_, i) => this.indices[i] = i);
+        }
+
+        this.links.forEach((link, i) => {
+            const start = link.sourceNode.position;
+            const end = link.targetNode.position;
+            if (segments === 1) {
+                const offset = i * 6;
+                this.positions[offset] = start.x;
+                this.positions[offset + 1] = start.y;
+                this.positions[offset + 2] = start.z;
+                this.positions[offset + 3] = end.x;
+                this.positions[offset + 4] = end.y;
+                this.positions[offset + 5] = end.z;
+            } else if (this.isMoved || link.arcIndex !== i) {
+                // Arcs take a while to work out, so they are only redrawn for nodes that moved or links that moved up
+                writeArc(this.positions, i * segments * 6, start, end, segments);
+                link.arcIndex = i;
+            }
+
+            if (this.isStale || isResized) {
+                const { r, g, b } = LINK_STATE_COLORS[link.state];
+                const alpha = link.state === LINK_STATES.ESTABLISHED ? 1 : 0.6;
+                for (let offset = i * segments * 8; offset < (i + 1) * segments * 8; offset += 4) {
+                    this.colors[offset] = r;
+                    this.colors[offset + 1] = g;
+                    this.colors[offset + 2] = b;
+                    this.colors[offset + 3] = alpha;
+                }
+            }
+        });
+
+        if (!this.mesh) {
+            this.mesh = new BABYLON.LinesMesh("linkWeb", this.scene, null, null, false, true, true);
+            this.mesh.isPickable = false;
+            // Bounds aren't refreshed as nodes move, so never cull the web
+            this.mesh.alwaysSelectAsActiveMesh = true;
+        }
+        if (isResized) {
+            const vertexData = new BABYLON.VertexData();
+            vertexData.positions = this.positions;
+            vertexData.colors = this.colors;
+            vertexData.indices = this.indices;
+            vertexData.applyToMesh(this.mesh, true);
+        } else {
+            this.mesh.updateVerticesData(BABYLON.VertexBuffer.PositionKind, this.positions);
+            if (this.isStale) {
+                this.mesh.updateVerticesData(BABYLON.VertexBuffer.ColorKind, this.colors);
+            }
+        }
+        this.mesh.isVisible = vertexCount > 0;
+        this.isStale = false;
+        this.isMoved = false;
+    }
+
+    dispose() {
+        this.mesh?.dispose();
+    }
+}
+
+/**
+ * One link of a LinkWeb, standing in for a ConnectionView in bulk runs.
+ * It has no lines of its own, so it can't be clicked or hovered.
+ */
+class WebLink {
+    /**
+     * @param {LinkWeb} web - Web to draw the link in
+     * @param {SwarmNode} sourceNode - Node that opened the link
+     * @param {SwarmNode} targetNode - Node that accepted it
+     * @param {string} state - One of LINK_STATES
+     * @param {boolean} [isOnGlobe] - Whether to follow the globe's surface rather than run straight
+     */
+    constructor(web, sourceNode, targetNode, state, isOnGlobe = false) {
+        this.web = web;
+        this.sourceNode = sourceNode;
+        this.targetNode = targetNode;
+        this.state = state;
+        this.lines = null;
+        web.setGlobe(isOnGlobe);
+        web.add(this);
+    }
+
+    setGlobe(isOnGlobe) {
+        this.web.setGlobe(isOnGlobe);
+    }
+
+    setState(state) {
+        this.state = state;
+        this.web.isStale = true;
+    }
+
+    update() {
+        this.web.isMoved = true;
+    }
+
+    close() {
+        this.dispose();
+    }
+
+    dispose() {
+        this.web.remove(this);
+    }
+}
+
+/**
+ * Every packet of a bulk run as thin instances of one octahedron. Delivered
+ * packets hand their handle back to the pool for the next one sent, so a
+ * busy network makes no meshes or materials per message. Zoomed out, the
+ * packets on each link merge into one that grows with their number.
+ */
+class PacketSwarm {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    constructor(scene) {
+        this.mesh = BABYLON.MeshBuilder.CreatePolyhedron("packetSwarm", { type: 1, size: 0.6 }, scene);
+        const material = new BABYLON.StandardMaterial("packetSwarmMaterial", scene);
+        // Unlit, so each instance shows its type's color as it is
+        material.emissiveColor = BABYLON.Color3.White();
+        material.disableLighting = true;
+        material.alpha = 0.9;
+        this.mesh.material = material;
+        this.mesh.isPickable = false;
+        addGlow(this.mesh, scene);
+        this.buffers = new ThinInstanceBuffers(this.mesh);
+        this.packets = []; // In flight
+        this.pool = [];    // Delivered, waiting to be sent again
+    }
+
+    /**
+     * Send a packet; same path, size and color as BitcoinNode.sendPacket(), one shape for all types
+     * @param {SwarmNode} sourceNode - The sending node
+     * @param {SwarmNode} targetNode - The receiving node
+     * @param {string} type - Type of packet, a key of PACKET_STYLES
+     * @param {number} bytes - Message size
+     * @param {boolean} isOnGlobe - Whether both nodes sit on the globe
+     * @returns {{mesh: null, update: function(number): void, dispose: function(): void}} Packet handle
+     */
+    send(sourceNode, targetNode, type, bytes, isOnGlobe) {
+        const packet = this.pool.pop() ?? this.createPacket();
+        // Merged packets are measured from the end with the smaller ID, so both ways average along one line
+        const isForward = sourceNode.nodeId < targetNode.nodeId;
+        Object.assign(packet, {
+            sourceNode,
+            targetNode,
+            isOnGlobe,
+            isForward,
+            linkKey: isForward ? `${sourceNode.nodeId}|${targetNode.nodeId}` : `${targetNode.nodeId}|${sourceNode.nodeId}`,
+            color: (PACKET_STYLES[type] ?? PACKET_STYLES.default).color,
+            size: 0.12 + 0.04 * Math.log10(Math.max(bytes, 10)),
+            progress: 0,
+            index: this.packets.length
+        });
+        this.packets.push(packet);
+        return packet;
+    }
+
+    createPacket() {
+        const packet = { mesh: null };
+        packet.update = (progress) => {
+            packet.progress = progress;
+        };
+        packet.dispose = () => {
+            const last = this.packets.pop();
+            if (last !== packet) {
+                this.packets[packet.index] = last;
+                last.index = packet.index;
+            }
+            this.pool.push(packet);
+        };
+        return packet;
+    }
+
+    /**
+     * Draw every packet where its progress puts it
+     * @param {boolean} isMerged - Whether to draw one packet per link instead, at the average progress
+     *     of the link's packets and sized by their number
+     */
+    render(isMerged) {
+        const position = new BABYLON.Vector3();
+        if (!isMerged) {
+            this.packets.forEach((packet, i) => {
+                packetPoint(packet.sourceNode.position, packet.targetNode.position, packet.progress, packet.isOnGlobe, position);
+                this.buffers.set(i, position, packet.size, packet.color);
+            });
+            this.buffers.commit(this.packets.length);
+            return;
+        }
+
+        const links = new Map();
+        this.packets.forEach(({ sourceNode, targetNode, isOnGlobe, isForward, linkKey, color, size, progress }) => {
+            if (!links.has(linkKey)) {
+                const [from, to] = isForward ? [sourceNode, targetNode] : [targetNode, sourceNode];
+                links.set(linkKey, { from, to, isOnGlobe, count: 0, progress: 0, size: 0, color: BABYLON.Color3.Black() });
+            }
+            const link = links.get(linkKey);
+            const clamped = Math.min(Math.max(progress, 0), 1);
+            link.count++;
+            link.progress += isForward ? clamped : 1 - clamped;
+            link.size = Math.max(link.size, size);
+            link.color.addInPlace(color);
+        });
+
+        let i = 0;
+        links.forEach(({ from, to, isOnGlobe, count, progress, size, color }) => {
+            packetPoint(from.position, to.position, progress / count, isOnGlobe, position);
+            this.buffers.set(i++, position, size * Math.cbrt(count), color.scale(1 / count));
+        });
+        this.buffers.commit(links.size);
+    }
+
+    dispose() {
+        this.mesh.material.dispose();
+        this.mesh.dispose();
+    }
+}
+
+// Color and shape of each packet type. Requests and their answers share a
+// shape, with the answer a lighter shade; anything else is a white box.
+const PACKET_STYLES = {
+    version: { color: new BABYLON.Color3(0.3, 0.6, 1), shape: "octahedron" },      // Blue
+    verack: { color: new BABYLON.Color3(0.65, 0.85, 1), shape: "octahedron" },
+    ping: { color: new BABYLON.Color3(0.6, 0.6, 0.6), shape: "sphere" },            // Gray
+    pong: { color: new BABYLON.Color3(0.9, 0.9, 0.9), shape: "sphere" },
+    getaddr: { color: new BABYLON.Color3(0, 0.55, 0.5), shape: "tetrahedron" },    // Teal
+    addr: { color: new BABYLON.Color3(0.3, 0.95, 0.85), shape: "tetrahedron" },
+    inv: { color: new BABYLON.Color3(0.75, 1, 0.3), shape: "disc" },               // Lime
+    getdata: { color: new BABYLON.Color3(0.45, 0.65, 0.1), shape: "disc" },
+    getheaders: { color: new BABYLON.Color3(1, 0.4, 0.1), shape: "cylinder" },     // Orange
+    headers: { color: new BABYLON.Color3(1, 0.7, 0.4), shape: "cylinder" },
+    cmpctblock: { color: new BABYLON.Color3(1, 0.9, 0.5), shape: "icosahedron" },  // Pale gold
+    tx: { color: new BABYLON.Color3(0, 1, 0.3), shape: "box" },                    // Green
+    block: { color: new BABYLON.Color3(1, 0.7, 0), shape: "box" },                 // Gold
+    requestVote: { color: new BABYLON.Color3(1, 0.2, 0.8), shape: "box" },         // Pink
+    vote: { color: new BABYLON.Color3(1, 0.2, 0.8), shape: "box" },
+    appendEntries: { color: new BABYLON.Color3(0, 0.9, 1), shape: "box" },         // Cyan
+    appendResponse: { color: new BABYLON.Color3(0, 0.9, 1), shape: "box" },
+    preprepare: { color: new BABYLON.Color3(1, 1, 1), shape: "box" },              // White
+    prepare: { color: new BABYLON.Color3(0.6, 0.4, 1), shape: "box" },             // Violet
+    commit: { color: new BABYLON.Color3(1, 0.25, 0.25), shape: "box" },            // Red
+    attestation: { color: new BABYLON.Color3(0.75, 0.75, 0.9), shape: "box" },     // Silver
+    invalid: { color: new BABYLON.Color3(0.6, 0, 0), shape: "box" },               // Dark red
+    default: { color: new BABYLON.Color3(1, 1, 1), shape: "box" }
+};
+
+/**
+ * Build the mesh for a packet in its type's shape
+ * @param {string} type - Packet type, a key of PACKET_STYLES
+ * @param {number} size - Rough width of the packet
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @returns {BABYLON.Mesh}
+ */
+function createPacketMesh(type, size, scene) {
+    const { shape } = PACKET_STYLES[type] ?? PACKET_STYLES.default;
+    switch (shape) {
+        case "sphere":
+            return BABYLON.MeshBuilder.CreateSphere("packet", { diameter: size, segments: 8 }, scene);
+        case "tetrahedron":
+            return BABYLON.MeshBuilder.CreatePolyhedron("packet", { type: 0, size: size * 0.5 }, scene);
+        case "octahedron":
+            return BABYLON.MeshBuilder.CreatePolyhedron("packet", { type: 1, size: size * 0.6 }, scene);
+        case "icosahedron":
+            return BABYLON.MeshBuilder.CreatePolyhedron("packet", { type: 3, size: size * 0.6 }, scene);
+        case "disc":
+            return BABYLON.MeshBuilder.CreateCylinder("packet", { diameter: size * 1.2, height: size * 0.3 }, scene);
+        case "cylinder":
+            return BABYLON.MeshBuilder.CreateCylinder("packet", { diameter: size * 0.6, height: size * 1.2 }, scene);
+        default:
+            return BABYLON.MeshBuilder.CreateBox("packet", { size }, scene);
+    }
+}
+
+/**
+ * Make a mesh glow, creating the scene's glow layer the first time
+ * @param {BABYLON.Mesh} mesh - Mesh to glow
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ */
+function addGlow(mesh, scene) {
+    if (!scene.glowLayer) {
+        scene.glowLayer = new BABYLON.GlowLayer("glow", scene);
+        scene.glowLayer.intensity = 0.5;
+    }
+    scene.glowLayer.addIncludedOnlyMesh(mesh);
+}
+
+// Points a link's arc over the globe is drawn with, and how high packets fly over an arc halfway round it
+const GLOBE_ARC_POINTS = 24;
+const GLOBE_PACKET_LIFT = 2;
+
+/**
+ * Point part of the way along the great-circle arc between two nodes on the globe
+ * @param {BABYLON.Vector3} start - Position of one node
+ * @param {BABYLON.Vector3} end - Position of the other
+ * @param {number} t - 0 at the start, 1 at the end
+ * @param {number} [lift] - Height over the surface halfway round the globe; shorter arcs rise less
+ * @returns {BABYLON.Vector3}
+ */
+function arcPoint(start, end, t, lift = 0) {
+    const { x, y, z } = greatCirclePoint(start, end, t, lift);
+    return new BABYLON.Vector3(x, y, z);
+}
+
+// Points the sync progress ring is drawn with, however far round it reaches
+const SYNC_ARC_POINTS = 33;
+
+/**
+ * Flat arc around a node, starting in front of it and sweeping round by the sync progress
+ * @param {number} progress - 0 to 1; a full circle at 1
+ * @returns {BABYLON.Vector3[]} SYNC_ARC_POINTS points, relative to the node
+ */
+function syncArcPath(progress) {
+    // A sliver at the least, as a tube along a path of one point has no shape
+    const sweep = Math.max(Math.min(progress, 1), 0.01) * 2 * Math.PI;
+    return Array.from({ length: SYNC_ARC_POINTS }, (_, i) => {
+        const angle = sweep * i / (SYNC_ARC_POINTS - 1);
+        return new BABYLON.Vector3(0.35 * Math.sin(angle), 0, -0.35 * Math.cos(angle));
+    });
+}
+
+// Packets speed up out of their source and slow down into their target
+const PACKET_EASING = new BABYLON.QuadraticEase();
+PACKET_EASING.setEasingMode(BABYLON.EasingFunction.EASINGMODE_EASEINOUT);
+
+/**
+ * Where a packet is part of the way along its path: a low curve between the
+ * nodes, or the great-circle arc between them on the globe
+ * @param {BABYLON.Vector3} start - Position of the sending node
+ * @param {BABYLON.Vector3} end - Position of the receiving node
+ * @param {number} progress - 0 when sent, 1 when delivered; clamped to that range
+ * @param {boolean} isOnGlobe - Whether both nodes sit on the globe
+ * @param {BABYLON.Vector3} [result] - Vector to write the point to, saving a new one per packet and frame
+ * @returns {BABYLON.Vector3} result
+ */
+function packetPoint(start, end, progress, isOnGlobe, result = new BABYLON.Vector3()) {
+    const t = PACKET_EASING.ease(Math.min(Math.max(progress, 0), 1));
+    if (isOnGlobe) {
+        const { x, y, z } = greatCirclePoint(start, end, t, GLOBE_PACKET_LIFT);
+        return result.set(x, y, z);
+    }
+
+    // Straight across, rising 0.5 towards the middle
+    return result.set(
+        start.x + (end.x - start.x) * t,
+        start.y + (end.y - start.y) * t + Math.min(t, 1 - t),
+        start.z + (end.z - start.z) * t
+    );
+}
+
+/**
+ * Write a link's arc over the globe as pairs of ends of its segments. Each
+ * point is the straight blend of the ends pushed back out to the sphere,
+ * which lies on the same great circle as greatCirclePoint()'s and takes a
+ * fraction of the time; the uneven spacing doesn't show.
+ * @param {Float32Array} vertices - Buffer to write x, y, z of each vertex to
+ * @param {number} offset - Index of the first value to write
+ * @param {BABYLON.Vector3} start - Position of one node
+ * @param {BABYLON.Vector3} end - Position of the other
+ * @param {number} segments - Straight pieces to draw the arc with
+ */
+function writeArc(vertices, offset, start, end, segments) {
+    const startRadius = start.length() || 1;
+    const endRadius = end.length() || 1;
+    let x = start.x;
+    let y = start.y;
+    let z = start.z;
+    for (let k = 1; k <= segments; k++) {
+        vertices[offset++] = x;
+        vertices[offset++] = y;
+        vertices[offset++] = z;
+        if (k === segments) {
+            ({ x, y, z } = end);
+        } else {
+            const t = k / segments;
+            x = start.x / startRadius * (1 - t) + end.x / endRadius * t;
+            y = start.y / startRadius * (1 - t) + end.y / endRadius * t;
+            z = start.z / startRadius * (1 - t) + end.z / endRadius * t;
+            const scale = (startRadius + (endRadius - startRadius) * t) / (Math.sqrt(x * x + y * y + z * z) || 1);
+            x *= scale;
+            y *= scale;
+            z *= scale;
+        }
+        vertices[offset++] = x;
+        vertices[offset++] = y;
+        vertices[offset++] = z;
+    }
+}
+
+/**
+ * Byte count in the largest unit that keeps it above 1
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1000000) return `${(bytes / 1000000).toFixed(1)} MB`;
+    if (bytes >= 1000) return `${(bytes / 1000).toFixed(1)} kB`;
+    return `${bytes} B`;
+}
+
+// Block heights for sparklines, lowest to highest
+const SPARK_LEVELS = "▁▂▃▄▅▆▇█";
+
+/**
+ * Chart values as a row of block characters, scaled between their lowest and highest
+ * @param {(number|null)[]} values - Values, oldest first; null leaves a gap
+ * @returns {string}
+ */
+function sparkline(values) {
+    const present = values.filter(value => value !== null);
+    const low = Math.min(...present);
+    const high = Math.max(...present);
+    return values.map(value => {
+        if (value === null) return " ";
+        const level = high === low ? 0 : Math.round((value - low) / (high - low) * (SPARK_LEVELS.length - 1));
+        return SPARK_LEVELS[level];
+    }).join("");
+}
+
+/**
+ * One "Label: value" line per imported attribute, the well-known ones first
+ * @param {Object} attributes - Attributes of a node
+ * @returns {string[]}
+ */
+function describeAttributes(attributes) {
+    const known = Object.keys(PEER_ATTRIBUTE_LABELS).filter(key => key in attributes);
+    const others = Object.keys(attributes).filter(key => !(key in PEER_ATTRIBUTE_LABELS));
+    return [...known, ...others].map(key => `${PEER_ATTRIBUTE_LABELS[key] ?? key}: ${attributes[key]}`);
+}
+
+/**
+ * Latitude and longitude as "52.4°N 4.9°E"
+ * @param {{lat: number, lon: number}} location - Degrees
+ * @returns {string}
+ */
+function formatLocation({ lat, lon }) {
+    return `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? "N" : "S"} ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? "E" : "W"}`;
+}
+
+// Line color for each link state
+const LINK_STATE_COLORS = {
+    [LINK_STATES.CONNECTING]: new BABYLON.Color3(0.25, 0.35, 0.6),
+    [LINK_STATES.HANDSHAKE]: new BABYLON.Color3(0.85, 0.7, 0.2),
+    [LINK_STATES.ESTABLISHED]: new BABYLON.Color3(0.3, 0.3, 0.3),
+    [LINK_STATES.CLOSING]: new BABYLON.Color3(0.9, 0.3, 0.2)
+};
+
+const COLORS = {
+    LIGHT: {
+        background: new BABYLON.Color3(0.95, 0.95, 0.95),
+        node: new BABYLON.Color3(0.2, 0.5, 0.8),
+        connection: new BABYLON.Color3(0.6, 0.6, 0.6),
+        text: "black",
+        panel: "rgba(255, 255, 255, 0.8)",
+        button: "#e0e0e0",
+        ocean: new BABYLON.Color3(0.72, 0.83, 0.93),
+        coast: new BABYLON.Color3(0.3, 0.45, 0.3)
+    },
+    DARK: {
+        background: new BABYLON.Color3(0.05, 0.05, 0.05),
+        node: new BABYLON.Color3(0.2, 0.5, 0.8),
+        connection: new BABYLON.Color3(0.3, 0.3, 0.3),
+        text: "white",
+        panel: "rgba(0, 0, 0, 0.7)",
+        button: "#454545",
+        ocean: new BABYLON.Color3(0.04, 0.1, 0.2),
+        coast: new BABYLON.Color3(0.35, 0.65, 0.45)
+    }
+};
+
+// Node tint for each side of a netsplit, and the color of the links it cut
+const PARTITION_COLORS = {
+    groups: [
+        new BABYLON.Color3(1, 0.42, 0.42),
+        new BABYLON.Color3(0.3, 0.67, 0.97),
+        new BABYLON.Color3(0.41, 0.86, 0.49),
+        new BABYLON.Color3(1, 0.83, 0.23)
+    ],
+    severed: new BABYLON.Color3(0.9, 0.2, 0.2)
+};
+
+// What imported nodes can be colored by; nodes without the attribute keep the default color
+const NODE_COLORINGS = {
+    none: {
+        icon: "🎨",
+        title: "Default",
+        attribute: null,
+        description: "Every node in the same blue, tinted only by a netsplit."
+    },
+    direction: {
+        icon: "↔️",
+        title: "Direction",
+        attribute: "direction",
+        description: "Whether the node whose getpeerinfo was imported opened the connection (outbound) or accepted it (inbound)."
+    },
+    network: {
+        icon: "🌐",
+        title: "Network",
+        attribute: "network",
+        description: "How the node is reached: IPv4, IPv6, Tor onion, I2P or CJDNS."
+    },
+    client: {
+        icon: "🏷️",
+        title: "Client",
+        attribute: "client",
+        description: "The user agent the node announces, e.g. /Satoshi:27.0.0/."
+    }
+};
+
+// Colors handed to attribute values, most common value first; the last is shared by all the rest
+const ATTRIBUTE_PALETTE = ["#4fc3f7", "#ffb74d", "#81c784", "#ba68c8", "#e57373", "#fff176", "#4db6ac", "#9e9e9e"];
+
+// Update these constants near the top with other constants
+const PHASE_INFO = {
+    [PHASES.DISCOVERY]: {
+        icon: "🔍",
+        title: "Peer Discovery",
+        description: "Nodes open connections to new peers, shake hands with version and verack, and ask them for more addresses with getaddr."
+    },
+    [PHASES.SYNCING]: {
+        icon: "🔄",
+        title: "State Synchronization",
+        description: "Nodes ask peers for missing headers with getheaders, fetch the blocks with getdata, resolve forks and follow the chain with the most work."
+    },
+    [PHASES.PROCESSING]: {
+        icon: "⚡",
+        title: "Distributed Processing",
+        description: "Nodes announce new transactions with inv, peers request them with getdata, and each validates the tx before passing it on."
+    },
+    [PHASES.NETWORK_CHANGES]: {
+        icon: "🌐",
+        title: "Network Evolution",
+        description: "The network adapts as nodes dynamically join or leave the system."
+    },
+    [RAFT_PHASES.ELECTION]: {
+        icon: "🗳️",
+        title: "Leader Election",
+        description: "The leader crashes. A follower whose election timeout runs out starts a new term and asks for votes; a majority makes it leader."
+    },
+    [RAFT_PHASES.REPLICATION]: {
+        icon: "📜",
+        title: "Log Replication",
+        description: "The leader appends commands to its log and sends them to followers; an entry commits once a majority stores it."
+    },
+    [PBFT_PHASES.PRE_PREPARE]: {
+        icon: "📨",
+        title: "Pre-prepare",
+        description: "The primary gives a request a sequence number and sends it to every replica. A silent primary triggers a view change."
+    },
+    [PBFT_PHASES.PREPARE]: {
+        icon: "🤝",
+        title: "Prepare",
+        description: "Replicas broadcast that they accept the order; with 2f matching prepares out of 3f+1 replicas a replica is prepared."
+    },
+    [PBFT_PHASES.COMMIT]: {
+        icon: "✅",
+        title: "Commit",
+        description: "Prepared replicas broadcast commits; 2f+1 matching commits let a replica execute the request, even with f faulty replicas."
+    },
+    [POS_PHASES.PROPOSAL]: {
+        icon: "📦",
+        title: "Block Proposal",
+        description: "A validator, picked with odds proportional to its stake, proposes the slot's block on top of its chain."
+    },
+    [POS_PHASES.ATTESTATION]: {
+        icon: "🪙",
+        title: "Attestation",
+        description: "Validators vote for the proposed block; once two thirds of all stake has attested, the block is final."
+    }
+};
+
+// Ready-made phase sequences, built from the phases the run started with
+const PHASE_SEQUENCES = {
+    scenario: {
+        icon: "📋",
+        title: "Scenario",
+        description: "The sequence the run started with, from its scenario file or its protocol.",
+        build: phases => phases
+    },
+    discovery: {
+        icon: "🔍",
+        title: "Discovery only",
+        description: "Nodes keep finding and connecting to peers, and nothing else happens.",
+        build: () => [{ phase: PHASES.DISCOVERY, duration: PHASE_DURATIONS[PHASES.DISCOVERY] }]
+    },
+    withChurn: {
+        icon: "🌐",
+        title: "With churn",
+        description: "Every phase but churn, each with nodes joining and leaving at the same time.",
+        build: phases => phases
+            .filter(entry => entry.phase !== PHASES.NETWORK_CHANGES)
+            .map(entry => ({ ...entry, with: [PHASES.NETWORK_CHANGES] }))
+    }
+};
+
+// Guide entries and button labels for the layouts, keyed by LAYOUTS values
+const LAYOUT_INFO = {
+    [LAYOUTS.FORCE]: {
+        icon: "🧲",
+        title: "Force-directed",
+        description: "Links pull their nodes together while all nodes push each other apart; the graph keeps settling as peers come and go."
+    },
+    [LAYOUTS.CIRCULAR]: {
+        icon: "⭕",
+        title: "Circular",
+        description: "Nodes spaced evenly around a flat circle, in the order they joined."
+    },
+    [LAYOUTS.SPHERICAL]: {
+        icon: "🌐",
+        title: "Spherical",
+        description: "Nodes spread evenly over a sphere, so none hide behind each other."
+    },
+    [LAYOUTS.HIERARCHICAL]: {
+        icon: "🌳",
+        title: "Hierarchy",
+        description: "Click a node to put it on top; every other node sits one level lower per hop away from it, unreachable ones at the bottom."
+    },
+    [LAYOUTS.GLOBE]: {
+        icon: "🌍",
+        title: "Globe",
+        description: "Turn on with the 🌍 button: every node sits where it is on Earth, and links and packets follow great circles. A link's latency grows with its length, so packets to far regions arrive late."
+    }
+};
+
+// Guide entries for the topology generators, keyed like TOPOLOGIES
+const TOPOLOGY_INFO = {
+    random: {
+        icon: "🎲",
+        description: "Erdős–Rényi: every pair of nodes is linked with the same chance, so degrees cluster around the average and paths are short."
+    },
+    small_world: {
+        icon: "🔗",
+        description: "Watts–Strogatz: a ring where each node links to its nearest neighbors, with some links rewired to random nodes as shortcuts."
+    },
+    scale_free: {
+        icon: "⭐",
+        description: "Barabási–Albert: nodes join one by one and prefer well-connected peers, growing a few hubs and many leaves."
+    },
+    ring: {
+        icon: "⭕",
+        description: "Each node links only to its two neighbors around the circle; messages take the long way round."
+    },
+    grid: {
+        icon: "🔳",
+        description: "Nodes fill a lattice in the order they joined and link to the cells beside, above and below them."
+    },
+    bitcoin: {
+        icon: "₿",
+        description: "Each node opens a fixed number of outbound connections to random peers, up to a cap on all connections, as Bitcoin Core does."
+    }
+};
+
+// Guide entries for edit mode, in the order a presenter reaches for them
+const EDIT_INFO = [
+    {
+        icon: "➕",
+        title: "Add a Node",
+        description: "Click empty space to spawn a node there, or a spot on the globe to put it in that place. It finds peers in the next discovery phase, or link it yourself."
+    },
+    {
+        icon: "✋",
+        title: "Move",
+        description: "Drag a node to pin it where you drop it; the layout works around it. Switching layouts lets go of pinned nodes. On the globe, the node moves to that place on Earth, and the links it opens from there get its latency."
+    },
+    {
+        icon: "🔗",
+        title: "Link",
+        description: "Shift-drag from one node to another to open a connection between them."
+    },
+    {
+        icon: "🗑️",
+        title: "Delete",
+        description: "Click a node or a line to select it, then press Delete. A deleted node fades out like one shutting down."
+    },
+    {
+        icon: "💸",
+        title: "Inject",
+        description: "Select a node and press T for a transaction or B for a block, then watch it spread. Injections can't be undone."
+    },
+    {
+        icon: "↩️",
+        title: "Undo and Redo",
+        description: "Ctrl+Z and Ctrl+Y step through the edits above. A deleted node comes back with its old links and catches up from its peers."
+    }
+];
+
+// What each kind of attacker does, with the icon its label shows
+const BEHAVIOR_INFO = {
+    [BEHAVIORS.DROP_RELAY]: {
+        icon: "🚫",
+        title: "Relay Dropper",
+        description: "Accepts blocks and transactions but never passes them on, and ignores block requests, slowing propagation around it."
+    },
+    [BEHAVIORS.INVALID]: {
+        icon: "☣️",
+        title: "Invalid Data",
+        description: "Sends blocks and transactions that break the rules. Honest peers reject them and ban the sender, cutting the link for good."
+    },
+    [BEHAVIORS.DOUBLE_SPEND]: {
+        icon: "💸",
+        title: "Double-Spender",
+        description: "Pays one peer, and at the same moment sends everyone else a higher-fee transaction spending the same coins. If that one is mined, the payment is reversed."
+    },
+    [BEHAVIORS.SYBIL]: {
+        icon: "👥",
+        title: "Sybil Identity",
+        description: "One of a cluster of fake identities run by one attacker. They soak up honest nodes' connections and withhold everything."
+    },
+    [BEHAVIORS.ECLIPSE]: {
+        icon: "🌑",
+        title: "Eclipse Attacker",
+        description: "Surrounds a victim (🎯), takes all of its peer slots and feeds it nothing, so the victim falls behind the rest of the network."
+    }
+};
+
+// Label icon for each consensus role worth pointing out
+const ROLE_ICONS = {
+    [RAFT_ROLES.LEADER]: "👑",
+    [RAFT_ROLES.CANDIDATE]: "🗳️",
+    [PBFT_ROLES.PRIMARY]: "👑",
+    [POS_ROLES.PROPOSER]: "📦"
+};
+
+// Add these constants near the top with other constants
+const ELEMENT_INFO = {
+    NODE: {
+        icon: "⚫",
+        title: "Inactive Node",
+        description: "A node in its default state, ready to participate in the network. Click it to inspect its peers, traffic and protocol state; hover it to see what an imported snapshot says about it."
+    },
+    ACTIVE_NODE: {
+        icon: "🟡",
+        title: "Processing Node",
+        description: "A node that is actively processing transactions."
+    },
+    SYNC_RING: {
+        icon: "��",
+        title: "Syncing Node",
+        description: "A node downloading the blocks it is missing from a peer (green glow); the ring fills as it nears the best height it has heard of."
+    },
+    CHAIN_HEIGHT: {
+        icon: "#️⃣",
+        title: "Chain Height",
+        description: "Label above each node with the height of its best chain. Nodes briefly disagree on forks and switch to the chain with the most work."
+    },
+    MINER: {
+        icon: "⛏️",
+        title: "Miner",
+        description: "A node with hashpower (pick in its label). Blocks are found at random, on average once per target interval, with odds proportional to hashpower; the finder flashes orange and its block spreads from there."
+    },
+    MEMPOOL_BAR: {
+        icon: "📶",
+        title: "Mempool",
+        description: "Green bar beside a node: transactions it holds that no block has confirmed yet. It drains when a block containing them arrives."
+    },
+    CONNECTION: {
+        icon: "➖",
+        title: "Connection",
+        description: "Network connection between two nodes (gray line) with its own latency and bandwidth; packets queue when it is busy. Hover a line or a packet for details; click a line to close that connection."
+    },
+    CONNECTION_OPENING: {
+        icon: "🟦",
+        title: "Opening Connection",
+        description: "Blue while the TCP connection opens, then amber while the peers exchange version and verack. Messages sent meanwhile wait for the handshake."
+    },
+    CONNECTION_CLOSING: {
+        icon: "🟥",
+        title: "Closing Connection",
+        description: "Red while the connection shuts down: it takes no new messages, and fades out once those on the wire have arrived."
+    },
+    ROLE: {
+        icon: "👑",
+        title: "Consensus Role",
+        description: "Label icon for the node's role under Raft, PBFT or proof of stake: the leader or primary (crown), a Raft candidate (ballot box) or the slot's proposer (package)."
+    },
+    COMMITTED: {
+        icon: "✔️",
+        title: "Committed",
+        description: "Label count of log entries or blocks the node's consensus protocol has made final; nodes that fall behind catch up from the leader or from attestations."
+    },
+    ATTACKER: {
+        icon: "🟥",
+        title: "Attacker",
+        description: "Red wireframe cage around a misbehaving node; its label shows what it does (see Byzantine Behaviors)."
+    },
+    PARTITION: {
+        icon: "✂️",
+        title: "Netsplit",
+        description: "Each side of a partition is tinted its own color and the cut links are dashed red. The sides diverge until the split heals."
+    },
+    BULK: {
+        icon: "🐝",
+        title: "Large Networks",
+        description: `Runs that may grow past ${BULK_NODE_THRESHOLD} nodes are drawn in bulk: nodes show what they do by color alone (red for attackers, orange while mining) and only nodes answer hovers and clicks. Zoomed out, the packets on each link merge into one that grows with their number.`
+    },
+    PACKETS: {
+        HANDSHAKE: {
+            icon: "🔷",
+            title: "version / verack",
+            description: "Blue octahedra opening every connection: the connecting node sends version, the peer answers with its own version and a verack, and the connecting node's verack completes the handshake."
+        },
+        PING: {
+            icon: "⚪",
+            title: "ping / pong",
+            description: "Gray spheres the node that opened a connection sends now and then; the pong echoing a ping measures the round-trip time."
+        },
+        ADDR: {
+            icon: "🔺",
+            title: "getaddr / addr",
+            description: "Teal tetrahedra: once connected, a node asks its new outbound peer for addresses, and the addr reply lists nodes it can connect to next."
+        },
+        INV: {
+            icon: "🟢",
+            title: "inv / getdata",
+            description: "Lime discs: every couple of seconds a node announces the transactions it got since by ID in one inv; peers that don't have them yet answer with getdata to request them."
+        },
+        HEADERS: {
+            icon: "🟠",
+            title: "getheaders / headers",
+            description: "Orange cylinders: a node that is behind sends its block locator, and the peer answers with the headers that follow; the node then fetches those blocks with getdata. A single header also announces a new block."
+        },
+        CMPCTBLOCK: {
+            icon: "💠",
+            title: "cmpctblock",
+            description: "Pale gold icosahedron: a new block sent straight to a few peers as short transaction IDs. The receiver rebuilds it from its mempool, or requests the full block if any transaction is missing."
+        },
+        TRANSACTION: {
+            icon: "🟩",
+            title: "tx",
+            description: "Green box carrying a transaction with its fee and size, sent in answer to getdata. Nodes admit it to their mempool and announce it on, unless it double-spends an input they've already seen spent."
+        },
+        BLOCK: {
+            icon: "🟨",
+            title: "block",
+            description: "Gold box carrying a full block, sent in answer to getdata; it grows with the block's size."
+        },
+        VOTE: {
+            icon: "🩷",
+            title: "Raft Vote",
+            description: "Pink packets: a candidate's vote request for its term, and the answers granting or refusing the vote."
+        },
+        APPEND_ENTRIES: {
+            icon: "🩵",
+            title: "Raft Append Entries",
+            description: "Cyan packets: the leader's heartbeat with any log entries a follower is missing, and the follower's reply."
+        },
+        PBFT: {
+            icon: "⬜",
+            title: "PBFT Messages",
+            description: "White pre-prepare from the primary, violet prepares and red commits broadcast by every replica."
+        },
+        ATTESTATION: {
+            icon: "🩶",
+            title: "Attestation",
+            description: "Silver packet carrying a validator's vote for the block proposed this slot."
+        },
+        INVALID: {
+            icon: "🟥",
+            title: "Invalid Packet",
+            description: "Dark red packet: a block or transaction that breaks the rules. The receiver drops it and bans the sender."
+        }
+    }
+};
+
+/**
+ * Creates the Bitcoin network simulation scene and renders the simulation model
+ */
+function createScene() {
+    // Create the Babylon.js engine
+    const canvas = document.getElementById("renderCanvas");
+    const engine = new BABYLON.Engine(canvas, true);
+
+    // Create the scene
+    const scene = new BABYLON.Scene(engine);
+    scene.clearColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+
+    // Create the camera
+    const camera = new BABYLON.ArcRotateCamera(
+        "camera",
+        0,
+        Math.PI / 3,
+        20,
+        BABYLON.Vector3.Zero(),
+        scene
+    );
+    camera.attachControl(canvas, true);
+
+    // Create the light
+    const light = new BABYLON.HemisphericLight(
+        "light",
+        new BABYLON.Vector3(0, 1, 0),
+        scene
+    );
+
+    // Headless network model; this scene is only a view of it.
+    // ?seed= replays an earlier run exactly, ?scenario= loads a scenario file by URL.
+    const urlParams = new URLSearchParams(window.location.search);
+    let simulation = null;
+
+    // View state
+    const viewState = {
+        isDarkMode: true,
+        coloring: "none" // A key of NODE_COLORINGS
+    };
+
+    // Create GUI
+    const advancedTexture = BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI("UI");
+
+    // Create control panel container
+    const panel = new BABYLON.GUI.StackPanel();
+    panel.width = "325px";
+    panel.height = "205px";
+    panel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    panel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    panel.background = "rgba(0, 0, 0, 0.7)";
+    panel.paddingBottom = "10px";
+    panel.paddingLeft = "10px";
+    advancedTexture.addControl(panel);
+
+    // Control buttons
+    const buttonPanel = new BABYLON.GUI.StackPanel();
+    buttonPanel.isVertical = false;
+    buttonPanel.height = "40px";
+    buttonPanel.spacing = 10; // Add spacing between buttons
+    panel.addControl(buttonPanel);
+
+    // Reset button with improved styling
+    const resetBtn = BABYLON.GUI.Button.CreateSimpleButton("reset", "↺ Reset");
+    resetBtn.width = "95px";
+    resetBtn.height = "35px";
+    resetBtn.color = "white";
+    resetBtn.fontSize = "16px";
+    resetBtn.background = "#454545";
+    resetBtn.cornerRadius = 8;
+    resetBtn.hoverCursor = "pointer";
+
+    // Add hover effect
+    resetBtn.onPointerEnterObservable.add(() => {
+        resetBtn.background = "#666666";
+    });
+    resetBtn.onPointerOutObservable.add(() => {
+        resetBtn.background = "#454545";
+    });
+
+    resetBtn.onPointerClickObservable.add(() => {
+        // Start over with a fresh seed
+        const url = new URL(window.location.href);
+        url.searchParams.delete("seed");
+        window.location.href = url.toString();
+    });
+    buttonPanel.addControl(resetBtn);
+
+    // Play/Pause button with improved styling
+    const playPauseBtn = BABYLON.GUI.Button.CreateSimpleButton("playPause", "⏸️ Pause");
+    playPauseBtn.width = "95px";
+    playPauseBtn.height = "35px";
+    playPauseBtn.color = "white";
+    playPauseBtn.fontSize = "16px";
+    playPauseBtn.background = "#454545";
+    playPauseBtn.cornerRadius = 8;
+    playPauseBtn.hoverCursor = "pointer";
+
+    // Add hover effect
+    playPauseBtn.onPointerEnterObservable.add(() => {
+        playPauseBtn.background = "#666666";
+    });
+    playPauseBtn.onPointerOutObservable.add(() => {
+        playPauseBtn.background = "#454545";
+    });
+
+    playPauseBtn.onPointerClickObservable.add(() => {
+        goLive();
+        simulation.setRunning(!simulation.state.isRunning);
+        playPauseBtn.textBlock.text = simulation.state.isRunning ? "⏸️ Pause" : "▶️ Play";
+    });
+    buttonPanel.addControl(playPauseBtn);
+
+    // Step button: pauses and advances the simulation by a single step
+    const stepBtn = BABYLON.GUI.Button.CreateSimpleButton("step", "⏭️ Step");
+    stepBtn.width = "95px";
+    stepBtn.height = "35px";
+    stepBtn.color = "white";
+    stepBtn.fontSize = "16px";
+    stepBtn.background = "#454545";
+    stepBtn.cornerRadius = 8;
+    stepBtn.hoverCursor = "pointer";
+
+    // Add hover effect
+    stepBtn.onPointerEnterObservable.add(() => {
+        stepBtn.background = "#666666";
+    });
+    stepBtn.onPointerOutObservable.add(() => {
+        stepBtn.background = "#454545";
+    });
+
+    stepBtn.onPointerClickObservable.add(() => {
+        goLive();
+        simulation.setRunning(false);
+        playPauseBtn.textBlock.text = "▶️ Play";
+        simulation.step();
+    });
+    buttonPanel.addControl(stepBtn);
+
+    // Speed slider, in powers of two around real time
+    const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+    const speedPanel = new BABYLON.GUI.StackPanel();
+    speedPanel.isVertical = false;
+    speedPanel.height = "30px";
+    panel.addControl(speedPanel);
+
+    const speedText = new BABYLON.GUI.TextBlock("speedText", "Speed 1x");
+    speedText.width = "95px";
+    speedText.color = "white";
+    speedText.fontSize = "14px";
+    speedPanel.addControl(speedText);
+
+    const speedSlider = new BABYLON.GUI.Slider("speed");
+    speedSlider.minimum = 0;
+    speedSlider.maximum = SPEEDS.length - 1;
+    speedSlider.step = 1;
+    speedSlider.value = SPEEDS.indexOf(1);
+    speedSlider.width = "200px";
+    speedSlider.height = "20px";
+    speedSlider.color = "#0066cc";
+    speedSlider.background = "#454545";
+    speedSlider.onValueChangedObservable.add((value) => {
+        const speed = SPEEDS[Math.round(value)];
+        simulation.setSpeed(speed);
+        speedText.text = `Speed ${speed}x`;
+    });
+    speedPanel.addControl(speedSlider);
+
+    // Run panel: seed and scenario of the current run
+    const runPanel = new BABYLON.GUI.StackPanel();
+    runPanel.isVertical = false;
+    runPanel.height = "30px";
+    panel.addControl(runPanel);
+
+    // Seed button: restarts the run with the same seed and scenario
+    const seedBtn = BABYLON.GUI.Button.CreateSimpleButton("seed", "🎲 Seed");
+    seedBtn.width = "160px";
+    seedBtn.height = "30px";
+    seedBtn.color = "white";
+    seedBtn.fontSize = "14px";
+    seedBtn.thickness = 0;
+    seedBtn.hoverCursor = "pointer";
+
+    seedBtn.onPointerClickObservable.add(() => {
+        startSimulation(simulation.scenario, simulation.seed);
+    });
+    runPanel.addControl(seedBtn);
+
+    // Scenario button: loads a scenario file from disk
+    const scenarioBtn = BABYLON.GUI.Button.CreateSimpleButton("scenario", "📄 Scenario");
+    scenarioBtn.width = "160px";
+    scenarioBtn.height = "30px";
+    scenarioBtn.color = "white";
+    scenarioBtn.fontSize = "14px";
+    scenarioBtn.thickness = 0;
+    scenarioBtn.hoverCursor = "pointer";
+
+    scenarioBtn.onPointerClickObservable.add(() => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = "application/json,.json";
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                startSimulation(parseScenario(await file.text()));
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+
+            // The run no longer comes from the ?scenario= URL
+            const url = new URL(window.location.href);
+            url.searchParams.delete("scenario");
+            window.history.replaceState(null, "", url.toString());
+        };
+        input.click();
+    });
+    runPanel.addControl(scenarioBtn);
+
+    // Network panel: split the network in two, then heal it
+    const networkPanel = new BABYLON.GUI.StackPanel();
+    networkPanel.isVertical = false;
+    networkPanel.height = "30px";
+    panel.addControl(networkPanel);
+
+    const partitionBtn = BABYLON.GUI.Button.CreateSimpleButton("partition", "✂️ Netsplit");
+    partitionBtn.width = "160px";
+    partitionBtn.height = "30px";
+    partitionBtn.color = "white";
+    partitionBtn.fontSize = "14px";
+    partitionBtn.thickness = 0;
+    partitionBtn.hoverCursor = "pointer";
+
+    partitionBtn.onPointerClickObservable.add(() => {
+        goLive();
+        if (simulation.partitionState) {
+            simulation.healPartition();
+        } else {
+            simulation.partition(2);
+        }
+    });
+    networkPanel.addControl(partitionBtn);
+
+    // Protocol button: restarts with the next consensus protocol
+    const protocolBtn = BABYLON.GUI.Button.CreateSimpleButton("protocol", "⚙️ Bitcoin");
+    protocolBtn.width = "160px";
+    protocolBtn.height = "30px";
+    protocolBtn.color = "white";
+    protocolBtn.fontSize = "14px";
+    protocolBtn.thickness = 0;
+    protocolBtn.hoverCursor = "pointer";
+
+    protocolBtn.onPointerClickObservable.add(() => {
+        const names = Object.keys(PROTOCOLS);
+        const next = names[(names.indexOf(simulation.scenario.protocol) + 1) % names.length];
+        startSimulation(parseScenario({ protocol: next }));
+    });
+    networkPanel.addControl(protocolBtn);
+
+    // Attack panel: corrupt an honest node, launch a Sybil cluster, eclipse a node
+    const attackPanel = new BABYLON.GUI.StackPanel();
+    attackPanel.isVertical = false;
+    attackPanel.height = "30px";
+    panel.addControl(attackPanel);
+
+    // Each click of Corrupt turns a node into the next of these
+    const CORRUPTIONS = [BEHAVIORS.DROP_RELAY, BEHAVIORS.INVALID, BEHAVIORS.DOUBLE_SPEND];
+    let corruptionCount = 0;
+
+    const createAttackButton = (name, text, onClick) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "106px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "14px";
+        button.thickness = 0;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(() => {
+            goLive();
+            onClick();
+        });
+        attackPanel.addControl(button);
+        return button;
+    };
+    const attackButtons = [
+        createAttackButton("corrupt", "😈 Corrupt", () => {
+            simulation.corrupt(CORRUPTIONS[corruptionCount++ % CORRUPTIONS.length]);
+        }),
+        createAttackButton("sybil", "👥 Sybil", () => simulation.launchSybil()),
+        createAttackButton("eclipse", "🌑 Eclipse", () => simulation.eclipse())
+    ];
+
+    // Layout panel: how the nodes are arranged, and whether they live on a globe
+    const layoutPanel = new BABYLON.GUI.StackPanel();
+    layoutPanel.isVertical = false;
+    layoutPanel.height = "30px";
+    panel.addControl(layoutPanel);
+
+    // Layout button: cycles how the nodes are arranged; click a node to root the hierarchy there
+    const layoutBtn = BABYLON.GUI.Button.CreateSimpleButton("layout", "🧲 Force-directed");
+    layoutBtn.width = "210px";
+    layoutBtn.height = "30px";
+    layoutBtn.color = "white";
+    layoutBtn.fontSize = "14px";
+    layoutBtn.thickness = 0;
+    layoutBtn.hoverCursor = "pointer";
+
+    layoutBtn.onPointerClickObservable.add(() => {
+        // The globe needs nodes with a location
+        const layouts = Object.values(LAYOUTS).filter(layout => layout !== LAYOUTS.GLOBE || simulation.scenario.geography.enabled);
+        setLayout(layouts[(layouts.indexOf(layoutState.layout) + 1) % layouts.length]);
+    });
+    layoutPanel.addControl(layoutBtn);
+
+    // Globe button: restarts the run with nodes placed on Earth, or back on the plain layouts
+    const globeBtn = BABYLON.GUI.Button.CreateSimpleButton("globe", "🌍 Globe");
+    globeBtn.width = "90px";
+    globeBtn.height = "30px";
+    globeBtn.color = "white";
+    globeBtn.fontSize = "14px";
+    globeBtn.thickness = 0;
+    globeBtn.hoverCursor = "pointer";
+
+    globeBtn.onPointerClickObservable.add(() => {
+        const geography = { ...simulation.scenario.geography, enabled: !simulation.scenario.geography.enabled };
+        startSimulation({ ...simulation.scenario, geography }, simulation.seed);
+    });
+    layoutPanel.addControl(globeBtn);
+
+    const title = "Dynamic Distributed Network Simulation";
+
+    // Create 3D title text
+    const titleText = new BABYLON.GUI.TextBlock();
+    titleText.text = title;
+    titleText.color = "white";
+    titleText.fontSize = "32px"; // Larger font size
+    titleText.height = "160px";
+    titleText.top = "20px";
+    titleText.paddingLeft = "20px";
+    titleText.paddingRight = "20px";
+    titleText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
+    titleText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    titleText.textWrapping = true;
+    titleText.fontFamily = "Arial Black"; // Bolder font
+    titleText.outlineWidth = 4;
+    titleText.outlineColor = "#0066cc";
+
+    // Create shadow effect with multiple layers
+    const shadowLayers = 4;
+    const shadowOffset = 2;
+    const shadowColor = "rgba(0, 102, 204, 0.3)"; // Blue shadow with transparency
+
+    for (let i = 0; i < shadowLayers; i++) {
+        const shadowText = new BABYLON.GUI.TextBlock();
+        shadowText.text = title;
+        shadowText.fontSize = titleText.fontSize;
+        shadowText.height = titleText.height;
+        shadowText.top = `${20 + (i * shadowOffset)}px`;
+        shadowText.paddingLeft = titleText.paddingLeft;
+        shadowText.paddingRight = titleText.paddingRight;
+        shadowText.textHorizontalAlignment = titleText.textHorizontalAlignment;
+        shadowText.verticalAlignment = titleText.verticalAlignment;
+        shadowText.textWrapping = true;
+        shadowText.fontFamily = titleText.fontFamily;
+        shadowText.color = shadowColor;
+        shadowText.zIndex = -i; // Place behind main text
+        advancedTexture.addControl(shadowText);
+    }
+
+    // Add main text last so it appears on top
+    advancedTexture.addControl(titleText);
+
+    // Instructions text (for phase updates)
+    const instructionsText = new BABYLON.GUI.TextBlock();
+    instructionsText.text = "";
+    instructionsText.color = "white";
+    instructionsText.fontSize = "24px";
+    instructionsText.height = "40px";
+    instructionsText.top = "140px"; // Increased spacing from title
+    instructionsText.paddingLeft = "20px";
+    instructionsText.paddingRight = "20px";
+    instructionsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
+    instructionsText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    instructionsText.textWrapping = true;
+    instructionsText.fontFamily = "Arial Black";
+    instructionsText.outlineWidth = 2;
+
+    // Phase-based neon colors
+    const PHASE_STYLES = {
+        [PHASES.DISCOVERY]: {
+            color: "#00ffff", // Cyan
+            outlineColor: "#00808080",
+            glowColor: "rgba(0, 255, 255, 0.3)"
+        },
+        [PHASES.SYNCING]: {
+            color: "#ff00ff", // Magenta
+            outlineColor: "#80008080",
+            glowColor: "rgba(255, 0, 255, 0.3)"
+        },
+        [PHASES.PROCESSING]: {
+            color: "#00ff00", // Neon Green
+            outlineColor: "#00800080",
+            glowColor: "rgba(0, 255, 0, 0.3)"
+        },
+        [PHASES.NETWORK_CHANGES]: {
+            color: "#ff9900", // Neon Orange
+            outlineColor: "#804d0080",
+            glowColor: "rgba(255, 153, 0, 0.3)"
+        },
+        [RAFT_PHASES.ELECTION]: {
+            color: "#ff33cc", // Neon Pink
+            outlineColor: "#801a6680",
+            glowColor: "rgba(255, 51, 204, 0.3)"
+        },
+        [RAFT_PHASES.REPLICATION]: {
+            color: "#00e6ff", // Neon Cyan
+            outlineColor: "#00738080",
+            glowColor: "rgba(0, 230, 255, 0.3)"
+        },
+        [PBFT_PHASES.PRE_PREPARE]: {
+            color: "#ffffff", // White
+            outlineColor: "#80808080",
+            glowColor: "rgba(255, 255, 255, 0.3)"
+        },
+        [PBFT_PHASES.PREPARE]: {
+            color: "#9966ff", // Neon Violet
+            outlineColor: "#4d338080",
+            glowColor: "rgba(153, 102, 255, 0.3)"
+        },
+        [PBFT_PHASES.COMMIT]: {
+            color: "#ff4040", // Neon Red
+            outlineColor: "#80202080",
+            glowColor: "rgba(255, 64, 64, 0.3)"
+        },
+        [POS_PHASES.PROPOSAL]: {
+            color: "#ffd700", // Gold
+            outlineColor: "#806b0080",
+            glowColor: "rgba(255, 215, 0, 0.3)"
+        },
+        [POS_PHASES.ATTESTATION]: {
+            color: "#c0c0ff", // Silver
+            outlineColor: "#60608080",
+            glowColor: "rgba(192, 192, 255, 0.3)"
+        }
+    };
+
+    // Create shadow effect for instructions
+    const instructionsShadowLayers = 3;
+    const instructionsShadowOffset = 1;
+    const instructionsShadows = [];
+
+    for (let i = 0; i < instructionsShadowLayers; i++) {
+        const shadowText = new BABYLON.GUI.TextBlock();
+        shadowText.text = "";
+        shadowText.fontSize = instructionsText.fontSize;
+        shadowText.height = instructionsText.height;
+        shadowText.top = `${140 + (i * instructionsShadowOffset)}px`;
+        shadowText.paddingLeft = instructionsText.paddingLeft;
+        shadowText.paddingRight = instructionsText.paddingRight;
+        shadowText.textHorizontalAlignment = instructionsText.textHorizontalAlignment;
+        shadowText.verticalAlignment = instructionsText.verticalAlignment;
+        shadowText.textWrapping = true;
+        shadowText.fontFamily = instructionsText.fontFamily;
+        shadowText.zIndex = -i;
+        instructionsShadows.push(shadowText);
+        advancedTexture.addControl(shadowText);
+    }
+
+    // Add main instructions text last
+    advancedTexture.addControl(instructionsText);
+
+    // Add theme toggle button
+    const themeBtn = BABYLON.GUI.Button.CreateSimpleButton("theme", "☀️");
+    themeBtn.width = "40px";
+    themeBtn.height = "40px";
+    themeBtn.color = viewState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
+    themeBtn.background = viewState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
+    themeBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    themeBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    themeBtn.top = "10px";
+    themeBtn.right = "10px";
+
+    themeBtn.onPointerClickObservable.add(() => {
+        viewState.isDarkMode = !viewState.isDarkMode;
+        themeBtn.textBlock.text = viewState.isDarkMode ? "☀️" : "🌙";
+        updateTheme();
+    });
+    advancedTexture.addControl(themeBtn);
+
+    // Add this inside createScene() function, after creating other UI elements
+    function createAgendaModal(advancedTexture) {
+        // Create modal container
+        const modal = new BABYLON.GUI.Rectangle("modal");
+        modal.width = "800px"; // Increased width
+        modal.height = "600px"; // Increased height
+        modal.thickness = 0;
+        modal.isVisible = false;
+        modal.zIndex = 100;
+        modal.background = viewState.isDarkMode ? "rgba(30, 30, 30, 0.95)" : "rgba(240, 240, 240, 0.95)";
+        modal.cornerRadius = 10;
+        advancedTexture.addControl(modal);
+
+        // Create scrollable container
+        const scrollViewer = new BABYLON.GUI.ScrollViewer("scrollViewer");
+        scrollViewer.width = "100%";
+        scrollViewer.height = "100%";
+        scrollViewer.thickness = 0;
+        modal.addControl(scrollViewer);
+
+        // Create main content container
+        const contentPanel = new BABYLON.GUI.StackPanel("contentPanel");
+        contentPanel.width = "100%";
+        contentPanel.spacing = 20;
+        scrollViewer.addControl(contentPanel);
+
+        // Create title
+        const title = new BABYLON.GUI.TextBlock("modalTitle");
+        title.text = "Simulation Guide";
+        title.color = viewState.isDarkMode ? "white" : "black";
+        title.fontSize = "24px";
+        title.height = "40px";
+        title.fontFamily = "Arial Black";
+        title.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        contentPanel.addControl(title);
+
+        // Create sections
+        const createSection = (title, items, itemCreator) => {
+            const sectionTitle = new BABYLON.GUI.TextBlock();
+            sectionTitle.text = title;
+            sectionTitle.color = viewState.isDarkMode ? "#00aaff" : "#0066cc";
+            sectionTitle.fontSize = "20px";
+            sectionTitle.height = "30px";
+            sectionTitle.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            sectionTitle.left = "20px";
+            sectionTitle.paddingTop = "20px";
+            contentPanel.addControl(sectionTitle);
+
+            items.forEach(item => {
+                itemCreator(item, contentPanel);
+            });
+        };
+
+        // Create phase item
+        const createPhaseItem = ([phase, info], parent) => {
+            const container = new BABYLON.GUI.Rectangle(`phase-${phase}`);
+            container.height = "70px";
+            container.thickness = 0;
+            container.background = "transparent";
+            parent.addControl(container);
+
+            const headerText = new BABYLON.GUI.TextBlock();
+            headerText.text = `${info.icon} ${info.title}`;
+            headerText.color = PHASE_STYLES[phase].color;
+            headerText.fontSize = "18px";
+            headerText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            headerText.left = "20px";
+            headerText.top = "-20px";
+            container.addControl(headerText);
+
+            const descText = new BABYLON.GUI.TextBlock();
+            descText.text = info.description;
+            descText.color = viewState.isDarkMode ? "white" : "black";
+            descText.fontSize = "14px";
+            descText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            descText.textWrapping = true;
+            descText.left = "20px";
+            descText.top = "10px";
+            container.addControl(descText);
+        };
+
+        // Create element item
+        const createElementItem = (info, parent) => {
+            const container = new BABYLON.GUI.Rectangle();
+            container.height = "60px";
+            container.thickness = 0;
+            container.background = "transparent";
+            parent.addControl(container);
+
+            const headerText = new BABYLON.GUI.TextBlock();
+            headerText.text = `${info.icon} ${info.title}`;
+            headerText.color = viewState.isDarkMode ? "#00ffaa" : "#008855";
+            headerText.fontSize = "16px";
+            headerText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            headerText.left = "20px";
+            headerText.top = "-15px";
+            container.addControl(headerText);
+
+            const descText = new BABYLON.GUI.TextBlock();
+            descText.text = info.description;
+            descText.color = viewState.isDarkMode ? "white" : "black";
+            descText.fontSize = "14px";
+            descText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            descText.textWrapping = true;
+            descText.left = "20px";
+            descText.top = "10px";
+            container.addControl(descText);
+        };
+
+        // Add sections: the shared network phases, then each protocol's own
+        const phaseEntries = phases => phases.map(phase => [phase, PHASE_INFO[phase]]);
+        createSection("Network Phases", phaseEntries(NETWORK_PHASES), createPhaseItem);
+        Object.values(PROTOCOLS).forEach(Protocol => {
+            const ownPhases = Protocol.phaseNames.filter(phase => !NETWORK_PHASES.includes(phase));
+            createSection(`${Protocol.title} Phases`, phaseEntries(ownPhases), createPhaseItem);
+        });
+        
+        createSection("Network Elements", [
+            ELEMENT_INFO.NODE,
+            ELEMENT_INFO.ACTIVE_NODE,
+            ELEMENT_INFO.SYNC_RING,
+            ELEMENT_INFO.CHAIN_HEIGHT,
+            ELEMENT_INFO.MINER,
+            ELEMENT_INFO.MEMPOOL_BAR,
+            ELEMENT_INFO.ROLE,
+            ELEMENT_INFO.COMMITTED,
+            ELEMENT_INFO.ATTACKER,
+            ELEMENT_INFO.CONNECTION,
+            ELEMENT_INFO.CONNECTION_OPENING,
+            ELEMENT_INFO.CONNECTION_CLOSING,
+            ELEMENT_INFO.PARTITION,
+            ELEMENT_INFO.BULK
+        ], createElementItem);
+        
+        createSection("Network Packets", [
+            ELEMENT_INFO.PACKETS.HANDSHAKE,
+            ELEMENT_INFO.PACKETS.PING,
+            ELEMENT_INFO.PACKETS.ADDR,
+            ELEMENT_INFO.PACKETS.INV,
+            ELEMENT_INFO.PACKETS.HEADERS,
+            ELEMENT_INFO.PACKETS.CMPCTBLOCK,
+            ELEMENT_INFO.PACKETS.TRANSACTION,
+            ELEMENT_INFO.PACKETS.BLOCK,
+            ELEMENT_INFO.PACKETS.VOTE,
+            ELEMENT_INFO.PACKETS.APPEND_ENTRIES,
+            ELEMENT_INFO.PACKETS.PBFT,
+            ELEMENT_INFO.PACKETS.ATTESTATION,
+            ELEMENT_INFO.PACKETS.INVALID
+        ], createElementItem);
+
+        createSection("Phase Sequences", Object.values(PHASE_SEQUENCES), createElementItem);
+
+        createSection("Byzantine Behaviors", Object.values(BEHAVIOR_INFO), createElementItem);
+
+        createSection("Layouts", Object.values(LAYOUT_INFO), createElementItem);
+
+        createSection("Edit Mode", EDIT_INFO, createElementItem);
+
+        createSection("Node Colors", Object.values(NODE_COLORINGS), createElementItem);
+
+        createSection("Topologies", Object.entries(TOPOLOGY_INFO).map(([type, info]) => ({
+            ...info,
+            title: TOPOLOGIES[type].title
+        })), createElementItem);
+
+        // Create close button
+        const closeBtn = BABYLON.GUI.Button.CreateSimpleButton("closeModal", "✕");
+        closeBtn.width = "30px";
+        closeBtn.height = "30px";
+        closeBtn.color = viewState.isDarkMode ? "white" : "black";
+        closeBtn.thickness = 0;
+        closeBtn.cornerRadius = 15;
+        closeBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        closeBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        closeBtn.top = "10px";
+        closeBtn.right = "10px";
+        closeBtn.onPointerClickObservable.add(() => {
+            modal.isVisible = false;
+        });
+        modal.addControl(closeBtn);
+
+        return modal;
+    }
+
+    // Add this after creating other buttons in createScene()
+    const agendaBtn = BABYLON.GUI.Button.CreateSimpleButton("agenda", "ℹ️");
+    agendaBtn.width = "40px";
+    agendaBtn.height = "40px";
+    agendaBtn.color = viewState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
+    agendaBtn.background = viewState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
+    agendaBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    agendaBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    agendaBtn.top = "60px";
+    agendaBtn.right = "10px";
+    agendaBtn.cornerRadius = 8;
+    advancedTexture.addControl(agendaBtn);
+
+    // Create the modal
+    const agendaModal = createAgendaModal(advancedTexture);
+
+    // Add click handler to agenda button
+    agendaBtn.onPointerClickObservable.add(() => {
+        agendaModal.isVisible = true;
+    });
+
+    // Update the updateTheme function to include the new elements
+    function updateTheme() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        scene.clearColor = colors.background;
+        panel.background = colors.panel;
+        instructionsText.color = colors.text;
+        themeBtn.color = colors.text;
+        themeBtn.background = colors.button;
+        resetBtn.background = colors.button;
+        playPauseBtn.background = colors.button;
+        stepBtn.background = colors.button;
+        speedText.color = colors.text;
+        speedSlider.background = colors.button;
+        seedBtn.color = colors.text;
+        scenarioBtn.color = colors.text;
+        partitionBtn.color = colors.text;
+        protocolBtn.color = colors.text;
+        layoutBtn.color = colors.text;
+        globeBtn.color = colors.text;
+        paintGlobe();
+        attackButtons.forEach(button => button.color = colors.text);
+        propagationPanel.background = colors.panel;
+        propagationText.color = colors.text;
+        mempoolPanel.background = colors.panel;
+        mempoolText.color = colors.text;
+        miningPanel.background = colors.panel;
+        miningText.color = colors.text;
+        attackStatsPanel.background = colors.panel;
+        attackStatsText.color = colors.text;
+        inspectorPanel.background = colors.panel;
+        [inspectorTitle, inspectorText, inspectorPeersText, inspectorCloseBtn].forEach(control => control.color = colors.text);
+        inspectorPeers.children.forEach(button => {
+            button.color = colors.text;
+            button.background = colors.button;
+        });
+        tooltip.background = colors.panel;
+        tooltipText.color = colors.text;
+        phasePanel.background = colors.panel;
+        phaseStatusText.color = colors.text;
+        [holdBtn, loopBtn, sequenceBtn].forEach(button => button.color = colors.text);
+        phaseState.rows.forEach(row => {
+            row.children[0].color = colors.text;
+            row.children[1].background = colors.button;
+            row.children[2].color = colors.text;
+        });
+        dashboardBtn.color = colors.text;
+        dashboardBtn.background = colors.button;
+        editBtn.color = colors.text;
+        editBtn.background = editState.isEditing ? "#0066cc" : colors.button;
+        editPanel.background = colors.panel;
+        editStatusText.color = colors.text;
+        [undoBtn, redoBtn, deleteBtn, injectTxBtn, injectBlockBtn].forEach(button => button.color = colors.text);
+        dashboardPanel.background = colors.panel;
+        dashboardText.color = colors.text;
+        dashboardCloseBtn.color = colors.text;
+        timelinePanel.background = colors.panel;
+        topologyPanel.background = colors.panel;
+        topologyBtn.color = colors.text;
+        [importPeersBtn, coloringBtn, exportGraphBtn, importGraphBtn, ...graphMenu.children].forEach(button => button.color = colors.text);
+        topologyRows.forEach(row => {
+            row.children[0].color = colors.text;
+            row.children[1].background = colors.button;
+        });
+        timeText.color = colors.text;
+        timelineSlider.background = colors.button;
+        [liveBtn, exportBtn, importBtn].forEach(button => button.background = colors.button);
+        agendaBtn.color = colors.text;
+        agendaBtn.background = colors.button;
+        
+        // Update modal colors
+        if (agendaModal) {
+            agendaModal.background = viewState.isDarkMode ? 
+                "rgba(30, 30, 30, 0.95)" : "rgba(240, 240, 240, 0.95)";
+            
+            const scrollViewer = agendaModal.children.find(child => child.name === "scrollViewer");
+            if (scrollViewer && scrollViewer.children[0]) {
+                const contentPanel = scrollViewer.children[0];
+                contentPanel.children.forEach(child => {
+                    if (child.color) {
+                        if (child.name === "modalTitle") {
+                            child.color = viewState.isDarkMode ? "white" : "black";
+                        } else if (child.text && child.text.includes(":")) {
+                            // Section titles
+                            child.color = viewState.isDarkMode ? "#00aaff" : "#0066cc";
+                        }
+                    }
+                    
+                    // Update description text colors
+                    if (child instanceof BABYLON.GUI.Rectangle) {
+                        const descText = child.children[1];
+                        if (descText) {
+                            descText.color = viewState.isDarkMode ? "white" : "black";
+                        }
+                    }
+                });
+            }
+        }
+    }
+
+    // Meshes for every simulated node and link, keyed by node ID and link key
+    const nodeViews = new Map();
+    const connectionViews = new Map();
+    const linkKey = (a, b) => [a, b].sort().join("|");
+
+    // Dashed lines where a netsplit cut links, keyed like connectionViews
+    const severedLines = new Map();
+
+    // Packets in flight keyed by message ID, moved along their path by simulation time
+    const packets = new Map();
+
+    // What each mesh of a node, line or packet shows, so hovers and clicks find it without a search.
+    // Bulk views draw everything with a shared mesh and aren't listed
+    const meshTargets = new Map();
+
+    // How nodes are arranged on screen; the simulation's positions only seed it
+    const layoutState = {
+        layout: LAYOUTS.FORCE,
+        force: new ForceLayout(),
+        root: null,      // Node the hierarchical layout counts hops from
+        targets: null,   // Where a fixed layout wants each node, recomputed when the graph changes
+        isTargetStale: false,
+        arrangedAt: 0,   // performance.now() when the targets were last recomputed
+        edges: null,     // Linked node ID pairs, kept until a link comes or goes
+        pinned: new Map() // Nodes dragged in edit mode, kept where they were dropped
+    };
+
+    // Bulk views of a big network, or null while nodes, links and packets get meshes of their own
+    const bulkViews = {
+        nodes: null,     // NodeSwarm
+        links: null,     // LinkWeb
+        packets: null    // PacketSwarm
+    };
+
+    /**
+     * Switch to another layout; nodes glide from where they are to their new places
+     * @param {string} layout - One of LAYOUTS
+     */
+    function setLayout(layout) {
+        layoutState.layout = layout;
+        layoutState.targets = null;
+        layoutState.pinned.clear();
+        // Fresh velocities, so a flat arrangement gets nudged back into 3D
+        layoutState.force = new ForceLayout();
+        updateLayoutButton();
+        updateGlobe();
+    }
+
+    // Earth under the nodes while the globe layout is on, sized to the run
+    const globe = {
+        mesh: null,
+        coastlines: null,
+        radius: 0
+    };
+
+    function isOnGlobe() {
+        return layoutState.layout === LAYOUTS.GLOBE;
+    }
+
+    /**
+     * Show or hide the Earth to match the layout, and draw links over it or straight through space
+     */
+    function updateGlobe() {
+        connectionViews.forEach(view => {
+            // Lines are rebuilt to follow the globe or not
+            meshTargets.delete(view.lines);
+            view.setGlobe(isOnGlobe(), scene);
+            if (view.lines) {
+                meshTargets.set(view.lines, { connection: view });
+            }
+        });
+        if (globe.mesh && (!isOnGlobe() || globe.radius !== simulation.radius)) {
+            globe.mesh.material.dispose();
+            globe.mesh.dispose();
+            globe.coastlines?.dispose();
+            globe.mesh = null;
+            globe.coastlines = null;
+        }
+        if (!isOnGlobe() || globe.mesh) return;
+
+        // A little under the nodes, so they and their links stay on top
+        const radius = simulation.radius;
+        const mesh = BABYLON.MeshBuilder.CreateSphere("earth", { diameter: radius * 1.94, segments: 48 }, scene);
+        mesh.material = new BABYLON.StandardMaterial("earthMaterial", scene);
+        mesh.material.specularColor = BABYLON.Color3.Black();
+        mesh.material.alpha = 0.9;
+        globe.mesh = mesh;
+        globe.radius = radius;
+
+        globe.coastlines = BABYLON.MeshBuilder.CreateLineSystem("coastlines", {
+            lines: WORLD_OUTLINES.map(({ points }) => points.map(([lon, lat]) => {
+                const { x, y, z } = locationToPosition({ lat, lon }, radius * 0.975);
+                return new BABYLON.Vector3(x, y, z);
+            }))
+        }, scene);
+        globe.coastlines.isPickable = false;
+        paintGlobe();
+        paintGlobe();
+    }
+
+    function paintGlobe() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        if (globe.mesh) {
+            globe.mesh.material.diffuseColor = colors.ocean;
+            globe.mesh.material.emissiveColor = colors.ocean.scale(0.5);
+        }
+        if (globe.coastlines) {
+            globe.coastlines.color = colors.coast;
+        }
+    }
+
+    function updateLayoutButton() {
+        const info = LAYOUT_INFO[layoutState.layout];
+        layoutBtn.textBlock.text = layoutState.layout === LAYOUTS.HIERARCHICAL
+            ? `${info.icon} ${info.title} from ${layoutState.root ?? "first node"}`
+            : `${info.icon} ${info.title}`;
+    }
+
+    /**
+     * Move the nodes one frame further into the current layout, and their lines with them
+     */
+    function updateLayout() {
+        const positions = new Map(Array.from(nodeViews, ([nodeId, view]) => [nodeId, view.position]));
+        layoutState.edges = layoutState.edges ?? Array.from(connectionViews.keys(), key => key.split("|"));
+        const edges = layoutState.edges;
+
+        let largestMove;
+        if (layoutState.layout === LAYOUTS.FORCE) {
+            largestMove = layoutState.force.step(positions, edges);
+        } else {
+            // A big network changes every frame; arranging it that often would stall the view
+            const isDue = !bulkViews.nodes || performance.now() - layoutState.arrangedAt > BULK_ARRANGE_INTERVAL;
+            if (!layoutState.targets || (layoutState.isTargetStale && isDue)) {
+                layoutState.isTargetStale = false;
+                layoutState.arrangedAt = performance.now();
+                layoutState.targets = arrangeNodes(layoutState.layout, Array.from(positions.keys()), edges, {
+                    radius: simulation.radius,
+                    root: layoutState.root,
+                    locations: new Map(Array.from(nodeViews, ([nodeId, view]) => [nodeId, view.location]))
+                });
+            }
+            // Ease a tenth of the remaining way each frame
+            largestMove = 0;
+            positions.forEach((position, nodeId) => {
+                const target = layoutState.targets.get(nodeId);
+                if (!target) return;
+                const step = new BABYLON.Vector3(target.x, target.y, target.z).subtract(position).scale(0.1);
+                position.addInPlace(step);
+                largestMove = Math.max(largestMove, step.length());
+            });
+        }
+        layoutState.pinned.forEach(({ x, y, z }, nodeId) => positions.get(nodeId)?.set(x, y, z));
+
+        if (largestMove > 0.0005) {
+            connectionViews.forEach(view => view.update());
+            severedLines.forEach((lines, key) => {
+                const [sourceId, targetId] = key.split("|");
+                const sourceView = nodeViews.get(sourceId);
+                const targetView = nodeViews.get(targetId);
+                if (!sourceView || !targetView) return;
+                BABYLON.MeshBuilder.CreateDashedLines(lines.name, {
+                    points: [sourceView.position, targetView.position],
+                    dashNb: 12,
+                    instance: lines
+                });
+            });
+        }
+    }
+
+    // Clicking a node inspects it and makes it the root of the hierarchical layout; clicking a line closes that link.
+    // In edit mode, clicks select the node or line instead of closing it
+    scene.onPointerObservable.add((pointerInfo) => {
+        if (pointerInfo.type !== BABYLON.PointerEventTypes.POINTERPICK) return;
+        const connection = meshTargets.get(pointerInfo.pickInfo?.pickedMesh)?.connection;
+        if (connection && editState.isEditing) {
+            selectForEdit({ link: [connection.sourceNode.nodeId, connection.targetNode.nodeId] });
+            return;
+        }
+        if (connection) {
+            goLive();
+            const source = simulation.getNode(connection.sourceNode.nodeId);
+            const target = simulation.getNode(connection.targetNode.nodeId);
+            if (source && target) {
+                simulation.closeLink(source, target);
+            }
+            return;
+        }
+        const view = pickedNodeView(pointerInfo.pickInfo);
+        if (!view) return;
+
+        layoutState.root = view.nodeId;
+        if (layoutState.layout === LAYOUTS.HIERARCHICAL) {
+            layoutState.targets = null;
+        }
+        updateLayoutButton();
+        inspectNode(view.nodeId);
+        if (editState.isEditing) {
+            selectForEdit({ nodeId: view.nodeId });
+        }
+    });
+
+    // Hovering a line or a packet shows what it is carrying; hovering a node, what is known about it.
+    // Bulk links and packets share a mesh each, so only their nodes can be told apart
+    scene.onPointerObservable.add((pointerInfo) => {
+        if (pointerInfo.type !== BABYLON.PointerEventTypes.POINTERMOVE) return;
+        const pick = scene.pick(scene.pointerX, scene.pointerY, mesh => meshTargets.has(mesh) || mesh === bulkViews.nodes?.mesh);
+        const target = pick?.hit ? meshTargets.get(pick.pickedMesh) : undefined;
+        const nodeView = pickedNodeView(pick);
+
+        if (nodeView) {
+            const { nodeId, attributes, location } = nodeView;
+            showTooltip([
+                `🖥️ ${nodeId}`,
+                ...(location ? [`📍 ${formatLocation(location)}`] : []),
+                ...describeAttributes(attributes)
+            ].join("\n"));
+        } else if (target?.message) {
+            showTooltip(describePacket(target.message));
+        } else if (target?.connection) {
+            showTooltip(describeConnection(target.connection));
+        } else {
+            tooltip.isVisible = false;
+        }
+    });
+
+    /**
+     * Node view a pick hit: the one owning the picked mesh, or the one a bulk instance draws
+     * @param {BABYLON.PickingInfo|null} pickInfo - Result of a pick
+     * @returns {BitcoinNode|SwarmNode|undefined}
+     */
+    function pickedNodeView(pickInfo) {
+        if (!pickInfo?.hit) return undefined;
+        return bulkViews.nodes ? bulkViews.nodes.viewAt(pickInfo) : meshTargets.get(pickInfo.pickedMesh)?.nodeView;
+    }
+
+    /**
+     * Whether nodes are drawn with a mesh, to pick nodes only
+     * @param {BABYLON.AbstractMesh} mesh - A mesh in the scene
+     * @returns {boolean}
+     */
+    function isNodeMesh(mesh) {
+        return bulkViews.nodes ? mesh === bulkViews.nodes.mesh : meshTargets.get(mesh)?.nodeView !== undefined;
+    }
+
+    /**
+     * @param {{nodeId: string, position: Object, group?: number|null, height?: number, hashpower?: number,
+     *     role?: string|null, committedHeight?: number, behavior?: string, isEclipsed?: boolean, attributes?: Object,
+     *     location?: {lat: number, lon: number}|null}} node
+     */
+    function showNode({
+        nodeId, position, group = null, height = 0, hashpower = 0, role = null, committedHeight = 0,
+        behavior = BEHAVIORS.HONEST, isEclipsed = false, attributes = {}, location = null
+    }) {
+        const { x, y, z } = position;
+        const view = bulkViews.nodes
+            ? new SwarmNode(bulkViews.nodes, new BABYLON.Vector3(x, y, z), nodeId)
+            : new BitcoinNode(scene, new BABYLON.Vector3(x, y, z), nodeId);
+        view.attributes = attributes;
+        view.location = location;
+        view.setGroupColor(groupColor(group));
+        view.showLabel(advancedTexture);
+        view.setChainHeight(height);
+        view.setMiner(hashpower > 0);
+        view.setRole(role);
+        view.setCommittedHeight(committedHeight);
+        view.setBehavior(behavior, scene);
+        view.setEclipsed(isEclipsed);
+        nodeViews.set(nodeId, view);
+        if (view.mesh) {
+            meshTargets.set(view.mesh, { nodeView: view });
+        }
+        layoutState.isTargetStale = true;
+        isColoringStale = true;
+    }
+
+    function groupColor(group) {
+        return group === null ? null : PARTITION_COLORS.groups[group % PARTITION_COLORS.groups.length];
+    }
+
+    function hideNode(nodeId, animate) {
+        const view = nodeViews.get(nodeId);
+        nodeViews.delete(nodeId);
+        layoutState.isTargetStale = true;
+        isColoringStale = true;
+        if (layoutState.root === nodeId) {
+            layoutState.root = null;
+            updateLayoutButton();
+        }
+        if (!view) return;
+
+        meshTargets.delete(view.mesh);
+        if (animate) {
+            view.shutdown(scene);
+        } else {
+            view.dispose();
+        }
+    }
+
+    function showLink(sourceId, targetId, state = LINK_STATES.ESTABLISHED) {
+        const sourceView = nodeViews.get(sourceId);
+        const targetView = nodeViews.get(targetId);
+        if (!sourceView || !targetView) return;
+
+        const view = bulkViews.links
+            ? new WebLink(bulkViews.links, sourceView, targetView, state, isOnGlobe())
+            : new ConnectionView(scene, sourceView, targetView, state, isOnGlobe());
+        connectionViews.set(linkKey(sourceId, targetId), view);
+        if (view.lines) {
+            meshTargets.set(view.lines, { connection: view });
+        }
+        layoutState.edges = null;
+        layoutState.isTargetStale = true;
+    }
+
+    function hideLink(sourceId, targetId, animate) {
+        const key = linkKey(sourceId, targetId);
+        const view = connectionViews.get(key);
+        connectionViews.delete(key);
+        if (!view) return;
+
+        meshTargets.delete(view.lines);
+        layoutState.edges = null;
+        layoutState.isTargetStale = true;
+        if (animate) {
+            view.close(scene);
+        } else {
+            view.dispose();
+        }
+    }
+
+    /**
+     * Tint both sides of a netsplit and mark the links it cut
+     * @param {{nodeId: string, group: number|null}[]} nodes - Every node with its group
+     * @param {{source: string, target: string}[]} severed - Links removed by the split
+     */
+    function showPartition(nodes, severed) {
+        nodes.forEach(({ nodeId, group }) => {
+            nodeViews.get(nodeId)?.setGroupColor(groupColor(group));
+        });
+
+        severedLines.forEach(lines => lines.dispose());
+        severedLines.clear();
+        severed.forEach(({ source, target }) => {
+            const sourceView = nodeViews.get(source);
+            const targetView = nodeViews.get(target);
+            if (!sourceView || !targetView) return;
+
+            const lines = BABYLON.MeshBuilder.CreateDashedLines(`severed-${source}-${target}`, {
+                points: [sourceView.position, targetView.position],
+                dashNb: 12
+            }, scene);
+            lines.color = PARTITION_COLORS.severed;
+            severedLines.set(linkKey(source, target), lines);
+        });
+
+        partitionBtn.textBlock.text = severed.length > 0 || nodes.some(node => node.group !== null)
+            ? "🩹 Heal"
+            : "✂️ Netsplit";
+    }
+
+    /**
+     * Queued packets wait at their source until sentAt, then travel until deliverAt
+     * @param {{id: number, source: string, target: string, type: string, size: number, isInvalid: boolean,
+     *     sentAt: number, deliverAt: number}} message
+     */
+    function showPacket(message) {
+        const sourceView = nodeViews.get(message.source);
+        const targetView = nodeViews.get(message.target);
+        if (!sourceView || !targetView) return;
+
+        const type = message.isInvalid ? "invalid" : message.type;
+        const handle = bulkViews.packets
+            ? bulkViews.packets.send(sourceView, targetView, type, message.size, isOnGlobe())
+            : sourceView.sendPacket(targetView, scene, type, message.size, isOnGlobe());
+        packets.set(message.id, { message, handle });
+        if (handle.mesh) {
+            meshTargets.set(handle.mesh, { message });
+        }
+    }
+
+    function hidePacket(messageId) {
+        const packet = packets.get(messageId);
+        packets.delete(messageId);
+        if (packet) {
+            meshTargets.delete(packet.handle.mesh);
+            packet.handle.dispose();
+        }
+    }
+
+    /**
+     * Replace everything on screen with a state rebuilt from an event log
+     * @param {Object} snapshot - Result of EventLog.stateAt()
+     */
+    function renderSnapshot(snapshot) {
+        Array.from(packets.keys()).forEach(hidePacket);
+        Array.from(connectionViews.keys()).forEach(key => hideLink(...key.split("|"), false));
+
+        const snapshotNodeIds = new Set(snapshot.nodes.map(node => node.nodeId));
+        Array.from(nodeViews.keys())
+            .filter(nodeId => !snapshotNodeIds.has(nodeId))
+            .forEach(nodeId => hideNode(nodeId, false));
+        snapshot.nodes
+            .filter(node => !nodeViews.has(node.nodeId))
+            .forEach(showNode);
+        snapshot.nodes.forEach(node => {
+            const view = nodeViews.get(node.nodeId);
+            view.setChainHeight(node.height);
+            view.setMempoolSize(node.mempoolCount, scene);
+            view.setRole(node.role);
+            view.setCommittedHeight(node.committedHeight);
+            view.setBehavior(node.behavior, scene);
+            view.setEclipsed(node.isEclipsed);
+        });
+
+        snapshot.links.forEach(link => showLink(link.source, link.target, link.state));
+        showPartition(snapshot.nodes, snapshot.severed);
+        snapshot.messages.forEach(showPacket);
+
+        if (snapshot.phase) {
+            updateInstructions(snapshot.phase, []);
+        }
+    }
+
+    // Timeline bar: scrub through the recorded run, export or import it as JSON
+    const timelineState = {
+        log: null,             // Log shown on the timeline; an imported log replaces the live one
+        isReplaying: false,
+        isSyncing: false       // Set while the slider follows the live clock
+    };
+
+    const timelinePanel = new BABYLON.GUI.StackPanel("timeline");
+    timelinePanel.isVertical = false;
+    timelinePanel.height = "40px";
+    timelinePanel.spacing = 10;
+    timelinePanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    timelinePanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    timelinePanel.paddingRight = "10px";
+    timelinePanel.paddingBottom = "10px";
+    timelinePanel.background = "rgba(0, 0, 0, 0.7)";
+    advancedTexture.addControl(timelinePanel);
+
+    const timeText = new BABYLON.GUI.TextBlock("timeText", "0.0s");
+    timeText.width = "120px";
+    timeText.color = "white";
+    timeText.fontSize = "14px";
+    timelinePanel.addControl(timeText);
+
+    const timelineSlider = new BABYLON.GUI.Slider("timelineSlider");
+    timelineSlider.minimum = 0;
+    timelineSlider.maximum = 1;
+    timelineSlider.value = 0;
+    timelineSlider.width = "300px";
+    timelineSlider.height = "20px";
+    timelineSlider.color = "#0066cc";
+    timelineSlider.background = "#454545";
+    timelineSlider.onValueChangedObservable.add((value) => {
+        if (timelineState.isSyncing) return;
+
+        // Scrubbing pauses the live run and shows the recorded state instead
+        simulation.setRunning(false);
+        playPauseBtn.textBlock.text = "▶️ Play";
+        timelineState.isReplaying = true;
+        renderSnapshot(timelineState.log.stateAt(value));
+        updateTimeText(value);
+    });
+    timelinePanel.addControl(timelineSlider);
+
+    const createTimelineButton = (name, text, onClick) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "80px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "14px";
+        button.background = "#454545";
+        button.cornerRadius = 8;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(onClick);
+        timelinePanel.addControl(button);
+        return button;
+    };
+
+    const liveBtn = createTimelineButton("live", "⏺️ Live", () => goLive());
+
+    const exportBtn = createTimelineButton("exportLog", "💾 Export", () => {
+        saveFile(`network-log-${timelineState.log.seed}.json`, JSON.stringify(timelineState.log), "application/json");
+    });
+
+    /**
+     * Hand some text to the browser as a file download
+     * @param {string} fileName - Name to save it under
+     * @param {string} text - File content
+     * @param {string} type - MIME type
+     */
+    function saveFile(fileName, text, type) {
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    const importBtn = createTimelineButton("importLog", "📂 Import", () => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = "application/json,.json";
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                timelineState.log = EventLog.fromJSON(await file.text());
+            } catch (error) {
+                alert(`Could not import event log: ${error.message}`);
+                return;
+            }
+
+            simulation.setRunning(false);
+            playPauseBtn.textBlock.text = "▶️ Play";
+            timelineState.isReplaying = true;
+            const { startTime, endTime } = timelineState.log;
+            setTimelineValue(startTime, endTime);
+            renderSnapshot(timelineState.log.stateAt(startTime));
+            updateTimeText(startTime);
+        };
+        input.click();
+    });
+
+    function updateTimeText(time) {
+        const prefix = timelineState.isReplaying ? "⏪" : "⏺️";
+        timeText.text = `${prefix} ${(time / 1000).toFixed(1)}s / ${(timelineState.log.endTime / 1000).toFixed(1)}s`;
+    }
+
+    function setTimelineValue(value, maximum) {
+        timelineState.isSyncing = true;
+        // Long runs drop their oldest records, so the timeline starts where the log does
+        timelineSlider.minimum = timelineState.log.startTime;
+        timelineSlider.maximum = Math.max(maximum, timelineSlider.minimum + 1);
+        timelineSlider.value = value;
+        timelineState.isSyncing = false;
+    }
+
+    /**
+     * Leave replay and show the live simulation again
+     */
+    function goLive() {
+        if (!timelineState.isReplaying) return;
+
+        timelineState.isReplaying = false;
+        timelineState.log = simulation.log;
+        renderSnapshot(simulation.log.stateAt(simulation.now));
+        updateInstructions();
+    }
+
+    // Propagation panel: how fast recent blocks and transactions flooded the network
+    const propagationPanel = new BABYLON.GUI.Rectangle("propagationPanel");
+    propagationPanel.width = "380px";
+    propagationPanel.height = "150px";
+    propagationPanel.thickness = 0;
+    propagationPanel.cornerRadius = 8;
+    propagationPanel.background = "rgba(0, 0, 0, 0.7)";
+    propagationPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    propagationPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    propagationPanel.left = "10px";
+    propagationPanel.top = "10px";
+    advancedTexture.addControl(propagationPanel);
+
+    const propagationText = new BABYLON.GUI.TextBlock("propagationText");
+    propagationText.color = "white";
+    propagationText.fontSize = "13px";
+    propagationText.fontFamily = "monospace";
+    propagationText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    propagationText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    propagationText.paddingLeft = "10px";
+    propagationText.paddingTop = "8px";
+    propagationPanel.addControl(propagationText);
+
+    function updatePropagationPanel() {
+        const format = (ms) => ms === null ? "  -  " : `${(ms / 1000).toFixed(1)}s`.padStart(5);
+        const lines = simulation.propagation.reports().slice(-6).reverse().map(report => {
+            const icon = report.kind === "block" ? "🟨" : "🟩";
+            return `${icon} ${report.itemId.padEnd(9)} 50% ${format(report.t50)}  90% ${format(report.t90)}  100% ${format(report.t100)}`;
+        });
+        propagationText.text = ["📡 Propagation (time to reach nodes)", ...lines].join("\n");
+    }
+
+    // Mempool panel: unconfirmed transactions, best fee rate first, and how far each has spread
+    const mempoolPanel = new BABYLON.GUI.Rectangle("mempoolPanel");
+    mempoolPanel.width = "380px";
+    mempoolPanel.height = "150px";
+    mempoolPanel.thickness = 0;
+    mempoolPanel.cornerRadius = 8;
+    mempoolPanel.background = "rgba(0, 0, 0, 0.7)";
+    mempoolPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    mempoolPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    mempoolPanel.left = "10px";
+    mempoolPanel.top = "170px";
+    advancedTexture.addControl(mempoolPanel);
+
+    const mempoolText = new BABYLON.GUI.TextBlock("mempoolText");
+    mempoolText.color = "white";
+    mempoolText.fontSize = "13px";
+    mempoolText.fontFamily = "monospace";
+    mempoolText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    mempoolText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    mempoolText.paddingLeft = "10px";
+    mempoolText.paddingTop = "8px";
+    mempoolPanel.addControl(mempoolText);
+
+    // Mempools change with every relayed transaction, so the panel is redrawn at most once a frame
+    let isMempoolPanelStale = true;
+
+    function updateMempoolPanel() {
+        const unconfirmed = simulation.unconfirmedTransactions();
+        const confirmed = Math.max(0, ...simulation.nodes.map(node => node.mempool.confirmedCount));
+        const lines = unconfirmed.slice(0, 6).map(({ tx, holders }) =>
+            `🟩 ${tx.id.padEnd(7)} ${(tx.fee / tx.size).toFixed(1).padStart(6)} sat/B ${String(tx.size).padStart(4)} B  in ${holders}/${simulation.nodes.length}`
+        );
+        mempoolText.text = [
+            `📥 Mempool: ${unconfirmed.length} waiting, ${confirmed} mined, ${simulation.rejections.conflict} conflicts`,
+            ...lines
+        ].join("\n");
+        isMempoolPanelStale = false;
+    }
+
+    // Mining panel: stale blocks, and each miner's share of the best chain against its share of hashpower
+    const miningPanel = new BABYLON.GUI.Rectangle("miningPanel");
+    miningPanel.width = "380px";
+    miningPanel.height = "150px";
+    miningPanel.thickness = 0;
+    miningPanel.cornerRadius = 8;
+    miningPanel.background = "rgba(0, 0, 0, 0.7)";
+    miningPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    miningPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    miningPanel.left = "10px";
+    miningPanel.top = "330px";
+    advancedTexture.addControl(miningPanel);
+
+    const miningText = new BABYLON.GUI.TextBlock("miningText");
+    miningText.color = "white";
+    miningText.fontSize = "13px";
+    miningText.fontFamily = "monospace";
+    miningText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    miningText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    miningText.paddingLeft = "10px";
+    miningText.paddingTop = "8px";
+    miningPanel.addControl(miningText);
+
+    let isMiningPanelStale = true;
+
+    function updateMiningPanel() {
+        const stats = simulation.getMiningStats();
+        const percent = (fraction) => `${(fraction * 100).toFixed(0)}%`.padStart(4);
+        const lines = stats.miners.slice(0, 6).map(miner =>
+            `⛏️ ${miner.nodeId.padEnd(8)} hash ${percent(miner.hashShare)}  blocks ${percent(miner.blockShare)} (${miner.blocks}, ${miner.stale} stale)`
+        );
+        miningText.text = [
+            `⛏️ Mining: ${stats.found} found, ${stats.stale} stale (${(stats.staleRate * 100).toFixed(1)}%)`,
+            ...lines
+        ].join("\n");
+        isMiningPanelStale = false;
+    }
+
+    // Attack panel: what attackers have done and how much it hurt, shown once there are any
+    const attackStatsPanel = new BABYLON.GUI.Rectangle("attackStatsPanel");
+    attackStatsPanel.width = "380px";
+    attackStatsPanel.height = "150px";
+    attackStatsPanel.thickness = 0;
+    attackStatsPanel.cornerRadius = 8;
+    attackStatsPanel.background = "rgba(0, 0, 0, 0.7)";
+    attackStatsPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    attackStatsPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    attackStatsPanel.left = "10px";
+    attackStatsPanel.top = "490px";
+    attackStatsPanel.isVisible = false;
+    advancedTexture.addControl(attackStatsPanel);
+
+    const attackStatsText = new BABYLON.GUI.TextBlock("attackStatsText");
+    attackStatsText.color = "white";
+    attackStatsText.fontSize = "13px";
+    attackStatsText.fontFamily = "monospace";
+    attackStatsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    attackStatsText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    attackStatsText.paddingLeft = "10px";
+    attackStatsText.paddingTop = "8px";
+    attackStatsPanel.addControl(attackStatsText);
+
+    let isAttackPanelStale = true;
+
+    function updateAttackPanel() {
+        const stats = simulation.getAttackStats();
+        attackStatsPanel.isVisible = stats.attackers > 0 || stats.bans > 0;
+        const eclipsed = stats.eclipsed.map(({ nodeId, lag }) => `${nodeId} -${lag}`).join(", ");
+        attackStatsText.text = [
+            `😈 Attackers: ${stats.attackers}, holding ${(stats.attackerPeerShare * 100).toFixed(0)}% of honest links`,
+            `🚫 Relays dropped ${stats.droppedRelays}, block requests ignored ${stats.withheldSyncs}`,
+            `☣️ Invalid sent ${stats.invalidSent}, rejected ${stats.invalidRejected}, peers banned ${stats.bans}`,
+            `💸 Double-spends ${stats.doubleSpends}, payments reversed ${stats.reversedPayments}`,
+            `🎯 Eclipsed (blocks behind): ${eclipsed || "none"}`,
+            `📉 Honest nodes behind the best chain: ${stats.honestBehind}`
+        ].join("\n");
+        isAttackPanelStale = false;
+    }
+
+    // Node inspector: everything the live simulation knows about the clicked node, closable like the guide
+    const inspectorPanel = new BABYLON.GUI.Rectangle("inspectorPanel");
+    inspectorPanel.width = "340px";
+    inspectorPanel.height = "460px";
+    inspectorPanel.thickness = 0;
+    inspectorPanel.cornerRadius = 8;
+    inspectorPanel.background = "rgba(0, 0, 0, 0.7)";
+    inspectorPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    inspectorPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    inspectorPanel.paddingRight = "10px";
+    inspectorPanel.top = "110px";
+    inspectorPanel.isVisible = false;
+    advancedTexture.addControl(inspectorPanel);
+
+    const inspectorScroll = new BABYLON.GUI.ScrollViewer("inspectorScroll");
+    inspectorScroll.thickness = 0;
+    inspectorScroll.paddingTop = "40px";
+    inspectorPanel.addControl(inspectorScroll);
+
+    const inspectorContent = new BABYLON.GUI.StackPanel("inspectorContent");
+    inspectorContent.width = "100%";
+    inspectorScroll.addControl(inspectorContent);
+
+    const inspectorTitle = new BABYLON.GUI.TextBlock("inspectorTitle");
+    inspectorTitle.color = "white";
+    inspectorTitle.fontSize = "18px";
+    inspectorTitle.fontFamily = "Arial Black";
+    inspectorTitle.height = "40px";
+    inspectorTitle.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    inspectorTitle.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    inspectorTitle.paddingLeft = "10px";
+    inspectorPanel.addControl(inspectorTitle);
+
+    const inspectorCloseBtn = BABYLON.GUI.Button.CreateSimpleButton("closeInspector", "✕");
+    inspectorCloseBtn.width = "30px";
+    inspectorCloseBtn.height = "30px";
+    inspectorCloseBtn.color = "white";
+    inspectorCloseBtn.thickness = 0;
+    inspectorCloseBtn.cornerRadius = 15;
+    inspectorCloseBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    inspectorCloseBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    inspectorCloseBtn.top = "5px";
+    inspectorCloseBtn.left = "-5px";
+    inspectorCloseBtn.onPointerClickObservable.add(() => {
+        inspectorState.nodeId = null;
+        inspectorPanel.isVisible = false;
+    });
+    inspectorPanel.addControl(inspectorCloseBtn);
+
+    const createInspectorText = (name) => {
+        const text = new BABYLON.GUI.TextBlock(name);
+        text.color = "white";
+        text.fontSize = "13px";
+        text.fontFamily = "monospace";
+        text.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        text.textWrapping = true;
+        text.resizeToFit = true;
+        text.paddingLeft = "10px";
+        text.paddingRight = "10px";
+        inspectorContent.addControl(text);
+        return text;
+    };
+
+    // Uptime, activity, protocol state and traffic; peers get a button each, below
+    const inspectorText = createInspectorText("inspectorText");
+    const inspectorPeersText = createInspectorText("inspectorPeersText");
+    inspectorPeersText.paddingTop = "10px";
+
+    const inspectorPeers = new BABYLON.GUI.StackPanel("inspectorPeers");
+    inspectorPeers.width = "100%";
+    inspectorPeers.paddingBottom = "10px";
+    inspectorContent.addControl(inspectorPeers);
+
+    const inspectorState = {
+        nodeId: null,   // Node being inspected, null while the panel is closed
+        peerIds: "",    // Peers the buttons were built for, to rebuild them only when they change
+        updatedAt: 0    // Wall-clock time of the last refresh
+    };
+
+    /**
+     * Open the inspector on a node
+     * @param {string} nodeId - The node to inspect
+     */
+    function inspectNode(nodeId) {
+        inspectorState.nodeId = nodeId;
+        inspectorState.peerIds = "";
+        inspectorPanel.isVisible = true;
+        updateInspector();
+    }
+
+    /**
+     * Glide the camera over to a node
+     * @param {string} nodeId - The node to look at
+     */
+    function focusNode(nodeId) {
+        const view = nodeViews.get(nodeId);
+        if (!view) return;
+        BABYLON.Animation.CreateAndStartAnimation(
+            "focusNode", camera, "target", 60, 30,
+            camera.target.clone(), view.position.clone(),
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
+        );
+    }
+
+    function updateInspector() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        const node = simulation.getNode(inspectorState.nodeId);
+        inspectorState.updatedAt = performance.now();
+        inspectorTitle.text = `🔍 ${inspectorState.nodeId}`;
+        if (!node) {
+            inspectorText.text = "Not in the live network: it left, or hasn't joined yet.";
+            inspectorPeersText.text = "";
+            inspectorPeers.clearControls();
+            inspectorState.peerIds = "";
+            return;
+        }
+
+        const countLines = counts => Object.entries(counts)
+            .sort(([, a], [, b]) => b - a)
+            .map(([type, count]) => `  ${type.padEnd(14)} ${String(count).padStart(6)}`);
+        const protocolState = Object.entries(simulation.protocol.describeNode(node))
+            .map(([label, value]) => `${label}: ${value}`);
+        const byzantine = node.behavior === BEHAVIORS.HONEST ? [] : [`Behavior: ${BEHAVIOR_INFO[node.behavior]?.title ?? node.behavior}`];
+        if (node.banned.size > 0) byzantine.push(`Banned: ${Array.from(node.banned).join(", ")}`);
+        if (node.isEclipsed) byzantine.push("Eclipsed by attackers");
+
+        const imported = Object.keys(node.attributes).length > 0 ? ["", "🏷️ Imported", ...describeAttributes(node.attributes)] : [];
+
+        inspectorText.text = [
+            `Uptime: ${((simulation.now - node.joinedAt) / 1000).toFixed(1)}s`,
+            `Activity: ${node.activity}`,
+            ...(node.location ? [`Location: ${formatLocation(node.location)}`] : []),
+            ...protocolState,
+            ...byzantine,
+            ...imported,
+            "",
+            "📤 Sent",
+            ...countLines(node.messagesSent),
+            "📥 Received",
+            ...countLines(node.messagesReceived)
+        ].join("\n");
+
+        const peerIds = Array.from(node.connections).sort();
+        inspectorPeersText.text = `🔗 Peers (${peerIds.length})`;
+        if (peerIds.join(",") === inspectorState.peerIds) return;
+
+        inspectorState.peerIds = peerIds.join(",");
+        inspectorPeers.clearControls();
+        peerIds.forEach(peerId => {
+            const link = simulation.getLink(node.nodeId, peerId);
+            // On a globe, how far away the peer is and what that costs
+            const peer = simulation.getNode(peerId);
+            const distance = node.location && peer?.location
+                ? `, ${Math.round(distanceKm(node.location, peer.location))} km, ${link.latency} ms`
+                : "";
+            const button = BABYLON.GUI.Button.CreateSimpleButton(`peer-${peerId}`, `${peerId} (${link.direction(node.nodeId)}${distance})`);
+            button.height = "26px";
+            button.width = "300px";
+            button.color = colors.text;
+            button.background = colors.button;
+            button.fontSize = "13px";
+            button.thickness = 0;
+            button.paddingTop = "2px";
+            button.hoverCursor = "pointer";
+            button.onPointerClickObservable.add(() => {
+                focusNode(peerId);
+                inspectNode(peerId);
+            });
+            inspectorPeers.addControl(button);
+        });
+    }
+
+    // Tooltip that follows the pointer over lines and packets
+    const tooltip = new BABYLON.GUI.Rectangle("tooltip");
+    tooltip.adaptWidthToChildren = true;
+    tooltip.adaptHeightToChildren = true;
+    tooltip.thickness = 0;
+    tooltip.cornerRadius = 6;
+    tooltip.background = "rgba(0, 0, 0, 0.7)";
+    tooltip.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    tooltip.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    tooltip.isPointerBlocker = false;
+    tooltip.isHitTestVisible = false;
+    tooltip.isVisible = false;
+    tooltip.zIndex = 50;
+    advancedTexture.addControl(tooltip);
+
+    const tooltipText = new BABYLON.GUI.TextBlock("tooltipText");
+    tooltipText.color = "white";
+    tooltipText.fontSize = "13px";
+    tooltipText.fontFamily = "monospace";
+    tooltipText.resizeToFit = true;
+    tooltipText.paddingLeft = "8px";
+    tooltipText.paddingRight = "8px";
+    tooltipText.paddingTop = "6px";
+    tooltipText.paddingBottom = "6px";
+    tooltip.addControl(tooltipText);
+
+    function showTooltip(text) {
+        tooltipText.text = text;
+        tooltip.left = `${scene.pointerX + 16}px`;
+        tooltip.top = `${scene.pointerY + 16}px`;
+        tooltip.isVisible = true;
+    }
+
+    /**
+     * @param {ConnectionView} connection - The hovered line
+     * @returns {string}
+     */
+    function describeConnection(connection) {
+        const { sourceNode, targetNode, state } = connection;
+        const lines = [`🔗 ${sourceNode.nodeId} → ${targetNode.nodeId} (${state})`];
+        const link = simulation.getLink(sourceNode.nodeId, targetNode.nodeId);
+        if (link) {
+            const ping = link.pingTime === null ? "not yet" : `${link.pingTime.toFixed(0)} ms`;
+            lines.push(`Latency ${link.latency.toFixed(0)} ms, ${formatBytes(link.bandwidth)}/s, ping ${ping}`);
+            if (sourceNode.location && targetNode.location) {
+                lines.push(`${Math.round(distanceKm(sourceNode.location, targetNode.location))} km apart`);
+            }
+            link.sent.forEach(({ messages, bytes }, nodeId) => {
+                lines.push(`${nodeId} sent ${messages} messages, ${formatBytes(bytes)}`);
+            });
+        }
+        lines.push("Click to close it");
+        return lines.join("\n");
+    }
+
+    /**
+     * @param {Object} message - The hovered packet's message
+     * @returns {string}
+     */
+    function describePacket(message) {
+        const viewTime = timelineState.isReplaying ? timelineSlider.value : simulation.now;
+        const where = viewTime < message.sentAt
+            ? `queued for ${((message.sentAt - viewTime) / 1000).toFixed(1)}s more`
+            : `arrives in ${(Math.max(message.deliverAt - viewTime, 0) / 1000).toFixed(1)}s`;
+        return [
+            `📦 ${message.isInvalid ? "invalid " : ""}${message.type}: ${message.source} → ${message.target}`,
+            `${formatBytes(message.size)}, ${where}`
+        ].join("\n");
+    }
+
+    // Dashboard overlay: the network's shape, traffic and propagation speed, with a chart of each over time
+    const dashboardBtn = BABYLON.GUI.Button.CreateSimpleButton("dashboard", "📊");
+    dashboardBtn.width = "40px";
+    dashboardBtn.height = "40px";
+    dashboardBtn.color = viewState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
+    dashboardBtn.background = viewState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
+    dashboardBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    dashboardBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    dashboardBtn.top = "10px";
+    dashboardBtn.left = "-50px";
+    dashboardBtn.cornerRadius = 8;
+    dashboardBtn.onPointerClickObservable.add(() => {
+        dashboardPanel.isVisible = !dashboardPanel.isVisible;
+        if (dashboardPanel.isVisible) {
+            updateDashboard();
+        }
+    });
+    advancedTexture.addControl(dashboardBtn);
+
+    const dashboardPanel = new BABYLON.GUI.Rectangle("dashboardPanel");
+    dashboardPanel.width = "620px";
+    dashboardPanel.height = "420px";
+    dashboardPanel.thickness = 0;
+    dashboardPanel.cornerRadius = 8;
+    dashboardPanel.background = "rgba(0, 0, 0, 0.7)";
+    dashboardPanel.isVisible = false;
+    dashboardPanel.zIndex = 90;
+    advancedTexture.addControl(dashboardPanel);
+
+    const dashboardText = new BABYLON.GUI.TextBlock("dashboardText");
+    dashboardText.color = "white";
+    dashboardText.fontSize = "12px";
+    dashboardText.fontFamily = "monospace";
+    dashboardText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    dashboardText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    dashboardText.paddingLeft = "12px";
+    dashboardText.paddingTop = "10px";
+    dashboardPanel.addControl(dashboardText);
+
+    const dashboardCloseBtn = BABYLON.GUI.Button.CreateSimpleButton("closeDashboard", "✕");
+    dashboardCloseBtn.width = "30px";
+    dashboardCloseBtn.height = "30px";
+    dashboardCloseBtn.color = "white";
+    dashboardCloseBtn.thickness = 0;
+    dashboardCloseBtn.cornerRadius = 15;
+    dashboardCloseBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    dashboardCloseBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    dashboardCloseBtn.top = "5px";
+    dashboardCloseBtn.left = "-5px";
+    dashboardCloseBtn.onPointerClickObservable.add(() => {
+        dashboardPanel.isVisible = false;
+    });
+    dashboardPanel.addControl(dashboardCloseBtn);
+
+    // A new sample arrives every simulated second; the dashboard redraws only while open
+    let isDashboardStale = true;
+
+    function updateDashboard() {
+        const metrics = simulation.metrics;
+        const sample = metrics.latest;
+        isDashboardStale = false;
+        if (!sample) {
+            dashboardText.text = "📊 Network metrics\n\nWaiting for the first sample...";
+            return;
+        }
+
+        const seconds = ms => ms === null ? "-" : `${(ms / 1000).toFixed(1)}s`;
+        const rates = Object.entries(sample.messageRates)
+            .sort(([, a], [, b]) => b - a)
+            .map(([type, rate]) => `${type} ${rate.toFixed(1)}`.padEnd(19));
+        const rateLines = [];
+        for (let i = 0; i < rates.length; i += 4) {
+            rateLines.push(`  ${rates.slice(i, i + 4).join("")}`);
+        }
+        const chart = (label, pick, format) =>
+            `${label.padEnd(13)}${sparkline(metrics.series(pick)).padEnd(metrics.options.historyLength)} ${format(pick(sample))}`;
+
+        dashboardText.text = [
+            `📊 Network metrics at ${seconds(sample.time)}`,
+            "",
+            `Nodes ${sample.nodes}   Edges ${sample.edges}   Degree avg ${sample.averageDegree.toFixed(1)}, max ${sample.maxDegree}`,
+            `Diameter ${sample.diameter}   Clustering ${sample.clustering.toFixed(2)}   Components ${sample.components}`,
+            "",
+            `✉️ ${sample.messagesPerSecond.toFixed(1)} messages/s over the last ${seconds(metrics.options.rateWindow)}`,
+            ...rateLines,
+            `⏱️ Propagation to each node: ${LATENCY_PERCENTILES.map(percent => `p${percent} ${seconds(sample.latency[percent])}`).join("   ")}`,
+            "",
+            `📈 Last ${seconds(metrics.samples.length * metrics.options.sampleInterval)}`,
+            chart("Nodes", s => s.nodes, String),
+            chart("Edges", s => s.edges, String),
+            chart("Avg degree", s => s.averageDegree, value => value.toFixed(1)),
+            chart("Diameter", s => s.diameter, String),
+            chart("Clustering", s => s.clustering, value => value.toFixed(2)),
+            chart("Components", s => s.components, String),
+            chart("Messages/s", s => s.messagesPerSecond, value => value.toFixed(0)),
+            chart("p90 latency", s => s.latency[90], seconds)
+        ].join("\n");
+    }
+
+    // Topology panel: the graph shape to build and grow, with a slider per parameter
+    const topologyPanel = new BABYLON.GUI.StackPanel("topology");
+    topologyPanel.width = "325px";
+    topologyPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    topologyPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    topologyPanel.paddingRight = "10px";
+    topologyPanel.top = "-60px";
+    topologyPanel.background = "rgba(0, 0, 0, 0.7)";
+    advancedTexture.addControl(topologyPanel);
+
+    // Type button: restarts the run with the same seed on the next topology
+    const topologyBtn = BABYLON.GUI.Button.CreateSimpleButton("topologyType", "🕸️ Bitcoin-like");
+    topologyBtn.width = "300px";
+    topologyBtn.height = "30px";
+    topologyBtn.color = "white";
+    topologyBtn.fontSize = "14px";
+    topologyBtn.thickness = 0;
+    topologyBtn.hoverCursor = "pointer";
+
+    topologyBtn.onPointerClickObservable.add(() => {
+        const types = Object.keys(TOPOLOGIES);
+        const next = types[(types.indexOf(simulation.scenario.topology.type) + 1) % types.length];
+        restartWithTopology({ type: next });
+    });
+    topologyPanel.addControl(topologyBtn);
+
+    // Import row: start a run from a saved getpeerinfo, getnodeaddresses or crawler dump, and color its nodes
+    const importRow = new BABYLON.GUI.StackPanel();
+    importRow.isVertical = false;
+    importRow.height = "30px";
+    topologyPanel.addControl(importRow);
+
+    const importPeersBtn = BABYLON.GUI.Button.CreateSimpleButton("importPeers", "📥 Import peers");
+    importPeersBtn.width = "150px";
+    importPeersBtn.height = "30px";
+    importPeersBtn.color = "white";
+    importPeersBtn.fontSize = "14px";
+    importPeersBtn.thickness = 0;
+    importPeersBtn.hoverCursor = "pointer";
+
+    importPeersBtn.onPointerClickObservable.add(() => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = "application/json,.json,text/csv,.csv";
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                startSimulation(parseScenario(peerScenario(parsePeerSnapshot(await file.text()), file.name)));
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            if (viewState.coloring === "none") {
+                setColoring("network");
+            }
+            forgetScenarioUrl();
+        };
+        input.click();
+    });
+    importRow.addControl(importPeersBtn);
+
+    const coloringBtn = BABYLON.GUI.Button.CreateSimpleButton("coloring", "🎨 Default");
+    coloringBtn.width = "150px";
+    coloringBtn.height = "30px";
+    coloringBtn.color = "white";
+    coloringBtn.fontSize = "14px";
+    coloringBtn.thickness = 0;
+    coloringBtn.hoverCursor = "pointer";
+
+    coloringBtn.onPointerClickObservable.add(() => {
+        const colorings = Object.keys(NODE_COLORINGS);
+        setColoring(colorings[(colorings.indexOf(viewState.coloring) + 1) % colorings.length]);
+    });
+    importRow.addControl(coloringBtn);
+
+    // Graph row: save the network for Gephi, networkx or Graphviz, or start a run from such a file
+    const graphRow = new BABYLON.GUI.StackPanel();
+    graphRow.isVertical = false;
+    graphRow.height = "30px";
+    topologyPanel.addControl(graphRow);
+
+    const exportGraphBtn = BABYLON.GUI.Button.CreateSimpleButton("exportGraph", "💾 Export graph");
+    exportGraphBtn.width = "150px";
+    exportGraphBtn.height = "30px";
+    exportGraphBtn.color = "white";
+    exportGraphBtn.fontSize = "14px";
+    exportGraphBtn.thickness = 0;
+    exportGraphBtn.hoverCursor = "pointer";
+
+    exportGraphBtn.onPointerClickObservable.add(() => {
+        graphMenu.isVisible = !graphMenu.isVisible;
+    });
+    graphRow.addControl(exportGraphBtn);
+
+    const importGraphBtn = BABYLON.GUI.Button.CreateSimpleButton("importGraph", "📂 Import graph");
+    importGraphBtn.width = "150px";
+    importGraphBtn.height = "30px";
+    importGraphBtn.color = "white";
+    importGraphBtn.fontSize = "14px";
+    importGraphBtn.thickness = 0;
+    importGraphBtn.hoverCursor = "pointer";
+
+    importGraphBtn.onPointerClickObservable.add(() => {
+        const input = document.createElement("input");
+        input.type = "file";
+        // Several files at once, for a CSV node table and its edge list
+        input.multiple = true;
+        input.accept = Object.values(GRAPH_FORMATS).flatMap(({ extensions }) => extensions.map(extension => `.${extension}`)).join(",");
+        input.onchange = async () => {
+            const files = Array.from(input.files);
+            if (files.length === 0) return;
+
+            try {
+                const graphs = await Promise.all(files.map(async file => parseGraph(await file.text())));
+                startSimulation(parseScenario(graphScenario(mergeGraphs(graphs), files.map(file => file.name).join(" + "))));
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            forgetScenarioUrl();
+        };
+        input.click();
+    });
+    graphRow.addControl(importGraphBtn);
+
+    // Export menu: one button per format, shown by the export button
+    const graphMenu = new BABYLON.GUI.StackPanel("graphMenu");
+    graphMenu.isVertical = false;
+    graphMenu.height = "30px";
+    graphMenu.isVisible = false;
+    topologyPanel.addControl(graphMenu);
+
+    Object.entries(GRAPH_FORMATS).forEach(([format, { title }]) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(`export${title}`, title);
+        button.width = "75px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "13px";
+        button.thickness = 0;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(() => {
+            exportGraph(format);
+            graphMenu.isVisible = false;
+        });
+        graphMenu.addControl(button);
+    });
+
+    /**
+     * Save the live network, where its nodes are drawn and its links' traffic so far
+     * @param {string} format - A key of GRAPH_FORMATS
+     */
+    function exportGraph(format) {
+        const positions = new Map(Array.from(nodeViews, ([nodeId, view]) => [nodeId, view.position]));
+        const { extensions, mimeType } = GRAPH_FORMATS[format];
+        writeGraph(graphSnapshot(simulation, positions), format).forEach(({ suffix, text }) => {
+            saveFile(`network-graph-${simulation.seed}${suffix}.${extensions[0]}`, text, mimeType);
+        });
+    }
+
+    // The run no longer comes from the ?scenario= URL
+    function forgetScenarioUrl() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete("scenario");
+        window.history.replaceState(null, "", url.toString());
+    }
+
+    // Which color stands for which value, most common first
+    const coloringLegend = new BABYLON.GUI.StackPanel("coloringLegend");
+    topologyPanel.addControl(coloringLegend);
+
+    // Nodes come and go all the time; their colors are worked out again once per frame at most
+    let isColoringStale = true;
+
+    /**
+     * Color the nodes by another of their attributes
+     * @param {string} coloring - A key of NODE_COLORINGS
+     */
+    function setColoring(coloring) {
+        viewState.coloring = coloring;
+        updateNodeColors();
+    }
+
+    function updateNodeColors() {
+        isColoringStale = false;
+        const { icon, title, attribute } = NODE_COLORINGS[viewState.coloring];
+        coloringBtn.textBlock.text = `${icon} ${title}`;
+
+        const counts = new Map();
+        if (attribute) {
+            nodeViews.forEach(({ attributes }) => {
+                if (attributes[attribute] === undefined) return;
+                const value = String(attributes[attribute]);
+                counts.set(value, (counts.get(value) ?? 0) + 1);
+            });
+        }
+        const ranked = Array.from(counts).sort(([, a], [, b]) => b - a);
+        const colorOf = new Map(ranked.map(([value], i) => [value, ATTRIBUTE_PALETTE[Math.min(i, ATTRIBUTE_PALETTE.length - 1)]]));
+        nodeViews.forEach(view => {
+            const value = view.attributes[attribute];
+            view.setAttributeColor(attribute && value !== undefined ? BABYLON.Color3.FromHexString(colorOf.get(String(value))) : null);
+        });
+
+        const shown = ranked.length > ATTRIBUTE_PALETTE.length ? ranked.slice(0, ATTRIBUTE_PALETTE.length - 1) : ranked;
+        const rest = ranked.slice(shown.length);
+        const entries = shown.map(([value, count]) => `${value} (${count})`);
+        if (rest.length > 0) {
+            entries.push(`${rest.length} others (${rest.reduce((sum, [, count]) => sum + count, 0)})`);
+        }
+        coloringLegend.clearControls();
+        entries.forEach((text, i) => {
+            const entry = new BABYLON.GUI.TextBlock(`legend${i}`, `● ${text}`);
+            entry.height = "18px";
+            entry.color = ATTRIBUTE_PALETTE[i];
+            entry.fontSize = "12px";
+            entry.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            entry.paddingLeft = "12px";
+            coloringLegend.addControl(entry);
+        });
+    }
+
+    // Parameter rows of the current topology, rebuilt on every run
+    let topologyRows = [];
+
+    /**
+     * Show the current run's topology and a slider for each of its parameters
+     */
+    function updateTopologyPanel() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        const topology = simulation.scenario.topology;
+        topologyBtn.textBlock.text = `🕸️ ${TOPOLOGIES[topology.type].title}`;
+
+        topologyRows.forEach(row => row.dispose());
+        topologyRows = Object.entries(TOPOLOGIES[topology.type].params).map(([name, param]) => {
+            const row = new BABYLON.GUI.StackPanel();
+            row.isVertical = false;
+            row.height = "30px";
+            topologyPanel.addControl(row);
+
+            const label = value => `${param.label} ${value}`;
+            const text = new BABYLON.GUI.TextBlock(`${name}Text`, label(topology[name]));
+            text.width = "160px";
+            text.color = colors.text;
+            text.fontSize = "12px";
+            row.addControl(text);
+
+            const slider = new BABYLON.GUI.Slider(name);
+            slider.minimum = param.min;
+            slider.maximum = param.max;
+            slider.step = param.step;
+            slider.value = topology[name];
+            slider.width = "140px";
+            slider.height = "20px";
+            slider.color = "#0066cc";
+            slider.background = colors.button;
+            // Round away floating point drift from the step
+            slider.onValueChangedObservable.add(value => {
+                text.text = label(Math.round(value / param.step) * param.step);
+            });
+            // Restart only once the slider is let go, not on every value it passes
+            slider.onPointerUpObservable.add(() => {
+                const value = Number((Math.round(slider.value / param.step) * param.step).toFixed(2));
+                if (value !== simulation.scenario.topology[name]) {
+                    restartWithTopology({ ...simulation.scenario.topology, [name]: value });
+                }
+            });
+            row.addControl(slider);
+            return row;
+        });
+    }
+
+    /**
+     * Rerun the current scenario and seed on another graph, so runs can be compared
+     * @param {{type: string}} topology - Topology type and any parameters to change
+     */
+    function restartWithTopology(topology) {
+        startSimulation({ ...simulation.scenario, topology }, simulation.seed);
+    }
+
+    // Phase panel: jump to a phase, hold it, retime it, and pick the sequence and whether it loops
+    const phasePanel = new BABYLON.GUI.StackPanel("phases");
+    phasePanel.width = "325px";
+    phasePanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    phasePanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    phasePanel.paddingLeft = "10px";
+    phasePanel.top = "-215px";
+    phasePanel.background = "rgba(0, 0, 0, 0.7)";
+    advancedTexture.addControl(phasePanel);
+
+    const phaseStatusText = new BABYLON.GUI.TextBlock("phaseStatus", "🎛️ Phases");
+    phaseStatusText.height = "26px";
+    phaseStatusText.color = "white";
+    phaseStatusText.fontSize = "13px";
+    phasePanel.addControl(phaseStatusText);
+
+    const phaseControls = new BABYLON.GUI.StackPanel();
+    phaseControls.isVertical = false;
+    phaseControls.height = "30px";
+    phasePanel.addControl(phaseControls);
+
+    const createPhaseButton = (name, text, onClick) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "106px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "13px";
+        button.thickness = 0;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(() => {
+            goLive();
+            onClick();
+            updatePhasePanel();
+        });
+        phaseControls.addControl(button);
+        return button;
+    };
+
+    const holdBtn = createPhaseButton("holdPhase", "⏸️ Hold", () => simulation.holdPhase(!simulation.state.isPhaseHeld));
+    const loopBtn = createPhaseButton("loopPhases", "🔁 Loop", () => simulation.setPhaseLooping(!simulation.scenario.loopPhases));
+    const sequenceBtn = createPhaseButton("phaseSequence", "📋 Scenario", () => {
+        const names = Object.keys(PHASE_SEQUENCES);
+        phaseState.sequence = names[(names.indexOf(phaseState.sequence) + 1) % names.length];
+        simulation.setPhaseSequence(PHASE_SEQUENCES[phaseState.sequence].build(phaseState.scenarioPhases));
+        updatePhaseRows();
+    });
+
+    const phaseState = {
+        sequence: "scenario",
+        scenarioPhases: [], // The run's own sequence, to go back to
+        rows: []            // One row per phase of the sequence: jump button, duration slider and text
+    };
+
+    /**
+     * Build a row for every phase of the current sequence
+     */
+    function updatePhaseRows() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        phaseState.rows.forEach(row => row.dispose());
+        phaseState.rows = simulation.scenario.phases.map((entry, index) => {
+            const row = new BABYLON.GUI.StackPanel();
+            row.isVertical = false;
+            row.height = "30px";
+            phasePanel.addControl(row);
+
+            const icons = [entry.phase, ...(entry.with ?? [])].map(phase => PHASE_INFO[phase].icon).join("");
+            const jumpBtn = BABYLON.GUI.Button.CreateSimpleButton(`goToPhase${index}`, `${icons} ${PHASE_INFO[entry.phase].title}`);
+            jumpBtn.width = "175px";
+            jumpBtn.height = "28px";
+            jumpBtn.color = colors.text;
+            jumpBtn.fontSize = "12px";
+            jumpBtn.thickness = 0;
+            jumpBtn.cornerRadius = 4;
+            jumpBtn.hoverCursor = "pointer";
+            jumpBtn.onPointerClickObservable.add(() => {
+                goLive();
+                simulation.goToPhase(index);
+                updatePhasePanel();
+            });
+            row.addControl(jumpBtn);
+
+            const label = duration => `${(duration / 1000).toFixed(1)}s`;
+            const slider = new BABYLON.GUI.Slider(`phaseDuration${index}`);
+            slider.minimum = 1000;
+            slider.maximum = 60000;
+            slider.step = 500;
+            slider.value = entry.duration;
+            slider.width = "95px";
+            slider.height = "20px";
+            slider.color = "#0066cc";
+            slider.background = colors.button;
+            row.addControl(slider);
+
+            const text = new BABYLON.GUI.TextBlock(`phaseDurationText${index}`, label(entry.duration));
+            text.width = "50px";
+            text.color = colors.text;
+            text.fontSize = "12px";
+            row.addControl(text);
+
+            // Durations apply live, even to the phase that is running
+            slider.onValueChangedObservable.add(value => {
+                text.text = label(value);
+                if (value !== simulation.scenario.phases[index]?.duration) {
+                    simulation.setPhaseDuration(index, value);
+                }
+            });
+            return row;
+        });
+        updatePhasePanel();
+    }
+
+    /**
+     * Show which phase runs, how long it has left, and the state of the controls
+     */
+    function updatePhasePanel() {
+        const { phaseIndex, isPhaseHeld } = simulation.state;
+        const endsAt = simulation.phaseEndsAt;
+        const status = endsAt !== null
+            ? `ends in ${(Math.max(endsAt - simulation.now, 0) / 1000).toFixed(1)}s`
+            : isPhaseHeld ? "held" : "last phase, stays";
+        phaseStatusText.text = `🎛️ Phase ${phaseIndex + 1}/${simulation.scenario.phases.length}: ${status}`;
+        holdBtn.textBlock.text = isPhaseHeld ? "▶️ Release" : "⏸️ Hold";
+        loopBtn.textBlock.text = simulation.scenario.loopPhases ? "🔁 Loop" : "➡️ Once";
+        const sequence = PHASE_SEQUENCES[phaseState.sequence];
+        sequenceBtn.textBlock.text = `${sequence.icon} ${sequence.title}`;
+
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        phaseState.rows.forEach((row, index) => {
+            row.children[0].background = index === phaseIndex ? "#0066cc" : colors.button;
+        });
+    }
+
+    // Edit mode: spawn, drag, link and delete nodes by hand, with undo and redo
+    const editBtn = BABYLON.GUI.Button.CreateSimpleButton("edit", "✏️");
+    editBtn.width = "40px";
+    editBtn.height = "40px";
+    editBtn.color = viewState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
+    editBtn.background = viewState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
+    editBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    editBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    editBtn.top = "10px";
+    editBtn.left = "-100px";
+    editBtn.cornerRadius = 8;
+    editBtn.onPointerClickObservable.add(() => setEditing(!editState.isEditing));
+    advancedTexture.addControl(editBtn);
+
+    const editPanel = new BABYLON.GUI.StackPanel("editPanel");
+    editPanel.width = "540px";
+    editPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    editPanel.top = "230px";
+    editPanel.background = "rgba(0, 0, 0, 0.7)";
+    editPanel.isVisible = false;
+    advancedTexture.addControl(editPanel);
+
+    const editStatusText = new BABYLON.GUI.TextBlock("editStatus", "");
+    editStatusText.height = "44px";
+    editStatusText.color = "white";
+    editStatusText.fontSize = "13px";
+    editPanel.addControl(editStatusText);
+
+    const editControls = new BABYLON.GUI.StackPanel();
+    editControls.isVertical = false;
+    editControls.height = "34px";
+    editPanel.addControl(editControls);
+
+    const createEditButton = (name, text, onClick) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "106px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "13px";
+        button.thickness = 0;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(onClick);
+        editControls.addControl(button);
+        return button;
+    };
+
+    const undoBtn = createEditButton("undoEdit", "↩️ Undo", () => undoEdit());
+    const redoBtn = createEditButton("redoEdit", "↪️ Redo", () => redoEdit());
+    const deleteBtn = createEditButton("deleteSelection", "🗑️ Delete", () => deleteSelection());
+    const injectTxBtn = createEditButton("injectTransaction", "💸 Tx", () => injectAtSelection("transaction"));
+    const injectBlockBtn = createEditButton("injectBlock", "📦 Block", () => injectAtSelection("block"));
+
+    const editState = {
+        isEditing: false,
+        editor: null,    // Undo history of the current run
+        selection: null, // { nodeId } or { link: [nodeId, nodeId] }
+        drag: null,      // Node being dragged, or linked from with shift held
+        message: ""      // Outcome of the last edit
+    };
+
+    /**
+     * Turn edit mode on or off; on shows the live network
+     * @param {boolean} isEditing - Whether clicks and drags edit the network
+     */
+    function setEditing(isEditing) {
+        if (isEditing) {
+            goLive();
+        }
+        editState.isEditing = isEditing;
+        editState.selection = null;
+        editState.message = "";
+        editPanel.isVisible = isEditing;
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        editBtn.background = isEditing ? "#0066cc" : colors.button;
+        updateEditPanel();
+    }
+
+    /**
+     * Select a node or a link for Delete and the inject buttons
+     * @param {{nodeId: string}|{link: string[]}|null} selection - What to select, or null for nothing
+     */
+    function selectForEdit(selection) {
+        editState.selection = selection;
+        editState.message = "";
+        updateEditPanel();
+    }
+
+    /**
+     * Apply an edit to the live network and show how it went
+     * @param {function(): string} edit - Makes the edit and describes the outcome
+     */
+    function runEdit(edit) {
+        goLive();
+        editState.message = edit();
+        updateEditPanel();
+    }
+
+    function undoEdit() {
+        runEdit(() => {
+            const label = editState.editor.undo();
+            return label ? `Undid: ${label}` : "Nothing to undo";
+        });
+    }
+
+    function redoEdit() {
+        runEdit(() => {
+            const label = editState.editor.redo();
+            return label ? `Redid: ${label}` : "Nothing to redo";
+        });
+    }
+
+    function deleteSelection() {
+        const { selection, editor } = editState;
+        if (!selection) return;
+        editState.selection = null;
+        runEdit(() => {
+            if (selection.nodeId) {
+                return editor.removeNode(selection.nodeId) ? `Removed ${selection.nodeId}` : `${selection.nodeId} already left`;
+            }
+            const [a, b] = selection.link;
+            return editor.disconnect(a, b) ? `Unlinked ${a} from ${b}` : `${a} and ${b} are no longer linked`;
+        });
+    }
+
+    /**
+     * Create a transaction or block at the selected node
+     * @param {string} kind - "transaction" or "block"
+     */
+    function injectAtSelection(kind) {
+        const nodeId = editState.selection?.nodeId;
+        if (!nodeId) return;
+        runEdit(() => editState.editor.inject(nodeId, kind)
+            ? `${kind === "block" ? "📦 Block" : "💸 Transaction"} created at ${nodeId}`
+            : `${nodeId} already left`);
+    }
+
+    function updateEditPanel() {
+        const { selection, editor, message } = editState;
+        const selected = selection?.nodeId
+            ? `Selected ${selection.nodeId}: Delete removes it, T or B injects a transaction or block`
+            : selection
+                ? `Selected link ${selection.link[0]} ↔ ${selection.link[1]}: Delete cuts it`
+                : "Click space to add a node, drag to move, shift-drag to link, click to select";
+        editStatusText.text = `✏️ ${selected}${message ? `\n${message}` : ""}`;
+
+        // Faded buttons have nothing to act on
+        undoBtn.alpha = editor?.canUndo ? 1 : 0.4;
+        redoBtn.alpha = editor?.canRedo ? 1 : 0.4;
+        deleteBtn.alpha = selection ? 1 : 0.4;
+        [injectTxBtn, injectBlockBtn].forEach(button => button.alpha = selection?.nodeId ? 1 : 0.4);
+    }
+
+    /**
+     * Node under the pointer, if any
+     * @returns {BitcoinNode|SwarmNode|undefined}
+     */
+    function pickNodeView() {
+        return pickedNodeView(scene.pick(scene.pointerX, scene.pointerY, isNodeMesh));
+    }
+
+    /**
+     * Point under the pointer on the plane facing the camera through a given point
+     * @param {BABYLON.Vector3} through - Point the plane passes through
+     * @returns {BABYLON.Vector3|null} null if the plane is edge-on to the view
+     */
+    function pointerOnPlane(through) {
+        const ray = scene.createPickingRay(scene.pointerX, scene.pointerY, BABYLON.Matrix.Identity(), camera);
+        const distance = ray.intersectsPlane(BABYLON.Plane.FromPositionAndNormal(through, camera.getDirection(BABYLON.Axis.Z)));
+        return distance === null ? null : ray.origin.add(ray.direction.scale(distance));
+    }
+
+    /**
+     * Point under the pointer to put a node at: on the Earth while the globe shows,
+     * elsewhere on the plane facing the camera through a given point
+     * @param {BABYLON.Vector3} through - Point the plane passes through
+     * @returns {BABYLON.Vector3|null} null if the pointer misses the Earth, or the plane is edge-on
+     */
+    function pointerTarget(through) {
+        if (!globe.mesh) {
+            return pointerOnPlane(through);
+        }
+        const pick = scene.pick(scene.pointerX, scene.pointerY, mesh => mesh === globe.mesh);
+        return pick?.hit ? pick.pickedPoint.normalize().scale(globe.radius) : null;
+    }
+
+    // Press on a node to drag it, or with shift held to draw a link from it; click empty space to add a node
+    scene.onPointerObservable.add((pointerInfo) => {
+        if (!editState.isEditing) return;
+
+        switch (pointerInfo.type) {
+            case BABYLON.PointerEventTypes.POINTERDOWN: {
+                goLive();
+                const view = pickNodeView();
+                if (!view) return;
+                // The camera would orbit along with the drag
+                camera.detachControl();
+                editState.drag = {
+                    nodeId: view.nodeId,
+                    from: view.position.clone(),
+                    isLinking: pointerInfo.event.shiftKey,
+                    hasMoved: false,
+                    line: null
+                };
+                break;
+            }
+            case BABYLON.PointerEventTypes.POINTERMOVE:
+                if (editState.drag) {
+                    dragTo();
+                }
+                break;
+            case BABYLON.PointerEventTypes.POINTERUP:
+                if (editState.drag) {
+                    endDrag();
+                }
+                break;
+            case BABYLON.PointerEventTypes.POINTERTAP: {
+                const isLine = mesh => meshTargets.get(mesh)?.connection !== undefined;
+                if (pickNodeView() || scene.pick(scene.pointerX, scene.pointerY, isLine)?.hit) return;
+                const point = pointerTarget(camera.target);
+                if (!point) return;
+                runEdit(() => `Added ${editState.editor.addNode({ x: point.x, y: point.y, z: point.z }).nodeId}`);
+                break;
+            }
+        }
+    });
+
+    function dragTo() {
+        const drag = editState.drag;
+        const view = nodeViews.get(drag.nodeId);
+        if (!view) return;
+
+        if (drag.isLinking) {
+            const target = pickNodeView();
+            const end = target && target !== view ? target.position : pointerTarget(view.position);
+            if (!end) return;
+            drag.line = BABYLON.MeshBuilder.CreateLines("editLink", {
+                points: [view.position, end],
+                updatable: true,
+                instance: drag.line
+            }, scene);
+            drag.line.color = new BABYLON.Color3(0, 0.4, 0.8);
+            drag.line.isPickable = false;
+            return;
+        }
+
+        const point = pointerTarget(drag.from);
+        if (!point) return;
+        drag.hasMoved = true;
+        layoutState.pinned.set(drag.nodeId, point);
+        view.position.copyFrom(point);
+        connectionViews.forEach(connection => {
+            if (connection.sourceNode === view || connection.targetNode === view) {
+                connection.update();
+            }
+        });
+    }
+
+    function endDrag() {
+        const { nodeId, from, isLinking, hasMoved, line } = editState.drag;
+        editState.drag = null;
+        camera.attachControl(canvas, true);
+        line?.dispose();
+
+        if (isLinking) {
+            const target = pickNodeView();
+            if (!target || target.nodeId === nodeId) return;
+            runEdit(() => editState.editor.connect(nodeId, target.nodeId)
+                ? `Linked ${nodeId} to ${target.nodeId}`
+                : `${nodeId} and ${target.nodeId} can't be linked: already linked, split by a netsplit, or refusing each other`);
+        } else if (hasMoved) {
+            const position = nodeViews.get(nodeId)?.position;
+            if (!position) return;
+            runEdit(() => editState.editor.moveNode(nodeId, { x: position.x, y: position.y, z: position.z }, { x: from.x, y: from.y, z: from.z })
+                ? `Moved ${nodeId}`
+                : `${nodeId} already left`);
+        }
+    }
+
+    // Undo and redo, delete, and inject at the selected node, from the keyboard
+    window.addEventListener("keydown", (event) => {
+        if (!editState.isEditing) return;
+
+        const key = event.key.toLowerCase();
+        const isShortcut = event.ctrlKey || event.metaKey;
+        if (isShortcut && key === "z") {
+            event.shiftKey ? redoEdit() : undoEdit();
+        } else if (isShortcut && key === "y") {
+            redoEdit();
+        } else if (isShortcut) {
+            return;
+        } else if (key === "delete" || key === "backspace") {
+            deleteSelection();
+        } else if (key === "t") {
+            injectAtSelection("transaction");
+        } else if (key === "b") {
+            injectAtSelection("block");
+        } else if (key === "escape") {
+            selectForEdit(null);
+        } else {
+            return;
+        }
+        event.preventDefault();
+    });
+
+    // Panels swallow the clicks on them, so clicking a panel doesn't add a node behind it or orbit the camera
+    [
+        panel, phasePanel, topologyPanel, timelinePanel, propagationPanel, mempoolPanel, miningPanel,
+        attackStatsPanel, inspectorPanel, dashboardPanel, editPanel
+    ].forEach(control => control.isPointerBlocker = true);
+
+    // Unsubscribe functions for the current simulation's events
+    let simulationSubscriptions = [];
+
+    /**
+     * Draw the coming run in bulk, or with meshes of its own per node, link and packet.
+     * Only called while nothing is shown.
+     * @param {boolean} isBulk - Whether to draw in bulk
+     */
+    function setBulk(isBulk) {
+        if (isBulk === Boolean(bulkViews.nodes)) return;
+        if (isBulk) {
+            bulkViews.nodes = new NodeSwarm(scene);
+            bulkViews.links = new LinkWeb(scene);
+            bulkViews.packets = new PacketSwarm(scene);
+        } else {
+            Object.values(bulkViews).forEach(views => views.dispose());
+            bulkViews.nodes = bulkViews.links = bulkViews.packets = null;
+        }
+    }
+
+    /**
+     * Replace the current run with a new simulation and start it
+     * @param {Object} [scenario] - Parsed scenario; the default demo if omitted
+     * @param {number|string} [seed] - Seed to replay; the scenario's or a fresh one if omitted
+     */
+    function startSimulation(scenario, seed) {
+        simulationSubscriptions.forEach(unsubscribe => unsubscribe());
+        renderSnapshot({ nodes: [], links: [], messages: [], severed: [], phase: null });
+
+        const { nodes, initialNodeCount, churn } = parseScenario(scenario ?? {});
+        const isBulk = Math.max(nodes.length || initialNodeCount, churn.maxNodes) > BULK_NODE_THRESHOLD;
+        simulation = new NetworkSimulation({ scenario, seed, logOptions: isBulk ? BULK_LOG_OPTIONS : undefined });
+        simulation.setSpeed(SPEEDS[Math.round(speedSlider.value)]);
+        setBulk(isBulk);
+        // Attackers withhold gossip, which only Bitcoin has
+        attackPanel.isVisible = simulation.scenario.protocol === "bitcoin";
+
+        simulationSubscriptions = [
+            simulation.on("nodeAdded", ({ node }) => showNode({
+                nodeId: node.nodeId,
+                position: node.position,
+                group: node.group,
+                height: node.chain.height,
+                hashpower: node.hashpower,
+                attributes: node.attributes,
+                location: node.location
+            })),
+            simulation.on("nodeRemoved", ({ node }) => {
+                hideNode(node.nodeId, true);
+                isMempoolPanelStale = true;
+            }),
+            simulation.on("nodeMoved", ({ node }) => {
+                layoutState.pinned.set(node.nodeId, { ...node.position });
+                const view = nodeViews.get(node.nodeId);
+                if (view) {
+                    view.location = node.location;
+                }
+            }),
+            simulation.on("linkAdded", ({ source, target, link }) => {
+                showLink(source.nodeId, target.nodeId, link.state);
+                isAttackPanelStale = true;
+            }),
+            simulation.on("linkRemoved", ({ source, target }) => {
+                hideLink(source.nodeId, target.nodeId, true);
+                isAttackPanelStale = true;
+            }),
+            simulation.on("linkStateChanged", ({ link }) => {
+                connectionViews.get(linkKey(link.sourceId, link.targetId))?.setState(link.state);
+            }),
+
+            simulation.on("messageSent", (message) => showPacket({
+                ...message,
+                source: message.source.nodeId,
+                target: message.target.nodeId,
+                isInvalid: Boolean(message.payload.isInvalid)
+            })),
+            simulation.on("messageDelivered", (message) => hidePacket(message.id)),
+
+            simulation.on("nodeUpdated", ({ node }) => {
+                const view = nodeViews.get(node.nodeId);
+                if (!view) return;
+
+                switch (node.activity) {
+                    case ACTIVITIES.DISCOVERING:
+                        view.setDiscovering(true);
+                        break;
+                    case ACTIVITIES.SYNCING:
+                        view.showSyncProgress(node.syncProgress, scene);
+                        break;
+                    case ACTIVITIES.PROCESSING:
+                        view.setProcessing(true);
+                        break;
+                    case ACTIVITIES.MINING:
+                        view.setMining(true);
+                        break;
+                    default:
+                        view.setMining(false);
+                }
+            }),
+
+            simulation.on("chainChanged", ({ node, tip }) => {
+                nodeViews.get(node.nodeId)?.setChainHeight(tip.height);
+                isMiningPanelStale = true;
+                isAttackPanelStale = true;
+            }),
+            simulation.on("behaviorChanged", ({ node }) => {
+                nodeViews.get(node.nodeId)?.setBehavior(node.behavior, scene);
+                isAttackPanelStale = true;
+            }),
+            simulation.on("eclipseChanged", ({ node }) => {
+                nodeViews.get(node.nodeId)?.setEclipsed(node.isEclipsed);
+                isAttackPanelStale = true;
+            }),
+            simulation.on("peerBanned", () => {
+                isAttackPanelStale = true;
+            }),
+            simulation.on("blockMined", () => {
+                isMiningPanelStale = true;
+            }),
+            simulation.on("roleChanged", ({ node, role }) => nodeViews.get(node.nodeId)?.setRole(role)),
+            simulation.on("committed", ({ node, height }) => nodeViews.get(node.nodeId)?.setCommittedHeight(height)),
+            simulation.on("phaseChanged", () => updateInstructions()),
+            simulation.on("partitionChanged", ({ partition }) => showPartition(simulation.nodes, partition?.severed ?? [])),
+
+            simulation.on("itemCreated", () => updatePropagationPanel()),
+            simulation.on("itemPropagated", () => updatePropagationPanel()),
+
+            simulation.on("mempoolChanged", ({ node }) => {
+                nodeViews.get(node.nodeId)?.setMempoolSize(node.mempool.count, scene);
+                isMempoolPanelStale = true;
+            }),
+            simulation.on("transactionRejected", () => {
+                isMempoolPanelStale = true;
+            }),
+            simulation.on("metricsSampled", () => {
+                isDashboardStale = true;
+            })
+        ];
+
+        timelineState.log = simulation.log;
+        timelineState.isReplaying = false;
+        playPauseBtn.textBlock.text = "⏸️ Pause";
+        seedBtn.textBlock.text = `🎲 Seed ${simulation.seed}`;
+        scenarioBtn.textBlock.text = `📄 ${simulation.scenario.name}`;
+        protocolBtn.textBlock.text = `⚙️ ${PROTOCOLS[simulation.scenario.protocol].title}`;
+        updateTopologyPanel();
+        phaseState.sequence = "scenario";
+        phaseState.scenarioPhases = simulation.scenario.phases.map(entry => ({ ...entry }));
+        updatePhaseRows();
+        layoutState.pinned.clear();
+        globeBtn.textBlock.text = simulation.scenario.geography.enabled ? "🗺️ Flat" : "🌍 Globe";
+        // Geographic runs start on the globe, which other runs can't show, and big ones on a sphere,
+        // as the force-directed layout takes long to untangle thousands of nodes
+        if (simulation.scenario.geography.enabled) {
+            setLayout(LAYOUTS.GLOBE);
+        } else if (isOnGlobe() || (bulkViews.nodes && layoutState.layout === LAYOUTS.FORCE)) {
+            setLayout(bulkViews.nodes ? LAYOUTS.SPHERICAL : LAYOUTS.FORCE);
+        }
+        if (bulkViews.nodes) {
+            camera.radius = Math.max(camera.radius, simulation.radius * 3);
+        }
+        editState.editor = new NetworkEditor(simulation);
+        editState.selection = null;
+        editState.message = "";
+        updateEditPanel();
+
+        // Keep the address bar pointing at this exact run
+        const url = new URL(window.location.href);
+        url.searchParams.set("seed", simulation.seed);
+        window.history.replaceState(null, "", url.toString());
+
+        // Create the initial network; this also shows the first phase's message
+        simulation.start();
+        updatePropagationPanel();
+        isMempoolPanelStale = true;
+        isMiningPanelStale = true;
+        isAttackPanelStale = true;
+        isDashboardStale = true;
+    }
+
+    // Initialize theme
+    updateTheme();
+
+    // Start the scenario from the URL, or the default demo
+    const scenarioUrl = urlParams.get("scenario");
+    const seedParam = urlParams.get("seed") ?? undefined;
+    if (scenarioUrl) {
+        fetch(scenarioUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load scenario ${scenarioUrl} (HTTP ${response.status})`);
+                }
+                return response.text();
+            })
+            .then(text => startSimulation(parseScenario(text), seedParam))
+            .catch(error => {
+                alert(error.message);
+                startSimulation(undefined, seedParam);
+            });
+    } else {
+        startSimulation(undefined, seedParam);
+    }
+
+    // Drive the simulation clock from the render loop
+    scene.onBeforeRenderObservable.add(() => {
+        if (!simulation) return;
+
+        // A frame slowed by a big network would otherwise ask for an even bigger step next time
+        simulation.advance(Math.min(scene.getEngine().getDeltaTime(), MAX_FRAME_MS));
+        updateLayout();
+
+        const viewTime = timelineState.isReplaying ? timelineSlider.value : simulation.now;
+        packets.forEach(({ message, handle }) => {
+            // A message with no size on a link with no latency arrives the moment it leaves
+            const travelTime = message.deliverAt - message.sentAt;
+            handle.update(travelTime > 0 ? (viewTime - message.sentAt) / travelTime : Number(viewTime >= message.sentAt));
+        });
+        if (bulkViews.nodes) {
+            bulkViews.nodes.render();
+            bulkViews.links.render();
+            bulkViews.packets.render(camera.radius > simulation.radius * PACKET_LOD_DISTANCE);
+        }
+
+        if (!timelineState.isReplaying) {
+            setTimelineValue(simulation.now, simulation.now);
+        }
+        if (isMempoolPanelStale) {
+            updateMempoolPanel();
+        }
+        if (isMiningPanelStale) {
+            updateMiningPanel();
+        }
+        if (isAttackPanelStale) {
+            updateAttackPanel();
+        }
+        if (!timelineState.isReplaying) {
+            updatePhasePanel();
+        }
+        if (isDashboardStale && dashboardPanel.isVisible) {
+            updateDashboard();
+        }
+        if (isColoringStale) {
+            updateNodeColors();
+        }
+        // Uptime and traffic change all the time; a few refreshes a second keep up
+        if (inspectorState.nodeId && performance.now() - inspectorState.updatedAt > 250) {
+            updateInspector();
+        }
+        updateTimeText(viewTime);
+    });
+
+    /**
+     * @param {string} [phase] - Phase to describe; the live one if omitted
+     * @param {string[]} [alongside] - Phases running at the same time, named after it
+     */
+    function updateInstructions(phase = simulation.state.currentPhase, alongside = simulation.state.activePhases.slice(1)) {
+        const phaseStyle = PHASE_STYLES[phase];
+        const phaseInfo = PHASE_INFO[phase];
+        const extras = alongside.map(other => ` + ${PHASE_INFO[other].icon} ${PHASE_INFO[other].title}`).join("");
+
+        // Update main text with title and description
+        instructionsText.text = `${phaseInfo.icon} ${phaseInfo.title}${extras}\n${phaseInfo.description}`;
+        instructionsText.color = phaseStyle.color;
+        instructionsText.outlineColor = phaseStyle.outlineColor;
+        instructionsText.height = "80px"; // Increased height to accommodate two lines
+
+        // Update shadow layers
+        instructionsShadows.forEach((shadow, index) => {
+            shadow.text = instructionsText.text;
+            shadow.color = phaseStyle.glowColor;
+            shadow.height = "80px"; // Match the height
+        });
+    }
+
+    // Update the responsive font sizing to include shadows
+    window.addEventListener("resize", () => {
+        const width = window.innerWidth;
+        let titleSize, instructionsSize, instructionsTop;
+
+        if (width < 600) {
+            titleSize = "24px";
+            instructionsSize = "18px";
+            instructionsTop = "120px"; // Adjusted for better spacing on mobile
+        } else if (width < 1024) {
+            titleSize = "28px";
+            instructionsSize = "20px";
+            instructionsTop = "130px";
+        } else {
+            titleSize = "32px";
+            instructionsSize = "24px";
+            instructionsTop = "140px";
+        }
+
+        titleText.fontSize = titleSize;
+        instructionsText.fontSize = instructionsSize;
+        instructionsText.top = instructionsTop;
+
+        // Update shadow layers
+        instructionsShadows.forEach((shadow, i) => {
+            shadow.fontSize = instructionsSize;
+            shadow.top = `${parseInt(instructionsTop) + (i * instructionsShadowOffset)}px`;
+        });
+    });
+
+    // Start the render loop
+    engine.runRenderLoop(() => {
+        scene.render();
+    });
+
+    // Handle window resize
+    window.addEventListener("resize", () => {
+        engine.resize();
+    });
+}
+return { createScene };
+})();
+return module_script;
+})();
@@ -1,5 +1,14 @@
+import {
+    NetworkSimulation, EventLog, parseScenario, PHASES, PHASE_DURATIONS, ACTIVITIES,
+    PROTOCOLS, NETWORK_PHASES, TOPOLOGIES, LAYOUTS, ForceLayout, arrangeNodes, NetworkEditor,
+    parsePeerSnapshot, peerScenario, GRAPH_FORMATS, graphSnapshot, writeGraph, parseGraph, mergeGraphs, graphScenario,
+    PEER_ATTRIBUTE_LABELS, greatCirclePoint, distanceKm, locationToPosition, LINK_STATES, LATENCY_PERCENTILES, RAFT_PHASES, RAFT_ROLES, PBFT_PHASES, PBFT_ROLES, POS_PHASES, POS_ROLES, BEHAVIORS
+} from "./sim/index.js";
+import { WORLD_OUTLINES } from "./assets/world-outline.js";
+
 /**
- * Represents a Distributed network
+ * Visual representation of a node in the distributed network.
+ * Graph state lives in the simulation; this class only owns meshes.
  */
 class BitcoinNode {
     /**
@@ -9,7 +18,6 @@ class BitcoinNode {
      */
     constructor(scene, position, nodeId) {
         this.nodeId = nodeId;
-        this.connections = new Set();
 
         // Create visual representation of the node
         this.mesh = BABYLON.MeshBuilder.CreateSphere(`node-${nodeId}`, {
@@ -21,38 +29,185 @@ class BitcoinNode {
         this.material = new BABYLON.StandardMaterial(`nodeMaterial-${nodeId}`, scene);
         this.material.diffuseColor = new BABYLON.Color3(0.2, 0.5, 0.8);
         this.mesh.material = this.material;
+
+        // Tints: a netsplit side wins over an imported attribute, which wins over the default
+        this.groupColor = null;
+        this.attributeColor = null;
+
+        // What an imported snapshot says about the real node, e.g. its network type
+        this.attributes = {};
+    }
+
+    /**
+     * Where the node is drawn; layouts move it in place
+     * @returns {BABYLON.Vector3}
+     */
+    get position() {
+        return this.mesh.position;
+    }
+
+    /**
+     * Add the small label above the node showing its chain height, and a pick for miners
+     * @param {BABYLON.GUI.AdvancedDynamicTexture} ui - Fullscreen GUI to draw the label on
+     */
+    showLabel(ui) {
+        this.heightLabel = new BABYLON.GUI.TextBlock(`height-${this.nodeId}`);
+        this.heightLabel.fontSize = "11px";
+        this.heightLabel.fontFamily = "monospace";
+        this.heightLabel.color = "#ffb300";
+        this.heightLabel.outlineWidth = 2;
+        this.heightLabel.outlineColor = "black";
+        ui.addControl(this.heightLabel);
+        this.heightLabel.linkWithMesh(this.mesh);
+        this.heightLabel.linkOffsetY = -22;
+
+        this.chainHeight = 0;
+        this.committedHeight = 0;
+        this.isMiner = false;
+        this.role = null;
+        this.behavior = BEHAVIORS.HONEST;
+        this.isEclipsed = false;
+        this.updateLabel();
+    }
+
+    updateLabel() {
+        const parts = [];
+        if (BEHAVIOR_INFO[this.behavior]) parts.push(BEHAVIOR_INFO[this.behavior].icon);
+        if (this.isEclipsed) parts.push("🎯");
+        if (ROLE_ICONS[this.role]) parts.push(ROLE_ICONS[this.role]);
+        if (this.isMiner) parts.push("⛏️");
+        // Protocols without a block chain only have a committed log to show
+        if (this.chainHeight > 0 || this.committedHeight === 0) parts.push(`#${this.chainHeight}`);
+        if (this.committedHeight > 0) parts.push(`✔${this.committedHeight}`);
+        this.heightLabel.text = parts.join(" ");
+    }
+
+    /**
+     * Show the height of the node's best chain
+     * @param {number} height - Chain height
+     */
+    setChainHeight(height) {
+        this.chainHeight = height;
+        this.updateLabel();
+    }
+
+    /**
+     * Show how much of the node's log or chain its consensus protocol has committed
+     * @param {number} height - Committed entries or finalized height
+     */
+    setCommittedHeight(height) {
+        this.committedHeight = height;
+        this.updateLabel();
+    }
+
+    /**
+     * Show the role the consensus protocol gave the node
+     * @param {string|null} role - Role, e.g. "leader"
+     */
+    setRole(role) {
+        this.role = role;
+        this.updateLabel();
     }
 
     /**
-     * Connect this node to another node
-     * @param {BitcoinNode} otherNode - The node to connect to
+     * Mark a misbehaving node with a red cage and its behavior's icon
+     * @param {string} behavior - One of BEHAVIORS
      * @param {BABYLON.Scene} scene - The Babylon.js scene
      */
-    connectTo(otherNode, scene) {
-        if (this.connections.has(otherNode.nodeId)) {
-            return;
+    setBehavior(behavior, scene) {
+        this.behavior = behavior;
+        this.updateLabel();
+
+        const isAttacker = behavior !== BEHAVIORS.HONEST;
+        if (isAttacker && !this.attackerMark) {
+            this.attackerMark = BABYLON.MeshBuilder.CreatePolyhedron(`attacker-${this.nodeId}`, {
+                type: 1, // Octahedron
+                size: 0.45
+            }, scene);
+            const markMaterial = new BABYLON.StandardMaterial(`attackerMaterial-${this.nodeId}`, scene);
+            markMaterial.emissiveColor = new BABYLON.Color3(1, 0.1, 0.1);
+            markMaterial.wireframe = true;
+            this.attackerMark.material = markMaterial;
+            this.attackerMark.parent = this.mesh;
+        }
+        if (this.attackerMark) {
+            this.attackerMark.isVisible = isAttacker;
+        }
+    }
+
+    /**
+     * Flag the node as the victim of an eclipse attack
+     * @param {boolean} isEclipsed - Whether attackers hold all its peer slots
+     */
+    setEclipsed(isEclipsed) {
+        this.isEclipsed = isEclipsed;
+        this.updateLabel();
+    }
+
+    /**
+     * Mark the node as a miner
+     * @param {boolean} isMiner - Whether the node has hashpower
+     */
+    setMiner(isMiner) {
+        this.isMiner = isMiner;
+        this.updateLabel();
+    }
+
+    /**
+     * Light the node up when it finds a block
+     * @param {boolean} isMining - Whether to show the flash
+     */
+    setMining(isMining) {
+        if (isMining) {
+            this.material.emissiveColor = new BABYLON.Color3(1, 0.5, 0);
+            this.mesh.scaling.setAll(1.4);
+        } else {
+            this.material.emissiveColor = BABYLON.Color3.Black();
+            this.mesh.scaling.setAll(1);
         }
+    }
 
-        // Create bidirectional connection
-        this.connections.add(otherNode.nodeId);
-        otherNode.connections.add(this.nodeId);
+    /**
+     * Show how many transactions wait in the node's mempool as a bar beside it
+     * @param {number} count - Transactions in the mempool
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    setMempoolSize(count, scene) {
+        if (!this.mempoolBar) {
+            this.mempoolBar = BABYLON.MeshBuilder.CreateBox(`mempool-${this.nodeId}`, {
+                width: 0.08,
+                height: 1,
+                depth: 0.08
+            }, scene);
+            const barMaterial = new BABYLON.StandardMaterial(`mempoolMaterial-${this.nodeId}`, scene);
+            barMaterial.emissiveColor = new BABYLON.Color3(0, 1, 0.3);
+            this.mempoolBar.material = barMaterial;
+            this.mempoolBar.parent = this.mesh;
+        }
 
-        // Create visual connection line
-        const points = [
-            this.mesh.position,
-            otherNode.mesh.position
-        ];
+        // 0.04 per transaction, capped so a backlog doesn't tower over the scene
+        const height = Math.min(count, 40) * 0.04;
+        this.mempoolBar.isVisible = count > 0;
+        this.mempoolBar.scaling.y = Math.max(height, 0.001);
+        this.mempoolBar.position.set(0.35, height / 2 - 0.25, 0);
+    }
 
-        const lines = BABYLON.MeshBuilder.CreateLines(
-            `connection-${this.nodeId}-${otherNode.nodeId}`, 
-            {
-                points: points,
-                updatable: true
-            }, 
-            scene
-        );
+    /**
+     * Tint the node with the color of its side of a netsplit
+     * @param {BABYLON.Color3|null} color - Group color, or null to restore the default
+     */
+    setGroupColor(color) {
+        this.groupColor = color;
+        this.material.diffuseColor = this.groupColor ?? this.attributeColor ?? new BABYLON.Color3(0.2, 0.5, 0.8);
+    }
 
-        lines.color = new BABYLON.Color3(0.3, 0.3, 0.3);
+    /**
+     * Tint the node by one of its imported attributes, e.g. its client version
+     * @param {BABYLON.Color3|null} color - Attribute color, or null to restore the default
+     */
+    setAttributeColor(color) {
+        this.attributeColor = color;
+        this.material.diffuseColor = this.groupColor ?? this.attributeColor ?? new BABYLON.Color3(0.2, 0.5, 0.8);
     }
 
     /**
@@ -62,15 +217,24 @@ class BitcoinNode {
      */
     showSyncProgress(progress, scene) {
         this.material.emissiveColor = new BABYLON.Color3(0.3, 0.8, 0.3);
-        // Create or update progress ring
+        // A ring around the node that closes as it syncs; the tube keeps its points, so it is reshaped in place
+        const path = syncArcPath(progress);
         if (!this.syncRing) {
-            this.syncRing = BABYLON.MeshBuilder.CreateTorus("syncRing", {
-                diameter: 0.7,
-                thickness: 0.1
+            this.syncRing = BABYLON.MeshBuilder.CreateTube(`syncRing-${this.nodeId}`, {
+                path,
+                radius: 0.05,
+                updatable: true
             }, scene);
+            const ringMaterial = new BABYLON.StandardMaterial(`syncRingMaterial-${this.nodeId}`, scene);
+            ringMaterial.emissiveColor = new BABYLON.Color3(0.2, 1, 0.4);
+            ringMaterial.disableLighting = true;
+            this.syncRing.material = ringMaterial;
+            this.syncRing.isPickable = false;
             this.syncRing.parent = this.mesh;
+        } else {
+            BABYLON.MeshBuilder.CreateTube(this.syncRing.name, { path, radius: 0.05, instance: this.syncRing });
         }
-        this.syncRing.scaling.y = progress;
+        this.syncRing.isVisible = progress > 0;
     }
 
     /**
@@ -86,34 +250,22 @@ class BitcoinNode {
     }
 
     /**
-     * Remove connection to another node
-     * @param {string} otherNodeId - The ID of the node to disconnect from
+     * Highlight the node while it is discovering peers
+     * @param {boolean} isDiscovering - Whether node is discovering
      */
-    removeConnection(otherNodeId) {
-        this.connections.delete(otherNodeId);
+    setDiscovering(isDiscovering) {
+        if (isDiscovering) {
+            this.material.emissiveColor = new BABYLON.Color3(0.3, 0.6, 1);
+        } else {
+            this.material.emissiveColor = BABYLON.Color3.Black();
+        }
     }
 
     /**
      * Simulate node shutdown
      * @param {BABYLON.Scene} scene - The Babylon.js scene
-     * @param {BitcoinNode[]} nodes - Array of all nodes in the network
      */
-    shutdown(scene, nodes) {
-        // Remove this node's connections from other nodes
-        nodes.forEach(node => {
-            if (node !== this) {
-                node.removeConnection(this.nodeId);
-            }
-        });
-
-        // Dispose of all connection lines for this node
-        scene.meshes.slice().forEach(mesh => {
-            if (mesh.name.startsWith(`connection-${this.nodeId}-`) ||
-                mesh.name.startsWith(`connection-`) && mesh.name.includes(`-${this.nodeId}`)) {
-                mesh.dispose();
-            }
-        });
-
+    shutdown(scene) {
         const fadeOut = new BABYLON.Animation(
             "fadeOut",
             "visibility",
@@ -128,103 +280,58 @@ class BitcoinNode {
         fadeOut.setKeys(keys);
 
         this.mesh.animations.push(fadeOut);
+        if (this.heightLabel) {
+            this.heightLabel.dispose();
+        }
         scene.beginAnimation(this.mesh, 0, 30, false, 1, () => {
+            if (this.mempoolBar) {
+                this.mempoolBar.material.dispose();
+            }
+            if (this.attackerMark) {
+                this.attackerMark.material.dispose();
+            }
             this.mesh.dispose();
             this.material.dispose();
         });
     }
 
     /**
-     * Send a packet to another node
+     * Create a packet travelling to another node.
+     * The caller moves it along its path with update() as simulation time passes.
      * @param {BitcoinNode} targetNode - The receiving node
      * @param {BABYLON.Scene} scene - The Babylon.js scene
-     * @param {string} type - Type of packet ("block", "transaction", or "peer")
+     * @param {string} type - Type of packet: a Bitcoin wire message, a consensus message, or "invalid"
+     * @param {number} [bytes] - Message size; bigger messages get bigger packets
+     * @param {boolean} [isOnGlobe] - Whether both nodes sit on the globe; the packet then flies the great-circle arc
+     * @returns {{mesh: BABYLON.Mesh, update: function(number): void, dispose: function(): void}} Packet handle
      */
-    sendPacket(targetNode, scene, type) {
-        // For peer discovery packets, we don't need an existing connection
-        if (type !== "peer" && !this.connections.has(targetNode.nodeId)) {
-            console.warn(`Attempted to send ${type} packet without connection between ${this.nodeId} and ${targetNode.nodeId}`);
-            return;
-        }
-
-        // Create packet mesh
-        const packet = BABYLON.MeshBuilder.CreateBox("packet", {
-            size: 0.2
-        }, scene);
+    sendPacket(targetNode, scene, type, bytes = 100, isOnGlobe = false) {
+        // Create packet mesh, from 0.2 for tiny messages to about 0.36 for a 1 MB block
+        const packet = createPacketMesh(type, 0.12 + 0.04 * Math.log10(Math.max(bytes, 10)), scene);
 
-        // Set packet color based on type
+        // Color and shape by type
+        const style = PACKET_STYLES[type] ?? PACKET_STYLES.default;
         const packetMaterial = new BABYLON.StandardMaterial("packetMaterial", scene);
-        switch (type) {
-            case "block":
-                packetMaterial.emissiveColor = new BABYLON.Color3(1, 0.7, 0); // Gold
-                break;
-            case "transaction":
-                packetMaterial.emissiveColor = new BABYLON.Color3(0, 1, 0.3); // Green
-                break;
-            case "peer":
-                packetMaterial.emissiveColor = new BABYLON.Color3(0.3, 0.6, 1); // Blue
-                break;
-        }
+        packetMaterial.emissiveColor = style.color;
         packetMaterial.alpha = 0.9;
         packet.material = packetMaterial;
 
-        // Add glow layer if not exists
-        if (!scene.glowLayer) {
-            scene.glowLayer = new BABYLON.GlowLayer("glow", scene);
-            scene.glowLayer.intensity = 0.5;
-        }
-        scene.glowLayer.addIncludedOnlyMesh(packet);
-
-        // Position at source node
-        packet.position = this.mesh.position.clone();
-
-        // Create animation
-        const frameRate = 30;
-        const animDuration = 1;
-
-        const animation = new BABYLON.Animation(
-            "packetAnimation",
-            "position",
-            frameRate,
-            BABYLON.Animation.ANIMATIONTYPE_VECTOR3,
-            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
-        );
-
-        // Animation keys
-        const keys = [];
-        keys.push({
-            frame: 0,
-            value: this.mesh.position.clone()
-        });
-
-        // Add some curve to the packet path
-        const midPoint = BABYLON.Vector3.Lerp(this.mesh.position, targetNode.mesh.position, 0.5);
-        midPoint.y += 0.5; // Add some height to the curve
-
-        keys.push({
-            frame: frameRate * animDuration / 2,
-            value: midPoint
-        });
-
-        keys.push({
-            frame: frameRate * animDuration,
-            value: targetNode.mesh.position.clone()
-        });
-
-        animation.setKeys(keys);
+        addGlow(packet, scene);
 
-        // Add easing
-        const easingFunction = new BABYLON.QuadraticEase();
-        easingFunction.setEasingMode(BABYLON.EasingFunction.EASINGMODE_EASEINOUT);
-        animation.setEasingFunction(easingFunction);
-
-        packet.animations.push(animation);
+        // Path from source to target, redrawn as the layout moves either end
+        const update = (progress) => {
+            packet.position = packetPoint(this.position, targetNode.position, progress, isOnGlobe);
+        };
+        update(0);
 
-        // Run animation and cleanup
-        scene.beginAnimation(packet, 0, frameRate * animDuration, false, 1, () => {
-            packet.dispose();
-            packetMaterial.dispose();
-        });
+        return {
+            mesh: packet,
+            update,
+            dispose: () => {
+                packet.dispose();
+                packetMaterial.dispose();
+            }
+        };
     }
 
     /**
@@ -232,8 +339,20 @@ class BitcoinNode {
      */
     dispose() {
         if (this.syncRing) {
+            this.syncRing.material.dispose();
             this.syncRing.dispose();
         }
+        if (this.mempoolBar) {
+            this.mempoolBar.material.dispose();
+            this.mempoolBar.dispose();
+        }
+        if (this.attackerMark) {
+            this.attackerMark.material.dispose();
+            this.attackerMark.dispose();
+        }
+        if (this.heightLabel) {
+            this.heightLabel.dispose();
+        }
         if (this.mesh) {
             this.mesh.dispose();
         }
@@ -243,772 +362,4095 @@ class BitcoinNode {
     }
 }
 
-// Add these constants at the top of the file
-const PHASES = {
-    DISCOVERY: "discovery",
-    SYNCING: "syncing",
-    PROCESSING: "processing",
-    NETWORK_CHANGES: "network_changes"
-};
+/**
+ * Visual representation of a link: a line between two nodes, colored by
+ * the link's state, that follows its nodes and fades out when it closes.
+ */
+class ConnectionView {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     * @param {BitcoinNode} sourceNode - Node that opened the link
+     * @param {BitcoinNode} targetNode - Node that accepted it
+     * @param {string} state - One of LINK_STATES
+     * @param {boolean} [isOnGlobe] - Whether to follow the globe's surface rather than run straight
+     */
+    constructor(scene, sourceNode, targetNode, state, isOnGlobe = false) {
+        this.sourceNode = sourceNode;
+        this.targetNode = targetNode;
+        this.isOnGlobe = isOnGlobe;
+        this.createLines(scene);
+        this.setState(state);
+    }
 
-const COLORS = {
-    LIGHT: {
-        background: new BABYLON.Color3(0.95, 0.95, 0.95),
-        node: new BABYLON.Color3(0.2, 0.5, 0.8),
-        connection: new BABYLON.Color3(0.6, 0.6, 0.6),
-        text: "black",
-        panel: "rgba(255, 255, 255, 0.8)",
-        button: "#e0e0e0"
-    },
-    DARK: {
-        background: new BABYLON.Color3(0.05, 0.05, 0.05),
-        node: new BABYLON.Color3(0.2, 0.5, 0.8),
-        connection: new BABYLON.Color3(0.3, 0.3, 0.3),
-        text: "white",
-        panel: "rgba(0, 0, 0, 0.7)",
-        button: "#454545"
+    createLines(scene) {
+        this.lines = BABYLON.MeshBuilder.CreateLines(
+            `connection-${this.sourceNode.nodeId}-${this.targetNode.nodeId}`,
+            { points: this.points(), updatable: true },
+            scene
+        );
+        // Thin lines are hard to hit: accept clicks a little off them
+        this.lines.intersectionThreshold = 0.15;
     }
-};
 
-// Update these constants near the top with other constants
-const PHASE_INFO = {
-    [PHASES.DISCOVERY]: {
-        icon: "🔍",
-        title: "Peer Discovery",
-        description: "Nodes discover and establish connections with other peers in the distributed network."
-    },
-    [PHASES.SYNCING]: {
-        icon: "🔄",
-        title: "State Synchronization",
-        description: "Nodes synchronize their state data to maintain consistency across the network."
-    },
-    [PHASES.PROCESSING]: {
-        icon: "⚡",
-        title: "Distributed Processing",
-        description: "Nodes collaboratively process and validate operations across the network."
-    },
-    [PHASES.NETWORK_CHANGES]: {
-        icon: "🌐",
-        title: "Network Evolution",
-        description: "The network adapts as nodes dynamically join or leave the system."
+    points() {
+        const start = this.sourceNode.position;
+        const end = this.targetNode.position;
+        return this.isOnGlobe
+            ? Array.from({ length: GLOBE_ARC_POINTS + 1 }, (_, i) => arcPoint(start, end, i / GLOBE_ARC_POINTS))
+            : [start, end];
     }
-};
 
-// Add these constants near the top with other constants
-const ELEMENT_INFO = {
-    NODE: {
-        icon: "⚫",
-        title: "Inactive Node",
-        description: "A node in its default state, ready to participate in the network."
-    },
-    ACTIVE_NODE: {
-        icon: "🟡",
-        title: "Processing Node",
-        description: "A node that is actively processing transactions."
-    },
-    SYNC_RING: {
-        icon: "��",
-        title: "Syncing Node",
-        description: "A node that is synchronizing with the network (green glow with progress ring)."
-    },
-    CONNECTION: {
-        icon: "➖",
-        title: "Connection",
-        description: "Network connection between two nodes (gray line)."
-    },
-    PACKETS: {
-        BLOCK: {
-            icon: "🟨",
-            title: "Block Packet",
-            description: "Gold-colored packet representing data being shared."
-        },
-        TRANSACTION: {
-            icon: "🟩",
-            title: "Transaction Packet",
-            description: "Green-colored packet representing new transaction data."
-        }
+    /**
+     * Switch between a straight line and an arc over the globe
+     * @param {boolean} isOnGlobe - Whether to follow the globe's surface
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    setGlobe(isOnGlobe, scene) {
+        if (isOnGlobe === this.isOnGlobe) return;
+        // The arc has more points than a line can be updated to
+        this.isOnGlobe = isOnGlobe;
+        this.lines.dispose();
+        this.createLines(scene);
+        this.setState(this.state);
     }
-};
 
-/**
- * Creates and manages the Bitcoin network simulation scene
- */
-function createScene() {
-    // Create the Babylon.js engine
-    const canvas = document.getElementById("renderCanvas");
-    const engine = new BABYLON.Engine(canvas, true);
+    /**
+     * Show the link's state
+     * @param {string} state - One of LINK_STATES
+     */
+    setState(state) {
+        this.state = state;
+        this.lines.color = LINK_STATE_COLORS[state];
+        this.lines.alpha = state === LINK_STATES.ESTABLISHED ? 1 : 0.6;
+    }
 
-    // Create the scene
-    const scene = new BABYLON.Scene(engine);
-    scene.clearColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+    /**
+     * Move the line's ends back onto both nodes after either moved
+     */
+    update() {
+        BABYLON.MeshBuilder.CreateLines(this.lines.name, {
+            points: this.points(),
+            instance: this.lines
+        });
+    }
 
-    // Create the camera
-    const camera = new BABYLON.ArcRotateCamera(
-        "camera",
-        0,
-        Math.PI / 3,
-        20,
-        BABYLON.Vector3.Zero(),
-        scene
-    );
-    camera.attachControl(canvas, true);
+    /**
+     * Fade the line out, then free it
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    close(scene) {
+        this.setState(LINK_STATES.CLOSING);
+        const fadeOut = new BABYLON.Animation(
+            "fadeOut",
+            "alpha",
+            30,
+            BABYLON.Animation.ANIMATIONTYPE_FLOAT,
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
+        );
+        fadeOut.setKeys([
+            { frame: 0, value: this.lines.alpha },
+            { frame: 20, value: 0 }
+        ]);
+        this.lines.animations.push(fadeOut);
+        scene.beginAnimation(this.lines, 0, 20, false, 1, () => this.dispose());
+    }
 
-    // Create the light
-    const light = new BABYLON.HemisphericLight(
-        "light",
-        new BABYLON.Vector3(0, 1, 0),
-        scene
-    );
+    dispose() {
+        this.lines.dispose();
+    }
+}
 
-    // Simulation state
-    let simulationState = {
-        speed: 1,
-        isRunning: true,
-        initialNodeCount: 1,  // Changed to start with 1 node
-        nodeCount: 1,         // Changed to start with 1 node
-        currentStep: 0,
-        currentPhase: PHASES.NETWORK_CHANGES, // Start with network changes phase
-        isDarkMode: true,
-        phaseTimer: 6900     // Start near the end of network changes phase
-    };
+// Networks that may grow past this many nodes are drawn in bulk: every node an instance of one
+// mesh, every link a segment of one line mesh and every packet an instance of one pooled mesh
+const BULK_NODE_THRESHOLD = 300;
 
-    // Create GUI
-    const advancedTexture = BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI("UI");
+// Bulk runs send tens of thousands of messages a second, so their log keeps the last few seconds of them,
+// and is checkpointed sparsely because each checkpoint copies every node and link
+const BULK_LOG_OPTIONS = { maxRecords: 200000, checkpointInterval: 50000 };
 
-    // Create control panel container
-    const panel = new BABYLON.GUI.StackPanel();
-    panel.width = "220px";
-    panel.height = "50px"; // Reduced height since we removed sliders
-    panel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
-    panel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
-    panel.background = "rgba(0, 0, 0, 0.7)";
-    panel.paddingBottom = "10px";
-    panel.paddingLeft = "10px";
-    advancedTexture.addControl(panel);
+// In bulk, packets on the same link merge into one once the camera is this many network radii away
+const PACKET_LOD_DISTANCE = 2.5;
 
-    // Control buttons
-    const buttonPanel = new BABYLON.GUI.StackPanel();
-    buttonPanel.isVertical = false;
-    buttonPanel.height = "40px";
-    buttonPanel.spacing = 10; // Add spacing between buttons
-    panel.addControl(buttonPanel);
+// Longest real time one frame advances the simulation by; slower frames let it fall behind instead
+const MAX_FRAME_MS = 100;
 
-    // Reset button with improved styling
-    const resetBtn = BABYLON.GUI.Button.CreateSimpleButton("reset", "↺ Reset");
-    resetBtn.width = "95px";
-    resetBtn.height = "35px";
-    resetBtn.color = "white";
-    resetBtn.fontSize = "16px";
-    resetBtn.background = "#454545";
-    resetBtn.cornerRadius = 8;
-    resetBtn.hoverCursor = "pointer";
+// ms between rearranging a bulk network in a fixed layout as nodes and links come and go
+const BULK_ARRANGE_INTERVAL = 500;
 
-    // Add hover effect
-    resetBtn.onPointerEnterObservable.add(() => {
-        resetBtn.background = "#666666";
-    });
-    resetBtn.onPointerOutObservable.add(() => {
-        resetBtn.background = "#454545";
+// Segments of a link's arc over the globe in bulk; GLOBE_ARC_POINTS per link would be too many
+const BULK_ARC_SEGMENTS = 6;
+
+// What a bulk node's color says, as it has no label, ring or cage to show it with
+const SWARM_COLORS = {
+    idle: new BABYLON.Color3(0.2, 0.5, 0.8),
+    mining: new BABYLON.Color3(1, 0.5, 0),
+    syncing: new BABYLON.Color3(0.3, 0.8, 0.3),
+    processing: new BABYLON.Color3(0.8, 0.8, 0.2),
+    discovering: new BABYLON.Color3(0.3, 0.6, 1),
+    attacker: new BABYLON.Color3(1, 0.1, 0.1)
+};
+
+/**
+ * Matrix and color buffers of a mesh's thin instances, grown as needed and
+ * handed to the GPU once a frame. Each instance is a position, a uniform
+ * scale and a color.
+ */
+class ThinInstanceBuffers {
+    /**
+     * @param {BABYLON.Mesh} mesh - Mesh to draw the instances of
+     */
+    constructor(mesh) {
+        this.mesh = mesh;
+        this.matrices = new Float32Array(0);
+        this.colors = new Float32Array(0);
+        this.isResized = false;
+        // A mesh without instances would be drawn once as itself
+        mesh.isVisible = false;
+        // Bounds aren't refreshed as instances move, so never cull the mesh
+        mesh.alwaysSelectAsActiveMesh = true;
+    }
+
+    /**
+     * Write one instance
+     * @param {number} index - Instance index
+     * @param {BABYLON.Vector3} position - Where to draw it
+     * @param {number} scale - Size relative to the mesh
+     * @param {BABYLON.Color3} color - Tint
+     */
+    set(index, position, scale, color) {
+        if (this.colors.length < (index + 1) * 4) {
+            const capacity = Math.max(64, this.colors.length / 2);
+            const matrices = new Float32Array(capacity * 16);
+            const colors = new Float32Array(capacity * 4);
+            matrices.set(this.matrices);
+            colors.set(this.colors);
+            this.matrices = matrices;
+            this.colors = colors;
+            this.isResized = true;
+        }
+
+        // Scaling and translation only; the rest of the matrix stays zero
+        const matrix = index * 16;
+        this.matrices[matrix] = this.matrices[matrix + 5] = this.matrices[matrix + 10] = scale;
+        this.matrices[matrix + 12] = position.x;
+        this.matrices[matrix + 13] = position.y;
+        this.matrices[matrix + 14] = position.z;
+        this.matrices[matrix + 15] = 1;
+        const offset = index * 4;
+        this.colors[offset] = color.r;
+        this.colors[offset + 1] = color.g;
+        this.colors[offset + 2] = color.b;
+        this.colors[offset + 3] = 1;
+    }
+
+    /**
+     * Draw the first instances as last written this frame
+     * @param {number} count - Instances to draw
+     */
+    commit(count) {
+        if (this.isResized) {
+            this.mesh.thinInstanceSetBuffer("matrix", this.matrices, 16, false);
+            this.mesh.thinInstanceSetBuffer("color", this.colors, 4, false);
+            this.isResized = false;
+        } else if (count > 0) {
+            this.mesh.thinInstanceBufferUpdated("matrix");
+            this.mesh.thinInstanceBufferUpdated("color");
+        }
+        this.mesh.thinInstanceCount = count;
+        this.mesh.isVisible = count > 0;
+    }
+}
+
+/**
+ * Every node of a bulk run as thin instances of one sphere: a single draw
+ * call however big the network grows. Instances are packed, so removing a
+ * node moves the last one into its slot.
+ */
+class NodeSwarm {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    constructor(scene) {
+        this.mesh = BABYLON.MeshBuilder.CreateSphere("nodeSwarm", { diameter: 0.5, segments: 4 }, scene);
+        this.mesh.material = new BABYLON.StandardMaterial("nodeSwarmMaterial", scene);
+        // Instance colors tint the whole sphere; a little glow keeps the side away from the light readable
+        this.mesh.material.emissiveColor = new BABYLON.Color3(0.35, 0.35, 0.35);
+        this.mesh.thinInstanceEnablePicking = true;
+        this.buffers = new ThinInstanceBuffers(this.mesh);
+        this.nodes = []; // SwarmNode drawn by each instance
+    }
+
+    add(node) {
+        node.index = this.nodes.length;
+        this.nodes.push(node);
+    }
+
+    remove(node) {
+        const last = this.nodes.pop();
+        if (last !== node) {
+            this.nodes[node.index] = last;
+            last.index = node.index;
+        }
+    }
+
+    /**
+     * Node drawn by the instance a pick hit
+     * @param {BABYLON.PickingInfo|null} pickInfo - Result of a pick
+     * @returns {SwarmNode|undefined}
+     */
+    viewAt(pickInfo) {
+        return pickInfo?.hit && pickInfo.pickedMesh === this.mesh ? this.nodes[pickInfo.thinInstanceIndex] : undefined;
+    }
+
+    /**
+     * Move every instance onto its node, sized and colored by what the node is doing
+     */
+    render() {
+        this.nodes.forEach((node, i) => this.buffers.set(i, node.position, node.scale, node.color));
+        this.buffers.commit(this.nodes.length);
+    }
+
+    dispose() {
+        this.mesh.material.dispose();
+        this.mesh.dispose();
+    }
+}
+
+/**
+ * One node of a NodeSwarm, standing in for a BitcoinNode in bulk runs. It
+ * shows what the node is doing by its color and size alone: labels, sync
+ * rings, mempool bars and attacker cages would cost a mesh each.
+ */
+class SwarmNode {
+    /**
+     * @param {NodeSwarm} swarm - Swarm to draw the node in
+     * @param {BABYLON.Vector3} position - Initial position of the node
+     * @param {string} nodeId - Unique identifier for the node
+     */
+    constructor(swarm, position, nodeId) {
+        this.swarm = swarm;
+        this.nodeId = nodeId;
+        this.position = position;
+        this.scale = 1;
+        this.attributes = {};
+        this.location = null;
+
+        // Activity wins over behavior, then the same tints as BitcoinNode
+        this.activityColor = null;
+        this.isAttacker = false;
+        this.groupColor = null;
+        this.attributeColor = null;
+        swarm.add(this);
+    }
+
+    /**
+     * Color to draw the node in right now
+     * @returns {BABYLON.Color3}
+     */
+    get color() {
+        return this.activityColor
+            ?? (this.isAttacker ? SWARM_COLORS.attacker : null)
+            ?? this.groupColor
+            ?? this.attributeColor
+            ?? SWARM_COLORS.idle;
+    }
+
+    // Heights, roles and mempools only show in the inspector and tooltips in bulk
+    showLabel() {}
+    setChainHeight() {}
+    setCommittedHeight() {}
+    setRole() {}
+    setEclipsed() {}
+    setMiner() {}
+    setMempoolSize() {}
+
+    setBehavior(behavior) {
+        this.isAttacker = behavior !== BEHAVIORS.HONEST;
+    }
+
+    setMining(isMining) {
+        this.activityColor = isMining ? SWARM_COLORS.mining : null;
+        this.scale = isMining ? 1.4 : 1;
+    }
+
+    setGroupColor(color) {
+        this.groupColor = color;
+    }
+
+    setAttributeColor(color) {
+        this.attributeColor = color;
+    }
+
+    showSyncProgress() {
+        this.activityColor = SWARM_COLORS.syncing;
+    }
+
+    setProcessing(isProcessing) {
+        this.activityColor = isProcessing ? SWARM_COLORS.processing : null;
+    }
+
+    setDiscovering(isDiscovering) {
+        this.activityColor = isDiscovering ? SWARM_COLORS.discovering : null;
+    }
+
+    // Thousands of nodes fading out at once would cost more than they show
+    shutdown() {
+        this.dispose();
+    }
+
+    dispose() {
+        this.swarm.remove(this);
+    }
+}
+
+/**
+ * Every link of a bulk run as segments of one line mesh, colored per vertex
+ * by the link's state and rebuilt at most once a frame however many links
+ * changed.
+ */
+class LinkWeb {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.mesh = null;
+        this.links = [];
+        this.isOnGlobe = false;
+        this.isStale = false; // Links came, went or changed state
+        this.isMoved = false; // Nodes moved under them
+        this.positions = new Float32Array(0);
+        this.colors = new Float32Array(0);
+        this.indices = new Uint32Array(0);
+    }
+
+    add(link) {
+        link.index = this.links.length;
+        this.links.push(link);
+        this.isStale = true;
+    }
+
+    remove(link) {
+        const last = this.links.pop();
+        if (last !== link) {
+            this.links[link.index] = last;
+            last.index = link.index;
+        }
+        this.isStale = true;
+    }
+
+    /**
+     * Switch between straight lines and arcs over the globe
+     * @param {boolean} isOnGlobe - Whether to follow the globe's surface
+     */
+    setGlobe(isOnGlobe) {
+        if (isOnGlobe === this.isOnGlobe) return;
+        this.isOnGlobe = isOnGlobe;
+        this.isStale = true;
+        // Nodes may have moved since the arcs were last worked out
+        this.isMoved = true;
+    }
+
+    /**
+     * Redraw the links if any changed or moved since the last frame
+     */
+    render() {
+        if (!this.isStale && !this.isMoved) return;
+        const segments = this.isOnGlobe ? BULK_ARC_SEGMENTS : 1;
+        const vertexCount = this.links.length * segments * 2;
+        const isResized = this.positions.length !== vertexCount * 3;
+        if (isResized) {
+            // Links that keep their place keep their arcs
+            const positions = new Float32Array(vertexCount * 3);
+            positions.set(this.positions.subarray(0, positions.length));
+            this.positions = positions;
+            this.colors = new Float32Array(vertexCount * 4);
+            this.indices = new Uint32Array(vertexCount);
+            this.indices.forEach((_, i) => this.indices[i] = i);
+        }
+
+        this.links.forEach((link, i) => {
+            const start = link.sourceNode.position;
+            const end = link.targetNode.position;
+            if (segments === 1) {
+                const offset = i * 6;
+                this.positions[offset] = start.x;
+                this.positions[offset + 1] = start.y;
+                this.positions[offset + 2] = start.z;
+                this.positions[offset + 3] = end.x;
+                this.positions[offset + 4] = end.y;
+                this.positions[offset + 5] = end.z;
+            } else if (this.isMoved || link.arcIndex !== i) {
+                // Arcs take a while to work out, so they are only redrawn for nodes that moved or links that moved up
+                writeArc(this.positions, i * segments * 6, start, end, segments);
+                link.arcIndex = i;
+            }
+
+            if (this.isStale || isResized) {
+                const { r, g, b } = LINK_STATE_COLORS[link.state];
+                const alpha = link.state === LINK_STATES.ESTABLISHED ? 1 : 0.6;
+                for (let offset = i * segments * 8; offset < (i + 1) * segments * 8; offset += 4) {
+                    this.colors[offset] = r;
+                    this.colors[offset + 1] = g;
+                    this.colors[offset + 2] = b;
+                    this.colors[offset + 3] = alpha;
+                }
+            }
+        });
+
+        if (!this.mesh) {
+            this.mesh = new BABYLON.LinesMesh("linkWeb", this.scene, null, null, false, true, true);
+            this.mesh.isPickable = false;
+            // Bounds aren't refreshed as nodes move, so never cull the web
+            this.mesh.alwaysSelectAsActiveMesh = true;
+        }
+        if (isResized) {
+            const vertexData = new BABYLON.VertexData();
+            vertexData.positions = this.positions;
+            vertexData.colors = this.colors;
+            vertexData.indices = this.indices;
+            vertexData.applyToMesh(this.mesh, true);
+        } else {
+            this.mesh.updateVerticesData(BABYLON.VertexBuffer.PositionKind, this.positions);
+            if (this.isStale) {
+                this.mesh.updateVerticesData(BABYLON.VertexBuffer.ColorKind, this.colors);
+            }
+        }
+        this.mesh.isVisible = vertexCount > 0;
+        this.isStale = false;
+        this.isMoved = false;
+    }
+
+    dispose() {
+        this.mesh?.dispose();
+    }
+}
+
+/**
+ * One link of a LinkWeb, standing in for a ConnectionView in bulk runs.
+ * It has no lines of its own, so it can't be clicked or hovered.
+ */
+class WebLink {
+    /**
+     * @param {LinkWeb} web - Web to draw the link in
+     * @param {SwarmNode} sourceNode - Node that opened the link
+     * @param {SwarmNode} targetNode - Node that accepted it
+     * @param {string} state - One of LINK_STATES
+     * @param {boolean} [isOnGlobe] - Whether to follow the globe's surface rather than run straight
+     */
+    constructor(web, sourceNode, targetNode, state, isOnGlobe = false) {
+        this.web = web;
+        this.sourceNode = sourceNode;
+        this.targetNode = targetNode;
+        this.state = state;
+        this.lines = null;
+        web.setGlobe(isOnGlobe);
+        web.add(this);
+    }
+
+    setGlobe(isOnGlobe) {
+        this.web.setGlobe(isOnGlobe);
+    }
+
+    setState(state) {
+        this.state = state;
+        this.web.isStale = true;
+    }
+
+    update() {
+        this.web.isMoved = true;
+    }
+
+    close() {
+        this.dispose();
+    }
+
+    dispose() {
+        this.web.remove(this);
+    }
+}
+
+/**
+ * Every packet of a bulk run as thin instances of one octahedron. Delivered
+ * packets hand their handle back to the pool for the next one sent, so a
+ * busy network makes no meshes or materials per message. Zoomed out, the
+ * packets on each link merge into one that grows with their number.
+ */
+class PacketSwarm {
+    /**
+     * @param {BABYLON.Scene} scene - The Babylon.js scene
+     */
+    constructor(scene) {
+        this.mesh = BABYLON.MeshBuilder.CreatePolyhedron("packetSwarm", { type: 1, size: 0.6 }, scene);
+        const material = new BABYLON.StandardMaterial("packetSwarmMaterial", scene);
+        // Unlit, so each instance shows its type's color as it is
+        material.emissiveColor = BABYLON.Color3.White();
+        material.disableLighting = true;
+        material.alpha = 0.9;
+        this.mesh.material = material;
+        this.mesh.isPickable = false;
+        addGlow(this.mesh, scene);
+        this.buffers = new ThinInstanceBuffers(this.mesh);
+        this.packets = []; // In flight
+        this.pool = [];    // Delivered, waiting to be sent again
+    }
+
+    /**
+     * Send a packet; same path, size and color as BitcoinNode.sendPacket(), one shape for all types
+     * @param {SwarmNode} sourceNode - The sending node
+     * @param {SwarmNode} targetNode - The receiving node
+     * @param {string} type - Type of packet, a key of PACKET_STYLES
+     * @param {number} bytes - Message size
+     * @param {boolean} isOnGlobe - Whether both nodes sit on the globe
+     * @returns {{mesh: null, update: function(number): void, dispose: function(): void}} Packet handle
+     */
+    send(sourceNode, targetNode, type, bytes, isOnGlobe) {
+        const packet = this.pool.pop() ?? this.createPacket();
+        // Merged packets are measured from the end with the smaller ID, so both ways average along one line
+        const isForward = sourceNode.nodeId < targetNode.nodeId;
+        Object.assign(packet, {
+            sourceNode,
+            targetNode,
+            isOnGlobe,
+            isForward,
+            linkKey: isForward ? `${sourceNode.nodeId}|${targetNode.nodeId}` : `${targetNode.nodeId}|${sourceNode.nodeId}`,
+            color: (PACKET_STYLES[type] ?? PACKET_STYLES.default).color,
+            size: 0.12 + 0.04 * Math.log10(Math.max(bytes, 10)),
+            progress: 0,
+            index: this.packets.length
+        });
+        this.packets.push(packet);
+        return packet;
+    }
+
+    createPacket() {
+        const packet = { mesh: null };
+        packet.update = (progress) => {
+            packet.progress = progress;
+        };
+        packet.dispose = () => {
+            const last = this.packets.pop();
+            if (last !== packet) {
+                this.packets[packet.index] = last;
+                last.index = packet.index;
+            }
+            this.pool.push(packet);
+        };
+        return packet;
+    }
+
+    /**
+     * Draw every packet where its progress puts it
+     * @param {boolean} isMerged - Whether to draw one packet per link instead, at the average progress
+     *     of the link's packets and sized by their number
+     */
+    render(isMerged) {
+        const position = new BABYLON.Vector3();
+        if (!isMerged) {
+            this.packets.forEach((packet, i) => {
+                packetPoint(packet.sourceNode.position, packet.targetNode.position, packet.progress, packet.isOnGlobe, position);
+                this.buffers.set(i, position, packet.size, packet.color);
+            });
+            this.buffers.commit(this.packets.length);
+            return;
+        }
+
+        const links = new Map();
+        this.packets.forEach(({ sourceNode, targetNode, isOnGlobe, isForward, linkKey, color, size, progress }) => {
+            if (!links.has(linkKey)) {
+                const [from, to] = isForward ? [sourceNode, targetNode] : [targetNode, sourceNode];
+                links.set(linkKey, { from, to, isOnGlobe, count: 0, progress: 0, size: 0, color: BABYLON.Color3.Black() });
+            }
+            const link = links.get(linkKey);
+            const clamped = Math.min(Math.max(progress, 0), 1);
+            link.count++;
+            link.progress += isForward ? clamped : 1 - clamped;
+            link.size = Math.max(link.size, size);
+            link.color.addInPlace(color);
+        });
+
+        let i = 0;
+        links.forEach(({ from, to, isOnGlobe, count, progress, size, color }) => {
+            packetPoint(from.position, to.position, progress / count, isOnGlobe, position);
+            this.buffers.set(i++, position, size * Math.cbrt(count), color.scale(1 / count));
+        });
+        this.buffers.commit(links.size);
+    }
+
+    dispose() {
+        this.mesh.material.dispose();
+        this.mesh.dispose();
+    }
+}
+
+// Color and shape of each packet type. Requests and their answers share a
+// shape, with the answer a lighter shade; anything else is a white box.
+const PACKET_STYLES = {
+    version: { color: new BABYLON.Color3(0.3, 0.6, 1), shape: "octahedron" },      // Blue
+    verack: { color: new BABYLON.Color3(0.65, 0.85, 1), shape: "octahedron" },
+    ping: { color: new BABYLON.Color3(0.6, 0.6, 0.6), shape: "sphere" },            // Gray
+    pong: { color: new BABYLON.Color3(0.9, 0.9, 0.9), shape: "sphere" },
+    getaddr: { color: new BABYLON.Color3(0, 0.55, 0.5), shape: "tetrahedron" },    // Teal
+    addr: { color: new BABYLON.Color3(0.3, 0.95, 0.85), shape: "tetrahedron" },
+    inv: { color: new BABYLON.Color3(0.75, 1, 0.3), shape: "disc" },               // Lime
+    getdata: { color: new BABYLON.Color3(0.45, 0.65, 0.1), shape: "disc" },
+    getheaders: { color: new BABYLON.Color3(1, 0.4, 0.1), shape: "cylinder" },     // Orange
+    headers: { color: new BABYLON.Color3(1, 0.7, 0.4), shape: "cylinder" },
+    cmpctblock: { color: new BABYLON.Color3(1, 0.9, 0.5), shape: "icosahedron" },  // Pale gold
+    tx: { color: new BABYLON.Color3(0, 1, 0.3), shape: "box" },                    // Green
+    block: { color: new BABYLON.Color3(1, 0.7, 0), shape: "box" },                 // Gold
+    requestVote: { color: new BABYLON.Color3(1, 0.2, 0.8), shape: "box" },         // Pink
+    vote: { color: new BABYLON.Color3(1, 0.2, 0.8), shape: "box" },
+    appendEntries: { color: new BABYLON.Color3(0, 0.9, 1), shape: "box" },         // Cyan
+    appendResponse: { color: new BABYLON.Color3(0, 0.9, 1), shape: "box" },
+    preprepare: { color: new BABYLON.Color3(1, 1, 1), shape: "box" },              // White
+    prepare: { color: new BABYLON.Color3(0.6, 0.4, 1), shape: "box" },             // Violet
+    commit: { color: new BABYLON.Color3(1, 0.25, 0.25), shape: "box" },            // Red
+    attestation: { color: new BABYLON.Color3(0.75, 0.75, 0.9), shape: "box" },     // Silver
+    invalid: { color: new BABYLON.Color3(0.6, 0, 0), shape: "box" },               // Dark red
+    default: { color: new BABYLON.Color3(1, 1, 1), shape: "box" }
+};
+
+/**
+ * Build the mesh for a packet in its type's shape
+ * @param {string} type - Packet type, a key of PACKET_STYLES
+ * @param {number} size - Rough width of the packet
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ * @returns {BABYLON.Mesh}
+ */
+function createPacketMesh(type, size, scene) {
+    const { shape } = PACKET_STYLES[type] ?? PACKET_STYLES.default;
+    switch (shape) {
+        case "sphere":
+            return BABYLON.MeshBuilder.CreateSphere("packet", { diameter: size, segments: 8 }, scene);
+        case "tetrahedron":
+            return BABYLON.MeshBuilder.CreatePolyhedron("packet", { type: 0, size: size * 0.5 }, scene);
+        case "octahedron":
+            return BABYLON.MeshBuilder.CreatePolyhedron("packet", { type: 1, size: size * 0.6 }, scene);
+        case "icosahedron":
+            return BABYLON.MeshBuilder.CreatePolyhedron("packet", { type: 3, size: size * 0.6 }, scene);
+        case "disc":
+            return BABYLON.MeshBuilder.CreateCylinder("packet", { diameter: size * 1.2, height: size * 0.3 }, scene);
+        case "cylinder":
+            return BABYLON.MeshBuilder.CreateCylinder("packet", { diameter: size * 0.6, height: size * 1.2 }, scene);
+        default:
+            return BABYLON.MeshBuilder.CreateBox("packet", { size }, scene);
+    }
+}
+
+/**
+ * Make a mesh glow, creating the scene's glow layer the first time
+ * @param {BABYLON.Mesh} mesh - Mesh to glow
+ * @param {BABYLON.Scene} scene - The Babylon.js scene
+ */
+function addGlow(mesh, scene) {
+    if (!scene.glowLayer) {
+        scene.glowLayer = new BABYLON.GlowLayer("glow", scene);
+        scene.glowLayer.intensity = 0.5;
+    }
+    scene.glowLayer.addIncludedOnlyMesh(mesh);
+}
+
+// Points a link's arc over the globe is drawn with, and how high packets fly over an arc halfway round it
+const GLOBE_ARC_POINTS = 24;
+const GLOBE_PACKET_LIFT = 2;
+
+/**
+ * Point part of the way along the great-circle arc between two nodes on the globe
+ * @param {BABYLON.Vector3} start - Position of one node
+ * @param {BABYLON.Vector3} end - Position of the other
+ * @param {number} t - 0 at the start, 1 at the end
+ * @param {number} [lift] - Height over the surface halfway round the globe; shorter arcs rise less
+ * @returns {BABYLON.Vector3}
+ */
+function arcPoint(start, end, t, lift = 0) {
+    const { x, y, z } = greatCirclePoint(start, end, t, lift);
+    return new BABYLON.Vector3(x, y, z);
+}
+
+// Points the sync progress ring is drawn with, however far round it reaches
+const SYNC_ARC_POINTS = 33;
+
+/**
+ * Flat arc around a node, starting in front of it and sweeping round by the sync progress
+ * @param {number} progress - 0 to 1; a full circle at 1
+ * @returns {BABYLON.Vector3[]} SYNC_ARC_POINTS points, relative to the node
+ */
+function syncArcPath(progress) {
+    // A sliver at the least, as a tube along a path of one point has no shape
+    const sweep = Math.max(Math.min(progress, 1), 0.01) * 2 * Math.PI;
+    return Array.from({ length: SYNC_ARC_POINTS }, (_, i) => {
+        const angle = sweep * i / (SYNC_ARC_POINTS - 1);
+        return new BABYLON.Vector3(0.35 * Math.sin(angle), 0, -0.35 * Math.cos(angle));
+    });
+}
+
+// Packets speed up out of their source and slow down into their target
+const PACKET_EASING = new BABYLON.QuadraticEase();
+PACKET_EASING.setEasingMode(BABYLON.EasingFunction.EASINGMODE_EASEINOUT);
+
+/**
+ * Where a packet is part of the way along its path: a low curve between the
+ * nodes, or the great-circle arc between them on the globe
+ * @param {BABYLON.Vector3} start - Position of the sending node
+ * @param {BABYLON.Vector3} end - Position of the receiving node
+ * @param {number} progress - 0 when sent, 1 when delivered; clamped to that range
+ * @param {boolean} isOnGlobe - Whether both nodes sit on the globe
+ * @param {BABYLON.Vector3} [result] - Vector to write the point to, saving a new one per packet and frame
+ * @returns {BABYLON.Vector3} result
+ */
+function packetPoint(start, end, progress, isOnGlobe, result = new BABYLON.Vector3()) {
+    const t = PACKET_EASING.ease(Math.min(Math.max(progress, 0), 1));
+    if (isOnGlobe) {
+        const { x, y, z } = greatCirclePoint(start, end, t, GLOBE_PACKET_LIFT);
+        return result.set(x, y, z);
+    }
+
+    // Straight across, rising 0.5 towards the middle
+    return result.set(
+        start.x + (end.x - start.x) * t,
+        start.y + (end.y - start.y) * t + Math.min(t, 1 - t),
+        start.z + (end.z - start.z) * t
+    );
+}
+
+/**
+ * Write a link's arc over the globe as pairs of ends of its segments. Each
+ * point is the straight blend of the ends pushed back out to the sphere,
+ * which lies on the same great circle as greatCirclePoint()'s and takes a
+ * fraction of the time; the uneven spacing doesn't show.
+ * @param {Float32Array} vertices - Buffer to write x, y, z of each vertex to
+ * @param {number} offset - Index of the first value to write
+ * @param {BABYLON.Vector3} start - Position of one node
+ * @param {BABYLON.Vector3} end - Position of the other
+ * @param {number} segments - Straight pieces to draw the arc with
+ */
+function writeArc(vertices, offset, start, end, segments) {
+    const startRadius = start.length() || 1;
+    const endRadius = end.length() || 1;
+    let x = start.x;
+    let y = start.y;
+    let z = start.z;
+    for (let k = 1; k <= segments; k++) {
+        vertices[offset++] = x;
+        vertices[offset++] = y;
+        vertices[offset++] = z;
+        if (k === segments) {
+            ({ x, y, z } = end);
+        } else {
+            const t = k / segments;
+            x = start.x / startRadius * (1 - t) + end.x / endRadius * t;
+            y = start.y / startRadius * (1 - t) + end.y / endRadius * t;
+            z = start.z / startRadius * (1 - t) + end.z / endRadius * t;
+            const scale = (startRadius + (endRadius - startRadius) * t) / (Math.sqrt(x * x + y * y + z * z) || 1);
+            x *= scale;
+            y *= scale;
+            z *= scale;
+        }
+        vertices[offset++] = x;
+        vertices[offset++] = y;
+        vertices[offset++] = z;
+    }
+}
+
+/**
+ * Byte count in the largest unit that keeps it above 1
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1000000) return `${(bytes / 1000000).toFixed(1)} MB`;
+    if (bytes >= 1000) return `${(bytes / 1000).toFixed(1)} kB`;
+    return `${bytes} B`;
+}
+
+// Block heights for sparklines, lowest to highest
+const SPARK_LEVELS = "▁▂▃▄▅▆▇█";
+
+/**
+ * Chart values as a row of block characters, scaled between their lowest and highest
+ * @param {(number|null)[]} values - Values, oldest first; null leaves a gap
+ * @returns {string}
+ */
+function sparkline(values) {
+    const present = values.filter(value => value !== null);
+    const low = Math.min(...present);
+    const high = Math.max(...present);
+    return values.map(value => {
+        if (value === null) return " ";
+        const level = high === low ? 0 : Math.round((value - low) / (high - low) * (SPARK_LEVELS.length - 1));
+        return SPARK_LEVELS[level];
+    }).join("");
+}
+
+/**
+ * One "Label: value" line per imported attribute, the well-known ones first
+ * @param {Object} attributes - Attributes of a node
+ * @returns {string[]}
+ */
+function describeAttributes(attributes) {
+    const known = Object.keys(PEER_ATTRIBUTE_LABELS).filter(key => key in attributes);
+    const others = Object.keys(attributes).filter(key => !(key in PEER_ATTRIBUTE_LABELS));
+    return [...known, ...others].map(key => `${PEER_ATTRIBUTE_LABELS[key] ?? key}: ${attributes[key]}`);
+}
+
+/**
+ * Latitude and longitude as "52.4°N 4.9°E"
+ * @param {{lat: number, lon: number}} location - Degrees
+ * @returns {string}
+ */
+function formatLocation({ lat, lon }) {
+    return `${Math.abs(lat).toFixed(1)}°${lat >= 0 ? "N" : "S"} ${Math.abs(lon).toFixed(1)}°${lon >= 0 ? "E" : "W"}`;
+}
+
+// Line color for each link state
+const LINK_STATE_COLORS = {
+    [LINK_STATES.CONNECTING]: new BABYLON.Color3(0.25, 0.35, 0.6),
+    [LINK_STATES.HANDSHAKE]: new BABYLON.Color3(0.85, 0.7, 0.2),
+    [LINK_STATES.ESTABLISHED]: new BABYLON.Color3(0.3, 0.3, 0.3),
+    [LINK_STATES.CLOSING]: new BABYLON.Color3(0.9, 0.3, 0.2)
+};
+
+const COLORS = {
+    LIGHT: {
+        background: new BABYLON.Color3(0.95, 0.95, 0.95),
+        node: new BABYLON.Color3(0.2, 0.5, 0.8),
+        connection: new BABYLON.Color3(0.6, 0.6, 0.6),
+        text: "black",
+        panel: "rgba(255, 255, 255, 0.8)",
+        button: "#e0e0e0",
+        ocean: new BABYLON.Color3(0.72, 0.83, 0.93),
+        coast: new BABYLON.Color3(0.3, 0.45, 0.3)
+    },
+    DARK: {
+        background: new BABYLON.Color3(0.05, 0.05, 0.05),
+        node: new BABYLON.Color3(0.2, 0.5, 0.8),
+        connection: new BABYLON.Color3(0.3, 0.3, 0.3),
+        text: "white",
+        panel: "rgba(0, 0, 0, 0.7)",
+        button: "#454545",
+        ocean: new BABYLON.Color3(0.04, 0.1, 0.2),
+        coast: new BABYLON.Color3(0.35, 0.65, 0.45)
+    }
+};
+
+// Node tint for each side of a netsplit, and the color of the links it cut
+const PARTITION_COLORS = {
+    groups: [
+        new BABYLON.Color3(1, 0.42, 0.42),
+        new BABYLON.Color3(0.3, 0.67, 0.97),
+        new BABYLON.Color3(0.41, 0.86, 0.49),
+        new BABYLON.Color3(1, 0.83, 0.23)
+    ],
+    severed: new BABYLON.Color3(0.9, 0.2, 0.2)
+};
+
+// What imported nodes can be colored by; nodes without the attribute keep the default color
+const NODE_COLORINGS = {
+    none: {
+        icon: "🎨",
+        title: "Default",
+        attribute: null,
+        description: "Every node in the same blue, tinted only by a netsplit."
+    },
+    direction: {
+        icon: "↔️",
+        title: "Direction",
+        attribute: "direction",
+        description: "Whether the node whose getpeerinfo was imported opened the connection (outbound) or accepted it (inbound)."
+    },
+    network: {
+        icon: "🌐",
+        title: "Network",
+        attribute: "network",
+        description: "How the node is reached: IPv4, IPv6, Tor onion, I2P or CJDNS."
+    },
+    client: {
+        icon: "🏷️",
+        title: "Client",
+        attribute: "client",
+        description: "The user agent the node announces, e.g. /Satoshi:27.0.0/."
+    }
+};
+
+// Colors handed to attribute values, most common value first; the last is shared by all the rest
+const ATTRIBUTE_PALETTE = ["#4fc3f7", "#ffb74d", "#81c784", "#ba68c8", "#e57373", "#fff176", "#4db6ac", "#9e9e9e"];
+
+// Update these constants near the top with other constants
+const PHASE_INFO = {
+    [PHASES.DISCOVERY]: {
+        icon: "🔍",
+        title: "Peer Discovery",
+        description: "Nodes open connections to new peers, shake hands with version and verack, and ask them for more addresses with getaddr."
+    },
+    [PHASES.SYNCING]: {
+        icon: "🔄",
+        title: "State Synchronization",
+        description: "Nodes ask peers for missing headers with getheaders, fetch the blocks with getdata, resolve forks and follow the chain with the most work."
+    },
+    [PHASES.PROCESSING]: {
+        icon: "⚡",
+        title: "Distributed Processing",
+        description: "Nodes announce new transactions with inv, peers request them with getdata, and each validates the tx before passing it on."
+    },
+    [PHASES.NETWORK_CHANGES]: {
+        icon: "🌐",
+        title: "Network Evolution",
+        description: "The network adapts as nodes dynamically join or leave the system."
+    },
+    [RAFT_PHASES.ELECTION]: {
+        icon: "🗳️",
+        title: "Leader Election",
+        description: "The leader crashes. A follower whose election timeout runs out starts a new term and asks for votes; a majority makes it leader."
+    },
+    [RAFT_PHASES.REPLICATION]: {
+        icon: "📜",
+        title: "Log Replication",
+        description: "The leader appends commands to its log and sends them to followers; an entry commits once a majority stores it."
+    },
+    [PBFT_PHASES.PRE_PREPARE]: {
+        icon: "📨",
+        title: "Pre-prepare",
+        description: "The primary gives a request a sequence number and sends it to every replica. A silent primary triggers a view change."
+    },
+    [PBFT_PHASES.PREPARE]: {
+        icon: "🤝",
+        title: "Prepare",
+        description: "Replicas broadcast that they accept the order; with 2f matching prepares out of 3f+1 replicas a replica is prepared."
+    },
+    [PBFT_PHASES.COMMIT]: {
+        icon: "✅",
+        title: "Commit",
+        description: "Prepared replicas broadcast commits; 2f+1 matching commits let a replica execute the request, even with f faulty replicas."
+    },
+    [POS_PHASES.PROPOSAL]: {
+        icon: "📦",
+        title: "Block Proposal",
+        description: "A validator, picked with odds proportional to its stake, proposes the slot's block on top of its chain."
+    },
+    [POS_PHASES.ATTESTATION]: {
+        icon: "🪙",
+        title: "Attestation",
+        description: "Validators vote for the proposed block; once two thirds of all stake has attested, the block is final."
+    }
+};
+
+// Ready-made phase sequences, built from the phases the run started with
+const PHASE_SEQUENCES = {
+    scenario: {
+        icon: "📋",
+        title: "Scenario",
+        description: "The sequence the run started with, from its scenario file or its protocol.",
+        build: phases => phases
+    },
+    discovery: {
+        icon: "🔍",
+        title: "Discovery only",
+        description: "Nodes keep finding and connecting to peers, and nothing else happens.",
+        build: () => [{ phase: PHASES.DISCOVERY, duration: PHASE_DURATIONS[PHASES.DISCOVERY] }]
+    },
+    withChurn: {
+        icon: "🌐",
+        title: "With churn",
+        description: "Every phase but churn, each with nodes joining and leaving at the same time.",
+        build: phases => phases
+            .filter(entry => entry.phase !== PHASES.NETWORK_CHANGES)
+            .map(entry => ({ ...entry, with: [PHASES.NETWORK_CHANGES] }))
+    }
+};
+
+// Guide entries and button labels for the layouts, keyed by LAYOUTS values
+const LAYOUT_INFO = {
+    [LAYOUTS.FORCE]: {
+        icon: "🧲",
+        title: "Force-directed",
+        description: "Links pull their nodes together while all nodes push each other apart; the graph keeps settling as peers come and go."
+    },
+    [LAYOUTS.CIRCULAR]: {
+        icon: "⭕",
+        title: "Circular",
+        description: "Nodes spaced evenly around a flat circle, in the order they joined."
+    },
+    [LAYOUTS.SPHERICAL]: {
+        icon: "🌐",
+        title: "Spherical",
+        description: "Nodes spread evenly over a sphere, so none hide behind each other."
+    },
+    [LAYOUTS.HIERARCHICAL]: {
+        icon: "🌳",
+        title: "Hierarchy",
+        description: "Click a node to put it on top; every other node sits one level lower per hop away from it, unreachable ones at the bottom."
+    },
+    [LAYOUTS.GLOBE]: {
+        icon: "🌍",
+        title: "Globe",
+        description: "Turn on with the 🌍 button: every node sits where it is on Earth, and links and packets follow great circles. A link's latency grows with its length, so packets to far regions arrive late."
+    }
+};
+
+// Guide entries for the topology generators, keyed like TOPOLOGIES
+const TOPOLOGY_INFO = {
+    random: {
+        icon: "🎲",
+        description: "Erdős–Rényi: every pair of nodes is linked with the same chance, so degrees cluster around the average and paths are short."
+    },
+    small_world: {
+        icon: "🔗",
+        description: "Watts–Strogatz: a ring where each node links to its nearest neighbors, with some links rewired to random nodes as shortcuts."
+    },
+    scale_free: {
+        icon: "⭐",
+        description: "Barabási–Albert: nodes join one by one and prefer well-connected peers, growing a few hubs and many leaves."
+    },
+    ring: {
+        icon: "⭕",
+        description: "Each node links only to its two neighbors around the circle; messages take the long way round."
+    },
+    grid: {
+        icon: "🔳",
+        description: "Nodes fill a lattice in the order they joined and link to the cells beside, above and below them."
+    },
+    bitcoin: {
+        icon: "₿",
+        description: "Each node opens a fixed number of outbound connections to random peers, up to a cap on all connections, as Bitcoin Core does."
+    }
+};
+
+// Guide entries for edit mode, in the order a presenter reaches for them
+const EDIT_INFO = [
+    {
+        icon: "➕",
+        title: "Add a Node",
+        description: "Click empty space to spawn a node there, or a spot on the globe to put it in that place. It finds peers in the next discovery phase, or link it yourself."
+    },
+    {
+        icon: "✋",
+        title: "Move",
+        description: "Drag a node to pin it where you drop it; the layout works around it. Switching layouts lets go of pinned nodes. On the globe, the node moves to that place on Earth, and the links it opens from there get its latency."
+    },
+    {
+        icon: "🔗",
+        title: "Link",
+        description: "Shift-drag from one node to another to open a connection between them."
+    },
+    {
+        icon: "🗑️",
+        title: "Delete",
+        description: "Click a node or a line to select it, then press Delete. A deleted node fades out like one shutting down."
+    },
+    {
+        icon: "💸",
+        title: "Inject",
+        description: "Select a node and press T for a transaction or B for a block, then watch it spread. Injections can't be undone."
+    },
+    {
+        icon: "↩️",
+        title: "Undo and Redo",
+        description: "Ctrl+Z and Ctrl+Y step through the edits above. A deleted node comes back with its old links and catches up from its peers."
+    }
+];
+
+// What each kind of attacker does, with the icon its label shows
+const BEHAVIOR_INFO = {
+    [BEHAVIORS.DROP_RELAY]: {
+        icon: "🚫",
+        title: "Relay Dropper",
+        description: "Accepts blocks and transactions but never passes them on, and ignores block requests, slowing propagation around it."
+    },
+    [BEHAVIORS.INVALID]: {
+        icon: "☣️",
+        title: "Invalid Data",
+        description: "Sends blocks and transactions that break the rules. Honest peers reject them and ban the sender, cutting the link for good."
+    },
+    [BEHAVIORS.DOUBLE_SPEND]: {
+        icon: "💸",
+        title: "Double-Spender",
+        description: "Pays one peer, and at the same moment sends everyone else a higher-fee transaction spending the same coins. If that one is mined, the payment is reversed."
+    },
+    [BEHAVIORS.SYBIL]: {
+        icon: "👥",
+        title: "Sybil Identity",
+        description: "One of a cluster of fake identities run by one attacker. They soak up honest nodes' connections and withhold everything."
+    },
+    [BEHAVIORS.ECLIPSE]: {
+        icon: "🌑",
+        title: "Eclipse Attacker",
+        description: "Surrounds a victim (🎯), takes all of its peer slots and feeds it nothing, so the victim falls behind the rest of the network."
+    }
+};
+
+// Label icon for each consensus role worth pointing out
+const ROLE_ICONS = {
+    [RAFT_ROLES.LEADER]: "👑",
+    [RAFT_ROLES.CANDIDATE]: "🗳️",
+    [PBFT_ROLES.PRIMARY]: "👑",
+    [POS_ROLES.PROPOSER]: "📦"
+};
+
+// Add these constants near the top with other constants
+const ELEMENT_INFO = {
+    NODE: {
+        icon: "⚫",
+        title: "Inactive Node",
+        description: "A node in its default state, ready to participate in the network. Click it to inspect its peers, traffic and protocol state; hover it to see what an imported snapshot says about it."
+    },
+    ACTIVE_NODE: {
+        icon: "🟡",
+        title: "Processing Node",
+        description: "A node that is actively processing transactions."
+    },
+    SYNC_RING: {
+        icon: "��",
+        title: "Syncing Node",
+        description: "A node downloading the blocks it is missing from a peer (green glow); the ring fills as it nears the best height it has heard of."
+    },
+    CHAIN_HEIGHT: {
+        icon: "#️⃣",
+        title: "Chain Height",
+        description: "Label above each node with the height of its best chain. Nodes briefly disagree on forks and switch to the chain with the most work."
+    },
+    MINER: {
+        icon: "⛏️",
+        title: "Miner",
+        description: "A node with hashpower (pick in its label). Blocks are found at random, on average once per target interval, with odds proportional to hashpower; the finder flashes orange and its block spreads from there."
+    },
+    MEMPOOL_BAR: {
+        icon: "📶",
+        title: "Mempool",
+        description: "Green bar beside a node: transactions it holds that no block has confirmed yet. It drains when a block containing them arrives."
+    },
+    CONNECTION: {
+        icon: "➖",
+        title: "Connection",
+        description: "Network connection between two nodes (gray line) with its own latency and bandwidth; packets queue when it is busy. Hover a line or a packet for details; click a line to close that connection."
+    },
+    CONNECTION_OPENING: {
+        icon: "🟦",
+        title: "Opening Connection",
+        description: "Blue while the TCP connection opens, then amber while the peers exchange version and verack. Messages sent meanwhile wait for the handshake."
+    },
+    CONNECTION_CLOSING: {
+        icon: "🟥",
+        title: "Closing Connection",
+        description: "Red while the connection shuts down: it takes no new messages, and fades out once those on the wire have arrived."
+    },
+    ROLE: {
+        icon: "👑",
+        title: "Consensus Role",
+        description: "Label icon for the node's role under Raft, PBFT or proof of stake: the leader or primary (crown), a Raft candidate (ballot box) or the slot's proposer (package)."
+    },
+    COMMITTED: {
+        icon: "✔️",
+        title: "Committed",
+        description: "Label count of log entries or blocks the node's consensus protocol has made final; nodes that fall behind catch up from the leader or from attestations."
+    },
+    ATTACKER: {
+        icon: "🟥",
+        title: "Attacker",
+        description: "Red wireframe cage around a misbehaving node; its label shows what it does (see Byzantine Behaviors)."
+    },
+    PARTITION: {
+        icon: "✂️",
+        title: "Netsplit",
+        description: "Each side of a partition is tinted its own color and the cut links are dashed red. The sides diverge until the split heals."
+    },
+    BULK: {
+        icon: "🐝",
+        title: "Large Networks",
+        description: `Runs that may grow past ${BULK_NODE_THRESHOLD} nodes are drawn in bulk: nodes show what they do by color alone (red for attackers, orange while mining) and only nodes answer hovers and clicks. Zoomed out, the packets on each link merge into one that grows with their number.`
+    },
+    PACKETS: {
+        HANDSHAKE: {
+            icon: "🔷",
+            title: "version / verack",
+            description: "Blue octahedra opening every connection: the connecting node sends version, the peer answers with its own version and a verack, and the connecting node's verack completes the handshake."
+        },
+        PING: {
+            icon: "⚪",
+            title: "ping / pong",
+            description: "Gray spheres the node that opened a connection sends now and then; the pong echoing a ping measures the round-trip time."
+        },
+        ADDR: {
+            icon: "🔺",
+            title: "getaddr / addr",
+            description: "Teal tetrahedra: once connected, a node asks its new outbound peer for addresses, and the addr reply lists nodes it can connect to next."
+        },
+        INV: {
+            icon: "🟢",
+            title: "inv / getdata",
+            description: "Lime discs: every couple of seconds a node announces the transactions it got since by ID in one inv; peers that don't have them yet answer with getdata to request them."
+        },
+        HEADERS: {
+            icon: "🟠",
+            title: "getheaders / headers",
+            description: "Orange cylinders: a node that is behind sends its block locator, and the peer answers with the headers that follow; the node then fetches those blocks with getdata. A single header also announces a new block."
+        },
+        CMPCTBLOCK: {
+            icon: "💠",
+            title: "cmpctblock",
+            description: "Pale gold icosahedron: a new block sent straight to a few peers as short transaction IDs. The receiver rebuilds it from its mempool, or requests the full block if any transaction is missing."
+        },
+        TRANSACTION: {
+            icon: "🟩",
+            title: "tx",
+            description: "Green box carrying a transaction with its fee and size, sent in answer to getdata. Nodes admit it to their mempool and announce it on, unless it double-spends an input they've already seen spent."
+        },
+        BLOCK: {
+            icon: "🟨",
+            title: "block",
+            description: "Gold box carrying a full block, sent in answer to getdata; it grows with the block's size."
+        },
+        VOTE: {
+            icon: "🩷",
+            title: "Raft Vote",
+            description: "Pink packets: a candidate's vote request for its term, and the answers granting or refusing the vote."
+        },
+        APPEND_ENTRIES: {
+            icon: "🩵",
+            title: "Raft Append Entries",
+            description: "Cyan packets: the leader's heartbeat with any log entries a follower is missing, and the follower's reply."
+        },
+        PBFT: {
+            icon: "⬜",
+            title: "PBFT Messages",
+            description: "White pre-prepare from the primary, violet prepares and red commits broadcast by every replica."
+        },
+        ATTESTATION: {
+            icon: "🩶",
+            title: "Attestation",
+            description: "Silver packet carrying a validator's vote for the block proposed this slot."
+        },
+        INVALID: {
+            icon: "🟥",
+            title: "Invalid Packet",
+            description: "Dark red packet: a block or transaction that breaks the rules. The receiver drops it and bans the sender."
+        }
+    }
+};
+
+/**
+ * Creates the Bitcoin network simulation scene and renders the simulation model
+ */
+export function createScene() {
+    // Create the Babylon.js engine
+    const canvas = document.getElementById("renderCanvas");
+    const engine = new BABYLON.Engine(canvas, true);
+
+    // Create the scene
+    const scene = new BABYLON.Scene(engine);
+    scene.clearColor = new BABYLON.Color3(0.05, 0.05, 0.05);
+
+    // Create the camera
+    const camera = new BABYLON.ArcRotateCamera(
+        "camera",
+        0,
+        Math.PI / 3,
+        20,
+        BABYLON.Vector3.Zero(),
+        scene
+    );
+    camera.attachControl(canvas, true);
+
+    // Create the light
+    const light = new BABYLON.HemisphericLight(
+        "light",
+        new BABYLON.Vector3(0, 1, 0),
+        scene
+    );
+
+    // Headless network model; this scene is only a view of it.
+    // ?seed= replays an earlier run exactly, ?scenario= loads a scenario file by URL.
+    const urlParams = new URLSearchParams(window.location.search);
+    let simulation = null;
+
+    // View state
+    const viewState = {
+        isDarkMode: true,
+        coloring: "none" // A key of NODE_COLORINGS
+    };
+
+    // Create GUI
+    const advancedTexture = BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI("UI");
+
+    // Create control panel container
+    const panel = new BABYLON.GUI.StackPanel();
+    panel.width = "325px";
+    panel.height = "205px";
+    panel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    panel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    panel.background = "rgba(0, 0, 0, 0.7)";
+    panel.paddingBottom = "10px";
+    panel.paddingLeft = "10px";
+    advancedTexture.addControl(panel);
+
+    // Control buttons
+    const buttonPanel = new BABYLON.GUI.StackPanel();
+    buttonPanel.isVertical = false;
+    buttonPanel.height = "40px";
+    buttonPanel.spacing = 10; // Add spacing between buttons
+    panel.addControl(buttonPanel);
+
+    // Reset button with improved styling
+    const resetBtn = BABYLON.GUI.Button.CreateSimpleButton("reset", "↺ Reset");
+    resetBtn.width = "95px";
+    resetBtn.height = "35px";
+    resetBtn.color = "white";
+    resetBtn.fontSize = "16px";
+    resetBtn.background = "#454545";
+    resetBtn.cornerRadius = 8;
+    resetBtn.hoverCursor = "pointer";
+
+    // Add hover effect
+    resetBtn.onPointerEnterObservable.add(() => {
+        resetBtn.background = "#666666";
+    });
+    resetBtn.onPointerOutObservable.add(() => {
+        resetBtn.background = "#454545";
+    });
+
+    resetBtn.onPointerClickObservable.add(() => {
+        // Start over with a fresh seed
+        const url = new URL(window.location.href);
+        url.searchParams.delete("seed");
+        window.location.href = url.toString();
+    });
+    buttonPanel.addControl(resetBtn);
+
+    // Play/Pause button with improved styling
+    const playPauseBtn = BABYLON.GUI.Button.CreateSimpleButton("playPause", "⏸️ Pause");
+    playPauseBtn.width = "95px";
+    playPauseBtn.height = "35px";
+    playPauseBtn.color = "white";
+    playPauseBtn.fontSize = "16px";
+    playPauseBtn.background = "#454545";
+    playPauseBtn.cornerRadius = 8;
+    playPauseBtn.hoverCursor = "pointer";
+
+    // Add hover effect
+    playPauseBtn.onPointerEnterObservable.add(() => {
+        playPauseBtn.background = "#666666";
+    });
+    playPauseBtn.onPointerOutObservable.add(() => {
+        playPauseBtn.background = "#454545";
+    });
+
+    playPauseBtn.onPointerClickObservable.add(() => {
+        goLive();
+        simulation.setRunning(!simulation.state.isRunning);
+        playPauseBtn.textBlock.text = simulation.state.isRunning ? "⏸️ Pause" : "▶️ Play";
+    });
+    buttonPanel.addControl(playPauseBtn);
+
+    // Step button: pauses and advances the simulation by a single step
+    const stepBtn = BABYLON.GUI.Button.CreateSimpleButton("step", "⏭️ Step");
+    stepBtn.width = "95px";
+    stepBtn.height = "35px";
+    stepBtn.color = "white";
+    stepBtn.fontSize = "16px";
+    stepBtn.background = "#454545";
+    stepBtn.cornerRadius = 8;
+    stepBtn.hoverCursor = "pointer";
+
+    // Add hover effect
+    stepBtn.onPointerEnterObservable.add(() => {
+        stepBtn.background = "#666666";
+    });
+    stepBtn.onPointerOutObservable.add(() => {
+        stepBtn.background = "#454545";
+    });
+
+    stepBtn.onPointerClickObservable.add(() => {
+        goLive();
+        simulation.setRunning(false);
+        playPauseBtn.textBlock.text = "▶️ Play";
+        simulation.step();
+    });
+    buttonPanel.addControl(stepBtn);
+
+    // Speed slider, in powers of two around real time
+    const SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+    const speedPanel = new BABYLON.GUI.StackPanel();
+    speedPanel.isVertical = false;
+    speedPanel.height = "30px";
+    panel.addControl(speedPanel);
+
+    const speedText = new BABYLON.GUI.TextBlock("speedText", "Speed 1x");
+    speedText.width = "95px";
+    speedText.color = "white";
+    speedText.fontSize = "14px";
+    speedPanel.addControl(speedText);
+
+    const speedSlider = new BABYLON.GUI.Slider("speed");
+    speedSlider.minimum = 0;
+    speedSlider.maximum = SPEEDS.length - 1;
+    speedSlider.step = 1;
+    speedSlider.value = SPEEDS.indexOf(1);
+    speedSlider.width = "200px";
+    speedSlider.height = "20px";
+    speedSlider.color = "#0066cc";
+    speedSlider.background = "#454545";
+    speedSlider.onValueChangedObservable.add((value) => {
+        const speed = SPEEDS[Math.round(value)];
+        simulation.setSpeed(speed);
+        speedText.text = `Speed ${speed}x`;
+    });
+    speedPanel.addControl(speedSlider);
+
+    // Run panel: seed and scenario of the current run
+    const runPanel = new BABYLON.GUI.StackPanel();
+    runPanel.isVertical = false;
+    runPanel.height = "30px";
+    panel.addControl(runPanel);
+
+    // Seed button: restarts the run with the same seed and scenario
+    const seedBtn = BABYLON.GUI.Button.CreateSimpleButton("seed", "🎲 Seed");
+    seedBtn.width = "160px";
+    seedBtn.height = "30px";
+    seedBtn.color = "white";
+    seedBtn.fontSize = "14px";
+    seedBtn.thickness = 0;
+    seedBtn.hoverCursor = "pointer";
+
+    seedBtn.onPointerClickObservable.add(() => {
+        startSimulation(simulation.scenario, simulation.seed);
+    });
+    runPanel.addControl(seedBtn);
+
+    // Scenario button: loads a scenario file from disk
+    const scenarioBtn = BABYLON.GUI.Button.CreateSimpleButton("scenario", "📄 Scenario");
+    scenarioBtn.width = "160px";
+    scenarioBtn.height = "30px";
+    scenarioBtn.color = "white";
+    scenarioBtn.fontSize = "14px";
+    scenarioBtn.thickness = 0;
+    scenarioBtn.hoverCursor = "pointer";
+
+    scenarioBtn.onPointerClickObservable.add(() => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = "application/json,.json";
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                startSimulation(parseScenario(await file.text()));
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+
+            // The run no longer comes from the ?scenario= URL
+            const url = new URL(window.location.href);
+            url.searchParams.delete("scenario");
+            window.history.replaceState(null, "", url.toString());
+        };
+        input.click();
+    });
+    runPanel.addControl(scenarioBtn);
+
+    // Network panel: split the network in two, then heal it
+    const networkPanel = new BABYLON.GUI.StackPanel();
+    networkPanel.isVertical = false;
+    networkPanel.height = "30px";
+    panel.addControl(networkPanel);
+
+    const partitionBtn = BABYLON.GUI.Button.CreateSimpleButton("partition", "✂️ Netsplit");
+    partitionBtn.width = "160px";
+    partitionBtn.height = "30px";
+    partitionBtn.color = "white";
+    partitionBtn.fontSize = "14px";
+    partitionBtn.thickness = 0;
+    partitionBtn.hoverCursor = "pointer";
+
+    partitionBtn.onPointerClickObservable.add(() => {
+        goLive();
+        if (simulation.partitionState) {
+            simulation.healPartition();
+        } else {
+            simulation.partition(2);
+        }
+    });
+    networkPanel.addControl(partitionBtn);
+
+    // Protocol button: restarts with the next consensus protocol
+    const protocolBtn = BABYLON.GUI.Button.CreateSimpleButton("protocol", "⚙️ Bitcoin");
+    protocolBtn.width = "160px";
+    protocolBtn.height = "30px";
+    protocolBtn.color = "white";
+    protocolBtn.fontSize = "14px";
+    protocolBtn.thickness = 0;
+    protocolBtn.hoverCursor = "pointer";
+
+    protocolBtn.onPointerClickObservable.add(() => {
+        const names = Object.keys(PROTOCOLS);
+        const next = names[(names.indexOf(simulation.scenario.protocol) + 1) % names.length];
+        startSimulation(parseScenario({ protocol: next }));
+    });
+    networkPanel.addControl(protocolBtn);
+
+    // Attack panel: corrupt an honest node, launch a Sybil cluster, eclipse a node
+    const attackPanel = new BABYLON.GUI.StackPanel();
+    attackPanel.isVertical = false;
+    attackPanel.height = "30px";
+    panel.addControl(attackPanel);
+
+    // Each click of Corrupt turns a node into the next of these
+    const CORRUPTIONS = [BEHAVIORS.DROP_RELAY, BEHAVIORS.INVALID, BEHAVIORS.DOUBLE_SPEND];
+    let corruptionCount = 0;
+
+    const createAttackButton = (name, text, onClick) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "106px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "14px";
+        button.thickness = 0;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(() => {
+            goLive();
+            onClick();
+        });
+        attackPanel.addControl(button);
+        return button;
+    };
+    const attackButtons = [
+        createAttackButton("corrupt", "😈 Corrupt", () => {
+            simulation.corrupt(CORRUPTIONS[corruptionCount++ % CORRUPTIONS.length]);
+        }),
+        createAttackButton("sybil", "👥 Sybil", () => simulation.launchSybil()),
+        createAttackButton("eclipse", "🌑 Eclipse", () => simulation.eclipse())
+    ];
+
+    // Layout panel: how the nodes are arranged, and whether they live on a globe
+    const layoutPanel = new BABYLON.GUI.StackPanel();
+    layoutPanel.isVertical = false;
+    layoutPanel.height = "30px";
+    panel.addControl(layoutPanel);
+
+    // Layout button: cycles how the nodes are arranged; click a node to root the hierarchy there
+    const layoutBtn = BABYLON.GUI.Button.CreateSimpleButton("layout", "🧲 Force-directed");
+    layoutBtn.width = "210px";
+    layoutBtn.height = "30px";
+    layoutBtn.color = "white";
+    layoutBtn.fontSize = "14px";
+    layoutBtn.thickness = 0;
+    layoutBtn.hoverCursor = "pointer";
+
+    layoutBtn.onPointerClickObservable.add(() => {
+        // The globe needs nodes with a location
+        const layouts = Object.values(LAYOUTS).filter(layout => layout !== LAYOUTS.GLOBE || simulation.scenario.geography.enabled);
+        setLayout(layouts[(layouts.indexOf(layoutState.layout) + 1) % layouts.length]);
+    });
+    layoutPanel.addControl(layoutBtn);
+
+    // Globe button: restarts the run with nodes placed on Earth, or back on the plain layouts
+    const globeBtn = BABYLON.GUI.Button.CreateSimpleButton("globe", "🌍 Globe");
+    globeBtn.width = "90px";
+    globeBtn.height = "30px";
+    globeBtn.color = "white";
+    globeBtn.fontSize = "14px";
+    globeBtn.thickness = 0;
+    globeBtn.hoverCursor = "pointer";
+
+    globeBtn.onPointerClickObservable.add(() => {
+        const geography = { ...simulation.scenario.geography, enabled: !simulation.scenario.geography.enabled };
+        startSimulation({ ...simulation.scenario, geography }, simulation.seed);
+    });
+    layoutPanel.addControl(globeBtn);
+
+    const title = "Dynamic Distributed Network Simulation";
+
+    // Create 3D title text
+    const titleText = new BABYLON.GUI.TextBlock();
+    titleText.text = title;
+    titleText.color = "white";
+    titleText.fontSize = "32px"; // Larger font size
+    titleText.height = "160px";
+    titleText.top = "20px";
+    titleText.paddingLeft = "20px";
+    titleText.paddingRight = "20px";
+    titleText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
+    titleText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    titleText.textWrapping = true;
+    titleText.fontFamily = "Arial Black"; // Bolder font
+    titleText.outlineWidth = 4;
+    titleText.outlineColor = "#0066cc";
+
+    // Create shadow effect with multiple layers
+    const shadowLayers = 4;
+    const shadowOffset = 2;
+    const shadowColor = "rgba(0, 102, 204, 0.3)"; // Blue shadow with transparency
+
+    for (let i = 0; i < shadowLayers; i++) {
+        const shadowText = new BABYLON.GUI.TextBlock();
+        shadowText.text = title;
+        shadowText.fontSize = titleText.fontSize;
+        shadowText.height = titleText.height;
+        shadowText.top = `${20 + (i * shadowOffset)}px`;
+        shadowText.paddingLeft = titleText.paddingLeft;
+        shadowText.paddingRight = titleText.paddingRight;
+        shadowText.textHorizontalAlignment = titleText.textHorizontalAlignment;
+        shadowText.verticalAlignment = titleText.verticalAlignment;
+        shadowText.textWrapping = true;
+        shadowText.fontFamily = titleText.fontFamily;
+        shadowText.color = shadowColor;
+        shadowText.zIndex = -i; // Place behind main text
+        advancedTexture.addControl(shadowText);
+    }
+
+    // Add main text last so it appears on top
+    advancedTexture.addControl(titleText);
+
+    // Instructions text (for phase updates)
+    const instructionsText = new BABYLON.GUI.TextBlock();
+    instructionsText.text = "";
+    instructionsText.color = "white";
+    instructionsText.fontSize = "24px";
+    instructionsText.height = "40px";
+    instructionsText.top = "140px"; // Increased spacing from title
+    instructionsText.paddingLeft = "20px";
+    instructionsText.paddingRight = "20px";
+    instructionsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
+    instructionsText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    instructionsText.textWrapping = true;
+    instructionsText.fontFamily = "Arial Black";
+    instructionsText.outlineWidth = 2;
+
+    // Phase-based neon colors
+    const PHASE_STYLES = {
+        [PHASES.DISCOVERY]: {
+            color: "#00ffff", // Cyan
+            outlineColor: "#00808080",
+            glowColor: "rgba(0, 255, 255, 0.3)"
+        },
+        [PHASES.SYNCING]: {
+            color: "#ff00ff", // Magenta
+            outlineColor: "#80008080",
+            glowColor: "rgba(255, 0, 255, 0.3)"
+        },
+        [PHASES.PROCESSING]: {
+            color: "#00ff00", // Neon Green
+            outlineColor: "#00800080",
+            glowColor: "rgba(0, 255, 0, 0.3)"
+        },
+        [PHASES.NETWORK_CHANGES]: {
+            color: "#ff9900", // Neon Orange
+            outlineColor: "#804d0080",
+            glowColor: "rgba(255, 153, 0, 0.3)"
+        },
+        [RAFT_PHASES.ELECTION]: {
+            color: "#ff33cc", // Neon Pink
+            outlineColor: "#801a6680",
+            glowColor: "rgba(255, 51, 204, 0.3)"
+        },
+        [RAFT_PHASES.REPLICATION]: {
+            color: "#00e6ff", // Neon Cyan
+            outlineColor: "#00738080",
+            glowColor: "rgba(0, 230, 255, 0.3)"
+        },
+        [PBFT_PHASES.PRE_PREPARE]: {
+            color: "#ffffff", // White
+            outlineColor: "#80808080",
+            glowColor: "rgba(255, 255, 255, 0.3)"
+        },
+        [PBFT_PHASES.PREPARE]: {
+            color: "#9966ff", // Neon Violet
+            outlineColor: "#4d338080",
+            glowColor: "rgba(153, 102, 255, 0.3)"
+        },
+        [PBFT_PHASES.COMMIT]: {
+            color: "#ff4040", // Neon Red
+            outlineColor: "#80202080",
+            glowColor: "rgba(255, 64, 64, 0.3)"
+        },
+        [POS_PHASES.PROPOSAL]: {
+            color: "#ffd700", // Gold
+            outlineColor: "#806b0080",
+            glowColor: "rgba(255, 215, 0, 0.3)"
+        },
+        [POS_PHASES.ATTESTATION]: {
+            color: "#c0c0ff", // Silver
+            outlineColor: "#60608080",
+            glowColor: "rgba(192, 192, 255, 0.3)"
+        }
+    };
+
+    // Create shadow effect for instructions
+    const instructionsShadowLayers = 3;
+    const instructionsShadowOffset = 1;
+    const instructionsShadows = [];
+
+    for (let i = 0; i < instructionsShadowLayers; i++) {
+        const shadowText = new BABYLON.GUI.TextBlock();
+        shadowText.text = "";
+        shadowText.fontSize = instructionsText.fontSize;
+        shadowText.height = instructionsText.height;
+        shadowText.top = `${140 + (i * instructionsShadowOffset)}px`;
+        shadowText.paddingLeft = instructionsText.paddingLeft;
+        shadowText.paddingRight = instructionsText.paddingRight;
+        shadowText.textHorizontalAlignment = instructionsText.textHorizontalAlignment;
+        shadowText.verticalAlignment = instructionsText.verticalAlignment;
+        shadowText.textWrapping = true;
+        shadowText.fontFamily = instructionsText.fontFamily;
+        shadowText.zIndex = -i;
+        instructionsShadows.push(shadowText);
+        advancedTexture.addControl(shadowText);
+    }
+
+    // Add main instructions text last
+    advancedTexture.addControl(instructionsText);
+
+    // Add theme toggle button
+    const themeBtn = BABYLON.GUI.Button.CreateSimpleButton("theme", "☀️");
+    themeBtn.width = "40px";
+    themeBtn.height = "40px";
+    themeBtn.color = viewState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
+    themeBtn.background = viewState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
+    themeBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    themeBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    themeBtn.top = "10px";
+    themeBtn.right = "10px";
+
+    themeBtn.onPointerClickObservable.add(() => {
+        viewState.isDarkMode = !viewState.isDarkMode;
+        themeBtn.textBlock.text = viewState.isDarkMode ? "☀️" : "🌙";
+        updateTheme();
+    });
+    advancedTexture.addControl(themeBtn);
+
+    // Add this inside createScene() function, after creating other UI elements
+    function createAgendaModal(advancedTexture) {
+        // Create modal container
+        const modal = new BABYLON.GUI.Rectangle("modal");
+        modal.width = "800px"; // Increased width
+        modal.height = "600px"; // Increased height
+        modal.thickness = 0;
+        modal.isVisible = false;
+        modal.zIndex = 100;
+        modal.background = viewState.isDarkMode ? "rgba(30, 30, 30, 0.95)" : "rgba(240, 240, 240, 0.95)";
+        modal.cornerRadius = 10;
+        advancedTexture.addControl(modal);
+
+        // Create scrollable container
+        const scrollViewer = new BABYLON.GUI.ScrollViewer("scrollViewer");
+        scrollViewer.width = "100%";
+        scrollViewer.height = "100%";
+        scrollViewer.thickness = 0;
+        modal.addControl(scrollViewer);
+
+        // Create main content container
+        const contentPanel = new BABYLON.GUI.StackPanel("contentPanel");
+        contentPanel.width = "100%";
+        contentPanel.spacing = 20;
+        scrollViewer.addControl(contentPanel);
+
+        // Create title
+        const title = new BABYLON.GUI.TextBlock("modalTitle");
+        title.text = "Simulation Guide";
+        title.color = viewState.isDarkMode ? "white" : "black";
+        title.fontSize = "24px";
+        title.height = "40px";
+        title.fontFamily = "Arial Black";
+        title.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        contentPanel.addControl(title);
+
+        // Create sections
+        const createSection = (title, items, itemCreator) => {
+            const sectionTitle = new BABYLON.GUI.TextBlock();
+            sectionTitle.text = title;
+            sectionTitle.color = viewState.isDarkMode ? "#00aaff" : "#0066cc";
+            sectionTitle.fontSize = "20px";
+            sectionTitle.height = "30px";
+            sectionTitle.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            sectionTitle.left = "20px";
+            sectionTitle.paddingTop = "20px";
+            contentPanel.addControl(sectionTitle);
+
+            items.forEach(item => {
+                itemCreator(item, contentPanel);
+            });
+        };
+
+        // Create phase item
+        const createPhaseItem = ([phase, info], parent) => {
+            const container = new BABYLON.GUI.Rectangle(`phase-${phase}`);
+            container.height = "70px";
+            container.thickness = 0;
+            container.background = "transparent";
+            parent.addControl(container);
+
+            const headerText = new BABYLON.GUI.TextBlock();
+            headerText.text = `${info.icon} ${info.title}`;
+            headerText.color = PHASE_STYLES[phase].color;
+            headerText.fontSize = "18px";
+            headerText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            headerText.left = "20px";
+            headerText.top = "-20px";
+            container.addControl(headerText);
+
+            const descText = new BABYLON.GUI.TextBlock();
+            descText.text = info.description;
+            descText.color = viewState.isDarkMode ? "white" : "black";
+            descText.fontSize = "14px";
+            descText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            descText.textWrapping = true;
+            descText.left = "20px";
+            descText.top = "10px";
+            container.addControl(descText);
+        };
+
+        // Create element item
+        const createElementItem = (info, parent) => {
+            const container = new BABYLON.GUI.Rectangle();
+            container.height = "60px";
+            container.thickness = 0;
+            container.background = "transparent";
+            parent.addControl(container);
+
+            const headerText = new BABYLON.GUI.TextBlock();
+            headerText.text = `${info.icon} ${info.title}`;
+            headerText.color = viewState.isDarkMode ? "#00ffaa" : "#008855";
+            headerText.fontSize = "16px";
+            headerText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            headerText.left = "20px";
+            headerText.top = "-15px";
+            container.addControl(headerText);
+
+            const descText = new BABYLON.GUI.TextBlock();
+            descText.text = info.description;
+            descText.color = viewState.isDarkMode ? "white" : "black";
+            descText.fontSize = "14px";
+            descText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            descText.textWrapping = true;
+            descText.left = "20px";
+            descText.top = "10px";
+            container.addControl(descText);
+        };
+
+        // Add sections: the shared network phases, then each protocol's own
+        const phaseEntries = phases => phases.map(phase => [phase, PHASE_INFO[phase]]);
+        createSection("Network Phases", phaseEntries(NETWORK_PHASES), createPhaseItem);
+        Object.values(PROTOCOLS).forEach(Protocol => {
+            const ownPhases = Protocol.phaseNames.filter(phase => !NETWORK_PHASES.includes(phase));
+            createSection(`${Protocol.title} Phases`, phaseEntries(ownPhases), createPhaseItem);
+        });
+        
+        createSection("Network Elements", [
+            ELEMENT_INFO.NODE,
+            ELEMENT_INFO.ACTIVE_NODE,
+            ELEMENT_INFO.SYNC_RING,
+            ELEMENT_INFO.CHAIN_HEIGHT,
+            ELEMENT_INFO.MINER,
+            ELEMENT_INFO.MEMPOOL_BAR,
+            ELEMENT_INFO.ROLE,
+            ELEMENT_INFO.COMMITTED,
+            ELEMENT_INFO.ATTACKER,
+            ELEMENT_INFO.CONNECTION,
+            ELEMENT_INFO.CONNECTION_OPENING,
+            ELEMENT_INFO.CONNECTION_CLOSING,
+            ELEMENT_INFO.PARTITION,
+            ELEMENT_INFO.BULK
+        ], createElementItem);
+        
+        createSection("Network Packets", [
+            ELEMENT_INFO.PACKETS.HANDSHAKE,
+            ELEMENT_INFO.PACKETS.PING,
+            ELEMENT_INFO.PACKETS.ADDR,
+            ELEMENT_INFO.PACKETS.INV,
+            ELEMENT_INFO.PACKETS.HEADERS,
+            ELEMENT_INFO.PACKETS.CMPCTBLOCK,
+            ELEMENT_INFO.PACKETS.TRANSACTION,
+            ELEMENT_INFO.PACKETS.BLOCK,
+            ELEMENT_INFO.PACKETS.VOTE,
+            ELEMENT_INFO.PACKETS.APPEND_ENTRIES,
+            ELEMENT_INFO.PACKETS.PBFT,
+            ELEMENT_INFO.PACKETS.ATTESTATION,
+            ELEMENT_INFO.PACKETS.INVALID
+        ], createElementItem);
+
+        createSection("Phase Sequences", Object.values(PHASE_SEQUENCES), createElementItem);
+
+        createSection("Byzantine Behaviors", Object.values(BEHAVIOR_INFO), createElementItem);
+
+        createSection("Layouts", Object.values(LAYOUT_INFO), createElementItem);
+
+        createSection("Edit Mode", EDIT_INFO, createElementItem);
+
+        createSection("Node Colors", Object.values(NODE_COLORINGS), createElementItem);
+
+        createSection("Topologies", Object.entries(TOPOLOGY_INFO).map(([type, info]) => ({
+            ...info,
+            title: TOPOLOGIES[type].title
+        })), createElementItem);
+
+        // Create close button
+        const closeBtn = BABYLON.GUI.Button.CreateSimpleButton("closeModal", "✕");
+        closeBtn.width = "30px";
+        closeBtn.height = "30px";
+        closeBtn.color = viewState.isDarkMode ? "white" : "black";
+        closeBtn.thickness = 0;
+        closeBtn.cornerRadius = 15;
+        closeBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        closeBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        closeBtn.top = "10px";
+        closeBtn.right = "10px";
+        closeBtn.onPointerClickObservable.add(() => {
+            modal.isVisible = false;
+        });
+        modal.addControl(closeBtn);
+
+        return modal;
+    }
+
+    // Add this after creating other buttons in createScene()
+    const agendaBtn = BABYLON.GUI.Button.CreateSimpleButton("agenda", "ℹ️");
+    agendaBtn.width = "40px";
+    agendaBtn.height = "40px";
+    agendaBtn.color = viewState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
+    agendaBtn.background = viewState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
+    agendaBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    agendaBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    agendaBtn.top = "60px";
+    agendaBtn.right = "10px";
+    agendaBtn.cornerRadius = 8;
+    advancedTexture.addControl(agendaBtn);
+
+    // Create the modal
+    const agendaModal = createAgendaModal(advancedTexture);
+
+    // Add click handler to agenda button
+    agendaBtn.onPointerClickObservable.add(() => {
+        agendaModal.isVisible = true;
+    });
+
+    // Update the updateTheme function to include the new elements
+    function updateTheme() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        scene.clearColor = colors.background;
+        panel.background = colors.panel;
+        instructionsText.color = colors.text;
+        themeBtn.color = colors.text;
+        themeBtn.background = colors.button;
+        resetBtn.background = colors.button;
+        playPauseBtn.background = colors.button;
+        stepBtn.background = colors.button;
+        speedText.color = colors.text;
+        speedSlider.background = colors.button;
+        seedBtn.color = colors.text;
+        scenarioBtn.color = colors.text;
+        partitionBtn.color = colors.text;
+        protocolBtn.color = colors.text;
+        layoutBtn.color = colors.text;
+        globeBtn.color = colors.text;
+        paintGlobe();
+        attackButtons.forEach(button => button.color = colors.text);
+        propagationPanel.background = colors.panel;
+        propagationText.color = colors.text;
+        mempoolPanel.background = colors.panel;
+        mempoolText.color = colors.text;
+        miningPanel.background = colors.panel;
+        miningText.color = colors.text;
+        attackStatsPanel.background = colors.panel;
+        attackStatsText.color = colors.text;
+        inspectorPanel.background = colors.panel;
+        [inspectorTitle, inspectorText, inspectorPeersText, inspectorCloseBtn].forEach(control => control.color = colors.text);
+        inspectorPeers.children.forEach(button => {
+            button.color = colors.text;
+            button.background = colors.button;
+        });
+        tooltip.background = colors.panel;
+        tooltipText.color = colors.text;
+        phasePanel.background = colors.panel;
+        phaseStatusText.color = colors.text;
+        [holdBtn, loopBtn, sequenceBtn].forEach(button => button.color = colors.text);
+        phaseState.rows.forEach(row => {
+            row.children[0].color = colors.text;
+            row.children[1].background = colors.button;
+            row.children[2].color = colors.text;
+        });
+        dashboardBtn.color = colors.text;
+        dashboardBtn.background = colors.button;
+        editBtn.color = colors.text;
+        editBtn.background = editState.isEditing ? "#0066cc" : colors.button;
+        editPanel.background = colors.panel;
+        editStatusText.color = colors.text;
+        [undoBtn, redoBtn, deleteBtn, injectTxBtn, injectBlockBtn].forEach(button => button.color = colors.text);
+        dashboardPanel.background = colors.panel;
+        dashboardText.color = colors.text;
+        dashboardCloseBtn.color = colors.text;
+        timelinePanel.background = colors.panel;
+        topologyPanel.background = colors.panel;
+        topologyBtn.color = colors.text;
+        [importPeersBtn, coloringBtn, exportGraphBtn, importGraphBtn, ...graphMenu.children].forEach(button => button.color = colors.text);
+        topologyRows.forEach(row => {
+            row.children[0].color = colors.text;
+            row.children[1].background = colors.button;
+        });
+        timeText.color = colors.text;
+        timelineSlider.background = colors.button;
+        [liveBtn, exportBtn, importBtn].forEach(button => button.background = colors.button);
+        agendaBtn.color = colors.text;
+        agendaBtn.background = colors.button;
+        
+        // Update modal colors
+        if (agendaModal) {
+            agendaModal.background = viewState.isDarkMode ? 
+                "rgba(30, 30, 30, 0.95)" : "rgba(240, 240, 240, 0.95)";
+            
+            const scrollViewer = agendaModal.children.find(child => child.name === "scrollViewer");
+            if (scrollViewer && scrollViewer.children[0]) {
+                const contentPanel = scrollViewer.children[0];
+                contentPanel.children.forEach(child => {
+                    if (child.color) {
+                        if (child.name === "modalTitle") {
+                            child.color = viewState.isDarkMode ? "white" : "black";
+                        } else if (child.text && child.text.includes(":")) {
+                            // Section titles
+                            child.color = viewState.isDarkMode ? "#00aaff" : "#0066cc";
+                        }
+                    }
+                    
+                    // Update description text colors
+                    if (child instanceof BABYLON.GUI.Rectangle) {
+                        const descText = child.children[1];
+                        if (descText) {
+                            descText.color = viewState.isDarkMode ? "white" : "black";
+                        }
+                    }
+                });
+            }
+        }
+    }
+
+    // Meshes for every simulated node and link, keyed by node ID and link key
+    const nodeViews = new Map();
+    const connectionViews = new Map();
+    const linkKey = (a, b) => [a, b].sort().join("|");
+
+    // Dashed lines where a netsplit cut links, keyed like connectionViews
+    const severedLines = new Map();
+
+    // Packets in flight keyed by message ID, moved along their path by simulation time
+    const packets = new Map();
+
+    // What each mesh of a node, line or packet shows, so hovers and clicks find it without a search.
+    // Bulk views draw everything with a shared mesh and aren't listed
+    const meshTargets = new Map();
+
+    // How nodes are arranged on screen; the simulation's positions only seed it
+    const layoutState = {
+        layout: LAYOUTS.FORCE,
+        force: new ForceLayout(),
+        root: null,      // Node the hierarchical layout counts hops from
+        targets: null,   // Where a fixed layout wants each node, recomputed when the graph changes
+        isTargetStale: false,
+        arrangedAt: 0,   // performance.now() when the targets were last recomputed
+        edges: null,     // Linked node ID pairs, kept until a link comes or goes
+        pinned: new Map() // Nodes dragged in edit mode, kept where they were dropped
+    };
+
+    // Bulk views of a big network, or null while nodes, links and packets get meshes of their own
+    const bulkViews = {
+        nodes: null,     // NodeSwarm
+        links: null,     // LinkWeb
+        packets: null    // PacketSwarm
+    };
+
+    /**
+     * Switch to another layout; nodes glide from where they are to their new places
+     * @param {string} layout - One of LAYOUTS
+     */
+    function setLayout(layout) {
+        layoutState.layout = layout;
+        layoutState.targets = null;
+        layoutState.pinned.clear();
+        // Fresh velocities, so a flat arrangement gets nudged back into 3D
+        layoutState.force = new ForceLayout();
+        updateLayoutButton();
+        updateGlobe();
+    }
+
+    // Earth under the nodes while the globe layout is on, sized to the run
+    const globe = {
+        mesh: null,
+        coastlines: null,
+        radius: 0
+    };
+
+    function isOnGlobe() {
+        return layoutState.layout === LAYOUTS.GLOBE;
+    }
+
+    /**
+     * Show or hide the Earth to match the layout, and draw links over it or straight through space
+     */
+    function updateGlobe() {
+        connectionViews.forEach(view => {
+            // Lines are rebuilt to follow the globe or not
+            meshTargets.delete(view.lines);
+            view.setGlobe(isOnGlobe(), scene);
+            if (view.lines) {
+                meshTargets.set(view.lines, { connection: view });
+            }
+        });
+        if (globe.mesh && (!isOnGlobe() || globe.radius !== simulation.radius)) {
+            globe.mesh.material.dispose();
+            globe.mesh.dispose();
+            globe.coastlines?.dispose();
+            globe.mesh = null;
+            globe.coastlines = null;
+        }
+        if (!isOnGlobe() || globe.mesh) return;
+
+        // A little under the nodes, so they and their links stay on top
+        const radius = simulation.radius;
+        const mesh = BABYLON.MeshBuilder.CreateSphere("earth", { diameter: radius * 1.94, segments: 48 }, scene);
+        mesh.material = new BABYLON.StandardMaterial("earthMaterial", scene);
+        mesh.material.specularColor = BABYLON.Color3.Black();
+        mesh.material.alpha = 0.9;
+        globe.mesh = mesh;
+        globe.radius = radius;
+
+        globe.coastlines = BABYLON.MeshBuilder.CreateLineSystem("coastlines", {
+            lines: WORLD_OUTLINES.map(({ points }) => points.map(([lon, lat]) => {
+                const { x, y, z } = locationToPosition({ lat, lon }, radius * 0.975);
+                return new BABYLON.Vector3(x, y, z);
+            }))
+        }, scene);
+        globe.coastlines.isPickable = false;
+        paintGlobe();
+        paintGlobe();
+    }
+
+    function paintGlobe() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        if (globe.mesh) {
+            globe.mesh.material.diffuseColor = colors.ocean;
+            globe.mesh.material.emissiveColor = colors.ocean.scale(0.5);
+        }
+        if (globe.coastlines) {
+            globe.coastlines.color = colors.coast;
+        }
+    }
+
+    function updateLayoutButton() {
+        const info = LAYOUT_INFO[layoutState.layout];
+        layoutBtn.textBlock.text = layoutState.layout === LAYOUTS.HIERARCHICAL
+            ? `${info.icon} ${info.title} from ${layoutState.root ?? "first node"}`
+            : `${info.icon} ${info.title}`;
+    }
+
+    /**
+     * Move the nodes one frame further into the current layout, and their lines with them
+     */
+    function updateLayout() {
+        const positions = new Map(Array.from(nodeViews, ([nodeId, view]) => [nodeId, view.position]));
+        layoutState.edges = layoutState.edges ?? Array.from(connectionViews.keys(), key => key.split("|"));
+        const edges = layoutState.edges;
+
+        let largestMove;
+        if (layoutState.layout === LAYOUTS.FORCE) {
+            largestMove = layoutState.force.step(positions, edges);
+        } else {
+            // A big network changes every frame; arranging it that often would stall the view
+            const isDue = !bulkViews.nodes || performance.now() - layoutState.arrangedAt > BULK_ARRANGE_INTERVAL;
+            if (!layoutState.targets || (layoutState.isTargetStale && isDue)) {
+                layoutState.isTargetStale = false;
+                layoutState.arrangedAt = performance.now();
+                layoutState.targets = arrangeNodes(layoutState.layout, Array.from(positions.keys()), edges, {
+                    radius: simulation.radius,
+                    root: layoutState.root,
+                    locations: new Map(Array.from(nodeViews, ([nodeId, view]) => [nodeId, view.location]))
+                });
+            }
+            // Ease a tenth of the remaining way each frame
+            largestMove = 0;
+            positions.forEach((position, nodeId) => {
+                const target = layoutState.targets.get(nodeId);
+                if (!target) return;
+                const step = new BABYLON.Vector3(target.x, target.y, target.z).subtract(position).scale(0.1);
+                position.addInPlace(step);
+                largestMove = Math.max(largestMove, step.length());
+            });
+        }
+        layoutState.pinned.forEach(({ x, y, z }, nodeId) => positions.get(nodeId)?.set(x, y, z));
+
+        if (largestMove > 0.0005) {
+            connectionViews.forEach(view => view.update());
+            severedLines.forEach((lines, key) => {
+                const [sourceId, targetId] = key.split("|");
+                const sourceView = nodeViews.get(sourceId);
+                const targetView = nodeViews.get(targetId);
+                if (!sourceView || !targetView) return;
+                BABYLON.MeshBuilder.CreateDashedLines(lines.name, {
+                    points: [sourceView.position, targetView.position],
+                    dashNb: 12,
+                    instance: lines
+                });
+            });
+        }
+    }
+
+    // Clicking a node inspects it and makes it the root of the hierarchical layout; clicking a line closes that link.
+    // In edit mode, clicks select the node or line instead of closing it
+    scene.onPointerObservable.add((pointerInfo) => {
+        if (pointerInfo.type !== BABYLON.PointerEventTypes.POINTERPICK) return;
+        const connection = meshTargets.get(pointerInfo.pickInfo?.pickedMesh)?.connection;
+        if (connection && editState.isEditing) {
+            selectForEdit({ link: [connection.sourceNode.nodeId, connection.targetNode.nodeId] });
+            return;
+        }
+        if (connection) {
+            goLive();
+            const source = simulation.getNode(connection.sourceNode.nodeId);
+            const target = simulation.getNode(connection.targetNode.nodeId);
+            if (source && target) {
+                simulation.closeLink(source, target);
+            }
+            return;
+        }
+        const view = pickedNodeView(pointerInfo.pickInfo);
+        if (!view) return;
+
+        layoutState.root = view.nodeId;
+        if (layoutState.layout === LAYOUTS.HIERARCHICAL) {
+            layoutState.targets = null;
+        }
+        updateLayoutButton();
+        inspectNode(view.nodeId);
+        if (editState.isEditing) {
+            selectForEdit({ nodeId: view.nodeId });
+        }
+    });
+
+    // Hovering a line or a packet shows what it is carrying; hovering a node, what is known about it.
+    // Bulk links and packets share a mesh each, so only their nodes can be told apart
+    scene.onPointerObservable.add((pointerInfo) => {
+        if (pointerInfo.type !== BABYLON.PointerEventTypes.POINTERMOVE) return;
+        const pick = scene.pick(scene.pointerX, scene.pointerY, mesh => meshTargets.has(mesh) || mesh === bulkViews.nodes?.mesh);
+        const target = pick?.hit ? meshTargets.get(pick.pickedMesh) : undefined;
+        const nodeView = pickedNodeView(pick);
+
+        if (nodeView) {
+            const { nodeId, attributes, location } = nodeView;
+            showTooltip([
+                `🖥️ ${nodeId}`,
+                ...(location ? [`📍 ${formatLocation(location)}`] : []),
+                ...describeAttributes(attributes)
+            ].join("\n"));
+        } else if (target?.message) {
+            showTooltip(describePacket(target.message));
+        } else if (target?.connection) {
+            showTooltip(describeConnection(target.connection));
+        } else {
+            tooltip.isVisible = false;
+        }
+    });
+
+    /**
+     * Node view a pick hit: the one owning the picked mesh, or the one a bulk instance draws
+     * @param {BABYLON.PickingInfo|null} pickInfo - Result of a pick
+     * @returns {BitcoinNode|SwarmNode|undefined}
+     */
+    function pickedNodeView(pickInfo) {
+        if (!pickInfo?.hit) return undefined;
+        return bulkViews.nodes ? bulkViews.nodes.viewAt(pickInfo) : meshTargets.get(pickInfo.pickedMesh)?.nodeView;
+    }
+
+    /**
+     * Whether nodes are drawn with a mesh, to pick nodes only
+     * @param {BABYLON.AbstractMesh} mesh - A mesh in the scene
+     * @returns {boolean}
+     */
+    function isNodeMesh(mesh) {
+        return bulkViews.nodes ? mesh === bulkViews.nodes.mesh : meshTargets.get(mesh)?.nodeView !== undefined;
+    }
+
+    /**
+     * @param {{nodeId: string, position: Object, group?: number|null, height?: number, hashpower?: number,
+     *     role?: string|null, committedHeight?: number, behavior?: string, isEclipsed?: boolean, attributes?: Object,
+     *     location?: {lat: number, lon: number}|null}} node
+     */
+    function showNode({
+        nodeId, position, group = null, height = 0, hashpower = 0, role = null, committedHeight = 0,
+        behavior = BEHAVIORS.HONEST, isEclipsed = false, attributes = {}, location = null
+    }) {
+        const { x, y, z } = position;
+        const view = bulkViews.nodes
+            ? new SwarmNode(bulkViews.nodes, new BABYLON.Vector3(x, y, z), nodeId)
+            : new BitcoinNode(scene, new BABYLON.Vector3(x, y, z), nodeId);
+        view.attributes = attributes;
+        view.location = location;
+        view.setGroupColor(groupColor(group));
+        view.showLabel(advancedTexture);
+        view.setChainHeight(height);
+        view.setMiner(hashpower > 0);
+        view.setRole(role);
+        view.setCommittedHeight(committedHeight);
+        view.setBehavior(behavior, scene);
+        view.setEclipsed(isEclipsed);
+        nodeViews.set(nodeId, view);
+        if (view.mesh) {
+            meshTargets.set(view.mesh, { nodeView: view });
+        }
+        layoutState.isTargetStale = true;
+        isColoringStale = true;
+    }
+
+    function groupColor(group) {
+        return group === null ? null : PARTITION_COLORS.groups[group % PARTITION_COLORS.groups.length];
+    }
+
+    function hideNode(nodeId, animate) {
+        const view = nodeViews.get(nodeId);
+        nodeViews.delete(nodeId);
+        layoutState.isTargetStale = true;
+        isColoringStale = true;
+        if (layoutState.root === nodeId) {
+            layoutState.root = null;
+            updateLayoutButton();
+        }
+        if (!view) return;
+
+        meshTargets.delete(view.mesh);
+        if (animate) {
+            view.shutdown(scene);
+        } else {
+            view.dispose();
+        }
+    }
+
+    function showLink(sourceId, targetId, state = LINK_STATES.ESTABLISHED) {
+        const sourceView = nodeViews.get(sourceId);
+        const targetView = nodeViews.get(targetId);
+        if (!sourceView || !targetView) return;
+
+        const view = bulkViews.links
+            ? new WebLink(bulkViews.links, sourceView, targetView, state, isOnGlobe())
+            : new ConnectionView(scene, sourceView, targetView, state, isOnGlobe());
+        connectionViews.set(linkKey(sourceId, targetId), view);
+        if (view.lines) {
+            meshTargets.set(view.lines, { connection: view });
+        }
+        layoutState.edges = null;
+        layoutState.isTargetStale = true;
+    }
+
+    function hideLink(sourceId, targetId, animate) {
+        const key = linkKey(sourceId, targetId);
+        const view = connectionViews.get(key);
+        connectionViews.delete(key);
+        if (!view) return;
+
+        meshTargets.delete(view.lines);
+        layoutState.edges = null;
+        layoutState.isTargetStale = true;
+        if (animate) {
+            view.close(scene);
+        } else {
+            view.dispose();
+        }
+    }
+
+    /**
+     * Tint both sides of a netsplit and mark the links it cut
+     * @param {{nodeId: string, group: number|null}[]} nodes - Every node with its group
+     * @param {{source: string, target: string}[]} severed - Links removed by the split
+     */
+    function showPartition(nodes, severed) {
+        nodes.forEach(({ nodeId, group }) => {
+            nodeViews.get(nodeId)?.setGroupColor(groupColor(group));
+        });
+
+        severedLines.forEach(lines => lines.dispose());
+        severedLines.clear();
+        severed.forEach(({ source, target }) => {
+            const sourceView = nodeViews.get(source);
+            const targetView = nodeViews.get(target);
+            if (!sourceView || !targetView) return;
+
+            const lines = BABYLON.MeshBuilder.CreateDashedLines(`severed-${source}-${target}`, {
+                points: [sourceView.position, targetView.position],
+                dashNb: 12
+            }, scene);
+            lines.color = PARTITION_COLORS.severed;
+            severedLines.set(linkKey(source, target), lines);
+        });
+
+        partitionBtn.textBlock.text = severed.length > 0 || nodes.some(node => node.group !== null)
+            ? "🩹 Heal"
+            : "✂️ Netsplit";
+    }
+
+    /**
+     * Queued packets wait at their source until sentAt, then travel until deliverAt
+     * @param {{id: number, source: string, target: string, type: string, size: number, isInvalid: boolean,
+     *     sentAt: number, deliverAt: number}} message
+     */
+    function showPacket(message) {
+        const sourceView = nodeViews.get(message.source);
+        const targetView = nodeViews.get(message.target);
+        if (!sourceView || !targetView) return;
+
+        const type = message.isInvalid ? "invalid" : message.type;
+        const handle = bulkViews.packets
+            ? bulkViews.packets.send(sourceView, targetView, type, message.size, isOnGlobe())
+            : sourceView.sendPacket(targetView, scene, type, message.size, isOnGlobe());
+        packets.set(message.id, { message, handle });
+        if (handle.mesh) {
+            meshTargets.set(handle.mesh, { message });
+        }
+    }
+
+    function hidePacket(messageId) {
+        const packet = packets.get(messageId);
+        packets.delete(messageId);
+        if (packet) {
+            meshTargets.delete(packet.handle.mesh);
+            packet.handle.dispose();
+        }
+    }
+
+    /**
+     * Replace everything on screen with a state rebuilt from an event log
+     * @param {Object} snapshot - Result of EventLog.stateAt()
+     */
+    function renderSnapshot(snapshot) {
+        Array.from(packets.keys()).forEach(hidePacket);
+        Array.from(connectionViews.keys()).forEach(key => hideLink(...key.split("|"), false));
+
+        const snapshotNodeIds = new Set(snapshot.nodes.map(node => node.nodeId));
+        Array.from(nodeViews.keys())
+            .filter(nodeId => !snapshotNodeIds.has(nodeId))
+            .forEach(nodeId => hideNode(nodeId, false));
+        snapshot.nodes
+            .filter(node => !nodeViews.has(node.nodeId))
+            .forEach(showNode);
+        snapshot.nodes.forEach(node => {
+            const view = nodeViews.get(node.nodeId);
+            view.setChainHeight(node.height);
+            view.setMempoolSize(node.mempoolCount, scene);
+            view.setRole(node.role);
+            view.setCommittedHeight(node.committedHeight);
+            view.setBehavior(node.behavior, scene);
+            view.setEclipsed(node.isEclipsed);
+        });
+
+        snapshot.links.forEach(link => showLink(link.source, link.target, link.state));
+        showPartition(snapshot.nodes, snapshot.severed);
+        snapshot.messages.forEach(showPacket);
+
+        if (snapshot.phase) {
+            updateInstructions(snapshot.phase, []);
+        }
+    }
+
+    // Timeline bar: scrub through the recorded run, export or import it as JSON
+    const timelineState = {
+        log: null,             // Log shown on the timeline; an imported log replaces the live one
+        isReplaying: false,
+        isSyncing: false       // Set while the slider follows the live clock
+    };
+
+    const timelinePanel = new BABYLON.GUI.StackPanel("timeline");
+    timelinePanel.isVertical = false;
+    timelinePanel.height = "40px";
+    timelinePanel.spacing = 10;
+    timelinePanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    timelinePanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    timelinePanel.paddingRight = "10px";
+    timelinePanel.paddingBottom = "10px";
+    timelinePanel.background = "rgba(0, 0, 0, 0.7)";
+    advancedTexture.addControl(timelinePanel);
+
+    const timeText = new BABYLON.GUI.TextBlock("timeText", "0.0s");
+    timeText.width = "120px";
+    timeText.color = "white";
+    timeText.fontSize = "14px";
+    timelinePanel.addControl(timeText);
+
+    const timelineSlider = new BABYLON.GUI.Slider("timelineSlider");
+    timelineSlider.minimum = 0;
+    timelineSlider.maximum = 1;
+    timelineSlider.value = 0;
+    timelineSlider.width = "300px";
+    timelineSlider.height = "20px";
+    timelineSlider.color = "#0066cc";
+    timelineSlider.background = "#454545";
+    timelineSlider.onValueChangedObservable.add((value) => {
+        if (timelineState.isSyncing) return;
+
+        // Scrubbing pauses the live run and shows the recorded state instead
+        simulation.setRunning(false);
+        playPauseBtn.textBlock.text = "▶️ Play";
+        timelineState.isReplaying = true;
+        renderSnapshot(timelineState.log.stateAt(value));
+        updateTimeText(value);
+    });
+    timelinePanel.addControl(timelineSlider);
+
+    const createTimelineButton = (name, text, onClick) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "80px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "14px";
+        button.background = "#454545";
+        button.cornerRadius = 8;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(onClick);
+        timelinePanel.addControl(button);
+        return button;
+    };
+
+    const liveBtn = createTimelineButton("live", "⏺️ Live", () => goLive());
+
+    const exportBtn = createTimelineButton("exportLog", "💾 Export", () => {
+        saveFile(`network-log-${timelineState.log.seed}.json`, JSON.stringify(timelineState.log), "application/json");
+    });
+
+    /**
+     * Hand some text to the browser as a file download
+     * @param {string} fileName - Name to save it under
+     * @param {string} text - File content
+     * @param {string} type - MIME type
+     */
+    function saveFile(fileName, text, type) {
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    const importBtn = createTimelineButton("importLog", "📂 Import", () => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = "application/json,.json";
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                timelineState.log = EventLog.fromJSON(await file.text());
+            } catch (error) {
+                alert(`Could not import event log: ${error.message}`);
+                return;
+            }
+
+            simulation.setRunning(false);
+            playPauseBtn.textBlock.text = "▶️ Play";
+            timelineState.isReplaying = true;
+            const { startTime, endTime } = timelineState.log;
+            setTimelineValue(startTime, endTime);
+            renderSnapshot(timelineState.log.stateAt(startTime));
+            updateTimeText(startTime);
+        };
+        input.click();
+    });
+
+    function updateTimeText(time) {
+        const prefix = timelineState.isReplaying ? "⏪" : "⏺️";
+        timeText.text = `${prefix} ${(time / 1000).toFixed(1)}s / ${(timelineState.log.endTime / 1000).toFixed(1)}s`;
+    }
+
+    function setTimelineValue(value, maximum) {
+        timelineState.isSyncing = true;
+        // Long runs drop their oldest records, so the timeline starts where the log does
+        timelineSlider.minimum = timelineState.log.startTime;
+        timelineSlider.maximum = Math.max(maximum, timelineSlider.minimum + 1);
+        timelineSlider.value = value;
+        timelineState.isSyncing = false;
+    }
+
+    /**
+     * Leave replay and show the live simulation again
+     */
+    function goLive() {
+        if (!timelineState.isReplaying) return;
+
+        timelineState.isReplaying = false;
+        timelineState.log = simulation.log;
+        renderSnapshot(simulation.log.stateAt(simulation.now));
+        updateInstructions();
+    }
+
+    // Propagation panel: how fast recent blocks and transactions flooded the network
+    const propagationPanel = new BABYLON.GUI.Rectangle("propagationPanel");
+    propagationPanel.width = "380px";
+    propagationPanel.height = "150px";
+    propagationPanel.thickness = 0;
+    propagationPanel.cornerRadius = 8;
+    propagationPanel.background = "rgba(0, 0, 0, 0.7)";
+    propagationPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    propagationPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    propagationPanel.left = "10px";
+    propagationPanel.top = "10px";
+    advancedTexture.addControl(propagationPanel);
+
+    const propagationText = new BABYLON.GUI.TextBlock("propagationText");
+    propagationText.color = "white";
+    propagationText.fontSize = "13px";
+    propagationText.fontFamily = "monospace";
+    propagationText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    propagationText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    propagationText.paddingLeft = "10px";
+    propagationText.paddingTop = "8px";
+    propagationPanel.addControl(propagationText);
+
+    function updatePropagationPanel() {
+        const format = (ms) => ms === null ? "  -  " : `${(ms / 1000).toFixed(1)}s`.padStart(5);
+        const lines = simulation.propagation.reports().slice(-6).reverse().map(report => {
+            const icon = report.kind === "block" ? "🟨" : "🟩";
+            return `${icon} ${report.itemId.padEnd(9)} 50% ${format(report.t50)}  90% ${format(report.t90)}  100% ${format(report.t100)}`;
+        });
+        propagationText.text = ["📡 Propagation (time to reach nodes)", ...lines].join("\n");
+    }
+
+    // Mempool panel: unconfirmed transactions, best fee rate first, and how far each has spread
+    const mempoolPanel = new BABYLON.GUI.Rectangle("mempoolPanel");
+    mempoolPanel.width = "380px";
+    mempoolPanel.height = "150px";
+    mempoolPanel.thickness = 0;
+    mempoolPanel.cornerRadius = 8;
+    mempoolPanel.background = "rgba(0, 0, 0, 0.7)";
+    mempoolPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    mempoolPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    mempoolPanel.left = "10px";
+    mempoolPanel.top = "170px";
+    advancedTexture.addControl(mempoolPanel);
+
+    const mempoolText = new BABYLON.GUI.TextBlock("mempoolText");
+    mempoolText.color = "white";
+    mempoolText.fontSize = "13px";
+    mempoolText.fontFamily = "monospace";
+    mempoolText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    mempoolText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    mempoolText.paddingLeft = "10px";
+    mempoolText.paddingTop = "8px";
+    mempoolPanel.addControl(mempoolText);
+
+    // Mempools change with every relayed transaction, so the panel is redrawn at most once a frame
+    let isMempoolPanelStale = true;
+
+    function updateMempoolPanel() {
+        const unconfirmed = simulation.unconfirmedTransactions();
+        const confirmed = Math.max(0, ...simulation.nodes.map(node => node.mempool.confirmedCount));
+        const lines = unconfirmed.slice(0, 6).map(({ tx, holders }) =>
+            `🟩 ${tx.id.padEnd(7)} ${(tx.fee / tx.size).toFixed(1).padStart(6)} sat/B ${String(tx.size).padStart(4)} B  in ${holders}/${simulation.nodes.length}`
+        );
+        mempoolText.text = [
+            `📥 Mempool: ${unconfirmed.length} waiting, ${confirmed} mined, ${simulation.rejections.conflict} conflicts`,
+            ...lines
+        ].join("\n");
+        isMempoolPanelStale = false;
+    }
+
+    // Mining panel: stale blocks, and each miner's share of the best chain against its share of hashpower
+    const miningPanel = new BABYLON.GUI.Rectangle("miningPanel");
+    miningPanel.width = "380px";
+    miningPanel.height = "150px";
+    miningPanel.thickness = 0;
+    miningPanel.cornerRadius = 8;
+    miningPanel.background = "rgba(0, 0, 0, 0.7)";
+    miningPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    miningPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    miningPanel.left = "10px";
+    miningPanel.top = "330px";
+    advancedTexture.addControl(miningPanel);
+
+    const miningText = new BABYLON.GUI.TextBlock("miningText");
+    miningText.color = "white";
+    miningText.fontSize = "13px";
+    miningText.fontFamily = "monospace";
+    miningText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    miningText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    miningText.paddingLeft = "10px";
+    miningText.paddingTop = "8px";
+    miningPanel.addControl(miningText);
+
+    let isMiningPanelStale = true;
+
+    function updateMiningPanel() {
+        const stats = simulation.getMiningStats();
+        const percent = (fraction) => `${(fraction * 100).toFixed(0)}%`.padStart(4);
+        const lines = stats.miners.slice(0, 6).map(miner =>
+            `⛏️ ${miner.nodeId.padEnd(8)} hash ${percent(miner.hashShare)}  blocks ${percent(miner.blockShare)} (${miner.blocks}, ${miner.stale} stale)`
+        );
+        miningText.text = [
+            `⛏️ Mining: ${stats.found} found, ${stats.stale} stale (${(stats.staleRate * 100).toFixed(1)}%)`,
+            ...lines
+        ].join("\n");
+        isMiningPanelStale = false;
+    }
+
+    // Attack panel: what attackers have done and how much it hurt, shown once there are any
+    const attackStatsPanel = new BABYLON.GUI.Rectangle("attackStatsPanel");
+    attackStatsPanel.width = "380px";
+    attackStatsPanel.height = "150px";
+    attackStatsPanel.thickness = 0;
+    attackStatsPanel.cornerRadius = 8;
+    attackStatsPanel.background = "rgba(0, 0, 0, 0.7)";
+    attackStatsPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    attackStatsPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    attackStatsPanel.left = "10px";
+    attackStatsPanel.top = "490px";
+    attackStatsPanel.isVisible = false;
+    advancedTexture.addControl(attackStatsPanel);
+
+    const attackStatsText = new BABYLON.GUI.TextBlock("attackStatsText");
+    attackStatsText.color = "white";
+    attackStatsText.fontSize = "13px";
+    attackStatsText.fontFamily = "monospace";
+    attackStatsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    attackStatsText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    attackStatsText.paddingLeft = "10px";
+    attackStatsText.paddingTop = "8px";
+    attackStatsPanel.addControl(attackStatsText);
+
+    let isAttackPanelStale = true;
+
+    function updateAttackPanel() {
+        const stats = simulation.getAttackStats();
+        attackStatsPanel.isVisible = stats.attackers > 0 || stats.bans > 0;
+        const eclipsed = stats.eclipsed.map(({ nodeId, lag }) => `${nodeId} -${lag}`).join(", ");
+        attackStatsText.text = [
+            `😈 Attackers: ${stats.attackers}, holding ${(stats.attackerPeerShare * 100).toFixed(0)}% of honest links`,
+            `🚫 Relays dropped ${stats.droppedRelays}, block requests ignored ${stats.withheldSyncs}`,
+            `☣️ Invalid sent ${stats.invalidSent}, rejected ${stats.invalidRejected}, peers banned ${stats.bans}`,
+            `💸 Double-spends ${stats.doubleSpends}, payments reversed ${stats.reversedPayments}`,
+            `🎯 Eclipsed (blocks behind): ${eclipsed || "none"}`,
+            `📉 Honest nodes behind the best chain: ${stats.honestBehind}`
+        ].join("\n");
+        isAttackPanelStale = false;
+    }
+
+    // Node inspector: everything the live simulation knows about the clicked node, closable like the guide
+    const inspectorPanel = new BABYLON.GUI.Rectangle("inspectorPanel");
+    inspectorPanel.width = "340px";
+    inspectorPanel.height = "460px";
+    inspectorPanel.thickness = 0;
+    inspectorPanel.cornerRadius = 8;
+    inspectorPanel.background = "rgba(0, 0, 0, 0.7)";
+    inspectorPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    inspectorPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    inspectorPanel.paddingRight = "10px";
+    inspectorPanel.top = "110px";
+    inspectorPanel.isVisible = false;
+    advancedTexture.addControl(inspectorPanel);
+
+    const inspectorScroll = new BABYLON.GUI.ScrollViewer("inspectorScroll");
+    inspectorScroll.thickness = 0;
+    inspectorScroll.paddingTop = "40px";
+    inspectorPanel.addControl(inspectorScroll);
+
+    const inspectorContent = new BABYLON.GUI.StackPanel("inspectorContent");
+    inspectorContent.width = "100%";
+    inspectorScroll.addControl(inspectorContent);
+
+    const inspectorTitle = new BABYLON.GUI.TextBlock("inspectorTitle");
+    inspectorTitle.color = "white";
+    inspectorTitle.fontSize = "18px";
+    inspectorTitle.fontFamily = "Arial Black";
+    inspectorTitle.height = "40px";
+    inspectorTitle.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    inspectorTitle.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    inspectorTitle.paddingLeft = "10px";
+    inspectorPanel.addControl(inspectorTitle);
+
+    const inspectorCloseBtn = BABYLON.GUI.Button.CreateSimpleButton("closeInspector", "✕");
+    inspectorCloseBtn.width = "30px";
+    inspectorCloseBtn.height = "30px";
+    inspectorCloseBtn.color = "white";
+    inspectorCloseBtn.thickness = 0;
+    inspectorCloseBtn.cornerRadius = 15;
+    inspectorCloseBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    inspectorCloseBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    inspectorCloseBtn.top = "5px";
+    inspectorCloseBtn.left = "-5px";
+    inspectorCloseBtn.onPointerClickObservable.add(() => {
+        inspectorState.nodeId = null;
+        inspectorPanel.isVisible = false;
+    });
+    inspectorPanel.addControl(inspectorCloseBtn);
+
+    const createInspectorText = (name) => {
+        const text = new BABYLON.GUI.TextBlock(name);
+        text.color = "white";
+        text.fontSize = "13px";
+        text.fontFamily = "monospace";
+        text.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        text.textWrapping = true;
+        text.resizeToFit = true;
+        text.paddingLeft = "10px";
+        text.paddingRight = "10px";
+        inspectorContent.addControl(text);
+        return text;
+    };
+
+    // Uptime, activity, protocol state and traffic; peers get a button each, below
+    const inspectorText = createInspectorText("inspectorText");
+    const inspectorPeersText = createInspectorText("inspectorPeersText");
+    inspectorPeersText.paddingTop = "10px";
+
+    const inspectorPeers = new BABYLON.GUI.StackPanel("inspectorPeers");
+    inspectorPeers.width = "100%";
+    inspectorPeers.paddingBottom = "10px";
+    inspectorContent.addControl(inspectorPeers);
+
+    const inspectorState = {
+        nodeId: null,   // Node being inspected, null while the panel is closed
+        peerIds: "",    // Peers the buttons were built for, to rebuild them only when they change
+        updatedAt: 0    // Wall-clock time of the last refresh
+    };
+
+    /**
+     * Open the inspector on a node
+     * @param {string} nodeId - The node to inspect
+     */
+    function inspectNode(nodeId) {
+        inspectorState.nodeId = nodeId;
+        inspectorState.peerIds = "";
+        inspectorPanel.isVisible = true;
+        updateInspector();
+    }
+
+    /**
+     * Glide the camera over to a node
+     * @param {string} nodeId - The node to look at
+     */
+    function focusNode(nodeId) {
+        const view = nodeViews.get(nodeId);
+        if (!view) return;
+        BABYLON.Animation.CreateAndStartAnimation(
+            "focusNode", camera, "target", 60, 30,
+            camera.target.clone(), view.position.clone(),
+            BABYLON.Animation.ANIMATIONLOOPMODE_CONSTANT
+        );
+    }
+
+    function updateInspector() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        const node = simulation.getNode(inspectorState.nodeId);
+        inspectorState.updatedAt = performance.now();
+        inspectorTitle.text = `🔍 ${inspectorState.nodeId}`;
+        if (!node) {
+            inspectorText.text = "Not in the live network: it left, or hasn't joined yet.";
+            inspectorPeersText.text = "";
+            inspectorPeers.clearControls();
+            inspectorState.peerIds = "";
+            return;
+        }
+
+        const countLines = counts => Object.entries(counts)
+            .sort(([, a], [, b]) => b - a)
+            .map(([type, count]) => `  ${type.padEnd(14)} ${String(count).padStart(6)}`);
+        const protocolState = Object.entries(simulation.protocol.describeNode(node))
+            .map(([label, value]) => `${label}: ${value}`);
+        const byzantine = node.behavior === BEHAVIORS.HONEST ? [] : [`Behavior: ${BEHAVIOR_INFO[node.behavior]?.title ?? node.behavior}`];
+        if (node.banned.size > 0) byzantine.push(`Banned: ${Array.from(node.banned).join(", ")}`);
+        if (node.isEclipsed) byzantine.push("Eclipsed by attackers");
+
+        const imported = Object.keys(node.attributes).length > 0 ? ["", "🏷️ Imported", ...describeAttributes(node.attributes)] : [];
+
+        inspectorText.text = [
+            `Uptime: ${((simulation.now - node.joinedAt) / 1000).toFixed(1)}s`,
+            `Activity: ${node.activity}`,
+            ...(node.location ? [`Location: ${formatLocation(node.location)}`] : []),
+            ...protocolState,
+            ...byzantine,
+            ...imported,
+            "",
+            "📤 Sent",
+            ...countLines(node.messagesSent),
+            "📥 Received",
+            ...countLines(node.messagesReceived)
+        ].join("\n");
+
+        const peerIds = Array.from(node.connections).sort();
+        inspectorPeersText.text = `🔗 Peers (${peerIds.length})`;
+        if (peerIds.join(",") === inspectorState.peerIds) return;
+
+        inspectorState.peerIds = peerIds.join(",");
+        inspectorPeers.clearControls();
+        peerIds.forEach(peerId => {
+            const link = simulation.getLink(node.nodeId, peerId);
+            // On a globe, how far away the peer is and what that costs
+            const peer = simulation.getNode(peerId);
+            const distance = node.location && peer?.location
+                ? `, ${Math.round(distanceKm(node.location, peer.location))} km, ${link.latency} ms`
+                : "";
+            const button = BABYLON.GUI.Button.CreateSimpleButton(`peer-${peerId}`, `${peerId} (${link.direction(node.nodeId)}${distance})`);
+            button.height = "26px";
+            button.width = "300px";
+            button.color = colors.text;
+            button.background = colors.button;
+            button.fontSize = "13px";
+            button.thickness = 0;
+            button.paddingTop = "2px";
+            button.hoverCursor = "pointer";
+            button.onPointerClickObservable.add(() => {
+                focusNode(peerId);
+                inspectNode(peerId);
+            });
+            inspectorPeers.addControl(button);
+        });
+    }
+
+    // Tooltip that follows the pointer over lines and packets
+    const tooltip = new BABYLON.GUI.Rectangle("tooltip");
+    tooltip.adaptWidthToChildren = true;
+    tooltip.adaptHeightToChildren = true;
+    tooltip.thickness = 0;
+    tooltip.cornerRadius = 6;
+    tooltip.background = "rgba(0, 0, 0, 0.7)";
+    tooltip.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    tooltip.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    tooltip.isPointerBlocker = false;
+    tooltip.isHitTestVisible = false;
+    tooltip.isVisible = false;
+    tooltip.zIndex = 50;
+    advancedTexture.addControl(tooltip);
+
+    const tooltipText = new BABYLON.GUI.TextBlock("tooltipText");
+    tooltipText.color = "white";
+    tooltipText.fontSize = "13px";
+    tooltipText.fontFamily = "monospace";
+    tooltipText.resizeToFit = true;
+    tooltipText.paddingLeft = "8px";
+    tooltipText.paddingRight = "8px";
+    tooltipText.paddingTop = "6px";
+    tooltipText.paddingBottom = "6px";
+    tooltip.addControl(tooltipText);
+
+    function showTooltip(text) {
+        tooltipText.text = text;
+        tooltip.left = `${scene.pointerX + 16}px`;
+        tooltip.top = `${scene.pointerY + 16}px`;
+        tooltip.isVisible = true;
+    }
+
+    /**
+     * @param {ConnectionView} connection - The hovered line
+     * @returns {string}
+     */
+    function describeConnection(connection) {
+        const { sourceNode, targetNode, state } = connection;
+        const lines = [`🔗 ${sourceNode.nodeId} → ${targetNode.nodeId} (${state})`];
+        const link = simulation.getLink(sourceNode.nodeId, targetNode.nodeId);
+        if (link) {
+            const ping = link.pingTime === null ? "not yet" : `${link.pingTime.toFixed(0)} ms`;
+            lines.push(`Latency ${link.latency.toFixed(0)} ms, ${formatBytes(link.bandwidth)}/s, ping ${ping}`);
+            if (sourceNode.location && targetNode.location) {
+                lines.push(`${Math.round(distanceKm(sourceNode.location, targetNode.location))} km apart`);
+            }
+            link.sent.forEach(({ messages, bytes }, nodeId) => {
+                lines.push(`${nodeId} sent ${messages} messages, ${formatBytes(bytes)}`);
+            });
+        }
+        lines.push("Click to close it");
+        return lines.join("\n");
+    }
+
+    /**
+     * @param {Object} message - The hovered packet's message
+     * @returns {string}
+     */
+    function describePacket(message) {
+        const viewTime = timelineState.isReplaying ? timelineSlider.value : simulation.now;
+        const where = viewTime < message.sentAt
+            ? `queued for ${((message.sentAt - viewTime) / 1000).toFixed(1)}s more`
+            : `arrives in ${(Math.max(message.deliverAt - viewTime, 0) / 1000).toFixed(1)}s`;
+        return [
+            `📦 ${message.isInvalid ? "invalid " : ""}${message.type}: ${message.source} → ${message.target}`,
+            `${formatBytes(message.size)}, ${where}`
+        ].join("\n");
+    }
+
+    // Dashboard overlay: the network's shape, traffic and propagation speed, with a chart of each over time
+    const dashboardBtn = BABYLON.GUI.Button.CreateSimpleButton("dashboard", "📊");
+    dashboardBtn.width = "40px";
+    dashboardBtn.height = "40px";
+    dashboardBtn.color = viewState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
+    dashboardBtn.background = viewState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
+    dashboardBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    dashboardBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    dashboardBtn.top = "10px";
+    dashboardBtn.left = "-50px";
+    dashboardBtn.cornerRadius = 8;
+    dashboardBtn.onPointerClickObservable.add(() => {
+        dashboardPanel.isVisible = !dashboardPanel.isVisible;
+        if (dashboardPanel.isVisible) {
+            updateDashboard();
+        }
     });
+    advancedTexture.addControl(dashboardBtn);
 
-    resetBtn.onPointerClickObservable.add(() => {
-        window.location.reload();  // Replace resetSimulation() with page refresh
+    const dashboardPanel = new BABYLON.GUI.Rectangle("dashboardPanel");
+    dashboardPanel.width = "620px";
+    dashboardPanel.height = "420px";
+    dashboardPanel.thickness = 0;
+    dashboardPanel.cornerRadius = 8;
+    dashboardPanel.background = "rgba(0, 0, 0, 0.7)";
+    dashboardPanel.isVisible = false;
+    dashboardPanel.zIndex = 90;
+    advancedTexture.addControl(dashboardPanel);
+
+    const dashboardText = new BABYLON.GUI.TextBlock("dashboardText");
+    dashboardText.color = "white";
+    dashboardText.fontSize = "12px";
+    dashboardText.fontFamily = "monospace";
+    dashboardText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    dashboardText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    dashboardText.paddingLeft = "12px";
+    dashboardText.paddingTop = "10px";
+    dashboardPanel.addControl(dashboardText);
+
+    const dashboardCloseBtn = BABYLON.GUI.Button.CreateSimpleButton("closeDashboard", "✕");
+    dashboardCloseBtn.width = "30px";
+    dashboardCloseBtn.height = "30px";
+    dashboardCloseBtn.color = "white";
+    dashboardCloseBtn.thickness = 0;
+    dashboardCloseBtn.cornerRadius = 15;
+    dashboardCloseBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    dashboardCloseBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    dashboardCloseBtn.top = "5px";
+    dashboardCloseBtn.left = "-5px";
+    dashboardCloseBtn.onPointerClickObservable.add(() => {
+        dashboardPanel.isVisible = false;
     });
-    buttonPanel.addControl(resetBtn);
+    dashboardPanel.addControl(dashboardCloseBtn);
 
-    // Play/Pause button with improved styling
-    const playPauseBtn = BABYLON.GUI.Button.CreateSimpleButton("playPause", "⏸️ Pause");
-    playPauseBtn.width = "95px";
-    playPauseBtn.height = "35px";
-    playPauseBtn.color = "white";
-    playPauseBtn.fontSize = "16px";
-    playPauseBtn.background = "#454545";
-    playPauseBtn.cornerRadius = 8;
-    playPauseBtn.hoverCursor = "pointer";
+    // A new sample arrives every simulated second; the dashboard redraws only while open
+    let isDashboardStale = true;
 
-    // Add hover effect
-    playPauseBtn.onPointerEnterObservable.add(() => {
-        playPauseBtn.background = "#666666";
+    function updateDashboard() {
+        const metrics = simulation.metrics;
+        const sample = metrics.latest;
+        isDashboardStale = false;
+        if (!sample) {
+            dashboardText.text = "📊 Network metrics\n\nWaiting for the first sample...";
+            return;
+        }
+
+        const seconds = ms => ms === null ? "-" : `${(ms / 1000).toFixed(1)}s`;
+        const rates = Object.entries(sample.messageRates)
+            .sort(([, a], [, b]) => b - a)
+            .map(([type, rate]) => `${type} ${rate.toFixed(1)}`.padEnd(19));
+        const rateLines = [];
+        for (let i = 0; i < rates.length; i += 4) {
+            rateLines.push(`  ${rates.slice(i, i + 4).join("")}`);
+        }
+        const chart = (label, pick, format) =>
+            `${label.padEnd(13)}${sparkline(metrics.series(pick)).padEnd(metrics.options.historyLength)} ${format(pick(sample))}`;
+
+        dashboardText.text = [
+            `📊 Network metrics at ${seconds(sample.time)}`,
+            "",
+            `Nodes ${sample.nodes}   Edges ${sample.edges}   Degree avg ${sample.averageDegree.toFixed(1)}, max ${sample.maxDegree}`,
+            `Diameter ${sample.diameter}   Clustering ${sample.clustering.toFixed(2)}   Components ${sample.components}`,
+            "",
+            `✉️ ${sample.messagesPerSecond.toFixed(1)} messages/s over the last ${seconds(metrics.options.rateWindow)}`,
+            ...rateLines,
+            `⏱️ Propagation to each node: ${LATENCY_PERCENTILES.map(percent => `p${percent} ${seconds(sample.latency[percent])}`).join("   ")}`,
+            "",
+            `📈 Last ${seconds(metrics.samples.length * metrics.options.sampleInterval)}`,
+            chart("Nodes", s => s.nodes, String),
+            chart("Edges", s => s.edges, String),
+            chart("Avg degree", s => s.averageDegree, value => value.toFixed(1)),
+            chart("Diameter", s => s.diameter, String),
+            chart("Clustering", s => s.clustering, value => value.toFixed(2)),
+            chart("Components", s => s.components, String),
+            chart("Messages/s", s => s.messagesPerSecond, value => value.toFixed(0)),
+            chart("p90 latency", s => s.latency[90], seconds)
+        ].join("\n");
+    }
+
+    // Topology panel: the graph shape to build and grow, with a slider per parameter
+    const topologyPanel = new BABYLON.GUI.StackPanel("topology");
+    topologyPanel.width = "325px";
+    topologyPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    topologyPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    topologyPanel.paddingRight = "10px";
+    topologyPanel.top = "-60px";
+    topologyPanel.background = "rgba(0, 0, 0, 0.7)";
+    advancedTexture.addControl(topologyPanel);
+
+    // Type button: restarts the run with the same seed on the next topology
+    const topologyBtn = BABYLON.GUI.Button.CreateSimpleButton("topologyType", "🕸️ Bitcoin-like");
+    topologyBtn.width = "300px";
+    topologyBtn.height = "30px";
+    topologyBtn.color = "white";
+    topologyBtn.fontSize = "14px";
+    topologyBtn.thickness = 0;
+    topologyBtn.hoverCursor = "pointer";
+
+    topologyBtn.onPointerClickObservable.add(() => {
+        const types = Object.keys(TOPOLOGIES);
+        const next = types[(types.indexOf(simulation.scenario.topology.type) + 1) % types.length];
+        restartWithTopology({ type: next });
     });
-    playPauseBtn.onPointerOutObservable.add(() => {
-        playPauseBtn.background = "#454545";
+    topologyPanel.addControl(topologyBtn);
+
+    // Import row: start a run from a saved getpeerinfo, getnodeaddresses or crawler dump, and color its nodes
+    const importRow = new BABYLON.GUI.StackPanel();
+    importRow.isVertical = false;
+    importRow.height = "30px";
+    topologyPanel.addControl(importRow);
+
+    const importPeersBtn = BABYLON.GUI.Button.CreateSimpleButton("importPeers", "📥 Import peers");
+    importPeersBtn.width = "150px";
+    importPeersBtn.height = "30px";
+    importPeersBtn.color = "white";
+    importPeersBtn.fontSize = "14px";
+    importPeersBtn.thickness = 0;
+    importPeersBtn.hoverCursor = "pointer";
+
+    importPeersBtn.onPointerClickObservable.add(() => {
+        const input = document.createElement("input");
+        input.type = "file";
+        input.accept = "application/json,.json,text/csv,.csv";
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+
+            try {
+                startSimulation(parseScenario(peerScenario(parsePeerSnapshot(await file.text()), file.name)));
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            if (viewState.coloring === "none") {
+                setColoring("network");
+            }
+            forgetScenarioUrl();
+        };
+        input.click();
     });
+    importRow.addControl(importPeersBtn);
 
-    playPauseBtn.onPointerClickObservable.add(() => {
-        simulationState.isRunning = !simulationState.isRunning;
-        playPauseBtn.textBlock.text = simulationState.isRunning ? "⏸️ Pause" : "▶️ Play";
+    const coloringBtn = BABYLON.GUI.Button.CreateSimpleButton("coloring", "🎨 Default");
+    coloringBtn.width = "150px";
+    coloringBtn.height = "30px";
+    coloringBtn.color = "white";
+    coloringBtn.fontSize = "14px";
+    coloringBtn.thickness = 0;
+    coloringBtn.hoverCursor = "pointer";
+
+    coloringBtn.onPointerClickObservable.add(() => {
+        const colorings = Object.keys(NODE_COLORINGS);
+        setColoring(colorings[(colorings.indexOf(viewState.coloring) + 1) % colorings.length]);
     });
-    buttonPanel.addControl(playPauseBtn);
+    importRow.addControl(coloringBtn);
 
-    const title = "Dynamic Distributed Network Simulation";
+    // Graph row: save the network for Gephi, networkx or Graphviz, or start a run from such a file
+    const graphRow = new BABYLON.GUI.StackPanel();
+    graphRow.isVertical = false;
+    graphRow.height = "30px";
+    topologyPanel.addControl(graphRow);
 
-    // Create 3D title text
-    const titleText = new BABYLON.GUI.TextBlock();
-    titleText.text = title;
-    titleText.color = "white";
-    titleText.fontSize = "32px"; // Larger font size
-    titleText.height = "160px";
-    titleText.top = "20px";
-    titleText.paddingLeft = "20px";
-    titleText.paddingRight = "20px";
-    titleText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
-    titleText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
-    titleText.textWrapping = true;
-    titleText.fontFamily = "Arial Black"; // Bolder font
-    titleText.outlineWidth = 4;
-    titleText.outlineColor = "#0066cc";
+    const exportGraphBtn = BABYLON.GUI.Button.CreateSimpleButton("exportGraph", "💾 Export graph");
+    exportGraphBtn.width = "150px";
+    exportGraphBtn.height = "30px";
+    exportGraphBtn.color = "white";
+    exportGraphBtn.fontSize = "14px";
+    exportGraphBtn.thickness = 0;
+    exportGraphBtn.hoverCursor = "pointer";
 
-    // Create shadow effect with multiple layers
-    const shadowLayers = 4;
-    const shadowOffset = 2;
-    const shadowColor = "rgba(0, 102, 204, 0.3)"; // Blue shadow with transparency
+    exportGraphBtn.onPointerClickObservable.add(() => {
+        graphMenu.isVisible = !graphMenu.isVisible;
+    });
+    graphRow.addControl(exportGraphBtn);
 
-    for (let i = 0; i < shadowLayers; i++) {
-        const shadowText = new BABYLON.GUI.TextBlock();
-        shadowText.text = title;
-        shadowText.fontSize = titleText.fontSize;
-        shadowText.height = titleText.height;
-        shadowText.top = `${20 + (i * shadowOffset)}px`;
-        shadowText.paddingLeft = titleText.paddingLeft;
-        shadowText.paddingRight = titleText.paddingRight;
-        shadowText.textHorizontalAlignment = titleText.textHorizontalAlignment;
-        shadowText.verticalAlignment = titleText.verticalAlignment;
-        shadowText.textWrapping = true;
-        shadowText.fontFamily = titleText.fontFamily;
-        shadowText.color = shadowColor;
-        shadowText.zIndex = -i; // Place behind main text
-        advancedTexture.addControl(shadowText);
+    const importGraphBtn = BABYLON.GUI.Button.CreateSimpleButton("importGraph", "📂 Import graph");
+    importGraphBtn.width = "150px";
+    importGraphBtn.height = "30px";
+    importGraphBtn.color = "white";
+    importGraphBtn.fontSize = "14px";
+    importGraphBtn.thickness = 0;
+    importGraphBtn.hoverCursor = "pointer";
+
+    importGraphBtn.onPointerClickObservable.add(() => {
+        const input = document.createElement("input");
+        input.type = "file";
+        // Several files at once, for a CSV node table and its edge list
+        input.multiple = true;
+        input.accept = Object.values(GRAPH_FORMATS).flatMap(({ extensions }) => extensions.map(extension => `.${extension}`)).join(",");
+        input.onchange = async () => {
+            const files = Array.from(input.files);
+            if (files.length === 0) return;
+
+            try {
+                const graphs = await Promise.all(files.map(async file => parseGraph(await file.text())));
+                startSimulation(parseScenario(graphScenario(mergeGraphs(graphs), files.map(file => file.name).join(" + "))));
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+            forgetScenarioUrl();
+        };
+        input.click();
+    });
+    graphRow.addControl(importGraphBtn);
+
+    // Export menu: one button per format, shown by the export button
+    const graphMenu = new BABYLON.GUI.StackPanel("graphMenu");
+    graphMenu.isVertical = false;
+    graphMenu.height = "30px";
+    graphMenu.isVisible = false;
+    topologyPanel.addControl(graphMenu);
+
+    Object.entries(GRAPH_FORMATS).forEach(([format, { title }]) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(`export${title}`, title);
+        button.width = "75px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "13px";
+        button.thickness = 0;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(() => {
+            exportGraph(format);
+            graphMenu.isVisible = false;
+        });
+        graphMenu.addControl(button);
+    });
+
+    /**
+     * Save the live network, where its nodes are drawn and its links' traffic so far
+     * @param {string} format - A key of GRAPH_FORMATS
+     */
+    function exportGraph(format) {
+        const positions = new Map(Array.from(nodeViews, ([nodeId, view]) => [nodeId, view.position]));
+        const { extensions, mimeType } = GRAPH_FORMATS[format];
+        writeGraph(graphSnapshot(simulation, positions), format).forEach(({ suffix, text }) => {
+            saveFile(`network-graph-${simulation.seed}${suffix}.${extensions[0]}`, text, mimeType);
+        });
     }
 
-    // Add main text last so it appears on top
-    advancedTexture.addControl(titleText);
+    // The run no longer comes from the ?scenario= URL
+    function forgetScenarioUrl() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete("scenario");
+        window.history.replaceState(null, "", url.toString());
+    }
 
-    // Instructions text (for phase updates)
-    const instructionsText = new BABYLON.GUI.TextBlock();
-    instructionsText.text = "";
-    instructionsText.color = "white";
-    instructionsText.fontSize = "24px";
-    instructionsText.height = "40px";
-    instructionsText.top = "140px"; // Increased spacing from title
-    instructionsText.paddingLeft = "20px";
-    instructionsText.paddingRight = "20px";
-    instructionsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
-    instructionsText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
-    instructionsText.textWrapping = true;
-    instructionsText.fontFamily = "Arial Black";
-    instructionsText.outlineWidth = 2;
+    // Which color stands for which value, most common first
+    const coloringLegend = new BABYLON.GUI.StackPanel("coloringLegend");
+    topologyPanel.addControl(coloringLegend);
 
-    // Phase-based neon colors
-    const PHASE_STYLES = {
-        [PHASES.DISCOVERY]: {
-            color: "#00ffff", // Cyan
-            outlineColor: "#00808080",
-            glowColor: "rgba(0, 255, 255, 0.3)"
-        },
-        [PHASES.SYNCING]: {
-            color: "#ff00ff", // Magenta
-            outlineColor: "#80008080",
-            glowColor: "rgba(255, 0, 255, 0.3)"
-        },
-        [PHASES.PROCESSING]: {
-            color: "#00ff00", // Neon Green
-            outlineColor: "#00800080",
-            glowColor: "rgba(0, 255, 0, 0.3)"
-        },
-        [PHASES.NETWORK_CHANGES]: {
-            color: "#ff9900", // Neon Orange
-            outlineColor: "#804d0080",
-            glowColor: "rgba(255, 153, 0, 0.3)"
+    // Nodes come and go all the time; their colors are worked out again once per frame at most
+    let isColoringStale = true;
+
+    /**
+     * Color the nodes by another of their attributes
+     * @param {string} coloring - A key of NODE_COLORINGS
+     */
+    function setColoring(coloring) {
+        viewState.coloring = coloring;
+        updateNodeColors();
+    }
+
+    function updateNodeColors() {
+        isColoringStale = false;
+        const { icon, title, attribute } = NODE_COLORINGS[viewState.coloring];
+        coloringBtn.textBlock.text = `${icon} ${title}`;
+
+        const counts = new Map();
+        if (attribute) {
+            nodeViews.forEach(({ attributes }) => {
+                if (attributes[attribute] === undefined) return;
+                const value = String(attributes[attribute]);
+                counts.set(value, (counts.get(value) ?? 0) + 1);
+            });
         }
-    };
+        const ranked = Array.from(counts).sort(([, a], [, b]) => b - a);
+        const colorOf = new Map(ranked.map(([value], i) => [value, ATTRIBUTE_PALETTE[Math.min(i, ATTRIBUTE_PALETTE.length - 1)]]));
+        nodeViews.forEach(view => {
+            const value = view.attributes[attribute];
+            view.setAttributeColor(attribute && value !== undefined ? BABYLON.Color3.FromHexString(colorOf.get(String(value))) : null);
+        });
 
-    // Create shadow effect for instructions
-    const instructionsShadowLayers = 3;
-    const instructionsShadowOffset = 1;
-    const instructionsShadows = [];
+        const shown = ranked.length > ATTRIBUTE_PALETTE.length ? ranked.slice(0, ATTRIBUTE_PALETTE.length - 1) : ranked;
+        const rest = ranked.slice(shown.length);
+        const entries = shown.map(([value, count]) => `${value} (${count})`);
+        if (rest.length > 0) {
+            entries.push(`${rest.length} others (${rest.reduce((sum, [, count]) => sum + count, 0)})`);
+        }
+        coloringLegend.clearControls();
+        entries.forEach((text, i) => {
+            const entry = new BABYLON.GUI.TextBlock(`legend${i}`, `● ${text}`);
+            entry.height = "18px";
+            entry.color = ATTRIBUTE_PALETTE[i];
+            entry.fontSize = "12px";
+            entry.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            entry.paddingLeft = "12px";
+            coloringLegend.addControl(entry);
+        });
+    }
 
-    for (let i = 0; i < instructionsShadowLayers; i++) {
-        const shadowText = new BABYLON.GUI.TextBlock();
-        shadowText.text = "";
-        shadowText.fontSize = instructionsText.fontSize;
-        shadowText.height = instructionsText.height;
-        shadowText.top = `${140 + (i * instructionsShadowOffset)}px`;
-        shadowText.paddingLeft = instructionsText.paddingLeft;
-        shadowText.paddingRight = instructionsText.paddingRight;
-        shadowText.textHorizontalAlignment = instructionsText.textHorizontalAlignment;
-        shadowText.verticalAlignment = instructionsText.verticalAlignment;
-        shadowText.textWrapping = true;
-        shadowText.fontFamily = instructionsText.fontFamily;
-        shadowText.zIndex = -i;
-        instructionsShadows.push(shadowText);
-        advancedTexture.addControl(shadowText);
+    // Parameter rows of the current topology, rebuilt on every run
+    let topologyRows = [];
+
+    /**
+     * Show the current run's topology and a slider for each of its parameters
+     */
+    function updateTopologyPanel() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        const topology = simulation.scenario.topology;
+        topologyBtn.textBlock.text = `🕸️ ${TOPOLOGIES[topology.type].title}`;
+
+        topologyRows.forEach(row => row.dispose());
+        topologyRows = Object.entries(TOPOLOGIES[topology.type].params).map(([name, param]) => {
+            const row = new BABYLON.GUI.StackPanel();
+            row.isVertical = false;
+            row.height = "30px";
+            topologyPanel.addControl(row);
+
+            const label = value => `${param.label} ${value}`;
+            const text = new BABYLON.GUI.TextBlock(`${name}Text`, label(topology[name]));
+            text.width = "160px";
+            text.color = colors.text;
+            text.fontSize = "12px";
+            row.addControl(text);
+
+            const slider = new BABYLON.GUI.Slider(name);
+            slider.minimum = param.min;
+            slider.maximum = param.max;
+            slider.step = param.step;
+            slider.value = topology[name];
+            slider.width = "140px";
+            slider.height = "20px";
+            slider.color = "#0066cc";
+            slider.background = colors.button;
+            // Round away floating point drift from the step
+            slider.onValueChangedObservable.add(value => {
+                text.text = label(Math.round(value / param.step) * param.step);
+            });
+            // Restart only once the slider is let go, not on every value it passes
+            slider.onPointerUpObservable.add(() => {
+                const value = Number((Math.round(slider.value / param.step) * param.step).toFixed(2));
+                if (value !== simulation.scenario.topology[name]) {
+                    restartWithTopology({ ...simulation.scenario.topology, [name]: value });
+                }
+            });
+            row.addControl(slider);
+            return row;
+        });
     }
 
-    // Add main instructions text last
-    advancedTexture.addControl(instructionsText);
+    /**
+     * Rerun the current scenario and seed on another graph, so runs can be compared
+     * @param {{type: string}} topology - Topology type and any parameters to change
+     */
+    function restartWithTopology(topology) {
+        startSimulation({ ...simulation.scenario, topology }, simulation.seed);
+    }
 
-    // Add theme toggle button
-    const themeBtn = BABYLON.GUI.Button.CreateSimpleButton("theme", "☀️");
-    themeBtn.width = "40px";
-    themeBtn.height = "40px";
-    themeBtn.color = simulationState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
-    themeBtn.background = simulationState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
-    themeBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
-    themeBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
-    themeBtn.top = "10px";
-    themeBtn.right = "10px";
+    // Phase panel: jump to a phase, hold it, retime it, and pick the sequence and whether it loops
+    const phasePanel = new BABYLON.GUI.StackPanel("phases");
+    phasePanel.width = "325px";
+    phasePanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+    phasePanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+    phasePanel.paddingLeft = "10px";
+    phasePanel.top = "-215px";
+    phasePanel.background = "rgba(0, 0, 0, 0.7)";
+    advancedTexture.addControl(phasePanel);
 
-    themeBtn.onPointerClickObservable.add(() => {
-        simulationState.isDarkMode = !simulationState.isDarkMode;
-        themeBtn.textBlock.text = simulationState.isDarkMode ? "☀️" : "🌙";
-        updateTheme();
+    const phaseStatusText = new BABYLON.GUI.TextBlock("phaseStatus", "🎛️ Phases");
+    phaseStatusText.height = "26px";
+    phaseStatusText.color = "white";
+    phaseStatusText.fontSize = "13px";
+    phasePanel.addControl(phaseStatusText);
+
+    const phaseControls = new BABYLON.GUI.StackPanel();
+    phaseControls.isVertical = false;
+    phaseControls.height = "30px";
+    phasePanel.addControl(phaseControls);
+
+    const createPhaseButton = (name, text, onClick) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "106px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "13px";
+        button.thickness = 0;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(() => {
+            goLive();
+            onClick();
+            updatePhasePanel();
+        });
+        phaseControls.addControl(button);
+        return button;
+    };
+
+    const holdBtn = createPhaseButton("holdPhase", "⏸️ Hold", () => simulation.holdPhase(!simulation.state.isPhaseHeld));
+    const loopBtn = createPhaseButton("loopPhases", "🔁 Loop", () => simulation.setPhaseLooping(!simulation.scenario.loopPhases));
+    const sequenceBtn = createPhaseButton("phaseSequence", "📋 Scenario", () => {
+        const names = Object.keys(PHASE_SEQUENCES);
+        phaseState.sequence = names[(names.indexOf(phaseState.sequence) + 1) % names.length];
+        simulation.setPhaseSequence(PHASE_SEQUENCES[phaseState.sequence].build(phaseState.scenarioPhases));
+        updatePhaseRows();
     });
-    advancedTexture.addControl(themeBtn);
 
-    // Add this inside createScene() function, after creating other UI elements
-    function createAgendaModal(advancedTexture) {
-        // Create modal container
-        const modal = new BABYLON.GUI.Rectangle("modal");
-        modal.width = "800px"; // Increased width
-        modal.height = "600px"; // Increased height
-        modal.thickness = 0;
-        modal.isVisible = false;
-        modal.zIndex = 100;
-        modal.background = simulationState.isDarkMode ? "rgba(30, 30, 30, 0.95)" : "rgba(240, 240, 240, 0.95)";
-        modal.cornerRadius = 10;
-        advancedTexture.addControl(modal);
+    const phaseState = {
+        sequence: "scenario",
+        scenarioPhases: [], // The run's own sequence, to go back to
+        rows: []            // One row per phase of the sequence: jump button, duration slider and text
+    };
 
-        // Create scrollable container
-        const scrollViewer = new BABYLON.GUI.ScrollViewer("scrollViewer");
-        scrollViewer.width = "100%";
-        scrollViewer.height = "100%";
-        scrollViewer.thickness = 0;
-        modal.addControl(scrollViewer);
+    /**
+     * Build a row for every phase of the current sequence
+     */
+    function updatePhaseRows() {
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        phaseState.rows.forEach(row => row.dispose());
+        phaseState.rows = simulation.scenario.phases.map((entry, index) => {
+            const row = new BABYLON.GUI.StackPanel();
+            row.isVertical = false;
+            row.height = "30px";
+            phasePanel.addControl(row);
 
-        // Create main content container
-        const contentPanel = new BABYLON.GUI.StackPanel("contentPanel");
-        contentPanel.width = "100%";
-        contentPanel.spacing = 20;
-        scrollViewer.addControl(contentPanel);
+            const icons = [entry.phase, ...(entry.with ?? [])].map(phase => PHASE_INFO[phase].icon).join("");
+            const jumpBtn = BABYLON.GUI.Button.CreateSimpleButton(`goToPhase${index}`, `${icons} ${PHASE_INFO[entry.phase].title}`);
+            jumpBtn.width = "175px";
+            jumpBtn.height = "28px";
+            jumpBtn.color = colors.text;
+            jumpBtn.fontSize = "12px";
+            jumpBtn.thickness = 0;
+            jumpBtn.cornerRadius = 4;
+            jumpBtn.hoverCursor = "pointer";
+            jumpBtn.onPointerClickObservable.add(() => {
+                goLive();
+                simulation.goToPhase(index);
+                updatePhasePanel();
+            });
+            row.addControl(jumpBtn);
 
-        // Create title
-        const title = new BABYLON.GUI.TextBlock("modalTitle");
-        title.text = "Simulation Guide";
-        title.color = simulationState.isDarkMode ? "white" : "black";
-        title.fontSize = "24px";
-        title.height = "40px";
-        title.fontFamily = "Arial Black";
-        title.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
-        contentPanel.addControl(title);
+            const label = duration => `${(duration / 1000).toFixed(1)}s`;
+            const slider = new BABYLON.GUI.Slider(`phaseDuration${index}`);
+            slider.minimum = 1000;
+            slider.maximum = 60000;
+            slider.step = 500;
+            slider.value = entry.duration;
+            slider.width = "95px";
+            slider.height = "20px";
+            slider.color = "#0066cc";
+            slider.background = colors.button;
+            row.addControl(slider);
 
-        // Create sections
-        const createSection = (title, items, itemCreator) => {
-            const sectionTitle = new BABYLON.GUI.TextBlock();
-            sectionTitle.text = title;
-            sectionTitle.color = simulationState.isDarkMode ? "#00aaff" : "#0066cc";
-            sectionTitle.fontSize = "20px";
-            sectionTitle.height = "30px";
-            sectionTitle.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
-            sectionTitle.left = "20px";
-            sectionTitle.paddingTop = "20px";
-            contentPanel.addControl(sectionTitle);
+            const text = new BABYLON.GUI.TextBlock(`phaseDurationText${index}`, label(entry.duration));
+            text.width = "50px";
+            text.color = colors.text;
+            text.fontSize = "12px";
+            row.addControl(text);
+
+            // Durations apply live, even to the phase that is running
+            slider.onValueChangedObservable.add(value => {
+                text.text = label(value);
+                if (value !== simulation.scenario.phases[index]?.duration) {
+                    simulation.setPhaseDuration(index, value);
+                }
+            });
+            return row;
+        });
+        updatePhasePanel();
+    }
+
+    /**
+     * Show which phase runs, how long it has left, and the state of the controls
+     */
+    function updatePhasePanel() {
+        const { phaseIndex, isPhaseHeld } = simulation.state;
+        const endsAt = simulation.phaseEndsAt;
+        const status = endsAt !== null
+            ? `ends in ${(Math.max(endsAt - simulation.now, 0) / 1000).toFixed(1)}s`
+            : isPhaseHeld ? "held" : "last phase, stays";
+        phaseStatusText.text = `🎛️ Phase ${phaseIndex + 1}/${simulation.scenario.phases.length}: ${status}`;
+        holdBtn.textBlock.text = isPhaseHeld ? "▶️ Release" : "⏸️ Hold";
+        loopBtn.textBlock.text = simulation.scenario.loopPhases ? "🔁 Loop" : "➡️ Once";
+        const sequence = PHASE_SEQUENCES[phaseState.sequence];
+        sequenceBtn.textBlock.text = `${sequence.icon} ${sequence.title}`;
 
-            items.forEach(item => {
-                itemCreator(item, contentPanel);
-            });
-        };
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        phaseState.rows.forEach((row, index) => {
+            row.children[0].background = index === phaseIndex ? "#0066cc" : colors.button;
+        });
+    }
 
-        // Create phase item
-        const createPhaseItem = ([phase, info], parent) => {
-            const container = new BABYLON.GUI.Rectangle(`phase-${phase}`);
-            container.height = "70px";
-            container.thickness = 0;
-            container.background = "transparent";
-            parent.addControl(container);
+    // Edit mode: spawn, drag, link and delete nodes by hand, with undo and redo
+    const editBtn = BABYLON.GUI.Button.CreateSimpleButton("edit", "✏️");
+    editBtn.width = "40px";
+    editBtn.height = "40px";
+    editBtn.color = viewState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
+    editBtn.background = viewState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
+    editBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+    editBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    editBtn.top = "10px";
+    editBtn.left = "-100px";
+    editBtn.cornerRadius = 8;
+    editBtn.onPointerClickObservable.add(() => setEditing(!editState.isEditing));
+    advancedTexture.addControl(editBtn);
 
-            const headerText = new BABYLON.GUI.TextBlock();
-            headerText.text = `${info.icon} ${info.title}`;
-            headerText.color = PHASE_STYLES[phase].color;
-            headerText.fontSize = "18px";
-            headerText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
-            headerText.left = "20px";
-            headerText.top = "-20px";
-            container.addControl(headerText);
+    const editPanel = new BABYLON.GUI.StackPanel("editPanel");
+    editPanel.width = "540px";
+    editPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+    editPanel.top = "230px";
+    editPanel.background = "rgba(0, 0, 0, 0.7)";
+    editPanel.isVisible = false;
+    advancedTexture.addControl(editPanel);
 
-            const descText = new BABYLON.GUI.TextBlock();
-            descText.text = info.description;
-            descText.color = simulationState.isDarkMode ? "white" : "black";
-            descText.fontSize = "14px";
-            descText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
-            descText.textWrapping = true;
-            descText.left = "20px";
-            descText.top = "10px";
-            container.addControl(descText);
-        };
+    const editStatusText = new BABYLON.GUI.TextBlock("editStatus", "");
+    editStatusText.height = "44px";
+    editStatusText.color = "white";
+    editStatusText.fontSize = "13px";
+    editPanel.addControl(editStatusText);
 
-        // Create element item
-        const createElementItem = (info, parent) => {
-            const container = new BABYLON.GUI.Rectangle();
-            container.height = "60px";
-            container.thickness = 0;
-            container.background = "transparent";
-            parent.addControl(container);
+    const editControls = new BABYLON.GUI.StackPanel();
+    editControls.isVertical = false;
+    editControls.height = "34px";
+    editPanel.addControl(editControls);
 
-            const headerText = new BABYLON.GUI.TextBlock();
-            headerText.text = `${info.icon} ${info.title}`;
-            headerText.color = simulationState.isDarkMode ? "#00ffaa" : "#008855";
-            headerText.fontSize = "16px";
-            headerText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
-            headerText.left = "20px";
-            headerText.top = "-15px";
-            container.addControl(headerText);
+    const createEditButton = (name, text, onClick) => {
+        const button = BABYLON.GUI.Button.CreateSimpleButton(name, text);
+        button.width = "106px";
+        button.height = "30px";
+        button.color = "white";
+        button.fontSize = "13px";
+        button.thickness = 0;
+        button.hoverCursor = "pointer";
+        button.onPointerClickObservable.add(onClick);
+        editControls.addControl(button);
+        return button;
+    };
 
-            const descText = new BABYLON.GUI.TextBlock();
-            descText.text = info.description;
-            descText.color = simulationState.isDarkMode ? "white" : "black";
-            descText.fontSize = "14px";
-            descText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
-            descText.textWrapping = true;
-            descText.left = "20px";
-            descText.top = "10px";
-            container.addControl(descText);
-        };
+    const undoBtn = createEditButton("undoEdit", "↩️ Undo", () => undoEdit());
+    const redoBtn = createEditButton("redoEdit", "↪️ Redo", () => redoEdit());
+    const deleteBtn = createEditButton("deleteSelection", "🗑️ Delete", () => deleteSelection());
+    const injectTxBtn = createEditButton("injectTransaction", "💸 Tx", () => injectAtSelection("transaction"));
+    const injectBlockBtn = createEditButton("injectBlock", "📦 Block", () => injectAtSelection("block"));
 
-        // Add sections
-        createSection("Simulation Phases", Object.entries(PHASE_INFO), createPhaseItem);
-        
-        createSection("Network Elements", [
-            ELEMENT_INFO.NODE,
-            ELEMENT_INFO.ACTIVE_NODE,
-            ELEMENT_INFO.SYNC_RING,
-            ELEMENT_INFO.CONNECTION
-        ], createElementItem);
-        
-        createSection("Network Packets", [
-            ELEMENT_INFO.PACKETS.BLOCK,
-            ELEMENT_INFO.PACKETS.TRANSACTION,
-        ], createElementItem);
+    const editState = {
+        isEditing: false,
+        editor: null,    // Undo history of the current run
+        selection: null, // { nodeId } or { link: [nodeId, nodeId] }
+        drag: null,      // Node being dragged, or linked from with shift held
+        message: ""      // Outcome of the last edit
+    };
 
-        // Create close button
-        const closeBtn = BABYLON.GUI.Button.CreateSimpleButton("closeModal", "✕");
-        closeBtn.width = "30px";
-        closeBtn.height = "30px";
-        closeBtn.color = simulationState.isDarkMode ? "white" : "black";
-        closeBtn.thickness = 0;
-        closeBtn.cornerRadius = 15;
-        closeBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
-        closeBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
-        closeBtn.top = "10px";
-        closeBtn.right = "10px";
-        closeBtn.onPointerClickObservable.add(() => {
-            modal.isVisible = false;
-        });
-        modal.addControl(closeBtn);
+    /**
+     * Turn edit mode on or off; on shows the live network
+     * @param {boolean} isEditing - Whether clicks and drags edit the network
+     */
+    function setEditing(isEditing) {
+        if (isEditing) {
+            goLive();
+        }
+        editState.isEditing = isEditing;
+        editState.selection = null;
+        editState.message = "";
+        editPanel.isVisible = isEditing;
+        const colors = viewState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
+        editBtn.background = isEditing ? "#0066cc" : colors.button;
+        updateEditPanel();
+    }
 
-        return modal;
+    /**
+     * Select a node or a link for Delete and the inject buttons
+     * @param {{nodeId: string}|{link: string[]}|null} selection - What to select, or null for nothing
+     */
+    function selectForEdit(selection) {
+        editState.selection = selection;
+        editState.message = "";
+        updateEditPanel();
     }
 
-    // Add this after creating other buttons in createScene()
-    const agendaBtn = BABYLON.GUI.Button.CreateSimpleButton("agenda", "ℹ️");
-    agendaBtn.width = "40px";
-    agendaBtn.height = "40px";
-    agendaBtn.color = simulationState.isDarkMode ? COLORS.DARK.text : COLORS.LIGHT.text;
-    agendaBtn.background = simulationState.isDarkMode ? COLORS.DARK.button : COLORS.LIGHT.button;
-    agendaBtn.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
-    agendaBtn.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
-    agendaBtn.top = "60px";
-    agendaBtn.right = "10px";
-    agendaBtn.cornerRadius = 8;
-    advancedTexture.addControl(agendaBtn);
+    /**
+     * Apply an edit to the live network and show how it went
+     * @param {function(): string} edit - Makes the edit and describes the outcome
+     */
+    function runEdit(edit) {
+        goLive();
+        editState.message = edit();
+        updateEditPanel();
+    }
 
-    // Create the modal
-    const agendaModal = createAgendaModal(advancedTexture);
+    function undoEdit() {
+        runEdit(() => {
+            const label = editState.editor.undo();
+            return label ? `Undid: ${label}` : "Nothing to undo";
+        });
+    }
 
-    // Add click handler to agenda button
-    agendaBtn.onPointerClickObservable.add(() => {
-        agendaModal.isVisible = true;
-    });
+    function redoEdit() {
+        runEdit(() => {
+            const label = editState.editor.redo();
+            return label ? `Redid: ${label}` : "Nothing to redo";
+        });
+    }
 
-    // Update the updateTheme function to include the new elements
-    function updateTheme() {
-        const colors = simulationState.isDarkMode ? COLORS.DARK : COLORS.LIGHT;
-        scene.clearColor = colors.background;
-        panel.background = colors.panel;
-        instructionsText.color = colors.text;
-        themeBtn.color = colors.text;
-        themeBtn.background = colors.button;
-        resetBtn.background = colors.button;
-        playPauseBtn.background = colors.button;
-        agendaBtn.color = colors.text;
-        agendaBtn.background = colors.button;
-        
-        // Update modal colors
-        if (agendaModal) {
-            agendaModal.background = simulationState.isDarkMode ? 
-                "rgba(30, 30, 30, 0.95)" : "rgba(240, 240, 240, 0.95)";
-            
-            const scrollViewer = agendaModal.children.find(child => child.name === "scrollViewer");
-            if (scrollViewer && scrollViewer.children[0]) {
-                const contentPanel = scrollViewer.children[0];
-                contentPanel.children.forEach(child => {
-                    if (child.color) {
-                        if (child.name === "modalTitle") {
-                            child.color = simulationState.isDarkMode ? "white" : "black";
-                        } else if (child.text && child.text.includes(":")) {
-                            // Section titles
-                            child.color = simulationState.isDarkMode ? "#00aaff" : "#0066cc";
-                        }
-                    }
-                    
-                    // Update description text colors
-                    if (child instanceof BABYLON.GUI.Rectangle) {
-                        const descText = child.children[1];
-                        if (descText) {
-                            descText.color = simulationState.isDarkMode ? "white" : "black";
-                        }
-                    }
-                });
+    function deleteSelection() {
+        const { selection, editor } = editState;
+        if (!selection) return;
+        editState.selection = null;
+        runEdit(() => {
+            if (selection.nodeId) {
+                return editor.removeNode(selection.nodeId) ? `Removed ${selection.nodeId}` : `${selection.nodeId} already left`;
             }
-        }
+            const [a, b] = selection.link;
+            return editor.disconnect(a, b) ? `Unlinked ${a} from ${b}` : `${a} and ${b} are no longer linked`;
+        });
     }
 
-    // Initialize theme
-    updateTheme();
+    /**
+     * Create a transaction or block at the selected node
+     * @param {string} kind - "transaction" or "block"
+     */
+    function injectAtSelection(kind) {
+        const nodeId = editState.selection?.nodeId;
+        if (!nodeId) return;
+        runEdit(() => editState.editor.inject(nodeId, kind)
+            ? `${kind === "block" ? "📦 Block" : "💸 Transaction"} created at ${nodeId}`
+            : `${nodeId} already left`);
+    }
 
-    // Create initial nodes
-    const nodes = [];
+    function updateEditPanel() {
+        const { selection, editor, message } = editState;
+        const selected = selection?.nodeId
+            ? `Selected ${selection.nodeId}: Delete removes it, T or B injects a transaction or block`
+            : selection
+                ? `Selected link ${selection.link[0]} ↔ ${selection.link[1]}: Delete cuts it`
+                : "Click space to add a node, drag to move, shift-drag to link, click to select";
+        editStatusText.text = `✏️ ${selected}${message ? `\n${message}` : ""}`;
 
-    // Create initial single node
-    const radius = 5;
-    const position = new BABYLON.Vector3(radius, 0, 0);
-    nodes.push(new BitcoinNode(scene, position, "node-0"));
+        // Faded buttons have nothing to act on
+        undoBtn.alpha = editor?.canUndo ? 1 : 0.4;
+        redoBtn.alpha = editor?.canRedo ? 1 : 0.4;
+        deleteBtn.alpha = selection ? 1 : 0.4;
+        [injectTxBtn, injectBlockBtn].forEach(button => button.alpha = selection?.nodeId ? 1 : 0.4);
+    }
 
-    // Initialize with Network Changes Phase message
-    updateInstructions();
+    /**
+     * Node under the pointer, if any
+     * @returns {BitcoinNode|SwarmNode|undefined}
+     */
+    function pickNodeView() {
+        return pickedNodeView(scene.pick(scene.pointerX, scene.pointerY, isNodeMesh));
+    }
 
-    // Update simulation logic
-    scene.onBeforeRenderObservable.add(() => {
-        if (!simulationState.isRunning) return;
+    /**
+     * Point under the pointer on the plane facing the camera through a given point
+     * @param {BABYLON.Vector3} through - Point the plane passes through
+     * @returns {BABYLON.Vector3|null} null if the plane is edge-on to the view
+     */
+    function pointerOnPlane(through) {
+        const ray = scene.createPickingRay(scene.pointerX, scene.pointerY, BABYLON.Matrix.Identity(), camera);
+        const distance = ray.intersectsPlane(BABYLON.Plane.FromPositionAndNormal(through, camera.getDirection(BABYLON.Axis.Z)));
+        return distance === null ? null : ray.origin.add(ray.direction.scale(distance));
+    }
 
-        simulationState.phaseTimer += scene.getEngine().getDeltaTime() * simulationState.speed;
+    /**
+     * Point under the pointer to put a node at: on the Earth while the globe shows,
+     * elsewhere on the plane facing the camera through a given point
+     * @param {BABYLON.Vector3} through - Point the plane passes through
+     * @returns {BABYLON.Vector3|null} null if the pointer misses the Earth, or the plane is edge-on
+     */
+    function pointerTarget(through) {
+        if (!globe.mesh) {
+            return pointerOnPlane(through);
+        }
+        const pick = scene.pick(scene.pointerX, scene.pointerY, mesh => mesh === globe.mesh);
+        return pick?.hit ? pick.pickedPoint.normalize().scale(globe.radius) : null;
+    }
 
-        switch (simulationState.currentPhase) {
-            case PHASES.DISCOVERY:
-                handleDiscoveryPhase();
-                if (simulationState.phaseTimer > 5000) {
-                    simulationState.currentPhase = PHASES.SYNCING;
-                    simulationState.phaseTimer = 0;
-                    updateInstructions();
-                }
-                break;
+    // Press on a node to drag it, or with shift held to draw a link from it; click empty space to add a node
+    scene.onPointerObservable.add((pointerInfo) => {
+        if (!editState.isEditing) return;
 
-            case PHASES.SYNCING:
-                handleSyncingPhase();
-                if (simulationState.phaseTimer > 8000) {
-                    simulationState.currentPhase = PHASES.PROCESSING;
-                    simulationState.phaseTimer = 0;
-                    updateInstructions();
-                }
+        switch (pointerInfo.type) {
+            case BABYLON.PointerEventTypes.POINTERDOWN: {
+                goLive();
+                const view = pickNodeView();
+                if (!view) return;
+                // The camera would orbit along with the drag
+                camera.detachControl();
+                editState.drag = {
+                    nodeId: view.nodeId,
+                    from: view.position.clone(),
+                    isLinking: pointerInfo.event.shiftKey,
+                    hasMoved: false,
+                    line: null
+                };
                 break;
-
-            case PHASES.PROCESSING:
-                handleProcessingPhase();
-                if (simulationState.phaseTimer > 6000) {
-                    simulationState.currentPhase = PHASES.NETWORK_CHANGES;
-                    simulationState.phaseTimer = 0;
-                    updateInstructions();
+            }
+            case BABYLON.PointerEventTypes.POINTERMOVE:
+                if (editState.drag) {
+                    dragTo();
                 }
                 break;
-
-            case PHASES.NETWORK_CHANGES:
-                handleNetworkChanges();
-                if (simulationState.phaseTimer > 7000) {
-                    // Ensure we have exactly 2 nodes before moving to discovery phase
-                    if (nodes.length < 2) {
-                        // Add second node
-                        const angle = Math.PI; // Position opposite to first node
-                        const position = new BABYLON.Vector3(
-                            radius * Math.cos(angle),
-                            0,
-                            radius * Math.sin(angle)
-                        );
-                        nodes.push(new BitcoinNode(scene, position, `node-1`));
-                        simulationState.nodeCount = nodes.length;
-                    }
-                    simulationState.currentPhase = PHASES.DISCOVERY;
-                    simulationState.phaseTimer = 0;
-                    updateInstructions();
+            case BABYLON.PointerEventTypes.POINTERUP:
+                if (editState.drag) {
+                    endDrag();
                 }
                 break;
+            case BABYLON.PointerEventTypes.POINTERTAP: {
+                const isLine = mesh => meshTargets.get(mesh)?.connection !== undefined;
+                if (pickNodeView() || scene.pick(scene.pointerX, scene.pointerY, isLine)?.hit) return;
+                const point = pointerTarget(camera.target);
+                if (!point) return;
+                runEdit(() => `Added ${editState.editor.addNode({ x: point.x, y: point.y, z: point.z }).nodeId}`);
+                break;
+            }
         }
     });
 
-    function handleDiscoveryPhase() {
-        if (simulationState.currentStep % (3 / simulationState.speed) < 1) {
-            const sourceNode = nodes[Math.floor(Math.random() * nodes.length)];
-            const targetNode = nodes[Math.floor(Math.random() * nodes.length)];
-
-            if (sourceNode !== targetNode && !sourceNode.connections.has(targetNode.nodeId)) {
-                sourceNode.material.emissiveColor = new BABYLON.Color3(0.3, 0.6, 1);
-                targetNode.material.emissiveColor = new BABYLON.Color3(0.3, 0.6, 1);
-
-                // Send peer discovery packet
-                sourceNode.sendPacket(targetNode, scene, "peer");
+    function dragTo() {
+        const drag = editState.drag;
+        const view = nodeViews.get(drag.nodeId);
+        if (!view) return;
 
-                // Create connection after a short delay
-                setTimeout(() => {
-                    sourceNode.material.emissiveColor = BABYLON.Color3.Black();
-                    targetNode.material.emissiveColor = BABYLON.Color3.Black();
-                    
-                    // Create bidirectional connection
-                    sourceNode.connectTo(targetNode, scene);
-                }, 500 / simulationState.speed);
-            }
+        if (drag.isLinking) {
+            const target = pickNodeView();
+            const end = target && target !== view ? target.position : pointerTarget(view.position);
+            if (!end) return;
+            drag.line = BABYLON.MeshBuilder.CreateLines("editLink", {
+                points: [view.position, end],
+                updatable: true,
+                instance: drag.line
+            }, scene);
+            drag.line.color = new BABYLON.Color3(0, 0.4, 0.8);
+            drag.line.isPickable = false;
+            return;
         }
-        
-        if (simulationState.phaseTimer > 5000) {
-            simulationState.currentPhase = PHASES.SYNCING;
-            simulationState.phaseTimer = 0;
-            updateInstructions();
-        }
-    }
-
-    function handleSyncingPhase() {
-        nodes.forEach(node => {
-            const progress = (simulationState.phaseTimer % 2000) / 2000;
-            node.showSyncProgress(progress, scene);
-
-            if (Math.random() < 0.05 * simulationState.speed && node.connections.size > 0) {
-                const connectedNodeIds = Array.from(node.connections);
-                const targetNodeId = connectedNodeIds[Math.floor(Math.random() * connectedNodeIds.length)];
-                const targetNode = nodes.find(n => n.nodeId === targetNodeId);
-                
-                // Verify bidirectional connection exists
-                if (targetNode && node.connections.has(targetNode.nodeId) && targetNode.connections.has(node.nodeId)) {
-                    node.sendPacket(targetNode, scene, "block");
-                }
+
+        const point = pointerTarget(drag.from);
+        if (!point) return;
+        drag.hasMoved = true;
+        layoutState.pinned.set(drag.nodeId, point);
+        view.position.copyFrom(point);
+        connectionViews.forEach(connection => {
+            if (connection.sourceNode === view || connection.targetNode === view) {
+                connection.update();
             }
         });
-        
-        if (simulationState.phaseTimer > 8000) {
-            simulationState.currentPhase = PHASES.PROCESSING;
-            simulationState.phaseTimer = 0;
-            updateInstructions();
+    }
+
+    function endDrag() {
+        const { nodeId, from, isLinking, hasMoved, line } = editState.drag;
+        editState.drag = null;
+        camera.attachControl(canvas, true);
+        line?.dispose();
+
+        if (isLinking) {
+            const target = pickNodeView();
+            if (!target || target.nodeId === nodeId) return;
+            runEdit(() => editState.editor.connect(nodeId, target.nodeId)
+                ? `Linked ${nodeId} to ${target.nodeId}`
+                : `${nodeId} and ${target.nodeId} can't be linked: already linked, split by a netsplit, or refusing each other`);
+        } else if (hasMoved) {
+            const position = nodeViews.get(nodeId)?.position;
+            if (!position) return;
+            runEdit(() => editState.editor.moveNode(nodeId, { x: position.x, y: position.y, z: position.z }, { x: from.x, y: from.y, z: from.z })
+                ? `Moved ${nodeId}`
+                : `${nodeId} already left`);
         }
     }
 
-    function handleProcessingPhase() {
-        if (simulationState.currentStep % (5 / simulationState.speed) < 1) {
-            // Select random source node
-            const sourceNode = nodes[Math.floor(Math.random() * nodes.length)];
-            
-            if (sourceNode.connections.size > 0) {
-                // Get random connected node
-                const connectedNodeIds = Array.from(sourceNode.connections);
-                const targetNodeId = connectedNodeIds[Math.floor(Math.random() * connectedNodeIds.length)];
-                const targetNode = nodes.find(node => node.nodeId === targetNodeId);
-
-                if (targetNode) {
-                    // Verify connection exists before sending packet
-                    if (sourceNode.connections.has(targetNode.nodeId) && targetNode.connections.has(sourceNode.nodeId)) {
-                        sourceNode.sendPacket(targetNode, scene, "transaction");
-                        sourceNode.setProcessing(true);
-                        setTimeout(() => {
-                            sourceNode.setProcessing(false);
-                        }, 1000 / simulationState.speed);
-                    }
-                }
-            }
+    // Undo and redo, delete, and inject at the selected node, from the keyboard
+    window.addEventListener("keydown", (event) => {
+        if (!editState.isEditing) return;
+
+        const key = event.key.toLowerCase();
+        const isShortcut = event.ctrlKey || event.metaKey;
+        if (isShortcut && key === "z") {
+            event.shiftKey ? redoEdit() : undoEdit();
+        } else if (isShortcut && key === "y") {
+            redoEdit();
+        } else if (isShortcut) {
+            return;
+        } else if (key === "delete" || key === "backspace") {
+            deleteSelection();
+        } else if (key === "t") {
+            injectAtSelection("transaction");
+        } else if (key === "b") {
+            injectAtSelection("block");
+        } else if (key === "escape") {
+            selectForEdit(null);
+        } else {
+            return;
         }
-        
-        if (simulationState.phaseTimer > 6000) {
-            simulationState.currentPhase = PHASES.NETWORK_CHANGES;
-            simulationState.phaseTimer = 0;
-            updateInstructions();
-        }
-    }
-
-    function handleNetworkChanges() {
-        // Only add/remove nodes after we have the initial 2 nodes
-        if (simulationState.phaseTimer % 2000 < 20 && nodes.length >= 2) {
-            const minNodes = 2;
-            const maxNodes = Math.max(20, simulationState.initialNodeCount * 1.5);
-
-            if (Math.random() < 0.5 && nodes.length > minNodes) {
-                // Remove random node
-                const index = Math.floor(Math.random() * nodes.length);
-                const node = nodes[index];
-                nodes.splice(index, 1);
-                node.shutdown(scene, nodes);
-                simulationState.nodeCount = nodes.length;
-            } else if (nodes.length < maxNodes) {
-                // Find a position that's not too close to existing nodes
-                let angle;
-                let position;
-                let attempts = 0;
-                const minDistance = radius * 0.8; // Minimum distance between nodes
-                
-                do {
-                    angle = Math.random() * Math.PI * 2;
-                    position = new BABYLON.Vector3(
-                        radius * Math.cos(angle),
-                        0,
-                        radius * Math.sin(angle)
-                    );
-                    
-                    // Check distance from all existing nodes
-                    const isTooClose = nodes.some(node => 
-                        BABYLON.Vector3.Distance(node.mesh.position, position) < minDistance
-                    );
-                    
-                    if (!isTooClose) {
+        event.preventDefault();
+    });
+
+    // Panels swallow the clicks on them, so clicking a panel doesn't add a node behind it or orbit the camera
+    [
+        panel, phasePanel, topologyPanel, timelinePanel, propagationPanel, mempoolPanel, miningPanel,
+        attackStatsPanel, inspectorPanel, dashboardPanel, editPanel
+    ].forEach(control => control.isPointerBlocker = true);
+
+    // Unsubscribe functions for the current simulation's events
+    let simulationSubscriptions = [];
+
+    /**
+     * Draw the coming run in bulk, or with meshes of its own per node, link and packet.
+     * Only called while nothing is shown.
+     * @param {boolean} isBulk - Whether to draw in bulk
+     */
+    function setBulk(isBulk) {
+        if (isBulk === Boolean(bulkViews.nodes)) return;
+        if (isBulk) {
+            bulkViews.nodes = new NodeSwarm(scene);
+            bulkViews.links = new LinkWeb(scene);
+            bulkViews.packets = new PacketSwarm(scene);
+        } else {
+            Object.values(bulkViews).forEach(views => views.dispose());
+            bulkViews.nodes = bulkViews.links = bulkViews.packets = null;
+        }
+    }
+
+    /**
+     * Replace the current run with a new simulation and start it
+     * @param {Object} [scenario] - Parsed scenario; the default demo if omitted
+     * @param {number|string} [seed] - Seed to replay; the scenario's or a fresh one if omitted
+     */
+    function startSimulation(scenario, seed) {
+        simulationSubscriptions.forEach(unsubscribe => unsubscribe());
+        renderSnapshot({ nodes: [], links: [], messages: [], severed: [], phase: null });
+
+        const { nodes, initialNodeCount, churn } = parseScenario(scenario ?? {});
+        const isBulk = Math.max(nodes.length || initialNodeCount, churn.maxNodes) > BULK_NODE_THRESHOLD;
+        simulation = new NetworkSimulation({ scenario, seed, logOptions: isBulk ? BULK_LOG_OPTIONS : undefined });
+        simulation.setSpeed(SPEEDS[Math.round(speedSlider.value)]);
+        setBulk(isBulk);
+        // Attackers withhold gossip, which only Bitcoin has
+        attackPanel.isVisible = simulation.scenario.protocol === "bitcoin";
+
+        simulationSubscriptions = [
+            simulation.on("nodeAdded", ({ node }) => showNode({
+                nodeId: node.nodeId,
+                position: node.position,
+                group: node.group,
+                height: node.chain.height,
+                hashpower: node.hashpower,
+                attributes: node.attributes,
+                location: node.location
+            })),
+            simulation.on("nodeRemoved", ({ node }) => {
+                hideNode(node.nodeId, true);
+                isMempoolPanelStale = true;
+            }),
+            simulation.on("nodeMoved", ({ node }) => {
+                layoutState.pinned.set(node.nodeId, { ...node.position });
+                const view = nodeViews.get(node.nodeId);
+                if (view) {
+                    view.location = node.location;
+                }
+            }),
+            simulation.on("linkAdded", ({ source, target, link }) => {
+                showLink(source.nodeId, target.nodeId, link.state);
+                isAttackPanelStale = true;
+            }),
+            simulation.on("linkRemoved", ({ source, target }) => {
+                hideLink(source.nodeId, target.nodeId, true);
+                isAttackPanelStale = true;
+            }),
+            simulation.on("linkStateChanged", ({ link }) => {
+                connectionViews.get(linkKey(link.sourceId, link.targetId))?.setState(link.state);
+            }),
+
+            simulation.on("messageSent", (message) => showPacket({
+                ...message,
+                source: message.source.nodeId,
+                target: message.target.nodeId,
+                isInvalid: Boolean(message.payload.isInvalid)
+            })),
+            simulation.on("messageDelivered", (message) => hidePacket(message.id)),
+
+            simulation.on("nodeUpdated", ({ node }) => {
+                const view = nodeViews.get(node.nodeId);
+                if (!view) return;
+
+                switch (node.activity) {
+                    case ACTIVITIES.DISCOVERING:
+                        view.setDiscovering(true);
                         break;
-                    }
-                    
-                    attempts++;
-                } while (attempts < 10); // Limit attempts to prevent infinite loop
-                
-                // If we couldn't find a good spot after 10 attempts, 
-                // try a different radius
-                if (attempts >= 10) {
-                    const alternateRadius = radius * (1 + Math.random() * 0.4); // 100-140% of original radius
-                    position = new BABYLON.Vector3(
-                        alternateRadius * Math.cos(angle),
-                        0,
-                        alternateRadius * Math.sin(angle)
-                    );
+                    case ACTIVITIES.SYNCING:
+                        view.showSyncProgress(node.syncProgress, scene);
+                        break;
+                    case ACTIVITIES.PROCESSING:
+                        view.setProcessing(true);
+                        break;
+                    case ACTIVITIES.MINING:
+                        view.setMining(true);
+                        break;
+                    default:
+                        view.setMining(false);
                 }
-                
-                nodes.push(new BitcoinNode(scene, position, `node-${Date.now()}`));
-                simulationState.nodeCount = nodes.length;
-            }
+            }),
+
+            simulation.on("chainChanged", ({ node, tip }) => {
+                nodeViews.get(node.nodeId)?.setChainHeight(tip.height);
+                isMiningPanelStale = true;
+                isAttackPanelStale = true;
+            }),
+            simulation.on("behaviorChanged", ({ node }) => {
+                nodeViews.get(node.nodeId)?.setBehavior(node.behavior, scene);
+                isAttackPanelStale = true;
+            }),
+            simulation.on("eclipseChanged", ({ node }) => {
+                nodeViews.get(node.nodeId)?.setEclipsed(node.isEclipsed);
+                isAttackPanelStale = true;
+            }),
+            simulation.on("peerBanned", () => {
+                isAttackPanelStale = true;
+            }),
+            simulation.on("blockMined", () => {
+                isMiningPanelStale = true;
+            }),
+            simulation.on("roleChanged", ({ node, role }) => nodeViews.get(node.nodeId)?.setRole(role)),
+            simulation.on("committed", ({ node, height }) => nodeViews.get(node.nodeId)?.setCommittedHeight(height)),
+            simulation.on("phaseChanged", () => updateInstructions()),
+            simulation.on("partitionChanged", ({ partition }) => showPartition(simulation.nodes, partition?.severed ?? [])),
+
+            simulation.on("itemCreated", () => updatePropagationPanel()),
+            simulation.on("itemPropagated", () => updatePropagationPanel()),
+
+            simulation.on("mempoolChanged", ({ node }) => {
+                nodeViews.get(node.nodeId)?.setMempoolSize(node.mempool.count, scene);
+                isMempoolPanelStale = true;
+            }),
+            simulation.on("transactionRejected", () => {
+                isMempoolPanelStale = true;
+            }),
+            simulation.on("metricsSampled", () => {
+                isDashboardStale = true;
+            })
+        ];
+
+        timelineState.log = simulation.log;
+        timelineState.isReplaying = false;
+        playPauseBtn.textBlock.text = "⏸️ Pause";
+        seedBtn.textBlock.text = `🎲 Seed ${simulation.seed}`;
+        scenarioBtn.textBlock.text = `📄 ${simulation.scenario.name}`;
+        protocolBtn.textBlock.text = `⚙️ ${PROTOCOLS[simulation.scenario.protocol].title}`;
+        updateTopologyPanel();
+        phaseState.sequence = "scenario";
+        phaseState.scenarioPhases = simulation.scenario.phases.map(entry => ({ ...entry }));
+        updatePhaseRows();
+        layoutState.pinned.clear();
+        globeBtn.textBlock.text = simulation.scenario.geography.enabled ? "🗺️ Flat" : "🌍 Globe";
+        // Geographic runs start on the globe, which other runs can't show, and big ones on a sphere,
+        // as the force-directed layout takes long to untangle thousands of nodes
+        if (simulation.scenario.geography.enabled) {
+            setLayout(LAYOUTS.GLOBE);
+        } else if (isOnGlobe() || (bulkViews.nodes && layoutState.layout === LAYOUTS.FORCE)) {
+            setLayout(bulkViews.nodes ? LAYOUTS.SPHERICAL : LAYOUTS.FORCE);
         }
-        
-        if (simulationState.phaseTimer > 7000) {
-            // Ensure we have exactly 2 nodes before moving to discovery phase
-            if (nodes.length < 2) {
-                // Add second node
-                const angle = Math.PI; // Position opposite to first node
-                const position = new BABYLON.Vector3(
-                    radius * Math.cos(angle),
-                    0,
-                    radius * Math.sin(angle)
-                );
-                nodes.push(new BitcoinNode(scene, position, `node-1`));
-                simulationState.nodeCount = nodes.length;
-            }
-            simulationState.currentPhase = PHASES.DISCOVERY;
-            simulationState.phaseTimer = 0;
-            updateInstructions();
+        if (bulkViews.nodes) {
+            camera.radius = Math.max(camera.radius, simulation.radius * 3);
         }
+        editState.editor = new NetworkEditor(simulation);
+        editState.selection = null;
+        editState.message = "";
+        updateEditPanel();
+
+        // Keep the address bar pointing at this exact run
+        const url = new URL(window.location.href);
+        url.searchParams.set("seed", simulation.seed);
+        window.history.replaceState(null, "", url.toString());
+
+        // Create the initial network; this also shows the first phase's message
+        simulation.start();
+        updatePropagationPanel();
+        isMempoolPanelStale = true;
+        isMiningPanelStale = true;
+        isAttackPanelStale = true;
+        isDashboardStale = true;
+    }
+
+    // Initialize theme
+    updateTheme();
+
+    // Start the scenario from the URL, or the default demo
+    const scenarioUrl = urlParams.get("scenario");
+    const seedParam = urlParams.get("seed") ?? undefined;
+    if (scenarioUrl) {
+        fetch(scenarioUrl)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Could not load scenario ${scenarioUrl} (HTTP ${response.status})`);
+                }
+                return response.text();
+            })
+            .then(text => startSimulation(parseScenario(text), seedParam))
+            .catch(error => {
+                alert(error.message);
+                startSimulation(undefined, seedParam);
+            });
+    } else {
+        startSimulation(undefined, seedParam);
     }
 
-    function updateInstructions(text) {
-        const phaseStyle = PHASE_STYLES[simulationState.currentPhase];
-        const phaseInfo = PHASE_INFO[simulationState.currentPhase];
+    // Drive the simulation clock from the render loop
+    scene.onBeforeRenderObservable.add(() => {
+        if (!simulation) return;
+
+        // A frame slowed by a big network would otherwise ask for an even bigger step next time
+        simulation.advance(Math.min(scene.getEngine().getDeltaTime(), MAX_FRAME_MS));
+        updateLayout();
+
+        const viewTime = timelineState.isReplaying ? timelineSlider.value : simulation.now;
+        packets.forEach(({ message, handle }) => {
+            // A message with no size on a link with no latency arrives the moment it leaves
+            const travelTime = message.deliverAt - message.sentAt;
+            handle.update(travelTime > 0 ? (viewTime - message.sentAt) / travelTime : Number(viewTime >= message.sentAt));
+        });
+        if (bulkViews.nodes) {
+            bulkViews.nodes.render();
+            bulkViews.links.render();
+            bulkViews.packets.render(camera.radius > simulation.radius * PACKET_LOD_DISTANCE);
+        }
+
+        if (!timelineState.isReplaying) {
+            setTimelineValue(simulation.now, simulation.now);
+        }
+        if (isMempoolPanelStale) {
+            updateMempoolPanel();
+        }
+        if (isMiningPanelStale) {
+            updateMiningPanel();
+        }
+        if (isAttackPanelStale) {
+            updateAttackPanel();
+        }
+        if (!timelineState.isReplaying) {
+            updatePhasePanel();
+        }
+        if (isDashboardStale && dashboardPanel.isVisible) {
+            updateDashboard();
+        }
+        if (isColoringStale) {
+            updateNodeColors();
+        }
+        // Uptime and traffic change all the time; a few refreshes a second keep up
+        if (inspectorState.nodeId && performance.now() - inspectorState.updatedAt > 250) {
+            updateInspector();
+        }
+        updateTimeText(viewTime);
+    });
+
+    /**
+     * @param {string} [phase] - Phase to describe; the live one if omitted
+     * @param {string[]} [alongside] - Phases running at the same time, named after it
+     */
+    function updateInstructions(phase = simulation.state.currentPhase, alongside = simulation.state.activePhases.slice(1)) {
+        const phaseStyle = PHASE_STYLES[phase];
+        const phaseInfo = PHASE_INFO[phase];
+        const extras = alongside.map(other => ` + ${PHASE_INFO[other].icon} ${PHASE_INFO[other].title}`).join("");
 
         // Update main text with title and description
-        instructionsText.text = `${phaseInfo.icon} ${phaseInfo.title}\n${phaseInfo.description}`;
+        instructionsText.text = `${phaseInfo.icon} ${phaseInfo.title}${extras}\n${phaseInfo.description}`;
         instructionsText.color = phaseStyle.color;
         instructionsText.outlineColor = phaseStyle.outlineColor;
         instructionsText.height = "80px"; // Increased height to accommodate two lines
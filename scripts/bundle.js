@@ -0,0 +1,115 @@
+import { readFileSync, writeFileSync } from "node:fs";
+import { dirname, join, posix, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * Bundles script.js and every module it imports into one classic script,
+ * because browsers refuse to load ES modules from a page opened from disk.
+ * Each module runs in its own function scope, after the modules it imports,
+ * and hands its exports to the modules after it. Run with `npm run bundle`
+ * after changing script.js or anything under sim/.
+ */
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "..");
+
+// Module the page starts from, the bundle written for it, and the global the bundle puts the entry's exports in
+export const ENTRY = "script.js";
+export const BUNDLE = "script.bundle.js";
+export const GLOBAL_NAME = "DDNS";
+
+// The import and export forms the sources use; anything else is left alone
+const IMPORT = /^import\s*\{([^}]*)\}\s*from\s*"([^"]+)";[ \t]*$/gm;
+const RE_EXPORT = /^export\s*\{([^}]*)\}\s*from\s*"([^"]+)";[ \t]*$/gm;
+const EXPORT_LIST = /^export\s*\{([^}]*)\};[ \t]*$/gm;
+const EXPORT_DECLARATION = /^export\s+(async\s+function|function|class|const|let)\s+([A-Za-z_$][\w$]*)/gm;
+
+/**
+ * Names in an import or export list, e.g. "a, b as c"
+ * @returns {{name: string, as: string}[]}
+ */
+function specifiers(list) {
+    return list.split(",").map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, as = name] = entry.split(/\s+as\s+/);
+        return { name, as };
+    });
+}
+
+/**
+ * Name of the variable holding a module's exports, e.g. "module_sim_protocols_index"
+ */
+function variableOf(path) {
+    return `module_${path.replace(/\.js$/, "").replace(/[^\w$]/g, "_")}`;
+}
+
+/**
+ * One module as a function scope returning its exports
+ */
+function wrap(path, source) {
+    const resolveImport = from => posix.join(posix.dirname(path), from);
+    const exports = [];
+
+    const body = source
+        .replace(IMPORT, (_, list, from) => {
+            const names = specifiers(list).map(({ name, as }) => name === as ? name : `${name}: ${as}`);
+            return `const { ${names.join(", ")} } = ${variableOf(resolveImport(from))};`;
+        })
+        .replace(RE_EXPORT, (_, list, from) => {
+            specifiers(list).forEach(({ name, as }) => exports.push(`${as}: ${variableOf(resolveImport(from))}.${name}`));
+            return "";
+        })
+        .replace(EXPORT_LIST, (_, list) => {
+            specifiers(list).forEach(({ name, as }) => exports.push(name === as ? name : `${as}: ${name}`));
+            return "";
+        })
+        .replace(EXPORT_DECLARATION, (_, kind, name) => {
+            exports.push(name);
+            return `${kind} ${name}`;
+        });
+
+    return [
+        `// ${path}`,
+        `const ${variableOf(path)} = (() => {`,
+        body.trimEnd(),
+        `return { ${exports.join(", ")} };`,
+        "})();"
+    ].join("\n");
+}
+
+/**
+ * Build the bundle's text from the sources on disk
+ * @returns {string}
+ * @throws {Error} If the modules import each other in a cycle
+ */
+export function bundle() {
+    const modules = new Map(); // Path to wrapped source, dependencies first
+    const visiting = new Set();
+    const visit = path => {
+        if (modules.has(path)) return;
+        if (visiting.has(path)) {
+            throw new Error(`${path} is part of an import cycle, which the bundle can't order`);
+        }
+        visiting.add(path);
+        const source = readFileSync(join(ROOT, path), "utf8");
+        [IMPORT, RE_EXPORT].forEach(pattern => {
+            Array.from(source.matchAll(pattern), ([, , from]) => visit(posix.join(posix.dirname(path), from)));
+        });
+        visiting.delete(path);
+        modules.set(path, wrap(path, source));
+    };
+    visit(ENTRY);
+
+    return [
+        `// Generated by scripts/bundle.js from ${ENTRY} and the modules it imports: edit those, then run \`npm run bundle\``,
+        `var ${GLOBAL_NAME} = (() => {`,
+        "\"use strict\";",
+        ...modules.values(),
+        `return ${variableOf(ENTRY)};`,
+        "})();",
+        ""
+    ].join("\n");
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    writeFileSync(join(ROOT, BUNDLE), bundle());
+    console.log(`Wrote ${BUNDLE}`);
+}
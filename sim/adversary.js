@@ -0,0 +1,125 @@
+/**
+ * How a node behaves towards its peers
+ */
+export const BEHAVIORS = {
+    HONEST: "honest",
+    DROP_RELAY: "drop_relay",     // Takes blocks and transactions in but never passes them on
+    INVALID: "invalid",           // Sends blocks and transactions that break the rules
+    DOUBLE_SPEND: "double_spend", // Pays one peer, then spends the same coins again to everyone else
+    SYBIL: "sybil",               // One of many identities run by one attacker, all withholding
+    ECLIPSE: "eclipse"            // Occupies every peer slot of a victim and feeds it nothing
+};
+
+/**
+ * Size and pace of attacks when a scenario or the caller doesn't say
+ */
+export const ATTACK_DEFAULTS = {
+    sybilIdentities: 6,         // Nodes a Sybil attack spins up
+    sybilPeers: 3,              // Honest nodes each Sybil identity connects to
+    eclipseAttackers: 4,        // Nodes that surround an eclipse victim
+    invalidInterval: 2000,      // ms, average time between an invalid sender's messages
+    doubleSpendInterval: 5000   // ms, average time between double-spend attempts, while processing
+};
+
+// Behaviors that swallow relays and ignore block requests
+const WITHHOLDING = new Set([BEHAVIORS.DROP_RELAY, BEHAVIORS.SYBIL, BEHAVIORS.ECLIPSE]);
+
+/**
+ * Whether a node misbehaves at all
+ * @param {SimNode} node - The node
+ * @returns {boolean}
+ */
+export function isAttacker(node) {
+    return node.behavior !== BEHAVIORS.HONEST;
+}
+
+/**
+ * Whether a node keeps what it receives to itself
+ * @param {SimNode} node - The node
+ * @returns {boolean}
+ */
+export function withholds(node) {
+    return WITHHOLDING.has(node.behavior);
+}
+
+/**
+ * Running tally of the damage attackers do and how honest nodes fight back
+ */
+export class AttackStats {
+    constructor() {
+        this.droppedRelays = 0;   // Items an attacker received and didn't pass on
+        this.withheldSyncs = 0;   // Block requests an attacker left unanswered
+        this.invalidSent = 0;
+        this.invalidRejected = 0;
+        this.bans = 0;
+        this.doubleSpends = [];   // { payment, doubleSpend } transaction IDs of attempts not settled yet
+        this.settledDoubleSpends = 0;
+        this.settledReversals = 0; // Settled attempts whose conflicting transaction was the one mined
+    }
+
+    /**
+     * Record a double-spend attempt
+     * @param {string} payment - Transaction paying the victim
+     * @param {string} doubleSpend - Conflicting transaction sent to everyone else
+     */
+    recordDoubleSpend(payment, doubleSpend) {
+        this.doubleSpends.push({ payment, doubleSpend });
+    }
+
+    /**
+     * Decide the double-spends that settled blocks mined either transaction of
+     * @param {string[]} txIds - Transactions in the blocks
+     */
+    settle(txIds) {
+        const mined = new Set(txIds);
+        this.doubleSpends = this.doubleSpends.filter(({ payment, doubleSpend }) => {
+            if (!mined.has(payment) && !mined.has(doubleSpend)) return true;
+            this.settledDoubleSpends++;
+            if (mined.has(doubleSpend)) this.settledReversals++;
+            return false;
+        });
+    }
+
+    /**
+     * Summarize the attacks against the node with the best chain
+     * @param {SimNode[]} nodes - Nodes in the network
+     * @param {SimNode|undefined} best - Node whose chain has the most work
+     * @returns {{attackers: number, droppedRelays: number, withheldSyncs: number, invalidSent: number,
+     *     invalidRejected: number, bans: number, doubleSpends: number, reversedPayments: number,
+     *     attackerPeerShare: number, honestBehind: number, eclipsed: {nodeId: string, lag: number}[]}}
+     *     attackerPeerShare is the fraction of honest nodes' connections that lead to attackers;
+     *     a reversed payment is a double-spend whose conflicting transaction made it into the best chain
+     */
+    summary(nodes, best) {
+        const honest = nodes.filter(node => !isAttacker(node));
+        const attackerIds = new Set(nodes.filter(isAttacker).map(node => node.nodeId));
+        const bestHeight = best ? best.chain.height : 0;
+
+        let honestLinks = 0;
+        let attackerLinks = 0;
+        honest.forEach(node => {
+            node.connections.forEach(peerId => {
+                honestLinks++;
+                if (attackerIds.has(peerId)) attackerLinks++;
+            });
+        });
+
+        return {
+            attackers: attackerIds.size,
+            droppedRelays: this.droppedRelays,
+            withheldSyncs: this.withheldSyncs,
+            invalidSent: this.invalidSent,
+            invalidRejected: this.invalidRejected,
+            bans: this.bans,
+            doubleSpends: this.settledDoubleSpends + this.doubleSpends.length,
+            reversedPayments: this.settledReversals +
+                (best ? this.doubleSpends.filter(({ doubleSpend }) => best.mempool.confirmed.has(doubleSpend)).length : 0),
+            attackerPeerShare: honestLinks > 0 ? attackerLinks / honestLinks : 0,
+            honestBehind: honest.filter(node => node.chain.height < bestHeight).length,
+            eclipsed: honest.filter(node => node.isEclipsed).map(node => ({
+                nodeId: node.nodeId,
+                lag: bestHeight - node.chain.height
+            }))
+        };
+    }
+}
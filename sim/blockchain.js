@@ -0,0 +1,224 @@
+/**
+ * The block every chain starts from, shared by all nodes
+ */
+export const GENESIS_BLOCK = Object.freeze({
+    hash: "00000000",
+    parent: null,
+    height: 0,
+    work: 0,
+    chainWork: 0,
+    miner: null,
+    createdAt: 0,
+    txids: Object.freeze([])
+});
+
+/**
+ * Most blocks a peer sends in answer to one getblocks request
+ */
+export const SYNC_BATCH_SIZE = 16;
+
+/**
+ * Depth under a chain's tip at which blocks are treated as final: stats and
+ * mempools stop keeping what only a deeper reorg would need
+ */
+export const SETTLED_DEPTH = 100;
+
+/**
+ * Create a block on top of a parent
+ * @param {Object} parent - Block being extended
+ * @param {{hash: string, miner: string, createdAt: number, work?: number, txids?: string[]}} fields - New block's own fields
+ * @returns {Object} The block
+ */
+export function createBlock(parent, { hash, miner, createdAt, work = 1, txids = [] }) {
+    return {
+        hash,
+        parent: parent.hash,
+        height: parent.height + 1,
+        work,
+        chainWork: parent.chainWork + work,
+        miner,
+        createdAt,
+        txids
+    };
+}
+
+/**
+ * One node's view of the blockchain: every block it has seen, linked by
+ * parent hash, with the tip of the most-work chain selected.
+ *
+ * Blocks whose parent hasn't arrived yet wait as orphans and are connected
+ * as soon as the parent shows up. Equal-work tips keep the one seen first.
+ */
+export class BlockTree {
+    constructor() {
+        this.blocks = new Map([[GENESIS_BLOCK.hash, GENESIS_BLOCK]]);
+        this.orphans = new Map();
+        this.tip = GENESIS_BLOCK;
+    }
+
+    /**
+     * Height of the selected chain
+     * @returns {number}
+     */
+    get height() {
+        return this.tip.height;
+    }
+
+    /**
+     * Whether a block is known, connected or not
+     * @param {string} hash - Block hash
+     * @returns {boolean}
+     */
+    has(hash) {
+        return this.blocks.has(hash) || this.orphans.has(hash);
+    }
+
+    /**
+     * Add a block, connecting any orphans that were waiting for it,
+     * and switch to the most-work chain
+     * @param {Object} block - The block
+     * @returns {{isOrphan: boolean, tipChanged: boolean, reorg: {depth: number, oldTip: Object, newTip: Object, forkPoint: Object}|null}}
+     */
+    add(block) {
+        const result = { isOrphan: false, tipChanged: false, reorg: null };
+        if (this.has(block.hash)) {
+            return result;
+        }
+        if (!this.blocks.has(block.parent)) {
+            this.orphans.set(block.hash, block);
+            result.isOrphan = true;
+            return result;
+        }
+
+        // Connect the block and, breadth first, every orphan that descends from it
+        let best = this.tip;
+        const pending = [block];
+        while (pending.length > 0) {
+            const next = pending.shift();
+            this.blocks.set(next.hash, next);
+            this.orphans.delete(next.hash);
+            if (next.chainWork > best.chainWork) {
+                best = next;
+            }
+            this.orphans.forEach(orphan => {
+                if (orphan.parent === next.hash) {
+                    pending.push(orphan);
+                }
+            });
+        }
+
+        if (best !== this.tip) {
+            const oldTip = this.tip;
+            const forkPoint = this.commonAncestor(oldTip, best);
+            this.tip = best;
+            result.tipChanged = true;
+            if (forkPoint !== oldTip) {
+                result.reorg = { depth: oldTip.height - forkPoint.height, oldTip, newTip: best, forkPoint };
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Ancestor of a block at a given height
+     * @param {Object} block - Starting block
+     * @param {number} height - Height to walk back to
+     * @returns {Object}
+     */
+    ancestor(block, height) {
+        let current = block;
+        while (current.height > height) {
+            current = this.blocks.get(current.parent);
+        }
+        return current;
+    }
+
+    /**
+     * Last block two chains have in common
+     * @param {Object} a - Tip of one chain
+     * @param {Object} b - Tip of the other
+     * @returns {Object}
+     */
+    commonAncestor(a, b) {
+        let left = this.ancestor(a, Math.min(a.height, b.height));
+        let right = this.ancestor(b, Math.min(a.height, b.height));
+        while (left !== right) {
+            left = this.blocks.get(left.parent);
+            right = this.blocks.get(right.parent);
+        }
+        return left;
+    }
+
+    /**
+     * Blocks on the way from an ancestor up to one of its descendants
+     * @param {Object} ancestor - Starting block, not included
+     * @param {Object} descendant - Last block, included
+     * @returns {Object[]} Blocks in height order
+     */
+    blocksBetween(ancestor, descendant) {
+        const blocks = [];
+        let block = descendant;
+        while (block.height > ancestor.height) {
+            blocks.unshift(block);
+            block = this.blocks.get(block.parent);
+        }
+        return blocks;
+    }
+
+    /**
+     * Whether a block is part of the selected chain
+     * @param {string} hash - Block hash
+     * @returns {boolean}
+     */
+    isInMainChain(hash) {
+        const block = this.blocks.get(hash);
+        return Boolean(block) && this.ancestor(this.tip, block.height) === block;
+    }
+
+    /**
+     * Hashes of the selected chain's blocks from a height up, in one walk down from the tip
+     * @param {number} height - Lowest height to include
+     * @returns {Set<string>}
+     */
+    mainChainFrom(height) {
+        const hashes = new Set();
+        for (let block = this.tip; block && block.height >= height; block = this.blocks.get(block.parent)) {
+            hashes.add(block.hash);
+        }
+        return hashes;
+    }
+
+    /**
+     * Hashes describing the selected chain, dense near the tip and
+     * exponentially sparser towards genesis, as in Bitcoin's block locator
+     * @returns {string[]}
+     */
+    locator() {
+        const hashes = [];
+        let step = 1;
+        let block = this.tip;
+        while (block.height > 0) {
+            hashes.push(block.hash);
+            if (hashes.length >= 10) {
+                step *= 2;
+            }
+            block = this.ancestor(block, Math.max(block.height - step, 0));
+        }
+        hashes.push(GENESIS_BLOCK.hash);
+        return hashes;
+    }
+
+    /**
+     * Blocks of the selected chain that follow the first locator hash we share
+     * @param {string[]} locator - Requesting peer's locator()
+     * @param {number} [limit] - Most blocks to return
+     * @returns {Object[]} Blocks in height order
+     */
+    blocksAfter(locator, limit = SYNC_BATCH_SIZE) {
+        const forkHash = locator.find(hash => this.isInMainChain(hash)) ?? GENESIS_BLOCK.hash;
+        const forkHeight = this.blocks.get(forkHash).height;
+
+        const last = this.ancestor(this.tip, Math.min(this.tip.height, forkHeight + limit));
+        return this.blocksBetween(this.blocks.get(forkHash), last);
+    }
+}
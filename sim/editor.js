@@ -0,0 +1,237 @@
+import { BEHAVIORS } from "./adversary.js";
+
+/**
+ * Hand edits to a running network, with undo and redo.
+ *
+ * Every edit is recorded as a command that knows how to undo and redo
+ * itself. Commands refer to nodes by ID, so a node that is removed and
+ * brought back by an undo is still found by the commands around it.
+ * A removed node comes back as a fresh node with the same ID, position,
+ * mining power, behavior and links; what it had learned (its chain and
+ * mempool) is synced again from its peers.
+ */
+export class NetworkEditor {
+    /**
+     * @param {NetworkSimulation} simulation - The network to edit
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Whether there is an edit to undo
+     * @returns {boolean}
+     */
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is an undone edit to redo
+     * @returns {boolean}
+     */
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Add a node
+     * @param {{x: number, y: number, z: number}} position - Where to put it
+     * @returns {SimNode} The new node
+     */
+    addNode(position) {
+        const sim = this.simulation;
+        const node = sim.addNode(sim.createNodeId(), position);
+        // Redo brings back the same node, not a new draw of mining power
+        const { nodeId, hashpower } = node;
+        this.record({
+            label: `Add ${nodeId}`,
+            undo: () => sim.removeNode(sim.getNode(nodeId)),
+            redo: () => sim.addNode(nodeId, position, hashpower)
+        });
+        return node;
+    }
+
+    /**
+     * Take a node and its links out of the network
+     * @param {string} nodeId - The node
+     * @returns {boolean} Whether the node existed
+     */
+    removeNode(nodeId) {
+        const sim = this.simulation;
+        const node = sim.getNode(nodeId);
+        if (!node) {
+            return false;
+        }
+
+        const { position, hashpower, behavior } = node;
+        const links = Array.from(node.connections)
+            .map(peerId => sim.getLink(nodeId, peerId))
+            .filter(Boolean)
+            .map(({ sourceId, targetId, latency, bandwidth }) => ({ sourceId, targetId, latency, bandwidth }));
+
+        sim.removeNode(node);
+        this.record({
+            label: `Remove ${nodeId}`,
+            undo: () => {
+                const restored = sim.addNode(nodeId, position, hashpower);
+                if (behavior !== BEHAVIORS.HONEST) {
+                    sim.setBehavior(restored, behavior);
+                }
+                // Peers removed since can't be linked to
+                links.forEach(({ sourceId, targetId, latency, bandwidth }) => {
+                    linkNodes(sim, sourceId, targetId, { latency, bandwidth });
+                });
+            },
+            redo: () => sim.removeNode(sim.getNode(nodeId))
+        });
+        return true;
+    }
+
+    /**
+     * Move a node
+     * @param {string} nodeId - The node
+     * @param {{x: number, y: number, z: number}} position - Where to put it
+     * @param {{x: number, y: number, z: number}} [from] - Where undo puts it back; its suggested
+     *     position if omitted, but a view whose layout moved it elsewhere knows better
+     * @returns {boolean} Whether the node existed
+     */
+    moveNode(nodeId, position, from) {
+        const sim = this.simulation;
+        const node = sim.getNode(nodeId);
+        if (!node) {
+            return false;
+        }
+
+        from = { ...(from ?? node.position) };
+        const to = { ...position };
+        sim.moveNode(node, to);
+        this.record({
+            label: `Move ${nodeId}`,
+            undo: () => placeNode(sim, nodeId, from),
+            redo: () => placeNode(sim, nodeId, to)
+        });
+        return true;
+    }
+
+    /**
+     * Link two nodes
+     * @param {string} sourceId - Node that opens the link
+     * @param {string} targetId - Node that accepts it
+     * @returns {boolean} Whether a new link was made; nodes already linked, split by a
+     *     partition or refusing each other aren't
+     */
+    connect(sourceId, targetId) {
+        const sim = this.simulation;
+        const source = sim.getNode(sourceId);
+        const target = sim.getNode(targetId);
+        if (!source || !target || !sim.connect(source, target)) {
+            return false;
+        }
+
+        const { latency, bandwidth } = sim.getLink(sourceId, targetId);
+        this.record({
+            label: `Link ${sourceId} to ${targetId}`,
+            undo: () => unlinkNodes(sim, sourceId, targetId),
+            redo: () => linkNodes(sim, sourceId, targetId, { latency, bandwidth })
+        });
+        return true;
+    }
+
+    /**
+     * Cut the link between two nodes
+     * @param {string} a - One end
+     * @param {string} b - The other end
+     * @returns {boolean} Whether they were linked
+     */
+    disconnect(a, b) {
+        const sim = this.simulation;
+        const link = sim.getLink(a, b);
+        if (!link) {
+            return false;
+        }
+
+        // Cut at once rather than through a graceful close, so undo finds the link gone
+        const { sourceId, targetId, latency, bandwidth } = link;
+        sim.disconnect(sim.getNode(sourceId), sim.getNode(targetId));
+        this.record({
+            label: `Unlink ${sourceId} from ${targetId}`,
+            undo: () => linkNodes(sim, sourceId, targetId, { latency, bandwidth }),
+            redo: () => unlinkNodes(sim, sourceId, targetId)
+        });
+        return true;
+    }
+
+    /**
+     * Create a transaction or block at a node and gossip it. Not undoable:
+     * once peers have heard of it, there is no taking it back.
+     * @param {string} nodeId - The node
+     * @param {string} kind - "transaction" or "block"
+     * @returns {Object|undefined} The new item, or undefined if the node is gone
+     */
+    inject(nodeId, kind) {
+        const node = this.simulation.getNode(nodeId);
+        return node ? this.simulation.broadcast(node, kind) : undefined;
+    }
+
+    /**
+     * Undo the last edit
+     * @returns {string|undefined} What was undone, or undefined if nothing was
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return undefined;
+        command.undo();
+        this.redoStack.push(command);
+        return command.label;
+    }
+
+    /**
+     * Redo the last undone edit
+     * @returns {string|undefined} What was redone, or undefined if nothing was
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return undefined;
+        command.redo();
+        this.undoStack.push(command);
+        return command.label;
+    }
+
+    /**
+     * Add an edit that was just applied; it replaces anything undone
+     * @param {{label: string, undo: Function, redo: Function}} command - The edit
+     */
+    record(command) {
+        this.undoStack.push(command);
+        this.redoStack = [];
+    }
+}
+
+// Commands replay against whatever the network looks like by then: churn may
+// have taken a node away, so each of these skips nodes that are gone
+
+function placeNode(sim, nodeId, position) {
+    const node = sim.getNode(nodeId);
+    if (node) {
+        sim.moveNode(node, position);
+    }
+}
+
+function linkNodes(sim, sourceId, targetId, properties) {
+    const source = sim.getNode(sourceId);
+    const target = sim.getNode(targetId);
+    if (source && target) {
+        sim.connect(source, target, properties);
+    }
+}
+
+function unlinkNodes(sim, a, b) {
+    const source = sim.getNode(a);
+    const target = sim.getNode(b);
+    if (source && target) {
+        sim.disconnect(source, target);
+    }
+}
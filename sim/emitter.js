@@ -0,0 +1,48 @@
+/**
+ * Minimal event emitter shared by the simulation model.
+ * Works the same in the browser and in Node.js.
+ */
+export class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     */
+    off(event, listener) {
+        const set = this.listeners.get(event);
+        if (set) {
+            set.delete(listener);
+        }
+    }
+
+    /**
+     * Notify all listeners of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Data passed to every listener
+     */
+    emit(event, payload) {
+        const set = this.listeners.get(event);
+        if (!set) {
+            return;
+        }
+        set.forEach(listener => listener(payload));
+    }
+}
@@ -0,0 +1,446 @@
+import { groupAssignments } from "./partition.js";
+import { BEHAVIORS } from "./adversary.js";
+import { LINK_STATES } from "./link.js";
+
+/**
+ * Format version written to exported logs. Version 2 added the state the log
+ * starts from; version 1 logs always start from an empty network.
+ */
+export const LOG_VERSION = 2;
+
+/**
+ * How much of a run a log keeps, and how often it saves the network state so
+ * a replay can start from the nearest save instead of the first record
+ */
+export const LOG_DEFAULTS = {
+    maxRecords: 100000,       // Past this many, the oldest records are dropped, a checkpoint's worth at a time
+    checkpointInterval: 2000  // Records between saved states
+};
+
+/**
+ * Kinds of records in an event log
+ */
+export const LOG_EVENTS = {
+    NODE_JOINED: "nodeJoined",
+    NODE_LEFT: "nodeLeft",
+    NODE_MOVED: "nodeMoved",
+    LINK_ADDED: "linkAdded",
+    LINK_REMOVED: "linkRemoved",
+    LINK_STATE_CHANGED: "linkStateChanged",
+    MESSAGE_SENT: "messageSent",
+    MESSAGE_DELIVERED: "messageDelivered",
+    PHASE_CHANGED: "phaseChanged",
+    PARTITION_CHANGED: "partitionChanged",
+    CHAIN_CHANGED: "chainChanged",
+    MEMPOOL_CHANGED: "mempoolChanged",
+    ROLE_CHANGED: "roleChanged",
+    COMMITTED: "committed",
+    BEHAVIOR_CHANGED: "behaviorChanged",
+    ECLIPSE_CHANGED: "eclipseChanged"
+};
+
+/**
+ * Structured, serializable record of everything that happened in a run.
+ *
+ * Records are plain objects ordered by simulation time, e.g.
+ * { time: 100, type: "linkAdded", source: "node-0", target: "node-1" },
+ * so a log can be exported as JSON and replayed without the simulation.
+ *
+ * The state the records lead to is saved every checkpointInterval records.
+ * Once there are more than maxRecords, the oldest are dropped up to a saved
+ * state, which becomes the state the log starts from.
+ */
+export class EventLog {
+    /**
+     * @param {Object} [meta]
+     * @param {number} [meta.seed] - Seed of the run being recorded
+     * @param {Object} [meta.start] - State the first record applies to, shaped like stateAt()'s result;
+     *     an empty network at time 0 if omitted
+     * @param {Object[]} [records] - Existing records, in time order
+     * @param {Partial<typeof LOG_DEFAULTS>} [options] - Settings to override
+     */
+    constructor(meta = {}, records = [], options = {}) {
+        this.seed = meta.seed;
+        this.options = { ...LOG_DEFAULTS, ...options };
+        this.records = [];
+
+        // State after the last record, and saved states: the one at records[index], before applying it
+        this.state = meta.start ? restoreState(meta.start) : emptyState();
+        this.checkpoints = [{ index: 0, time: meta.start?.time ?? 0, state: cloneState(this.state) }];
+        records.forEach(record => this.add(record));
+    }
+
+    /**
+     * Start recording a simulation's events
+     * @param {NetworkSimulation} simulation - The simulation to record
+     * @returns {Function} Call to stop recording
+     */
+    attach(simulation) {
+        const add = (type, data) => this.add({ time: simulation.now, type, ...data });
+        const unsubscribers = [
+            simulation.on("nodeAdded", ({ node }) => add(LOG_EVENTS.NODE_JOINED, {
+                nodeId: node.nodeId,
+                position: { ...node.position },
+                group: node.group,
+                height: node.chain.height,
+                hashpower: node.hashpower,
+                attributes: { ...node.attributes },
+                location: node.location && { ...node.location }
+            })),
+            simulation.on("nodeRemoved", ({ node }) => add(LOG_EVENTS.NODE_LEFT, {
+                nodeId: node.nodeId
+            })),
+            simulation.on("nodeMoved", ({ node }) => add(LOG_EVENTS.NODE_MOVED, {
+                nodeId: node.nodeId,
+                position: { ...node.position },
+                location: node.location && { ...node.location }
+            })),
+            simulation.on("linkAdded", ({ source, target, link }) => add(LOG_EVENTS.LINK_ADDED, {
+                source: source.nodeId,
+                target: target.nodeId,
+                latency: link.latency,
+                bandwidth: link.bandwidth,
+                state: link.state
+            })),
+            simulation.on("linkRemoved", ({ source, target }) => add(LOG_EVENTS.LINK_REMOVED, {
+                source: source.nodeId,
+                target: target.nodeId
+            })),
+            simulation.on("linkStateChanged", ({ link }) => add(LOG_EVENTS.LINK_STATE_CHANGED, {
+                source: link.sourceId,
+                target: link.targetId,
+                state: link.state
+            })),
+            simulation.on("messageSent", (message) => add(LOG_EVENTS.MESSAGE_SENT, {
+                messageId: message.id,
+                source: message.source.nodeId,
+                target: message.target.nodeId,
+                messageType: message.type,
+                // Replays only tell invalid payloads apart; the rest would keep whole blocks and address lists alive
+                ...(message.payload?.isInvalid ? { isInvalid: true } : {}),
+                size: message.size,
+                sentAt: message.sentAt,
+                deliverAt: message.deliverAt
+            })),
+            simulation.on("messageDelivered", (message) => add(LOG_EVENTS.MESSAGE_DELIVERED, {
+                messageId: message.id
+            })),
+            simulation.on("phaseChanged", ({ phase }) => add(LOG_EVENTS.PHASE_CHANGED, {
+                phase
+            })),
+            simulation.on("partitionChanged", ({ partition }) => add(LOG_EVENTS.PARTITION_CHANGED, {
+                groups: partition ? groupAssignments(simulation.nodes) : null,
+                severed: partition ? partition.severed.map(({ source, target }) => ({ source, target })) : []
+            })),
+            simulation.on("chainChanged", ({ node, tip, reorg }) => add(LOG_EVENTS.CHAIN_CHANGED, {
+                nodeId: node.nodeId,
+                hash: tip.hash,
+                height: tip.height,
+                reorgDepth: reorg ? reorg.depth : 0
+            })),
+            simulation.on("mempoolChanged", ({ node }) => add(LOG_EVENTS.MEMPOOL_CHANGED, {
+                nodeId: node.nodeId,
+                count: node.mempool.count,
+                bytes: node.mempool.bytes
+            })),
+            simulation.on("roleChanged", ({ node, role }) => add(LOG_EVENTS.ROLE_CHANGED, {
+                nodeId: node.nodeId,
+                role
+            })),
+            simulation.on("committed", ({ node, height }) => add(LOG_EVENTS.COMMITTED, {
+                nodeId: node.nodeId,
+                height
+            })),
+            simulation.on("behaviorChanged", ({ node }) => add(LOG_EVENTS.BEHAVIOR_CHANGED, {
+                nodeId: node.nodeId,
+                behavior: node.behavior
+            })),
+            simulation.on("eclipseChanged", ({ node }) => add(LOG_EVENTS.ECLIPSE_CHANGED, {
+                nodeId: node.nodeId,
+                isEclipsed: node.isEclipsed
+            }))
+        ];
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Append a record
+     * @param {Object} record - Record with at least time and type
+     */
+    add(record) {
+        this.records.push(record);
+        applyRecord(this.state, record);
+
+        const { maxRecords, checkpointInterval } = this.options;
+        if (this.records.length - this.checkpoints[this.checkpoints.length - 1].index < checkpointInterval) return;
+        this.checkpoints.push({ index: this.records.length, time: record.time, state: cloneState(this.state) });
+
+        if (this.records.length > maxRecords) {
+            const first = this.checkpoints.findIndex(checkpoint => checkpoint.index >= this.records.length - maxRecords);
+            const dropped = this.checkpoints[first].index;
+            this.records.splice(0, dropped);
+            this.checkpoints = this.checkpoints.slice(first);
+            this.checkpoints.forEach(checkpoint => checkpoint.index -= dropped);
+        }
+    }
+
+    /**
+     * Time of the state the log starts from: 0 unless older records were dropped
+     * @returns {number}
+     */
+    get startTime() {
+        return this.checkpoints[0].time;
+    }
+
+    /**
+     * Time of the last record
+     * @returns {number}
+     */
+    get endTime() {
+        return this.records.length > 0 ? this.records[this.records.length - 1].time : this.startTime;
+    }
+
+    /**
+     * Rebuild the network state at a point in time by replaying the log from the last checkpoint before it
+     * @param {number} time - Simulation time in milliseconds; times before startTime get the state at startTime
+     * @returns {{time: number, phase: string|null, nodes: Object[], links: Object[], messages: Object[], severed: Object[]}}
+     */
+    stateAt(time) {
+        let i = this.checkpoints.length - 1;
+        while (i > 0 && this.checkpoints[i].time > time) i--;
+        const { index, state: saved } = this.checkpoints[i];
+
+        const state = cloneState(saved);
+        for (let j = index; j < this.records.length && this.records[j].time <= time; j++) {
+            applyRecord(state, this.records[j]);
+        }
+        return snapshotOf(state, time);
+    }
+
+    /**
+     * Serializable form of the log
+     * @returns {{version: number, seed: number, start: Object, records: Object[]}} start is the state the
+     *     first record applies to, shaped like stateAt()'s result
+     */
+    toJSON() {
+        const [{ time, state }] = this.checkpoints;
+        return {
+            version: LOG_VERSION,
+            seed: this.seed,
+            start: snapshotOf(state, time),
+            records: this.records
+        };
+    }
+
+    /**
+     * Load a log previously written by toJSON(), of this version or version 1.
+     * It keeps every record it was saved with.
+     * @param {string|Object} json - JSON text or parsed object
+     * @returns {EventLog}
+     * @throws {Error} If the data is not a valid event log
+     */
+    static fromJSON(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (!data || (data.version !== 1 && data.version !== LOG_VERSION) || !Array.isArray(data.records)) {
+            throw new Error(`Not an event log (expected version ${LOG_VERSION} with a records array)`);
+        }
+        const start = data.start;
+        if (start !== undefined && (typeof start?.time !== "number" ||
+            !["nodes", "links", "messages", "severed"].every(key => Array.isArray(start[key])))) {
+            throw new Error("Invalid event log start state");
+        }
+        const startIds = new Set();
+        start?.nodes.forEach((node, index) => {
+            const position = node?.position;
+            if (typeof node?.nodeId !== "string" || startIds.has(node.nodeId) || typeof position !== "object" ||
+                ["x", "y", "z"].some(axis => typeof position?.[axis] !== "number")) {
+                throw new Error(`Invalid event log start node at index ${index}: it needs a unique nodeId and an x, y, z position`);
+            }
+            startIds.add(node.nodeId);
+        });
+        start?.links.forEach((link, index) => {
+            if (!startIds.has(link?.source) || !startIds.has(link?.target)) {
+                throw new Error(`Invalid event log start link at index ${index}: both ends must be start nodes`);
+            }
+        });
+
+        const knownTypes = new Set(Object.values(LOG_EVENTS));
+        let previousTime = start?.time ?? -Infinity;
+        data.records.forEach((record, index) => {
+            if (typeof record.time !== "number" || !knownTypes.has(record.type)) {
+                throw new Error(`Invalid event log record at index ${index}`);
+            }
+            if (record.time < previousTime) {
+                throw new Error(`Event log record at index ${index} is out of time order`);
+            }
+            previousTime = record.time;
+        });
+
+        return new EventLog({ seed: data.seed, start }, data.records, { maxRecords: Infinity });
+    }
+}
+
+/**
+ * Network with nothing in it, for replaying a log from its beginning
+ */
+function emptyState() {
+    return { nodes: new Map(), links: new Map(), messages: new Map(), phase: null, severed: [] };
+}
+
+/**
+ * Copy of a replay state that records can be applied to without changing the original.
+ * Messages are never changed once sent, so they are shared
+ */
+function cloneState(state) {
+    return {
+        nodes: new Map(Array.from(state.nodes, ([nodeId, node]) => [nodeId, { ...node }])),
+        links: new Map(Array.from(state.links, ([key, link]) => [key, { ...link }])),
+        messages: new Map(state.messages),
+        phase: state.phase,
+        severed: state.severed
+    };
+}
+
+/**
+ * Replay state from a snapshot shaped like stateAt()'s result
+ */
+function restoreState({ phase, nodes, links, messages, severed }) {
+    return {
+        nodes: new Map(nodes.map(node => [node.nodeId, { ...node }])),
+        links: new Map(links.map(link => [linkId(link.source, link.target), { ...link }])),
+        messages: new Map(messages.map(message => [message.id, message])),
+        phase,
+        severed
+    };
+}
+
+/**
+ * Replay state in the shape stateAt() returns
+ */
+function snapshotOf(state, time) {
+    return {
+        time,
+        phase: state.phase,
+        nodes: Array.from(state.nodes.values()),
+        links: Array.from(state.links.values()),
+        messages: Array.from(state.messages.values()),
+        severed: state.severed
+    };
+}
+
+/**
+ * Change a replay state by one record
+ */
+function applyRecord(state, record) {
+    const { nodes, links, messages } = state;
+    switch (record.type) {
+        case LOG_EVENTS.NODE_JOINED:
+            nodes.set(record.nodeId, {
+                nodeId: record.nodeId,
+                position: record.position,
+                group: record.group ?? null,
+                height: record.height ?? 0,
+                hashpower: record.hashpower ?? 0,
+                attributes: record.attributes ?? {},
+                location: record.location ?? null,
+                mempoolCount: 0,
+                mempoolBytes: 0,
+                role: null,
+                committedHeight: 0,
+                behavior: BEHAVIORS.HONEST,
+                isEclipsed: false
+            });
+            break;
+        case LOG_EVENTS.NODE_LEFT:
+            nodes.delete(record.nodeId);
+            break;
+        case LOG_EVENTS.NODE_MOVED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).position = record.position;
+                nodes.get(record.nodeId).location = record.location ?? null;
+            }
+            break;
+        case LOG_EVENTS.LINK_ADDED:
+            links.set(linkId(record.source, record.target), {
+                source: record.source,
+                target: record.target,
+                latency: record.latency,
+                bandwidth: record.bandwidth,
+                // Logs from before links had states only held working links
+                state: record.state ?? LINK_STATES.ESTABLISHED
+            });
+            break;
+        case LOG_EVENTS.LINK_REMOVED:
+            links.delete(linkId(record.source, record.target));
+            break;
+        case LOG_EVENTS.LINK_STATE_CHANGED:
+            if (links.has(linkId(record.source, record.target))) {
+                links.get(linkId(record.source, record.target)).state = record.state;
+            }
+            break;
+        case LOG_EVENTS.MESSAGE_SENT:
+            messages.set(record.messageId, {
+                id: record.messageId,
+                source: record.source,
+                target: record.target,
+                type: record.messageType,
+                size: record.size,
+                // Logs from before payloads were slimmed kept the whole payload
+                isInvalid: Boolean(record.isInvalid ?? record.payload?.isInvalid),
+                queuedAt: record.time,
+                sentAt: record.sentAt ?? record.time,
+                deliverAt: record.deliverAt
+            });
+            break;
+        case LOG_EVENTS.MESSAGE_DELIVERED:
+            messages.delete(record.messageId);
+            break;
+        case LOG_EVENTS.PHASE_CHANGED:
+            state.phase = record.phase;
+            break;
+        case LOG_EVENTS.PARTITION_CHANGED:
+            nodes.forEach(node => {
+                node.group = record.groups?.[node.nodeId] ?? null;
+            });
+            state.severed = record.severed;
+            break;
+        case LOG_EVENTS.CHAIN_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).height = record.height;
+            }
+            break;
+        case LOG_EVENTS.MEMPOOL_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                Object.assign(nodes.get(record.nodeId), { mempoolCount: record.count, mempoolBytes: record.bytes });
+            }
+            break;
+        case LOG_EVENTS.ROLE_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).role = record.role;
+            }
+            break;
+        case LOG_EVENTS.COMMITTED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).committedHeight = record.height;
+            }
+            break;
+        case LOG_EVENTS.BEHAVIOR_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).behavior = record.behavior;
+            }
+            break;
+        case LOG_EVENTS.ECLIPSE_CHANGED:
+            if (nodes.has(record.nodeId)) {
+                nodes.get(record.nodeId).isEclipsed = record.isEclipsed;
+            }
+            break;
+    }
+}
+
+
+/**
+ * Direction-independent key for a link
+ */
+function linkId(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
@@ -0,0 +1,146 @@
+/**
+ * Places on Earth that nodes are drawn from when a scenario doesn't locate
+ * them, weighted roughly like the reachable Bitcoin nodes seen by crawlers.
+ * Latitude and longitude ranges are in degrees and stay mostly over land.
+ */
+export const GEO_REGIONS = {
+    north_america: { title: "North America", weight: 30, lat: [30, 48], lon: [-122, -75] },
+    south_america: { title: "South America", weight: 4, lat: [-33, -5], lon: [-68, -40] },
+    europe: { title: "Europe", weight: 45, lat: [40, 58], lon: [-5, 30] },
+    africa: { title: "Africa", weight: 2, lat: [-30, 10], lon: [15, 35] },
+    south_asia: { title: "South Asia", weight: 3, lat: [10, 28], lon: [72, 88] },
+    east_asia: { title: "East Asia", weight: 12, lat: [22, 40], lon: [103, 122] },
+    oceania: { title: "Oceania", weight: 4, lat: [-36, -22], lon: [117, 150] }
+};
+
+/**
+ * How link latency grows with distance in geographic runs. Slowed down like
+ * the rest of the simulation's latencies, so packets stay visible: real fibre
+ * adds about 7 ms per 1000 km.
+ */
+export const GEO_DEFAULTS = {
+    baseLatency: 150,       // ms of every link, however short
+    msPerThousandKm: 40     // ms added per 1000 km of great-circle distance
+};
+
+// Mean radius of the Earth, in km
+export const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Draw a location from weighted regions
+ * @param {SeededRandom} random - Random source
+ * @param {Object<string, number>} [weights] - Region name to weight; GEO_REGIONS' weights if omitted
+ * @returns {{lat: number, lon: number}} Degrees
+ */
+export function drawLocation(random, weights = regionWeights()) {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+    let roll = random.range(0, entries.reduce((sum, [, weight]) => sum + weight, 0));
+    const [name] = entries.find(([, weight]) => (roll -= weight) < 0) ?? entries[entries.length - 1];
+    const { lat, lon } = GEO_REGIONS[name];
+    return { lat: random.range(lat[0], lat[1]), lon: random.range(lon[0], lon[1]) };
+}
+
+/**
+ * Every region's default weight
+ * @returns {Object<string, number>}
+ */
+export function regionWeights() {
+    return Object.fromEntries(Object.entries(GEO_REGIONS).map(([name, region]) => [name, region.weight]));
+}
+
+/**
+ * Great-circle distance between two locations
+ * @param {{lat: number, lon: number}} a - One location, in degrees
+ * @param {{lat: number, lon: number}} b - The other
+ * @returns {number} km
+ */
+export function distanceKm(a, b) {
+    const toRadians = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * toRadians;
+    const dLon = (b.lon - a.lon) * toRadians;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * toRadians) * Math.cos(b.lat * toRadians) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * One-way latency of a link between two locations
+ * @param {{lat: number, lon: number}} a - One end
+ * @param {{lat: number, lon: number}} b - The other end
+ * @param {Partial<typeof GEO_DEFAULTS>} [options] - Latency model to override
+ * @returns {number} ms, rounded
+ */
+export function geoLatency(a, b, options = {}) {
+    const { baseLatency, msPerThousandKm } = { ...GEO_DEFAULTS, ...options };
+    return Math.round(baseLatency + distanceKm(a, b) / 1000 * msPerThousandKm);
+}
+
+/**
+ * Point on a sphere for a location: latitude 0, longitude 0 faces -z, east is +x and north is +y
+ * @param {{lat: number, lon: number}} location - Degrees
+ * @param {number} radius - Radius of the sphere
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function locationToPosition({ lat, lon }, radius) {
+    const toRadians = Math.PI / 180;
+    const ring = radius * Math.cos(lat * toRadians);
+    return {
+        x: ring * Math.sin(lon * toRadians),
+        y: radius * Math.sin(lat * toRadians),
+        z: -ring * Math.cos(lon * toRadians)
+    };
+}
+
+/**
+ * Location a position points at from the sphere's centre, the inverse of locationToPosition
+ * @param {{x: number, y: number, z: number}} position - Any point but the centre
+ * @returns {{lat: number, lon: number}} Degrees
+ */
+export function positionToLocation({ x, y, z }) {
+    const toDegrees = 180 / Math.PI;
+    return {
+        lat: Math.atan2(y, Math.hypot(x, z)) * toDegrees,
+        lon: Math.atan2(x, -z) * toDegrees
+    };
+}
+
+/**
+ * Point along the great-circle arc between two points around the same centre,
+ * rising above them towards the middle of the arc
+ * @param {{x: number, y: number, z: number}} a - Start
+ * @param {{x: number, y: number, z: number}} b - End
+ * @param {number} t - 0 at the start, 1 at the end
+ * @param {number} [lift] - Height above the ends at the middle, for an arc spanning half the sphere;
+ *     shorter arcs rise less
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function greatCirclePoint(a, b, t, lift = 0) {
+    const radiusA = Math.hypot(a.x, a.y, a.z);
+    const radiusB = Math.hypot(b.x, b.y, b.z);
+    const ua = scale(a, 1 / radiusA);
+    const ub = scale(b, 1 / radiusB);
+    const angle = Math.acos(Math.min(1, Math.max(-1, ua.x * ub.x + ua.y * ub.y + ua.z * ub.z)));
+
+    // Spherical interpolation; nearly equal or opposite directions fall back to a straight blend
+    let direction;
+    if (angle < 1e-6 || Math.PI - angle < 1e-6) {
+        direction = normalize(add(scale(ua, 1 - t), scale(ub, t)));
+    } else {
+        const sine = Math.sin(angle);
+        direction = add(scale(ua, Math.sin((1 - t) * angle) / sine), scale(ub, Math.sin(t * angle) / sine));
+    }
+    const radius = radiusA + (radiusB - radiusA) * t + lift * (angle / Math.PI) * Math.sin(Math.PI * t);
+    return scale(direction, radius);
+}
+
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function scale(v, factor) {
+    return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+function normalize(v) {
+    const length = Math.hypot(v.x, v.y, v.z) || 1;
+    return scale(v, 1 / length);
+}
@@ -0,0 +1,112 @@
+/**
+ * Fractions of the network that propagation reports time
+ */
+export const PROPAGATION_THRESHOLDS = [0.5, 0.9, 1];
+
+/**
+ * Tracks how far each gossiped item (block or transaction) has spread.
+ *
+ * An item's audience is the set of nodes online when it was created; the
+ * report records the simulation time at which 50%, 90% and 100% of that
+ * audience first held the item. Nodes that leave simply never count.
+ */
+export class PropagationTracker {
+    constructor() {
+        this.items = new Map();
+        this.audiences = new Map(); // Item ID to the audience members it hasn't reached yet, for audiences given by ID
+    }
+
+    /**
+     * Start tracking a new item
+     * @param {{id: string, kind: string, origin: string, createdAt: number}} item - The item
+     * @param {string[]|number} audience - IDs of the nodes expected to receive it, or only how many there are;
+     *     with a number, the caller records each member once and nobody else
+     * @returns {Object} The item's report
+     */
+    track(item, audience) {
+        const report = {
+            itemId: item.id,
+            kind: item.kind,
+            origin: item.origin,
+            createdAt: item.createdAt,
+            audienceSize: typeof audience === "number" ? audience : audience.length,
+            reachedCount: 0,
+            delays: [], // ms from creation to each receipt besides the origin's
+            thresholds: {}
+        };
+        if (typeof audience !== "number") {
+            this.audiences.set(item.id, new Set(audience));
+        }
+        this.items.set(item.id, report);
+        return report;
+    }
+
+    /**
+     * Record that a node now holds an item
+     * @param {string} itemId - The item
+     * @param {string} nodeId - The node that received it
+     * @param {number} time - Simulation time of receipt
+     * @returns {number[]} Thresholds crossed by this receipt, if any
+     */
+    recordReach(itemId, nodeId, time) {
+        const report = this.items.get(itemId);
+        const waiting = this.audiences.get(itemId);
+        if (!report || (waiting && !waiting.delete(nodeId))) {
+            return [];
+        }
+        if (waiting?.size === 0) {
+            this.audiences.delete(itemId);
+        }
+
+        if (nodeId !== report.origin) {
+            report.delays.push(time - report.createdAt);
+        }
+        report.reachedCount++;
+
+        const crossed = PROPAGATION_THRESHOLDS.filter(threshold =>
+            report.thresholds[threshold] === undefined &&
+            report.reachedCount >= Math.ceil(threshold * report.audienceSize)
+        );
+        crossed.forEach(threshold => {
+            report.thresholds[threshold] = time - report.createdAt;
+        });
+        return crossed;
+    }
+
+    /**
+     * Report for one item
+     * @param {string} itemId - The item
+     * @returns {Object|undefined}
+     */
+    getReport(itemId) {
+        return this.items.get(itemId);
+    }
+
+    /**
+     * How long the most recent items took to reach each node that got them, besides their origin
+     * @param {number} count - Number of items, newest first
+     * @returns {number[]} Milliseconds from an item's creation to each receipt
+     */
+    recentDelays(count) {
+        return Array.from(this.items.values()).slice(-count).flatMap(report => report.delays);
+    }
+
+    /**
+     * Plain summaries of every tracked item, oldest first.
+     * Times are milliseconds after creation, or null if not reached yet.
+     * @returns {{itemId: string, kind: string, origin: string, createdAt: number, audienceSize: number, reachedCount: number, t50: number|null, t90: number|null, t100: number|null}[]}
+     */
+    reports() {
+        return Array.from(this.items.values()).map(report => ({
+            itemId: report.itemId,
+            kind: report.kind,
+            origin: report.origin,
+            createdAt: report.createdAt,
+            audienceSize: report.audienceSize,
+            reachedCount: report.reachedCount,
+            t50: report.thresholds[0.5] ?? null,
+            t90: report.thresholds[0.9] ?? null,
+            t100: report.thresholds[1] ?? null
+        }));
+    }
+}
@@ -0,0 +1,816 @@
+import { PHASES, PHASE_DURATIONS } from "./phases.js";
+import { DEFAULT_SCENARIO } from "./scenario.js";
+import { PROTOCOLS } from "./protocols/index.js";
+import { BEHAVIORS } from "./adversary.js";
+import { Link } from "./link.js";
+import { parseCsvLine } from "./peer-import.js";
+
+/**
+ * File formats the network graph can be saved in and seeded from, for tools
+ * such as Gephi, networkx and Graphviz. The first extension is the one saved.
+ */
+export const GRAPH_FORMATS = {
+    graphml: { title: "GraphML", extensions: ["graphml", "xml"], mimeType: "application/graphml+xml" },
+    gexf: { title: "GEXF", extensions: ["gexf"], mimeType: "application/gexf+xml" },
+    dot: { title: "DOT", extensions: ["dot", "gv"], mimeType: "text/vnd.graphviz" },
+    csv: { title: "CSV", extensions: ["csv"], mimeType: "text/csv" } // A node table and an edge list, laid out like Gephi's
+};
+
+// Node attributes the simulation works out for itself, left out when a graph seeds a run
+const DERIVED_NODE_ATTRIBUTES = ["degree", "role", "height", "committedHeight", "group"];
+
+// Columns that say which nodes a CSV row is about, rather than describing them
+const CSV_KEY_COLUMNS = ["id", "source", "target", "type"];
+
+/**
+ * Raised when a file isn't one of the GRAPH_FORMATS, or is broken
+ */
+export class GraphImportError extends Error {
+    /**
+     * @param {string} message - What is wrong with the file, as a readable sentence
+     */
+    constructor(message) {
+        super(message);
+        this.name = "GraphImportError";
+    }
+}
+
+/**
+ * The network as a plain graph: every node with what the simulation knows
+ * about it, and every link with its traffic counters
+ * @param {NetworkSimulation} simulation - The simulation to take it from
+ * @param {Map<string, {x: number, y: number, z: number}>} [positions] - Where each node is drawn, if not at its
+ *     suggested position
+ * @returns {{attributes: Object, nodes: {id: string, attributes: Object}[],
+ *     edges: {source: string, target: string, attributes: Object}[]}} Attribute values are strings, numbers or
+ *     booleans; ones a node or edge doesn't have are left out. Edges run from the node that opened the link
+ */
+export function graphSnapshot(simulation, positions = new Map()) {
+    const round = value => Math.round(value * 1000) / 1000;
+    const nodes = simulation.nodes.map(node => {
+        const { x, y, z } = positions.get(node.nodeId) ?? node.position;
+        const attributes = withoutMissing({
+            role: node.role,
+            behavior: node.behavior,
+            degree: node.connections.size,
+            height: node.chain.height,
+            // Only protocols that give out roles finalize anything
+            committedHeight: node.role === null ? undefined : node.committedHeight,
+            hashpower: node.hashpower,
+            stake: node.stake,
+            group: node.group,
+            x: round(x),
+            y: round(y),
+            z: round(z),
+            lat: node.location?.lat,
+            lon: node.location?.lon
+        });
+        // Imported attributes come after, and never hide the simulation's own
+        Object.entries(node.attributes).forEach(([name, value]) => {
+            attributes[name] = attributes[name] ?? value;
+        });
+        return { id: node.nodeId, attributes };
+    });
+
+    const edges = Array.from(simulation.links.values(), link => {
+        const fromSource = link.sent.get(link.sourceId);
+        const fromTarget = link.sent.get(link.targetId);
+        return {
+            source: link.sourceId,
+            target: link.targetId,
+            attributes: withoutMissing({
+                state: link.state,
+                latency: link.latency,
+                bandwidth: link.bandwidth,
+                messages: link.messageCount,
+                bytes: link.byteCount,
+                sourceMessages: fromSource.messages,
+                sourceBytes: fromSource.bytes,
+                targetMessages: fromTarget.messages,
+                targetBytes: fromTarget.bytes,
+                pingTime: link.pingTime
+            })
+        };
+    });
+
+    return {
+        attributes: withoutMissing({
+            name: simulation.scenario.name,
+            protocol: simulation.scenario.protocol,
+            seed: simulation.seed,
+            time: simulation.now,
+            radius: simulation.radius
+        }),
+        nodes,
+        edges
+    };
+}
+
+/**
+ * Write a graph in one of the GRAPH_FORMATS. GraphML and DOT keep the graph's
+ * own attributes, such as its protocol; GEXF stores positions as viz:position
+ * rather than attributes; CSV takes two files, a node table and an edge list.
+ * @param {Object} graph - Result of graphSnapshot
+ * @param {string} format - A key of GRAPH_FORMATS
+ * @returns {{suffix: string, text: string}[]} One entry per file; suffix goes between the file's name and extension
+ */
+export function writeGraph(graph, format) {
+    switch (format) {
+        case "graphml":
+            return [{ suffix: "", text: writeGraphml(graph) }];
+        case "gexf":
+            return [{ suffix: "", text: writeGexf(graph) }];
+        case "dot":
+            return [{ suffix: "", text: writeDot(graph) }];
+        case "csv":
+            return [
+                { suffix: "-nodes", text: writeCsv(["Id"], graph.nodes.map(node => [[node.id], node.attributes])) },
+                {
+                    suffix: "-edges",
+                    text: writeCsv(["Source", "Target", "Type"],
+                        graph.edges.map(edge => [[edge.source, edge.target, "Undirected"], edge.attributes]))
+                }
+            ];
+        default:
+            throw new Error(`Unknown graph format "${format}"`);
+    }
+}
+
+/**
+ * Read a graph file, telling the format from its content. DOT and CSV values
+ * that look like numbers or booleans are read as such; a CSV with "Source" and
+ * "Target" columns is an edge list, one with an "Id" column a node table, and
+ * one without a header an edge list of its first two columns.
+ * @param {string} text - File content
+ * @returns {{format: string, attributes: Object, nodes: {id: string, attributes: Object}[],
+ *     edges: {source: string, target: string, attributes: Object}[]}} Nodes that edges mention are added if missing
+ * @throws {GraphImportError} If the content matches no format, or has no nodes
+ */
+export function parseGraph(text) {
+    const trimmed = text.trim();
+    let format;
+    let draft;
+    if (trimmed.startsWith("<")) {
+        const root = parseXml(trimmed);
+        format = root.children.find(element => element.name === "graphml" || element.name === "gexf")?.name;
+        if (!format) {
+            throw new GraphImportError("Expected a <graphml> or <gexf> document");
+        }
+        draft = format === "graphml" ? readGraphml(root) : readGexf(root);
+    } else if (/^(?:strict\s+)?(?:di)?graph\b/i.test(trimmed.replace(/^(?:\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/)*/, ""))) {
+        format = "dot";
+        draft = readDot(trimmed);
+    } else {
+        format = "csv";
+        draft = readCsv(trimmed);
+    }
+
+    if (draft.nodes.size === 0) {
+        throw new GraphImportError("The file has no nodes");
+    }
+    return toGraph(draft, format);
+}
+
+/**
+ * One graph out of several files, e.g. a CSV node table and its edge list.
+ * A node in more than one keeps every attribute, later files winning.
+ * @param {Object[]} graphs - Results of parseGraph
+ * @returns {Object} Graph shaped like parseGraph's; format lists every file's format
+ */
+export function mergeGraphs(graphs) {
+    const draft = emptyGraph();
+    graphs.forEach(graph => {
+        Object.assign(draft.attributes, graph.attributes);
+        graph.nodes.forEach(({ id, attributes }) => addNode(draft, id, attributes));
+        graph.edges.forEach(({ source, target, attributes }) => addEdge(draft, source, target, attributes));
+    });
+    return toGraph(draft, Array.from(new Set(graphs.map(graph => graph.format))).join("+"));
+}
+
+/**
+ * Turn a graph into a scenario seeded with its nodes and links. Nodes keep
+ * their position, location, hashpower, stake and behavior, and their other
+ * attributes become imported attributes; what the simulation works out itself,
+ * such as degree, role and traffic, is left out. Layouts drawn elsewhere are
+ * shrunk to fit the run. Like a peer snapshot, a Bitcoin graph with links
+ * runs without discovery and churn so it stays as loaded.
+ * @param {Object} graph - Result of parseGraph or mergeGraphs
+ * @param {string} [name] - Scenario name, if the graph doesn't carry one
+ * @returns {Object} Scenario, for parseScenario
+ */
+export function graphScenario(graph, name = graph.format) {
+    const { attributes } = graph;
+    const protocol = typeof attributes.protocol === "string" && Object.hasOwn(PROTOCOLS, attributes.protocol)
+        ? attributes.protocol
+        : DEFAULT_SCENARIO.protocol;
+    const radius = attributes.radius > 0 ? attributes.radius : Math.max(DEFAULT_SCENARIO.radius, Math.sqrt(graph.nodes.length));
+
+    const nodes = graph.nodes.map(({ id, attributes: { x, y, z = 0, lat, lon, hashpower, stake, behavior, ...rest } }) => {
+        const node = { id };
+        if ([x, y, z].every(isNumber)) {
+            node.position = { x, y, z };
+        }
+        if (isNumber(lat) && isNumber(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+            node.location = { lat, lon };
+        }
+        if (isNumber(hashpower) && hashpower >= 0) {
+            node.hashpower = hashpower;
+        }
+        if (isNumber(stake) && stake > 0) {
+            node.stake = stake;
+        }
+        if (Object.values(BEHAVIORS).includes(behavior)) {
+            node.behavior = behavior;
+        }
+        const kept = Object.entries(rest).filter(([key, value]) => !DERIVED_NODE_ATTRIBUTES.includes(key) && value !== "");
+        if (kept.length > 0) {
+            node.attributes = Object.fromEntries(kept);
+        }
+        return node;
+    });
+
+    // Gephi and Graphviz lay graphs out hundreds of units across
+    const farthest = Math.max(0, ...nodes.filter(node => node.position).map(({ position: { x, y, z } }) => Math.hypot(x, y, z)));
+    if (farthest > radius * 3) {
+        const scale = radius * 2 / farthest;
+        nodes.filter(node => node.position).forEach(node => {
+            const { x, y, z } = node.position;
+            node.position = { x: x * scale, y: y * scale, z: z * scale };
+        });
+    }
+
+    // Links are undirected: keep one per pair of nodes, the first listed
+    const links = new Map();
+    graph.edges.forEach(({ source, target, attributes: { latency, bandwidth } }) => {
+        const key = Link.key(source, target);
+        if (source === target || links.has(key)) return;
+        links.set(key, withoutMissing({
+            source,
+            target,
+            latency: isNumber(latency) && latency >= 0 ? latency : undefined,
+            bandwidth: isNumber(bandwidth) && bandwidth > 0 ? bandwidth : undefined
+        }));
+    });
+
+    const scenario = {
+        name: typeof attributes.name === "string" ? attributes.name : name,
+        protocol,
+        radius,
+        nodes,
+        links: Array.from(links.values())
+    };
+    if (nodes.some(node => node.location)) {
+        scenario.geography = { enabled: true };
+    }
+    // Other protocols come with their own phases
+    if (protocol === DEFAULT_SCENARIO.protocol) {
+        scenario.phases = links.size > 0
+            ? [{ phase: PHASES.PROCESSING, duration: PHASE_DURATIONS[PHASES.PROCESSING] }]
+            : DEFAULT_SCENARIO.phases.filter(entry => entry.phase !== PHASES.NETWORK_CHANGES);
+    }
+    return scenario;
+}
+
+function writeGraphml(graph) {
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<graphml xmlns=\"http://graphml.graphdrawing.org/xmlns\" xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\"",
+        "    xsi:schemaLocation=\"http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd\">"
+    ];
+    const keys = {};
+    [["graph", [graph.attributes]], ["node", graph.nodes.map(node => node.attributes)], ["edge", graph.edges.map(edge => edge.attributes)]]
+        .forEach(([domain, items]) => {
+            keys[domain] = new Map(columnsOf(items).map(({ name, type }, i) => {
+                const id = `${domain[0]}${i}`;
+                lines.push(`  <key id="${id}" for="${domain}" attr.name="${escapeXml(name)}" attr.type="${type}"/>`);
+                return [name, id];
+            }));
+        });
+    const data = (domain, attributes, indent) => Object.entries(attributes).map(([name, value]) =>
+        `${indent}<data key="${keys[domain].get(name)}">${escapeXml(String(value))}</data>`);
+
+    lines.push("  <graph id=\"network\" edgedefault=\"undirected\">", ...data("graph", graph.attributes, "    "));
+    graph.nodes.forEach(({ id, attributes }) => {
+        lines.push(`    <node id="${escapeXml(id)}">`, ...data("node", attributes, "      "), "    </node>");
+    });
+    graph.edges.forEach(({ source, target, attributes }, i) => {
+        lines.push(`    <edge id="e${i}" source="${escapeXml(source)}" target="${escapeXml(target)}">`,
+            ...data("edge", attributes, "      "), "    </edge>");
+    });
+    lines.push("  </graph>", "</graphml>");
+    return `${lines.join("\n")}\n`;
+}
+
+function writeGexf(graph) {
+    const { name, protocol, time } = graph.attributes;
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        "<gexf xmlns=\"http://gexf.net/1.3\" xmlns:viz=\"http://gexf.net/1.3/viz\" version=\"1.3\">",
+        "  <meta>",
+        "    <creator>distributed_networks_3d</creator>",
+        `    <description>${escapeXml(`${name}: ${protocol} network at ${time} ms`)}</description>`,
+        "  </meta>",
+        "  <graph defaultedgetype=\"undirected\" mode=\"static\">"
+    ];
+    // Positions go in viz:position, which Gephi reads as the layout
+    const isPosition = name => ["x", "y", "z"].includes(name);
+    const ids = {};
+    [["node", graph.nodes], ["edge", graph.edges]].forEach(([domain, items]) => {
+        const columns = columnsOf(items.map(item => item.attributes)).filter(column => domain === "edge" || !isPosition(column.name));
+        ids[domain] = new Map(columns.map(({ name }, i) => [name, String(i)]));
+        lines.push(`    <attributes class="${domain}">`,
+            ...columns.map(({ name, type }, i) =>
+                `      <attribute id="${i}" title="${escapeXml(name)}" type="${type}"/>`),
+            "    </attributes>");
+    });
+    const attvalues = (domain, attributes) => {
+        const values = Object.entries(attributes).filter(([name]) => ids[domain].has(name));
+        return values.length === 0 ? [] : [
+            "        <attvalues>",
+            ...values.map(([name, value]) =>
+                `          <attvalue for="${ids[domain].get(name)}" value="${escapeXml(String(value))}"/>`),
+            "        </attvalues>"
+        ];
+    };
+
+    lines.push("    <nodes>");
+    graph.nodes.forEach(({ id, attributes }) => {
+        const { x, y, z } = attributes;
+        lines.push(`      <node id="${escapeXml(id)}" label="${escapeXml(id)}">`, ...attvalues("node", attributes));
+        if ([x, y, z].every(isNumber)) {
+            lines.push(`        <viz:position x="${x}" y="${y}" z="${z}"/>`);
+        }
+        lines.push("      </node>");
+    });
+    lines.push("    </nodes>", "    <edges>");
+    graph.edges.forEach(({ source, target, attributes }, i) => {
+        lines.push(`      <edge id="${i}" source="${escapeXml(source)}" target="${escapeXml(target)}">`,
+            ...attvalues("edge", attributes), "      </edge>");
+    });
+    lines.push("    </edges>", "  </graph>", "</gexf>");
+    return `${lines.join("\n")}\n`;
+}
+
+function writeDot(graph) {
+    const list = attributes => Object.entries(attributes).map(([name, value]) => `${dotId(name)}=${dotId(value)}`).join(", ");
+    const withList = attributes => Object.keys(attributes).length > 0 ? ` [${list(attributes)}]` : "";
+    return [
+        "graph network {",
+        `    graph${withList(graph.attributes)};`,
+        ...graph.nodes.map(({ id, attributes }) => `    ${dotId(id)}${withList(attributes)};`),
+        ...graph.edges.map(({ source, target, attributes }) => `    ${dotId(source)} -- ${dotId(target)}${withList(attributes)};`),
+        "}",
+        ""
+    ].join("\n");
+}
+
+/**
+ * A table with fixed leading cells, then one column per attribute any row has
+ */
+function writeCsv(keyColumns, rows) {
+    const columns = columnsOf(rows.map(([, attributes]) => attributes)).map(column => column.name);
+    const lines = [[...keyColumns, ...columns].map(csvCell).join(",")];
+    rows.forEach(([keys, attributes]) => {
+        lines.push([...keys, ...columns.map(name => attributes[name] ?? "")].map(csvCell).join(","));
+    });
+    return `${lines.join("\n")}\n`;
+}
+
+function readGraphml(root) {
+    const graphml = childOf(root, "graphml");
+    const graphElement = childOf(graphml, "graph");
+    if (!graphElement) {
+        throw new GraphImportError("The GraphML file has no <graph>");
+    }
+
+    // Key IDs to attribute names, types and defaults
+    const keys = new Map(childrenOf(graphml, "key").map(({ attributes, children }) => [attributes.id, {
+        name: attributes["attr.name"] ?? attributes.id,
+        type: attributes["attr.type"],
+        domain: attributes.for ?? "all",
+        fallback: children.find(child => child.name === "default")?.text
+    }]));
+    const dataOf = (element, domain) => {
+        const values = {};
+        keys.forEach(({ name, type, domain: keyDomain, fallback }) => {
+            if (fallback !== undefined && (keyDomain === domain || keyDomain === "all")) {
+                values[name] = typedValue(fallback.trim(), type);
+            }
+        });
+        childrenOf(element, "data").forEach(({ attributes, text }) => {
+            const key = keys.get(attributes.key);
+            values[key?.name ?? attributes.key] = typedValue(text.trim(), key?.type);
+        });
+        return values;
+    };
+
+    const draft = emptyGraph();
+    draft.attributes = dataOf(graphElement, "graph");
+    childrenOf(graphElement, "node").forEach(node => addNode(draft, requireAttribute(node, "id"), dataOf(node, "node")));
+    childrenOf(graphElement, "edge").forEach(edge => {
+        addEdge(draft, requireAttribute(edge, "source"), requireAttribute(edge, "target"), dataOf(edge, "edge"));
+    });
+    return draft;
+}
+
+function readGexf(root) {
+    const graphElement = childOf(childOf(root, "gexf"), "graph");
+    if (!graphElement) {
+        throw new GraphImportError("The GEXF file has no <graph>");
+    }
+
+    // Attribute IDs to names, types and defaults, for nodes and for edges
+    const columns = { node: new Map(), edge: new Map() };
+    childrenOf(graphElement, "attributes").forEach(({ attributes, children }) => {
+        const domain = columns[attributes.class] ?? columns.node;
+        children.filter(child => child.name === "attribute").forEach(({ attributes: column, children: details }) => {
+            domain.set(column.id, {
+                name: column.title ?? column.id,
+                type: column.type,
+                fallback: details.find(detail => detail.name === "default")?.text
+            });
+        });
+    });
+    const valuesOf = (element, domain) => {
+        const values = {};
+        columns[domain].forEach(({ name, type, fallback }) => {
+            if (fallback !== undefined) {
+                values[name] = typedValue(fallback.trim(), type);
+            }
+        });
+        childrenOf(childOf(element, "attvalues"), "attvalue").forEach(({ attributes }) => {
+            // GEXF 1.1 names the attribute with "id", later versions with "for"
+            const column = columns[domain].get(attributes.for ?? attributes.id);
+            values[column?.name ?? attributes.for ?? attributes.id] = typedValue(attributes.value ?? "", column?.type);
+        });
+        return values;
+    };
+
+    const draft = emptyGraph();
+    childrenOf(childOf(graphElement, "nodes"), "node").forEach(node => {
+        const id = requireAttribute(node, "id");
+        const values = valuesOf(node, "node");
+        if (node.attributes.label !== undefined && node.attributes.label !== id) {
+            values.label = node.attributes.label;
+        }
+        const position = childOf(node, "position");
+        ["x", "y", "z"].forEach(axis => {
+            const value = Number(position?.attributes[axis]);
+            if (position?.attributes[axis] !== undefined && Number.isFinite(value)) {
+                values[axis] = value;
+            }
+        });
+        addNode(draft, id, values);
+    });
+    childrenOf(childOf(graphElement, "edges"), "edge").forEach(edge => {
+        const values = valuesOf(edge, "edge");
+        if (edge.attributes.weight !== undefined) {
+            values.weight = typedValue(edge.attributes.weight, "double");
+        }
+        addEdge(draft, requireAttribute(edge, "source"), requireAttribute(edge, "target"), values);
+    });
+    return draft;
+}
+
+/**
+ * Nodes, edges and attributes of a Graphviz file. Subgraphs are flattened, an
+ * edge to a subgraph links every node in it, and ports are ignored.
+ */
+function readDot(text) {
+    const tokens = tokenizeDot(text);
+    let index = 0;
+    const peek = () => tokens[index];
+    const next = () => {
+        if (index >= tokens.length) {
+            throw new GraphImportError("The DOT file ends before its closing }");
+        }
+        return tokens[index++];
+    };
+    const isKeyword = (token, word) => token?.type === "id" && !token.isQuoted && token.value.toLowerCase() === word;
+    const expect = (type) => {
+        const token = next();
+        if (token.type !== type) {
+            throw new GraphImportError(`Expected ${type === "id" ? "a name" : `"${type}"`} in the DOT file, found "${token.value}"`);
+        }
+        return token;
+    };
+
+    const draft = emptyGraph();
+    const defaults = { node: {}, edge: {} };
+
+    const attributeList = () => {
+        const attributes = {};
+        while (peek()?.type === "[") {
+            next();
+            while (peek()?.type !== "]") {
+                const name = expect("id").value;
+                if (peek()?.type === "=") {
+                    next();
+                    attributes[name] = typedValue(expect("id").value);
+                } else {
+                    attributes[name] = true;
+                }
+                if (peek()?.type === "," || peek()?.type === ";") next();
+            }
+            next();
+        }
+        return attributes;
+    };
+
+    // A node ID, skipping its port, or a subgraph; returns the node IDs it stands for
+    const endpoint = () => {
+        if (isKeyword(peek(), "subgraph") || peek()?.type === "{") {
+            return subgraph();
+        }
+        const id = expect("id").value;
+        while (peek()?.type === ":") {
+            next();
+            expect("id");
+        }
+        return [id];
+    };
+
+    const subgraph = () => {
+        if (isKeyword(peek(), "subgraph")) {
+            next();
+            if (peek()?.type === "id") next();
+        }
+        expect("{");
+        return statements();
+    };
+
+    // Statements up to the closing brace; returns every node ID they mention
+    const statements = () => {
+        const mentioned = new Set();
+        while (peek()?.type !== "}") {
+            const token = peek();
+            if (!token) {
+                throw new GraphImportError("The DOT file ends before its closing }");
+            }
+            if (["graph", "node", "edge"].some(word => isKeyword(token, word)) && tokens[index + 1]?.type === "[") {
+                next();
+                const attributes = attributeList();
+                Object.assign(token.value.toLowerCase() === "graph" ? draft.attributes : defaults[token.value.toLowerCase()], attributes);
+            } else if (token.type === "id" && tokens[index + 1]?.type === "=") {
+                next();
+                next();
+                draft.attributes[token.value] = typedValue(expect("id").value);
+            } else {
+                const chain = [endpoint()];
+                while (peek()?.type === "--" || peek()?.type === "->") {
+                    next();
+                    chain.push(endpoint());
+                }
+                const attributes = attributeList();
+                chain.forEach(ids => ids.forEach(id => mentioned.add(id)));
+                if (chain.length === 1) {
+                    chain[0].forEach(id => addNode(draft, id, { ...defaults.node, ...attributes }));
+                } else {
+                    chain.slice(1).forEach((targets, i) => chain[i].forEach(source => targets.forEach(target => {
+                        addEdge(draft, source, target, { ...defaults.edge, ...attributes });
+                    })));
+                }
+            }
+            if (peek()?.type === ";" || peek()?.type === ",") next();
+        }
+        next();
+        return Array.from(mentioned);
+    };
+
+    if (isKeyword(peek(), "strict")) next();
+    next(); // graph or digraph
+    if (peek()?.type === "id") next();
+    expect("{");
+    statements();
+    return draft;
+}
+
+/**
+ * Names, quoted strings and punctuation of a DOT file, without comments
+ */
+function tokenizeDot(text) {
+    const pattern = /\s+|\/\/[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\/|"((?:[^"\\]|\\[\s\S])*)"|<((?:[^<>]|<[^<>]*>)*)>|(--|->|[{}[\];,=:])|([A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*|-?(?:\.\d+|\d+(?:\.\d*)?))/y;
+    const tokens = [];
+    while (pattern.lastIndex < text.length) {
+        const start = pattern.lastIndex;
+        const match = pattern.exec(text);
+        if (!match) {
+            throw new GraphImportError(`Unexpected "${text[start]}" in the DOT file`);
+        }
+        const [, quoted, html, punctuation, name] = match;
+        if (quoted !== undefined) {
+            tokens.push({ type: "id", value: quoted.replace(/\\\r?\n/g, "").replace(/\\"/g, "\""), isQuoted: true });
+        } else if (html !== undefined) {
+            tokens.push({ type: "id", value: html, isQuoted: true });
+        } else if (punctuation !== undefined) {
+            tokens.push({ type: punctuation, value: punctuation });
+        } else if (name !== undefined) {
+            tokens.push({ type: "id", value: name, isQuoted: false });
+        }
+    }
+    return tokens;
+}
+
+function readCsv(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim() !== "").map(line => parseCsvLine(line).map(cell => cell.trim()));
+    if (rows.length === 0) {
+        throw new GraphImportError("CSV has no header row");
+    }
+    const header = rows[0].map(cell => cell.toLowerCase());
+    const draft = emptyGraph();
+
+    const isEdgeList = header.includes("source") && header.includes("target");
+    if (!isEdgeList && !header.includes("id")) {
+        rows.forEach(([source, target]) => {
+            if (source && target) {
+                addEdge(draft, source, target, {});
+            } else if (source) {
+                addNode(draft, source, {});
+            }
+        });
+        return draft;
+    }
+
+    const valuesOf = cells => {
+        const values = {};
+        rows[0].forEach((column, i) => {
+            if (!CSV_KEY_COLUMNS.includes(header[i]) && cells[i]) {
+                values[column] = typedValue(cells[i]);
+            }
+        });
+        return values;
+    };
+    rows.slice(1).forEach((cells, i) => {
+        const cell = column => cells[header.indexOf(column)];
+        if (isEdgeList) {
+            if (!cell("source") || !cell("target")) {
+                throw new GraphImportError(`Row ${i + 2} needs a source and a target`);
+            }
+            addEdge(draft, cell("source"), cell("target"), valuesOf(cells));
+        } else {
+            if (!cell("id")) {
+                throw new GraphImportError(`Row ${i + 2} needs an id`);
+            }
+            addNode(draft, cell("id"), valuesOf(cells));
+        }
+    });
+    return draft;
+}
+
+/**
+ * Elements of an XML document as { name, attributes, children, text }, names
+ * without their namespace prefix. Enough for GraphML and GEXF, not a full parser.
+ */
+function parseXml(text) {
+    const root = { name: "", attributes: {}, children: [], text: "" };
+    const open = [root];
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+        const [, cdata, isClosing, tag, rest, isEmpty, chars] = match;
+        const current = open[open.length - 1];
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (chars !== undefined) {
+            current.text += decodeXml(chars);
+        } else if (tag === undefined) {
+            continue; // Comment, declaration or doctype
+        } else if (isClosing) {
+            if (open.length === 1 || current.name !== localName(tag)) {
+                throw new GraphImportError(`The XML has a </${tag}> that doesn't close the element before it`);
+            }
+            open.pop();
+        } else {
+            const attributes = {};
+            rest.replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, name, double, single) => {
+                attributes[name] = decodeXml(double ?? single);
+            });
+            const element = { name: localName(tag), attributes, children: [], text: "" };
+            current.children.push(element);
+            if (!isEmpty) open.push(element);
+        }
+    }
+    if (open.length > 1) {
+        throw new GraphImportError(`The XML ends before <${open[open.length - 1].name}> is closed`);
+    }
+    return root;
+}
+
+function childOf(element, name) {
+    return element?.children.find(child => child.name === name);
+}
+
+function childrenOf(element, name) {
+    return element?.children.filter(child => child.name === name) ?? [];
+}
+
+function requireAttribute(element, name) {
+    const value = element.attributes[name];
+    if (value === undefined || value === "") {
+        throw new GraphImportError(`Every <${element.name}> needs a "${name}"`);
+    }
+    return value;
+}
+
+function localName(tag) {
+    return tag.slice(tag.indexOf(":") + 1);
+}
+
+function escapeXml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+function decodeXml(text) {
+    const named = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+    return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+        if (code[0] === "#") {
+            const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+            if (point > 0x10FFFF) {
+                throw new GraphImportError(`"${entity}" is not a Unicode character`);
+            }
+            return String.fromCodePoint(point);
+        }
+        return named[code] ?? entity;
+    });
+}
+
+/**
+ * Names are quoted unless they are plain words or numbers
+ */
+function dotId(value) {
+    const isKeyword = /^(?:strict|graph|digraph|subgraph|node|edge)$/i.test(value);
+    if (isNumber(value) || typeof value === "boolean" || (/^[A-Za-z_]\w*$/.test(value) && !isKeyword)) return String(value);
+    return `"${String(value).replace(/"/g, "\\\"").replace(/\n/g, "\\n")}"`;
+}
+
+function csvCell(value) {
+    const text = String(value);
+    return /[",\n\r]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Every attribute name in some items, in the order first seen, with the
+ * narrowest type that holds all their values: boolean, long, double or string
+ */
+function columnsOf(items) {
+    const types = new Map();
+    const isNumeric = type => type === "long" || type === "double";
+    items.forEach(attributes => Object.entries(attributes).forEach(([name, value]) => {
+        const type = typeof value === "boolean" ? "boolean"
+            : Number.isInteger(value) ? "long"
+                : typeof value === "number" ? "double" : "string";
+        const seen = types.get(name) ?? type;
+        types.set(name, seen === type ? type : isNumeric(seen) && isNumeric(type) ? "double" : "string");
+    }));
+    return Array.from(types, ([name, type]) => ({ name, type }));
+}
+
+/**
+ * An attribute value read as its declared type; without one, numbers and
+ * booleans are recognised and everything else stays a string
+ */
+function typedValue(text, type) {
+    const lower = text.toLowerCase();
+    if (type === "boolean" || (type === undefined && (lower === "true" || lower === "false"))) {
+        return lower === "true" || lower === "1";
+    }
+    const isNumeric = ["int", "integer", "long", "float", "double", "short", "byte"].includes(type);
+    if (isNumeric || (type === undefined && /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i.test(text))) {
+        const number = Number(text);
+        if (Number.isFinite(number) && text !== "") return number;
+    }
+    return text;
+}
+
+function isNumber(value) {
+    return typeof value === "number" && Number.isFinite(value);
+}
+
+function emptyGraph() {
+    return { attributes: {}, nodes: new Map(), edges: [] };
+}
+
+function addNode(draft, id, attributes) {
+    const nodeId = String(id);
+    draft.nodes.set(nodeId, { ...draft.nodes.get(nodeId), ...attributes });
+}
+
+function addEdge(draft, source, target, attributes) {
+    [source, target].forEach(id => {
+        if (!draft.nodes.has(String(id))) addNode(draft, id, {});
+    });
+    draft.edges.push({ source: String(source), target: String(target), attributes });
+}
+
+function toGraph(draft, format) {
+    return {
+        format,
+        attributes: draft.attributes,
+        nodes: Array.from(draft.nodes, ([id, attributes]) => ({ id, attributes })),
+        edges: draft.edges
+    };
+}
+
+function withoutMissing(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+}
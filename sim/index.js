@@ -0,0 +1,34 @@
+/**
+ * Headless network simulation. Import from here in the browser or Node.js.
+ */
+export { Emitter } from "./emitter.js";
+export { PHASES, ACTIVITIES } from "./phases.js";
+export { SimNode } from "./node.js";
+export { NetworkSimulation, STEP_MS } from "./simulation.js";
+export { parseScenario, ScenarioError, DEFAULT_SCENARIO, PHASE_DURATIONS } from "./scenario.js";
+export { EventScheduler } from "./scheduler.js";
+export { SeededRandom, randomSeed, scramble } from "./random.js";
+export { EventLog, LOG_EVENTS, LOG_VERSION, LOG_DEFAULTS } from "./event-log.js";
+export { PropagationTracker, PROPAGATION_THRESHOLDS } from "./gossip.js";
+export { Link, LINK_DEFAULTS, LINK_STATES, LINK_DIRECTIONS, MESSAGE_SIZES } from "./link.js";
+export { WIRE_MESSAGES, HANDSHAKE_MESSAGES, WIRE_DEFAULTS } from "./wire.js";
+export { splitByPosition, groupAssignments } from "./partition.js";
+export { TOPOLOGIES, topologyDefaults } from "./topology.js";
+export { NetworkEditor } from "./editor.js";
+export { parsePeerSnapshot, peerScenario, networkOf, PeerImportError, PEER_FORMATS, PEER_ATTRIBUTE_LABELS, LOCAL_NODE_ID } from "./peer-import.js";
+export { GRAPH_FORMATS, GraphImportError, graphSnapshot, writeGraph, parseGraph, mergeGraphs, graphScenario } from "./graph-formats.js";
+export {
+    GEO_REGIONS, GEO_DEFAULTS, EARTH_RADIUS_KM, drawLocation, regionWeights, distanceKm, geoLatency,
+    locationToPosition, positionToLocation, greatCirclePoint
+} from "./geo.js";
+export { LAYOUTS, FORCE_DEFAULTS, ForceLayout, arrangeNodes, hopDistances } from "./layout.js";
+export { NetworkMetrics, METRICS_DEFAULTS, LATENCY_PERCENTILES, graphMetrics, percentile } from "./metrics.js";
+export { BlockTree, GENESIS_BLOCK, SYNC_BATCH_SIZE, SETTLED_DEPTH, createBlock } from "./blockchain.js";
+export { Mempool, MEMPOOL_REJECTIONS, feeRate } from "./mempool.js";
+export { MiningStats, nextBlockDelay, pickMiner } from "./mining.js";
+export { BEHAVIORS, ATTACK_DEFAULTS, AttackStats, isAttacker, withholds } from "./adversary.js";
+export {
+    PROTOCOLS, createProtocol, ConsensusProtocol, NETWORK_PHASES,
+    BitcoinProtocol, RaftProtocol, PbftProtocol, ProofOfStakeProtocol,
+    RAFT_PHASES, RAFT_ROLES, PBFT_PHASES, PBFT_ROLES, POS_PHASES, POS_ROLES
+} from "./protocols/index.js";
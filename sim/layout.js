@@ -0,0 +1,257 @@
+import { SeededRandom } from "./random.js";
+import { locationToPosition } from "./geo.js";
+
+/**
+ * Ways to arrange the network in 3D. Positions are plain {x, y, z} objects
+ * keyed by node ID, so views can move their meshes to them however they like.
+ */
+export const LAYOUTS = {
+    FORCE: "force",               // Linked nodes pull together, all nodes push apart; runs continuously
+    CIRCULAR: "circular",         // Evenly spaced around a flat circle
+    SPHERICAL: "spherical",       // Evenly spread over a sphere
+    HIERARCHICAL: "hierarchical", // One level per hop away from a root node, top to bottom
+    GLOBE: "globe"                // Where each node is on Earth; only for runs with geography
+};
+
+/**
+ * Strength of the forces in the force-directed layout
+ */
+export const FORCE_DEFAULTS = {
+    springLength: 2.5,   // Length a link settles at
+    springStrength: 0.05,
+    repulsion: 4,        // Push between every pair of nodes, falling off with distance squared
+    gravity: 0.01,       // Pull towards the centre, so separate components don't drift off
+    damping: 0.85,       // Velocity kept from one step to the next
+    maxSpeed: 0.5,       // Distance a node may move in one step
+    exactRepulsionNodes: 1000, // Largest network every pair of nodes pushes apart in
+    repulsionSamples: 24       // Nodes each node is pushed by in bigger networks, standing in for the rest
+};
+
+/**
+ * Force-directed layout: springs along links, repulsion between all nodes
+ * and a little gravity, integrated one step at a time so the graph keeps
+ * settling as nodes and links come and go.
+ *
+ * Repulsion between every pair grows with the square of the network. Past
+ * exactRepulsionNodes, each node is pushed by a fixed sample of the others
+ * instead, scaled up to stand in for the rest; the sample only changes when
+ * nodes come or go, so the layout still settles.
+ */
+export class ForceLayout {
+    /**
+     * @param {Partial<typeof FORCE_DEFAULTS>} [options] - Forces to override
+     */
+    constructor(options = {}) {
+        this.options = { ...FORCE_DEFAULTS, ...options };
+        this.velocities = new Map();
+        this.samples = new Map(); // Node ID to where its repulsion sample starts and how it steps, as fractions
+    }
+
+    /**
+     * Move every node one step along the forces acting on it
+     * @param {Map<string, {x: number, y: number, z: number}>} positions - Node ID to position; updated in place
+     * @param {[string, string][]} edges - Linked node ID pairs
+     * @returns {number} Largest distance a node moved, to tell when the layout has settled
+     */
+    step(positions, edges) {
+        const { springLength, springStrength, repulsion, gravity, damping, maxSpeed, exactRepulsionNodes } = this.options;
+        const ids = Array.from(positions.keys());
+        const points = Array.from(positions.values());
+        const indexOf = new Map(ids.map((id, i) => [id, i]));
+        const forces = ids.map(() => ({ x: 0, y: 0, z: 0 }));
+
+        // Nodes that start in a plane would never leave it: nudge each new one off it
+        ids.forEach(id => {
+            if (!this.velocities.has(id)) {
+                this.velocities.set(id, { x: 0, y: (new SeededRandom(id).next() - 0.5) * 0.2, z: 0 });
+            }
+        });
+        Array.from(this.velocities.keys())
+            .filter(id => !positions.has(id))
+            .forEach(id => {
+                this.velocities.delete(id);
+                this.samples.delete(id);
+            });
+
+        if (ids.length <= exactRepulsionNodes) {
+            for (let i = 0; i < ids.length; i++) {
+                for (let j = i + 1; j < ids.length; j++) {
+                    const delta = subtract(points[i], points[j]);
+                    const distanceSquared = Math.max(lengthSquared(delta), 0.01);
+                    const push = repulsion / distanceSquared / Math.sqrt(distanceSquared);
+                    addScaled(forces[i], delta, push);
+                    addScaled(forces[j], delta, -push);
+                }
+            }
+        } else {
+            this.repelSampled(ids, points, forces);
+        }
+
+        edges.forEach(([sourceId, targetId]) => {
+            const i = indexOf.get(sourceId);
+            const j = indexOf.get(targetId);
+            if (i === undefined || j === undefined) return;
+            const delta = subtract(points[j], points[i]);
+            const distance = Math.max(Math.sqrt(lengthSquared(delta)), 0.01);
+            const pull = springStrength * (distance - springLength) / distance;
+            addScaled(forces[i], delta, pull);
+            addScaled(forces[j], delta, -pull);
+        });
+
+        let largestMove = 0;
+        ids.forEach((id, i) => {
+            const position = points[i];
+            const velocity = this.velocities.get(id);
+            addScaled(forces[i], position, -gravity);
+            addScaled(velocity, velocity, damping - 1);
+            addScaled(velocity, forces[i], 1);
+
+            const speed = Math.sqrt(lengthSquared(velocity));
+            if (speed > maxSpeed) {
+                addScaled(velocity, velocity, maxSpeed / speed - 1);
+            }
+            addScaled(position, velocity, 1);
+            largestMove = Math.max(largestMove, Math.min(speed, maxSpeed));
+        });
+        return largestMove;
+    }
+
+    /**
+     * Push each node away from its sample of the others, as hard as all of them would push together
+     */
+    repelSampled(ids, points, forces) {
+        const { repulsion, repulsionSamples } = this.options;
+        const count = ids.length;
+        const scale = (count - 1) / repulsionSamples * repulsion;
+        ids.forEach((id, i) => {
+            if (!this.samples.has(id)) {
+                const random = new SeededRandom(`${id}:repulsion`);
+                this.samples.set(id, { start: random.next(), stride: random.next() });
+            }
+            const { start, stride } = this.samples.get(id);
+            const { x, y, z } = points[i];
+            const force = forces[i];
+            for (let k = 0; k < repulsionSamples; k++) {
+                const j = Math.floor((start + k * stride) * count) % count;
+                if (j === i) continue;
+                const other = points[j];
+                const dx = x - other.x;
+                const dy = y - other.y;
+                const dz = z - other.z;
+                const distanceSquared = Math.max(dx * dx + dy * dy + dz * dz, 0.01);
+                const push = scale / distanceSquared / Math.sqrt(distanceSquared);
+                force.x += dx * push;
+                force.y += dy * push;
+                force.z += dz * push;
+            }
+        });
+    }
+}
+
+/**
+ * Where each node goes in one of the fixed layouts
+ * @param {string} layout - LAYOUTS.CIRCULAR, SPHERICAL, HIERARCHICAL or GLOBE
+ * @param {string[]} ids - Node IDs, in the order to place them
+ * @param {[string, string][]} edges - Linked node ID pairs
+ * @param {{radius: number, root?: string, locations?: Map<string, {lat: number, lon: number}>}} options - Size
+ *     of the layout, the hierarchy's root (the first node if missing or gone), and where nodes are on the globe
+ * @returns {Map<string, {x: number, y: number, z: number}>} The globe leaves out nodes without a location
+ */
+export function arrangeNodes(layout, ids, edges, { radius, root, locations = new Map() }) {
+    switch (layout) {
+        case LAYOUTS.CIRCULAR:
+            return new Map(ids.map((id, i) => {
+                const angle = (i / ids.length) * Math.PI * 2;
+                return [id, { x: radius * Math.cos(angle), y: 0, z: radius * Math.sin(angle) }];
+            }));
+        case LAYOUTS.SPHERICAL:
+            return new Map(ids.map((id, i) => [id, fibonacciSpherePoint(i, ids.length, radius)]));
+        case LAYOUTS.HIERARCHICAL:
+            return arrangeByHops(ids, edges, ids.includes(root) ? root : ids[0], radius);
+        case LAYOUTS.GLOBE:
+            return new Map(ids.filter(id => locations.get(id)).map(id => [id, locationToPosition(locations.get(id), radius)]));
+        default:
+            throw new Error(`No fixed arrangement for layout "${layout}"`);
+    }
+}
+
+/**
+ * Hops from a node to every node it can reach
+ * @param {string} root - Node to start from
+ * @param {[string, string][]} edges - Linked node ID pairs
+ * @returns {Map<string, number>} Node ID to hop count; unreachable nodes are missing
+ */
+export function hopDistances(root, edges) {
+    const neighbors = new Map();
+    edges.forEach(([a, b]) => {
+        if (!neighbors.has(a)) neighbors.set(a, []);
+        if (!neighbors.has(b)) neighbors.set(b, []);
+        neighbors.get(a).push(b);
+        neighbors.get(b).push(a);
+    });
+
+    const distances = new Map([[root, 0]]);
+    const queue = [root];
+    for (let i = 0; i < queue.length; i++) {
+        const id = queue[i];
+        (neighbors.get(id) ?? []).forEach(next => {
+            if (!distances.has(next)) {
+                distances.set(next, distances.get(id) + 1);
+                queue.push(next);
+            }
+        });
+    }
+    return distances;
+}
+
+/**
+ * The root on top, then a ring per hop below it; nodes it can't reach get the bottom ring
+ */
+function arrangeByHops(ids, edges, root, radius) {
+    const distances = hopDistances(root, edges);
+    let unreachable = 1;
+    distances.forEach(hops => unreachable = Math.max(unreachable, hops + 1));
+    const levels = new Map();
+    ids.forEach(id => {
+        const level = distances.get(id) ?? unreachable;
+        if (!levels.has(level)) levels.set(level, []);
+        levels.get(level).push(id);
+    });
+
+    const levelGap = radius * 2 / Math.max(levels.size - 1, 1);
+    const positions = new Map();
+    levels.forEach((members, level) => {
+        const y = radius - Array.from(levels.keys()).sort((a, b) => a - b).indexOf(level) * levelGap;
+        // Wider rings for busier levels, so nodes don't pile up
+        const ringRadius = members.length === 1 ? 0 : Math.max(1, radius * Math.min(members.length / 8, 1));
+        members.forEach((id, i) => {
+            const angle = (i / members.length) * Math.PI * 2;
+            positions.set(id, { x: ringRadius * Math.cos(angle), y, z: ringRadius * Math.sin(angle) });
+        });
+    });
+    return positions;
+}
+
+/**
+ * The i-th of count points spread evenly over a sphere
+ */
+function fibonacciSpherePoint(i, count, radius) {
+    const y = count === 1 ? 0 : 1 - (i / (count - 1)) * 2;
+    const ring = Math.sqrt(1 - y * y);
+    const angle = i * Math.PI * (3 - Math.sqrt(5)); // Golden angle
+    return { x: radius * ring * Math.cos(angle), y: radius * y, z: radius * ring * Math.sin(angle) };
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function lengthSquared(v) {
+    return v.x * v.x + v.y * v.y + v.z * v.z;
+}
+
+function addScaled(target, v, scale) {
+    target.x += v.x * scale;
+    target.y += v.y * scale;
+    target.z += v.z * scale;
+}
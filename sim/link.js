@@ -0,0 +1,151 @@
+/**
+ * Size of each message type on the wire, in bytes. addr, inv, getdata and
+ * headers are sized per entry; transactions travel at their own size, so
+ * "tx" is only a fallback.
+ */
+export const MESSAGE_SIZES = {
+    version: 126,
+    verack: 24,
+    ping: 32,
+    pong: 32,
+    getaddr: 24,
+    addr: 30,
+    inv: 36,
+    getdata: 36,
+    getheaders: 1000,
+    headers: 81,
+    cmpctblock: 15000,
+    tx: 400,
+    block: 1000000
+};
+
+/**
+ * Defaults for new links: latency is drawn uniformly from [minLatency, maxLatency]
+ */
+export const LINK_DEFAULTS = {
+    minLatency: 200,      // ms
+    maxLatency: 800,      // ms
+    bandwidth: 2000000    // bytes per second
+};
+
+/**
+ * Lifecycle of a link
+ */
+export const LINK_STATES = {
+    CONNECTING: "connecting",   // TCP connection being opened: one round trip
+    HANDSHAKE: "handshake",     // Exchanging version and verack: another round trip
+    ESTABLISHED: "established", // Carrying traffic
+    CLOSING: "closing"          // Shutting down; takes no new messages
+};
+
+/**
+ * Which way a link was opened, as seen from one of its ends
+ */
+export const LINK_DIRECTIONS = {
+    OUTBOUND: "outbound", // This end opened it
+    INBOUND: "inbound"    // The other end did
+};
+
+/**
+ * A bidirectional network link with its own latency and bandwidth.
+ *
+ * Each direction is a FIFO: a message can't start transmitting until the
+ * previous one in the same direction has left, so a saturated link queues.
+ * Delivery time = queueing delay + size / bandwidth + latency.
+ * Messages sent before the handshake completes wait for it.
+ */
+export class Link {
+    /**
+     * @param {string} sourceId - Node that opened the link
+     * @param {string} targetId - Node that accepted it
+     * @param {{latency: number, bandwidth: number}} properties - Latency in ms, bandwidth in bytes per second
+     * @param {number} [openedAt] - Simulation time the source started connecting
+     */
+    constructor(sourceId, targetId, { latency, bandwidth }, openedAt = 0) {
+        this.sourceId = sourceId;
+        this.targetId = targetId;
+        this.latency = latency;
+        this.bandwidth = bandwidth;
+
+        this.state = LINK_STATES.CONNECTING;
+        this.openedAt = openedAt;
+        this.handshakeAt = openedAt + latency * 2;
+        this.establishedAt = this.handshakeAt + latency * 2;
+
+        // Time each direction's transmitter is busy until, keyed by sending node ID
+        this.busyUntil = new Map([[sourceId, 0], [targetId, 0]]);
+
+        // Traffic counters, in total and per sending node ID
+        this.messageCount = 0;
+        this.byteCount = 0;
+        this.sent = new Map([[sourceId, { messages: 0, bytes: 0 }], [targetId, { messages: 0, bytes: 0 }]]);
+
+        // Round trip of the last ping answered, in ms
+        this.pingTime = null;
+    }
+
+    /**
+     * Direction-independent key for the link between two nodes
+     * @param {string} a - One node ID
+     * @param {string} b - The other node ID
+     * @returns {string}
+     */
+    static key(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+
+    /**
+     * Node at the other end of the link
+     * @param {string} nodeId - One end
+     * @returns {string}
+     */
+    otherEnd(nodeId) {
+        return nodeId === this.sourceId ? this.targetId : this.sourceId;
+    }
+
+    /**
+     * Whether one end opened the link or accepted it
+     * @param {string} nodeId - One end
+     * @returns {string} One of LINK_DIRECTIONS
+     */
+    direction(nodeId) {
+        return nodeId === this.sourceId ? LINK_DIRECTIONS.OUTBOUND : LINK_DIRECTIONS.INBOUND;
+    }
+
+    /**
+     * Reserve the transmitter for a message and work out when it arrives
+     * @param {string} fromId - Sending node
+     * @param {number} size - Message size in bytes
+     * @param {number} now - Current simulation time
+     * @param {boolean} [isHandshake] - Whether the message is part of the handshake, which doesn't wait for itself
+     * @returns {{sentAt: number, deliverAt: number}} When it leaves the queue and when it arrives
+     */
+    transmit(fromId, size, now, isHandshake = false) {
+        const sentAt = Math.max(now, isHandshake ? 0 : this.establishedAt, this.busyUntil.get(fromId) ?? 0);
+        const transmissionTime = size / this.bandwidth * 1000;
+        this.busyUntil.set(fromId, sentAt + transmissionTime);
+
+        this.messageCount++;
+        this.byteCount += size;
+        const sent = this.sent.get(fromId);
+        if (sent) {
+            sent.messages++;
+            sent.bytes += size;
+        }
+
+        return {
+            sentAt,
+            deliverAt: sentAt + transmissionTime + this.latency
+        };
+    }
+
+    /**
+     * How long a new message from this node would wait before transmitting
+     * @param {string} fromId - Sending node
+     * @param {number} now - Current simulation time
+     * @returns {number} Milliseconds
+     */
+    queueDelay(fromId, now) {
+        return Math.max(0, this.establishedAt - now, (this.busyUntil.get(fromId) ?? 0) - now);
+    }
+}
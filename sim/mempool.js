@@ -0,0 +1,186 @@
+/**
+ * Why a mempool turned a transaction away
+ */
+export const MEMPOOL_REJECTIONS = {
+    DUPLICATE: "duplicate",     // Already in the mempool
+    CONFLICT: "conflict",       // Spends an input another mempool or mined transaction already spends
+    CONFIRMED: "confirmed"      // Already in a block on this node's chain
+};
+
+/**
+ * Fee rate of a transaction in satoshis per byte
+ * @param {{fee: number, size: number}} tx - The transaction
+ * @returns {number}
+ */
+export function feeRate(tx) {
+    return tx.fee / tx.size;
+}
+
+/**
+ * A node's pool of valid, unconfirmed transactions.
+ *
+ * Transactions are plain objects { id, fee, size, inputs, outputs }, where
+ * inputs and outputs are outpoint strings such as "tx-4:0". The first
+ * transaction seen for an input wins; later spends of it are conflicts.
+ */
+export class Mempool {
+    constructor() {
+        this.transactions = new Map();
+        this.spentBy = new Map();      // Outpoint to the ID of the mempool transaction spending it
+        this.confirmed = new Map();    // IDs of transactions in this node's best chain to the height they were confirmed at
+        this.spentInChain = new Map(); // Outpoints those transactions spend, to the same height
+        this.forgottenCount = 0;       // Confirmed transactions since forgotten, see forgetConfirmed()
+        this.bytes = 0;
+    }
+
+    /**
+     * Number of transactions ever confirmed in this node's best chain, forgotten ones included
+     * @returns {number}
+     */
+    get confirmedCount() {
+        return this.confirmed.size + this.forgottenCount;
+    }
+
+    /**
+     * Number of transactions waiting
+     * @returns {number}
+     */
+    get count() {
+        return this.transactions.size;
+    }
+
+    /**
+     * Whether a transaction is waiting in the pool
+     * @param {string} txId - Transaction ID
+     * @returns {boolean}
+     */
+    has(txId) {
+        return this.transactions.has(txId);
+    }
+
+    /**
+     * Admit a transaction unless it is a duplicate, a conflict, or already mined
+     * @param {Object} tx - The transaction
+     * @returns {{accepted: boolean, reason: string|null}} reason is one of MEMPOOL_REJECTIONS
+     */
+    add(tx) {
+        let reason = null;
+        if (this.transactions.has(tx.id)) {
+            reason = MEMPOOL_REJECTIONS.DUPLICATE;
+        } else if (this.confirmed.has(tx.id)) {
+            reason = MEMPOOL_REJECTIONS.CONFIRMED;
+        } else if (tx.inputs.some(outpoint => this.spentBy.has(outpoint) || this.spentInChain.has(outpoint))) {
+            reason = MEMPOOL_REJECTIONS.CONFLICT;
+        }
+        if (reason) {
+            return { accepted: false, reason };
+        }
+
+        this.transactions.set(tx.id, tx);
+        tx.inputs.forEach(outpoint => this.spentBy.set(outpoint, tx.id));
+        this.bytes += tx.size;
+        return { accepted: true, reason: null };
+    }
+
+    /**
+     * Drop a transaction from the pool
+     * @param {string} txId - Transaction ID
+     * @returns {boolean} Whether it was there
+     */
+    remove(txId) {
+        const tx = this.transactions.get(txId);
+        if (!tx) {
+            return false;
+        }
+
+        this.transactions.delete(txId);
+        tx.inputs.forEach(outpoint => {
+            if (this.spentBy.get(outpoint) === txId) {
+                this.spentBy.delete(outpoint);
+            }
+        });
+        this.bytes -= tx.size;
+        return true;
+    }
+
+    /**
+     * A block joined the best chain: evict its transactions and anything
+     * that now conflicts with them
+     * @param {Object[]} txs - Transactions in the block
+     * @param {number} [height] - Height of the chain's tip once they are in it
+     * @returns {string[]} IDs of the evicted transactions
+     */
+    confirm(txs, height = 0) {
+        const evicted = [];
+        txs.forEach(tx => {
+            this.confirmed.set(tx.id, height);
+            tx.inputs.forEach(outpoint => this.spentInChain.set(outpoint, height));
+            if (this.remove(tx.id)) {
+                evicted.push(tx.id);
+            }
+            tx.inputs.forEach(outpoint => {
+                const conflictId = this.spentBy.get(outpoint);
+                if (conflictId && this.remove(conflictId)) {
+                    evicted.push(conflictId);
+                }
+            });
+        });
+        return evicted;
+    }
+
+    /**
+     * A block left the best chain in a reorg: its transactions are unconfirmed again
+     * @param {Object[]} txs - Transactions in the block
+     * @returns {string[]} IDs of the transactions returned to the pool
+     */
+    unconfirm(txs) {
+        txs.forEach(tx => {
+            this.confirmed.delete(tx.id);
+            tx.inputs.forEach(outpoint => this.spentInChain.delete(outpoint));
+        });
+        return txs.filter(tx => this.add(tx).accepted).map(tx => tx.id);
+    }
+
+    /**
+     * Forget the transactions confirmed at or below a height. Only a reorg deeper than that
+     * would bring them back, and a node that holds an item never takes it in again anyway.
+     * Entries are kept in the order they were confirmed, so this stops at the first newer one
+     * @param {number} height - Settled height
+     */
+    forgetConfirmed(height) {
+        for (const [txId, confirmedAt] of this.confirmed) {
+            if (confirmedAt > height) break;
+            this.confirmed.delete(txId);
+            this.forgottenCount++;
+        }
+        for (const [outpoint, confirmedAt] of this.spentInChain) {
+            if (confirmedAt > height) break;
+            this.spentInChain.delete(outpoint);
+        }
+    }
+
+    /**
+     * Highest fee rate transactions that fit in a block, as a miner would pick them
+     * @param {number} maxBytes - Space available in the block
+     * @returns {Object[]}
+     */
+    select(maxBytes) {
+        const selected = [];
+        let bytes = 0;
+        this.sorted().forEach(tx => {
+            if (bytes + tx.size <= maxBytes) {
+                selected.push(tx);
+                bytes += tx.size;
+            }
+        });
+        return selected;
+    }
+
+    /**
+     * Waiting transactions, best fee rate first
+     * @returns {Object[]}
+     */
+    sorted() {
+        return Array.from(this.transactions.values()).sort((a, b) => feeRate(b) - feeRate(a));
+    }
+}
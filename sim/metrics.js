@@ -0,0 +1,233 @@
+/**
+ * How often the simulation samples its metrics, and how much history it keeps
+ */
+export const METRICS_DEFAULTS = {
+    sampleInterval: 1000,   // ms of simulation time between samples
+    historyLength: 60,      // Samples kept for time-series charts
+    rateWindow: 5000,       // ms that message rates are averaged over
+    latencyItems: 20,       // Most recent gossiped items whose delivery delays make up the latency percentiles
+    exactGraphNodes: 500,   // Largest network whose diameter and clustering are measured exactly; bigger ones get estimates
+    bigGraphInterval: 5000  // ms between measurements of a bigger network's shape; samples in between repeat the last
+};
+
+// Message rates are counted in slices of this many ms, so a busy network needn't keep every message
+const RATE_BUCKET_MS = 100;
+
+/**
+ * Percentiles of propagation latency each sample reports
+ */
+export const LATENCY_PERCENTILES = [50, 90, 99];
+
+/**
+ * Shape of the network graph right now
+ * @param {SimNode[]} nodes - Every node in the network
+ * @param {{exactGraphNodes?: number}} [options] - Size above which the diameter and clustering are estimated
+ * @returns {{nodes: number, edges: number, averageDegree: number, maxDegree: number, diameter: number,
+ *     clustering: number, components: number}} diameter is the longest shortest path inside any
+ *     connected component; clustering is the local clustering coefficient averaged over all nodes
+ *     (over an even sample of them in big networks)
+ */
+export function graphMetrics(nodes, { exactGraphNodes = METRICS_DEFAULTS.exactGraphNodes } = {}) {
+    const degrees = nodes.map(node => node.connections.size);
+    const degreeSum = degrees.reduce((sum, degree) => sum + degree, 0);
+    const byId = new Map(nodes.map(node => [node.nodeId, node]));
+
+    // Exactly, a search from every node; that grows with the square of the network, so big
+    // networks get a double sweep per component instead, which seldom comes out short.
+    // Their clustering is likewise averaged over an even sample of the nodes
+    const isExact = nodes.length <= exactGraphNodes;
+    let diameter = 0;
+    let components = 0;
+    const seen = new Set();
+    nodes.forEach(node => {
+        const isNewComponent = !seen.has(node.nodeId);
+        if (!isExact && !isNewComponent) return;
+
+        const distances = hopsFrom(node, byId);
+        if (isNewComponent) {
+            components++;
+            distances.forEach((hops, nodeId) => seen.add(nodeId));
+        }
+        if (isExact) {
+            diameter = Math.max(diameter, largest(distances));
+        } else {
+            const [farthest] = Array.from(distances).reduce((best, entry) => entry[1] > best[1] ? entry : best);
+            diameter = Math.max(diameter, largest(hopsFrom(byId.get(farthest), byId)));
+        }
+    });
+
+    return {
+        nodes: nodes.length,
+        edges: degreeSum / 2,
+        averageDegree: nodes.length > 0 ? degreeSum / nodes.length : 0,
+        maxDegree: Math.max(0, ...degrees),
+        diameter,
+        clustering: averageClustering(isExact ? nodes : evenSample(nodes, exactGraphNodes), byId),
+        components
+    };
+}
+
+/**
+ * Value below which a percentage of the values fall, by nearest rank
+ * @param {number[]} values - The values, in any order
+ * @param {number} percent - 0 to 100
+ * @returns {number|null} null if there are no values
+ */
+export function percentile(values, percent) {
+    return nearestRank(Float64Array.from(values).sort(), percent);
+}
+
+function nearestRank(sorted, percent) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(percent / 100 * sorted.length) - 1))];
+}
+
+/**
+ * Periodic samples of the network's shape, traffic and propagation speed,
+ * kept as a short history for charts.
+ */
+export class NetworkMetrics {
+    /**
+     * @param {Partial<typeof METRICS_DEFAULTS>} [options] - Settings to override
+     */
+    constructor(options = {}) {
+        this.options = { ...METRICS_DEFAULTS, ...options };
+        this.samples = [];
+        this.graph = null; // Last graphMetrics() result, and when it was measured
+        this.graphTime = -Infinity;
+        // Messages sent within the rate window, counted per RATE_BUCKET_MS: { start, total, byType }
+        this.recentMessages = [];
+    }
+
+    /**
+     * Count a message sent
+     * @param {string} type - Message type
+     * @param {number} time - Simulation time it was sent
+     */
+    recordMessage(type, time) {
+        const start = Math.floor(time / RATE_BUCKET_MS) * RATE_BUCKET_MS;
+        let bucket = this.recentMessages[this.recentMessages.length - 1];
+        if (bucket?.start !== start) {
+            bucket = { start, total: 0, byType: {} };
+            this.recentMessages.push(bucket);
+        }
+        bucket.total++;
+        bucket.byType[type] = (bucket.byType[type] ?? 0) + 1;
+    }
+
+    /**
+     * Take a sample and add it to the history
+     * @param {number} now - Current simulation time
+     * @param {SimNode[]} nodes - Every node in the network
+     * @param {number[]} delays - Recent times from an item's creation to a node receiving it, in ms
+     * @returns {Object} The sample: graphMetrics() (for big networks, as last measured) plus time,
+     *     messageRates (per second, by type), messagesPerSecond and latency (ms, keyed by percentile)
+     */
+    sample(now, nodes, delays) {
+        const { historyLength, rateWindow, exactGraphNodes, bigGraphInterval } = this.options;
+        const firstRecent = this.recentMessages.findIndex(bucket => bucket.start + RATE_BUCKET_MS > now - rateWindow);
+        this.recentMessages.splice(0, firstRecent === -1 ? this.recentMessages.length : firstRecent);
+
+        // Average over the window, or over the run so far if it is shorter
+        const seconds = Math.max(Math.min(rateWindow, now), 1) / 1000;
+        const messageRates = {};
+        let total = 0;
+        this.recentMessages.forEach(bucket => {
+            total += bucket.total;
+            Object.entries(bucket.byType).forEach(([type, count]) => {
+                messageRates[type] = (messageRates[type] ?? 0) + count / seconds;
+            });
+        });
+
+        if (nodes.length <= exactGraphNodes || now - this.graphTime >= bigGraphInterval) {
+            this.graph = graphMetrics(nodes, this.options);
+            this.graphTime = now;
+        }
+
+        const sorted = Float64Array.from(delays).sort();
+        const sample = {
+            time: now,
+            ...this.graph,
+            messageRates,
+            messagesPerSecond: total / seconds,
+            latency: Object.fromEntries(LATENCY_PERCENTILES.map(percent => [percent, nearestRank(sorted, percent)]))
+        };
+        this.samples.push(sample);
+        if (this.samples.length > historyLength) {
+            this.samples.shift();
+        }
+        return sample;
+    }
+
+    /**
+     * Most recent sample, or undefined before the first
+     * @returns {Object|undefined}
+     */
+    get latest() {
+        return this.samples[this.samples.length - 1];
+    }
+
+    /**
+     * One value from every sample in the history, oldest first
+     * @param {function(Object): number|null} pick - Reads the value from a sample
+     * @returns {(number|null)[]}
+     */
+    series(pick) {
+        return this.samples.map(pick);
+    }
+}
+
+/**
+ * Local clustering coefficient averaged over some nodes; 0 without any
+ */
+function averageClustering(nodes, byId) {
+    return nodes.length > 0 ? nodes.reduce((sum, node) => sum + clusteringOf(node, byId), 0) / nodes.length : 0;
+}
+
+/**
+ * About count nodes spread evenly through the list
+ */
+function evenSample(nodes, count) {
+    const stride = Math.ceil(nodes.length / count);
+    return nodes.filter((node, i) => i % stride === 0);
+}
+
+function largest(distances) {
+    let max = 0;
+    distances.forEach(hops => max = Math.max(max, hops));
+    return max;
+}
+
+/**
+ * Hops from a node to every node it can reach, itself included
+ */
+function hopsFrom(start, byId) {
+    const distances = new Map([[start.nodeId, 0]]);
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+        const node = queue[i];
+        node.connections.forEach(peerId => {
+            const peer = byId.get(peerId);
+            if (peer && !distances.has(peerId)) {
+                distances.set(peerId, distances.get(node.nodeId) + 1);
+                queue.push(peer);
+            }
+        });
+    }
+    return distances;
+}
+
+/**
+ * Share of a node's pairs of peers that are linked to each other; 0 with fewer than two peers
+ */
+function clusteringOf(node, byId) {
+    const peers = Array.from(node.connections);
+    if (peers.length < 2) return 0;
+    let linked = 0;
+    peers.forEach((a, i) => {
+        peers.slice(i + 1).forEach(b => {
+            if (byId.get(a)?.isConnectedTo(b)) linked++;
+        });
+    });
+    return linked / (peers.length * (peers.length - 1) / 2);
+}
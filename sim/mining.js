@@ -0,0 +1,106 @@
+import { SETTLED_DEPTH } from "./blockchain.js";
+
+/**
+ * Time until the network next finds a block. Block discovery is a Poisson
+ * process, so the wait is exponentially distributed around the target interval.
+ * @param {SeededRandom} random - Random source
+ * @param {number} targetInterval - Mean time between blocks, in ms
+ * @returns {number} Milliseconds
+ */
+export function nextBlockDelay(random, targetInterval) {
+    return -Math.log(1 - random.next()) * targetInterval;
+}
+
+/**
+ * Pick the miner that finds the next block, with odds proportional to hashpower
+ * @param {SeededRandom} random - Random source
+ * @param {SimNode[]} miners - Nodes with hashpower above zero
+ * @returns {SimNode|undefined} undefined if nobody is mining
+ */
+export function pickMiner(random, miners) {
+    const total = miners.reduce((sum, node) => sum + node.hashpower, 0);
+    let roll = random.next() * total;
+    return miners.find(node => (roll -= node.hashpower) < 0) ?? miners[miners.length - 1];
+}
+
+/**
+ * Running mining statistics: every block found, who found it, and how the
+ * blocks that made it into the best chain compare with each miner's hashpower.
+ * Blocks SETTLED_DEPTH under the tip are only kept as counts per miner.
+ */
+export class MiningStats {
+    constructor() {
+        this.blocks = [];           // Blocks not settled yet, which a reorg could still make stale or not
+        this.hashpower = new Map(); // Miner ID to hashpower, kept after the miner leaves
+        this.settled = new Map();   // Miner ID to { blocks, stale } counts of its settled blocks
+    }
+
+    /**
+     * Register a miner's hashpower
+     * @param {string} nodeId - The miner
+     * @param {number} hashpower - Its hashpower
+     */
+    addMiner(nodeId, hashpower) {
+        this.hashpower.set(nodeId, hashpower);
+    }
+
+    /**
+     * Record a freshly mined block
+     * @param {Object} block - The block
+     */
+    record(block) {
+        this.blocks.push(block);
+    }
+
+    /**
+     * Fold the blocks SETTLED_DEPTH or more under a chain's tip into per-miner counts
+     * @param {BlockTree} chain - Chain deciding which blocks count as stale
+     */
+    settle(chain) {
+        const settledHeight = chain.height - SETTLED_DEPTH;
+        const settling = this.blocks.filter(block => block.height <= settledHeight);
+        if (settling.length === 0) return;
+
+        const mainChain = chain.mainChainFrom(Math.min(...settling.map(block => block.height)));
+        settling.forEach(block => {
+            const counts = this.settled.get(block.miner) ?? { blocks: 0, stale: 0 };
+            counts[mainChain.has(block.hash) ? "blocks" : "stale"]++;
+            this.settled.set(block.miner, counts);
+        });
+        this.blocks = this.blocks.filter(block => block.height > settledHeight);
+    }
+
+    /**
+     * Summarize mining against a reference chain, usually the best one on the network
+     * @param {BlockTree} chain - Chain deciding which blocks count as stale
+     * @returns {{found: number, stale: number, staleRate: number, miners: {nodeId: string, hashShare: number, blockShare: number, blocks: number, stale: number}[]}}
+     *     Shares are fractions of total hashpower and of the best chain's blocks
+     */
+    summary(chain) {
+        this.settle(chain);
+        const perMiner = new Map(Array.from(this.hashpower.keys(), nodeId =>
+            [nodeId, { blocks: 0, stale: 0, ...this.settled.get(nodeId) }]));
+        // One walk down the chain covers every unsettled block
+        const mainChain = chain.mainChainFrom(Math.min(...this.blocks.map(block => block.height)));
+        this.blocks.forEach(block => {
+            perMiner.get(block.miner)[mainChain.has(block.hash) ? "blocks" : "stale"]++;
+        });
+
+        const counts = Array.from(perMiner.values());
+        const found = counts.reduce((sum, { blocks, stale }) => sum + blocks + stale, 0);
+        const stale = counts.reduce((sum, counts) => sum + counts.stale, 0);
+        const totalHashpower = Array.from(this.hashpower.values()).reduce((sum, value) => sum + value, 0);
+        const accepted = found - stale;
+        return {
+            found,
+            stale,
+            staleRate: found > 0 ? stale / found : 0,
+            miners: Array.from(perMiner, ([nodeId, counts]) => ({
+                nodeId,
+                hashShare: totalHashpower > 0 ? this.hashpower.get(nodeId) / totalHashpower : 0,
+                blockShare: accepted > 0 ? counts.blocks / accepted : 0,
+                ...counts
+            })).sort((a, b) => b.hashShare - a.hashShare)
+        };
+    }
+}
@@ -0,0 +1,76 @@
+import { ACTIVITIES } from "./phases.js";
+import { BlockTree } from "./blockchain.js";
+import { Mempool } from "./mempool.js";
+import { BEHAVIORS } from "./adversary.js";
+
+/**
+ * Graph-level state of a single network participant.
+ * Holds no rendering objects; views look nodes up by nodeId.
+ */
+export class SimNode {
+    /**
+     * @param {string} nodeId - Unique identifier for the node
+     * @param {{x: number, y: number, z: number}} position - Suggested layout position
+     */
+    constructor(nodeId, position) {
+        this.nodeId = nodeId;
+        this.position = position;
+        this.connections = new Set();
+        this.activity = ACTIVITIES.IDLE;
+        this.activityUntil = 0;
+        this.syncProgress = 0;
+
+        // IDs of the gossiped items (blocks, transactions) this node holds
+        this.inventory = new Set();
+
+        // Every block this node has seen, and the highest chain it has heard of from peers
+        this.chain = new BlockTree();
+        this.bestKnownHeight = 0;
+        this.lastSyncActivityAt = -Infinity;
+
+        // Valid transactions waiting to be mined
+        this.mempool = new Mempool();
+
+        // Share of the network's mining effort; 0 for nodes that don't mine
+        this.hashpower = 0;
+
+        // Side of a network partition the node is on, null while the network is whole
+        this.group = null;
+
+        // Role the consensus protocol gave the node, and how much of its log or chain is final
+        this.role = null;
+        this.committedHeight = 0;
+
+        // One of BEHAVIORS; peers this node banned for breaking the rules; whether attackers hold all its peer slots
+        this.behavior = BEHAVIORS.HONEST;
+        this.banned = new Set();
+        this.isEclipsed = false;
+
+        // Addresses of other nodes learned from addr messages, and data asked for by getdata: ID to request time
+        this.knownAddresses = new Set();
+        this.requested = new Map();
+
+        // Transactions received since the node last announced to its peers
+        this.pendingAnnouncements = [];
+
+        // What is known about the real node this one stands for, e.g. its network type or client
+        this.attributes = {};
+
+        // Latitude and longitude in degrees in a geographic run, null otherwise
+        this.location = null;
+
+        // Simulation time the node joined, and the messages it sent and received, by type
+        this.joinedAt = 0;
+        this.messagesSent = {};
+        this.messagesReceived = {};
+    }
+
+    /**
+     * Check whether this node has a link to another node
+     * @param {string} otherNodeId - The ID of the other node
+     * @returns {boolean}
+     */
+    isConnectedTo(otherNodeId) {
+        return this.connections.has(otherNodeId);
+    }
+}
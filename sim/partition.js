@@ -0,0 +1,31 @@
+/**
+ * Split nodes into contiguous groups by their angle around the layout's centre,
+ * so each side of a netsplit is a visible slice of the network.
+ * @param {SimNode[]} nodes - Nodes to split
+ * @param {number} groupCount - Number of groups, at least 2
+ * @returns {string[][]} Node IDs per group
+ */
+export function splitByPosition(nodes, groupCount) {
+    const sorted = nodes.slice().sort((a, b) =>
+        Math.atan2(a.position.z, a.position.x) - Math.atan2(b.position.z, b.position.x)
+    );
+
+    const groups = Array.from({ length: groupCount }, () => []);
+    sorted.forEach((node, index) => {
+        groups[Math.floor(index * groupCount / sorted.length)].push(node.nodeId);
+    });
+    return groups;
+}
+
+/**
+ * Node ID to group index for the current partition
+ * @param {SimNode[]} nodes - Nodes in the network
+ * @returns {Object<string, number>}
+ */
+export function groupAssignments(nodes) {
+    const groups = {};
+    nodes.forEach(node => {
+        groups[node.nodeId] = node.group;
+    });
+    return groups;
+}
@@ -0,0 +1,296 @@
+import { PHASES, PHASE_DURATIONS } from "./phases.js";
+import { DEFAULT_SCENARIO } from "./scenario.js";
+
+/**
+ * Saved dumps of real Bitcoin nodes that can be imported
+ */
+export const PEER_FORMATS = {
+    GETPEERINFO: "getpeerinfo",           // Bitcoin Core `getpeerinfo`: one node and the peers it is connected to
+    GETNODEADDRESSES: "getnodeaddresses", // Bitcoin Core `getnodeaddresses`: addresses a node knows, without links
+    CRAWLER_CSV: "crawler_csv"            // Crawler output: "ip,port,peers" rows, peers as space-separated ip:port
+};
+
+// ID of the node a getpeerinfo dump was taken on; its own address isn't in the dump
+export const LOCAL_NODE_ID = "local";
+
+// Port assumed for crawled peers listed without one
+const DEFAULT_PORT = 8333;
+
+// Crawler column names for the attributes getpeerinfo calls otherwise
+const CRAWLER_COLUMNS = {
+    user_agent: "client",
+    useragent: "client",
+    subver: "client",
+    client: "client",
+    version: "version",
+    network: "network",
+    services: "services"
+};
+
+/**
+ * Readable names for the attributes imported nodes carry, in the order to show them
+ */
+export const PEER_ATTRIBUTE_LABELS = {
+    address: "Address",
+    network: "Network",
+    direction: "Direction",     // "inbound" or "outbound" as seen from the dumping node; "local" is that node
+    connectionType: "Connection",
+    client: "Client",           // User agent, e.g. "/Satoshi:27.0.0/"
+    version: "Protocol version",
+    services: "Services",
+    pingMs: "Ping (ms)",
+    syncedBlocks: "Synced blocks",
+    lastSeen: "Last seen"
+};
+
+/**
+ * Raised when a file isn't one of the PEER_FORMATS
+ */
+export class PeerImportError extends Error {
+    /**
+     * @param {string} message - What is wrong with the file, as a readable sentence
+     */
+    constructor(message) {
+        super(message);
+        this.name = "PeerImportError";
+    }
+}
+
+/**
+ * Read a saved RPC response or crawler CSV, telling the format from its content.
+ * JSON may be the bare result or the whole RPC reply ({ "result": [...], "error": null }).
+ * @param {string} text - File content
+ * @returns {{format: string, nodes: {id: string, attributes: Object}[],
+ *     links: {source: string, target: string, latency?: number}[]}} Node IDs are addresses as "host:port"
+ * @throws {PeerImportError} If the content matches no format
+ */
+export function parsePeerSnapshot(text) {
+    const trimmed = text.trim();
+    if (!trimmed.startsWith("[") && !trimmed.startsWith("{")) {
+        return parseCrawlerCsv(trimmed);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(trimmed);
+    } catch (error) {
+        throw new PeerImportError(`The file is not valid JSON (${error.message})`);
+    }
+    const entries = Array.isArray(data) ? data : data?.result;
+    if (!Array.isArray(entries)) {
+        throw new PeerImportError("Expected the array returned by getpeerinfo or getnodeaddresses");
+    }
+    if (entries.length === 0) {
+        throw new PeerImportError("The dump lists no peers");
+    }
+    if (entries.every(entry => typeof entry?.addr === "string")) {
+        return parsePeerInfo(entries);
+    }
+    if (entries.every(entry => typeof entry?.address === "string")) {
+        return parseNodeAddresses(entries);
+    }
+    throw new PeerImportError("Every entry needs an \"addr\" (getpeerinfo) or an \"address\" (getnodeaddresses)");
+}
+
+/**
+ * Turn a snapshot into a Bitcoin scenario with its nodes and links. With links,
+ * the run leaves out discovery and churn so the graph stays as captured; a
+ * snapshot of bare addresses keeps discovery, which links them up the way a
+ * node picks peers from the addresses it knows.
+ * @param {Object} snapshot - Result of parsePeerSnapshot
+ * @param {string} [name] - Scenario name, e.g. the file name
+ * @returns {Object} Scenario, for parseScenario
+ */
+export function peerScenario(snapshot, name = snapshot.format) {
+    const phases = snapshot.links.length > 0
+        ? [{ phase: PHASES.PROCESSING, duration: PHASE_DURATIONS[PHASES.PROCESSING] }]
+        : DEFAULT_SCENARIO.phases.filter(entry => entry.phase !== PHASES.NETWORK_CHANGES);
+    return {
+        name,
+        protocol: "bitcoin",
+        // Room for big snapshots on the initial circle
+        radius: Math.max(DEFAULT_SCENARIO.radius, Math.sqrt(snapshot.nodes.length)),
+        nodes: snapshot.nodes.map(({ id, attributes }) => ({ id, attributes })),
+        links: snapshot.links,
+        phases
+    };
+}
+
+/**
+ * Network an address belongs to, named like getpeerinfo's "network" field
+ * @param {string} host - IP address or hostname, without port or brackets
+ * @returns {string} "ipv4", "ipv6", "onion", "i2p" or "cjdns"
+ */
+export function networkOf(host) {
+    if (host.endsWith(".onion")) return "onion";
+    if (host.endsWith(".i2p")) return "i2p";
+    if (host.includes(":")) return /^fc/i.test(host) ? "cjdns" : "ipv6";
+    return "ipv4";
+}
+
+/**
+ * One node, as seen by its peers: the local node plus a link to each of them
+ */
+function parsePeerInfo(entries) {
+    const nodes = [{ id: LOCAL_NODE_ID, attributes: { direction: "local" } }];
+    const links = [];
+    const seen = new Set([LOCAL_NODE_ID]);
+    entries.forEach((peer, index) => {
+        if (peer.subver !== undefined && typeof peer.subver !== "string") {
+            throw new PeerImportError(`Peer ${index + 1} has a "subver" that isn't a string`);
+        }
+        if (peer.version !== undefined && !Number.isInteger(peer.version)) {
+            throw new PeerImportError(`Peer ${index + 1} has a "version" that isn't a whole number`);
+        }
+        const { host, port } = splitAddress(peer.addr);
+        const id = joinAddress(host, port ?? DEFAULT_PORT);
+        if (seen.has(id)) return;
+        seen.add(id);
+
+        nodes.push({
+            id,
+            attributes: withoutMissing({
+                address: id,
+                network: peer.network ?? networkOf(host),
+                direction: peer.inbound ? "inbound" : "outbound",
+                connectionType: peer.connection_type,
+                client: peer.subver,
+                version: peer.version,
+                services: peer.servicesnames?.join(", ") ?? peer.services,
+                pingMs: typeof peer.pingtime === "number" ? Math.round(peer.pingtime * 1000) : undefined,
+                syncedBlocks: peer.synced_blocks
+            })
+        });
+        // The side that opened the connection is its source; one way takes half the round trip
+        links.push(withoutMissing({
+            source: peer.inbound ? id : LOCAL_NODE_ID,
+            target: peer.inbound ? LOCAL_NODE_ID : id,
+            latency: typeof peer.pingtime === "number" ? Math.max(1, Math.round(peer.pingtime * 500)) : undefined
+        }));
+    });
+    return { format: PEER_FORMATS.GETPEERINFO, nodes, links };
+}
+
+/**
+ * Addresses a node knows about, with no links between them
+ */
+function parseNodeAddresses(entries) {
+    const nodes = [];
+    const seen = new Set();
+    entries.forEach(entry => {
+        const id = joinAddress(entry.address, entry.port ?? DEFAULT_PORT);
+        if (seen.has(id)) return;
+        seen.add(id);
+
+        nodes.push({
+            id,
+            attributes: withoutMissing({
+                address: id,
+                network: entry.network ?? networkOf(entry.address),
+                services: entry.services,
+                lastSeen: typeof entry.time === "number" ? new Date(entry.time * 1000).toISOString() : undefined
+            })
+        });
+    });
+    return { format: PEER_FORMATS.GETNODEADDRESSES, nodes, links: [] };
+}
+
+/**
+ * Crawled nodes and their peers. A header row is optional; columns after
+ * ip, port and peers (e.g. "user_agent" or "version") become attributes.
+ */
+function parseCrawlerCsv(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim() !== "").map(parseCsvLine);
+    const hasHeader = rows[0]?.[0].trim().toLowerCase() === "ip";
+    const extraColumns = hasHeader ? rows[0].slice(3).map(column => column.trim()) : [];
+    const records = hasHeader ? rows.slice(1) : rows;
+    if (records.length === 0) {
+        throw new PeerImportError("The file has no rows: expected ip,port,peers");
+    }
+
+    const nodes = new Map();
+    const links = new Map();
+    const addNode = (host, port, attributes = {}) => {
+        const id = joinAddress(host, port);
+        const node = nodes.get(id) ?? { id, attributes: { address: id, network: networkOf(host) } };
+        Object.assign(node.attributes, attributes);
+        nodes.set(id, node);
+        return id;
+    };
+
+    records.forEach((cells, index) => {
+        const [ip, port, peers = ""] = cells.map(cell => cell.trim());
+        const portNumber = Number(port || DEFAULT_PORT);
+        if (!ip || !Number.isInteger(portNumber)) {
+            throw new PeerImportError(`Row ${index + 1 + (hasHeader ? 1 : 0)} needs an ip and a numeric port`);
+        }
+
+        const attributes = {};
+        extraColumns.forEach((column, i) => {
+            const value = cells[i + 3]?.trim();
+            if (column && value) {
+                attributes[CRAWLER_COLUMNS[column.toLowerCase()] ?? column] = value;
+            }
+        });
+        const id = addNode(ip, portNumber, attributes);
+
+        peers.split(/[\s;]+/).filter(Boolean).forEach(peer => {
+            const address = splitAddress(peer);
+            const peerId = addNode(address.host, address.port ?? DEFAULT_PORT);
+            // Both ends may list the link; keep it once
+            const key = [id, peerId].sort().join("|");
+            if (peerId !== id && !links.has(key)) {
+                links.set(key, { source: id, target: peerId });
+            }
+        });
+    });
+    return { format: PEER_FORMATS.CRAWLER_CSV, nodes: Array.from(nodes.values()), links: Array.from(links.values()) };
+}
+
+/**
+ * Cells of one CSV line; double quotes wrap cells with commas, "" is a quote inside them
+ * @param {string} line - One line, without its line break
+ * @returns {string[]}
+ */
+export function parseCsvLine(line) {
+    const cells = [""];
+    let isQuoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (isQuoted && char === "\"" && line[i + 1] === "\"") {
+            cells[cells.length - 1] += "\"";
+            i++;
+        } else if (char === "\"") {
+            isQuoted = !isQuoted;
+        } else if (char === "," && !isQuoted) {
+            cells.push("");
+        } else {
+            cells[cells.length - 1] += char;
+        }
+    }
+    return cells;
+}
+
+/**
+ * Host and port of "1.2.3.4:8333", "[2001:db8::1]:8333" or a bare host; port is undefined if missing
+ */
+function splitAddress(address) {
+    const bracketed = address.match(/^\[(.+)\](?::(\d+))?$/);
+    if (bracketed) {
+        return { host: bracketed[1], port: bracketed[2] === undefined ? undefined : Number(bracketed[2]) };
+    }
+    // More than one colon without brackets is a bare IPv6 address
+    const parts = address.split(":");
+    if (parts.length === 2 && /^\d+$/.test(parts[1])) {
+        return { host: parts[0], port: Number(parts[1]) };
+    }
+    return { host: address, port: undefined };
+}
+
+function joinAddress(host, port) {
+    return host.includes(":") ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+function withoutMissing(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null));
+}
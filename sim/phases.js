@@ -0,0 +1,30 @@
+/**
+ * Phases the network cycles through
+ */
+export const PHASES = {
+    DISCOVERY: "discovery",
+    SYNCING: "syncing",
+    PROCESSING: "processing",
+    NETWORK_CHANGES: "network_changes"
+};
+
+/**
+ * How long each phase runs by default, in simulation milliseconds
+ */
+export const PHASE_DURATIONS = {
+    [PHASES.DISCOVERY]: 5000,
+    [PHASES.SYNCING]: 8000,
+    [PHASES.PROCESSING]: 6000,
+    [PHASES.NETWORK_CHANGES]: 7000
+};
+
+/**
+ * What a node is currently busy with; views map these to colors
+ */
+export const ACTIVITIES = {
+    IDLE: "idle",
+    DISCOVERING: "discovering",
+    SYNCING: "syncing",
+    PROCESSING: "processing",
+    MINING: "mining"
+};
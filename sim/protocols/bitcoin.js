@@ -0,0 +1,46 @@
+import { PHASES, PHASE_DURATIONS } from "../phases.js";
+import { ConsensusProtocol } from "./protocol.js";
+
+/**
+ * Nakamoto consensus: proof-of-work mining, longest-chain sync and
+ * transaction gossip. This is the simulation's original behaviour; the
+ * blockchain, mempool and mining code all lives in NetworkSimulation.
+ */
+export class BitcoinProtocol extends ConsensusProtocol {
+    static id = "bitcoin";
+    static title = "Bitcoin";
+    static phaseNames = Object.values(PHASES);
+    static phases = [
+        { phase: PHASES.NETWORK_CHANGES, duration: PHASE_DURATIONS[PHASES.NETWORK_CHANGES] },
+        { phase: PHASES.DISCOVERY, duration: PHASE_DURATIONS[PHASES.DISCOVERY] },
+        { phase: PHASES.SYNCING, duration: PHASE_DURATIONS[PHASES.SYNCING] },
+        { phase: PHASES.PROCESSING, duration: PHASE_DURATIONS[PHASES.PROCESSING] }
+    ];
+    static usesMining = true;
+
+    start() {
+        this.simulation.scheduleNextBlock();
+    }
+
+    handleStep(phases) {
+        this.simulation.handleAttackers(phases);
+        if (phases.includes(PHASES.SYNCING)) {
+            this.simulation.handleSyncingPhase();
+        }
+        if (phases.includes(PHASES.PROCESSING)) {
+            this.simulation.handleProcessingPhase();
+        }
+    }
+
+    describeNode(node) {
+        return {
+            ...super.describeNode(node),
+            "Chain height": node.chain.height,
+            "Tip": node.chain.tip.hash,
+            "Best known height": node.bestKnownHeight,
+            "Mempool": `${node.mempool.count} txs`,
+            "Hashpower": node.hashpower,
+            "Known addresses": node.knownAddresses.size
+        };
+    }
+}
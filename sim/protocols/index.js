@@ -0,0 +1,34 @@
+import { BitcoinProtocol } from "./bitcoin.js";
+import { RaftProtocol } from "./raft.js";
+import { PbftProtocol } from "./pbft.js";
+import { ProofOfStakeProtocol } from "./pos.js";
+
+export { ConsensusProtocol, NETWORK_PHASES } from "./protocol.js";
+export { BitcoinProtocol, RaftProtocol, PbftProtocol, ProofOfStakeProtocol };
+export { RAFT_PHASES, RAFT_ROLES } from "./raft.js";
+export { PBFT_PHASES, PBFT_ROLES } from "./pbft.js";
+export { POS_PHASES, POS_ROLES } from "./pos.js";
+
+/**
+ * Consensus protocols a scenario can pick with its "protocol" field
+ */
+export const PROTOCOLS = {
+    [BitcoinProtocol.id]: BitcoinProtocol,
+    [RaftProtocol.id]: RaftProtocol,
+    [PbftProtocol.id]: PbftProtocol,
+    [ProofOfStakeProtocol.id]: ProofOfStakeProtocol
+};
+
+/**
+ * Instantiate a protocol by name
+ * @param {string} name - Key of PROTOCOLS
+ * @param {NetworkSimulation} simulation - Simulation it runs in
+ * @returns {ConsensusProtocol}
+ */
+export function createProtocol(name, simulation) {
+    const Protocol = PROTOCOLS[name];
+    if (!Protocol) {
+        throw new Error(`Unknown consensus protocol "${name}"`);
+    }
+    return new Protocol(simulation);
+}
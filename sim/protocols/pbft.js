@@ -0,0 +1,164 @@
+import { ConsensusProtocol } from "./protocol.js";
+
+/**
+ * Phases of one PBFT round, which the replicas run in lockstep
+ */
+export const PBFT_PHASES = {
+    PRE_PREPARE: "pbft_pre_prepare", // The primary assigns the request a sequence number
+    PREPARE: "pbft_prepare",         // Replicas agree on that order
+    COMMIT: "pbft_commit"            // Replicas agree that enough of them agree, and execute
+};
+
+/**
+ * Roles a PBFT replica can have
+ */
+export const PBFT_ROLES = {
+    PRIMARY: "primary",
+    REPLICA: "replica"
+};
+
+// Chance that the primary of a round stays silent, forcing a view change
+const FAULTY_PRIMARY_PROBABILITY = 0.25;
+
+/**
+ * Practical Byzantine Fault Tolerance: n = 3f + 1 replicas tolerate f faulty
+ * ones. The primary of the current view pre-prepares a request; a replica is
+ * prepared once it holds the pre-prepare and 2f matching prepares, and
+ * commits once it sees 2f + 1 matching commits. A round that fails to commit
+ * on a quorum triggers a view change to the next primary.
+ */
+export class PbftProtocol extends ConsensusProtocol {
+    static id = "pbft";
+    static title = "PBFT";
+    static phaseNames = Object.values(PBFT_PHASES);
+    static phases = [
+        { phase: PBFT_PHASES.PRE_PREPARE, duration: 4000 },
+        { phase: PBFT_PHASES.PREPARE, duration: 4000 },
+        { phase: PBFT_PHASES.COMMIT, duration: 4000 }
+    ];
+    static roles = PBFT_ROLES;
+    static messageSizes = {
+        preprepare: 250,
+        prepare: 100,
+        commit: 100
+    };
+    static initialNodeCount = 4;
+
+    constructor(simulation) {
+        super(simulation);
+        this.view = 0;
+        this.sequence = 0;
+        this.round = null; // { view, sequence, digest } of the round in progress
+    }
+
+    /**
+     * Faulty replicas the current cluster tolerates
+     * @returns {number}
+     */
+    get faultTolerance() {
+        return Math.floor((this.simulation.nodes.length - 1) / 3);
+    }
+
+    onNodeAdded(node) {
+        node.pbft = { prePrepared: null, prepares: new Set(), commits: new Set(), isPrepared: false, isCommitted: false };
+        this.connectToAll(node);
+        this.setRole(node, PBFT_ROLES.REPLICA);
+    }
+
+    describeNode(node) {
+        const state = node.pbft;
+        return {
+            ...super.describeNode(node),
+            "Committed": node.committedHeight,
+            "View": this.view,
+            "Pre-prepared": state.prePrepared ?? "nothing",
+            "Prepares": `${state.prepares.size} of ${2 * this.faultTolerance}${state.isPrepared ? " (prepared)" : ""}`,
+            "Commits": `${state.commits.size} of ${2 * this.faultTolerance + 1}${state.isCommitted ? " (committed)" : ""}`
+        };
+    }
+
+    onPhaseStart(phase) {
+        const nodes = this.simulation.nodes;
+        if (nodes.length === 0) return;
+
+        if (phase === PBFT_PHASES.PRE_PREPARE) {
+            if (this.round) {
+                // Without a quorum of commits the primary is suspected faulty: move to the next view
+                const committed = nodes.filter(node => node.pbft.isCommitted).length;
+                if (committed < 2 * this.faultTolerance + 1) {
+                    this.view++;
+                }
+            }
+
+            this.sequence++;
+            this.round = { view: this.view, sequence: this.sequence, digest: `req-${this.sequence}` };
+            const primary = nodes[this.view % nodes.length];
+            nodes.forEach(node => {
+                node.pbft = { prePrepared: null, prepares: new Set(), commits: new Set(), isPrepared: false, isCommitted: false };
+                this.setRole(node, node === primary ? PBFT_ROLES.PRIMARY : PBFT_ROLES.REPLICA);
+            });
+
+            if (!this.simulation.random.chance(FAULTY_PRIMARY_PROBABILITY)) {
+                primary.pbft.prePrepared = this.round.digest;
+                this.multicast(primary, "preprepare", this.round);
+            }
+        } else if (phase === PBFT_PHASES.PREPARE) {
+            // Backups that accepted the pre-prepare tell everyone
+            nodes.filter(node => node.role === PBFT_ROLES.REPLICA && node.pbft.prePrepared).forEach(node => {
+                node.pbft.prepares.add(node.nodeId);
+                this.multicast(node, "prepare", this.round);
+                this.checkPrepared(node);
+            });
+        } else if (phase === PBFT_PHASES.COMMIT) {
+            nodes.filter(node => node.pbft.isPrepared).forEach(node => {
+                node.pbft.commits.add(node.nodeId);
+                this.multicast(node, "commit", this.round);
+                this.checkCommitted(node);
+            });
+        }
+    }
+
+    receive(message) {
+        const { source, target, type, payload } = message;
+        if (!(type in PbftProtocol.messageSizes)) {
+            return false;
+        }
+        const round = this.round;
+        if (!round || payload.view !== round.view || payload.sequence !== round.sequence || payload.digest !== round.digest) {
+            return true; // From an earlier round or view
+        }
+
+        const state = target.pbft;
+        switch (type) {
+            case "preprepare":
+                if (source.role === PBFT_ROLES.PRIMARY) {
+                    state.prePrepared = payload.digest;
+                }
+                break;
+            case "prepare":
+                state.prepares.add(source.nodeId);
+                this.checkPrepared(target);
+                break;
+            case "commit":
+                state.commits.add(source.nodeId);
+                this.checkCommitted(target);
+                break;
+        }
+        return true;
+    }
+
+    checkPrepared(node) {
+        const state = node.pbft;
+        if (!state.isPrepared && state.prePrepared && state.prepares.size >= 2 * this.faultTolerance) {
+            state.isPrepared = true;
+        }
+    }
+
+    checkCommitted(node) {
+        const state = node.pbft;
+        if (!state.isCommitted && state.isPrepared && state.commits.size >= 2 * this.faultTolerance + 1) {
+            state.isCommitted = true;
+            this.setCommitted(node, node.committedHeight + 1);
+        }
+    }
+}
@@ -0,0 +1,167 @@
+import { ConsensusProtocol } from "./protocol.js";
+
+/**
+ * Phases of one proof-of-stake slot
+ */
+export const POS_PHASES = {
+    PROPOSAL: "pos_proposal",      // A validator picked by stake proposes a block
+    ATTESTATION: "pos_attestation" // Validators vote for it; 2/3 of stake finalizes it
+};
+
+/**
+ * Roles a validator can have during a slot
+ */
+export const POS_ROLES = {
+    PROPOSER: "proposer",
+    VALIDATOR: "validator"
+};
+
+// Range of stake given to validators that don't declare one
+const MIN_STAKE = 1;
+const MAX_STAKE = 32;
+
+// Attestations for proposals older than this many slots are dropped, finalized or not
+const ATTESTATION_SLOTS = 4;
+
+/**
+ * A simple proof-of-stake chain. Every slot one validator, chosen with odds
+ * proportional to its stake, proposes a block on its tip. Validators that
+ * adopted the block attest to it, and each validator finalizes the block
+ * once attestations from two thirds of all stake have reached it.
+ */
+export class ProofOfStakeProtocol extends ConsensusProtocol {
+    static id = "pos";
+    static title = "Proof of Stake";
+    static phaseNames = Object.values(POS_PHASES);
+    static phases = [
+        { phase: POS_PHASES.PROPOSAL, duration: 3000 },
+        { phase: POS_PHASES.ATTESTATION, duration: 4000 }
+    ];
+    static roles = POS_ROLES;
+    static messageSizes = {
+        attestation: 120
+    };
+    static initialNodeCount = 6;
+
+    constructor(simulation) {
+        super(simulation);
+        this.proposal = null; // Hash of the block proposed this slot
+        this.recentProposals = []; // Hashes of the last ATTESTATION_SLOTS proposals, oldest first
+    }
+
+    /**
+     * Stake of every validator together
+     * @returns {number}
+     */
+    get totalStake() {
+        return this.simulation.nodes.reduce((sum, node) => sum + node.stake, 0);
+    }
+
+    onNodeAdded(node) {
+        const declared = this.simulation.scenario.nodes.find(entry => entry.id === node.nodeId);
+        node.stake = declared?.stake ?? MIN_STAKE + this.simulation.random.int(MAX_STAKE - MIN_STAKE + 1);
+        node.attestations = new Map(); // Block hash to the validators attesting to it
+        this.connectToAll(node);
+        this.setRole(node, POS_ROLES.VALIDATOR);
+    }
+
+    describeNode(node) {
+        const voters = this.proposal ? node.attestations.get(this.proposal) : undefined;
+        return {
+            ...super.describeNode(node),
+            "Committed": node.committedHeight,
+            "Chain height": node.chain.height,
+            "Stake": `${node.stake} of ${this.totalStake}`,
+            "Attestations": voters ? `${voters.size} for ${this.proposal}` : "none pending"
+        };
+    }
+
+    onPhaseStart(phase) {
+        const nodes = this.simulation.nodes;
+        if (nodes.length === 0) return;
+
+        if (phase === POS_PHASES.PROPOSAL) {
+            const proposer = this.pickProposer(nodes);
+            nodes.forEach(node => {
+                this.setRole(node, node === proposer ? POS_ROLES.PROPOSER : POS_ROLES.VALIDATOR);
+            });
+            this.proposal = this.simulation.broadcast(proposer, "block").id;
+            this.recentProposals = [...this.recentProposals, this.proposal].slice(-ATTESTATION_SLOTS);
+            nodes.forEach(node => this.pruneAttestations(node));
+        } else if (phase === POS_PHASES.ATTESTATION && this.proposal) {
+            nodes.filter(node => node.chain.tip.hash === this.proposal).forEach(node => {
+                this.addAttestation(node, node, this.proposal);
+                this.multicast(node, "attestation", { hash: this.proposal });
+            });
+        }
+    }
+
+    receive(message) {
+        if (message.type !== "attestation") {
+            return false;
+        }
+        this.addAttestation(message.target, message.source, message.payload.hash);
+        return true;
+    }
+
+    onBlockAccepted(node) {
+        // Attestations can arrive before the block they are for
+        Array.from(node.attestations.keys()).forEach(hash => this.checkFinality(node, hash));
+    }
+
+    /**
+     * Count a validator's vote at a node
+     * @param {SimNode} node - Node tallying the votes
+     * @param {SimNode} validator - Validator that attested
+     * @param {string} hash - Block it attested to
+     */
+    addAttestation(node, validator, hash) {
+        if (!this.recentProposals.includes(hash)) return;
+        const voters = node.attestations.get(hash) ?? new Set();
+        voters.add(validator);
+        node.attestations.set(hash, voters);
+        this.checkFinality(node, hash);
+    }
+
+    /**
+     * Finalize a block at a node once it holds the block and attestations from two thirds of stake
+     * @param {SimNode} node - Node tallying the votes
+     * @param {string} hash - Block attested to
+     */
+    checkFinality(node, hash) {
+        const block = node.chain.blocks.get(hash);
+        const voters = node.attestations.get(hash);
+        if (!block || !voters) return;
+
+        const attestedStake = Array.from(voters).reduce((sum, voter) => sum + voter.stake, 0);
+        if (attestedStake * 3 >= this.totalStake * 2 && block.height > node.committedHeight) {
+            this.setCommitted(node, block.height);
+        }
+        if (block.height <= node.committedHeight) {
+            node.attestations.delete(hash);
+        }
+    }
+
+    /**
+     * Drop a node's attestations for proposals that are too old, or at or below the height it has finalized
+     * @param {SimNode} node - Node tallying the votes
+     */
+    pruneAttestations(node) {
+        Array.from(node.attestations.keys()).forEach(hash => {
+            const block = node.chain.blocks.get(hash);
+            if (!this.recentProposals.includes(hash) || (block && block.height <= node.committedHeight)) {
+                node.attestations.delete(hash);
+            }
+        });
+    }
+
+    /**
+     * Pick the slot's proposer with odds proportional to stake
+     * @param {SimNode[]} nodes - Validators
+     * @returns {SimNode}
+     */
+    pickProposer(nodes) {
+        let roll = this.simulation.random.next() * this.totalStake;
+        return nodes.find(node => (roll -= node.stake) < 0) ?? nodes[nodes.length - 1];
+    }
+}
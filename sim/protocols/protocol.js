@@ -0,0 +1,128 @@
+import { PHASES } from "../phases.js";
+
+/**
+ * Phases every protocol can use; the simulation runs them itself
+ * (peer discovery, and nodes joining and leaving)
+ */
+export const NETWORK_PHASES = [PHASES.DISCOVERY, PHASES.NETWORK_CHANGES];
+
+/**
+ * Base class for consensus protocols.
+ *
+ * A protocol plugs into a NetworkSimulation and describes itself with static
+ * fields: `id`, `title`, `phaseNames` (phases it understands), `phases` (its
+ * default phase sequence), `messageSizes` (its message types, in bytes),
+ * `roles`, `initialNodeCount` and `usesMining` (whether nodes get hashpower).
+ * The simulation calls the hooks below; subclasses override the ones they need.
+ */
+export class ConsensusProtocol {
+    static messageSizes = {};
+    static roles = {};
+    static initialNodeCount = 1;
+    static usesMining = false;
+
+    /**
+     * @param {NetworkSimulation} simulation - The simulation this protocol runs in
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.messageSizes = this.constructor.messageSizes;
+    }
+
+    /**
+     * Called once the initial nodes exist, before the first phase starts
+     */
+    start() {}
+
+    /**
+     * Called whenever a new phase begins, including the first one and any that run alongside another
+     * @param {string} phase - The new phase
+     */
+    onPhaseStart(phase) {}
+
+    /**
+     * Called every simulation step, whatever the phase
+     * @param {string[]} phases - Phases running now: the current one, then any running alongside it
+     */
+    handleStep(phases) {}
+
+    /**
+     * Handle a delivered message
+     * @param {Object} message - The message
+     * @returns {boolean} Whether the protocol consumed it
+     */
+    receive(message) {
+        return false;
+    }
+
+    /**
+     * Called when a node connects a block, and any orphans waiting on it, to its block tree, whether or not it became the tip
+     * @param {SimNode} node - The node
+     * @param {Object} block - The block
+     */
+    onBlockAccepted(node, block) {}
+
+    /**
+     * @param {SimNode} node - Node that just joined
+     */
+    onNodeAdded(node) {}
+
+    /**
+     * @param {SimNode} node - Node that just left
+     */
+    onNodeRemoved(node) {}
+
+    /**
+     * Protocol state a node holds, for views to show when it is inspected
+     * @param {SimNode} node - The node
+     * @returns {Object<string, string|number>} Label to value
+     */
+    describeNode(node) {
+        return node.role ? { "Role": node.role } : {};
+    }
+
+    /**
+     * Give a node a new role, telling views about it
+     * @param {SimNode} node - The node
+     * @param {string|null} role - One of the protocol's roles
+     */
+    setRole(node, role) {
+        if (node.role === role) return;
+        node.role = role;
+        this.simulation.emit("roleChanged", { node, role });
+    }
+
+    /**
+     * Record how far a node's replicated log or chain has been committed
+     * @param {SimNode} node - The node
+     * @param {number} height - Number of committed entries
+     */
+    setCommitted(node, height) {
+        if (node.committedHeight === height) return;
+        node.committedHeight = height;
+        this.simulation.emit("committed", { node, height });
+    }
+
+    /**
+     * Connect a node to every other node, for protocols that assume all replicas talk directly
+     * @param {SimNode} node - The node
+     */
+    connectToAll(node) {
+        this.simulation.nodes.forEach(other => this.simulation.connect(node, other));
+    }
+
+    /**
+     * Send the same message to every peer of a node
+     * @param {SimNode} source - Sending node
+     * @param {string} type - Message type
+     * @param {Object} payload - Message contents
+     */
+    multicast(source, type, payload) {
+        source.connections.forEach(peerId => {
+            const peer = this.simulation.getNode(peerId);
+            if (peer) {
+                this.simulation.sendMessage(source, peer, type, payload);
+            }
+        });
+    }
+}
@@ -0,0 +1,301 @@
+import { ConsensusProtocol } from "./protocol.js";
+
+/**
+ * Phases of a Raft run
+ */
+export const RAFT_PHASES = {
+    ELECTION: "raft_election",      // The leader crashes and the followers elect a new one
+    REPLICATION: "raft_replication" // The leader appends commands and replicates them
+};
+
+/**
+ * Roles a Raft server can have
+ */
+export const RAFT_ROLES = {
+    FOLLOWER: "follower",
+    CANDIDATE: "candidate",
+    LEADER: "leader"
+};
+
+// Range of randomized election timeouts, in ms
+const ELECTION_TIMEOUT_MIN = 1500;
+const ELECTION_TIMEOUT_MAX = 3000;
+
+// How often the leader sends appendEntries, empty or not, in ms
+const HEARTBEAT_INTERVAL = 500;
+
+// How often the leader takes a new client command during replication, in ms
+const COMMAND_INTERVAL = 1000;
+
+/**
+ * Raft: a leader, elected by a majority for a numbered term, appends
+ * commands to its log and replicates them to the followers. An entry is
+ * committed once a majority of servers store it. Followers that stop
+ * hearing from the leader start an election for the next term.
+ *
+ * Log positions are counts of entries, so index 0 means an empty log.
+ */
+export class RaftProtocol extends ConsensusProtocol {
+    static id = "raft";
+    static title = "Raft";
+    static phaseNames = Object.values(RAFT_PHASES);
+    static phases = [
+        { phase: RAFT_PHASES.ELECTION, duration: 6000 },
+        { phase: RAFT_PHASES.REPLICATION, duration: 10000 }
+    ];
+    static roles = RAFT_ROLES;
+    static messageSizes = {
+        requestVote: 100,
+        vote: 50,
+        appendEntries: 150,
+        appendResponse: 50
+    };
+    static initialNodeCount = 5;
+
+    constructor(simulation) {
+        super(simulation);
+        this.nextCommandAt = 0;
+        this.commandCount = 0;
+    }
+
+    onNodeAdded(node) {
+        node.raft = {
+            term: 0,
+            votedFor: null,
+            votes: new Set(),
+            log: [],            // { term, command }
+            commitIndex: 0,
+            electionDeadline: this.randomDeadline(),
+            nextHeartbeatAt: 0,
+            nextIndex: new Map(),  // Leader only: how much of its log each follower is believed to have
+            matchIndex: new Map(), // Leader only: how much of its log each follower is known to have
+            isDown: false
+        };
+        this.connectToAll(node);
+        this.setRole(node, RAFT_ROLES.FOLLOWER);
+    }
+
+    describeNode(node) {
+        const state = node.raft;
+        return {
+            ...super.describeNode(node),
+            "Committed": node.committedHeight,
+            "Term": state.term,
+            "Voted for": state.votedFor ?? "nobody",
+            "Log": `${state.log.length} entries`,
+            "Down": state.isDown ? "yes" : "no"
+        };
+    }
+
+    onPhaseStart(phase) {
+        const nodes = this.simulation.nodes;
+        if (phase === RAFT_PHASES.ELECTION) {
+            // The leader crashes; the followers time out and elect a new one
+            nodes.filter(node => node.role === RAFT_ROLES.LEADER).forEach(node => {
+                node.raft.isDown = true;
+                this.setRole(node, RAFT_ROLES.FOLLOWER);
+            });
+        } else if (phase === RAFT_PHASES.REPLICATION) {
+            // Crashed servers come back with a stale term and learn the new one
+            nodes.forEach(node => {
+                if (node.raft.isDown) {
+                    node.raft.isDown = false;
+                    node.raft.electionDeadline = this.randomDeadline();
+                }
+            });
+            this.nextCommandAt = this.simulation.now;
+        }
+    }
+
+    handleStep(phases) {
+        const now = this.simulation.now;
+        this.simulation.nodes.forEach(node => {
+            const state = node.raft;
+            if (state.isDown) return;
+
+            if (node.role === RAFT_ROLES.LEADER) {
+                if (phases.includes(RAFT_PHASES.REPLICATION) && now >= this.nextCommandAt) {
+                    state.log.push({ term: state.term, command: `cmd-${this.commandCount++}` });
+                    this.nextCommandAt = now + COMMAND_INTERVAL;
+                }
+                if (now >= state.nextHeartbeatAt) {
+                    this.sendHeartbeats(node);
+                }
+            } else if (now >= state.electionDeadline) {
+                this.startElection(node);
+            }
+        });
+    }
+
+    receive(message) {
+        const { source, target, type, payload } = message;
+        if (!(type in RaftProtocol.messageSizes)) {
+            return false;
+        }
+        const state = target.raft;
+        if (state.isDown) {
+            return true; // Crashed servers drop everything
+        }
+        if (payload.term > state.term) {
+            this.becomeFollower(target, payload.term);
+        }
+
+        switch (type) {
+            case "requestVote": {
+                const lastTerm = state.log[state.log.length - 1]?.term ?? 0;
+                const isUpToDate = payload.lastLogTerm > lastTerm ||
+                    (payload.lastLogTerm === lastTerm && payload.lastLogIndex >= state.log.length);
+                const granted = payload.term === state.term && isUpToDate &&
+                    (state.votedFor === null || state.votedFor === source.nodeId);
+                if (granted) {
+                    state.votedFor = source.nodeId;
+                    state.electionDeadline = this.randomDeadline();
+                }
+                this.simulation.sendMessage(target, source, "vote", { term: state.term, granted });
+                break;
+            }
+            case "vote":
+                if (target.role === RAFT_ROLES.CANDIDATE && payload.term === state.term && payload.granted) {
+                    state.votes.add(source.nodeId);
+                    if (state.votes.size > this.simulation.nodes.length / 2) {
+                        this.becomeLeader(target);
+                    }
+                }
+                break;
+            case "appendEntries":
+                this.handleAppendEntries(target, source, payload);
+                break;
+            case "appendResponse":
+                if (target.role === RAFT_ROLES.LEADER && payload.term === state.term) {
+                    if (payload.success) {
+                        state.matchIndex.set(source.nodeId, payload.matchIndex);
+                        state.nextIndex.set(source.nodeId, payload.matchIndex);
+                        this.advanceCommitIndex(target);
+                    } else {
+                        // Back off and retry with an earlier entry on the next heartbeat
+                        state.nextIndex.set(source.nodeId, Math.max(0, (state.nextIndex.get(source.nodeId) ?? 0) - 1));
+                    }
+                }
+                break;
+        }
+        return true;
+    }
+
+    onNodeRemoved(node) {
+        this.simulation.nodes.forEach(other => {
+            other.raft.nextIndex.delete(node.nodeId);
+            other.raft.matchIndex.delete(node.nodeId);
+        });
+    }
+
+    /**
+     * Vote for ourselves in a new term and ask everyone else for their vote
+     * @param {SimNode} node - Server whose election timeout ran out
+     */
+    startElection(node) {
+        const state = node.raft;
+        state.term++;
+        state.votedFor = node.nodeId;
+        state.votes = new Set([node.nodeId]);
+        state.electionDeadline = this.randomDeadline();
+        this.setRole(node, RAFT_ROLES.CANDIDATE);
+
+        this.multicast(node, "requestVote", {
+            term: state.term,
+            lastLogIndex: state.log.length,
+            lastLogTerm: state.log[state.log.length - 1]?.term ?? 0
+        });
+    }
+
+    becomeLeader(node) {
+        const state = node.raft;
+        state.nextIndex = new Map(Array.from(node.connections, peerId => [peerId, state.log.length]));
+        state.matchIndex = new Map(Array.from(node.connections, peerId => [peerId, 0]));
+        this.setRole(node, RAFT_ROLES.LEADER);
+        this.sendHeartbeats(node); // Announce ourselves before anyone else times out
+    }
+
+    becomeFollower(node, term) {
+        const state = node.raft;
+        state.term = term;
+        state.votedFor = null;
+        state.votes = new Set();
+        this.setRole(node, RAFT_ROLES.FOLLOWER);
+    }
+
+    /**
+     * Send every follower the entries it's missing, or an empty heartbeat
+     * @param {SimNode} leader - The leader
+     */
+    sendHeartbeats(leader) {
+        const state = leader.raft;
+        state.nextHeartbeatAt = this.simulation.now + HEARTBEAT_INTERVAL;
+        leader.connections.forEach(peerId => {
+            const peer = this.simulation.getNode(peerId);
+            if (!peer) return;
+            const prevIndex = Math.min(state.nextIndex.get(peerId) ?? state.log.length, state.log.length);
+            const entries = state.log.slice(prevIndex);
+            this.simulation.sendMessage(leader, peer, "appendEntries", {
+                term: state.term,
+                prevIndex,
+                prevTerm: state.log[prevIndex - 1]?.term ?? 0,
+                entries,
+                leaderCommit: state.commitIndex
+            }, RaftProtocol.messageSizes.appendEntries + entries.length * 50);
+        });
+    }
+
+    handleAppendEntries(node, leader, payload) {
+        const state = node.raft;
+        if (payload.term < state.term) {
+            this.simulation.sendMessage(node, leader, "appendResponse", { term: state.term, success: false });
+            return;
+        }
+
+        // A current leader exists: stop any election of our own
+        if (node.role !== RAFT_ROLES.FOLLOWER) {
+            this.becomeFollower(node, payload.term);
+        }
+        state.electionDeadline = this.randomDeadline();
+
+        const matches = payload.prevIndex === 0 ||
+            (state.log.length >= payload.prevIndex && state.log[payload.prevIndex - 1].term === payload.prevTerm);
+        if (!matches) {
+            this.simulation.sendMessage(node, leader, "appendResponse", { term: state.term, success: false });
+            return;
+        }
+
+        // Drop anything after the matching entry that the leader doesn't have, then append
+        state.log.splice(payload.prevIndex, Infinity, ...payload.entries);
+        const matchIndex = payload.prevIndex + payload.entries.length;
+        this.commitUpTo(node, Math.min(payload.leaderCommit, matchIndex));
+        this.simulation.sendMessage(node, leader, "appendResponse", { term: state.term, success: true, matchIndex });
+    }
+
+    /**
+     * Commit the highest entry of the leader's term that a majority stores
+     * @param {SimNode} leader - The leader
+     */
+    advanceCommitIndex(leader) {
+        const state = leader.raft;
+        const majority = this.simulation.nodes.length / 2;
+        for (let index = state.log.length; index > state.commitIndex; index--) {
+            const stored = 1 + Array.from(state.matchIndex.values()).filter(match => match >= index).length;
+            if (stored > majority && state.log[index - 1].term === state.term) {
+                this.commitUpTo(leader, index);
+                return;
+            }
+        }
+    }
+
+    commitUpTo(node, index) {
+        if (index > node.raft.commitIndex) {
+            node.raft.commitIndex = index;
+            this.setCommitted(node, index);
+        }
+    }
+
+    randomDeadline() {
+        return this.simulation.now + this.simulation.random.range(ELECTION_TIMEOUT_MIN, ELECTION_TIMEOUT_MAX);
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Small seedable pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence, in any JavaScript engine.
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - Integer seed, or any string (hashed to an integer)
+     */
+    constructor(seed) {
+        this.seed = normalizeSeed(seed);
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1), the drop-in replacement for Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [0, max)
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random float in [min, max)
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number}
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * True with the given probability
+     * @param {number} probability - Value from 0 to 1
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random element of an array
+     * @param {Array} items - Items to pick from
+     * @returns {*} undefined if the array is empty
+     */
+    pick(items) {
+        return items[this.int(items.length)];
+    }
+}
+
+/**
+ * Scramble a 32-bit integer (MurmurHash3's finalizer). The mix can be undone,
+ * so different inputs always give different outputs: a counter run through it
+ * gives IDs that look random but never collide
+ * @param {number} value - Integer, taken modulo 2^32
+ * @returns {number} 32-bit unsigned integer
+ */
+export function scramble(value) {
+    let h = value >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a fresh seed for runs that don't specify one
+ * @returns {number}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turn a user-supplied seed into a 32-bit unsigned integer
+ * @param {number|string} seed - Integer seed or arbitrary string
+ * @returns {number}
+ */
+function normalizeSeed(seed) {
+    const text = String(seed).trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for non-numeric seeds
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
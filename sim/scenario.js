@@ -0,0 +1,582 @@
+import { PHASES, PHASE_DURATIONS } from "./phases.js";
+import { LINK_DEFAULTS, MESSAGE_SIZES } from "./link.js";
+import { PROTOCOLS, NETWORK_PHASES } from "./protocols/index.js";
+import { BEHAVIORS, ATTACK_DEFAULTS } from "./adversary.js";
+import { TOPOLOGIES, topologyDefaults } from "./topology.js";
+import { GEO_REGIONS, GEO_DEFAULTS, regionWeights } from "./geo.js";
+
+export { PHASE_DURATIONS };
+
+/**
+ * The built-in demo: one Bitcoin node, the four phases in a loop, up to 20 nodes of churn
+ */
+export const DEFAULT_SCENARIO = {
+    name: "Default",
+    seed: undefined,
+    protocol: "bitcoin",
+    radius: 5,
+    initialNodeCount: 1,
+    nodes: [],
+    links: [],
+    topology: { type: "bitcoin", ...topologyDefaults("bitcoin") },
+    geography: { enabled: false, regions: regionWeights(), ...GEO_DEFAULTS },
+    phases: [
+        { phase: PHASES.NETWORK_CHANGES, duration: PHASE_DURATIONS[PHASES.NETWORK_CHANGES] },
+        { phase: PHASES.DISCOVERY, duration: PHASE_DURATIONS[PHASES.DISCOVERY] },
+        { phase: PHASES.SYNCING, duration: PHASE_DURATIONS[PHASES.SYNCING] },
+        { phase: PHASES.PROCESSING, duration: PHASE_DURATIONS[PHASES.PROCESSING] }
+    ],
+    loopPhases: true,  // Start the sequence over after its last phase; false stays in the last phase
+    startOffset: 6900, // Start near the end of the first phase
+    churn: {
+        interval: 2000,
+        leaveProbability: 0.5,
+        minNodes: 2,
+        maxNodes: 20
+    },
+    packets: {
+        peerDiscoveriesPerSecond: 1000 / 150,
+        transactionsPerSecond: 1.5
+    },
+    mining: {
+        targetBlockInterval: 2000, // ms, average time between blocks network-wide
+        minerProbability: 0.5,     // Chance a node without declared hashpower mines
+        minHashpower: 1,           // Range miners' hashpower is drawn from
+        maxHashpower: 10
+    },
+    transactions: {
+        minFee: 500,              // satoshis
+        maxFee: 50000,
+        minSize: 150,             // bytes
+        maxSize: 600,
+        conflictProbability: 0.05 // Chance a new transaction double-spends a recent one's input
+    },
+    linkDefaults: { ...LINK_DEFAULTS },
+    messageSizes: { ...MESSAGE_SIZES },
+    partitions: [],
+    attacks: []
+};
+
+/**
+ * Raised when a scenario file doesn't match the format.
+ * `errors` lists every problem found, one readable sentence each.
+ */
+export class ScenarioError extends Error {
+    /**
+     * @param {string[]} errors - Problems found in the scenario
+     */
+    constructor(errors) {
+        super(`Invalid scenario:\n- ${errors.join("\n- ")}`);
+        this.name = "ScenarioError";
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a scenario and fill in defaults for everything it leaves out.
+ *
+ * Format (every field optional):
+ * {
+ *   "name": "Netsplit demo",
+ *   "seed": 42,
+ *   "protocol": "bitcoin",                 // consensus protocol, a key of PROTOCOLS: "bitcoin", "raft", "pbft" or "pos"
+ *   "radius": 5,
+ *   "initialNodeCount": 6,                 // used when "nodes" is empty; defaults to the protocol's cluster size
+ *   "nodes": [{ "id": "a", "position": { "x": 0, "y": 0, "z": 5 }, "hashpower": 10, "stake": 32, "behavior": "honest",
+ *               "attributes": { "network": "onion", "client": "/Satoshi:27.0.0/" }, "location": { "lat": 52.4, "lon": 4.9 } }],
+ *                                          // ids can't contain "|"; hashpower 0 = not a miner; stake only matters
+ *                                          // under "pos"; behavior is one of BEHAVIORS: "honest", "drop_relay",
+ *                                          // "invalid", "double_spend", ...;
+ *                                          // attributes are strings, numbers or booleans describing a real node;
+ *                                          // location (degrees) only matters with geography enabled, and wins over position
+ *   "links": [{ "source": "a", "target": "b", "latency": 150, "bandwidth": 500000 }],
+ *   "topology": { "type": "small_world", "neighbors": 4, "rewireProbability": 0.1 }, // builds the initial graph
+ *                                          // when "links" is empty, and guides discovery; type is a key of
+ *                                          // TOPOLOGIES, the other fields its params (defaults for any left out)
+ *   "geography": { "enabled": true, "regions": { "europe": 45, "north_america": 30, ... },
+ *                  "baseLatency": 150, "msPerThousandKm": 40 }, // puts nodes on a globe: nodes without a location
+ *                                          // are drawn from the regions (keys of GEO_REGIONS, by weight; regions
+ *                                          // left out get none), and links without a latency get it from distance
+ *   "phases": [{ "phase": "discovery", "duration": 5000 }, ...], // the protocol's own phases plus "discovery"
+ *                                          // and "network_changes"; defaults to the protocol's sequence.
+ *                                          // "with": ["network_changes"] runs more phases alongside one
+ *   "loopPhases": true,                    // false runs the sequence once, then stays in its last phase
+ *   "startOffset": 0,                      // ms already elapsed in the first phase
+ *   "churn": { "interval": 2000, "leaveProbability": 0.5, "minNodes": 2, "maxNodes": 20 },
+ *   "packets": { "peerDiscoveriesPerSecond": 6, "transactionsPerSecond": 1.5 },
+ *   "mining": { "targetBlockInterval": 2000, "minerProbability": 0.5, "minHashpower": 1, "maxHashpower": 10 },
+ *   "transactions": { "minFee": 500, "maxFee": 50000, "minSize": 150, "maxSize": 600, "conflictProbability": 0.05 },
+ *   "linkDefaults": { "minLatency": 200, "maxLatency": 800, "bandwidth": 2000000 }, // ms, bytes per second
+ *   "messageSizes": { "inv": 36, "tx": 400, "block": 1000000, "getheaders": 1000, ... }, // bytes, for any of
+ *                                          // MESSAGE_SIZES' types; addr, inv, getdata and headers per entry;
+ *                                          // transactions travel at their own size, and blocks hold at most
+ *                                          // "block" bytes of them
+ *   "partitions": [                        // netsplits, "at" and "duration" in ms from the start
+ *     { "at": 10000, "groupCount": 2, "duration": 15000 },
+ *     { "at": 40000, "groups": [["a", "b"], ["c"]] }   // ids from "nodes", each in one group at most;
+ *                                                      // no duration: never heals
+ *   ],
+ *   "attacks": [                           // attackers joining at "at" ms; "bitcoin" only, as the others don't gossip
+ *     { "type": "sybil", "at": 10000, "count": 6 },
+ *     { "type": "eclipse", "at": 20000, "victim": "a", "count": 4 } // victim: one of "nodes", or a random honest
+ *                                                                   // node if omitted
+ *   ]
+ * }
+ *
+ * @param {string|Object} input - JSON text or parsed object
+ * @returns {Object} Complete scenario
+ * @throws {ScenarioError} Listing every problem found
+ */
+export function parseScenario(input) {
+    let data = input;
+    if (typeof input === "string") {
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new ScenarioError([`the file is not valid JSON (${error.message})`]);
+        }
+    }
+
+    const errors = [];
+    if (!isObject(data)) {
+        throw new ScenarioError(["a scenario must be a JSON object"]);
+    }
+
+    checkKeys(data, Object.keys(DEFAULT_SCENARIO), "scenario", errors);
+
+    const scenario = {
+        ...DEFAULT_SCENARIO,
+        ...data,
+        churn: { ...DEFAULT_SCENARIO.churn },
+        packets: { ...DEFAULT_SCENARIO.packets },
+        mining: { ...DEFAULT_SCENARIO.mining },
+        transactions: { ...DEFAULT_SCENARIO.transactions },
+        linkDefaults: { ...DEFAULT_SCENARIO.linkDefaults },
+        messageSizes: { ...DEFAULT_SCENARIO.messageSizes }
+    };
+
+    if (data.name !== undefined && typeof data.name !== "string") {
+        errors.push("\"name\" must be a string");
+    }
+    if (data.seed !== undefined && typeof data.seed !== "number" && typeof data.seed !== "string") {
+        errors.push("\"seed\" must be a number or a string");
+    }
+    checkNumber(data, "radius", "scenario", errors, { min: 0, exclusive: true });
+    checkNumber(data, "initialNodeCount", "scenario", errors, { min: 0, integer: true });
+    checkNumber(data, "startOffset", "scenario", errors, { min: 0 });
+
+    // Protocol; only the table's own keys, not ones like "toString" it inherits
+    const Protocol = isKeyOf(PROTOCOLS, scenario.protocol) ? PROTOCOLS[scenario.protocol] : null;
+    if (!Protocol) {
+        const known = Object.keys(PROTOCOLS).map(name => `"${name}"`).join(", ");
+        errors.push(`"protocol" must be one of ${known}`);
+    } else if (Protocol !== PROTOCOLS[DEFAULT_SCENARIO.protocol]) {
+        // Other protocols come with their own phase sequence and cluster size
+        if (data.phases === undefined) {
+            scenario.phases = Protocol.phases;
+            scenario.startOffset = data.startOffset ?? 0;
+        }
+        if (data.initialNodeCount === undefined) {
+            scenario.initialNodeCount = Protocol.initialNodeCount;
+        }
+    }
+
+    // Nodes
+    const nodeIds = new Set();
+    if (data.nodes !== undefined) {
+        if (!Array.isArray(data.nodes)) {
+            errors.push("\"nodes\" must be an array");
+            scenario.nodes = [];
+        } else {
+            data.nodes.forEach((node, index) => {
+                const path = `nodes[${index}]`;
+                if (!isObject(node)) {
+                    errors.push(`${path} must be an object`);
+                    return;
+                }
+                checkKeys(node, ["id", "position", "hashpower", "stake", "behavior", "attributes", "location"], path, errors);
+                checkNumber(node, "hashpower", path, errors, { min: 0 });
+                checkNumber(node, "stake", path, errors, { min: 0, exclusive: true });
+                if (node.behavior !== undefined && !Object.values(BEHAVIORS).includes(node.behavior)) {
+                    const known = Object.values(BEHAVIORS).map(behavior => `"${behavior}"`).join(", ");
+                    errors.push(`${path}.behavior must be one of ${known}`);
+                }
+                if (typeof node.id !== "string" || node.id === "") {
+                    errors.push(`${path}.id must be a non-empty string`);
+                } else if (node.id.includes("|")) {
+                    // Links are keyed by their ends' IDs joined with "|"
+                    errors.push(`${path}.id "${node.id}" must not contain "|"`);
+                } else if (nodeIds.has(node.id)) {
+                    errors.push(`${path}.id "${node.id}" is used by another node`);
+                } else {
+                    nodeIds.add(node.id);
+                }
+                if (node.position !== undefined) {
+                    const position = node.position;
+                    if (!isObject(position) || ["x", "y", "z"].some(axis => typeof position[axis] !== "number")) {
+                        errors.push(`${path}.position must be an object with numeric x, y and z`);
+                    }
+                }
+                if (node.attributes !== undefined && (!isObject(node.attributes) ||
+                    Object.values(node.attributes).some(value => !["string", "number", "boolean"].includes(typeof value)))) {
+                    errors.push(`${path}.attributes must be an object of strings, numbers and booleans`);
+                }
+                if (node.location !== undefined) {
+                    const location = node.location;
+                    const bounds = { lat: 90, lon: 180 };
+                    if (!isObject(location) || Object.entries(bounds).some(([axis, limit]) =>
+                        typeof location[axis] !== "number" || !(Math.abs(location[axis]) <= limit))) {
+                        errors.push(`${path}.location must be an object with lat from -90 to 90 and lon from -180 to 180`);
+                    }
+                }
+            });
+        }
+    }
+
+    // Links
+    if (data.links !== undefined) {
+        if (!Array.isArray(data.links)) {
+            errors.push("\"links\" must be an array");
+            scenario.links = [];
+        } else {
+            data.links.forEach((link, index) => {
+                const path = `links[${index}]`;
+                if (!isObject(link)) {
+                    errors.push(`${path} must be an object with "source" and "target"`);
+                    return;
+                }
+                checkKeys(link, ["source", "target", "latency", "bandwidth"], path, errors);
+                checkNumber(link, "latency", path, errors, { min: 0 });
+                checkNumber(link, "bandwidth", path, errors, { min: 0, exclusive: true });
+                ["source", "target"].forEach(end => {
+                    if (!nodeIds.has(link[end])) {
+                        errors.push(`${path}.${end} "${link[end]}" is not the id of a node in "nodes"`);
+                    }
+                });
+                if (link.source === link.target) {
+                    errors.push(`${path} connects "${link.source}" to itself`);
+                }
+            });
+        }
+    }
+
+    // Topology
+    if (data.topology !== undefined) {
+        if (!isObject(data.topology)) {
+            errors.push("\"topology\" must be an object with a \"type\"");
+            scenario.topology = DEFAULT_SCENARIO.topology;
+        } else if (!isKeyOf(TOPOLOGIES, data.topology.type)) {
+            const known = Object.keys(TOPOLOGIES).map(type => `"${type}"`).join(", ");
+            errors.push(`topology.type must be one of ${known}`);
+        } else {
+            const params = TOPOLOGIES[data.topology.type].params;
+            checkKeys(data.topology, ["type", ...Object.keys(params)], "topology", errors);
+            Object.entries(params).forEach(([name, { min, max, step }]) => {
+                checkNumber(data.topology, name, "topology", errors, { min, max, integer: Number.isInteger(step) });
+            });
+            scenario.topology = { ...topologyDefaults(data.topology.type), ...data.topology };
+        }
+    }
+
+    // Geography
+    if (data.geography !== undefined) {
+        if (!isObject(data.geography)) {
+            errors.push("\"geography\" must be an object");
+            scenario.geography = DEFAULT_SCENARIO.geography;
+        } else {
+            checkKeys(data.geography, Object.keys(DEFAULT_SCENARIO.geography), "geography", errors);
+            if (data.geography.enabled !== undefined && typeof data.geography.enabled !== "boolean") {
+                errors.push("geography.enabled must be true or false");
+            }
+            checkNumber(data.geography, "baseLatency", "geography", errors, { min: 0 });
+            checkNumber(data.geography, "msPerThousandKm", "geography", errors, { min: 0 });
+            const regions = data.geography.regions;
+            if (regions !== undefined) {
+                if (!isObject(regions)) {
+                    errors.push("geography.regions must be an object of region weights");
+                } else {
+                    checkKeys(regions, Object.keys(GEO_REGIONS), "geography.regions", errors);
+                    Object.keys(regions).forEach(name => {
+                        checkNumber(regions, name, "geography.regions", errors, { min: 0 });
+                    });
+                    if (!Object.values(regions).some(weight => weight > 0)) {
+                        errors.push("geography.regions must give at least one region a weight above 0");
+                    }
+                }
+            }
+            scenario.geography = {
+                ...DEFAULT_SCENARIO.geography,
+                ...data.geography,
+                regions: { ...(isObject(regions) ? regions : DEFAULT_SCENARIO.geography.regions) }
+            };
+        }
+    }
+
+    // Phases
+    if (data.phases !== undefined) {
+        const knownPhases = Protocol ? Array.from(new Set([...NETWORK_PHASES, ...Protocol.phaseNames])) : Object.values(PHASES);
+        if (!Array.isArray(data.phases) || data.phases.length === 0) {
+            errors.push("\"phases\" must be a non-empty array");
+            scenario.phases = DEFAULT_SCENARIO.phases;
+        } else {
+            data.phases.forEach((entry, index) => {
+                const path = `phases[${index}]`;
+                if (!isObject(entry)) {
+                    errors.push(`${path} must be an object with "phase" and "duration"`);
+                    return;
+                }
+                checkKeys(entry, ["phase", "duration", "with"], path, errors);
+                const known = knownPhases.map(phase => `"${phase}"`).join(", ");
+                if (!knownPhases.includes(entry.phase)) {
+                    errors.push(`${path}.phase must be one of ${known}`);
+                }
+                if (typeof entry.duration !== "number" || !(entry.duration > 0)) {
+                    errors.push(`${path}.duration must be a positive number of milliseconds`);
+                }
+                if (entry.with !== undefined) {
+                    if (!Array.isArray(entry.with)) {
+                        errors.push(`${path}.with must be an array of phases`);
+                    } else if (entry.with.some(phase => !knownPhases.includes(phase) || phase === entry.phase)) {
+                        errors.push(`${path}.with may only list other phases among ${known}`);
+                    } else if (new Set(entry.with).size !== entry.with.length) {
+                        errors.push(`${path}.with lists a phase twice`);
+                    }
+                }
+            });
+        }
+    }
+    if (data.loopPhases !== undefined && typeof data.loopPhases !== "boolean") {
+        errors.push("\"loopPhases\" must be true or false");
+    }
+    // Phases can be retimed while running: never share the defaults' entries
+    scenario.phases = scenario.phases.map(entry => entry.with ? { ...entry, with: [...entry.with] } : { ...entry });
+    if (data.startOffset === undefined && data.phases !== undefined) {
+        // A custom phase list starts at the beginning of its first phase
+        scenario.startOffset = 0;
+    }
+
+    // Churn
+    if (data.churn !== undefined) {
+        if (!isObject(data.churn)) {
+            errors.push("\"churn\" must be an object");
+        } else {
+            checkKeys(data.churn, Object.keys(DEFAULT_SCENARIO.churn), "churn", errors);
+            checkNumber(data.churn, "interval", "churn", errors, { min: 0, exclusive: true });
+            checkNumber(data.churn, "leaveProbability", "churn", errors, { min: 0, max: 1 });
+            checkNumber(data.churn, "minNodes", "churn", errors, { min: 0, integer: true });
+            checkNumber(data.churn, "maxNodes", "churn", errors, { min: 0, integer: true });
+            Object.assign(scenario.churn, data.churn);
+        }
+    }
+    if (data.churn?.maxNodes === undefined) {
+        const initialCount = nodeIds.size || scenario.initialNodeCount;
+        scenario.churn.maxNodes = Math.max(DEFAULT_SCENARIO.churn.maxNodes, Math.ceil(initialCount * 1.5));
+    }
+    if (scenario.churn.minNodes > scenario.churn.maxNodes) {
+        errors.push("churn.minNodes must not be larger than churn.maxNodes");
+    }
+
+    // Packet rates
+    if (data.packets !== undefined) {
+        if (!isObject(data.packets)) {
+            errors.push("\"packets\" must be an object");
+        } else {
+            // blocksPerSecond predates mining and is still read as the target block interval
+            const packetKeys = [...Object.keys(DEFAULT_SCENARIO.packets), "blocksPerSecond"];
+            checkKeys(data.packets, packetKeys, "packets", errors);
+            packetKeys.forEach(key => {
+                checkNumber(data.packets, key, "packets", errors, { min: 0 });
+            });
+            const { blocksPerSecond, ...packets } = data.packets;
+            Object.assign(scenario.packets, packets);
+            if (blocksPerSecond > 0) {
+                scenario.mining.targetBlockInterval = 1000 / blocksPerSecond;
+            }
+        }
+    }
+
+    // Mining
+    if (data.mining !== undefined) {
+        if (!isObject(data.mining)) {
+            errors.push("\"mining\" must be an object");
+        } else {
+            checkKeys(data.mining, Object.keys(DEFAULT_SCENARIO.mining), "mining", errors);
+            checkNumber(data.mining, "targetBlockInterval", "mining", errors, { min: 0, exclusive: true });
+            checkNumber(data.mining, "minerProbability", "mining", errors, { min: 0, max: 1 });
+            checkNumber(data.mining, "minHashpower", "mining", errors, { min: 0 });
+            checkNumber(data.mining, "maxHashpower", "mining", errors, { min: 0 });
+            Object.assign(scenario.mining, data.mining);
+        }
+    }
+    if (scenario.mining.minHashpower > scenario.mining.maxHashpower) {
+        errors.push("mining.minHashpower must not be larger than mining.maxHashpower");
+    }
+
+    // Transactions
+    if (data.transactions !== undefined) {
+        if (!isObject(data.transactions)) {
+            errors.push("\"transactions\" must be an object");
+        } else {
+            checkKeys(data.transactions, Object.keys(DEFAULT_SCENARIO.transactions), "transactions", errors);
+            checkNumber(data.transactions, "minFee", "transactions", errors, { min: 0 });
+            checkNumber(data.transactions, "maxFee", "transactions", errors, { min: 0 });
+            checkNumber(data.transactions, "minSize", "transactions", errors, { min: 0, exclusive: true });
+            checkNumber(data.transactions, "maxSize", "transactions", errors, { min: 0, exclusive: true });
+            checkNumber(data.transactions, "conflictProbability", "transactions", errors, { min: 0, max: 1 });
+            Object.assign(scenario.transactions, data.transactions);
+        }
+    }
+    if (scenario.transactions.minFee > scenario.transactions.maxFee) {
+        errors.push("transactions.minFee must not be larger than transactions.maxFee");
+    }
+    if (scenario.transactions.minSize > scenario.transactions.maxSize) {
+        errors.push("transactions.minSize must not be larger than transactions.maxSize");
+    }
+
+    // Link and message properties
+    if (data.linkDefaults !== undefined) {
+        if (!isObject(data.linkDefaults)) {
+            errors.push("\"linkDefaults\" must be an object");
+        } else {
+            checkKeys(data.linkDefaults, Object.keys(LINK_DEFAULTS), "linkDefaults", errors);
+            checkNumber(data.linkDefaults, "minLatency", "linkDefaults", errors, { min: 0 });
+            checkNumber(data.linkDefaults, "maxLatency", "linkDefaults", errors, { min: 0 });
+            checkNumber(data.linkDefaults, "bandwidth", "linkDefaults", errors, { min: 0, exclusive: true });
+            Object.assign(scenario.linkDefaults, data.linkDefaults);
+        }
+    }
+    if (scenario.linkDefaults.minLatency > scenario.linkDefaults.maxLatency) {
+        errors.push("linkDefaults.minLatency must not be larger than linkDefaults.maxLatency");
+    }
+    if (data.messageSizes !== undefined) {
+        if (!isObject(data.messageSizes)) {
+            errors.push("\"messageSizes\" must be an object");
+        } else {
+            checkKeys(data.messageSizes, Object.keys(MESSAGE_SIZES), "messageSizes", errors);
+            Object.keys(MESSAGE_SIZES).forEach(type => {
+                checkNumber(data.messageSizes, type, "messageSizes", errors, { min: 0 });
+            });
+            Object.assign(scenario.messageSizes, data.messageSizes);
+        }
+    }
+
+    // Partitions
+    if (data.partitions !== undefined) {
+        if (!Array.isArray(data.partitions)) {
+            errors.push("\"partitions\" must be an array");
+            scenario.partitions = [];
+        } else {
+            data.partitions.forEach((split, index) => {
+                const path = `partitions[${index}]`;
+                if (!isObject(split)) {
+                    errors.push(`${path} must be an object with "at" and either "groups" or "groupCount"`);
+                    return;
+                }
+                checkKeys(split, ["at", "groups", "groupCount", "duration"], path, errors);
+                if (split.at === undefined) {
+                    errors.push(`${path}.at is required`);
+                }
+                checkNumber(split, "at", path, errors, { min: 0 });
+                checkNumber(split, "duration", path, errors, { min: 0, exclusive: true });
+                checkNumber(split, "groupCount", path, errors, { min: 2, integer: true });
+                if ((split.groups === undefined) === (split.groupCount === undefined)) {
+                    errors.push(`${path} needs exactly one of "groups" or "groupCount"`);
+                }
+                if (split.groups !== undefined) {
+                    const isValid = Array.isArray(split.groups) && split.groups.length >= 2 && split.groups.every(group =>
+                        Array.isArray(group) && group.every(nodeId => typeof nodeId === "string")
+                    );
+                    if (!isValid) {
+                        errors.push(`${path}.groups must be an array of at least two arrays of node ids`);
+                    } else {
+                        const grouped = new Set();
+                        split.groups.flat().forEach(nodeId => {
+                            if (!nodeIds.has(nodeId)) {
+                                errors.push(`${path}.groups lists "${nodeId}", which is not the id of a node in "nodes"`);
+                            } else if (grouped.has(nodeId)) {
+                                errors.push(`${path}.groups lists "${nodeId}" more than once`);
+                            }
+                            grouped.add(nodeId);
+                        });
+                    }
+                }
+            });
+        }
+    }
+
+    // Attacks
+    if (data.attacks !== undefined) {
+        if (!Array.isArray(data.attacks)) {
+            errors.push("\"attacks\" must be an array");
+            scenario.attacks = [];
+        } else {
+            if (data.attacks.length > 0 && Protocol && Protocol !== PROTOCOLS[DEFAULT_SCENARIO.protocol]) {
+                errors.push(`"attacks" only apply to the "${DEFAULT_SCENARIO.protocol}" protocol`);
+            }
+            scenario.attacks = data.attacks.map((attack, index) => {
+                const path = `attacks[${index}]`;
+                if (!isObject(attack)) {
+                    errors.push(`${path} must be an object with "type" and "at"`);
+                    return attack;
+                }
+                checkKeys(attack, ["type", "at", "count", "victim"], path, errors);
+                if (attack.type !== "sybil" && attack.type !== "eclipse") {
+                    errors.push(`${path}.type must be "sybil" or "eclipse"`);
+                }
+                if (attack.at === undefined) {
+                    errors.push(`${path}.at is required`);
+                }
+                checkNumber(attack, "at", path, errors, { min: 0 });
+                checkNumber(attack, "count", path, errors, { min: 1, integer: true });
+                if (attack.victim !== undefined && (attack.type !== "eclipse" || typeof attack.victim !== "string")) {
+                    errors.push(`${path}.victim must be a node id, and only eclipse attacks have one`);
+                } else if (attack.victim !== undefined && !nodeIds.has(attack.victim)) {
+                    errors.push(`${path}.victim "${attack.victim}" is not the id of a node in "nodes"`);
+                }
+                const defaultCount = attack.type === "sybil" ? ATTACK_DEFAULTS.sybilIdentities : ATTACK_DEFAULTS.eclipseAttackers;
+                return { ...attack, count: attack.count ?? defaultCount };
+            });
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ScenarioError(errors);
+    }
+    return scenario;
+}
+
+/**
+ * Whether a value names one of an object's own entries
+ */
+function isKeyOf(object, key) {
+    return typeof key === "string" && Object.hasOwn(object, key);
+}
+
+function isObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Report fields that aren't part of the format, which are usually typos
+ */
+function checkKeys(object, allowed, path, errors) {
+    Object.keys(object)
+        .filter(key => !allowed.includes(key))
+        .forEach(key => errors.push(`${path} has unknown field "${key}" (allowed: ${allowed.join(", ")})`));
+}
+
+function checkNumber(object, key, path, errors, { min = -Infinity, max = Infinity, exclusive = false, integer = false } = {}) {
+    const value = object[key];
+    if (value === undefined) return;
+
+    const name = path === "scenario" ? `"${key}"` : `${path}.${key}`;
+    const tooSmall = exclusive ? value <= min : value < min;
+    if (typeof value !== "number" || Number.isNaN(value) || tooSmall || value > max || (integer && !Number.isInteger(value))) {
+        const kind = integer ? "an integer" : "a number";
+        const bounds = [
+            min > -Infinity ? `${exclusive ? "greater than" : "at least"} ${min}` : null,
+            max < Infinity ? `at most ${max}` : null
+        ].filter(Boolean).join(" and ");
+        errors.push(`${name} must be ${kind}${bounds ? ` ${bounds}` : ""}`);
+    }
+}
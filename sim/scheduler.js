@@ -0,0 +1,127 @@
+/**
+ * Discrete-event scheduler driving the simulation clock.
+ *
+ * Events run in time order; events scheduled for the same time run in the
+ * order they were scheduled, so runs are fully reproducible. Nothing here
+ * depends on wall-clock time: the clock only moves when runUntil() is called.
+ */
+export class EventScheduler {
+    constructor() {
+        this.now = 0;
+        this.queue = [];
+        this.sequence = 0;
+    }
+
+    /**
+     * Run a callback after a delay of simulation time
+     * @param {number} delay - Delay in simulation milliseconds
+     * @param {Function} callback - Called with the scheduler when the event fires
+     * @returns {Object} Handle that can be passed to cancel()
+     */
+    schedule(delay, callback) {
+        return this.scheduleAt(this.now + Math.max(0, delay), callback);
+    }
+
+    /**
+     * Run a callback at an absolute simulation time
+     * @param {number} time - Simulation time in milliseconds
+     * @param {Function} callback - Called with the scheduler when the event fires
+     * @returns {Object} Handle that can be passed to cancel()
+     */
+    scheduleAt(time, callback) {
+        const event = {
+            time: Math.max(time, this.now),
+            sequence: this.sequence++,
+            callback,
+            cancelled: false
+        };
+        this.push(event);
+        return event;
+    }
+
+    /**
+     * Prevent a scheduled event from running
+     * @param {Object} event - Handle returned by schedule()
+     */
+    cancel(event) {
+        if (event) {
+            event.cancelled = true;
+        }
+    }
+
+    /**
+     * Time of the next pending event
+     * @returns {number} Infinity if nothing is scheduled
+     */
+    peekTime() {
+        this.dropCancelled();
+        return this.queue.length > 0 ? this.queue[0].time : Infinity;
+    }
+
+    /**
+     * Run every event up to and including the given time, then move the clock there
+     * @param {number} time - Simulation time in milliseconds
+     */
+    runUntil(time) {
+        while (this.peekTime() <= time) {
+            const event = this.pop();
+            this.now = event.time;
+            event.callback(this);
+        }
+        this.now = Math.max(this.now, time);
+    }
+
+    /**
+     * Drop every pending event and reset the clock
+     */
+    clear() {
+        this.queue = [];
+        this.now = 0;
+    }
+
+    dropCancelled() {
+        while (this.queue.length > 0 && this.queue[0].cancelled) {
+            this.pop();
+        }
+    }
+
+    push(event) {
+        const queue = this.queue;
+        queue.push(event);
+        let index = queue.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!before(queue[index], queue[parent])) break;
+            [queue[index], queue[parent]] = [queue[parent], queue[index]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const queue = this.queue;
+        const top = queue[0];
+        const last = queue.pop();
+        if (queue.length > 0) {
+            queue[0] = last;
+            let index = 0;
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < queue.length && before(queue[left], queue[smallest])) smallest = left;
+                if (right < queue.length && before(queue[right], queue[smallest])) smallest = right;
+                if (smallest === index) break;
+                [queue[index], queue[smallest]] = [queue[smallest], queue[index]];
+                index = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Heap ordering: earlier time first, then scheduling order
+ */
+function before(a, b) {
+    return a.time < b.time || (a.time === b.time && a.sequence < b.sequence);
+}
@@ -0,0 +1,1682 @@
+import { Emitter } from "./emitter.js";
+import { PHASES, ACTIVITIES } from "./phases.js";
+import { SimNode } from "./node.js";
+import { SeededRandom, randomSeed, scramble } from "./random.js";
+import { drawLocation, geoLatency, locationToPosition, positionToLocation } from "./geo.js";
+import { EventScheduler } from "./scheduler.js";
+import { EventLog } from "./event-log.js";
+import { parseScenario } from "./scenario.js";
+import { PropagationTracker } from "./gossip.js";
+import { Link, LINK_STATES, LINK_DIRECTIONS } from "./link.js";
+import { splitByPosition } from "./partition.js";
+import { BlockTree, GENESIS_BLOCK, SETTLED_DEPTH, createBlock } from "./blockchain.js";
+import { MEMPOOL_REJECTIONS, feeRate } from "./mempool.js";
+import { MiningStats, nextBlockDelay, pickMiner } from "./mining.js";
+import { createProtocol } from "./protocols/index.js";
+import { BEHAVIORS, ATTACK_DEFAULTS, AttackStats, isAttacker, withholds } from "./adversary.js";
+import { TOPOLOGIES } from "./topology.js";
+import { WIRE_MESSAGES, HANDSHAKE_MESSAGES, WIRE_DEFAULTS } from "./wire.js";
+import { NetworkMetrics } from "./metrics.js";
+
+/**
+ * Length of one simulation step in simulation milliseconds.
+ * Phase handlers run once per step.
+ */
+export const STEP_MS = 50;
+
+// How often a syncing node asks a peer for blocks it's missing, in ms
+const SYNC_INTERVAL = 2000;
+
+// Recently spent outpoints kept around for conflicting transactions to double-spend
+const RECENT_SPENDS = 50;
+
+// Requests a node remembers before it forgets the ones that timed out
+const REMEMBERED_REQUESTS = 256;
+
+/**
+ * Headless model of the distributed network.
+ *
+ * Owns nodes, links, messages and the phase state machine. It never touches
+ * Babylon or the DOM; front-ends subscribe to its events and call advance()
+ * with the elapsed time. Everything that happens later (phase ends, message
+ * delivery, follow-up effects) goes through the event scheduler, so pausing,
+ * speed changes and single-stepping apply to all of it. Every event is also
+ * recorded in `log` so a run can be scrubbed, exported and replayed.
+ *
+ * Events:
+ * - "nodeAdded" / "nodeRemoved" ({ node })
+ * - "linkAdded" / "linkRemoved" ({ source, target, link })
+ * - "linkStateChanged" ({ source, target, link }): a link finished a step of its handshake, or started closing
+ * - "messageSent" / "messageDelivered" ({ id, source, target, type, payload, size, queuedAt, sentAt, deliverAt })
+ * - "nodeUpdated" ({ node })
+ * - "phaseChanged" ({ phase })
+ * - "itemCreated" ({ item }) when a node mints a block or transaction to gossip
+ * - "itemReceived" ({ node, item, from }) the first time a node gets an item
+ * - "chainChanged" ({ node, tip, reorg }) when a node's best chain gets a new tip;
+ *   reorg is { depth, oldTip, newTip, forkPoint } when blocks were disconnected, else null
+ * - "blockMined" ({ node, block }) when a miner finds a block
+ * - "mempoolChanged" ({ node }) when transactions enter or leave a node's mempool
+ * - "transactionRejected" ({ node, tx, reason }) when a mempool turns a transaction away
+ * - "itemPropagated" ({ item, threshold, report }) when an item reaches 50%, 90% or 100% of nodes
+ * - "partitionChanged" ({ partition }) when the network splits, heals, or a split side changes;
+ *   partition is null when whole, else { groupCount, severed, startedAt } with node.group set
+ * - "roleChanged" ({ node, role }) when the consensus protocol gives a node a new role
+ * - "committed" ({ node, height }) when a node commits further entries of its protocol's log or chain
+ * - "behaviorChanged" ({ node }) when a node turns malicious (node.behavior is one of BEHAVIORS)
+ * - "peerBanned" ({ node, peer }) when a node bans a peer that sent it something invalid
+ * - "eclipseChanged" ({ node }) when attackers take over, or let go of, every peer slot of node (node.isEclipsed)
+ */
+export class NetworkSimulation extends Emitter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.scenario] - Scenario describing the run (see parseScenario); the default demo if omitted
+     * @param {number|string} [options.seed] - Seed for every random decision; overrides the scenario's seed
+     * @param {boolean} [options.recordLog=true] - Whether to record events in `log`
+     * @param {Object} [options.logOptions] - Overrides for the log's LOG_DEFAULTS, e.g. sparser checkpoints for big networks
+     */
+    constructor(options = {}) {
+        super();
+        this.scenario = parseScenario(options.scenario ?? {});
+        this.radius = this.scenario.radius;
+        this.random = new SeededRandom(options.seed ?? this.scenario.seed ?? randomSeed());
+        this.seed = this.random.seed;
+        this.nextNodeNumber = 0;
+        this.nextMessageId = 0;
+        this.scheduler = new EventScheduler();
+        this.nodes = [];
+        this.nodesById = new Map(); // The same nodes, for lookups that stay fast in big networks
+        this.links = new Map();
+        this.peerLinks = new Map(); // Node ID to its links by peer ID: getLink() without building a key per message
+
+        // Nodes the scenario declares, by ID, for what they bring along when they join
+        this.declaredNodes = new Map(this.scenario.nodes.map(entry => [entry.id, entry]));
+
+        // Active netsplit, or null while the network is whole
+        this.partitionState = null;
+
+        const firstPhase = this.scenario.phases[0];
+        this.state = {
+            speed: 1,
+            isRunning: true,
+            initialNodeCount: this.scenario.nodes.length || this.scenario.initialNodeCount,
+            nodeCount: 0,
+            currentStep: 0,
+            phaseIndex: 0,
+            currentPhase: firstPhase.phase,
+            activePhases: phasesOf(firstPhase), // The current phase, then any running alongside it
+            phaseStartedAt: -this.scenario.startOffset,
+            phaseTimer: this.scenario.startOffset,
+            isPhaseHeld: false                  // Held phases run until released or left by hand
+        };
+
+        // Pending end of the current phase, cancelled when it is held, jumped away from or retimed
+        this.phaseEnd = null;
+
+        // Fractional packets owed by the per-second rates, carried between steps
+        this.packetBudget = {
+            discovery: 0,
+            transactions: 0
+        };
+
+        // Gossiped blocks and transactions
+        this.items = new Map();
+        this.itemCounts = { block: 0, transaction: 0 };
+        this.nextBlockNumber = 0;
+        this.settledHeight = 0; // Height up to which settled blocks' transactions have been let go of
+        this.propagation = new PropagationTracker();
+
+        // Outputs new transactions can spend, and recent spends a conflicting one can reuse
+        this.unspentOutputs = [];
+        this.recentSpends = [];
+        this.rejections = Object.fromEntries(Object.values(MEMPOOL_REJECTIONS).map(reason => [reason, 0]));
+
+        this.miningStats = new MiningStats();
+        this.attackStats = new AttackStats();
+        this.metrics = new NetworkMetrics();
+
+        // Consensus protocol driving the phases after discovery and churn
+        this.protocol = createProtocol(this.scenario.protocol, this);
+
+        this.log = new EventLog({ seed: this.seed }, [], options.logOptions);
+        if (options.recordLog ?? true) {
+            this.log.attach(this);
+        }
+    }
+
+    /**
+     * Current simulation time in milliseconds
+     * @returns {number}
+     */
+    get now() {
+        return this.scheduler.now;
+    }
+
+    /**
+     * Create the scenario's initial network, announce the starting phase and start the clock
+     */
+    start() {
+        const declared = this.scenario.nodes;
+        const count = declared.length || this.scenario.initialNodeCount;
+        const { enabled: isGeographic, regions } = this.scenario.geography;
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2; // Spread evenly around the circle
+            let position = declared[i]?.position ?? {
+                x: this.radius * Math.cos(angle),
+                y: 0,
+                z: this.radius * Math.sin(angle)
+            };
+            if (isGeographic && (declared[i]?.location || !declared[i]?.position)) {
+                position = locationToPosition(declared[i]?.location ?? drawLocation(this.random, regions), this.radius);
+            }
+            const node = this.addNode(declared[i]?.id ?? this.createNodeId(), { ...position }, declared[i]?.hashpower);
+            if (declared[i]?.behavior) {
+                this.setBehavior(node, declared[i].behavior);
+            }
+        }
+        if (this.scenario.links.length > 0) {
+            this.scenario.links.forEach(link => {
+                this.connect(this.getNode(link.source), this.getNode(link.target), link);
+            });
+        } else {
+            const { type, ...params } = this.scenario.topology;
+            TOPOLOGIES[type].generate(this.nodes, params, this.random).forEach(([source, target]) => {
+                this.connect(source, target);
+            });
+        }
+
+        this.protocol.start();
+        this.emit("phaseChanged", { phase: this.state.currentPhase, phases: this.state.activePhases });
+        this.state.activePhases.forEach(phase => this.protocol.onPhaseStart(phase));
+        this.schedulePhaseEnd();
+        this.scheduler.schedule(STEP_MS, () => this.runStep());
+        this.scheduleMetricsSample();
+
+        this.scenario.partitions.forEach(split => {
+            this.scheduler.scheduleAt(split.at, () => this.partition(split.groups ?? split.groupCount));
+            if (split.duration !== undefined) {
+                this.scheduler.scheduleAt(split.at + split.duration, () => this.healPartition());
+            }
+        });
+        this.scenario.attacks.forEach(attack => {
+            this.scheduler.scheduleAt(attack.at, () => {
+                if (attack.type === "sybil") {
+                    this.launchSybil(attack.count);
+                } else if (attack.victim === undefined) {
+                    this.eclipse(undefined, attack.count);
+                } else if (this.getNode(attack.victim)) {
+                    // A named victim that has since left is not swapped for another
+                    this.eclipse(this.getNode(attack.victim), attack.count);
+                }
+            });
+        });
+    }
+
+    /**
+     * Find a node by its ID
+     * @param {string} nodeId - The ID of the node
+     * @returns {SimNode|undefined}
+     */
+    getNode(nodeId) {
+        return this.nodesById.get(nodeId);
+    }
+
+    /**
+     * Allocate the next free node ID ("node-0", "node-1", ...)
+     * @returns {string}
+     */
+    createNodeId() {
+        let nodeId;
+        do {
+            nodeId = `node-${this.nextNodeNumber++}`;
+        } while (this.getNode(nodeId));
+        return nodeId;
+    }
+
+    /**
+     * Allocate the next block hash: the seeded block number scrambled, so no two blocks of a run share one
+     * @returns {string} 8 hex digits, never the genesis block's
+     */
+    createBlockHash() {
+        let hash;
+        do {
+            hash = scramble(this.random.seed + this.nextBlockNumber++).toString(16).padStart(8, "0");
+        } while (hash === GENESIS_BLOCK.hash);
+        return hash;
+    }
+
+    /**
+     * Add a node to the network. In a geographic run, its location is where its position points from the centre.
+     * @param {string} nodeId - Unique identifier for the node
+     * @param {{x: number, y: number, z: number}} position - Suggested layout position
+     * @param {number} [hashpower] - Mining power; drawn from the scenario's mining settings if omitted
+     * @returns {SimNode}
+     */
+    addNode(nodeId, position, hashpower) {
+        const node = new SimNode(nodeId, position);
+        node.joinedAt = this.now;
+        node.attributes = { ...this.declaredNodes.get(nodeId)?.attributes };
+        if (this.scenario.geography.enabled) {
+            node.location = positionToLocation(position);
+        }
+        const { minerProbability, minHashpower, maxHashpower } = this.scenario.mining;
+        if (hashpower === undefined && this.protocol.constructor.usesMining && this.random.chance(minerProbability)) {
+            hashpower = Math.round(this.random.range(minHashpower, maxHashpower) * 10) / 10;
+        }
+        node.hashpower = hashpower ?? 0;
+        if (node.hashpower > 0) {
+            this.miningStats.addMiner(nodeId, node.hashpower);
+        }
+        if (this.partitionState) {
+            // Nodes joining during a netsplit end up on a random side
+            node.group = this.random.int(this.partitionState.groupCount);
+        }
+        this.nodes.push(node);
+        this.nodesById.set(nodeId, node);
+        this.state.nodeCount = this.nodes.length;
+        this.emit("nodeAdded", { node });
+        this.protocol.onNodeAdded(node);
+        return node;
+    }
+
+    /**
+     * Remove a node and all of its links from the network
+     * @param {SimNode} node - The node to remove
+     */
+    removeNode(node) {
+        const index = this.nodes.indexOf(node);
+        if (index === -1) {
+            return;
+        }
+        this.nodes.splice(index, 1);
+        this.nodesById.delete(node.nodeId);
+
+        Array.from(node.connections).forEach(otherNodeId => {
+            const otherNode = this.getNode(otherNodeId);
+            if (otherNode) {
+                this.disconnect(node, otherNode);
+            }
+        });
+
+        this.state.nodeCount = this.nodes.length;
+        this.emit("nodeRemoved", { node });
+        this.protocol.onNodeRemoved(node);
+
+        // A victim whose last attacker left is free to find honest peers again
+        this.nodes.filter(other => other.isEclipsed && other.connections.size === 0).forEach(victim => {
+            victim.isEclipsed = false;
+            this.emit("eclipseChanged", { node: victim });
+        });
+
+        if (this.partitionState) {
+            // Links to a node that left can't be restored
+            this.partitionState.severed = this.partitionState.severed.filter(link =>
+                link.source !== node.nodeId && link.target !== node.nodeId
+            );
+            this.emit("partitionChanged", { partition: this.partitionState });
+        }
+    }
+
+    /**
+     * Move a node's suggested layout position, e.g. after it was dragged; in a
+     * geographic run that moves it elsewhere on Earth, for the links it opens from then on
+     * @param {SimNode} node - The node
+     * @param {{x: number, y: number, z: number}} position - New position
+     */
+    moveNode(node, position) {
+        node.position = { ...position };
+        if (node.location) {
+            node.location = positionToLocation(position);
+        }
+        this.emit("nodeMoved", { node });
+    }
+
+    /**
+     * Create a bidirectional link between two nodes
+     * @param {SimNode} source - Node initiating the link
+     * @param {SimNode} target - Node accepting the link
+     * @param {{latency?: number, bandwidth?: number}} [properties] - Overrides for the scenario's link defaults;
+     *     in a geographic run, latency defaults to what the distance between the nodes takes
+     * @returns {boolean} Whether a new link was created
+     */
+    connect(source, target, properties = {}) {
+        if (source === target || source.isConnectedTo(target.nodeId) || !this.canReach(source, target) || this.refuses(source, target)) {
+            return false;
+        }
+
+        const defaults = this.scenario.linkDefaults;
+        const latency = properties.latency ?? (source.location && target.location
+            ? geoLatency(source.location, target.location, this.scenario.geography)
+            : Math.round(this.random.range(defaults.minLatency, defaults.maxLatency)));
+        const link = new Link(source.nodeId, target.nodeId, {
+            latency,
+            bandwidth: properties.bandwidth ?? defaults.bandwidth
+        }, this.now);
+        this.links.set(Link.key(source.nodeId, target.nodeId), link);
+        [[source, target], [target, source]].forEach(([end, peer]) => {
+            if (!this.peerLinks.has(end.nodeId)) this.peerLinks.set(end.nodeId, new Map());
+            this.peerLinks.get(end.nodeId).set(peer.nodeId, link);
+        });
+
+        source.connections.add(target.nodeId);
+        target.connections.add(source.nodeId);
+        source.knownAddresses.add(target.nodeId);
+        target.knownAddresses.add(source.nodeId);
+        this.emit("linkAdded", { source, target, link });
+
+        // Once TCP is up, the side that connected opens the version handshake
+        this.scheduler.scheduleAt(link.handshakeAt, () => {
+            if (this.setLinkState(link, LINK_STATES.HANDSHAKE)) {
+                this.sendMessage(source, target, WIRE_MESSAGES.VERSION, { peerHeight: source.chain.height });
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Move a link along its lifecycle, unless it was closed or replaced meanwhile
+     * @param {Link} link - The link
+     * @param {string} state - One of LINK_STATES
+     * @returns {boolean} Whether the link is still open and now in that state
+     */
+    setLinkState(link, state) {
+        if (this.getLink(link.sourceId, link.targetId) !== link || link.state === LINK_STATES.CLOSING) {
+            return false;
+        }
+        link.state = state;
+        this.emit("linkStateChanged", { source: this.getNode(link.sourceId), target: this.getNode(link.targetId), link });
+        return true;
+    }
+
+    /**
+     * Close a link gracefully: it stops taking new messages at once, and is
+     * gone once the messages already on the wire have had time to arrive
+     * @param {SimNode} source - One end of the link
+     * @param {SimNode} target - The other end of the link
+     * @returns {boolean} Whether the link started closing
+     */
+    closeLink(source, target) {
+        const link = this.getLink(source.nodeId, target.nodeId);
+        if (!link || link.state === LINK_STATES.CLOSING) {
+            return false;
+        }
+
+        this.setLinkState(link, LINK_STATES.CLOSING);
+        const drainedAt = Math.max(...Array.from(link.busyUntil.values()), this.now) + link.latency;
+        this.scheduler.scheduleAt(drainedAt, () => {
+            if (this.getLink(source.nodeId, target.nodeId) === link) {
+                this.disconnect(source, target);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Remove the link between two nodes
+     * @param {SimNode} source - One end of the link
+     * @param {SimNode} target - The other end of the link
+     */
+    disconnect(source, target) {
+        if (!source.isConnectedTo(target.nodeId)) {
+            return;
+        }
+
+        const key = Link.key(source.nodeId, target.nodeId);
+        const link = this.links.get(key);
+        this.links.delete(key);
+        [[source, target], [target, source]].forEach(([end, peer]) => {
+            const peerLinks = this.peerLinks.get(end.nodeId);
+            peerLinks.delete(peer.nodeId);
+            if (peerLinks.size === 0) this.peerLinks.delete(end.nodeId);
+        });
+
+        source.connections.delete(target.nodeId);
+        target.connections.delete(source.nodeId);
+        this.emit("linkRemoved", { source, target, link });
+    }
+
+    /**
+     * Whether either node turns the other away: it was banned, or one is
+     * eclipsed and has no slot left for anyone but the eclipse attackers
+     * @param {SimNode} a - One node
+     * @param {SimNode} b - The other node
+     * @returns {boolean}
+     */
+    refuses(a, b) {
+        return a.banned.has(b.nodeId) || b.banned.has(a.nodeId) ||
+            (a.isEclipsed && b.behavior !== BEHAVIORS.ECLIPSE) || (b.isEclipsed && a.behavior !== BEHAVIORS.ECLIPSE);
+    }
+
+    /**
+     * Whether two nodes are on the same side of any active netsplit
+     * @param {SimNode} a - One node
+     * @param {SimNode} b - The other node
+     * @returns {boolean}
+     */
+    canReach(a, b) {
+        return a.group === b.group;
+    }
+
+    /**
+     * Split the network into isolated groups by cutting every link between them.
+     * Each side keeps running its own phases and gossip until healPartition().
+     * @param {string[][]|number} groups - Node IDs per group (unlisted nodes join the first),
+     *     or a number of groups to slice the layout into
+     */
+    partition(groups) {
+        if (this.partitionState) {
+            this.healPartition();
+        }
+
+        const groupList = typeof groups === "number" ? splitByPosition(this.nodes, groups) : groups;
+        const assignment = new Map();
+        groupList.forEach((nodeIds, index) => {
+            nodeIds.forEach(nodeId => assignment.set(nodeId, index));
+        });
+        this.nodes.forEach(node => {
+            node.group = assignment.get(node.nodeId) ?? 0;
+        });
+
+        const severed = [];
+        Array.from(this.links.values()).forEach(link => {
+            const source = this.getNode(link.sourceId);
+            const target = this.getNode(link.targetId);
+            if (source.group !== target.group) {
+                severed.push({
+                    source: link.sourceId,
+                    target: link.targetId,
+                    latency: link.latency,
+                    bandwidth: link.bandwidth
+                });
+                this.disconnect(source, target);
+            }
+        });
+
+        this.partitionState = {
+            groupCount: groupList.length,
+            severed,
+            startedAt: this.now
+        };
+        this.emit("partitionChanged", { partition: this.partitionState });
+    }
+
+    /**
+     * End the netsplit: restore the severed links and let both sides catch up
+     * on the blocks and transactions they missed
+     */
+    healPartition() {
+        if (!this.partitionState) {
+            return;
+        }
+
+        const { severed, startedAt } = this.partitionState;
+        this.partitionState = null;
+        this.nodes.forEach(node => {
+            node.group = null;
+        });
+        this.emit("partitionChanged", { partition: null });
+
+        severed.forEach(({ source, target, latency, bandwidth }) => {
+            const sourceNode = this.getNode(source);
+            const targetNode = this.getNode(target);
+            if (sourceNode && targetNode && this.connect(sourceNode, targetNode, { latency, bandwidth })) {
+                this.reconcile(sourceNode, targetNode, startedAt);
+            }
+        });
+    }
+
+    /**
+     * Send each of two peers the items the other is missing
+     * @param {SimNode} a - One peer
+     * @param {SimNode} b - The other peer
+     * @param {number} since - Only items created at or after this time
+     */
+    reconcile(a, b, since) {
+        [[a, b], [b, a]].forEach(([from, to]) => {
+            const missed = Array.from(from.inventory).filter(itemId => {
+                const item = this.items.get(itemId);
+                return item?.kind === "transaction" && item.createdAt >= since && !to.inventory.has(itemId);
+            });
+            if (missed.length > 0) {
+                this.sendEntries(from, to, WIRE_MESSAGES.INV, { itemIds: missed }, missed.length);
+            }
+
+            // Blocks are fetched like any sync, so the longer side's chain wins
+            this.requestBlocks(to, from);
+        });
+    }
+
+    /**
+     * Find the link between two nodes
+     * @param {string} a - One node ID
+     * @param {string} b - The other node ID
+     * @returns {Link|undefined}
+     */
+    getLink(a, b) {
+        return this.peerLinks.get(a)?.get(b);
+    }
+
+    /**
+     * Send a message from one node to another
+     * @param {SimNode} source - The sending node
+     * @param {SimNode} target - The receiving node
+     * @param {string} type - Type of message, one of WIRE_MESSAGES or the protocol's
+     * @param {Object} [payload] - Message contents, e.g. { itemId } for a tx or block
+     * @param {number} [size] - Size in bytes, if not the scenario's or the protocol's size for the type
+     * @returns {Object|null} The message in flight, or null if it couldn't be sent
+     */
+    sendMessage(source, target, type, payload = {}, size = this.scenario.messageSizes[type] ?? this.protocol.messageSizes[type] ?? 0) {
+        if (!this.canReach(source, target)) {
+            return null;
+        }
+
+        const link = this.getLink(source.nodeId, target.nodeId);
+        if (!link) {
+            console.warn(`Attempted to send ${type} packet without connection between ${source.nodeId} and ${target.nodeId}`);
+            return null;
+        }
+        if (link.state === LINK_STATES.CLOSING) {
+            return null;
+        }
+        const timing = link.transmit(source.nodeId, size, this.now, HANDSHAKE_MESSAGES.has(type));
+        source.messagesSent[type] = (source.messagesSent[type] ?? 0) + 1;
+        this.metrics.recordMessage(type, this.now);
+
+        const message = {
+            id: this.nextMessageId++,
+            source,
+            target,
+            type,
+            payload,
+            size,
+            queuedAt: this.now,
+            sentAt: timing.sentAt,
+            deliverAt: timing.deliverAt
+        };
+        this.emit("messageSent", message);
+        this.scheduler.scheduleAt(message.deliverAt, () => {
+            this.emit("messageDelivered", message);
+            this.receiveMessage(message);
+        });
+        return message;
+    }
+
+    /**
+     * Send a message sized by its number of entries (addresses, inventory items or headers)
+     * @param {SimNode} source - The sending node
+     * @param {SimNode} target - The receiving node
+     * @param {string} type - addr, inv, getdata or headers
+     * @param {Object} payload - Message contents
+     * @param {number} count - Number of entries
+     * @returns {Object|null} The message in flight, or null if it couldn't be sent
+     */
+    sendEntries(source, target, type, payload, count) {
+        return this.sendMessage(source, target, type, payload, this.scenario.messageSizes[type] * Math.max(count, 1));
+    }
+
+    /**
+     * Handle a delivered message at its target
+     * @param {Object} message - The delivered message
+     */
+    receiveMessage(message) {
+        const { source, target, payload } = message;
+        if (this.nodesById.get(target.nodeId) !== target) {
+            return; // Node went offline while the message was in flight
+        }
+        if (!this.canReach(source, target)) {
+            return; // Lost in a netsplit that happened while it was in flight
+        }
+        if (!target.isConnectedTo(source.nodeId)) {
+            return; // Connection closed while it was in flight
+        }
+        target.messagesReceived[message.type] = (target.messagesReceived[message.type] ?? 0) + 1;
+        if (this.protocol.receive(message)) {
+            return;
+        }
+
+        if (payload.peerHeight !== undefined) {
+            target.bestKnownHeight = Math.max(target.bestKnownHeight, payload.peerHeight);
+        }
+
+        if (payload.isInvalid) {
+            this.rejectInvalid(target, source);
+        } else {
+            this.receiveWireMessage(message);
+        }
+    }
+
+    /**
+     * Answer a peer-to-peer protocol message the way a Bitcoin node does
+     * @param {Object} message - The delivered message, of one of WIRE_MESSAGES
+     */
+    receiveWireMessage({ source, target, type, payload }) {
+        const link = this.getLink(source.nodeId, target.nodeId);
+        switch (type) {
+            case WIRE_MESSAGES.VERSION:
+                // The side that accepted the connection introduces itself in turn
+                if (link.direction(target.nodeId) === LINK_DIRECTIONS.INBOUND) {
+                    this.sendMessage(target, source, WIRE_MESSAGES.VERSION, { peerHeight: target.chain.height });
+                }
+                this.sendMessage(target, source, WIRE_MESSAGES.VERACK);
+                break;
+
+            case WIRE_MESSAGES.VERACK:
+                if (link.state === LINK_STATES.HANDSHAKE && this.setLinkState(link, LINK_STATES.ESTABLISHED)) {
+                    this.schedulePing(link);
+                }
+                // Nodes ask their outbound peers for more addresses
+                if (link.direction(target.nodeId) === LINK_DIRECTIONS.OUTBOUND) {
+                    this.sendMessage(target, source, WIRE_MESSAGES.GETADDR);
+                }
+                break;
+
+            case WIRE_MESSAGES.PING:
+                this.sendMessage(target, source, WIRE_MESSAGES.PONG, { sentAt: payload.sentAt });
+                break;
+
+            case WIRE_MESSAGES.PONG:
+                link.pingTime = this.now - payload.sentAt;
+                break;
+
+            case WIRE_MESSAGES.GETADDR: {
+                const addresses = Array.from(target.knownAddresses)
+                    .filter(nodeId => nodeId !== source.nodeId)
+                    .slice(-WIRE_DEFAULTS.maxAddresses); // The most recently learned
+                if (addresses.length > 0) {
+                    this.sendEntries(target, source, WIRE_MESSAGES.ADDR, { addresses }, addresses.length);
+                }
+                break;
+            }
+
+            case WIRE_MESSAGES.ADDR:
+                payload.addresses
+                    .filter(nodeId => nodeId !== target.nodeId)
+                    .forEach(nodeId => target.knownAddresses.add(nodeId));
+                break;
+
+            case WIRE_MESSAGES.INV:
+                this.requestData(target, source, payload.itemIds.filter(itemId => this.isWanted(target, itemId)));
+                break;
+
+            case WIRE_MESSAGES.GETDATA: {
+                const items = payload.itemIds.filter(itemId => target.inventory.has(itemId) && this.items.has(itemId))
+                    .map(itemId => this.items.get(itemId));
+                items.forEach((item, index) => {
+                    if (item.kind === "transaction") {
+                        this.sendMessage(target, source, WIRE_MESSAGES.TX, { itemId: item.id }, item.tx.size);
+                    } else {
+                        this.sendMessage(target, source, WIRE_MESSAGES.BLOCK, {
+                            itemId: item.id,
+                            peerHeight: target.chain.height,
+                            isSync: payload.isSync,
+                            isLast: payload.isSync && index === items.length - 1
+                        });
+                    }
+                });
+                break;
+            }
+
+            case WIRE_MESSAGES.GETHEADERS: {
+                if (withholds(target)) {
+                    this.attackStats.withheldSyncs++;
+                    return;
+                }
+                // Answer with the headers after the last block we have in common
+                const hashes = target.chain.blocksAfter(payload.locator).map(block => block.hash);
+                this.sendEntries(target, source, WIRE_MESSAGES.HEADERS, {
+                    hashes,
+                    peerHeight: target.chain.height,
+                    isSync: true
+                }, hashes.length);
+                break;
+            }
+
+            case WIRE_MESSAGES.HEADERS: {
+                if (payload.isSync) {
+                    target.lastSyncActivityAt = this.now; // Still downloading, don't ask again yet
+                }
+                // A sync batch is fetched whole; an announced block only if nobody is already sending it
+                const wanted = payload.hashes.filter(hash =>
+                    payload.isSync ? !target.inventory.has(hash) : this.isWanted(target, hash)
+                );
+                this.requestData(target, source, wanted, payload.isSync);
+                break;
+            }
+
+            case WIRE_MESSAGES.CMPCTBLOCK: {
+                const item = this.items.get(payload.itemId);
+                if (target.inventory.has(item.id)) {
+                    break;
+                }
+                // Rebuild the block from the mempool, or fetch it whole if any transaction is missing
+                const canRebuild = item.block.txids.every(txId => target.mempool.has(txId) || target.mempool.confirmed.has(txId));
+                if (canRebuild) {
+                    this.acceptItem(target, item, source);
+                } else {
+                    this.requestData(target, source, [item.id]);
+                }
+                break;
+            }
+
+            case WIRE_MESSAGES.TX:
+            case WIRE_MESSAGES.BLOCK: {
+                if (payload.isSync) {
+                    target.lastSyncActivityAt = this.now;
+                }
+
+                // Sync replies are only announced once the whole batch is in
+                const announce = !payload.isSync || payload.isLast;
+                if (this.items.has(payload.itemId)) {
+                    this.acceptItem(target, this.items.get(payload.itemId), source, announce);
+                }
+
+                if (payload.isLast && target.chain.height < payload.peerHeight) {
+                    this.requestBlocks(target, source); // Next batch
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Whether a node should ask for an announced item: it doesn't have it,
+     * and hasn't asked a peer for it recently enough to still expect it
+     * @param {SimNode} node - Node the item was announced to
+     * @param {string} itemId - The item
+     * @returns {boolean}
+     */
+    isWanted(node, itemId) {
+        const askedAt = node.requested.get(itemId);
+        return !node.inventory.has(itemId) && (askedAt === undefined || this.now - askedAt >= WIRE_DEFAULTS.requestTimeout);
+    }
+
+    /**
+     * Send a getdata for items a node is missing, remembering when it asked
+     * @param {SimNode} node - Node that wants the items
+     * @param {SimNode} peer - Peer that announced them
+     * @param {string[]} itemIds - Items to fetch
+     * @param {boolean} [isSync] - Whether they are blocks of a sync batch
+     */
+    requestData(node, peer, itemIds, isSync = false) {
+        if (itemIds.length === 0) {
+            return;
+        }
+        if (node.requested.size >= REMEMBERED_REQUESTS) {
+            // A request that timed out is as good as never made
+            node.requested.forEach((askedAt, itemId) => {
+                if (this.now - askedAt >= WIRE_DEFAULTS.requestTimeout) node.requested.delete(itemId);
+            });
+        }
+        itemIds.forEach(itemId => node.requested.set(itemId, this.now));
+        this.sendEntries(node, peer, WIRE_MESSAGES.GETDATA, { itemIds, isSync }, itemIds.length);
+    }
+
+    /**
+     * Keep pinging over a link for as long as it stays open. Only the end
+     * that opened it pings: the round trip it measures is the link's.
+     * @param {Link} link - The link
+     */
+    schedulePing(link) {
+        this.scheduler.schedule(WIRE_DEFAULTS.pingInterval * this.random.range(0.5, 1.5), () => {
+            if (this.getLink(link.sourceId, link.targetId) !== link) {
+                return;
+            }
+            this.sendMessage(this.getNode(link.sourceId), this.getNode(link.targetId), WIRE_MESSAGES.PING, { sentAt: this.now });
+            this.schedulePing(link);
+        });
+    }
+
+    /**
+     * Queue a transaction for a node's next round of announcements. As in
+     * Bitcoin, a node gathers what it receives for a random while, then sends
+     * each peer one inv of the queued items that peer doesn't hold yet.
+     * @param {SimNode} node - Node that has the transaction
+     * @param {string} itemId - The transaction
+     */
+    announce(node, itemId) {
+        node.pendingAnnouncements.push(itemId);
+        if (node.pendingAnnouncements.length > 1) {
+            return; // A round is already scheduled
+        }
+        this.scheduler.schedule(WIRE_DEFAULTS.invInterval * this.random.range(0.5, 1.5), () => {
+            const itemIds = node.pendingAnnouncements;
+            node.pendingAnnouncements = [];
+            if (this.nodesById.get(node.nodeId) !== node) {
+                return;
+            }
+            node.connections.forEach(peerId => {
+                const peer = this.getNode(peerId);
+                if (!peer) return;
+                // Stands in for the record real nodes keep of which peers announced or sent them what
+                const unknown = itemIds.filter(itemId => !peer.inventory.has(itemId));
+                if (unknown.length > 0) {
+                    this.sendEntries(node, peer, WIRE_MESSAGES.INV, { itemIds: unknown }, unknown.length);
+                }
+            });
+        });
+    }
+
+    /**
+     * Ask a peer for the headers of its chain that a node doesn't have yet;
+     * the blocks follow with getdata
+     * @param {SimNode} node - Node that is missing blocks
+     * @param {SimNode} peer - Peer to download from
+     */
+    requestBlocks(node, peer) {
+        node.lastSyncActivityAt = this.now;
+        this.sendMessage(node, peer, WIRE_MESSAGES.GETHEADERS, {
+            locator: node.chain.locator(),
+            peerHeight: node.chain.height
+        });
+    }
+
+    /**
+     * Create a new block or transaction at a node and start gossiping it
+     * @param {SimNode} origin - Node that creates the item
+     * @param {string} kind - "block" or "transaction"
+     * @returns {Object} The new item
+     */
+    broadcast(origin, kind) {
+        const item = this.createItem(origin, kind);
+        this.acceptItem(origin, item, null);
+        return item;
+    }
+
+    /**
+     * Create a block or transaction and register it for tracking, without sending it anywhere
+     * @param {SimNode} origin - Node that creates the item
+     * @param {string} kind - "block" or "transaction"
+     * @param {function(string): Object} [makeTransaction] - Builds the transaction for a given ID
+     * @returns {Object} The new item
+     */
+    createItem(origin, kind, makeTransaction = id => this.createTransaction(id)) {
+        const item = {
+            id: null,
+            kind,
+            origin: origin.nodeId,
+            createdAt: this.now
+        };
+        if (kind === "block") {
+            // A new block extends the tip of the chain its creator follows and packs
+            // the best-paying transactions from its mempool; blocks go by their hash
+            item.block = createBlock(origin.chain.tip, {
+                hash: this.createBlockHash(),
+                miner: origin.nodeId,
+                createdAt: this.now,
+                txids: origin.mempool.select(this.scenario.messageSizes.block).map(tx => tx.id)
+            });
+            item.id = item.block.hash;
+        } else {
+            item.tx = makeTransaction(`tx-${this.itemCounts[kind]}`);
+            item.id = item.tx.id;
+        }
+        this.itemCounts[kind]++;
+        this.items.set(item.id, item);
+        // The audience is counted rather than listed, so big networks don't keep every node's ID per item.
+        // Nodes that joined in this very millisecond aren't part of it
+        this.propagation.track(item, this.nodes.filter(node => node.joinedAt < this.now).length);
+        this.emit("itemCreated", { item });
+        return item;
+    }
+
+    /**
+     * Make up a transaction spending one or two unspent outputs. Now and then
+     * it reuses an input a recent transaction already spent, i.e. a double-spend.
+     * @param {string} id - Transaction ID
+     * @returns {{id: string, fee: number, size: number, inputs: string[], outputs: string[]}}
+     */
+    createTransaction(id) {
+        const { minFee, maxFee, minSize, maxSize, conflictProbability } = this.scenario.transactions;
+
+        let inputs;
+        if (this.recentSpends.length > 0 && this.random.chance(conflictProbability)) {
+            inputs = [this.random.pick(this.recentSpends)];
+        } else {
+            inputs = Array.from({ length: 1 + this.random.int(2) }, () => {
+                if (this.unspentOutputs.length === 0) {
+                    return `coin-${this.itemCounts.transaction}-${this.random.int(1000000)}`;
+                }
+                // Swap-remove a random output
+                const index = this.random.int(this.unspentOutputs.length);
+                const outpoint = this.unspentOutputs[index];
+                this.unspentOutputs[index] = this.unspentOutputs[this.unspentOutputs.length - 1];
+                this.unspentOutputs.pop();
+                return outpoint;
+            });
+            this.recentSpends.push(...inputs);
+            this.recentSpends.splice(0, Math.max(0, this.recentSpends.length - RECENT_SPENDS));
+        }
+
+        const outputs = [`${id}:0`, `${id}:1`];
+        this.unspentOutputs.push(...outputs);
+
+        return {
+            id,
+            fee: Math.round(this.random.range(minFee, maxFee)),
+            size: Math.round(this.random.range(minSize, maxSize)),
+            inputs,
+            outputs
+        };
+    }
+
+    /**
+     * Schedule the next block, found after an exponentially distributed wait.
+     * Difficulty is assumed to track the online hashpower, so blocks keep
+     * coming at the target interval however many miners are around.
+     */
+    scheduleNextBlock() {
+        this.scheduler.schedule(nextBlockDelay(this.random, this.scenario.mining.targetBlockInterval), () => {
+            this.mineBlock();
+            this.scheduleNextBlock();
+        });
+    }
+
+    /**
+     * Let a miner, chosen by hashpower, find a block on top of its best chain
+     * @returns {Object|undefined} The block, or undefined if nobody is mining
+     */
+    mineBlock() {
+        const miner = pickMiner(this.random, this.nodes.filter(node => node.hashpower > 0));
+        if (!miner) {
+            return undefined;
+        }
+
+        this.flashActivity(miner, ACTIVITIES.MINING, 1000);
+        const { block } = this.broadcast(miner, "block");
+        this.miningStats.record(block);
+        this.settleBlocks(miner.chain);
+        this.emit("blockMined", { node: miner, block });
+        return block;
+    }
+
+    /**
+     * Let go of what only a reorg deeper than SETTLED_DEPTH would need: the transactions
+     * of blocks that deep in a chain, and the mining stats' record of those blocks
+     * @param {BlockTree} chain - Chain to measure depth in, usually the latest miner's
+     */
+    settleBlocks(chain) {
+        this.miningStats.settle(chain);
+        const height = chain.height - SETTLED_DEPTH;
+        if (height <= this.settledHeight) {
+            return;
+        }
+        chain.blocksBetween(chain.ancestor(chain.tip, this.settledHeight), chain.ancestor(chain.tip, height)).forEach(block => {
+            this.attackStats.settle(block.txids);
+            block.txids.forEach(txId => this.items.delete(txId));
+        });
+        this.settledHeight = height;
+    }
+
+    /**
+     * Mining statistics measured against the chain with the most work on the network
+     * @returns {Object} See MiningStats.summary()
+     */
+    getMiningStats() {
+        const best = this.bestNode();
+        return this.miningStats.summary(best ? best.chain : new BlockTree());
+    }
+
+    /**
+     * Node whose chain has the most work
+     * @returns {SimNode|undefined}
+     */
+    bestNode() {
+        return this.nodes.reduce((best, node) =>
+            !best || node.chain.tip.chainWork > best.chain.tip.chainWork ? node : best, undefined);
+    }
+
+    /**
+     * Store an item at a node and relay it to the node's other peers.
+     * Items a node already holds are dropped, so nothing is relayed twice.
+     * Blocks are only relayed once they extend the node's best chain; a block
+     * whose parent is unknown makes the node fetch the gap from the sender.
+     * Transactions the node's mempool rejects go no further, and withholding
+     * attackers keep everything they get from peers to themselves.
+     * @param {SimNode} node - Node that received the item
+     * @param {Object} item - The item
+     * @param {SimNode|null} from - Peer it came from, null for the origin
+     * @param {boolean} [relay] - Whether to pass the item on
+     */
+    acceptItem(node, item, from, relay = true) {
+        if (node.inventory.has(item.id)) {
+            return;
+        }
+        node.inventory.add(item.id);
+        node.requested.delete(item.id);
+
+        if (item.kind === "block") {
+            relay = this.acceptBlock(node, item.block, from) && relay;
+        } else if (item.kind === "transaction" && !this.acceptTransaction(node, item.tx)) {
+            return;
+        }
+
+        const isAudience = node.joinedAt < item.createdAt;
+        const crossed = isAudience ? this.propagation.recordReach(item.id, node.nodeId, this.now) : [];
+        this.emit("itemReceived", { node, item, from });
+        crossed.forEach(threshold => {
+            this.emit("itemPropagated", { item, threshold, report: this.propagation.getReport(item.id) });
+        });
+
+        if (item.kind === "transaction") {
+            this.flashActivity(node, ACTIVITIES.PROCESSING, from ? 300 : 1000);
+        }
+
+        if (!relay) {
+            return;
+        }
+        if (from && withholds(node)) {
+            this.attackStats.droppedRelays++;
+            return;
+        }
+        if (item.kind === "transaction") {
+            this.announce(node, item.id);
+            return;
+        }
+        // Blocks go straight to a few peers as compact blocks; everyone else gets an announcement to request from.
+        // Peers that already hold the block are skipped, as in announce()
+        const compactPeers = new Set(Array.from(node.connections).slice(0, WIRE_DEFAULTS.compactPeers));
+        node.connections.forEach(peerId => {
+            if (from && peerId === from.nodeId) return;
+            const peer = this.getNode(peerId);
+            if (!peer || peer.inventory.has(item.id)) return;
+
+            if (compactPeers.has(peerId)) {
+                this.sendMessage(node, peer, WIRE_MESSAGES.CMPCTBLOCK, { itemId: item.id, peerHeight: node.chain.height });
+            } else {
+                this.sendEntries(node, peer, WIRE_MESSAGES.HEADERS, { hashes: [item.id], peerHeight: node.chain.height }, 1);
+            }
+        });
+    }
+
+    /**
+     * Add a block to a node's block tree
+     * @param {SimNode} node - Node that received the block
+     * @param {Object} block - The block
+     * @param {SimNode|null} from - Peer it came from
+     * @returns {boolean} Whether it became the node's new tip
+     */
+    acceptBlock(node, block, from) {
+        node.bestKnownHeight = Math.max(node.bestKnownHeight, block.height);
+
+        const oldTip = node.chain.tip;
+        const { isOrphan, tipChanged, reorg } = node.chain.add(block);
+        if (isOrphan && from) {
+            this.requestBlocks(node, from);
+        }
+        if (!isOrphan) {
+            this.protocol.onBlockAccepted(node, block);
+        }
+        if (tipChanged) {
+            // Transactions in blocks that left the chain are unconfirmed again, those in new blocks are mined
+            const forkPoint = reorg ? reorg.forkPoint : oldTip;
+            // Settled transactions are gone from items, but one still waiting in this mempool can be found there
+            const transactionsIn = blocks => blocks.flatMap(each => each.txids
+                .map(txId => this.items.get(txId)?.tx ?? node.mempool.transactions.get(txId))
+                .filter(Boolean));
+            node.mempool.unconfirm(transactionsIn(node.chain.blocksBetween(forkPoint, oldTip)));
+            node.mempool.confirm(transactionsIn(node.chain.blocksBetween(forkPoint, node.chain.tip)), node.chain.height);
+            node.mempool.forgetConfirmed(node.chain.height - SETTLED_DEPTH);
+
+            this.emit("chainChanged", { node, tip: node.chain.tip, reorg });
+            this.emit("mempoolChanged", { node });
+        }
+        return tipChanged;
+    }
+
+    /**
+     * Offer a transaction to a node's mempool
+     * @param {SimNode} node - Node that received the transaction
+     * @param {Object} tx - The transaction
+     * @returns {boolean} Whether the mempool admitted it
+     */
+    acceptTransaction(node, tx) {
+        const { accepted, reason } = node.mempool.add(tx);
+        if (!accepted) {
+            this.rejections[reason]++;
+            this.emit("transactionRejected", { node, tx, reason });
+            return false;
+        }
+
+        this.emit("mempoolChanged", { node });
+        return true;
+    }
+
+    /**
+     * Transactions waiting in any mempool, best fee rate first
+     * @returns {{tx: Object, holders: number}[]} Each transaction with the number of mempools holding it
+     */
+    unconfirmedTransactions() {
+        const entries = new Map();
+        this.nodes.forEach(node => {
+            node.mempool.transactions.forEach(tx => {
+                const entry = entries.get(tx.id) ?? { tx, holders: 0 };
+                entry.holders++;
+                entries.set(tx.id, entry);
+            });
+        });
+        return Array.from(entries.values()).sort((a, b) => feeRate(b.tx) - feeRate(a.tx));
+    }
+
+    /**
+     * Make a node behave in a new way
+     * @param {SimNode} node - The node
+     * @param {string} behavior - One of BEHAVIORS
+     */
+    setBehavior(node, behavior) {
+        node.behavior = behavior;
+        this.emit("behaviorChanged", { node });
+    }
+
+    /**
+     * Turn a random honest node into an attacker
+     * @param {string} behavior - One of BEHAVIORS
+     * @returns {SimNode|undefined} The node, or undefined if none are honest
+     */
+    corrupt(behavior) {
+        const honest = this.nodes.filter(node => !isAttacker(node));
+        if (honest.length === 0) {
+            return undefined;
+        }
+        const node = this.random.pick(honest);
+        this.setBehavior(node, behavior);
+        return node;
+    }
+
+    /**
+     * Spin up a cluster of attacker identities that connect to honest nodes
+     * and swallow whatever reaches them
+     * @param {number} [count] - Number of identities
+     * @returns {SimNode[]} The Sybil nodes
+     */
+    launchSybil(count = ATTACK_DEFAULTS.sybilIdentities) {
+        const honest = this.nodes.filter(node => !isAttacker(node));
+        const baseAngle = this.random.range(0, Math.PI * 2);
+        const radius = this.radius * 1.35; // Just outside the honest circle, side by side
+        // On a globe, the identities share one data centre instead
+        const site = this.scenario.geography.enabled ? drawLocation(this.random, this.scenario.geography.regions) : null;
+
+        const identities = Array.from({ length: count }, (_, i) => {
+            const angle = baseAngle + (i - (count - 1) / 2) * 0.15;
+            const node = this.addNode(this.createNodeId(), site
+                ? locationToPosition({ lat: site.lat, lon: site.lon + (i - (count - 1) / 2) * 2 }, this.radius)
+                : { x: radius * Math.cos(angle), y: 0, z: radius * Math.sin(angle) }, 0);
+            this.setBehavior(node, BEHAVIORS.SYBIL);
+            return node;
+        });
+        identities.forEach(node => {
+            for (let i = 0; i < ATTACK_DEFAULTS.sybilPeers && honest.length > 0; i++) {
+                this.connect(node, this.random.pick(honest));
+            }
+        });
+        return identities;
+    }
+
+    /**
+     * Surround a node with attackers: drop all its honest links and fill its
+     * peer slots with attackers that never relay anything to it
+     * @param {SimNode} [victim] - Node to eclipse; a random honest node if omitted
+     * @param {number} [count] - Number of attackers
+     * @returns {SimNode[]} The attackers
+     */
+    eclipse(victim, count = ATTACK_DEFAULTS.eclipseAttackers) {
+        victim = victim ?? this.random.pick(this.nodes.filter(node => !isAttacker(node) && !node.isEclipsed));
+        if (!victim) {
+            return [];
+        }
+
+        const attackers = Array.from({ length: count }, (_, i) => {
+            const angle = (i / count) * Math.PI * 2;
+            const node = this.addNode(this.createNodeId(), {
+                x: victim.position.x + 1.2 * Math.cos(angle),
+                y: victim.position.y + 1.2 * Math.sin(angle),
+                z: victim.position.z
+            }, 0);
+            node.group = victim.group;
+            this.setBehavior(node, BEHAVIORS.ECLIPSE);
+            return node;
+        });
+
+        Array.from(victim.connections).forEach(peerId => this.disconnect(victim, this.getNode(peerId)));
+        victim.isEclipsed = true;
+        this.emit("eclipseChanged", { node: victim });
+        attackers.forEach(attacker => this.connect(victim, attacker));
+        return attackers;
+    }
+
+    /**
+     * An honest node got an invalid block or transaction: it drops it and bans the sender
+     * @param {SimNode} node - Receiving node
+     * @param {SimNode} peer - Sender
+     */
+    rejectInvalid(node, peer) {
+        if (isAttacker(node)) {
+            return;
+        }
+        this.attackStats.invalidRejected++;
+        this.attackStats.bans++;
+        node.banned.add(peer.nodeId);
+        this.disconnect(node, peer);
+        this.emit("peerBanned", { node, peer });
+    }
+
+    /**
+     * Let the attackers that act on their own send invalid data and attempt double-spends
+     * @param {string[]} phases - Active phases; double-spends only happen while processing
+     */
+    handleAttackers(phases) {
+        const { invalidInterval, doubleSpendInterval } = ATTACK_DEFAULTS;
+        this.nodes.forEach(node => {
+            if (node.connections.size === 0) return;
+
+            if (node.behavior === BEHAVIORS.INVALID && this.random.chance(STEP_MS / invalidInterval)) {
+                // Only honest peers are worth fooling
+                const targets = Array.from(node.connections, peerId => this.getNode(peerId)).filter(peer => !isAttacker(peer));
+                if (targets.length === 0) return;
+                const type = this.random.chance(0.5) ? WIRE_MESSAGES.BLOCK : WIRE_MESSAGES.TX;
+                this.attackStats.invalidSent++;
+                this.sendMessage(node, this.random.pick(targets), type, { isInvalid: true });
+            } else if (node.behavior === BEHAVIORS.DOUBLE_SPEND && phases.includes(PHASES.PROCESSING) &&
+                this.random.chance(STEP_MS / doubleSpendInterval)) {
+                this.attemptDoubleSpend(node);
+            }
+        });
+    }
+
+    /**
+     * Race attack: pay one peer, and at the same time send every other peer a
+     * transaction that spends the same coins back to the attacker with a higher fee
+     * @param {SimNode} attacker - Node attempting the double-spend
+     */
+    attemptDoubleSpend(attacker) {
+        const peers = Array.from(attacker.connections, peerId => this.getNode(peerId));
+        if (peers.length < 2) {
+            return;
+        }
+
+        const merchant = this.random.pick(peers);
+        const payment = this.createItem(attacker, "transaction");
+        const doubleSpend = this.createItem(attacker, "transaction", id => ({
+            ...payment.tx,
+            id,
+            fee: payment.tx.fee * 2,
+            outputs: [`${id}:0`]
+        }));
+        attacker.inventory.add(payment.id);
+        attacker.inventory.add(doubleSpend.id);
+        this.attackStats.recordDoubleSpend(payment.id, doubleSpend.id);
+
+        peers.forEach(peer => {
+            const item = peer === merchant ? payment : doubleSpend;
+            this.sendMessage(attacker, peer, WIRE_MESSAGES.TX, { itemId: item.id }, item.tx.size);
+        });
+    }
+
+    /**
+     * Damage done by attackers so far, measured against the chain with the most work
+     * @returns {Object} See AttackStats.summary()
+     */
+    getAttackStats() {
+        return this.attackStats.summary(this.nodes, this.bestNode());
+    }
+
+    /**
+     * Change what a node is busy with
+     * @param {SimNode} node - The node to update
+     * @param {string} activity - One of ACTIVITIES
+     * @param {number} [syncProgress] - Sync progress from 0 to 1
+     */
+    setActivity(node, activity, syncProgress) {
+        node.activity = activity;
+        if (syncProgress !== undefined) {
+            node.syncProgress = syncProgress;
+        }
+        this.emit("nodeUpdated", { node });
+    }
+
+    /**
+     * Show an activity for a while, then return the node to idle
+     * @param {SimNode} node - The node to update
+     * @param {string} activity - One of ACTIVITIES
+     * @param {number} duration - How long to show it, in simulation milliseconds
+     */
+    flashActivity(node, activity, duration) {
+        node.activityUntil = Math.max(node.activityUntil, this.now + duration);
+        this.setActivity(node, activity);
+        this.scheduler.schedule(duration, () => {
+            if (node.activity === activity && this.now >= node.activityUntil) {
+                this.setActivity(node, ACTIVITIES.IDLE);
+            }
+        });
+    }
+
+    /**
+     * Pause or resume the simulation
+     * @param {boolean} isRunning - Whether the simulation should advance
+     */
+    setRunning(isRunning) {
+        this.state.isRunning = isRunning;
+    }
+
+    /**
+     * Change how fast simulation time passes relative to wall-clock time
+     * @param {number} speed - Multiplier, 1 is real time
+     */
+    setSpeed(speed) {
+        this.state.speed = speed;
+    }
+
+    /**
+     * Advance the simulation clock, running every event that falls due
+     * @param {number} deltaMs - Elapsed wall-clock time in milliseconds
+     */
+    advance(deltaMs) {
+        if (!this.state.isRunning) return;
+
+        this.scheduler.runUntil(this.now + deltaMs * this.state.speed);
+    }
+
+    /**
+     * Advance exactly one simulation step, even while paused
+     */
+    step() {
+        this.scheduler.runUntil(this.now + STEP_MS);
+    }
+
+    /**
+     * Run the active phases' handlers and schedule the next step.
+     * Discovery and churn are the same under every protocol; the protocol
+     * handles everything else.
+     */
+    runStep() {
+        this.state.currentStep++;
+        this.state.phaseTimer = this.now - this.state.phaseStartedAt;
+
+        const phases = this.state.activePhases;
+        if (phases.includes(PHASES.DISCOVERY)) {
+            this.handleDiscoveryPhase();
+        }
+        if (phases.includes(PHASES.NETWORK_CHANGES)) {
+            this.handleNetworkChanges();
+        }
+        this.protocol.handleStep(phases);
+
+        this.scheduler.schedule(STEP_MS, () => this.runStep());
+    }
+
+    /**
+     * Sample the network metrics every sampleInterval, telling views about each sample
+     */
+    scheduleMetricsSample() {
+        const { sampleInterval, latencyItems } = this.metrics.options;
+        this.scheduler.schedule(sampleInterval, () => {
+            const sample = this.metrics.sample(this.now, this.nodes, this.propagation.recentDelays(latencyItems));
+            this.emit("metricsSampled", { sample });
+            this.scheduleMetricsSample();
+        });
+    }
+
+    /**
+     * When the current phase ends, or null if it runs until someone moves on by
+     * hand: it is held, or it is the last phase of a sequence that doesn't loop
+     * @returns {number|null} Simulation time
+     */
+    get phaseEndsAt() {
+        const { phaseIndex, phaseStartedAt, isPhaseHeld } = this.state;
+        const isLast = phaseIndex === this.scenario.phases.length - 1;
+        if (isPhaseHeld || (isLast && !this.scenario.loopPhases)) {
+            return null;
+        }
+        return phaseStartedAt + this.scenario.phases[phaseIndex].duration;
+    }
+
+    schedulePhaseEnd() {
+        this.scheduler.cancel(this.phaseEnd);
+        const endsAt = this.phaseEndsAt;
+        this.phaseEnd = endsAt === null ? null : this.scheduler.scheduleAt(endsAt, () => this.endPhase());
+    }
+
+    /**
+     * Move on to the next phase of the scenario, looping back to the first
+     */
+    endPhase() {
+        this.enterPhase((this.state.phaseIndex + 1) % this.scenario.phases.length);
+    }
+
+    /**
+     * Leave the current phase and start one of the sequence's phases from its beginning
+     * @param {number} index - Index into the scenario's phases
+     */
+    enterPhase(index) {
+        if (this.state.activePhases.includes(PHASES.NETWORK_CHANGES)) {
+            // Ensure we have the minimum number of nodes before moving on
+            while (this.nodes.length < this.scenario.churn.minNodes) {
+                this.addNode(this.createNodeId(), this.findFreePosition());
+            }
+        }
+
+        const entry = this.scenario.phases[index];
+        this.state.phaseIndex = index;
+        this.state.currentPhase = entry.phase;
+        this.state.activePhases = phasesOf(entry);
+        this.state.phaseStartedAt = this.now;
+        this.state.phaseTimer = 0;
+        this.emit("phaseChanged", { phase: this.state.currentPhase, phases: this.state.activePhases });
+        this.state.activePhases.forEach(phase => this.protocol.onPhaseStart(phase));
+        this.schedulePhaseEnd();
+    }
+
+    /**
+     * Jump straight to a phase of the sequence, whatever is running now
+     * @param {number} index - Index into the scenario's phases
+     */
+    goToPhase(index) {
+        if (!Number.isInteger(index) || index < 0 || index >= this.scenario.phases.length) {
+            throw new RangeError(`No phase ${index} in a sequence of ${this.scenario.phases.length}`);
+        }
+        this.enterPhase(index);
+    }
+
+    /**
+     * Keep the current phase running until released; once released it ends
+     * when its duration is up, or at once if that has already passed
+     * @param {boolean} isHeld - Whether to hold it
+     */
+    holdPhase(isHeld) {
+        this.state.isPhaseHeld = isHeld;
+        this.schedulePhaseEnd();
+        this.emit("phaseScheduleChanged", {});
+    }
+
+    /**
+     * Change how long a phase of the sequence lasts, taking effect at once if it is running
+     * @param {number} index - Index into the scenario's phases
+     * @param {number} duration - New duration in ms
+     */
+    setPhaseDuration(index, duration) {
+        if (!(duration > 0)) {
+            throw new RangeError("A phase must last a positive number of milliseconds");
+        }
+        this.scenario.phases[index].duration = duration;
+        if (index === this.state.phaseIndex) {
+            this.schedulePhaseEnd();
+        }
+        this.emit("phaseScheduleChanged", {});
+    }
+
+    /**
+     * Choose whether the sequence starts over after its last phase, or stays in it
+     * @param {boolean} loopPhases - Whether to loop
+     */
+    setPhaseLooping(loopPhases) {
+        this.scenario.loopPhases = loopPhases;
+        this.schedulePhaseEnd();
+        this.emit("phaseScheduleChanged", {});
+    }
+
+    /**
+     * Replace the phase sequence and start its first phase
+     * @param {{phase: string, duration: number, with?: string[]}[]} phases - The new sequence, in scenario format
+     * @throws {ScenarioError} If the sequence isn't valid for the running protocol
+     */
+    setPhaseSequence(phases) {
+        this.scenario.phases = parseScenario({ protocol: this.scenario.protocol, phases }).phases;
+        this.enterPhase(0);
+        this.emit("phaseScheduleChanged", {});
+    }
+
+    /**
+     * Turn a per-second rate into a whole number of packets for this step
+     * @param {string} key - Budget to draw from
+     * @param {number} perSecond - Rate from the scenario
+     * @returns {number}
+     */
+    takePacketBudget(key, perSecond) {
+        this.packetBudget[key] += perSecond * STEP_MS / 1000;
+        const count = Math.floor(this.packetBudget[key] + 1e-9);
+        this.packetBudget[key] -= count;
+        return count;
+    }
+
+    /**
+     * The peer a node should link to next under the scenario's topology
+     * @param {SimNode} node - Node looking for a peer
+     * @returns {SimNode|undefined} undefined if the node has all the peers its topology wants
+     */
+    pickPeer(node) {
+        const { type, ...params } = this.scenario.topology;
+        return TOPOLOGIES[type].pickPeer(node, params, {
+            nodes: this.nodes,
+            random: this.random,
+            candidates: source => this.nodes.filter(other =>
+                other !== source && !source.isConnectedTo(other.nodeId) && this.canReach(source, other) && !this.refuses(source, other)
+            ),
+            outboundCount: source => Array.from(source.connections)
+                .filter(peerId => this.getLink(source.nodeId, peerId)?.direction(source.nodeId) === LINK_DIRECTIONS.OUTBOUND).length
+        });
+    }
+
+    handleDiscoveryPhase() {
+        const attempts = this.takePacketBudget("discovery", this.scenario.packets.peerDiscoveriesPerSecond);
+        for (let i = 0; i < attempts && this.nodes.length > 0; i++) {
+            const sourceNode = this.random.pick(this.nodes);
+            const targetNode = this.pickPeer(sourceNode);
+
+            if (targetNode) {
+                this.setActivity(sourceNode, ACTIVITIES.DISCOVERING);
+                this.setActivity(targetNode, ACTIVITIES.DISCOVERING);
+
+                // Open the connection; the version handshake follows once TCP is up
+                this.connect(sourceNode, targetNode);
+                this.scheduler.schedule(500, () => {
+                    this.setActivity(sourceNode, ACTIVITIES.IDLE);
+                    this.setActivity(targetNode, ACTIVITIES.IDLE);
+                });
+            }
+        }
+    }
+
+    handleSyncingPhase() {
+        this.nodes.forEach(node => {
+            // Every so often, ask a random peer for any blocks this node is missing
+            if (node.connections.size > 0 && this.now - node.lastSyncActivityAt >= SYNC_INTERVAL) {
+                this.requestBlocks(node, this.getNode(this.random.pick(Array.from(node.connections))));
+            }
+
+            const progress = Math.min(node.bestKnownHeight > 0 ? node.chain.height / node.bestKnownHeight : 1, 1);
+            if (node.activity === ACTIVITIES.MINING) {
+                node.syncProgress = progress; // Let the miner's light finish
+            } else {
+                this.setActivity(node, ACTIVITIES.SYNCING, progress);
+            }
+        });
+    }
+
+    handleProcessingPhase() {
+        const transactions = this.takePacketBudget("transactions", this.scenario.packets.transactionsPerSecond);
+        for (let i = 0; i < transactions && this.nodes.length > 0; i++) {
+            // Select random source node; the transaction floods from there
+            const sourceNode = this.random.pick(this.nodes);
+
+            if (sourceNode.connections.size > 0) {
+                this.broadcast(sourceNode, "transaction");
+            }
+        }
+    }
+
+    handleNetworkChanges() {
+        const { interval, leaveProbability, minNodes, maxNodes } = this.scenario.churn;
+
+        // Every churn interval, once we have the minimum nodes, add or remove a node
+        if (this.state.phaseTimer % interval < STEP_MS && this.nodes.length >= minNodes) {
+            if (this.random.chance(leaveProbability) && this.nodes.length > minNodes) {
+                // Remove random node
+                this.removeNode(this.random.pick(this.nodes));
+            } else if (this.nodes.length < maxNodes) {
+                this.addNode(this.createNodeId(), this.findFreePosition());
+            }
+        }
+    }
+
+    /**
+     * Find a position on the circle that's not too close to existing nodes;
+     * in a geographic run, a place on the globe drawn from the scenario's regions
+     * @returns {{x: number, y: number, z: number}}
+     */
+    findFreePosition() {
+        const radius = this.radius;
+        if (this.scenario.geography.enabled) {
+            return locationToPosition(drawLocation(this.random, this.scenario.geography.regions), radius);
+        }
+        const minDistance = radius * 0.8; // Minimum distance between nodes
+        let angle;
+        let position;
+        let attempts = 0;
+
+        do {
+            angle = this.random.range(0, Math.PI * 2);
+            position = {
+                x: radius * Math.cos(angle),
+                y: 0,
+                z: radius * Math.sin(angle)
+            };
+
+            // Check distance from all existing nodes
+            const isTooClose = this.nodes.some(node =>
+                distance(node.position, position) < minDistance
+            );
+
+            if (!isTooClose) {
+                return position;
+            }
+
+            attempts++;
+        } while (attempts < 10); // Limit attempts to prevent infinite loop
+
+        // If we couldn't find a good spot after 10 attempts,
+        // try a different radius
+        const alternateRadius = radius * this.random.range(1, 1.4); // 100-140% of original radius
+        return {
+            x: alternateRadius * Math.cos(angle),
+            y: 0,
+            z: alternateRadius * Math.sin(angle)
+        };
+    }
+}
+
+/**
+ * Euclidean distance between two positions
+ * @param {{x: number, y: number, z: number}} a
+ * @param {{x: number, y: number, z: number}} b
+ * @returns {number}
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Phases a sequence entry runs: its own, then any alongside it
+ * @param {{phase: string, with?: string[]}} entry - Entry of the scenario's phases
+ * @returns {string[]}
+ */
+function phasesOf(entry) {
+    return [entry.phase, ...(entry.with ?? [])];
+}
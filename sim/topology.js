@@ -0,0 +1,273 @@
+/**
+ * Graph shapes the network can be built in.
+ *
+ * Each topology has a title, its tunable parameters (default value and range,
+ * which views turn into sliders), and two functions:
+ * - generate(nodes, params, random) returns [initiator, acceptor] pairs that
+ *   build the whole graph at once, for the initial network;
+ * - pickPeer(node, params, graph) picks the peer a node should link to next
+ *   during discovery, or returns undefined when the node has all it wants.
+ *   graph is { nodes, random, candidates(node), outboundCount(node) }, where
+ *   candidates are the nodes it could link to right now.
+ */
+export const TOPOLOGIES = {
+    random: {
+        title: "Erdős–Rényi",
+        params: {
+            probability: { value: 0.3, min: 0.05, max: 1, step: 0.05, label: "Link chance" }
+        },
+        generate(nodes, { probability }, random) {
+            const edges = [];
+            nodes.forEach((a, i) => {
+                nodes.slice(i + 1).forEach(b => {
+                    if (random.chance(probability)) edges.push([a, b]);
+                });
+            });
+            return edges;
+        },
+        pickPeer(node, { probability }, graph) {
+            // Stop at the degree the same probability gives a freshly generated graph
+            if (node.connections.size >= probability * (graph.nodes.length - 1)) return undefined;
+            return pickFrom(graph.random, graph.candidates(node));
+        }
+    },
+
+    small_world: {
+        title: "Watts–Strogatz",
+        params: {
+            neighbors: { value: 4, min: 2, max: 10, step: 2, label: "Neighbors" },
+            rewireProbability: { value: 0.1, min: 0, max: 1, step: 0.05, label: "Rewire chance" }
+        },
+        generate(nodes, { neighbors, rewireProbability }, random) {
+            // A ring where everyone links to their nearest neighbors, with some links rewired to random nodes
+            const ring = angularOrder(nodes);
+            const edges = new EdgeSet();
+            ring.forEach((node, i) => {
+                for (let j = 1; j <= neighbors / 2 && j < ring.length; j++) {
+                    let other = ring[(i + j) % ring.length];
+                    if (random.chance(rewireProbability)) {
+                        other = random.pick(ring);
+                    }
+                    edges.add(node, other);
+                }
+            });
+            return edges.list;
+        },
+        pickPeer(node, { neighbors, rewireProbability }, graph) {
+            if (node.connections.size >= neighbors) return undefined;
+            const candidates = graph.candidates(node);
+            if (candidates.length === 0 || graph.random.chance(rewireProbability)) {
+                return pickFrom(graph.random, candidates);
+            }
+            return nearestByAngle(node, candidates);
+        }
+    },
+
+    scale_free: {
+        title: "Barabási–Albert",
+        params: {
+            edgesPerNode: { value: 2, min: 1, max: 6, step: 1, label: "Links per node" }
+        },
+        generate(nodes, { edgesPerNode }, random) {
+            // Nodes arrive one by one and link to existing ones with odds proportional to their degree
+            const edges = new EdgeSet();
+            nodes.forEach((node, i) => {
+                const existing = nodes.slice(0, i);
+                const wanted = Math.min(edgesPerNode, existing.length);
+                while (edges.degreeOf(node) < wanted) {
+                    const open = existing.filter(other => !edges.has(node, other));
+                    edges.add(node, pickByDegree(random, open, other => edges.degreeOf(other)));
+                }
+            });
+            return edges.list;
+        },
+        pickPeer(node, { edgesPerNode }, graph) {
+            if (node.connections.size >= edgesPerNode) return undefined;
+            return pickByDegree(graph.random, graph.candidates(node), other => other.connections.size);
+        }
+    },
+
+    ring: {
+        title: "Ring",
+        params: {},
+        generate(nodes) {
+            const ring = angularOrder(nodes);
+            const edges = new EdgeSet();
+            ring.forEach((node, i) => edges.add(node, ring[(i + 1) % ring.length]));
+            return edges.list;
+        },
+        pickPeer(node, params, graph) {
+            // The nodes either side of this one around the circle
+            const ring = angularOrder(graph.nodes);
+            const index = ring.indexOf(node);
+            const sides = [ring[(index + 1) % ring.length], ring[(index - 1 + ring.length) % ring.length]];
+            const candidates = graph.candidates(node);
+            return sides.find(other => candidates.includes(other));
+        }
+    },
+
+    grid: {
+        title: "Grid",
+        params: {
+            columns: { value: 0, min: 0, max: 10, step: 1, label: "Columns (0 = square)" }
+        },
+        generate(nodes, { columns }) {
+            const edges = new EdgeSet();
+            nodes.forEach((node, index) => {
+                gridNeighbors(index, nodes.length, columns).forEach(other => edges.add(node, nodes[other]));
+            });
+            return edges.list;
+        },
+        pickPeer(node, { columns }, graph) {
+            // Grid cells follow the order nodes joined in
+            const candidates = graph.candidates(node);
+            return gridNeighbors(graph.nodes.indexOf(node), graph.nodes.length, columns)
+                .map(index => graph.nodes[index])
+                .find(other => candidates.includes(other));
+        }
+    },
+
+    bitcoin: {
+        title: "Bitcoin-like",
+        params: {
+            outbound: { value: 8, min: 1, max: 16, step: 1, label: "Outbound peers" },
+            maxConnections: { value: 125, min: 8, max: 125, step: 1, label: "Max connections" }
+        },
+        generate(nodes, { outbound, maxConnections }, random) {
+            // Every node opens its outbound connections to random peers that still have free slots.
+            // Nodes with free slots stay listed in join order, and each pick counts past the node and
+            // its peers rather than filtering them out, so big networks aren't rescanned per link
+            const edges = new EdgeSet();
+            const open = nodes.slice();
+            let indexOf = new Map(open.map((node, i) => [node, i]));
+            nodes.forEach(node => {
+                for (let i = 0; i < outbound; i++) {
+                    const skipped = [node, ...edges.neighborsOf(node)]
+                        .map(other => indexOf.get(other))
+                        .filter(index => index !== undefined)
+                        .sort((a, b) => a - b);
+                    if (open.length === skipped.length || edges.degreeOf(node) >= maxConnections) break;
+
+                    let index = random.int(open.length - skipped.length);
+                    for (const skip of skipped) {
+                        if (skip > index) break;
+                        index++;
+                    }
+                    const peer = open[index];
+                    edges.add(node, peer);
+                    const full = [node, peer].filter(end => edges.degreeOf(end) >= maxConnections);
+                    if (full.length > 0) {
+                        full.forEach(end => open.splice(open.indexOf(end), 1));
+                        indexOf = new Map(open.map((other, j) => [other, j]));
+                    }
+                }
+            });
+            return edges.list;
+        },
+        pickPeer(node, { outbound, maxConnections }, graph) {
+            if (graph.outboundCount(node) >= outbound || node.connections.size >= maxConnections) return undefined;
+            return pickFrom(graph.random, graph.candidates(node).filter(other => other.connections.size < maxConnections));
+        }
+    }
+};
+
+/**
+ * Default parameters of a topology
+ * @param {string} type - Key of TOPOLOGIES
+ * @returns {Object<string, number>}
+ */
+export function topologyDefaults(type) {
+    return Object.fromEntries(Object.entries(TOPOLOGIES[type].params).map(([name, param]) => [name, param.value]));
+}
+
+/**
+ * Undirected edges without duplicates or self-loops, in the order they were added
+ */
+class EdgeSet {
+    constructor() {
+        this.list = [];
+        this.keys = new Set();
+        this.degrees = new Map();
+        this.neighbors = new Map();
+    }
+
+    has(a, b) {
+        return this.keys.has(edgeKey(a, b));
+    }
+
+    degreeOf(node) {
+        return this.degrees.get(node) ?? 0;
+    }
+
+    neighborsOf(node) {
+        return this.neighbors.get(node) ?? [];
+    }
+
+    add(a, b) {
+        if (a === b || this.has(a, b)) return;
+        this.keys.add(edgeKey(a, b));
+        this.list.push([a, b]);
+        this.degrees.set(a, this.degreeOf(a) + 1);
+        this.degrees.set(b, this.degreeOf(b) + 1);
+        [[a, b], [b, a]].forEach(([from, to]) => {
+            if (!this.neighbors.has(from)) this.neighbors.set(from, []);
+            this.neighbors.get(from).push(to);
+        });
+    }
+}
+
+function edgeKey(a, b) {
+    return a.nodeId < b.nodeId ? `${a.nodeId}|${b.nodeId}` : `${b.nodeId}|${a.nodeId}`;
+}
+
+function pickFrom(random, candidates) {
+    return candidates.length > 0 ? random.pick(candidates) : undefined;
+}
+
+/**
+ * Pick a node with odds proportional to its degree, uniformly while nobody has links yet
+ */
+function pickByDegree(random, candidates, degreeOf) {
+    const total = candidates.reduce((sum, node) => sum + degreeOf(node), 0);
+    if (total === 0) {
+        return pickFrom(random, candidates);
+    }
+    let roll = random.next() * total;
+    return candidates.find(node => (roll -= degreeOf(node)) < 0) ?? candidates[candidates.length - 1];
+}
+
+function angleOf(node) {
+    return Math.atan2(node.position.z, node.position.x);
+}
+
+/**
+ * Nodes sorted by their angle around the layout's centre
+ */
+function angularOrder(nodes) {
+    return nodes.slice().sort((a, b) => angleOf(a) - angleOf(b));
+}
+
+function nearestByAngle(node, candidates) {
+    const gap = other => {
+        const difference = Math.abs(angleOf(other) - angleOf(node));
+        return Math.min(difference, Math.PI * 2 - difference);
+    };
+    return candidates.reduce((best, other) => (gap(other) < gap(best) ? other : best));
+}
+
+/**
+ * Indexes of the cells right of and below a cell, and left of and above it
+ * @param {number} index - The cell
+ * @param {number} count - Number of cells
+ * @param {number} columns - Row length, 0 for as square as possible
+ * @returns {number[]}
+ */
+function gridNeighbors(index, count, columns) {
+    const width = columns > 0 ? columns : Math.ceil(Math.sqrt(count));
+    const neighbors = [];
+    if ((index + 1) % width !== 0 && index + 1 < count) neighbors.push(index + 1);
+    if (index + width < count) neighbors.push(index + width);
+    if (index % width !== 0) neighbors.push(index - 1);
+    if (index - width >= 0) neighbors.push(index - width);
+    return neighbors;
+}
@@ -0,0 +1,32 @@
+/**
+ * Messages of Bitcoin's peer-to-peer protocol that nodes exchange over their links
+ */
+export const WIRE_MESSAGES = {
+    VERSION: "version",         // Opens the handshake: "this is who I am and how high my chain is"
+    VERACK: "verack",           // Accepts the peer's version; the link is up once both sides sent one
+    PING: "ping",               // Keepalive that also measures round-trip time
+    PONG: "pong",               // Echoes a ping's nonce
+    GETADDR: "getaddr",         // Asks a new outbound peer for addresses of other nodes
+    ADDR: "addr",               // Addresses of nodes the sender knows about
+    INV: "inv",                 // Announces transactions the sender has, by ID
+    GETDATA: "getdata",         // Requests announced transactions or blocks
+    GETHEADERS: "getheaders",   // Asks for the headers after a block locator, to sync
+    HEADERS: "headers",         // Block headers: a sync batch, or a single new block announced
+    CMPCTBLOCK: "cmpctblock",   // A new block as short transaction IDs, rebuilt from the receiver's mempool
+    TX: "tx",                   // A full transaction
+    BLOCK: "block"              // A full block
+};
+
+// Messages that make up the handshake, and so don't wait for it
+export const HANDSHAKE_MESSAGES = new Set([WIRE_MESSAGES.VERSION, WIRE_MESSAGES.VERACK]);
+
+/**
+ * Pace and limits of the peer-to-peer protocol
+ */
+export const WIRE_DEFAULTS = {
+    pingInterval: 20000,    // ms between the pings the end that opened a link sends, on average
+    invInterval: 2000,      // ms a node gathers new transactions before announcing them, on average
+    maxAddresses: 10,       // Addresses in one addr message
+    compactPeers: 3,        // Peers a node sends new blocks to as cmpctblock instead of announcing headers
+    requestTimeout: 5000    // ms before a node asks another peer for data it requested and never got
+};
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, BEHAVIORS, ScenarioError, parseScenario } from "../sim/index.js";
+
+/**
+ * The default demo, run past its first discovery
+ */
+function running(seed = 9) {
+    const simulation = new NetworkSimulation({ seed });
+    simulation.start();
+    simulation.advance(10000);
+    return simulation;
+}
+
+test("an eclipsed node only talks to its attackers, and learns no one else's blocks", () => {
+    const simulation = running();
+    const victim = simulation.nodes[0];
+    const attackers = simulation.eclipse(victim);
+    const height = victim.chain.height;
+    simulation.advance(30000);
+
+    assert.ok(victim.isEclipsed);
+    // Churn may take attackers away, but no honest node gets in
+    victim.connections.forEach(peerId => assert.ok(attackers.some(node => node.nodeId === peerId)));
+    // It only extends its own chain
+    victim.chain.blocksBetween(victim.chain.ancestor(victim.chain.tip, height), victim.chain.tip)
+        .forEach(block => assert.equal(block.miner, victim.nodeId));
+});
+
+test("Sybil identities connect to honest nodes and swallow what reaches them", () => {
+    const simulation = running();
+    const identities = simulation.launchSybil(4);
+
+    assert.equal(identities.length, 4);
+    identities.forEach(node => {
+        assert.equal(node.behavior, BEHAVIORS.SYBIL);
+        assert.ok(node.connections.size > 0);
+    });
+    simulation.advance(30000);
+    assert.ok(simulation.attackStats.droppedRelays > 0);
+});
+
+test("honest nodes ban a peer that sends them invalid data", () => {
+    const simulation = running();
+    const attacker = simulation.corrupt(BEHAVIORS.INVALID);
+    const banned = [];
+    simulation.on("peerBanned", ({ peer }) => banned.push(peer.nodeId));
+    simulation.advance(30000);
+
+    assert.ok(simulation.attackStats.invalidSent > 0);
+    assert.ok(banned.length > 0);
+    banned.forEach(nodeId => assert.equal(nodeId, attacker.nodeId));
+});
+
+test("attacks only apply to Bitcoin scenarios", () => {
+    assert.equal(parseScenario({ attacks: [{ type: "sybil", at: 1000 }] }).attacks[0].count, 6);
+    assert.throws(() => parseScenario({ protocol: "raft", attacks: [{ type: "sybil", at: 1000 }] }),
+        new ScenarioError(["\"attacks\" only apply to the \"bitcoin\" protocol"]));
+});
@@ -0,0 +1,101 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, BlockTree, GENESIS_BLOCK, createBlock, scramble } from "../sim/index.js";
+
+/**
+ * A block on top of a parent, mined by nobody in particular
+ */
+function block(parent, hash, work = 1) {
+    return createBlock(parent, { hash, miner: "m", createdAt: 0, work });
+}
+
+test("scrambling never maps two numbers to the same value", () => {
+    const values = new Set();
+    for (let i = 0; i < 100000; i++) {
+        values.add(scramble(0xFFFFFF00 + i));
+    }
+    assert.equal(values.size, 100000);
+});
+
+test("no two blocks of a run share a hash, nor take the genesis block's", () => {
+    // Seed 0 scrambles the first block number to 0, the genesis hash
+    const simulation = new NetworkSimulation({ seed: 0 });
+    const hashes = Array.from({ length: 1000 }, () => simulation.createBlockHash());
+
+    assert.equal(new Set(hashes).size, hashes.length);
+    assert.ok(!hashes.includes(GENESIS_BLOCK.hash));
+});
+
+test("the tree follows the chain with the most work, and reports a reorg when it switches", () => {
+    const tree = new BlockTree();
+    const a1 = block(GENESIS_BLOCK, "a1");
+    const a2 = block(a1, "a2");
+    const b2 = block(a1, "b2");
+    const b3 = block(b2, "b3");
+
+    assert.deepEqual(tree.add(a1), { isOrphan: false, tipChanged: true, reorg: null });
+    tree.add(a2);
+    // Equal work: the tip seen first stays
+    assert.equal(tree.add(b2).tipChanged, false);
+    assert.equal(tree.tip, a2);
+
+    const { tipChanged, reorg } = tree.add(b3);
+    assert.ok(tipChanged);
+    assert.deepEqual(reorg, { depth: 1, oldTip: a2, newTip: b3, forkPoint: a1 });
+    assert.ok(tree.isInMainChain("b2"));
+    assert.ok(!tree.isInMainChain("a2"));
+});
+
+test("orphans wait for their parent, then connect with it", () => {
+    const tree = new BlockTree();
+    const a1 = block(GENESIS_BLOCK, "a1");
+    const a2 = block(a1, "a2");
+    const a3 = block(a2, "a3");
+
+    assert.equal(tree.add(a3).isOrphan, true);
+    assert.equal(tree.add(a2).isOrphan, true);
+    assert.equal(tree.tip, GENESIS_BLOCK);
+    assert.ok(tree.add(a1).tipChanged);
+    assert.equal(tree.tip, a3);
+    assert.equal(tree.orphans.size, 0);
+});
+
+test("a peer's locator gets the blocks it is missing, from where the chains fork", () => {
+    const ours = new BlockTree();
+    const theirs = new BlockTree();
+    const a1 = block(GENESIS_BLOCK, "a1");
+    [a1, block(a1, "a2"), block(a1, "b2")].forEach(each => theirs.add(each));
+    [a1, block(a1, "c2")].forEach(each => ours.add(each));
+    let parent = ours.tip;
+    ["c3", "c4"].forEach(hash => ours.add(parent = block(parent, hash)));
+
+    assert.deepEqual(ours.blocksAfter(theirs.locator()).map(each => each.hash), ["c2", "c3", "c4"]);
+    assert.deepEqual(ours.blocksAfter(theirs.locator(), 2).map(each => each.hash), ["c2", "c3"]);
+});
+
+test("transactions in blocks a reorg drops go back to the mempool", () => {
+    const simulation = new NetworkSimulation({
+        seed: 1,
+        scenario: {
+            nodes: [{ id: "a" }],
+            phases: [{ phase: "processing", duration: 100000 }],
+            packets: { transactionsPerSecond: 0 },
+            mining: { minerProbability: 0 }
+        }
+    });
+    simulation.start();
+    const node = simulation.getNode("a");
+    const tx = simulation.broadcast(node, "transaction").tx;
+    const mined = simulation.broadcast(node, "block").block;
+
+    assert.deepEqual(mined.txids, [tx.id]);
+    assert.ok(!node.mempool.has(tx.id));
+
+    const fork1 = block(GENESIS_BLOCK, "f1");
+    simulation.acceptBlock(node, fork1, null);
+    simulation.acceptBlock(node, block(fork1, "f2"), null);
+
+    assert.equal(node.chain.tip.hash, "f2");
+    assert.ok(node.mempool.has(tx.id));
+    assert.ok(!node.mempool.confirmed.has(tx.id));
+});
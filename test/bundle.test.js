@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+import { BUNDLE, GLOBAL_NAME, bundle } from "../scripts/bundle.js";
+
+const BUNDLE_URL = new URL(`../${BUNDLE}`, import.meta.url);
+
+test("the committed bundle is up to date with script.js and sim/", () => {
+    assert.equal(readFileSync(BUNDLE_URL, "utf8"), bundle(), "run `npm run bundle` and commit the result");
+});
+
+test("the bundle runs as a classic script and gives the page createScene", () => {
+    // Babylon comes from the CDN scripts; the module-level setup only needs something to construct and call
+    const babylon = new Proxy(function () {}, {
+        get: () => babylon,
+        apply: () => babylon,
+        construct: () => babylon
+    });
+    const context = vm.createContext({ BABYLON: babylon });
+    vm.runInContext(readFileSync(BUNDLE_URL, "utf8"), context);
+
+    assert.equal(typeof vm.runInContext(`${GLOBAL_NAME}.createScene`, context), "function");
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, SeededRandom } from "../sim/index.js";
+
+const RUN_MS = 30000;
+
+/**
+ * Run the default demo for RUN_MS, advancing the clock a chunk at a time
+ */
+function run(seed, chunkMs) {
+    const simulation = new NetworkSimulation({ seed });
+    simulation.start();
+    for (let elapsed = 0; elapsed < RUN_MS; elapsed += chunkMs) {
+        simulation.advance(chunkMs);
+    }
+    return simulation;
+}
+
+test("the same seed gives the same sequence of numbers", () => {
+    const a = new SeededRandom("demo");
+    const b = new SeededRandom("demo");
+    const sequence = random => Array.from({ length: 20 }, () => random.next());
+
+    assert.deepEqual(sequence(a), sequence(b));
+    assert.notDeepEqual(sequence(new SeededRandom(1)), sequence(new SeededRandom(2)));
+});
+
+test("a seeded run records the same events however the clock is advanced", () => {
+    const [whole, ...chunked] = [RUN_MS, 1000, 40].map(chunkMs => run(42, chunkMs));
+    const expected = JSON.stringify(whole.log);
+    assert.ok(whole.log.records.length > 0);
+
+    chunked.forEach(simulation => {
+        assert.equal(simulation.now, RUN_MS);
+        assert.equal(JSON.stringify(simulation.log), expected);
+        assert.deepEqual(simulation.propagation.reports(), whole.propagation.reports());
+    });
+});
+
+test("different seeds give different runs", () => {
+    assert.notEqual(JSON.stringify(run(1, 1000).log), JSON.stringify(run(2, 1000).log));
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, NetworkEditor, BEHAVIORS } from "../sim/index.js";
+
+/**
+ * Three linked nodes that stay put: no churn or discovery to change the network under the editor
+ */
+function editing() {
+    const simulation = new NetworkSimulation({
+        seed: 6,
+        scenario: {
+            nodes: [{ id: "a" }, { id: "b" }, { id: "c" }],
+            links: [{ source: "a", target: "b", latency: 120 }, { source: "b", target: "c" }],
+            phases: [{ phase: "processing", duration: 100000 }]
+        }
+    });
+    simulation.start();
+    return { simulation, editor: new NetworkEditor(simulation) };
+}
+
+test("adding a node is undone and redone with the same ID and mining power", () => {
+    const { simulation, editor } = editing();
+    const node = editor.addNode({ x: 1, y: 0, z: 1 });
+    const { nodeId, hashpower } = node;
+
+    assert.equal(editor.undo(), `Add ${nodeId}`);
+    assert.equal(simulation.getNode(nodeId), undefined);
+    assert.equal(editor.redo(), `Add ${nodeId}`);
+    assert.equal(simulation.getNode(nodeId).hashpower, hashpower);
+});
+
+test("undoing a removal brings the node back with its behavior and links", () => {
+    const { simulation, editor } = editing();
+    simulation.setBehavior(simulation.getNode("b"), BEHAVIORS.SELFISH);
+    assert.ok(editor.removeNode("b"));
+    assert.equal(simulation.getNode("a").connections.size, 0);
+
+    editor.undo();
+    const restored = simulation.getNode("b");
+    assert.equal(restored.behavior, BEHAVIORS.SELFISH);
+    assert.deepEqual(Array.from(restored.connections).sort(), ["a", "c"]);
+    assert.equal(simulation.getLink("a", "b").latency, 120);
+    assert.ok(!editor.removeNode("missing"));
+});
+
+test("links and moves undo and redo", () => {
+    const { simulation, editor } = editing();
+    assert.ok(editor.connect("a", "c"));
+    assert.ok(!editor.connect("a", "b"));
+    assert.ok(editor.disconnect("a", "b"));
+    const from = { ...simulation.getNode("c").position };
+    assert.ok(editor.moveNode("c", { x: 9, y: 9, z: 9 }));
+
+    editor.undo();
+    assert.deepEqual(simulation.getNode("c").position, from);
+    editor.undo();
+    assert.ok(simulation.getLink("a", "b"));
+    editor.undo();
+    assert.equal(simulation.getLink("a", "c"), undefined);
+
+    editor.redo();
+    assert.ok(simulation.getLink("a", "c"));
+    assert.equal(editor.redo(), "Unlink a from b");
+    assert.equal(simulation.getLink("a", "b"), undefined);
+});
+
+test("a new edit clears the redo stack, and commands skip nodes that are gone", () => {
+    const { simulation, editor } = editing();
+    editor.connect("a", "c");
+    editor.undo();
+    assert.ok(editor.canRedo);
+
+    editor.moveNode("a", { x: 0, y: 2, z: 0 });
+    assert.ok(!editor.canRedo);
+    assert.equal(editor.redo(), undefined);
+
+    simulation.removeNode(simulation.getNode("a"));
+    assert.equal(editor.undo(), "Move a");
+    assert.ok(!editor.canUndo);
+});
+
+test("injected items spread from the chosen node", () => {
+    const { simulation, editor } = editing();
+    const item = editor.inject("c", "transaction");
+    simulation.advance(5000);
+
+    assert.equal(item.origin, "c");
+    simulation.nodes.forEach(node => assert.ok(node.inventory.has(item.id)));
+    assert.equal(editor.inject("missing", "block"), undefined);
+    assert.ok(!editor.canUndo);
+});
@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, EventLog, LOG_EVENTS, LOG_VERSION } from "../sim/index.js";
+
+/**
+ * A default demo run of some length, with its log
+ */
+function recordedRun(ms, logOptions) {
+    const simulation = new NetworkSimulation({ seed: 7, logOptions });
+    simulation.start();
+    simulation.advance(ms);
+    return simulation;
+}
+
+/**
+ * Times spread over a log's span, for comparing replays
+ */
+function timesIn(log, count = 25) {
+    return Array.from({ length: count + 1 }, (_, i) => log.startTime + (log.endTime - log.startTime) * i / count);
+}
+
+test("replaying the log gives the network the simulation has", () => {
+    const simulation = recordedRun(20000);
+    const state = simulation.log.stateAt(simulation.now);
+
+    assert.deepEqual(state.nodes.map(node => node.nodeId).sort(), simulation.nodes.map(node => node.nodeId).sort());
+    assert.equal(state.links.length, simulation.links.size);
+});
+
+test("a log survives a round trip through JSON", () => {
+    const { log } = recordedRun(20000);
+    const loaded = EventLog.fromJSON(JSON.stringify(log));
+
+    assert.equal(loaded.seed, log.seed);
+    assert.deepEqual(loaded.records, log.records);
+    timesIn(log).forEach(time => assert.deepEqual(loaded.stateAt(time), log.stateAt(time)));
+});
+
+test("messages keep only what replays need of their payload", () => {
+    const { log } = recordedRun(20000);
+    const sent = log.records.filter(record => record.type === LOG_EVENTS.MESSAGE_SENT);
+
+    assert.ok(sent.length > 0);
+    sent.forEach(record => assert.equal(record.payload, undefined));
+});
+
+test("a log over its limit drops its oldest records but replays the rest the same", () => {
+    const full = recordedRun(120000);
+    const trimmed = recordedRun(120000, { maxRecords: 500, checkpointInterval: 200 });
+    const { log } = trimmed;
+
+    assert.ok(log.records.length < full.log.records.length);
+    assert.ok(log.records.length <= 500 + 200);
+    assert.ok(log.startTime > 0);
+    timesIn(log).forEach(time => assert.deepEqual(log.stateAt(time), full.log.stateAt(time)));
+
+    // The state it starts from is saved with it
+    const loaded = EventLog.fromJSON(JSON.stringify(log));
+    assert.equal(loaded.startTime, log.startTime);
+    timesIn(log).forEach(time => assert.deepEqual(loaded.stateAt(time), log.stateAt(time)));
+});
+
+test("version 1 logs, which kept whole payloads, still load", () => {
+    const log = EventLog.fromJSON({
+        version: 1,
+        seed: 1,
+        records: [
+            { time: 0, type: LOG_EVENTS.NODE_JOINED, nodeId: "a", position: { x: 0, y: 0, z: 0 } },
+            { time: 0, type: LOG_EVENTS.NODE_JOINED, nodeId: "b", position: { x: 1, y: 0, z: 0 } },
+            { time: 5, type: LOG_EVENTS.LINK_ADDED, source: "a", target: "b", latency: 10, bandwidth: 100 },
+            {
+                time: 10, type: LOG_EVENTS.MESSAGE_SENT, messageId: 1, source: "a", target: "b",
+                messageType: "tx", payload: { itemId: "tx-0", isInvalid: true }, size: 400, deliverAt: 30
+            }
+        ]
+    });
+
+    const state = log.stateAt(20);
+    assert.equal(state.nodes.length, 2);
+    assert.equal(state.links.length, 1);
+    assert.deepEqual(state.messages.map(message => message.isInvalid), [true]);
+});
+
+test("logs whose start state has broken nodes or links are rejected", () => {
+    const log = start => ({ version: LOG_VERSION, records: [], start: { time: 0, messages: [], severed: [], ...start } });
+    const node = nodeId => ({ nodeId, position: { x: 0, y: 0, z: 0 } });
+
+    assert.equal(EventLog.fromJSON(log({ nodes: [node("a"), node("b")], links: [{ source: "a", target: "b" }] }))
+        .stateAt(0).links.length, 1);
+    assert.throws(() => EventLog.fromJSON(log({ nodes: [{ nodeId: "a" }], links: [] })), /start node at index 0/);
+    assert.throws(() => EventLog.fromJSON(log({ nodes: [node("a"), node("a")], links: [] })), /start node at index 1/);
+    assert.throws(() => EventLog.fromJSON(log({ nodes: [null], links: [] })), /start node at index 0/);
+    assert.throws(() => EventLog.fromJSON(log({ nodes: [node("a")], links: [{ source: "a", target: "ghost" }] })),
+        /start link at index 0/);
+});
+
+test("broken logs are rejected", () => {
+    assert.throws(() => EventLog.fromJSON({ version: LOG_VERSION + 1, records: [] }), /Not an event log/);
+    assert.throws(() => EventLog.fromJSON({ version: LOG_VERSION, records: [{ time: 0, type: "unknown" }] }),
+        /Invalid event log record at index 0/);
+    assert.throws(() => EventLog.fromJSON({
+        version: LOG_VERSION,
+        records: [
+            { time: 10, type: LOG_EVENTS.PHASE_CHANGED, phase: "discovery" },
+            { time: 5, type: LOG_EVENTS.PHASE_CHANGED, phase: "discovery" }
+        ]
+    }), /index 1 is out of time order/);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    NetworkSimulation, SeededRandom, ScenarioError, GEO_REGIONS, GEO_DEFAULTS, EARTH_RADIUS_KM, drawLocation,
+    distanceKm, geoLatency, locationToPosition, positionToLocation, greatCirclePoint, parseScenario
+} from "../sim/index.js";
+
+const LONDON = { lat: 51.5, lon: -0.1 };
+const NEW_YORK = { lat: 40.7, lon: -74 };
+
+function near(actual, expected, tolerance = 1e-9) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test("distances follow the great circle, and latency grows with them", () => {
+    near(distanceKm(LONDON, NEW_YORK), 5570, 20);
+    near(distanceKm({ lat: 0, lon: 0 }, { lat: 0, lon: 180 }), Math.PI * EARTH_RADIUS_KM, 1e-6);
+    assert.equal(geoLatency(LONDON, LONDON), GEO_DEFAULTS.baseLatency);
+    assert.equal(geoLatency(LONDON, NEW_YORK, { baseLatency: 0, msPerThousandKm: 10 }), 56);
+});
+
+test("locations and positions convert both ways", () => {
+    near(locationToPosition({ lat: 0, lon: 0 }, 5).z, -5);
+    near(locationToPosition({ lat: 0, lon: 90 }, 5).x, 5);
+    near(locationToPosition({ lat: 90, lon: 0 }, 5).y, 5);
+
+    const { lat, lon } = positionToLocation(locationToPosition(NEW_YORK, 3));
+    near(lat, NEW_YORK.lat);
+    near(lon, NEW_YORK.lon);
+});
+
+test("drawn locations fall in a region with weight", () => {
+    const random = new SeededRandom(8);
+    for (let i = 0; i < 200; i++) {
+        const { lat, lon } = drawLocation(random, { oceania: 1, europe: 0 });
+        const region = GEO_REGIONS.oceania;
+        assert.ok(lat >= region.lat[0] && lat <= region.lat[1]);
+        assert.ok(lon >= region.lon[0] && lon <= region.lon[1]);
+    }
+});
+
+test("great-circle arcs stay on the sphere between their ends and rise by the lift", () => {
+    const a = locationToPosition(LONDON, 5);
+    const b = locationToPosition(NEW_YORK, 5);
+
+    const start = greatCirclePoint(a, b, 0);
+    const end = greatCirclePoint(a, b, 1);
+    ["x", "y", "z"].forEach(axis => {
+        near(start[axis], a[axis]);
+        near(end[axis], b[axis]);
+    });
+    [0.25, 0.5, 0.75].forEach(t => {
+        const point = greatCirclePoint(a, b, t);
+        near(Math.hypot(point.x, point.y, point.z), 5);
+    });
+    // A quarter of the way round rises by half the lift at the middle
+    const top = greatCirclePoint({ x: 5, y: 0, z: 0 }, { x: 0, y: 5, z: 0 }, 0.5, 2);
+    near(Math.hypot(top.x, top.y, top.z), 6);
+});
+
+test("a geographic run places declared nodes on the globe and derives link latency from distance", () => {
+    const simulation = new NetworkSimulation({
+        seed: 4,
+        scenario: {
+            geography: { enabled: true },
+            nodes: [{ id: "london", location: LONDON }, { id: "new-york", location: NEW_YORK }, { id: "drawn" }],
+            links: [{ source: "london", target: "new-york" }]
+        }
+    });
+    simulation.start();
+
+    const london = simulation.getNode("london");
+    near(london.location.lat, LONDON.lat);
+    near(Math.hypot(london.position.x, london.position.y, london.position.z), simulation.radius);
+    assert.ok(simulation.getNode("drawn").location);
+    assert.equal(simulation.getLink("london", "new-york").latency, geoLatency(LONDON, NEW_YORK));
+});
+
+test("locations outside the globe are rejected", () => {
+    assert.throws(() => parseScenario({ nodes: [{ id: "a", location: { lat: 91, lon: 0 } }] }), ScenarioError);
+    assert.throws(() => parseScenario({ nodes: [{ id: "a", location: { lat: 0 } }] }), ScenarioError);
+});
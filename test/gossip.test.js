@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, PropagationTracker } from "../sim/index.js";
+
+const ITEM = { id: "tx-0", kind: "transaction", origin: "a", createdAt: 1000 };
+
+test("thresholds are crossed when enough of the audience holds the item", () => {
+    const tracker = new PropagationTracker();
+    tracker.track(ITEM, ["a", "b", "c", "d"]);
+
+    assert.deepEqual(tracker.recordReach(ITEM.id, "a", 1000), []);
+    assert.deepEqual(tracker.recordReach(ITEM.id, "b", 1100), [0.5]);
+    assert.deepEqual(tracker.recordReach(ITEM.id, "c", 1300), []);
+    assert.deepEqual(tracker.recordReach(ITEM.id, "d", 1600), [0.9, 1]);
+    assert.deepEqual(tracker.getReport(ITEM.id).thresholds, { 0.5: 100, 0.9: 600, 1: 600 });
+});
+
+test("nodes outside the audience, and repeat receipts, don't count", () => {
+    const tracker = new PropagationTracker();
+    tracker.track(ITEM, ["a", "b"]);
+
+    assert.deepEqual(tracker.recordReach(ITEM.id, "late", 1100), []);
+    tracker.recordReach(ITEM.id, "a", 1000);
+    tracker.recordReach(ITEM.id, "a", 1200);
+
+    const report = tracker.getReport(ITEM.id);
+    assert.equal(report.reachedCount, 1);
+    assert.equal(report.thresholds[0.5], 0);
+    assert.equal(tracker.reports()[0].t100, null);
+});
+
+test("an audience can be given as a count", () => {
+    const tracker = new PropagationTracker();
+    tracker.track(ITEM, 2);
+    tracker.recordReach(ITEM.id, "a", 1000);
+
+    assert.deepEqual(tracker.recordReach(ITEM.id, "b", 1250), [0.9, 1]);
+    assert.deepEqual(tracker.recentDelays(1), [250]);
+});
+
+test("in a run, no item reaches more nodes than its audience, and thresholds come in order", () => {
+    const simulation = new NetworkSimulation({ seed: 5 });
+    simulation.start();
+    simulation.advance(60000);
+
+    const reports = simulation.propagation.reports();
+    assert.ok(reports.some(report => report.t100 !== null));
+    reports.forEach(report => {
+        assert.ok(report.reachedCount <= report.audienceSize, `${report.itemId} reached more than its audience`);
+        const times = [report.t50, report.t90, report.t100].filter(time => time !== null);
+        assert.deepEqual(times, times.slice().sort((a, b) => a - b));
+    });
+});
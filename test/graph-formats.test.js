@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    NetworkSimulation, GRAPH_FORMATS, GraphImportError, graphSnapshot, writeGraph, parseGraph, mergeGraphs,
+    graphScenario, parseScenario
+} from "../sim/index.js";
+
+/**
+ * A snapshot of the default demo after it has run a while
+ */
+function snapshot() {
+    const simulation = new NetworkSimulation({ seed: 11 });
+    simulation.start();
+    simulation.advance(15000);
+    return graphSnapshot(simulation);
+}
+
+/**
+ * Nodes and edges in an order that doesn't depend on the file
+ */
+function sorted({ nodes, edges }) {
+    return {
+        nodes: nodes.slice().sort((a, b) => a.id.localeCompare(b.id)),
+        edges: edges.map(edge => `${edge.source}|${edge.target}`).sort()
+    };
+}
+
+Object.keys(GRAPH_FORMATS).forEach(format => {
+    test(`a graph survives a round trip through ${GRAPH_FORMATS[format].title}`, () => {
+        const graph = snapshot();
+        const loaded = mergeGraphs(writeGraph(graph, format).map(file => parseGraph(file.text)));
+
+        assert.ok(graph.edges.length > 0);
+        assert.deepEqual(sorted(loaded), sorted(graph));
+        loaded.edges.forEach(edge => {
+            const original = graph.edges.find(({ source, target }) => source === edge.source && target === edge.target);
+            assert.deepEqual(edge.attributes, original.attributes);
+        });
+        // Only GraphML and DOT have somewhere to keep the graph's own attributes
+        if (format === "graphml" || format === "dot") {
+            assert.equal(loaded.attributes.protocol, graph.attributes.protocol);
+        }
+    });
+});
+
+test("a loaded graph seeds a run with the same nodes and links", () => {
+    const graph = snapshot();
+    const scenario = parseScenario(graphScenario(parseGraph(writeGraph(graph, "graphml")[0].text)));
+
+    assert.deepEqual(scenario.nodes.map(node => node.id).sort(), graph.nodes.map(node => node.id).sort());
+    assert.equal(scenario.links.length, graph.edges.length);
+});
+
+test("values that look like numbers or booleans are read as such", () => {
+    const graph = parseGraph("graph { a [weight=2.5, online=true, label=\"node a\"]; a -- b; }");
+
+    assert.deepEqual(graph.nodes.find(node => node.id === "a").attributes, { weight: 2.5, online: true, label: "node a" });
+    assert.deepEqual(graph.edges.map(({ source, target }) => [source, target]), [["a", "b"]]);
+});
+
+test("a CSV without a header is an edge list of its first two columns", () => {
+    const graph = parseGraph("a,b\nb,c\n");
+
+    assert.deepEqual(graph.nodes.map(node => node.id).sort(), ["a", "b", "c"]);
+    assert.equal(graph.edges.length, 2);
+});
+
+test("files that aren't graphs are rejected with a readable reason", () => {
+    assert.throws(() => parseGraph(""), new GraphImportError("CSV has no header row"));
+    assert.throws(() => parseGraph("<html></html>"), new GraphImportError("Expected a <graphml> or <gexf> document"));
+    assert.throws(() => parseGraph("graph { }"), new GraphImportError("The file has no nodes"));
+});
+
+test("XML character references are decoded, and ones past Unicode are rejected", () => {
+    const graphml = id => `<graphml><graph edgedefault="undirected"><node id="${id}"/></graph></graphml>`;
+
+    assert.equal(parseGraph(graphml("a&#x263A;&#65;&amp;")).nodes[0].id, "a\u263AA&");
+    assert.throws(() => parseGraph(graphml("&#x110000;")), new GraphImportError("\"&#x110000;\" is not a Unicode character"));
+    assert.throws(() => parseGraph(graphml("&#99999999999;")), GraphImportError);
+});
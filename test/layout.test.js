@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LAYOUTS, FORCE_DEFAULTS, ForceLayout, arrangeNodes, hopDistances } from "../sim/index.js";
+
+const IDS = ["a", "b", "c", "d", "e"];
+// A path a-b-c-d, and e on its own
+const EDGES = [["a", "b"], ["b", "c"], ["c", "d"]];
+
+function distance(p, q) {
+    return Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+}
+
+test("hop distances count links from the root, leaving out nodes it can't reach", () => {
+    assert.deepEqual(hopDistances("b", EDGES), new Map([["b", 0], ["a", 1], ["c", 1], ["d", 2]]));
+});
+
+test("circular and spherical layouts put every node at the radius", () => {
+    [LAYOUTS.CIRCULAR, LAYOUTS.SPHERICAL].forEach(layout => {
+        const positions = arrangeNodes(layout, IDS, EDGES, { radius: 5 });
+        assert.deepEqual(Array.from(positions.keys()), IDS);
+        positions.forEach(position => assert.ok(Math.abs(distance(position, { x: 0, y: 0, z: 0 }) - 5) < 1e-9));
+    });
+    arrangeNodes(LAYOUTS.CIRCULAR, IDS, EDGES, { radius: 5 }).forEach(position => assert.equal(position.y, 0));
+});
+
+test("the hierarchy puts the root on top and each hop lower, unreachable nodes last", () => {
+    const positions = arrangeNodes(LAYOUTS.HIERARCHICAL, IDS, EDGES, { radius: 5, root: "b" });
+    const { y: top } = positions.get("b");
+
+    assert.equal(top, 5);
+    assert.equal(positions.get("a").y, positions.get("c").y);
+    assert.ok(positions.get("a").y < top);
+    assert.ok(positions.get("d").y < positions.get("c").y);
+    assert.equal(positions.get("e").y, -5);
+    // A missing root falls back to the first node
+    assert.equal(arrangeNodes(LAYOUTS.HIERARCHICAL, IDS, EDGES, { radius: 5, root: "gone" }).get("a").y, 5);
+});
+
+test("the globe only places nodes with a location", () => {
+    const locations = new Map([["a", { lat: 0, lon: 0 }], ["b", { lat: 90, lon: 0 }]]);
+    const positions = arrangeNodes(LAYOUTS.GLOBE, IDS, EDGES, { radius: 5, locations });
+
+    assert.deepEqual(Array.from(positions.keys()), ["a", "b"]);
+    assert.throws(() => arrangeNodes(LAYOUTS.FORCE, IDS, EDGES, { radius: 5 }), /No fixed arrangement/);
+});
+
+test("the force layout settles, with linked nodes closer than nodes two hops apart", () => {
+    const layout = new ForceLayout();
+    const positions = arrangeNodes(LAYOUTS.CIRCULAR, IDS, EDGES, { radius: 5 });
+    let moved = Infinity;
+    for (let i = 0; i < 2000 && moved > 1e-4; i++) {
+        moved = layout.step(positions, EDGES);
+    }
+
+    assert.ok(moved <= 1e-4);
+    const twoHops = distance(positions.get("a"), positions.get("c"));
+    EDGES.forEach(([a, b]) => {
+        const length = distance(positions.get(a), positions.get(b));
+        // Repulsion stretches links past their resting length, but not to the next node along
+        assert.ok(length > FORCE_DEFAULTS.springLength && length < twoHops);
+    });
+});
+
+test("the force layout forgets nodes that leave, and samples repulsion in big networks", () => {
+    const layout = new ForceLayout({ exactRepulsionNodes: 3, repulsionSamples: 2 });
+    const positions = arrangeNodes(LAYOUTS.SPHERICAL, IDS, EDGES, { radius: 5 });
+    layout.step(positions, EDGES);
+    assert.equal(layout.samples.size, IDS.length);
+
+    positions.delete("e");
+    layout.step(positions, EDGES);
+    assert.ok(!layout.velocities.has("e"));
+    assert.ok(!layout.samples.has("e"));
+    positions.forEach(position => assert.ok(Object.values(position).every(Number.isFinite)));
+});
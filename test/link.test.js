@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Link, LINK_DIRECTIONS } from "../sim/index.js";
+
+const LATENCY = 100;
+const BANDWIDTH = 1000; // bytes per second, so a 500-byte message takes 500 ms to send
+
+/**
+ * A link that finished its handshake at time 0
+ */
+function openLink() {
+    const link = new Link("a", "b", { latency: LATENCY, bandwidth: BANDWIDTH });
+    link.establishedAt = 0;
+    return link;
+}
+
+test("a message arrives after its transmission time plus the latency", () => {
+    assert.deepEqual(openLink().transmit("a", 500, 1000), { sentAt: 1000, deliverAt: 1000 + 500 + LATENCY });
+});
+
+test("messages in one direction queue behind each other", () => {
+    const link = openLink();
+    const first = link.transmit("a", 500, 0);
+    const second = link.transmit("a", 500, 100);
+
+    assert.equal(second.sentAt, first.sentAt + 500);
+    assert.equal(second.deliverAt, 1000 + LATENCY);
+});
+
+test("the two directions don't wait for each other", () => {
+    const link = openLink();
+    link.transmit("a", 500, 0);
+
+    assert.deepEqual(link.transmit("b", 500, 100), { sentAt: 100, deliverAt: 100 + 500 + LATENCY });
+});
+
+test("messages wait for the handshake, except the handshake's own", () => {
+    const link = new Link("a", "b", { latency: LATENCY, bandwidth: BANDWIDTH }, 0);
+    assert.equal(link.establishedAt, LATENCY * 4);
+
+    assert.equal(link.transmit("a", 0, 0, true).sentAt, 0);
+    assert.equal(link.transmit("b", 0, 0).sentAt, link.establishedAt);
+});
+
+test("traffic is counted in total and per sending end", () => {
+    const link = openLink();
+    link.transmit("a", 300, 0);
+    link.transmit("a", 200, 0);
+    link.transmit("b", 50, 0);
+
+    assert.equal(link.messageCount, 3);
+    assert.equal(link.byteCount, 550);
+    assert.deepEqual(link.sent.get("a"), { messages: 2, bytes: 500 });
+    assert.deepEqual(link.sent.get("b"), { messages: 1, bytes: 50 });
+});
+
+test("a link knows which end opened it, and its key ignores direction", () => {
+    const link = openLink();
+    assert.equal(link.direction("a"), LINK_DIRECTIONS.OUTBOUND);
+    assert.equal(link.direction("b"), LINK_DIRECTIONS.INBOUND);
+    assert.equal(link.otherEnd("a"), "b");
+    assert.equal(Link.key("a", "b"), Link.key("b", "a"));
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, Mempool, MEMPOOL_REJECTIONS } from "../sim/index.js";
+
+/**
+ * A transaction spending the given outpoints
+ */
+function tx(id, inputs, fee = 1000, size = 200) {
+    return { id, fee, size, inputs, outputs: [`${id}:0`] };
+}
+
+test("the first spend of an input wins; duplicates and later spends are turned away", () => {
+    const mempool = new Mempool();
+
+    assert.deepEqual(mempool.add(tx("a", ["x:0"])), { accepted: true, reason: null });
+    assert.deepEqual(mempool.add(tx("a", ["x:0"])), { accepted: false, reason: MEMPOOL_REJECTIONS.DUPLICATE });
+    assert.deepEqual(mempool.add(tx("b", ["y:0", "x:0"])), { accepted: false, reason: MEMPOOL_REJECTIONS.CONFLICT });
+    assert.equal(mempool.count, 1);
+    assert.equal(mempool.bytes, 200);
+});
+
+test("a mined transaction evicts itself and its conflicts, and can't come back", () => {
+    const mempool = new Mempool();
+    mempool.add(tx("a", ["x:0"]));
+    mempool.add(tx("c", ["z:0"]));
+    // Mined elsewhere: a spend of x:0 this pool never saw
+    const mined = tx("b", ["x:0"]);
+
+    assert.deepEqual(mempool.confirm([mined], 1), ["a"]);
+    assert.deepEqual(mempool.add(mined), { accepted: false, reason: MEMPOOL_REJECTIONS.CONFIRMED });
+    assert.deepEqual(mempool.add(tx("a", ["x:0"])), { accepted: false, reason: MEMPOOL_REJECTIONS.CONFLICT });
+    assert.deepEqual(Array.from(mempool.transactions.keys()), ["c"]);
+});
+
+test("a reorg returns transactions to the pool, and settled ones are forgotten but counted", () => {
+    const mempool = new Mempool();
+    const first = tx("a", ["x:0"]);
+    const second = tx("b", ["y:0"]);
+    mempool.confirm([first], 1);
+    mempool.confirm([second], 2);
+
+    assert.deepEqual(mempool.unconfirm([second]), ["b"]);
+    assert.ok(mempool.has("b"));
+
+    mempool.forgetConfirmed(1);
+    assert.equal(mempool.confirmed.size, 0);
+    assert.equal(mempool.spentInChain.size, 0);
+    assert.equal(mempool.confirmedCount, 1);
+});
+
+test("miners take the best fee rates that fit", () => {
+    const mempool = new Mempool();
+    mempool.add(tx("cheap", ["a:0"], 200, 200));
+    mempool.add(tx("big", ["b:0"], 4000, 400));
+    mempool.add(tx("rich", ["c:0"], 3000, 200));
+
+    assert.deepEqual(mempool.select(600).map(each => each.id), ["rich", "big"]);
+    assert.deepEqual(mempool.select(300).map(each => each.id), ["rich"]);
+});
+
+test("conflicting transactions in a run are rejected where they meet the first spend", () => {
+    const simulation = new NetworkSimulation({ seed: 5, scenario: { transactions: { conflictProbability: 0.5 } } });
+    const rejections = [];
+    simulation.on("transactionRejected", ({ reason }) => rejections.push(reason));
+    simulation.start();
+    simulation.advance(60000);
+
+    assert.ok(rejections.includes(MEMPOOL_REJECTIONS.CONFLICT));
+    simulation.nodes.forEach(node => {
+        const spent = Array.from(node.mempool.transactions.values()).flatMap(each => each.inputs);
+        assert.equal(new Set(spent).size, spent.length);
+    });
+});
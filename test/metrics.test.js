@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkMetrics, graphMetrics, percentile, SimNode } from "../sim/index.js";
+
+/**
+ * Nodes linked as listed, e.g. [["a", "b"], ["b", "c"]]
+ */
+function graph(ids, edges) {
+    const nodes = ids.map(id => new SimNode(id, { x: 0, y: 0, z: 0 }));
+    const byId = new Map(nodes.map(node => [node.nodeId, node]));
+    edges.forEach(([a, b]) => {
+        byId.get(a).connections.add(b);
+        byId.get(b).connections.add(a);
+    });
+    return nodes;
+}
+
+test("a graph's shape is measured", () => {
+    const nodes = graph(["a", "b", "c", "d", "e"], [["a", "b"], ["b", "c"], ["c", "a"], ["c", "d"]]);
+
+    assert.deepEqual(graphMetrics(nodes), {
+        nodes: 5,
+        edges: 4,
+        averageDegree: 8 / 5,
+        maxDegree: 3,
+        diameter: 2,
+        clustering: (1 + 1 + 1 / 3 + 0 + 0) / 5,
+        components: 2
+    });
+});
+
+test("percentiles go by nearest rank", () => {
+    const values = [5, 1, 4, 2, 3];
+    assert.equal(percentile(values, 50), 3);
+    assert.equal(percentile(values, 90), 5);
+    assert.equal(percentile(values, 0), 1);
+    assert.equal(percentile([], 50), null);
+});
+
+test("message rates are averaged over the rate window", () => {
+    const metrics = new NetworkMetrics({ rateWindow: 2000 });
+    for (let time = 0; time < 4000; time += 100) {
+        metrics.recordMessage("inv", time);
+        if (time >= 3000) metrics.recordMessage("tx", time);
+    }
+
+    const sample = metrics.sample(4000, [], []);
+    assert.equal(sample.messageRates.inv, 10);
+    assert.equal(sample.messageRates.tx, 5);
+    assert.equal(sample.messagesPerSecond, 15);
+});
+
+test("a big network's shape is re-measured only every bigGraphInterval", () => {
+    const nodes = graph(["a", "b", "c"], [["a", "b"]]);
+    const metrics = new NetworkMetrics({ exactGraphNodes: 2, bigGraphInterval: 5000 });
+
+    assert.equal(metrics.sample(1000, nodes, []).edges, 1);
+    nodes[1].connections.add("c");
+    nodes[2].connections.add("b");
+    assert.equal(metrics.sample(2000, nodes, []).edges, 1);
+    assert.equal(metrics.sample(6000, nodes, []).edges, 2);
+});
+
+test("samples report latency percentiles and keep a bounded history", () => {
+    const metrics = new NetworkMetrics({ historyLength: 3 });
+    [1, 2, 3, 4].forEach(second => metrics.sample(second * 1000, [], [300, 100, 200]));
+
+    assert.equal(metrics.samples.length, 3);
+    assert.deepEqual(metrics.latest.latency, { 50: 200, 90: 300, 99: 300 });
+    assert.deepEqual(metrics.series(sample => sample.time), [2000, 3000, 4000]);
+});
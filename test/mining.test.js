@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    NetworkSimulation, MiningStats, BlockTree, GENESIS_BLOCK, SETTLED_DEPTH, SeededRandom, createBlock, pickMiner,
+    nextBlockDelay
+} from "../sim/index.js";
+
+/**
+ * A chain of blocks from genesis, mined in turn by the given miners
+ */
+function chainOf(miners, prefix) {
+    let parent = GENESIS_BLOCK;
+    return miners.map((miner, i) => parent = createBlock(parent, { hash: `${prefix}${i}`, miner, createdAt: i }));
+}
+
+test("blocks off the best chain count as stale, and shares are of the best chain's blocks", () => {
+    const stats = new MiningStats();
+    stats.addMiner("a", 3);
+    stats.addMiner("b", 1);
+    const main = chainOf(["a", "a", "b", "a"], "m");
+    const fork = createBlock(main[0], { hash: "f", miner: "b", createdAt: 1 });
+    const tree = new BlockTree();
+    [...main, fork].forEach(block => {
+        tree.add(block);
+        stats.record(block);
+    });
+
+    const summary = stats.summary(tree);
+    assert.equal(summary.found, 5);
+    assert.equal(summary.stale, 1);
+    assert.equal(summary.staleRate, 0.2);
+    assert.deepEqual(summary.miners, [
+        { nodeId: "a", hashShare: 0.75, blockShare: 0.75, blocks: 3, stale: 0 },
+        { nodeId: "b", hashShare: 0.25, blockShare: 0.25, blocks: 1, stale: 1 }
+    ]);
+});
+
+test("settled blocks are kept as counts, and the summary doesn't change", () => {
+    const stats = new MiningStats();
+    stats.addMiner("a", 1);
+    stats.addMiner("b", 1);
+    const main = chainOf(Array.from({ length: SETTLED_DEPTH + 10 }, (_, i) => i % 3 === 0 ? "b" : "a"), "m");
+    const tree = new BlockTree();
+    main.forEach(block => {
+        tree.add(block);
+        stats.record(block);
+    });
+    const stale = createBlock(main[2], { hash: "s", miner: "b", createdAt: 3 });
+    tree.add(stale);
+    stats.record(stale);
+
+    const summary = stats.summary(tree);
+    assert.equal(stats.blocks.length, SETTLED_DEPTH);
+    assert.deepEqual(stats.summary(tree), summary);
+    assert.equal(summary.found, main.length + 1);
+    assert.equal(summary.stale, 1);
+});
+
+test("miners are picked by hashpower, and blocks come at the target interval on average", () => {
+    const random = new SeededRandom(4);
+    const miners = [{ nodeId: "a", hashpower: 1 }, { nodeId: "b", hashpower: 3 }];
+    const picks = Array.from({ length: 4000 }, () => pickMiner(random, miners).nodeId);
+    const delays = Array.from({ length: 4000 }, () => nextBlockDelay(random, 2000));
+
+    assert.ok(Math.abs(picks.filter(nodeId => nodeId === "b").length / picks.length - 0.75) < 0.03);
+    assert.ok(Math.abs(delays.reduce((sum, delay) => sum + delay, 0) / delays.length - 2000) < 100);
+    assert.equal(pickMiner(random, []), undefined);
+});
+
+test("a long run lets go of settled blocks' transactions and stats", () => {
+    const simulation = new NetworkSimulation({ seed: 2, scenario: { mining: { targetBlockInterval: 1000 } } });
+    simulation.start();
+    simulation.advance(400000);
+
+    const { found } = simulation.getMiningStats();
+    assert.ok(simulation.settledHeight > 0);
+    assert.equal(found, simulation.itemCounts.block);
+    assert.ok(simulation.miningStats.blocks.length < found);
+    assert.ok(simulation.items.size < simulation.itemCounts.block + simulation.itemCounts.transaction);
+    assert.ok(simulation.nodes.some(node => node.mempool.confirmed.size < node.mempool.confirmedCount));
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, ScenarioError, groupAssignments, parseScenario, splitByPosition } from "../sim/index.js";
+
+const NODE_IDS = ["a", "b", "c", "d"];
+
+/**
+ * Four fully linked nodes that only gossip what the test makes, split into a-b and c-d at 1 s for a minute
+ */
+function splitting() {
+    const links = NODE_IDS.flatMap((source, i) => NODE_IDS.slice(i + 1).map(target => ({ source, target })));
+    const simulation = new NetworkSimulation({
+        seed: 7,
+        scenario: {
+            nodes: NODE_IDS.map(id => ({ id })),
+            links,
+            phases: [{ phase: "processing", duration: 1000000 }],
+            packets: { transactionsPerSecond: 0 },
+            mining: { minerProbability: 0 },
+            partitions: [{ at: 1000, groups: [["a", "b"], ["c", "d"]], duration: 60000 }]
+        }
+    });
+    simulation.start();
+    return simulation;
+}
+
+test("nodes are split into contiguous slices around the layout", () => {
+    const nodes = Array.from({ length: 6 }, (_, i) => {
+        const angle = (i / 6) * Math.PI * 2 - Math.PI + 0.1;
+        return { nodeId: `n${i}`, position: { x: Math.cos(angle), y: 0, z: Math.sin(angle) } };
+    });
+
+    assert.deepEqual(splitByPosition(nodes, 2), [["n0", "n1", "n2"], ["n3", "n4", "n5"]]);
+    assert.deepEqual(splitByPosition(nodes, 3), [["n0", "n1"], ["n2", "n3"], ["n4", "n5"]]);
+});
+
+test("a split cuts the links between sides and keeps new ones from crossing", () => {
+    const simulation = splitting();
+    const changes = [];
+    simulation.on("partitionChanged", ({ partition }) => changes.push(partition));
+    simulation.advance(2000);
+
+    assert.equal(changes[0].groupCount, 2);
+    assert.equal(changes[0].severed.length, 4);
+    assert.deepEqual(groupAssignments(simulation.nodes), { a: 0, b: 0, c: 1, d: 1 });
+    assert.deepEqual(Array.from(simulation.getNode("a").connections), ["b"]);
+    assert.ok(!simulation.connect(simulation.getNode("a"), simulation.getNode("c")));
+});
+
+test("each side builds its own chain, and both follow the longer one once healed", () => {
+    const simulation = splitting();
+    simulation.advance(2000);
+    const left = simulation.broadcast(simulation.getNode("a"), "block").block;
+    simulation.advance(1000);
+    simulation.broadcast(simulation.getNode("c"), "block");
+    simulation.advance(1000);
+    const right = simulation.broadcast(simulation.getNode("d"), "block").block;
+    simulation.advance(5000);
+
+    assert.equal(simulation.getNode("b").chain.tip, left);
+    assert.equal(simulation.getNode("c").chain.tip, right);
+
+    simulation.advance(60000);
+    assert.equal(simulation.partitionState, null);
+    assert.equal(simulation.links.size, 6);
+    simulation.nodes.forEach(node => assert.equal(node.chain.tip.hash, right.hash));
+});
+
+test("a split can be healed by hand, and scenario splits must name known nodes", () => {
+    const simulation = splitting();
+    simulation.advance(2000);
+    simulation.healPartition();
+
+    assert.equal(simulation.links.size, 6);
+    simulation.nodes.forEach(node => assert.equal(node.group, null));
+    assert.throws(() => parseScenario({
+        nodes: [{ id: "a" }, { id: "b" }],
+        partitions: [{ at: 0, groups: [["a"], ["z"]] }]
+    }), ScenarioError);
+    assert.throws(() => parseScenario({ partitions: [{ at: 0, groupCount: 2, groups: [["a"], ["b"]] }] }), ScenarioError);
+});
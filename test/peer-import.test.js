@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    PEER_FORMATS, LOCAL_NODE_ID, PeerImportError, parsePeerSnapshot, peerScenario, parseScenario
+} from "../sim/index.js";
+
+const PEER_INFO = [
+    { addr: "1.2.3.4:8333", inbound: false, subver: "/Satoshi:27.0.0/", version: 70016, pingtime: 0.1, network: "ipv4" },
+    { addr: "[2001:db8::1]:8333", inbound: true, pingtime: 0.05 },
+    { addr: "1.2.3.4:8333", inbound: false }
+];
+
+test("a getpeerinfo dump is the local node linked to each of its peers", () => {
+    const snapshot = parsePeerSnapshot(JSON.stringify({ result: PEER_INFO, error: null }));
+
+    assert.equal(snapshot.format, PEER_FORMATS.GETPEERINFO);
+    assert.deepEqual(snapshot.nodes.map(node => node.id), [LOCAL_NODE_ID, "1.2.3.4:8333", "[2001:db8::1]:8333"]);
+    assert.deepEqual(snapshot.links, [
+        { source: LOCAL_NODE_ID, target: "1.2.3.4:8333", latency: 50 },
+        { source: "[2001:db8::1]:8333", target: LOCAL_NODE_ID, latency: 25 }
+    ]);
+    assert.equal(snapshot.nodes[1].attributes.client, "/Satoshi:27.0.0/");
+    assert.equal(snapshot.nodes[2].attributes.network, "ipv6");
+});
+
+test("getnodeaddresses gives unlinked nodes, and crawler CSV links both ways once", () => {
+    const addresses = parsePeerSnapshot(JSON.stringify([
+        { address: "5.6.7.8", port: 8333, time: 0 },
+        { address: "abc.onion", port: 8333 }
+    ]));
+    assert.equal(addresses.format, PEER_FORMATS.GETNODEADDRESSES);
+    assert.deepEqual(addresses.nodes.map(node => node.attributes.network), ["ipv4", "onion"]);
+    assert.deepEqual(addresses.links, []);
+
+    const crawled = parsePeerSnapshot("ip,port,peers,user_agent\n1.1.1.1,8333,2.2.2.2:8333,/a/\n2.2.2.2,8333,1.1.1.1:8333,/b/\n");
+    assert.equal(crawled.format, PEER_FORMATS.CRAWLER_CSV);
+    assert.deepEqual(crawled.links, [{ source: "1.1.1.1:8333", target: "2.2.2.2:8333" }]);
+    assert.equal(crawled.nodes[1].attributes.client, "/b/");
+});
+
+test("a snapshot seeds a run with its nodes and links", () => {
+    const snapshot = parsePeerSnapshot(JSON.stringify(PEER_INFO));
+    const scenario = parseScenario(peerScenario(snapshot, "dump.json"));
+
+    assert.equal(scenario.name, "dump.json");
+    assert.equal(scenario.nodes.length, 3);
+    assert.equal(scenario.links.length, 2);
+});
+
+test("files that aren't peer dumps are rejected with a readable reason", () => {
+    assert.throws(() => parsePeerSnapshot("[]"), new PeerImportError("The dump lists no peers"));
+    assert.throws(() => parsePeerSnapshot("{\"result\": null}"), PeerImportError);
+    assert.throws(() => parsePeerSnapshot("[{\"addr\": \"1.2.3.4\", \"subver\": 5}]"),
+        new PeerImportError("Peer 1 has a \"subver\" that isn't a string"));
+    assert.throws(() => parsePeerSnapshot("[{\"addr\": \"1.2.3.4\", \"version\": \"70016\"}]"),
+        new PeerImportError("Peer 1 has a \"version\" that isn't a whole number"));
+    assert.throws(() => parsePeerSnapshot("[{\"addr\": \"1.2.3.4\"}, {\"address\": \"5.6.7.8\"}]"), PeerImportError);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, RAFT_ROLES } from "../sim/index.js";
+
+/**
+ * A run of a protocol's default scenario, checking every commit as it happens
+ */
+function run(protocol, ms, onCommit) {
+    const simulation = new NetworkSimulation({ seed: 3, scenario: { protocol } });
+    let commits = 0;
+    simulation.on("committed", ({ node, height }) => {
+        commits++;
+        onCommit(simulation, node, height);
+    });
+    simulation.start();
+    simulation.advance(ms);
+    return { simulation, commits };
+}
+
+test("Raft elects at most one leader per term, and commits the same entries everywhere", () => {
+    const simulation = new NetworkSimulation({ seed: 3, scenario: { protocol: "raft" } });
+    const leaders = new Map(); // Term to its leader
+    simulation.on("roleChanged", ({ node, role }) => {
+        if (role !== RAFT_ROLES.LEADER) return;
+        assert.ok(!leaders.has(node.raft.term), `two leaders in term ${node.raft.term}`);
+        leaders.set(node.raft.term, node.nodeId);
+    });
+    simulation.start();
+    simulation.advance(40000);
+
+    assert.ok(leaders.size >= 2, "the leader crashes each election phase, so there is more than one term");
+    const committed = simulation.nodes.filter(node => node.committedHeight > 0);
+    assert.ok(committed.length > simulation.nodes.length / 2);
+    const lowest = Math.min(...committed.map(node => node.committedHeight));
+    const entries = node => node.raft.log.slice(0, lowest).map(entry => entry.command);
+    committed.forEach(node => assert.deepEqual(entries(node), entries(committed[0])));
+});
+
+test("PBFT replicas commit only with a quorum of 2f + 1 commits", () => {
+    const { commits } = run("pbft", 40000, (simulation, node) => {
+        assert.ok(node.pbft.isPrepared);
+        assert.ok(node.pbft.commits.size >= 2 * simulation.protocol.faultTolerance + 1);
+    });
+
+    assert.ok(commits > 0);
+});
+
+test("PoS finalizes blocks at two thirds of stake, and keeps few attestations", () => {
+    const { simulation, commits } = run("pos", 60000, (simulation, node, height) => {
+        const [, voters] = Array.from(node.attestations).find(([hash]) => node.chain.blocks.get(hash)?.height === height);
+        const stake = Array.from(voters).reduce((sum, voter) => sum + voter.stake, 0);
+        assert.ok(stake * 3 >= simulation.protocol.totalStake * 2);
+    });
+
+    assert.ok(commits > 0);
+    simulation.nodes.forEach(node => assert.ok(node.attestations.size <= simulation.protocol.recentProposals.length));
+});
+
+test("a PoS block whose attestations arrived first is finalized when it arrives", () => {
+    const simulation = new NetworkSimulation({
+        seed: 3,
+        scenario: { protocol: "pos", phases: [{ phase: "discovery", duration: 100000 }] }
+    });
+    simulation.start();
+    const [proposer, node] = simulation.nodes;
+    const { block } = simulation.createItem(proposer, "block");
+    simulation.protocol.recentProposals.push(block.hash);
+
+    simulation.nodes.forEach(validator => simulation.protocol.addAttestation(node, validator, block.hash));
+    assert.equal(node.committedHeight, 0);
+    simulation.acceptBlock(node, block, null);
+    assert.equal(node.committedHeight, block.height);
+    assert.equal(node.attestations.size, 0);
+});
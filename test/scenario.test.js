@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseScenario, ScenarioError, DEFAULT_SCENARIO } from "../sim/index.js";
+
+/**
+ * The problems parseScenario reports for some input
+ */
+function errorsOf(input) {
+    try {
+        parseScenario(input);
+    } catch (error) {
+        assert.ok(error instanceof ScenarioError, `expected a ScenarioError, got ${error}`);
+        return error.errors;
+    }
+    assert.fail("the scenario was accepted");
+}
+
+test("an empty scenario is the default demo", () => {
+    const scenario = parseScenario({});
+    assert.equal(scenario.protocol, DEFAULT_SCENARIO.protocol);
+    assert.deepEqual(scenario.churn, DEFAULT_SCENARIO.churn);
+});
+
+test("a scenario is read from JSON text", () => {
+    assert.equal(parseScenario('{"name": "From text"}').name, "From text");
+    assert.match(errorsOf("{not json")[0], /^the file is not valid JSON/);
+    assert.deepEqual(errorsOf("[]"), ["a scenario must be a JSON object"]);
+});
+
+test("every problem is reported at once, with the path to it", () => {
+    const errors = errorsOf({
+        name: 7,
+        typo: true,
+        churn: { minNodes: 10, maxNodes: 5 }
+    });
+
+    assert.ok(errors.includes("\"name\" must be a string"));
+    assert.ok(errors.some(error => error.startsWith("scenario has unknown field \"typo\"")));
+    assert.ok(errors.includes("churn.minNodes must not be larger than churn.maxNodes"));
+    assert.match(new ScenarioError(errors).message, /^Invalid scenario:\n- /);
+});
+
+test("names are looked up among the tables' own entries only", () => {
+    assert.ok(errorsOf({ protocol: "constructor" }).some(error => error.startsWith("\"protocol\" must be one of")));
+    assert.ok(errorsOf({ topology: { type: "toString" } }).some(error => error.startsWith("topology.type must be one of")));
+});
+
+test("links, partitions and attacks must name declared nodes", () => {
+    const nodes = [{ id: "a" }, { id: "b" }];
+    const errors = errorsOf({
+        nodes,
+        links: [{ source: "a", target: "ghost" }, { source: "b", target: "b" }],
+        partitions: [{ at: 1000, groups: [["a", "ghost"], ["b", "a"]] }],
+        attacks: [{ type: "eclipse", at: 1000, victim: "ghost" }]
+    });
+
+    assert.deepEqual(errors, [
+        "links[0].target \"ghost\" is not the id of a node in \"nodes\"",
+        "links[1] connects \"b\" to itself",
+        "partitions[0].groups lists \"ghost\", which is not the id of a node in \"nodes\"",
+        "partitions[0].groups lists \"a\" more than once",
+        "attacks[0].victim \"ghost\" is not the id of a node in \"nodes\""
+    ]);
+});
+
+test("node ids must be unique, and can't contain the link key separator", () => {
+    assert.deepEqual(errorsOf({ nodes: [{ id: "a" }, { id: "a" }] }), ["nodes[1].id \"a\" is used by another node"]);
+    // "a|b" and "c" would key their link like "a" and "b|c" do
+    assert.deepEqual(errorsOf({ nodes: [{ id: "a|b" }, { id: "c" }] }), ["nodes[0].id \"a|b\" must not contain \"|\""]);
+});
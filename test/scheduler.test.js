@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventScheduler } from "../sim/index.js";
+
+test("events run in time order, whatever order they were scheduled in", () => {
+    const scheduler = new EventScheduler();
+    const ran = [];
+    [30, 10, 20].forEach(time => scheduler.scheduleAt(time, () => ran.push(time)));
+
+    scheduler.runUntil(100);
+
+    assert.deepEqual(ran, [10, 20, 30]);
+});
+
+test("events due at the same time run in the order they were scheduled", () => {
+    const scheduler = new EventScheduler();
+    const ran = [];
+    ["a", "b", "c", "d"].forEach(name => scheduler.scheduleAt(50, () => ran.push(name)));
+
+    scheduler.runUntil(50);
+
+    assert.deepEqual(ran, ["a", "b", "c", "d"]);
+});
+
+test("an event scheduled for now from a callback runs after the events already due", () => {
+    const scheduler = new EventScheduler();
+    const ran = [];
+    scheduler.scheduleAt(10, () => {
+        ran.push("first");
+        scheduler.schedule(0, () => ran.push("scheduled by first"));
+    });
+    scheduler.scheduleAt(10, () => ran.push("second"));
+
+    scheduler.runUntil(10);
+
+    assert.deepEqual(ran, ["first", "second", "scheduled by first"]);
+});
+
+test("runUntil runs events up to and including the time, then moves the clock there", () => {
+    const scheduler = new EventScheduler();
+    const ran = [];
+    [10, 20, 21].forEach(time => scheduler.scheduleAt(time, () => ran.push(scheduler.now)));
+
+    scheduler.runUntil(20);
+
+    assert.deepEqual(ran, [10, 20]);
+    assert.equal(scheduler.now, 20);
+    assert.equal(scheduler.peekTime(), 21);
+});
+
+test("cancelled events never run", () => {
+    const scheduler = new EventScheduler();
+    const ran = [];
+    const cancelled = scheduler.scheduleAt(10, () => ran.push("cancelled"));
+    scheduler.scheduleAt(20, () => ran.push("kept"));
+    scheduler.cancel(cancelled);
+
+    assert.equal(scheduler.peekTime(), 20);
+    scheduler.runUntil(100);
+    assert.deepEqual(ran, ["kept"]);
+});
+
+test("events can't be scheduled in the past", () => {
+    const scheduler = new EventScheduler();
+    scheduler.runUntil(100);
+    let ranAt = null;
+    scheduler.scheduleAt(50, () => ranAt = scheduler.now);
+
+    scheduler.runUntil(100);
+
+    assert.equal(ranAt, 100);
+});
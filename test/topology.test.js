@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, SeededRandom, ScenarioError, TOPOLOGIES, parseScenario, topologyDefaults } from "../sim/index.js";
+
+/**
+ * Nodes evenly spaced around a circle, in join order
+ */
+function circle(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const angle = (i / count) * Math.PI * 2;
+        return { nodeId: `n${i}`, position: { x: Math.cos(angle), y: 0, z: Math.sin(angle) } };
+    });
+}
+
+/**
+ * Build a topology over the nodes, with its defaults unless overridden
+ */
+function generate(type, nodes, params = {}, seed = 1) {
+    return TOPOLOGIES[type].generate(nodes, { ...topologyDefaults(type), ...params }, new SeededRandom(seed));
+}
+
+function degrees(edges) {
+    const counts = new Map();
+    edges.flat().forEach(node => counts.set(node.nodeId, (counts.get(node.nodeId) ?? 0) + 1));
+    return counts;
+}
+
+function assertSimple(edges) {
+    const keys = edges.map(([a, b]) => [a.nodeId, b.nodeId].sort().join(" "));
+    assert.equal(new Set(keys).size, keys.length);
+    edges.forEach(([a, b]) => assert.notEqual(a, b));
+}
+
+test("a ring links each node to its neighbors around the circle", () => {
+    const nodes = circle(6);
+    const edges = generate("ring", nodes);
+
+    assert.equal(edges.length, 6);
+    degrees(edges).forEach(degree => assert.equal(degree, 2));
+    edges.forEach(([a, b]) => {
+        const gap = Math.abs(nodes.indexOf(a) - nodes.indexOf(b));
+        assert.ok(gap === 1 || gap === 5);
+    });
+});
+
+test("a grid links cells to the cells beside them, square unless given columns", () => {
+    assert.equal(generate("grid", circle(9)).length, 12);
+    assert.equal(generate("grid", circle(6), { columns: 3 }).length, 7);
+    assert.equal(generate("grid", circle(6), { columns: 6 }).length, 5);
+});
+
+test("Erdős–Rényi links every pair at a link chance of 1", () => {
+    const edges = generate("random", circle(7), { probability: 1 });
+    assert.equal(edges.length, 21);
+    assertSimple(edges);
+});
+
+test("Watts–Strogatz without rewiring gives every node the same number of neighbors", () => {
+    const edges = generate("small_world", circle(10), { neighbors: 4, rewireProbability: 0 });
+    assert.equal(edges.length, 20);
+    degrees(edges).forEach(degree => assert.equal(degree, 4));
+
+    assertSimple(generate("small_world", circle(10), { neighbors: 4, rewireProbability: 1 }));
+});
+
+test("Barabási–Albert links each newcomer to as many earlier nodes as it can", () => {
+    const edges = generate("scale_free", circle(20), { edgesPerNode: 3 });
+    // 0 + 1 + 2 links for the first three nodes, then 3 each
+    assert.equal(edges.length, 3 + 17 * 3);
+    assertSimple(edges);
+});
+
+test("Bitcoin-like nodes open their outbound peers without passing the connection limit", () => {
+    const nodes = circle(30);
+    const edges = generate("bitcoin", nodes, { outbound: 4, maxConnections: 10 });
+    assertSimple(edges);
+    degrees(edges).forEach(degree => assert.ok(degree <= 10));
+    nodes.forEach(node => assert.ok(edges.filter(([source]) => source === node).length <= 4));
+});
+
+test("a run builds its initial graph with the scenario's topology", () => {
+    const simulation = new NetworkSimulation({ seed: 3, scenario: { initialNodeCount: 8, topology: { type: "ring" } } });
+    simulation.start();
+
+    assert.equal(simulation.nodes.length, 8);
+    simulation.nodes.forEach(node => assert.equal(node.connections.size, 2));
+});
+
+test("topology parameters are checked against the topology's own", () => {
+    assert.deepEqual(parseScenario({ topology: { type: "grid" } }).topology, { type: "grid", columns: 0 });
+    assert.throws(() => parseScenario({ topology: { type: "ring", neighbors: 4 } }), ScenarioError);
+    assert.throws(() => parseScenario({ topology: { type: "scale_free", edgesPerNode: 1.5 } }), ScenarioError);
+    assert.throws(() => parseScenario({ topology: { type: "tree" } }), ScenarioError);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { NetworkSimulation, LINK_STATES, WIRE_MESSAGES, WIRE_DEFAULTS } from "../sim/index.js";
+
+/**
+ * Three linked nodes that make nothing of their own, and every message they send
+ */
+function triangle() {
+    const simulation = new NetworkSimulation({
+        seed: 1,
+        scenario: {
+            nodes: [{ id: "a" }, { id: "b" }, { id: "c" }],
+            links: [{ source: "a", target: "b" }, { source: "b", target: "c" }, { source: "c", target: "a" }],
+            phases: [{ phase: "processing", duration: 100000 }],
+            packets: { transactionsPerSecond: 0 },
+            mining: { minerProbability: 0 }
+        }
+    });
+    const sent = [];
+    simulation.on("messageSent", message => sent.push({
+        type: message.type,
+        source: message.source.nodeId,
+        target: message.target.nodeId,
+        payload: message.payload
+    }));
+    simulation.start();
+    return { simulation, sent };
+}
+
+test("links carry traffic once both ends have exchanged version and verack", () => {
+    const { simulation, sent } = triangle();
+    simulation.advance(5000);
+
+    simulation.links.forEach(link => assert.equal(link.state, LINK_STATES.ESTABLISHED));
+    assert.equal(sent.filter(message => message.type === WIRE_MESSAGES.VERSION).length, 6);
+    assert.equal(sent.filter(message => message.type === WIRE_MESSAGES.VERACK).length, 6);
+});
+
+test("only the end that opened a link pings over it, and the pong sets its ping time", () => {
+    const { simulation, sent } = triangle();
+    simulation.advance(WIRE_DEFAULTS.pingInterval * 3);
+
+    const pings = sent.filter(message => message.type === WIRE_MESSAGES.PING);
+    assert.ok(pings.length > 0);
+    pings.forEach(({ source, target }) => assert.equal(simulation.getLink(source, target).sourceId, source));
+    simulation.links.forEach(link => assert.ok(link.pingTime > 0));
+});
+
+test("transactions are announced in one inv per peer, then fetched with getdata", () => {
+    const { simulation, sent } = triangle();
+    simulation.advance(5000);
+    const origin = simulation.getNode("a");
+    const items = [simulation.broadcast(origin, "transaction"), simulation.broadcast(origin, "transaction")];
+    simulation.advance(WIRE_DEFAULTS.invInterval * 5);
+
+    const announcements = sent.filter(message => message.type === WIRE_MESSAGES.INV && message.source === "a");
+    assert.deepEqual(announcements.map(message => message.target).sort(), ["b", "c"]);
+    announcements.forEach(message => assert.deepEqual(message.payload.itemIds, items.map(item => item.id)));
+    assert.equal(sent.filter(message => message.type === WIRE_MESSAGES.GETDATA && message.target === "a").length, 2);
+    ["b", "c"].forEach(nodeId => items.forEach(item => assert.ok(simulation.getNode(nodeId).inventory.has(item.id))));
+});